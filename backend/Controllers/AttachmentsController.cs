@@ -1,17 +1,22 @@
 using Microsoft.AspNetCore.Mvc;
+using Microsoft.Net.Http.Headers;
 using Backend.Services;
+using Backend.DTOs;
 
 namespace Backend.Controllers;
 
 [ApiController]
+[BoardScoped]
 [Route("api/[controller]")]
 public class AttachmentsController : ControllerBase
 {
     private readonly IAttachmentService _attachmentService;
+    private readonly IBoardEventBroadcaster _events;
     
-    public AttachmentsController(IAttachmentService attachmentService)
+    public AttachmentsController(IAttachmentService attachmentService, IBoardEventBroadcaster events)
     {
         _attachmentService = attachmentService;
+        _events = events;
     }
 
     /// <summary>
@@ -28,6 +33,9 @@ public class AttachmentsController : ControllerBase
         try
         {
             var attachment = await _attachmentService.UploadAttachmentAsync(taskId, file);
+            _events.Publish(Request.GetBoardId(), BoardEventTypes.AttachmentCreated,
+                new AttachmentEventData { TaskId = taskId, Attachment = attachment },
+                Request.GetClientId());
             return Ok(attachment);
         }
         catch (ArgumentException ex)
@@ -40,6 +48,7 @@ public class AttachmentsController : ControllerBase
     /// Download an attachment
     /// </summary>
     [HttpGet("{id}/download")]
+    [QueryAccessToken]
     public async Task<IActionResult> DownloadAttachment(int id)
     {
         var result = await _attachmentService.DownloadAttachmentAsync(id);
@@ -52,6 +61,53 @@ public class AttachmentsController : ControllerBase
         return File(stream, contentType, fileName);
     }
 
+    /// <summary>
+    /// Serve an image attachment inline for thumbnails and the gallery.
+    /// Attachments never change after upload, so browsers may cache the
+    /// response for good and revalidate with the ETag.
+    /// </summary>
+    [HttpGet("{id}/preview")]
+    [QueryAccessToken]
+    public async Task<IActionResult> PreviewAttachment(int id)
+    {
+        var result = await _attachmentService.GetAttachmentPreviewAsync(id);
+        if (result == null)
+        {
+            return NotFound();
+        }
+
+        var (stream, contentType, fileName, uploadedAt) = result.Value;
+        Response.Headers[HeaderNames.CacheControl] = "private, max-age=31536000, immutable";
+        Response.Headers[HeaderNames.XContentTypeOptions] = "nosniff";
+        Response.Headers[HeaderNames.ContentDisposition] =
+            new ContentDispositionHeaderValue("inline") { FileNameStar = fileName }.ToString();
+
+        var lastModified = new DateTimeOffset(DateTime.SpecifyKind(uploadedAt, DateTimeKind.Utc));
+        return File(stream, contentType, lastModified, new EntityTagHeaderValue($"\"attachment-{id}\""));
+    }
+
+    /// <summary>
+    /// Restore a deleted attachment
+    /// </summary>
+    [HttpPost("{id}/restore")]
+    public async Task<ActionResult<DTOs.AttachmentResponse>> RestoreAttachment(int id)
+    {
+        try
+        {
+            var restored = await _attachmentService.RestoreAttachmentAsync(id);
+            if (restored == null)
+            {
+                return NotFound();
+            }
+            _events.Publish(Request.GetBoardId(), BoardEventTypes.AttachmentCreated, restored, Request.GetClientId());
+            return Ok(restored.Attachment);
+        }
+        catch (InvalidOperationException ex)
+        {
+            return BadRequest(ex.Message);
+        }
+    }
+
     /// <summary>
     /// Delete an attachment
     /// </summary>
@@ -63,6 +119,7 @@ public class AttachmentsController : ControllerBase
         {
             return NotFound();
         }
+        _events.Publish(Request.GetBoardId(), BoardEventTypes.AttachmentDeleted, new { id }, Request.GetClientId());
         return NoContent();
     }
 }
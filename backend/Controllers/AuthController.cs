@@ -0,0 +1,89 @@
+using Microsoft.AspNetCore.Authorization;
+using Microsoft.AspNetCore.Mvc;
+using Backend.Services;
+using Backend.DTOs;
+
+namespace Backend.Controllers;
+
+[ApiController]
+[Route("api/[controller]")]
+public class AuthController : ControllerBase
+{
+    private readonly IAuthService _authService;
+
+    public AuthController(IAuthService authService)
+    {
+        _authService = authService;
+    }
+
+    /// <summary>
+    /// Create an account with a board of its own, and sign in
+    /// </summary>
+    [AllowAnonymous]
+    [HttpPost("signup")]
+    public async Task<ActionResult<AuthResponse>> SignUp(SignUpRequest request)
+    {
+        if (!ModelState.IsValid)
+        {
+            return BadRequest(ModelState);
+        }
+
+        try
+        {
+            var session = await _authService.SignUpAsync(request);
+            return Ok(session);
+        }
+        catch (ArgumentException ex)
+        {
+            return BadRequest(ex.Message);
+        }
+    }
+
+    /// <summary>
+    /// Sign in and get a bearer token
+    /// </summary>
+    [AllowAnonymous]
+    [HttpPost("login")]
+    public async Task<ActionResult<AuthResponse>> LogIn(LogInRequest request)
+    {
+        if (!ModelState.IsValid)
+        {
+            return BadRequest(ModelState);
+        }
+
+        var session = await _authService.LogInAsync(request);
+        if (session == null)
+        {
+            return Unauthorized("Wrong email or password");
+        }
+        return Ok(session);
+    }
+
+    /// <summary>
+    /// End the session the request was signed in with
+    /// </summary>
+    [HttpPost("logout")]
+    public async Task<IActionResult> LogOut()
+    {
+        var token = Request.GetBearerToken();
+        if (token != null)
+        {
+            await _authService.LogOutAsync(token);
+        }
+        return NoContent();
+    }
+
+    /// <summary>
+    /// Get the signed-in user
+    /// </summary>
+    [HttpGet("me")]
+    public async Task<ActionResult<UserResponse>> GetMe()
+    {
+        var user = await _authService.GetUserAsync(User.GetUserId());
+        if (user == null)
+        {
+            return NotFound();
+        }
+        return Ok(user);
+    }
+}
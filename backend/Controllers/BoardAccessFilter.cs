@@ -0,0 +1,87 @@
+using Microsoft.AspNetCore.Mvc;
+using Microsoft.AspNetCore.Mvc.Filters;
+using Backend.Models;
+using Backend.Services;
+
+namespace Backend.Controllers;
+
+/// <summary>
+/// Marks a controller as working on one board, picked by the X-Board-Id header
+/// </summary>
+[AttributeUsage(AttributeTargets.Class)]
+public class BoardScopedAttribute : TypeFilterAttribute
+{
+    public BoardScopedAttribute() : base(typeof(BoardAccessFilter))
+    {
+    }
+}
+
+/// <summary>
+/// Checks the signed-in user may use the requested board before the action
+/// runs, then limits the request's queries to that board. Boards the user
+/// can't see are reported as missing; viewers may only read.
+/// </summary>
+public class BoardAccessFilter : IAsyncActionFilter
+{
+    private readonly IBoardService _boardService;
+    private readonly CurrentBoard _currentBoard;
+
+    public BoardAccessFilter(IBoardService boardService, CurrentBoard currentBoard)
+    {
+        _boardService = boardService;
+        _currentBoard = currentBoard;
+    }
+
+    public async Task OnActionExecutionAsync(ActionExecutingContext context, ActionExecutionDelegate next)
+    {
+        var httpContext = context.HttpContext;
+        var boardId = GetRequestedBoardId(httpContext.Request);
+        if (boardId == null)
+        {
+            context.Result = new BadRequestObjectResult($"The {BoardRequestExtensions.BoardIdHeader} header is required");
+            return;
+        }
+
+        var role = await _boardService.GetRoleAsync(boardId.Value, httpContext.User.GetUserId());
+        if (role == null)
+        {
+            context.Result = new NotFoundObjectResult("Board not found");
+            return;
+        }
+
+        var method = httpContext.Request.Method;
+        if (role < BoardRole.Editor && !HttpMethods.IsGet(method) && !HttpMethods.IsHead(method))
+        {
+            context.Result = new ForbidResult();
+            return;
+        }
+
+        _currentBoard.Set(boardId.Value, role.Value);
+        httpContext.Items[BoardRequestExtensions.BoardIdItem] = boardId.Value;
+        await next();
+    }
+
+    // EventSource can't send headers, so the event stream passes the board in the query
+    private static int? GetRequestedBoardId(HttpRequest request)
+    {
+        var value = request.Headers[BoardRequestExtensions.BoardIdHeader].FirstOrDefault()
+            ?? request.Query[BoardRequestExtensions.BoardIdQueryParameter].FirstOrDefault();
+        return int.TryParse(value, out var boardId) && boardId > 0 ? boardId : null;
+    }
+}
+
+public static class BoardRequestExtensions
+{
+    public const string BoardIdHeader = "X-Board-Id";
+    public const string BoardIdQueryParameter = "boardId";
+    internal const string BoardIdItem = "BoardId";
+
+    /// <summary>
+    /// The board a [BoardScoped] request works on, once its access is checked
+    /// </summary>
+    public static int GetBoardId(this HttpRequest request)
+    {
+        return request.HttpContext.Items[BoardIdItem] as int?
+            ?? throw new InvalidOperationException("The request is not board scoped");
+    }
+}
@@ -1,26 +1,65 @@
 using Microsoft.AspNetCore.Mvc;
 using Backend.Services;
+using Backend.DTOs;
 
 namespace Backend.Controllers;
 
 [ApiController]
+[BoardScoped]
 [Route("api/[controller]")]
 public class BoardController : ControllerBase
 {
     private readonly IColumnService _columnService;
+    private readonly IBoardImportService _importService;
+    private readonly IBoardEventBroadcaster _events;
     
-    public BoardController(IColumnService columnService)
+    public BoardController(IColumnService columnService, IBoardImportService importService, IBoardEventBroadcaster events)
     {
         _columnService = columnService;
+        _importService = importService;
+        _events = events;
     }
 
     /// <summary>
-    /// Get the complete board with all columns and tasks
+    /// Get the board: every column with the first `limit` of its tasks and how
+    /// many it has, plus the labels and members. `today` is the caller's date,
+    /// for counting the overdue tasks past the first page.
     /// </summary>
     [HttpGet]
-    public async Task<ActionResult<DTOs.BoardResponse>> GetBoard()
+    public async Task<ActionResult<DTOs.BoardResponse>> GetBoard(
+        [FromQuery] int limit = TaskService.DefaultPageSize, [FromQuery] DateTime? today = null)
     {
-        var board = await _columnService.GetBoardAsync();
-        return Ok(board);
+        try
+        {
+            var board = await _columnService.GetBoardAsync(limit, today);
+            return Ok(board);
+        }
+        catch (ArgumentException ex)
+        {
+            return BadRequest(ex.Message);
+        }
+    }
+
+    /// <summary>
+    /// Import columns and tasks, e.g. from a JSON or CSV export
+    /// </summary>
+    [HttpPost("import")]
+    public async Task<ActionResult<ImportBoardResponse>> ImportBoard(ImportBoardRequest request)
+    {
+        if (!ModelState.IsValid)
+        {
+            return BadRequest(ModelState);
+        }
+
+        try
+        {
+            var result = await _importService.ImportBoardAsync(request);
+            _events.Publish(Request.GetBoardId(), BoardEventTypes.BoardImported, new { result.ColumnsCreated, result.TasksCreated, result.TasksUpdated }, Request.GetClientId());
+            return Ok(result);
+        }
+        catch (ArgumentException ex)
+        {
+            return BadRequest(ex.Message);
+        }
     }
 }
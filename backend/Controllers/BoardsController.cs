@@ -0,0 +1,211 @@
+using Microsoft.AspNetCore.Mvc;
+using Backend.Models;
+using Backend.Services;
+using Backend.DTOs;
+
+namespace Backend.Controllers;
+
+/// <summary>
+/// The signed-in user's boards and their sharing. The board's own columns and
+/// tasks are under /api/board with the X-Board-Id header.
+/// </summary>
+[ApiController]
+[Route("api/[controller]")]
+public class BoardsController : ControllerBase
+{
+    private readonly IBoardService _boardService;
+
+    public BoardsController(IBoardService boardService)
+    {
+        _boardService = boardService;
+    }
+
+    /// <summary>
+    /// Get the boards the user owns or was invited to, by name
+    /// </summary>
+    [HttpGet]
+    public async Task<ActionResult<List<BoardSummaryResponse>>> GetBoards()
+    {
+        var boards = await _boardService.GetBoardsAsync(User.GetUserId());
+        return Ok(boards);
+    }
+
+    /// <summary>
+    /// Create a board with the default columns
+    /// </summary>
+    [HttpPost]
+    public async Task<ActionResult<BoardSummaryResponse>> CreateBoard(SaveBoardRequest request)
+    {
+        if (!ModelState.IsValid)
+        {
+            return BadRequest(ModelState);
+        }
+
+        try
+        {
+            var board = await _boardService.CreateBoardAsync(User.GetUserId(), request);
+            return Ok(board);
+        }
+        catch (ArgumentException ex)
+        {
+            return BadRequest(ex.Message);
+        }
+    }
+
+    /// <summary>
+    /// Rename a board. Owner only.
+    /// </summary>
+    [HttpPut("{id}")]
+    public async Task<ActionResult<BoardSummaryResponse>> RenameBoard(int id, SaveBoardRequest request)
+    {
+        if (!ModelState.IsValid)
+        {
+            return BadRequest(ModelState);
+        }
+
+        var denied = await RequireRoleAsync(id, BoardRole.Owner);
+        if (denied != null)
+        {
+            return denied;
+        }
+
+        try
+        {
+            var board = await _boardService.RenameBoardAsync(id, request);
+            if (board == null)
+            {
+                return NotFound();
+            }
+            return Ok(board);
+        }
+        catch (ArgumentException ex)
+        {
+            return BadRequest(ex.Message);
+        }
+    }
+
+    /// <summary>
+    /// Delete a board and everything on it. Owner only; this can't be undone.
+    /// </summary>
+    [HttpDelete("{id}")]
+    public async Task<IActionResult> DeleteBoard(int id)
+    {
+        var denied = await RequireRoleAsync(id, BoardRole.Owner);
+        if (denied != null)
+        {
+            return denied;
+        }
+
+        await _boardService.DeleteBoardAsync(id);
+        return NoContent();
+    }
+
+    /// <summary>
+    /// Get who a board is shared with. Owner only.
+    /// </summary>
+    [HttpGet("{id}/shares")]
+    public async Task<ActionResult<List<BoardShareResponse>>> GetShares(int id)
+    {
+        var denied = await RequireRoleAsync(id, BoardRole.Owner);
+        if (denied != null)
+        {
+            return denied;
+        }
+
+        var shares = await _boardService.GetSharesAsync(id);
+        return Ok(shares);
+    }
+
+    /// <summary>
+    /// Share a board with another user as a viewer or editor. Owner only.
+    /// </summary>
+    [HttpPost("{id}/shares")]
+    public async Task<ActionResult<BoardShareResponse>> ShareBoard(int id, ShareBoardRequest request)
+    {
+        if (!ModelState.IsValid)
+        {
+            return BadRequest(ModelState);
+        }
+
+        var denied = await RequireRoleAsync(id, BoardRole.Owner);
+        if (denied != null)
+        {
+            return denied;
+        }
+
+        try
+        {
+            var share = await _boardService.ShareBoardAsync(id, request);
+            return Ok(share);
+        }
+        catch (ArgumentException ex)
+        {
+            return BadRequest(ex.Message);
+        }
+    }
+
+    /// <summary>
+    /// Change a user's role on a board. Owner only.
+    /// </summary>
+    [HttpPut("{id}/shares/{userId}")]
+    public async Task<ActionResult<BoardShareResponse>> UpdateShare(int id, int userId, UpdateBoardShareRequest request)
+    {
+        var denied = await RequireRoleAsync(id, BoardRole.Owner);
+        if (denied != null)
+        {
+            return denied;
+        }
+
+        try
+        {
+            var share = await _boardService.UpdateShareAsync(id, userId, request);
+            if (share == null)
+            {
+                return NotFound();
+            }
+            return Ok(share);
+        }
+        catch (ArgumentException ex)
+        {
+            return BadRequest(ex.Message);
+        }
+    }
+
+    /// <summary>
+    /// Stop sharing a board with a user. Owners can remove anyone; others
+    /// can only leave a board themselves.
+    /// </summary>
+    [HttpDelete("{id}/shares/{userId}")]
+    public async Task<IActionResult> RemoveShare(int id, int userId)
+    {
+        var denied = userId == User.GetUserId()
+            ? await RequireRoleAsync(id, BoardRole.Viewer)
+            : await RequireRoleAsync(id, BoardRole.Owner);
+        if (denied != null)
+        {
+            return denied;
+        }
+
+        var success = await _boardService.RemoveShareAsync(id, userId);
+        if (!success)
+        {
+            return NotFound();
+        }
+        return NoContent();
+    }
+
+    // Boards the user can't see are reported as missing, like on /api/board
+    private async Task<ActionResult?> RequireRoleAsync(int boardId, BoardRole minimumRole)
+    {
+        var role = await _boardService.GetRoleAsync(boardId, User.GetUserId());
+        if (role == null)
+        {
+            return NotFound();
+        }
+        if (role < minimumRole)
+        {
+            return Forbid();
+        }
+        return null;
+    }
+}
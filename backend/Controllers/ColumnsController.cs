@@ -5,14 +5,17 @@ using Backend.DTOs;
 namespace Backend.Controllers;
 
 [ApiController]
+[BoardScoped]
 [Route("api/[controller]")]
 public class ColumnsController : ControllerBase
 {
     private readonly IColumnService _columnService;
+    private readonly IBoardEventBroadcaster _events;
     
-    public ColumnsController(IColumnService columnService)
+    public ColumnsController(IColumnService columnService, IBoardEventBroadcaster events)
     {
         _columnService = columnService;
+        _events = events;
     }
 
     /// <summary>
@@ -51,9 +54,68 @@ public class ColumnsController : ControllerBase
         }
 
         var column = await _columnService.CreateColumnAsync(request);
+        _events.Publish(Request.GetBoardId(), BoardEventTypes.ColumnCreated, column, Request.GetClientId());
         return CreatedAtAction(nameof(GetColumn), new { id = column.Id }, column);
     }
 
+    /// <summary>
+    /// Rename a column
+    /// </summary>
+    [HttpPut("{id}")]
+    public async Task<ActionResult<ColumnResponse>> UpdateColumn(int id, UpdateColumnRequest request)
+    {
+        if (!ModelState.IsValid)
+        {
+            return BadRequest(ModelState);
+        }
+
+        var column = await _columnService.UpdateColumnAsync(id, request);
+        if (column == null)
+        {
+            return NotFound();
+        }
+        _events.Publish(Request.GetBoardId(), BoardEventTypes.ColumnUpdated, new { column.Id, column.Name }, Request.GetClientId());
+        return Ok(column);
+    }
+
+    /// <summary>
+    /// Reorder columns; the request lists every column ID in its new order
+    /// </summary>
+    [HttpPut("reorder")]
+    public async Task<ActionResult<IEnumerable<ColumnResponse>>> ReorderColumns(ReorderColumnsRequest request)
+    {
+        if (!ModelState.IsValid)
+        {
+            return BadRequest(ModelState);
+        }
+
+        try
+        {
+            var columns = await _columnService.ReorderColumnsAsync(request);
+            _events.Publish(Request.GetBoardId(), BoardEventTypes.ColumnsReordered, new { columnIds = columns.Select(c => c.Id).ToList() }, Request.GetClientId());
+            return Ok(columns);
+        }
+        catch (ArgumentException ex)
+        {
+            return BadRequest(ex.Message);
+        }
+    }
+
+    /// <summary>
+    /// Restore a deleted column
+    /// </summary>
+    [HttpPost("{id}/restore")]
+    public async Task<ActionResult<ColumnResponse>> RestoreColumn(int id)
+    {
+        var column = await _columnService.RestoreColumnAsync(id);
+        if (column == null)
+        {
+            return NotFound();
+        }
+        _events.Publish(Request.GetBoardId(), BoardEventTypes.ColumnCreated, column, Request.GetClientId());
+        return Ok(column);
+    }
+
     /// <summary>
     /// Delete a column
     /// </summary>
@@ -67,6 +129,7 @@ public class ColumnsController : ControllerBase
             {
                 return NotFound();
             }
+            _events.Publish(Request.GetBoardId(), BoardEventTypes.ColumnDeleted, new { id }, Request.GetClientId());
             return NoContent();
         }
         catch (InvalidOperationException ex)
@@ -0,0 +1,114 @@
+using Microsoft.AspNetCore.Mvc;
+using Backend.Services;
+using Backend.DTOs;
+
+namespace Backend.Controllers;
+
+[ApiController]
+[BoardScoped]
+[Route("api")]
+public class CommentsController : ControllerBase
+{
+    private readonly ICommentService _commentService;
+    private readonly IBoardEventBroadcaster _events;
+
+    public CommentsController(ICommentService commentService, IBoardEventBroadcaster events)
+    {
+        _commentService = commentService;
+        _events = events;
+    }
+
+    /// <summary>
+    /// Get a task's comments, oldest first
+    /// </summary>
+    [HttpGet("tasks/{taskId}/comments")]
+    public async Task<ActionResult<List<CommentResponse>>> GetComments(int taskId)
+    {
+        var comments = await _commentService.GetCommentsAsync(taskId);
+        if (comments == null)
+        {
+            return NotFound();
+        }
+        return Ok(comments);
+    }
+
+    /// <summary>
+    /// Comment on a task as the signed-in user
+    /// </summary>
+    [HttpPost("tasks/{taskId}/comments")]
+    public async Task<ActionResult<CommentResponse>> AddComment(int taskId, CreateCommentRequest request)
+    {
+        if (!ModelState.IsValid)
+        {
+            return BadRequest(ModelState);
+        }
+
+        try
+        {
+            var comment = await _commentService.AddCommentAsync(taskId, request, User.GetUserId());
+            if (comment == null)
+            {
+                return NotFound();
+            }
+            _events.Publish(Request.GetBoardId(), BoardEventTypes.CommentCreated, comment, Request.GetClientId());
+            return Ok(comment);
+        }
+        catch (ArgumentException ex)
+        {
+            return BadRequest(ex.Message);
+        }
+    }
+
+    /// <summary>
+    /// Edit one of your own comments
+    /// </summary>
+    [HttpPut("comments/{id}")]
+    public async Task<ActionResult<CommentResponse>> UpdateComment(int id, UpdateCommentRequest request)
+    {
+        if (!ModelState.IsValid)
+        {
+            return BadRequest(ModelState);
+        }
+
+        try
+        {
+            var comment = await _commentService.UpdateCommentAsync(id, request, User.GetUserId());
+            if (comment == null)
+            {
+                return NotFound();
+            }
+            _events.Publish(Request.GetBoardId(), BoardEventTypes.CommentUpdated, comment, Request.GetClientId());
+            return Ok(comment);
+        }
+        catch (ArgumentException ex)
+        {
+            return BadRequest(ex.Message);
+        }
+        catch (UnauthorizedAccessException ex)
+        {
+            return StatusCode(StatusCodes.Status403Forbidden, ex.Message);
+        }
+    }
+
+    /// <summary>
+    /// Delete one of your own comments
+    /// </summary>
+    [HttpDelete("comments/{id}")]
+    public async Task<IActionResult> DeleteComment(int id)
+    {
+        try
+        {
+            var comment = await _commentService.DeleteCommentAsync(id, User.GetUserId());
+            if (comment == null)
+            {
+                return NotFound();
+            }
+            _events.Publish(Request.GetBoardId(), BoardEventTypes.CommentDeleted, new { comment.Id, comment.TaskId }, Request.GetClientId());
+            return NoContent();
+        }
+        catch (UnauthorizedAccessException ex)
+        {
+            return StatusCode(StatusCodes.Status403Forbidden, ex.Message);
+        }
+    }
+}
@@ -0,0 +1,89 @@
+using System.Text.Json;
+using Microsoft.AspNetCore.Mvc;
+using Backend.Services;
+
+namespace Backend.Controllers;
+
+[ApiController]
+[BoardScoped]
+[Route("api/[controller]")]
+public class EventsController : ControllerBase
+{
+    private static readonly TimeSpan HeartbeatInterval = TimeSpan.FromSeconds(15);
+    private static readonly JsonSerializerOptions JsonOptions = new(JsonSerializerDefaults.Web);
+
+    private readonly IBoardEventBroadcaster _broadcaster;
+    private readonly IAuthService _authService;
+    private readonly IBoardService _boardService;
+
+    public EventsController(IBoardEventBroadcaster broadcaster, IAuthService authService, IBoardService boardService)
+    {
+        _broadcaster = broadcaster;
+        _authService = authService;
+        _boardService = boardService;
+    }
+
+    /// <summary>
+    /// Stream board change events as Server-Sent Events. The stream ends once
+    /// the session is logged out or the board is no longer shared with the
+    /// user, so it can't outlive the access it was opened with.
+    /// </summary>
+    [HttpGet]
+    [QueryAccessToken]
+    public async Task Stream(CancellationToken cancellationToken)
+    {
+        Response.Headers.ContentType = "text/event-stream";
+        Response.Headers.CacheControl = "no-cache";
+        Response.Headers["X-Accel-Buffering"] = "no";
+
+        using var subscription = _broadcaster.Subscribe(Request.GetBoardId());
+
+        // Tell the browser how long to wait before its own reconnect attempt
+        await Response.WriteAsync("retry: 5000\n\n", cancellationToken);
+        await Response.Body.FlushAsync(cancellationToken);
+
+        try
+        {
+            while (!cancellationToken.IsCancellationRequested)
+            {
+                bool hasEvents;
+                using (var heartbeat = CancellationTokenSource.CreateLinkedTokenSource(cancellationToken))
+                {
+                    heartbeat.CancelAfter(HeartbeatInterval);
+                    try
+                    {
+                        hasEvents = await subscription.Reader.WaitToReadAsync(heartbeat.Token);
+                    }
+                    catch (OperationCanceledException) when (!cancellationToken.IsCancellationRequested)
+                    {
+                        if (!await HasAccessAsync()) break;
+                        // Comment lines keep proxies from closing an idle connection
+                        await Response.WriteAsync(": heartbeat\n\n", cancellationToken);
+                        await Response.Body.FlushAsync(cancellationToken);
+                        continue;
+                    }
+                }
+
+                if (!hasEvents || !await HasAccessAsync()) break;
+
+                while (subscription.Reader.TryRead(out var boardEvent))
+                {
+                    var json = JsonSerializer.Serialize(boardEvent, JsonOptions);
+                    await Response.WriteAsync($"id: {boardEvent.Id}\ndata: {json}\n\n", cancellationToken);
+                }
+                await Response.Body.FlushAsync(cancellationToken);
+            }
+        }
+        catch (OperationCanceledException)
+        {
+            // Client disconnected
+        }
+    }
+
+    // Checked again before each write, as access can end while the stream is open
+    private async Task<bool> HasAccessAsync()
+    {
+        var user = await _authService.ValidateTokenAsync(Request.GetSessionToken());
+        return user != null && await _boardService.GetRoleAsync(Request.GetBoardId(), user.Id) != null;
+    }
+}
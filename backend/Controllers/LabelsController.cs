@@ -0,0 +1,95 @@
+using Microsoft.AspNetCore.Mvc;
+using Backend.Services;
+using Backend.DTOs;
+
+namespace Backend.Controllers;
+
+[ApiController]
+[BoardScoped]
+[Route("api/[controller]")]
+public class LabelsController : ControllerBase
+{
+    private readonly ILabelService _labelService;
+    private readonly IBoardEventBroadcaster _events;
+
+    public LabelsController(ILabelService labelService, IBoardEventBroadcaster events)
+    {
+        _labelService = labelService;
+        _events = events;
+    }
+
+    /// <summary>
+    /// Get the board's labels, by name
+    /// </summary>
+    [HttpGet]
+    public async Task<ActionResult<List<LabelResponse>>> GetLabels()
+    {
+        var labels = await _labelService.GetLabelsAsync();
+        return Ok(labels);
+    }
+
+    /// <summary>
+    /// Create a label
+    /// </summary>
+    [HttpPost]
+    public async Task<ActionResult<LabelResponse>> CreateLabel(SaveLabelRequest request)
+    {
+        if (!ModelState.IsValid)
+        {
+            return BadRequest(ModelState);
+        }
+
+        try
+        {
+            var label = await _labelService.CreateLabelAsync(request);
+            _events.Publish(Request.GetBoardId(), BoardEventTypes.LabelCreated, label, Request.GetClientId());
+            return Ok(label);
+        }
+        catch (ArgumentException ex)
+        {
+            return BadRequest(ex.Message);
+        }
+    }
+
+    /// <summary>
+    /// Rename or recolor a label
+    /// </summary>
+    [HttpPut("{id}")]
+    public async Task<ActionResult<LabelResponse>> UpdateLabel(int id, SaveLabelRequest request)
+    {
+        if (!ModelState.IsValid)
+        {
+            return BadRequest(ModelState);
+        }
+
+        try
+        {
+            var label = await _labelService.UpdateLabelAsync(id, request);
+            if (label == null)
+            {
+                return NotFound();
+            }
+            _events.Publish(Request.GetBoardId(), BoardEventTypes.LabelUpdated, label, Request.GetClientId());
+            return Ok(label);
+        }
+        catch (ArgumentException ex)
+        {
+            return BadRequest(ex.Message);
+        }
+    }
+
+    /// <summary>
+    /// Delete a label and remove it from its tasks
+    /// </summary>
+    [HttpDelete("{id}")]
+    public async Task<IActionResult> DeleteLabel(int id)
+    {
+        var success = await _labelService.DeleteLabelAsync(id);
+        if (!success)
+        {
+            return NotFound();
+        }
+        _events.Publish(Request.GetBoardId(), BoardEventTypes.LabelDeleted, new { id }, Request.GetClientId());
+        return NoContent();
+    }
+}
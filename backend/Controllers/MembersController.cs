@@ -0,0 +1,95 @@
+using Microsoft.AspNetCore.Mvc;
+using Backend.Services;
+using Backend.DTOs;
+
+namespace Backend.Controllers;
+
+[ApiController]
+[BoardScoped]
+[Route("api/[controller]")]
+public class MembersController : ControllerBase
+{
+    private readonly IMemberService _memberService;
+    private readonly IBoardEventBroadcaster _events;
+
+    public MembersController(IMemberService memberService, IBoardEventBroadcaster events)
+    {
+        _memberService = memberService;
+        _events = events;
+    }
+
+    /// <summary>
+    /// Get the people tasks can be assigned to, by name
+    /// </summary>
+    [HttpGet]
+    public async Task<ActionResult<List<MemberResponse>>> GetMembers()
+    {
+        var members = await _memberService.GetMembersAsync();
+        return Ok(members);
+    }
+
+    /// <summary>
+    /// Add a member
+    /// </summary>
+    [HttpPost]
+    public async Task<ActionResult<MemberResponse>> CreateMember(SaveMemberRequest request)
+    {
+        if (!ModelState.IsValid)
+        {
+            return BadRequest(ModelState);
+        }
+
+        try
+        {
+            var member = await _memberService.CreateMemberAsync(request);
+            _events.Publish(Request.GetBoardId(), BoardEventTypes.MemberCreated, member, Request.GetClientId());
+            return Ok(member);
+        }
+        catch (ArgumentException ex)
+        {
+            return BadRequest(ex.Message);
+        }
+    }
+
+    /// <summary>
+    /// Rename a member or change their color
+    /// </summary>
+    [HttpPut("{id}")]
+    public async Task<ActionResult<MemberResponse>> UpdateMember(int id, SaveMemberRequest request)
+    {
+        if (!ModelState.IsValid)
+        {
+            return BadRequest(ModelState);
+        }
+
+        try
+        {
+            var member = await _memberService.UpdateMemberAsync(id, request);
+            if (member == null)
+            {
+                return NotFound();
+            }
+            _events.Publish(Request.GetBoardId(), BoardEventTypes.MemberUpdated, member, Request.GetClientId());
+            return Ok(member);
+        }
+        catch (ArgumentException ex)
+        {
+            return BadRequest(ex.Message);
+        }
+    }
+
+    /// <summary>
+    /// Delete a member and unassign them from their tasks
+    /// </summary>
+    [HttpDelete("{id}")]
+    public async Task<IActionResult> DeleteMember(int id)
+    {
+        var success = await _memberService.DeleteMemberAsync(id);
+        if (!success)
+        {
+            return NotFound();
+        }
+        _events.Publish(Request.GetBoardId(), BoardEventTypes.MemberDeleted, new { id }, Request.GetClientId());
+        return NoContent();
+    }
+}
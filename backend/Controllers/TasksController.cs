@@ -5,14 +5,19 @@ using Backend.DTOs;
 namespace Backend.Controllers;
 
 [ApiController]
+[BoardScoped]
 [Route("api/[controller]")]
 public class TasksController : ControllerBase
 {
     private readonly ITaskService _taskService;
+    private readonly IBoardEventBroadcaster _events;
+    private readonly IRecurringTaskScheduler _recurringTasks;
     
-    public TasksController(ITaskService taskService)
+    public TasksController(ITaskService taskService, IBoardEventBroadcaster events, IRecurringTaskScheduler recurringTasks)
     {
         _taskService = taskService;
+        _events = events;
+        _recurringTasks = recurringTasks;
     }
 
     /// <summary>
@@ -39,6 +44,20 @@ public class TasksController : ControllerBase
         return Ok(task);
     }
 
+    /// <summary>
+    /// Get a task's activity timeline, oldest first, starting with its creation
+    /// </summary>
+    [HttpGet("{id}/activity")]
+    public async Task<ActionResult<List<TaskActivityResponse>>> GetTaskActivity(int id)
+    {
+        var activity = await _taskService.GetTaskActivityAsync(id);
+        if (activity == null)
+        {
+            return NotFound();
+        }
+        return Ok(activity);
+    }
+
     /// <summary>
     /// Create a new task
     /// </summary>
@@ -50,8 +69,17 @@ public class TasksController : ControllerBase
             return BadRequest(ModelState);
         }
 
-        var task = await _taskService.CreateTaskAsync(request);
-        return CreatedAtAction(nameof(GetTask), new { id = task.Id }, task);
+        try
+        {
+            var task = await _taskService.CreateTaskAsync(request);
+            _events.Publish(Request.GetBoardId(), BoardEventTypes.TaskCreated, task, Request.GetClientId());
+            _recurringTasks.Wake();
+            return CreatedAtAction(nameof(GetTask), new { id = task.Id }, task);
+        }
+        catch (ArgumentException ex)
+        {
+            return BadRequest(ex.Message);
+        }
     }
 
     /// <summary>
@@ -65,12 +93,21 @@ public class TasksController : ControllerBase
             return BadRequest(ModelState);
         }
 
-        var task = await _taskService.UpdateTaskAsync(id, request);
-        if (task == null)
+        try
         {
-            return NotFound();
+            var task = await _taskService.UpdateTaskAsync(id, request);
+            if (task == null)
+            {
+                return NotFound();
+            }
+            _events.Publish(Request.GetBoardId(), BoardEventTypes.TaskUpdated, task, Request.GetClientId());
+            _recurringTasks.Wake();
+            return Ok(task);
+        }
+        catch (ArgumentException ex)
+        {
+            return BadRequest(ex.Message);
         }
-        return Ok(task);
     }
 
     /// <summary>
@@ -84,9 +121,32 @@ public class TasksController : ControllerBase
         {
             return NotFound();
         }
+        _events.Publish(Request.GetBoardId(), BoardEventTypes.TaskDeleted, new { id }, Request.GetClientId());
         return NoContent();
     }
 
+    /// <summary>
+    /// Restore a deleted task, with the attachments it had when it was deleted
+    /// </summary>
+    [HttpPost("{id}/restore")]
+    public async Task<ActionResult<TaskResponse>> RestoreTask(int id)
+    {
+        try
+        {
+            var task = await _taskService.RestoreTaskAsync(id);
+            if (task == null)
+            {
+                return NotFound();
+            }
+            _events.Publish(Request.GetBoardId(), BoardEventTypes.TaskCreated, task, Request.GetClientId());
+            return Ok(task);
+        }
+        catch (InvalidOperationException ex)
+        {
+            return BadRequest(ex.Message);
+        }
+    }
+
     /// <summary>
     /// Move a task to a different column or position
     /// </summary>
@@ -98,21 +158,236 @@ public class TasksController : ControllerBase
             return BadRequest(ModelState);
         }
 
-        var task = await _taskService.MoveTaskAsync(id, request);
+        try
+        {
+            var task = await _taskService.MoveTaskAsync(id, request);
+            if (task == null)
+            {
+                return NotFound();
+            }
+            _events.Publish(Request.GetBoardId(), BoardEventTypes.TaskMoved, task, Request.GetClientId());
+            _recurringTasks.Wake();
+            return Ok(task);
+        }
+        catch (ArgumentException ex)
+        {
+            return BadRequest(ex.Message);
+        }
+    }
+
+    /// <summary>
+    /// Add an item to the end of a task's checklist. Checklist endpoints return the whole task.
+    /// </summary>
+    [HttpPost("{id}/checklist")]
+    public async Task<ActionResult<TaskResponse>> AddChecklistItem(int id, CreateChecklistItemRequest request)
+    {
+        if (!ModelState.IsValid)
+        {
+            return BadRequest(ModelState);
+        }
+
+        try
+        {
+            var task = await _taskService.AddChecklistItemAsync(id, request);
+            return ChecklistChanged(task);
+        }
+        catch (ArgumentException ex)
+        {
+            return BadRequest(ex.Message);
+        }
+    }
+
+    /// <summary>
+    /// Rename a checklist item or check it off
+    /// </summary>
+    [HttpPut("{id}/checklist/{itemId}")]
+    public async Task<ActionResult<TaskResponse>> UpdateChecklistItem(int id, int itemId, UpdateChecklistItemRequest request)
+    {
+        if (!ModelState.IsValid)
+        {
+            return BadRequest(ModelState);
+        }
+
+        try
+        {
+            var task = await _taskService.UpdateChecklistItemAsync(id, itemId, request);
+            return ChecklistChanged(task);
+        }
+        catch (ArgumentException ex)
+        {
+            return BadRequest(ex.Message);
+        }
+    }
+
+    /// <summary>
+    /// Reorder a task's checklist (body lists every item ID in the new order)
+    /// </summary>
+    [HttpPut("{id}/checklist/reorder")]
+    public async Task<ActionResult<TaskResponse>> ReorderChecklist(int id, ReorderChecklistRequest request)
+    {
+        if (!ModelState.IsValid)
+        {
+            return BadRequest(ModelState);
+        }
+
+        try
+        {
+            var task = await _taskService.ReorderChecklistAsync(id, request);
+            return ChecklistChanged(task);
+        }
+        catch (ArgumentException ex)
+        {
+            return BadRequest(ex.Message);
+        }
+    }
+
+    /// <summary>
+    /// Delete a checklist item
+    /// </summary>
+    [HttpDelete("{id}/checklist/{itemId}")]
+    public async Task<ActionResult<TaskResponse>> DeleteChecklistItem(int id, int itemId)
+    {
+        var task = await _taskService.DeleteChecklistItemAsync(id, itemId);
+        return ChecklistChanged(task);
+    }
+
+    private ActionResult<TaskResponse> ChecklistChanged(TaskResponse? task)
+    {
         if (task == null)
         {
             return NotFound();
         }
+        _events.Publish(Request.GetBoardId(), BoardEventTypes.TaskUpdated, task, Request.GetClientId());
         return Ok(task);
     }
 
     /// <summary>
-    /// Get tasks by column
+    /// Move several tasks to a column, together and in the order listed
+    /// </summary>
+    [HttpPost("batch/move")]
+    public async Task<ActionResult<IEnumerable<TaskResponse>>> MoveTasks(BatchMoveTasksRequest request)
+    {
+        if (!ModelState.IsValid)
+        {
+            return BadRequest(ModelState);
+        }
+
+        try
+        {
+            var tasks = await _taskService.MoveTasksAsync(request);
+            foreach (var task in tasks)
+            {
+                _events.Publish(Request.GetBoardId(), BoardEventTypes.TaskMoved, task, Request.GetClientId());
+            }
+            _recurringTasks.Wake();
+            return Ok(tasks);
+        }
+        catch (ArgumentException ex)
+        {
+            return BadRequest(ex.Message);
+        }
+    }
+
+    /// <summary>
+    /// Set the favorite state and/or deadline of several tasks
+    /// </summary>
+    [HttpPost("batch/update")]
+    public async Task<ActionResult<IEnumerable<TaskResponse>>> UpdateTasks(BatchUpdateTasksRequest request)
+    {
+        if (!ModelState.IsValid)
+        {
+            return BadRequest(ModelState);
+        }
+
+        try
+        {
+            var tasks = await _taskService.UpdateTasksAsync(request);
+            foreach (var task in tasks)
+            {
+                _events.Publish(Request.GetBoardId(), BoardEventTypes.TaskUpdated, task, Request.GetClientId());
+            }
+            return Ok(tasks);
+        }
+        catch (ArgumentException ex)
+        {
+            return BadRequest(ex.Message);
+        }
+    }
+
+    /// <summary>
+    /// Delete several tasks
+    /// </summary>
+    [HttpPost("batch/delete")]
+    public async Task<IActionResult> DeleteTasks(BatchTaskRequest request)
+    {
+        if (!ModelState.IsValid)
+        {
+            return BadRequest(ModelState);
+        }
+
+        try
+        {
+            await _taskService.DeleteTasksAsync(request);
+            foreach (var id in request.TaskIds.Distinct())
+            {
+                _events.Publish(Request.GetBoardId(), BoardEventTypes.TaskDeleted, new { id }, Request.GetClientId());
+            }
+            return NoContent();
+        }
+        catch (ArgumentException ex)
+        {
+            return BadRequest(ex.Message);
+        }
+    }
+
+    /// <summary>
+    /// Restore several deleted tasks
+    /// </summary>
+    [HttpPost("batch/restore")]
+    public async Task<ActionResult<IEnumerable<TaskResponse>>> RestoreTasks(BatchTaskRequest request)
+    {
+        if (!ModelState.IsValid)
+        {
+            return BadRequest(ModelState);
+        }
+
+        try
+        {
+            var tasks = await _taskService.RestoreTasksAsync(request);
+            foreach (var task in tasks)
+            {
+                _events.Publish(Request.GetBoardId(), BoardEventTypes.TaskCreated, task, Request.GetClientId());
+            }
+            return Ok(tasks);
+        }
+        catch (Exception ex) when (ex is ArgumentException or InvalidOperationException)
+        {
+            return BadRequest(ex.Message);
+        }
+    }
+
+    /// <summary>
+    /// Get a page of a column's tasks in board order. Pass the previous page's
+    /// nextCursor (or the column's, from the board) to continue after it.
+    /// `today` is the caller's date, for counting the overdue tasks past the page.
     /// </summary>
     [HttpGet("column/{columnId}")]
-    public async Task<ActionResult<IEnumerable<TaskResponse>>> GetTasksByColumn(int columnId)
+    public async Task<ActionResult<TaskPageResponse>> GetTasksByColumn(
+        int columnId, [FromQuery] string? cursor, [FromQuery] int limit = TaskService.DefaultPageSize,
+        [FromQuery] DateTime? today = null)
     {
-        var tasks = await _taskService.GetTasksByColumnAsync(columnId);
-        return Ok(tasks);
+        try
+        {
+            var page = await _taskService.GetTaskPageAsync(columnId, cursor, limit, today);
+            if (page == null)
+            {
+                return NotFound();
+            }
+            return Ok(page);
+        }
+        catch (ArgumentException ex)
+        {
+            return BadRequest(ex.Message);
+        }
     }
 }
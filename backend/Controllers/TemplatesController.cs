@@ -0,0 +1,178 @@
+using Microsoft.AspNetCore.Mvc;
+using Backend.Services;
+using Backend.DTOs;
+
+namespace Backend.Controllers;
+
+[ApiController]
+[BoardScoped]
+[Route("api/[controller]")]
+public class TemplatesController : ControllerBase
+{
+    private readonly ITemplateService _templateService;
+    private readonly IBoardEventBroadcaster _events;
+    private readonly IRecurringTaskScheduler _recurringTasks;
+
+    public TemplatesController(ITemplateService templateService, IBoardEventBroadcaster events, IRecurringTaskScheduler recurringTasks)
+    {
+        _templateService = templateService;
+        _events = events;
+        _recurringTasks = recurringTasks;
+    }
+
+    /// <summary>
+    /// Get the board's task templates, by name
+    /// </summary>
+    [HttpGet]
+    public async Task<ActionResult<List<TemplateResponse>>> GetTemplates()
+    {
+        var templates = await _templateService.GetTemplatesAsync();
+        return Ok(templates);
+    }
+
+    /// <summary>
+    /// Create a template
+    /// </summary>
+    [HttpPost]
+    public async Task<ActionResult<TemplateResponse>> CreateTemplate(SaveTemplateRequest request)
+    {
+        if (!ModelState.IsValid)
+        {
+            return BadRequest(ModelState);
+        }
+
+        try
+        {
+            var template = await _templateService.CreateTemplateAsync(request);
+            return Ok(template);
+        }
+        catch (ArgumentException ex)
+        {
+            return BadRequest(ex.Message);
+        }
+    }
+
+    /// <summary>
+    /// Save a task as a template, with copies of its attachments. Its deadline
+    /// becomes a number of days after the task is made.
+    /// </summary>
+    [HttpPost("from-task/{taskId}")]
+    public async Task<ActionResult<TemplateResponse>> CreateTemplateFromTask(int taskId)
+    {
+        var template = await _templateService.CreateTemplateFromTaskAsync(taskId);
+        if (template == null)
+        {
+            return NotFound();
+        }
+        return Ok(template);
+    }
+
+    /// <summary>
+    /// Change a template's name, description, deadline or column
+    /// </summary>
+    [HttpPut("{id}")]
+    public async Task<ActionResult<TemplateResponse>> UpdateTemplate(int id, SaveTemplateRequest request)
+    {
+        if (!ModelState.IsValid)
+        {
+            return BadRequest(ModelState);
+        }
+
+        try
+        {
+            var template = await _templateService.UpdateTemplateAsync(id, request);
+            if (template == null)
+            {
+                return NotFound();
+            }
+            return Ok(template);
+        }
+        catch (ArgumentException ex)
+        {
+            return BadRequest(ex.Message);
+        }
+    }
+
+    /// <summary>
+    /// Delete a template and its files. Tasks made from it keep theirs.
+    /// </summary>
+    [HttpDelete("{id}")]
+    public async Task<IActionResult> DeleteTemplate(int id)
+    {
+        var success = await _templateService.DeleteTemplateAsync(id);
+        if (!success)
+        {
+            return NotFound();
+        }
+        return NoContent();
+    }
+
+    /// <summary>
+    /// Add a file that tasks made from the template start with
+    /// </summary>
+    [HttpPost("{id}/attachments")]
+    public async Task<ActionResult<AttachmentResponse>> UploadAttachment(int id, IFormFile file)
+    {
+        if (file == null || file.Length == 0)
+        {
+            return BadRequest("No file uploaded");
+        }
+
+        try
+        {
+            var attachment = await _templateService.AddAttachmentAsync(id, file);
+            if (attachment == null)
+            {
+                return NotFound();
+            }
+            return Ok(attachment);
+        }
+        catch (ArgumentException ex)
+        {
+            return BadRequest(ex.Message);
+        }
+    }
+
+    /// <summary>
+    /// Remove a file from a template
+    /// </summary>
+    [HttpDelete("{id}/attachments/{attachmentId}")]
+    public async Task<IActionResult> DeleteAttachment(int id, int attachmentId)
+    {
+        var success = await _templateService.DeleteAttachmentAsync(id, attachmentId);
+        if (!success)
+        {
+            return NotFound();
+        }
+        return NoContent();
+    }
+
+    /// <summary>
+    /// Create a task from a template. The request holds the task as filled in
+    /// from the template; the template adds its attachments.
+    /// </summary>
+    [HttpPost("{id}/tasks")]
+    public async Task<ActionResult<TaskResponse>> CreateTask(int id, CreateTaskRequest request)
+    {
+        if (!ModelState.IsValid)
+        {
+            return BadRequest(ModelState);
+        }
+
+        try
+        {
+            var task = await _templateService.CreateTaskAsync(id, request);
+            if (task == null)
+            {
+                return NotFound();
+            }
+            _events.Publish(Request.GetBoardId(), BoardEventTypes.TaskCreated, task, Request.GetClientId());
+            _recurringTasks.Wake();
+            return CreatedAtAction(nameof(TasksController.GetTask), "Tasks", new { id = task.Id }, task);
+        }
+        catch (ArgumentException ex)
+        {
+            return BadRequest(ex.Message);
+        }
+    }
+}
@@ -0,0 +1,45 @@
+using System.ComponentModel.DataAnnotations;
+
+namespace Backend.DTOs;
+
+public class SignUpRequest
+{
+    [Required]
+    [EmailAddress]
+    [StringLength(256)]
+    public string Email { get; set; } = string.Empty;
+
+    [Required]
+    [StringLength(100, MinimumLength = 1)]
+    public string DisplayName { get; set; } = string.Empty;
+
+    [Required]
+    [StringLength(128, MinimumLength = 8, ErrorMessage = "Password must be at least 8 characters")]
+    public string Password { get; set; } = string.Empty;
+}
+
+public class LogInRequest
+{
+    [Required]
+    public string Email { get; set; } = string.Empty;
+
+    [Required]
+    public string Password { get; set; } = string.Empty;
+}
+
+public class AuthResponse
+{
+    /// <summary>
+    /// Bearer token for the Authorization header
+    /// </summary>
+    public string Token { get; set; } = string.Empty;
+    public DateTime ExpiresAt { get; set; }
+    public UserResponse User { get; set; } = new();
+}
+
+public class UserResponse
+{
+    public int Id { get; set; }
+    public string Email { get; set; } = string.Empty;
+    public string DisplayName { get; set; } = string.Empty;
+}
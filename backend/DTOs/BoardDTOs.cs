@@ -0,0 +1,50 @@
+using System.ComponentModel.DataAnnotations;
+using Backend.Models;
+
+namespace Backend.DTOs;
+
+public class SaveBoardRequest
+{
+    [Required]
+    [StringLength(100, MinimumLength = 1)]
+    public string Name { get; set; } = string.Empty;
+}
+
+/// <summary>
+/// A board the caller can open, with what they may do on it
+/// </summary>
+public class BoardSummaryResponse
+{
+    public int Id { get; set; }
+    public string Name { get; set; } = string.Empty;
+    public BoardRole Role { get; set; }
+    public string OwnerName { get; set; } = string.Empty;
+}
+
+public class ShareBoardRequest
+{
+    [Required]
+    [EmailAddress]
+    public string Email { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Viewer or Editor
+    /// </summary>
+    public BoardRole Role { get; set; } = BoardRole.Viewer;
+}
+
+public class UpdateBoardShareRequest
+{
+    /// <summary>
+    /// Viewer or Editor
+    /// </summary>
+    public BoardRole Role { get; set; }
+}
+
+public class BoardShareResponse
+{
+    public int UserId { get; set; }
+    public string Email { get; set; } = string.Empty;
+    public string DisplayName { get; set; } = string.Empty;
+    public BoardRole Role { get; set; }
+}
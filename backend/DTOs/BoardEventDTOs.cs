@@ -0,0 +1,52 @@
+namespace Backend.DTOs;
+
+/// <summary>
+/// Event types pushed to connected clients when the board changes
+/// </summary>
+public static class BoardEventTypes
+{
+    public const string TaskCreated = "task.created";
+    public const string TaskUpdated = "task.updated";
+    public const string TaskMoved = "task.moved";
+    public const string TaskDeleted = "task.deleted";
+    public const string ColumnCreated = "column.created";
+    public const string ColumnUpdated = "column.updated";
+    public const string ColumnDeleted = "column.deleted";
+    public const string ColumnsReordered = "columns.reordered";
+    public const string AttachmentCreated = "attachment.created";
+    public const string AttachmentDeleted = "attachment.deleted";
+    public const string LabelCreated = "label.created";
+    public const string LabelUpdated = "label.updated";
+    public const string LabelDeleted = "label.deleted";
+    public const string MemberCreated = "member.created";
+    public const string MemberUpdated = "member.updated";
+    public const string MemberDeleted = "member.deleted";
+    public const string CommentCreated = "comment.created";
+    public const string CommentUpdated = "comment.updated";
+    public const string CommentDeleted = "comment.deleted";
+
+    /// <summary>
+    /// Many columns and tasks changed at once; clients reload the board
+    /// </summary>
+    public const string BoardImported = "board.imported";
+}
+
+public class BoardEvent
+{
+    public long Id { get; set; }
+    public string Type { get; set; } = string.Empty;
+    public object? Data { get; set; }
+
+    /// <summary>
+    /// X-Client-Id of the client that made the change, so it can skip its own events
+    /// </summary>
+    public string? SourceClientId { get; set; }
+
+    public DateTime OccurredAt { get; set; } = DateTime.UtcNow;
+}
+
+public class AttachmentEventData
+{
+    public int TaskId { get; set; }
+    public AttachmentResponse Attachment { get; set; } = null!;
+}
@@ -0,0 +1,85 @@
+using System.ComponentModel.DataAnnotations;
+using System.Text.Json.Serialization;
+using Backend.Models;
+
+namespace Backend.DTOs;
+
+/// <summary>
+/// What to do with an imported task whose name matches a task already in its column
+/// </summary>
+[JsonConverter(typeof(JsonStringEnumConverter))]
+public enum ImportConflictMode
+{
+    /// <summary>Keep the existing task and leave the imported one out</summary>
+    Skip,
+
+    /// <summary>Import the task alongside the existing one</summary>
+    Duplicate,
+
+    /// <summary>Update the existing task's description, deadline and favorite state</summary>
+    Overwrite
+}
+
+/// <summary>
+/// Tasks to load into the board, grouped by the column they go into.
+/// The whole import is rejected if any part of it is invalid.
+/// </summary>
+public class ImportBoardRequest
+{
+    [Required]
+    [MinLength(1)]
+    public List<ImportColumnRequest> Columns { get; set; } = new();
+
+    public ImportConflictMode OnConflict { get; set; } = ImportConflictMode.Skip;
+}
+
+public class ImportColumnRequest
+{
+    /// <summary>
+    /// Existing column to import into, or null to create a column called Name
+    /// </summary>
+    public int? ColumnId { get; set; }
+
+    [StringLength(100)]
+    public string Name { get; set; } = string.Empty;
+
+    public List<ImportTaskRequest> Tasks { get; set; } = new();
+}
+
+public class ImportTaskRequest
+{
+    [Required]
+    [StringLength(200)]
+    public string Name { get; set; } = string.Empty;
+
+    [StringLength(1000)]
+    public string Description { get; set; } = string.Empty;
+
+    public DateTime? Deadline { get; set; }
+
+    public bool IsFavorite { get; set; }
+
+    public TaskPriority Priority { get; set; } = TaskPriority.Medium;
+
+    /// <summary>
+    /// Labels by name: the board's label of that name, or a new one in Color
+    /// </summary>
+    public List<SaveLabelRequest> Labels { get; set; } = new();
+
+    public List<UpdateChecklistItemRequest> ChecklistItems { get; set; } = new();
+
+    /// <summary>
+    /// How often the task comes back, or null for a one-off task
+    /// </summary>
+    public RecurrenceRule? Recurrence { get; set; }
+}
+
+public class ImportBoardResponse
+{
+    public int ColumnsCreated { get; set; }
+    public int TasksCreated { get; set; }
+    public int TasksUpdated { get; set; }
+    public int TasksSkipped { get; set; }
+    public int LabelsCreated { get; set; }
+    public BoardResponse Board { get; set; } = new();
+}
@@ -0,0 +1,78 @@
+using System.ComponentModel.DataAnnotations;
+
+namespace Backend.DTOs;
+
+public class CreateCommentRequest
+{
+    /// <summary>
+    /// Markdown source
+    /// </summary>
+    [Required]
+    [StringLength(4000, MinimumLength = 1)]
+    public string Body { get; set; } = string.Empty;
+}
+
+public class UpdateCommentRequest
+{
+    [Required]
+    [StringLength(4000, MinimumLength = 1)]
+    public string Body { get; set; } = string.Empty;
+}
+
+public class CommentResponse
+{
+    public int Id { get; set; }
+    public int TaskId { get; set; }
+    /// <summary>
+    /// User ID of the author; null for comments from before accounts
+    /// </summary>
+    public int? AuthorUserId { get; set; }
+    public string AuthorName { get; set; } = string.Empty;
+    public string Body { get; set; } = string.Empty;
+    public DateTime CreatedAt { get; set; }
+    public DateTime? EditedAt { get; set; }
+}
+
+/// <summary>
+/// Kinds of task activity entry
+/// </summary>
+public static class TaskActivityTypes
+{
+    /// <summary>
+    /// The task was created. Not stored; derived from the task's CreatedAt
+    /// </summary>
+    public const string Created = "created";
+
+    /// <summary>
+    /// Field ("name", "description", "deadline" or "priority") changed from OldValue to NewValue
+    /// </summary>
+    public const string Edited = "edited";
+
+    /// <summary>
+    /// Moved from the column named OldValue to the one named NewValue
+    /// </summary>
+    public const string Moved = "moved";
+
+    public const string Favorited = "favorited";
+    public const string Unfavorited = "unfavorited";
+
+    /// <summary>
+    /// NewValue is the file name
+    /// </summary>
+    public const string AttachmentAdded = "attachment.added";
+
+    /// <summary>
+    /// OldValue is the file name
+    /// </summary>
+    public const string AttachmentRemoved = "attachment.removed";
+}
+
+public class TaskActivityResponse
+{
+    public int Id { get; set; }
+    public string Type { get; set; } = string.Empty;
+    public string? Field { get; set; }
+    public string? OldValue { get; set; }
+    public string? NewValue { get; set; }
+    public DateTime OccurredAt { get; set; }
+}
@@ -1,4 +1,5 @@
 using System.ComponentModel.DataAnnotations;
+using Backend.Models;
 
 namespace Backend.DTOs;
 
@@ -12,8 +13,19 @@ public class CreateTaskRequest
     public string Description { get; set; } = string.Empty;
     
     public DateTime? Deadline { get; set; }
+
+    public TaskPriority Priority { get; set; } = TaskPriority.Medium;
+
+    public List<int> LabelIds { get; set; } = new();
+
+    public List<int> AssigneeIds { get; set; } = new();
     
     public int ColumnId { get; set; }
+
+    /// <summary>
+    /// How often the task comes back, or null for a one-off task
+    /// </summary>
+    public RecurrenceRule? Recurrence { get; set; }
 }
 
 public class UpdateTaskRequest
@@ -28,8 +40,41 @@ public class UpdateTaskRequest
     public DateTime? Deadline { get; set; }
     
     public bool IsFavorite { get; set; }
+
+    /// <summary>
+    /// New priority, or null to leave it unchanged
+    /// </summary>
+    public TaskPriority? Priority { get; set; }
+
+    /// <summary>
+    /// Every label the task should have, or null to leave them unchanged
+    /// </summary>
+    public List<int>? LabelIds { get; set; }
+
+    /// <summary>
+    /// Every member the task should be assigned to, or null to leave them unchanged
+    /// </summary>
+    public List<int>? AssigneeIds { get; set; }
     
     public int ColumnId { get; set; }
+
+    /// <summary>
+    /// New recurrence, or null to leave it unchanged. Frequency none stops it.
+    /// </summary>
+    public RecurrenceRule? Recurrence { get; set; }
+}
+
+/// <summary>
+/// How often a task comes back. See RecurrenceSchedule for when the next one is due.
+/// </summary>
+public class RecurrenceRule
+{
+    public RecurrenceFrequency Frequency { get; set; }
+
+    /// <summary>
+    /// For weekly recurrence, the days it falls on: 0 for Sunday to 6 for Saturday
+    /// </summary>
+    public List<int> Weekdays { get; set; } = new();
 }
 
 public class MoveTaskRequest
@@ -38,6 +83,42 @@ public class MoveTaskRequest
     public int SortOrder { get; set; }
 }
 
+/// <summary>
+/// Tasks for a batch request. If any ID is unknown the whole batch is rejected.
+/// </summary>
+public class BatchTaskRequest
+{
+    [Required]
+    [MinLength(1)]
+    public List<int> TaskIds { get; set; } = new();
+}
+
+public class BatchMoveTasksRequest : BatchTaskRequest
+{
+    public int ColumnId { get; set; }
+
+    /// <summary>
+    /// 1-based position of the first task among the column's other tasks, counted
+    /// in board order; 0 appends. The tasks keep the order they are listed in.
+    /// </summary>
+    public int SortOrder { get; set; }
+}
+
+public class BatchUpdateTasksRequest : BatchTaskRequest
+{
+    /// <summary>
+    /// Favorite state to set, or null to leave it unchanged
+    /// </summary>
+    public bool? IsFavorite { get; set; }
+
+    /// <summary>
+    /// When true, every task's deadline is set to Deadline (null clears it)
+    /// </summary>
+    public bool SetDeadline { get; set; }
+
+    public DateTime? Deadline { get; set; }
+}
+
 public class TaskResponse
 {
     public int Id { get; set; }
@@ -47,10 +128,19 @@ public class TaskResponse
     public DateTime CreatedAt { get; set; }
     public DateTime UpdatedAt { get; set; }
     public bool IsFavorite { get; set; }
+    public TaskPriority Priority { get; set; }
+    public List<int> LabelIds { get; set; } = new();
+    public List<int> AssigneeIds { get; set; } = new();
     public int ColumnId { get; set; }
     public string ColumnName { get; set; } = string.Empty;
     public int SortOrder { get; set; }
     public List<AttachmentResponse> Attachments { get; set; } = new();
+    public List<ChecklistItemResponse> ChecklistItems { get; set; } = new();
+
+    /// <summary>
+    /// Null for a one-off task
+    /// </summary>
+    public RecurrenceRule? Recurrence { get; set; }
 }
 
 public class AttachmentResponse
@@ -62,6 +152,36 @@ public class AttachmentResponse
     public DateTime UploadedAt { get; set; }
 }
 
+public class CreateChecklistItemRequest
+{
+    [Required]
+    [StringLength(200, MinimumLength = 1)]
+    public string Text { get; set; } = string.Empty;
+}
+
+public class UpdateChecklistItemRequest
+{
+    [Required]
+    [StringLength(200, MinimumLength = 1)]
+    public string Text { get; set; } = string.Empty;
+
+    public bool IsDone { get; set; }
+}
+
+public class ReorderChecklistRequest
+{
+    [Required]
+    public List<int> ItemIds { get; set; } = new();
+}
+
+public class ChecklistItemResponse
+{
+    public int Id { get; set; }
+    public string Text { get; set; } = string.Empty;
+    public bool IsDone { get; set; }
+    public int SortOrder { get; set; }
+}
+
 public class CreateColumnRequest
 {
     [Required]
@@ -69,15 +189,106 @@ public class CreateColumnRequest
     public string Name { get; set; } = string.Empty;
 }
 
+public class UpdateColumnRequest
+{
+    [Required]
+    [StringLength(100)]
+    public string Name { get; set; } = string.Empty;
+}
+
+public class ReorderColumnsRequest
+{
+    [Required]
+    public List<int> ColumnIds { get; set; } = new();
+}
+
 public class ColumnResponse
 {
     public int Id { get; set; }
     public string Name { get; set; } = string.Empty;
     public int SortOrder { get; set; }
+
+    /// <summary>
+    /// In board order. On the board, only the first page of them.
+    /// </summary>
     public List<TaskResponse> Tasks { get; set; } = new();
+
+    /// <summary>
+    /// Every task in the column, including those not in Tasks
+    /// </summary>
+    public int TaskCount { get; set; }
+
+    /// <summary>
+    /// Continues after Tasks with GET /api/tasks/column/{id}; null when Tasks has them all
+    /// </summary>
+    public string? NextCursor { get; set; }
+
+    /// <summary>
+    /// How many of the tasks after Tasks are overdue, so the column's overdue
+    /// count is right before they are loaded
+    /// </summary>
+    public int OverdueAfterCount { get; set; }
+}
+
+/// <summary>
+/// A page of a column's tasks in board order
+/// </summary>
+public class TaskPageResponse
+{
+    public List<TaskResponse> Tasks { get; set; } = new();
+
+    /// <summary>
+    /// Cursor for the next page, or null after the last one
+    /// </summary>
+    public string? NextCursor { get; set; }
+
+    public int TotalCount { get; set; }
+
+    /// <summary>
+    /// How many of the tasks after this page are overdue
+    /// </summary>
+    public int OverdueAfterCount { get; set; }
 }
 
 public class BoardResponse
 {
     public List<ColumnResponse> Columns { get; set; } = new();
+    public List<LabelResponse> Labels { get; set; } = new();
+    public List<MemberResponse> Members { get; set; } = new();
+}
+
+public class SaveLabelRequest
+{
+    [Required]
+    [StringLength(50, MinimumLength = 1)]
+    public string Name { get; set; } = string.Empty;
+
+    [Required]
+    [RegularExpression("^#[0-9a-fA-F]{6}$", ErrorMessage = "Color must be a hex color such as #e03131")]
+    public string Color { get; set; } = string.Empty;
+}
+
+public class LabelResponse
+{
+    public int Id { get; set; }
+    public string Name { get; set; } = string.Empty;
+    public string Color { get; set; } = string.Empty;
+}
+
+public class SaveMemberRequest
+{
+    [Required]
+    [StringLength(100, MinimumLength = 1)]
+    public string Name { get; set; } = string.Empty;
+
+    [Required]
+    [RegularExpression("^#[0-9a-fA-F]{6}$", ErrorMessage = "Color must be a hex color such as #1971c2")]
+    public string Color { get; set; } = string.Empty;
+}
+
+public class MemberResponse
+{
+    public int Id { get; set; }
+    public string Name { get; set; } = string.Empty;
+    public string Color { get; set; } = string.Empty;
 }
@@ -0,0 +1,43 @@
+using System.ComponentModel.DataAnnotations;
+
+namespace Backend.DTOs;
+
+public class SaveTemplateRequest
+{
+    [Required]
+    [StringLength(200, MinimumLength = 1)]
+    public string Name { get; set; } = string.Empty;
+
+    [StringLength(1000)]
+    public string Description { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Days from the day a task is made to its deadline, or null for no deadline
+    /// </summary>
+    [Range(0, 3650)]
+    public int? DeadlineInDays { get; set; }
+
+    /// <summary>
+    /// Column tasks are made in, or null for the board's first column
+    /// </summary>
+    public int? ColumnId { get; set; }
+}
+
+public class TemplateResponse
+{
+    public int Id { get; set; }
+    public string Name { get; set; } = string.Empty;
+    public string Description { get; set; } = string.Empty;
+    public int? DeadlineInDays { get; set; }
+
+    /// <summary>
+    /// Null when tasks go to the first column, including when the template's
+    /// column was deleted
+    /// </summary>
+    public int? ColumnId { get; set; }
+
+    /// <summary>
+    /// Files every task made from the template starts with
+    /// </summary>
+    public List<AttachmentResponse> Attachments { get; set; } = new();
+}
@@ -0,0 +1,28 @@
+using Microsoft.EntityFrameworkCore;
+
+namespace Backend.Data;
+
+/// <summary>
+/// Brings the database up to date at startup. The SQLite database is created
+/// on first run and migrated after that; the in-memory database tests use is
+/// simply created.
+/// </summary>
+/// <remarks>
+/// There is nothing global to seed: every board gets the default To Do,
+/// In Progress and Done columns once, when it is created, so columns deleted
+/// later don't come back on restart.
+/// </remarks>
+public static class DatabaseInitializer
+{
+    public static async Task InitializeAsync(TaskDbContext context, CancellationToken cancellationToken = default)
+    {
+        if (context.Database.IsRelational())
+        {
+            await context.Database.MigrateAsync(cancellationToken);
+        }
+        else
+        {
+            await context.Database.EnsureCreatedAsync(cancellationToken);
+        }
+    }
+}
@@ -1,17 +1,79 @@
 using Microsoft.EntityFrameworkCore;
+using Microsoft.EntityFrameworkCore.Storage.ValueConversion;
 using Backend.Models;
+using Backend.Services;
 
 namespace Backend.Data;
 
 public class TaskDbContext : DbContext
 {
-    public TaskDbContext(DbContextOptions<TaskDbContext> options) : base(options)
+    private readonly CurrentBoard? _currentBoard;
+
+    public TaskDbContext(DbContextOptions<TaskDbContext> options, CurrentBoard? currentBoard = null) : base(options)
     {
+        _currentBoard = currentBoard;
     }
 
+    /// <summary>
+    /// The board queries are limited to, or null for every board
+    /// </summary>
+    public int? CurrentBoardId => _currentBoard?.Id;
+
     public DbSet<TaskItem> Tasks { get; set; }
     public DbSet<TaskColumn> Columns { get; set; }
     public DbSet<TaskAttachment> Attachments { get; set; }
+    public DbSet<TaskComment> Comments { get; set; }
+    public DbSet<TaskActivity> Activities { get; set; }
+    public DbSet<ChecklistItem> ChecklistItems { get; set; }
+    public DbSet<TaskLabel> Labels { get; set; }
+    public DbSet<BoardMember> Members { get; set; }
+    public DbSet<User> Users { get; set; }
+    public DbSet<AuthSession> AuthSessions { get; set; }
+    public DbSet<Board> Boards { get; set; }
+    public DbSet<BoardShare> BoardShares { get; set; }
+    public DbSet<TaskTemplate> Templates { get; set; }
+    public DbSet<TemplateAttachment> TemplateAttachments { get; set; }
+
+    /// <summary>
+    /// Whether a row loaded past the query filters (e.g. to restore it)
+    /// belongs to the current board
+    /// </summary>
+    public bool IsOnCurrentBoard(int boardId) => CurrentBoardId == null || boardId == CurrentBoardId;
+
+    public override int SaveChanges(bool acceptAllChangesOnSuccess)
+    {
+        StampCurrentBoard();
+        return base.SaveChanges(acceptAllChangesOnSuccess);
+    }
+
+    public override Task<int> SaveChangesAsync(bool acceptAllChangesOnSuccess, CancellationToken cancellationToken = default)
+    {
+        StampCurrentBoard();
+        return base.SaveChangesAsync(acceptAllChangesOnSuccess, cancellationToken);
+    }
+
+    // Services create columns, labels, members and templates without knowing the board
+    private void StampCurrentBoard()
+    {
+        if (CurrentBoardId is not int boardId) return;
+
+        foreach (var entry in ChangeTracker.Entries<IBoardScoped>())
+        {
+            if (entry.State == EntityState.Added && entry.Entity.BoardId == 0)
+            {
+                entry.Entity.BoardId = boardId;
+            }
+        }
+    }
+
+    // SQLite keeps dates as text without a time zone. Everything is saved in
+    // UTC, so mark it as such when reading it back, or it would be serialized
+    // without the trailing Z.
+    protected override void ConfigureConventions(ModelConfigurationBuilder configurationBuilder)
+    {
+        configurationBuilder.Properties<DateTime>().HaveConversion<UtcDateTimeConverter>();
+        configurationBuilder.Properties<DateTime?>().HaveConversion<UtcDateTimeConverter>();
+    }
 
     protected override void OnModelCreating(ModelBuilder modelBuilder)
     {
@@ -27,6 +89,31 @@ public class TaskDbContext : DbContext
                   .WithMany(c => c.Tasks)
                   .HasForeignKey(e => e.ColumnId)
                   .OnDelete(DeleteBehavior.Cascade);
+            // Soft-deleted rows are hidden everywhere except restore and cleanup,
+            // and other boards' rows always are
+            entity.HasQueryFilter(e => e.DeletedAt == null
+                && (CurrentBoardId == null || e.Column.BoardId == CurrentBoardId));
+            // Deleting a label or member only removes it from its tasks
+            entity.HasMany(e => e.Labels).WithMany(l => l.Tasks);
+            entity.HasMany(e => e.Assignees).WithMany(m => m.Tasks);
+        });
+
+        modelBuilder.Entity<TaskLabel>(entity =>
+        {
+            entity.HasKey(e => e.Id);
+            entity.Property(e => e.Name).IsRequired().HasMaxLength(50);
+            entity.Property(e => e.Color).IsRequired().HasMaxLength(7);
+            entity.HasOne<Board>().WithMany().HasForeignKey(e => e.BoardId).OnDelete(DeleteBehavior.Cascade);
+            entity.HasQueryFilter(e => CurrentBoardId == null || e.BoardId == CurrentBoardId);
+        });
+
+        modelBuilder.Entity<BoardMember>(entity =>
+        {
+            entity.HasKey(e => e.Id);
+            entity.Property(e => e.Name).IsRequired().HasMaxLength(100);
+            entity.Property(e => e.Color).IsRequired().HasMaxLength(7);
+            entity.HasOne<Board>().WithMany().HasForeignKey(e => e.BoardId).OnDelete(DeleteBehavior.Cascade);
+            entity.HasQueryFilter(e => CurrentBoardId == null || e.BoardId == CurrentBoardId);
         });
 
         // Configure Column entity
@@ -34,6 +121,9 @@ public class TaskDbContext : DbContext
         {
             entity.HasKey(e => e.Id);
             entity.Property(e => e.Name).IsRequired().HasMaxLength(100);
+            entity.HasOne<Board>().WithMany().HasForeignKey(e => e.BoardId).OnDelete(DeleteBehavior.Cascade);
+            entity.HasQueryFilter(e => e.DeletedAt == null
+                && (CurrentBoardId == null || e.BoardId == CurrentBoardId));
         });
 
         // Configure Attachment entity
@@ -46,13 +136,122 @@ public class TaskDbContext : DbContext
                   .WithMany(t => t.Attachments)
                   .HasForeignKey(e => e.TaskId)
                   .OnDelete(DeleteBehavior.Cascade);
+            entity.HasQueryFilter(e => e.DeletedAt == null
+                && (CurrentBoardId == null || e.Task.Column.BoardId == CurrentBoardId));
+        });
+
+        // Checklists, comments and activity are only reached through their
+        // task, which already hides deleted tasks and other boards' tasks.
+        // Comments are also looked up by their own ID, so they are filtered too.
+        modelBuilder.Entity<ChecklistItem>(entity =>
+        {
+            entity.HasKey(e => e.Id);
+            entity.Property(e => e.Text).IsRequired().HasMaxLength(200);
+            entity.HasOne(e => e.Task)
+                  .WithMany(t => t.ChecklistItems)
+                  .HasForeignKey(e => e.TaskId)
+                  .OnDelete(DeleteBehavior.Cascade);
+        });
+
+        modelBuilder.Entity<TaskComment>(entity =>
+        {
+            entity.HasKey(e => e.Id);
+            entity.Property(e => e.AuthorName).HasMaxLength(100);
+            entity.Property(e => e.Body).IsRequired().HasMaxLength(4000);
+            entity.HasOne(e => e.Author)
+                  .WithMany()
+                  .HasForeignKey(e => e.AuthorUserId)
+                  .OnDelete(DeleteBehavior.SetNull);
+            entity.HasOne(e => e.Task)
+                  .WithMany(t => t.Comments)
+                  .HasForeignKey(e => e.TaskId)
+                  .OnDelete(DeleteBehavior.Cascade);
+            entity.HasQueryFilter(e => CurrentBoardId == null || e.Task.Column.BoardId == CurrentBoardId);
+        });
+
+        modelBuilder.Entity<TaskActivity>(entity =>
+        {
+            entity.HasKey(e => e.Id);
+            entity.Property(e => e.Type).IsRequired().HasMaxLength(50);
+            entity.HasOne(e => e.Task)
+                  .WithMany(t => t.Activities)
+                  .HasForeignKey(e => e.TaskId)
+                  .OnDelete(DeleteBehavior.Cascade);
+        });
+
+        modelBuilder.Entity<TaskTemplate>(entity =>
+        {
+            entity.HasKey(e => e.Id);
+            entity.Property(e => e.Name).IsRequired().HasMaxLength(200);
+            entity.Property(e => e.Description).HasMaxLength(1000);
+            entity.HasOne<Board>().WithMany().HasForeignKey(e => e.BoardId).OnDelete(DeleteBehavior.Cascade);
+            entity.HasQueryFilter(e => CurrentBoardId == null || e.BoardId == CurrentBoardId);
+        });
+
+        // Template attachments are deleted for good rather than to the trash
+        modelBuilder.Entity<TemplateAttachment>(entity =>
+        {
+            entity.HasKey(e => e.Id);
+            entity.Property(e => e.FileName).IsRequired();
+            entity.Property(e => e.FilePath).IsRequired();
+            entity.HasOne(e => e.Template)
+                  .WithMany(t => t.Attachments)
+                  .HasForeignKey(e => e.TemplateId)
+                  .OnDelete(DeleteBehavior.Cascade);
+            entity.HasQueryFilter(e => CurrentBoardId == null || e.Template.BoardId == CurrentBoardId);
+        });
+
+        modelBuilder.Entity<User>(entity =>
+        {
+            entity.HasKey(e => e.Id);
+            entity.Property(e => e.Email).IsRequired().HasMaxLength(256);
+            entity.HasIndex(e => e.Email).IsUnique();
+            entity.Property(e => e.DisplayName).IsRequired().HasMaxLength(100);
+            entity.Property(e => e.PasswordHash).IsRequired();
         });
 
-        // Seed default columns
-        modelBuilder.Entity<TaskColumn>().HasData(
-            new TaskColumn { Id = 1, Name = "To Do", SortOrder = 1 },
-            new TaskColumn { Id = 2, Name = "In Progress", SortOrder = 2 },
-            new TaskColumn { Id = 3, Name = "Done", SortOrder = 3 }
-        );
+        modelBuilder.Entity<AuthSession>(entity =>
+        {
+            entity.HasKey(e => e.Id);
+            entity.Property(e => e.TokenHash).IsRequired().HasMaxLength(64);
+            entity.HasIndex(e => e.TokenHash).IsUnique();
+            entity.HasOne(e => e.User)
+                  .WithMany()
+                  .HasForeignKey(e => e.UserId)
+                  .OnDelete(DeleteBehavior.Cascade);
+        });
+
+        // New users get a board of their own at signup rather than seeded columns
+        modelBuilder.Entity<Board>(entity =>
+        {
+            entity.HasKey(e => e.Id);
+            entity.Property(e => e.Name).IsRequired().HasMaxLength(100);
+            entity.HasOne(e => e.Owner)
+                  .WithMany()
+                  .HasForeignKey(e => e.OwnerId)
+                  .OnDelete(DeleteBehavior.Cascade);
+        });
+
+        modelBuilder.Entity<BoardShare>(entity =>
+        {
+            entity.HasKey(e => e.Id);
+            entity.HasIndex(e => new { e.BoardId, e.UserId }).IsUnique();
+            entity.HasOne(e => e.Board)
+                  .WithMany(b => b.Shares)
+                  .HasForeignKey(e => e.BoardId)
+                  .OnDelete(DeleteBehavior.Cascade);
+            entity.HasOne(e => e.User)
+                  .WithMany()
+                  .HasForeignKey(e => e.UserId)
+                  .OnDelete(DeleteBehavior.Cascade);
+        });
+    }
+}
+
+public class UtcDateTimeConverter : ValueConverter<DateTime, DateTime>
+{
+    public UtcDateTimeConverter()
+        : base(value => value, value => DateTime.SpecifyKind(value, DateTimeKind.Utc))
+    {
     }
 }
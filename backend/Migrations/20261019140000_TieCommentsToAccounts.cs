@@ -0,0 +1,63 @@
+using Microsoft.EntityFrameworkCore.Migrations;
+
+#nullable disable
+
+namespace Backend.Migrations
+{
+    /// <inheritdoc />
+    public partial class TieCommentsToAccounts : Migration
+    {
+        /// <inheritdoc />
+        protected override void Up(MigrationBuilder migrationBuilder)
+        {
+            // Browser author IDs can't be matched to accounts, so earlier
+            // comments keep their name but can no longer be edited
+            migrationBuilder.DropColumn(
+                name: "AuthorId",
+                table: "Comments");
+
+            migrationBuilder.AddColumn<int>(
+                name: "AuthorUserId",
+                table: "Comments",
+                type: "INTEGER",
+                nullable: true);
+
+            migrationBuilder.CreateIndex(
+                name: "IX_Comments_AuthorUserId",
+                table: "Comments",
+                column: "AuthorUserId");
+
+            migrationBuilder.AddForeignKey(
+                name: "FK_Comments_Users_AuthorUserId",
+                table: "Comments",
+                column: "AuthorUserId",
+                principalTable: "Users",
+                principalColumn: "Id",
+                onDelete: ReferentialAction.SetNull);
+        }
+
+        /// <inheritdoc />
+        protected override void Down(MigrationBuilder migrationBuilder)
+        {
+            migrationBuilder.DropForeignKey(
+                name: "FK_Comments_Users_AuthorUserId",
+                table: "Comments");
+
+            migrationBuilder.DropIndex(
+                name: "IX_Comments_AuthorUserId",
+                table: "Comments");
+
+            migrationBuilder.DropColumn(
+                name: "AuthorUserId",
+                table: "Comments");
+
+            migrationBuilder.AddColumn<string>(
+                name: "AuthorId",
+                table: "Comments",
+                type: "TEXT",
+                maxLength: 64,
+                nullable: false,
+                defaultValue: "");
+        }
+    }
+}
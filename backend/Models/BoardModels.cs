@@ -0,0 +1,128 @@
+using System.ComponentModel.DataAnnotations;
+using System.Text.Json.Serialization;
+
+namespace Backend.Models;
+
+/// <summary>
+/// Someone who can sign in. Accounts live in the app's own database.
+/// </summary>
+public class User
+{
+    public int Id { get; set; }
+
+    /// <summary>
+    /// Stored lowercased; unique
+    /// </summary>
+    [Required]
+    [StringLength(256)]
+    public string Email { get; set; } = string.Empty;
+
+    [Required]
+    [StringLength(100)]
+    public string DisplayName { get; set; } = string.Empty;
+
+    [Required]
+    public string PasswordHash { get; set; } = string.Empty;
+
+    public DateTime CreatedAt { get; set; } = DateTime.UtcNow;
+}
+
+/// <summary>
+/// A signed-in session. Only a hash of the bearer token is stored, so a
+/// leaked database can't be used to sign in.
+/// </summary>
+public class AuthSession
+{
+    public int Id { get; set; }
+
+    public int UserId { get; set; }
+
+    public virtual User User { get; set; } = null!;
+
+    /// <summary>
+    /// Hex SHA-256 of the token
+    /// </summary>
+    [Required]
+    [StringLength(64)]
+    public string TokenHash { get; set; } = string.Empty;
+
+    public DateTime CreatedAt { get; set; } = DateTime.UtcNow;
+
+    public DateTime ExpiresAt { get; set; }
+}
+
+/// <summary>
+/// A board of columns, tasks, labels and members. Each user can own several
+/// and be invited to others'.
+/// </summary>
+public class Board
+{
+    public int Id { get; set; }
+
+    [Required]
+    [StringLength(100)]
+    public string Name { get; set; } = string.Empty;
+
+    public int OwnerId { get; set; }
+
+    public virtual User Owner { get; set; } = null!;
+
+    public DateTime CreatedAt { get; set; } = DateTime.UtcNow;
+
+    public virtual ICollection<BoardShare> Shares { get; set; } = new List<BoardShare>();
+}
+
+/// <summary>
+/// Another user's access to a board
+/// </summary>
+public class BoardShare
+{
+    public int Id { get; set; }
+
+    public int BoardId { get; set; }
+
+    public virtual Board Board { get; set; } = null!;
+
+    public int UserId { get; set; }
+
+    public virtual User User { get; set; } = null!;
+
+    /// <summary>
+    /// Viewer or Editor; owners aren't shared with
+    /// </summary>
+    public BoardRole Role { get; set; } = BoardRole.Viewer;
+}
+
+/// <summary>
+/// What a user may do on a board. Higher roles include the lower ones.
+/// </summary>
+[JsonConverter(typeof(JsonStringEnumConverter))]
+public enum BoardRole
+{
+    /// <summary>
+    /// Read the board and follow its changes
+    /// </summary>
+    [JsonStringEnumMemberName("viewer")]
+    Viewer = 1,
+
+    /// <summary>
+    /// Also change columns, tasks, labels and members
+    /// </summary>
+    [JsonStringEnumMemberName("editor")]
+    Editor = 2,
+
+    /// <summary>
+    /// Also rename, share and delete the board
+    /// </summary>
+    [JsonStringEnumMemberName("owner")]
+    Owner = 3
+}
+
+/// <summary>
+/// Rows that belong to one board. New rows get the current request's board
+/// when they are saved.
+/// </summary>
+public interface IBoardScoped
+{
+    int BoardId { get; set; }
+}
@@ -1,4 +1,5 @@
 using System.ComponentModel.DataAnnotations;
+using System.Text.Json.Serialization;
 
 namespace Backend.Models;
 
@@ -20,19 +21,105 @@ public class TaskItem
     public DateTime UpdatedAt { get; set; } = DateTime.UtcNow;
     
     public bool IsFavorite { get; set; }
+
+    public TaskPriority Priority { get; set; } = TaskPriority.Medium;
     
     public int ColumnId { get; set; }
     
     public virtual TaskColumn Column { get; set; } = null!;
     
     public virtual ICollection<TaskAttachment> Attachments { get; set; } = new List<TaskAttachment>();
+
+    public virtual ICollection<TaskComment> Comments { get; set; } = new List<TaskComment>();
+
+    public virtual ICollection<TaskActivity> Activities { get; set; } = new List<TaskActivity>();
+
+    public virtual ICollection<ChecklistItem> ChecklistItems { get; set; } = new List<ChecklistItem>();
+
+    public virtual ICollection<TaskLabel> Labels { get; set; } = new List<TaskLabel>();
+
+    public virtual ICollection<BoardMember> Assignees { get; set; } = new List<BoardMember>();
     
     public int SortOrder { get; set; }
+
+    /// <summary>
+    /// How often the task comes back. Once it is moved into the board's last
+    /// column the next one is created and takes the schedule over.
+    /// </summary>
+    public RecurrenceFrequency Recurrence { get; set; } = RecurrenceFrequency.None;
+
+    /// <summary>
+    /// Set when a recurring task is moved into its board's last column, until
+    /// the scheduler has created the next one or the task is moved back out
+    /// </summary>
+    public bool RecurrencePending { get; set; }
+
+    /// <summary>
+    /// For weekly recurrence, the days it falls on: one bit per DayOfWeek,
+    /// starting with Sunday
+    /// </summary>
+    public int RecurrenceWeekdays { get; set; }
+
+    /// <summary>
+    /// For monthly recurrence, the day of the month it falls on. Tasks keep
+    /// it when a shorter month moves their deadline earlier, so a task due on
+    /// the 31st is due on the 31st again after February. 0 until set.
+    /// </summary>
+    public int RecurrenceDayOfMonth { get; set; }
+
+    /// <summary>
+    /// Set when the task is deleted. Deleted tasks stay restorable until the
+    /// trash cleanup removes them for good.
+    /// </summary>
+    public DateTime? DeletedAt { get; set; }
+}
+
+/// <summary>
+/// Within a column, higher priorities sort first (after favorites)
+/// </summary>
+[JsonConverter(typeof(JsonStringEnumConverter))]
+public enum TaskPriority
+{
+    [JsonStringEnumMemberName("low")]
+    Low = 1,
+
+    [JsonStringEnumMemberName("medium")]
+    Medium = 2,
+
+    [JsonStringEnumMemberName("high")]
+    High = 3,
+
+    [JsonStringEnumMemberName("urgent")]
+    Urgent = 4
 }
 
-public class TaskColumn
+[JsonConverter(typeof(JsonStringEnumConverter))]
+public enum RecurrenceFrequency
+{
+    [JsonStringEnumMemberName("none")]
+    None = 0,
+
+    [JsonStringEnumMemberName("daily")]
+    Daily = 1,
+
+    /// <summary>
+    /// On the task's RecurrenceWeekdays
+    /// </summary>
+    [JsonStringEnumMemberName("weekly")]
+    Weekly = 2,
+
+    /// <summary>
+    /// On the task's RecurrenceDayOfMonth, or the last day of shorter months
+    /// </summary>
+    [JsonStringEnumMemberName("monthly")]
+    Monthly = 3
+}
+
+public class TaskColumn : IBoardScoped
 {
     public int Id { get; set; }
+
+    public int BoardId { get; set; }
     
     [Required]
     [StringLength(100)]
@@ -41,6 +128,12 @@ public class TaskColumn
     public int SortOrder { get; set; }
     
     public virtual ICollection<TaskItem> Tasks { get; set; } = new List<TaskItem>();
+
+    /// <summary>
+    /// Set when the column is deleted. Deleted columns stay restorable until the
+    /// trash cleanup removes them for good.
+    /// </summary>
+    public DateTime? DeletedAt { get; set; }
 }
 
 public class TaskAttachment
@@ -62,4 +155,199 @@ public class TaskAttachment
     public int TaskId { get; set; }
     
     public virtual TaskItem Task { get; set; } = null!;
+
+    /// <summary>
+    /// Set when the attachment is deleted. Deleted attachments stay restorable until the
+    /// trash cleanup removes them for good.
+    /// </summary>
+    public DateTime? DeletedAt { get; set; }
+}
+
+/// <summary>
+/// A starting point for tasks that are made again and again, such as a
+/// release checklist
+/// </summary>
+public class TaskTemplate : IBoardScoped
+{
+    public int Id { get; set; }
+
+    public int BoardId { get; set; }
+
+    [Required]
+    [StringLength(200)]
+    public string Name { get; set; } = string.Empty;
+
+    [StringLength(1000)]
+    public string Description { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Days from the day a task is made to its deadline, or null for no deadline
+    /// </summary>
+    public int? DeadlineInDays { get; set; }
+
+    /// <summary>
+    /// Column tasks are made in. Null, or a column deleted since, means the
+    /// board's first column.
+    /// </summary>
+    public int? ColumnId { get; set; }
+
+    public DateTime CreatedAt { get; set; } = DateTime.UtcNow;
+
+    public virtual ICollection<TemplateAttachment> Attachments { get; set; } = new List<TemplateAttachment>();
+}
+
+/// <summary>
+/// A file every task made from the template starts with. Each task gets its
+/// own copy, so the file stays until the template or attachment is deleted.
+/// </summary>
+public class TemplateAttachment
+{
+    public int Id { get; set; }
+
+    public int TemplateId { get; set; }
+
+    public virtual TaskTemplate Template { get; set; } = null!;
+
+    [Required]
+    public string FileName { get; set; } = string.Empty;
+
+    [Required]
+    public string FilePath { get; set; } = string.Empty;
+
+    public string ContentType { get; set; } = string.Empty;
+
+    public long FileSize { get; set; }
+
+    public DateTime UploadedAt { get; set; } = DateTime.UtcNow;
+}
+
+/// <summary>
+/// A colored label, shared by every task on the board
+/// </summary>
+public class TaskLabel : IBoardScoped
+{
+    public int Id { get; set; }
+
+    public int BoardId { get; set; }
+
+    [Required]
+    [StringLength(50)]
+    public string Name { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Hex color such as #e03131
+    /// </summary>
+    [Required]
+    [StringLength(7)]
+    public string Color { get; set; } = string.Empty;
+
+    public virtual ICollection<TaskItem> Tasks { get; set; } = new List<TaskItem>();
+}
+
+/// <summary>
+/// Someone tasks can be assigned to
+/// </summary>
+public class BoardMember : IBoardScoped
+{
+    public int Id { get; set; }
+
+    public int BoardId { get; set; }
+
+    [Required]
+    [StringLength(100)]
+    public string Name { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Hex color of the member's avatar
+    /// </summary>
+    [Required]
+    [StringLength(7)]
+    public string Color { get; set; } = string.Empty;
+
+    public virtual ICollection<TaskItem> Tasks { get; set; } = new List<TaskItem>();
+}
+
+/// <summary>
+/// One step of a task's checklist
+/// </summary>
+public class ChecklistItem
+{
+    public int Id { get; set; }
+
+    public int TaskId { get; set; }
+
+    public virtual TaskItem Task { get; set; } = null!;
+
+    [Required]
+    [StringLength(200)]
+    public string Text { get; set; } = string.Empty;
+
+    public bool IsDone { get; set; }
+
+    public int SortOrder { get; set; }
+}
+
+public class TaskComment
+{
+    public int Id { get; set; }
+
+    public int TaskId { get; set; }
+
+    public virtual TaskItem Task { get; set; } = null!;
+
+    /// <summary>
+    /// The account that wrote the comment; only they may edit or delete it.
+    /// Null for comments written before comments belonged to accounts.
+    /// </summary>
+    public int? AuthorUserId { get; set; }
+
+    public virtual User? Author { get; set; }
+
+    /// <summary>
+    /// The author's display name when they wrote the comment
+    /// </summary>
+    [StringLength(100)]
+    public string AuthorName { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Markdown source; rendered by the client
+    /// </summary>
+    [Required]
+    [StringLength(4000)]
+    public string Body { get; set; } = string.Empty;
+
+    public DateTime CreatedAt { get; set; } = DateTime.UtcNow;
+
+    /// <summary>
+    /// Set when the comment is edited
+    /// </summary>
+    public DateTime? EditedAt { get; set; }
+}
+
+/// <summary>
+/// One entry in a task's activity timeline. See TaskActivityTypes for the
+/// kinds of entry and which of Field, OldValue and NewValue they use.
+/// </summary>
+public class TaskActivity
+{
+    public int Id { get; set; }
+
+    public int TaskId { get; set; }
+
+    public virtual TaskItem Task { get; set; } = null!;
+
+    [Required]
+    [StringLength(50)]
+    public string Type { get; set; } = string.Empty;
+
+    [StringLength(50)]
+    public string? Field { get; set; }
+
+    [StringLength(1000)]
+    public string? OldValue { get; set; }
+
+    [StringLength(1000)]
+    public string? NewValue { get; set; }
+
+    public DateTime OccurredAt { get; set; } = DateTime.UtcNow;
 }
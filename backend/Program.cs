@@ -1,4 +1,7 @@
+using Microsoft.AspNetCore.Authentication;
+using Microsoft.AspNetCore.Authorization;
 using Microsoft.EntityFrameworkCore;
+using Microsoft.OpenApi.Models;
 using Backend.Data;
 using Backend.Services;
 
@@ -15,16 +18,56 @@ builder.Services.AddSwaggerGen(c =>
     {
         c.IncludeXmlComments(xmlPath);
     }
+
+    var bearer = new OpenApiSecurityScheme
+    {
+        Type = SecuritySchemeType.Http,
+        Scheme = "bearer",
+        Description = "Token from /api/auth/login or /api/auth/signup",
+        Reference = new OpenApiReference { Type = ReferenceType.SecurityScheme, Id = "Bearer" }
+    };
+    c.AddSecurityDefinition("Bearer", bearer);
+    c.AddSecurityRequirement(new OpenApiSecurityRequirement { [bearer] = Array.Empty<string>() });
+});
+
+// Sign in with bearer tokens; every endpoint needs a signed-in user unless
+// it is marked [AllowAnonymous]
+builder.Services.AddAuthentication(TokenAuthenticationHandler.SchemeName)
+    .AddScheme<AuthenticationSchemeOptions, TokenAuthenticationHandler>(TokenAuthenticationHandler.SchemeName, null);
+builder.Services.AddAuthorization(options =>
+{
+    options.FallbackPolicy = new AuthorizationPolicyBuilder()
+        .RequireAuthenticatedUser()
+        .Build();
 });
 
-// Configure Entity Framework with In-Memory Database
+// Configure Entity Framework with a SQLite database file; the schema is kept
+// up to date with the migrations in Migrations/
 builder.Services.AddDbContext<TaskDbContext>(options =>
-    options.UseInMemoryDatabase("TaskManagementDb"));
+    options.UseSqlite(builder.Configuration.GetConnectionString("TaskDb")));
 
 // Register services
+builder.Services.AddScoped<CurrentBoard>();
+builder.Services.AddScoped<IAuthService, AuthService>();
+builder.Services.AddScoped<IBoardService, BoardService>();
 builder.Services.AddScoped<ITaskService, TaskService>();
 builder.Services.AddScoped<IColumnService, ColumnService>();
+builder.Services.AddScoped<ILabelService, LabelService>();
+builder.Services.AddScoped<IMemberService, MemberService>();
 builder.Services.AddScoped<IAttachmentService, AttachmentService>();
+builder.Services.AddScoped<ICommentService, CommentService>();
+builder.Services.AddScoped<ITrashService, TrashService>();
+builder.Services.AddScoped<IBoardImportService, BoardImportService>();
+builder.Services.AddScoped<ITemplateService, TemplateService>();
+builder.Services.AddScoped<IRecurringTaskService, RecurringTaskService>();
+builder.Services.AddSingleton<IBoardEventBroadcaster, BoardEventBroadcaster>();
+builder.Services.AddHostedService<TrashCleanupService>();
+builder.Services.AddHostedService<AttachmentFileCleanupService>();
+
+// One scheduler that controllers wake and that also runs on its own
+builder.Services.AddSingleton<RecurringTaskScheduler>();
+builder.Services.AddSingleton<IRecurringTaskScheduler>(sp => sp.GetRequiredService<RecurringTaskScheduler>());
+builder.Services.AddHostedService(sp => sp.GetRequiredService<RecurringTaskScheduler>());
 
 // Configure CORS for frontend
 builder.Services.AddCors(options =>
@@ -52,14 +95,15 @@ if (app.Environment.IsDevelopment())
 
 app.UseHttpsRedirection();
 app.UseCors("AllowFrontend");
+app.UseAuthentication();
 app.UseAuthorization();
 app.MapControllers();
 
-// Initialize database
+// Create or migrate the database before serving requests
 using (var scope = app.Services.CreateScope())
 {
     var context = scope.ServiceProvider.GetRequiredService<TaskDbContext>();
-    context.Database.EnsureCreated();
+    await DatabaseInitializer.InitializeAsync(context);
 }
 
 app.Run();
@@ -0,0 +1,55 @@
+namespace Backend.Services;
+
+/// <summary>
+/// Removes attachment files that no attachment refers to, once at startup and
+/// then daily.
+/// </summary>
+public class AttachmentFileCleanupService : BackgroundService
+{
+    /// <summary>
+    /// Files younger than this are left alone, as their upload may still be
+    /// saving its record
+    /// </summary>
+    public static readonly TimeSpan GracePeriod = TimeSpan.FromHours(1);
+    private static readonly TimeSpan Interval = TimeSpan.FromDays(1);
+
+    private readonly IServiceScopeFactory _scopeFactory;
+    private readonly ILogger<AttachmentFileCleanupService> _logger;
+
+    public AttachmentFileCleanupService(IServiceScopeFactory scopeFactory, ILogger<AttachmentFileCleanupService> logger)
+    {
+        _scopeFactory = scopeFactory;
+        _logger = logger;
+    }
+
+    protected override async Task ExecuteAsync(CancellationToken stoppingToken)
+    {
+        using var timer = new PeriodicTimer(Interval);
+        try
+        {
+            do
+            {
+                try
+                {
+                    using var scope = _scopeFactory.CreateScope();
+                    var attachments = scope.ServiceProvider.GetRequiredService<IAttachmentService>();
+                    var removed = await attachments.RemoveOrphanedFilesAsync(DateTime.UtcNow - GracePeriod);
+                    if (removed > 0)
+                    {
+                        _logger.LogInformation("Removed {Count} orphaned attachment file(s)", removed);
+                    }
+                }
+                catch (Exception ex)
+                {
+                    // Try again on the next tick
+                    _logger.LogError(ex, "Failed to remove orphaned attachment files");
+                }
+            }
+            while (await timer.WaitForNextTickAsync(stoppingToken));
+        }
+        catch (OperationCanceledException)
+        {
+            // Shutting down
+        }
+    }
+}
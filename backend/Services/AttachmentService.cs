@@ -8,43 +8,84 @@ namespace Backend.Services;
 
 public class AttachmentService : IAttachmentService
 {
+    /// <summary>
+    /// Image types that are safe to serve inline. Anything else, including SVG
+    /// (which can carry script), is only available as a download.
+    /// </summary>
+    public static readonly IReadOnlySet<string> PreviewContentTypes = new HashSet<string>(StringComparer.OrdinalIgnoreCase)
+    {
+        "image/jpeg",
+        "image/png",
+        "image/gif",
+        "image/webp"
+    };
+
     private readonly TaskDbContext _context;
     private readonly string _uploadPath;
     
     public AttachmentService(TaskDbContext context, IWebHostEnvironment environment)
     {
         _context = context;
-        _uploadPath = Path.Combine(environment.ContentRootPath, "uploads");
+        _uploadPath = GetUploadPath(environment);
         
         // Ensure upload directory exists
         Directory.CreateDirectory(_uploadPath);
     }
 
-    public async Task<AttachmentResponse> UploadAttachmentAsync(int taskId, IFormFile file)
+    /// <summary>
+    /// Folder that task and template attachments are stored in
+    /// </summary>
+    public static string GetUploadPath(IWebHostEnvironment environment)
     {
-        // Validate task exists
-        var taskExists = await _context.Tasks.AnyAsync(t => t.Id == taskId);
-        if (!taskExists)
-        {
-            throw new ArgumentException("Task not found", nameof(taskId));
-        }
+        return Path.Combine(environment.ContentRootPath, "uploads");
+    }
 
-        // Validate file
+    /// <summary>
+    /// Checks an upload for a task or a template before it is stored
+    /// </summary>
+    internal static void ValidateFile(IFormFile file)
+    {
         if (file.Length == 0)
         {
             throw new ArgumentException("File is empty", nameof(file));
         }
+    }
 
-        // Generate unique filename
-        var fileExtension = Path.GetExtension(file.FileName);
-        var uniqueFileName = $"{Guid.NewGuid()}{fileExtension}";
-        var filePath = Path.Combine(_uploadPath, uniqueFileName);
-
-        // Save file to disk
+    /// <summary>
+    /// Saves an uploaded file under a new unique name and returns its path
+    /// </summary>
+    internal static async Task<string> SaveFileAsync(string uploadPath, IFormFile file)
+    {
+        var filePath = Path.Combine(uploadPath, $"{Guid.NewGuid()}{Path.GetExtension(file.FileName)}");
         using (var stream = new FileStream(filePath, FileMode.Create))
         {
             await file.CopyToAsync(stream);
         }
+        return filePath;
+    }
+
+    /// <summary>
+    /// Copies a stored file to a new unique name, so that deleting either
+    /// attachment leaves the other's file alone
+    /// </summary>
+    internal static string CopyFile(string uploadPath, string sourcePath)
+    {
+        var filePath = Path.Combine(uploadPath, $"{Guid.NewGuid()}{Path.GetExtension(sourcePath)}");
+        File.Copy(sourcePath, filePath);
+        return filePath;
+    }
+
+    public async Task<AttachmentResponse> UploadAttachmentAsync(int taskId, IFormFile file)
+    {
+        // Validate task exists
+        var taskExists = await _context.Tasks.AnyAsync(t => t.Id == taskId);
+        if (!taskExists)
+        {
+            throw new ArgumentException("Task not found", nameof(taskId));
+        }
+
+        ValidateFile(file);
+        var filePath = await SaveFileAsync(_uploadPath, file);
 
         // Save attachment record
         var attachment = new TaskAttachment
@@ -58,6 +99,7 @@ public class AttachmentService : IAttachmentService
         };
 
         _context.Attachments.Add(attachment);
+        TaskActivityLog.Record(_context, taskId, TaskActivityTypes.AttachmentAdded, newValue: attachment.FileName);
         await _context.SaveChangesAsync();
 
         return new AttachmentResponse
@@ -72,24 +114,52 @@ public class AttachmentService : IAttachmentService
 
     public async Task<bool> DeleteAttachmentAsync(int attachmentId)
     {
-        var attachment = await _context.Attachments.FindAsync(attachmentId);
+        var attachment = await _context.Attachments.FirstOrDefaultAsync(a => a.Id == attachmentId);
         if (attachment == null) return false;
 
-        // Delete file from disk
-        if (File.Exists(attachment.FilePath))
+        // Soft delete so the attachment can be restored (undo). The file stays
+        // on disk until the trash cleanup purges the record.
+        attachment.DeletedAt = DateTime.UtcNow;
+        TaskActivityLog.Record(_context, attachment.TaskId, TaskActivityTypes.AttachmentRemoved, oldValue: attachment.FileName);
+        await _context.SaveChangesAsync();
+        return true;
+    }
+
+    public async Task<AttachmentEventData?> RestoreAttachmentAsync(int attachmentId)
+    {
+        var attachment = await _context.Attachments
+            .IgnoreQueryFilters()
+            .Include(a => a.Task).ThenInclude(t => t.Column)
+            .FirstOrDefaultAsync(a => a.Id == attachmentId);
+
+        if (attachment == null || !_context.IsOnCurrentBoard(attachment.Task.Column.BoardId)) return null;
+
+        if (attachment.Task.DeletedAt != null)
         {
-            File.Delete(attachment.FilePath);
+            throw new InvalidOperationException("Cannot restore an attachment whose task was deleted");
         }
 
-        // Delete record
-        _context.Attachments.Remove(attachment);
+        attachment.DeletedAt = null;
+        TaskActivityLog.Record(_context, attachment.TaskId, TaskActivityTypes.AttachmentAdded, newValue: attachment.FileName);
         await _context.SaveChangesAsync();
-        return true;
+
+        return new AttachmentEventData
+        {
+            TaskId = attachment.TaskId,
+            Attachment = new AttachmentResponse
+            {
+                Id = attachment.Id,
+                FileName = attachment.FileName,
+                ContentType = attachment.ContentType,
+                FileSize = attachment.FileSize,
+                UploadedAt = attachment.UploadedAt
+            }
+        };
     }
 
     public async Task<(Stream stream, string contentType, string fileName)?> DownloadAttachmentAsync(int attachmentId)
     {
-        var attachment = await _context.Attachments.FindAsync(attachmentId);
+        var attachment = await _context.Attachments.FirstOrDefaultAsync(a => a.Id == attachmentId);
         if (attachment == null || !File.Exists(attachment.FilePath))
         {
             return null;
@@ -98,4 +168,49 @@ public class AttachmentService : IAttachmentService
         var stream = new FileStream(attachment.FilePath, FileMode.Open, FileAccess.Read);
         return (stream, attachment.ContentType, attachment.FileName);
     }
+
+    public async Task<(Stream stream, string contentType, string fileName, DateTime uploadedAt)?> GetAttachmentPreviewAsync(int attachmentId)
+    {
+        var attachment = await _context.Attachments.FirstOrDefaultAsync(a => a.Id == attachmentId);
+        if (attachment == null
+            || !PreviewContentTypes.Contains(attachment.ContentType)
+            || !File.Exists(attachment.FilePath))
+        {
+            return null;
+        }
+
+        var stream = new FileStream(attachment.FilePath, FileMode.Open, FileAccess.Read);
+        return (stream, attachment.ContentType, attachment.FileName, attachment.UploadedAt);
+    }
+
+    /// <summary>
+    /// Deletes files in the upload folder that no task or template attachment
+    /// refers to, such as those left behind by failed uploads or an earlier
+    /// database
+    /// </summary>
+    public async Task<int> RemoveOrphanedFilesAsync(DateTime modifiedBefore)
+    {
+        // Deleted attachments keep their files until the trash cleanup purges them
+        var knownFiles = (await _context.Attachments
+                .IgnoreQueryFilters()
+                .Select(a => a.FilePath)
+                .ToListAsync())
+            .Concat(await _context.TemplateAttachments
+                .IgnoreQueryFilters()
+                .Select(a => a.FilePath)
+                .ToListAsync())
+            .Select(Path.GetFileName)
+            .ToHashSet(StringComparer.OrdinalIgnoreCase);
+
+        var removed = 0;
+        foreach (var file in new DirectoryInfo(_uploadPath).EnumerateFiles())
+        {
+            // Recent files may belong to an upload whose record isn't saved yet
+            if (file.LastWriteTimeUtc >= modifiedBefore || knownFiles.Contains(file.Name)) continue;
+
+            file.Delete();
+            removed++;
+        }
+        return removed;
+    }
 }
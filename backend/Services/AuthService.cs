@@ -0,0 +1,132 @@
+using System.Security.Cryptography;
+using System.Text;
+using Microsoft.AspNetCore.Identity;
+using Microsoft.AspNetCore.WebUtilities;
+using Microsoft.EntityFrameworkCore;
+using Backend.Data;
+using Backend.Models;
+using Backend.DTOs;
+
+namespace Backend.Services;
+
+/// <summary>
+/// Accounts and sign-in sessions, kept in the app's own database. A session
+/// is a random bearer token; only its hash is stored.
+/// </summary>
+public class AuthService : IAuthService
+{
+    private static readonly TimeSpan SessionLifetime = TimeSpan.FromDays(30);
+    private const string DefaultBoardName = "My Board";
+
+    private readonly TaskDbContext _context;
+    private readonly IBoardService _boardService;
+    private readonly PasswordHasher<User> _passwordHasher = new();
+
+    public AuthService(TaskDbContext context, IBoardService boardService)
+    {
+        _context = context;
+        _boardService = boardService;
+    }
+
+    public async Task<AuthResponse> SignUpAsync(SignUpRequest request)
+    {
+        var email = NormalizeEmail(request.Email);
+        var displayName = request.DisplayName.Trim();
+        if (displayName.Length == 0)
+        {
+            throw new ArgumentException("Display name cannot be empty", nameof(request));
+        }
+        if (await _context.Users.AnyAsync(u => u.Email == email))
+        {
+            throw new ArgumentException("An account with this email already exists", nameof(request));
+        }
+
+        var user = new User { Email = email, DisplayName = displayName };
+        user.PasswordHash = _passwordHasher.HashPassword(user, request.Password);
+        _context.Users.Add(user);
+        await _context.SaveChangesAsync();
+
+        // Everyone starts with a board of their own
+        await _boardService.CreateBoardAsync(user.Id, new SaveBoardRequest { Name = DefaultBoardName });
+
+        return await StartSessionAsync(user);
+    }
+
+    public async Task<AuthResponse?> LogInAsync(LogInRequest request)
+    {
+        var email = NormalizeEmail(request.Email);
+        var user = await _context.Users.FirstOrDefaultAsync(u => u.Email == email);
+        if (user == null) return null;
+
+        var result = _passwordHasher.VerifyHashedPassword(user, user.PasswordHash, request.Password);
+        if (result == PasswordVerificationResult.Failed) return null;
+
+        if (result == PasswordVerificationResult.SuccessRehashNeeded)
+        {
+            user.PasswordHash = _passwordHasher.HashPassword(user, request.Password);
+        }
+
+        return await StartSessionAsync(user);
+    }
+
+    public async Task LogOutAsync(string token)
+    {
+        var tokenHash = HashToken(token);
+        var session = await _context.AuthSessions.FirstOrDefaultAsync(s => s.TokenHash == tokenHash);
+        if (session == null) return;
+
+        _context.AuthSessions.Remove(session);
+        await _context.SaveChangesAsync();
+    }
+
+    public async Task<User?> ValidateTokenAsync(string token)
+    {
+        var tokenHash = HashToken(token);
+        var now = DateTime.UtcNow;
+        var session = await _context.AuthSessions
+            .Include(s => s.User)
+            .FirstOrDefaultAsync(s => s.TokenHash == tokenHash && s.ExpiresAt > now);
+        return session?.User;
+    }
+
+    public async Task<UserResponse?> GetUserAsync(int userId)
+    {
+        var user = await _context.Users.FirstOrDefaultAsync(u => u.Id == userId);
+        return user == null ? null : MapToResponse(user);
+    }
+
+    private async Task<AuthResponse> StartSessionAsync(User user)
+    {
+        var token = WebEncoders.Base64UrlEncode(RandomNumberGenerator.GetBytes(32));
+        var session = new AuthSession
+        {
+            UserId = user.Id,
+            TokenHash = HashToken(token),
+            ExpiresAt = DateTime.UtcNow.Add(SessionLifetime)
+        };
+        _context.AuthSessions.Add(session);
+        await _context.SaveChangesAsync();
+
+        return new AuthResponse
+        {
+            Token = token,
+            ExpiresAt = session.ExpiresAt,
+            User = MapToResponse(user)
+        };
+    }
+
+    private static string HashToken(string token) =>
+        Convert.ToHexString(SHA256.HashData(Encoding.UTF8.GetBytes(token))).ToLowerInvariant();
+
+    internal static string NormalizeEmail(string email) => email.Trim().ToLowerInvariant();
+
+    internal static UserResponse MapToResponse(User user)
+    {
+        return new UserResponse
+        {
+            Id = user.Id,
+            Email = user.Email,
+            DisplayName = user.DisplayName
+        };
+    }
+}
@@ -0,0 +1,93 @@
+using System.Collections.Concurrent;
+using System.Threading.Channels;
+using Backend.DTOs;
+
+namespace Backend.Services;
+
+public class BoardEventBroadcaster : IBoardEventBroadcaster
+{
+    // Slow clients lose their oldest events rather than blocking publishers;
+    // they resync by reloading the board when they reconnect
+    private const int SubscriberBufferSize = 256;
+
+    private readonly ConcurrentDictionary<Guid, Subscriber> _subscribers = new();
+    private long _lastEventId;
+
+    public int SubscriberCount => _subscribers.Count;
+
+    /// <summary>
+    /// Follow one board's events
+    /// </summary>
+    public BoardEventSubscription Subscribe(int boardId)
+    {
+        var id = Guid.NewGuid();
+        var channel = Channel.CreateBounded<BoardEvent>(new BoundedChannelOptions(SubscriberBufferSize)
+        {
+            FullMode = BoundedChannelFullMode.DropOldest,
+            SingleReader = true
+        });
+
+        _subscribers[id] = new Subscriber(boardId, channel);
+        return new BoardEventSubscription(channel.Reader, () =>
+        {
+            if (_subscribers.TryRemove(id, out var removed))
+            {
+                removed.Channel.Writer.TryComplete();
+            }
+        });
+    }
+
+    /// <summary>
+    /// Send an event to everyone following the board it happened on
+    /// </summary>
+    public void Publish(int boardId, string type, object? data, string? sourceClientId = null)
+    {
+        var boardEvent = new BoardEvent
+        {
+            Id = Interlocked.Increment(ref _lastEventId),
+            Type = type,
+            Data = data,
+            SourceClientId = sourceClientId,
+            OccurredAt = DateTime.UtcNow
+        };
+
+        foreach (var subscriber in _subscribers.Values)
+        {
+            if (subscriber.BoardId == boardId)
+            {
+                subscriber.Channel.Writer.TryWrite(boardEvent);
+            }
+        }
+    }
+
+    private sealed record Subscriber(int BoardId, Channel<BoardEvent> Channel);
+}
+
+public sealed class BoardEventSubscription : IDisposable
+{
+    private readonly Action _unsubscribe;
+
+    public BoardEventSubscription(ChannelReader<BoardEvent> reader, Action unsubscribe)
+    {
+        Reader = reader;
+        _unsubscribe = unsubscribe;
+    }
+
+    public ChannelReader<BoardEvent> Reader { get; }
+
+    public void Dispose() => _unsubscribe();
+}
+
+public static class BoardEventRequestExtensions
+{
+    public const string ClientIdHeader = "X-Client-Id";
+
+    /// <summary>
+    /// The calling client's ID, sent by the frontend on every request
+    /// </summary>
+    public static string? GetClientId(this HttpRequest request)
+    {
+        var clientId = request.Headers[ClientIdHeader].FirstOrDefault();
+        return string.IsNullOrWhiteSpace(clientId) ? null : clientId;
+    }
+}
@@ -0,0 +1,137 @@
+using Microsoft.EntityFrameworkCore;
+using Backend.Data;
+using Backend.Models;
+using Backend.DTOs;
+using Backend.Services;
+
+namespace Backend.Services;
+
+/// <summary>
+/// Loads exported or hand-written boards: creates the columns and tasks in one
+/// save, resolving name clashes with existing tasks per the request's conflict mode.
+/// Labels are matched by name, since their IDs belong to the exporting board.
+/// </summary>
+public class BoardImportService : IBoardImportService
+{
+    private readonly TaskDbContext _context;
+    private readonly IColumnService _columnService;
+
+    public BoardImportService(TaskDbContext context, IColumnService columnService)
+    {
+        _context = context;
+        _columnService = columnService;
+    }
+
+    public async Task<ImportBoardResponse> ImportBoardAsync(ImportBoardRequest request)
+    {
+        var columns = await _context.Columns
+            .Include(c => c.Tasks)
+            .ToListAsync();
+        var labels = (await _context.Labels.ToListAsync())
+            .ToDictionary(l => l.Name, StringComparer.OrdinalIgnoreCase);
+        var nextColumnSortOrder = (columns.Count == 0 ? 0 : columns.Max(c => c.SortOrder)) + 1;
+        var response = new ImportBoardResponse();
+        var now = DateTime.UtcNow;
+
+        foreach (var imported in request.Columns)
+        {
+            TaskColumn column;
+            if (imported.ColumnId.HasValue)
+            {
+                column = columns.FirstOrDefault(c => c.Id == imported.ColumnId.Value)
+                    ?? throw new ArgumentException($"Column not found: {imported.ColumnId.Value}", nameof(request));
+            }
+            else
+            {
+                if (string.IsNullOrWhiteSpace(imported.Name))
+                {
+                    throw new ArgumentException("New columns need a name", nameof(request));
+                }
+
+                column = new TaskColumn { Name = imported.Name.Trim(), SortOrder = nextColumnSortOrder++ };
+                _context.Columns.Add(column);
+                columns.Add(column);
+                response.ColumnsCreated++;
+            }
+
+            var nextTaskSortOrder = (column.Tasks.Count == 0 ? 0 : column.Tasks.Max(t => t.SortOrder)) + 1;
+            foreach (var task in imported.Tasks)
+            {
+                var name = task.Name.Trim();
+                var existing = column.Tasks.FirstOrDefault(t => string.Equals(t.Name, name, StringComparison.OrdinalIgnoreCase));
+
+                if (existing != null && request.OnConflict == ImportConflictMode.Skip)
+                {
+                    response.TasksSkipped++;
+                    continue;
+                }
+
+                if (existing != null && request.OnConflict == ImportConflictMode.Overwrite)
+                {
+                    var deadline = TaskService.NormalizeDeadline(task.Deadline);
+                    TaskActivityLog.RecordEdits(_context, existing, existing.Name, task.Description, deadline);
+                    TaskActivityLog.RecordFavorite(_context, existing, task.IsFavorite);
+                    existing.Description = task.Description;
+                    existing.Deadline = deadline;
+                    existing.IsFavorite = task.IsFavorite;
+                    existing.UpdatedAt = now;
+                    response.TasksUpdated++;
+                    continue;
+                }
+
+                TaskService.ThrowIfUnknownPriority(task.Priority);
+                var created = new TaskItem
+                {
+                    Name = name,
+                    Description = task.Description,
+                    Deadline = TaskService.NormalizeDeadline(task.Deadline),
+                    IsFavorite = task.IsFavorite,
+                    Priority = task.Priority,
+                    Column = column,
+                    SortOrder = nextTaskSortOrder++,
+                    CreatedAt = now,
+                    UpdatedAt = now
+                };
+                if (task.Recurrence != null)
+                {
+                    RecurrenceSchedule.Apply(created, task.Recurrence);
+                    RecurrenceSchedule.SetDayOfMonth(created, now);
+                }
+                foreach (var label in task.Labels.DistinctBy(l => l.Name.Trim(), StringComparer.OrdinalIgnoreCase))
+                {
+                    created.Labels.Add(GetOrAddLabel(labels, label, response));
+                }
+                var checklistOrder = 0;
+                foreach (var item in task.ChecklistItems)
+                {
+                    created.ChecklistItems.Add(new ChecklistItem
+                    {
+                        Text = TaskService.NormalizeChecklistText(item.Text),
+                        IsDone = item.IsDone,
+                        SortOrder = ++checklistOrder
+                    });
+                }
+                column.Tasks.Add(created);
+                response.TasksCreated++;
+            }
+        }
+
+        await _context.SaveChangesAsync();
+
+        response.Board = await _columnService.GetBoardAsync();
+        return response;
+    }
+
+    private TaskLabel GetOrAddLabel(Dictionary<string, TaskLabel> labels, SaveLabelRequest imported, ImportBoardResponse response)
+    {
+        var name = imported.Name.Trim();
+        if (!labels.TryGetValue(name, out var label))
+        {
+            label = new TaskLabel { Name = name, Color = imported.Color.ToLowerInvariant() };
+            _context.Labels.Add(label);
+            labels[name] = label;
+            response.LabelsCreated++;
+        }
+        return label;
+    }
+}
@@ -0,0 +1,239 @@
+using Microsoft.EntityFrameworkCore;
+using Backend.Data;
+using Backend.Models;
+using Backend.DTOs;
+
+namespace Backend.Services;
+
+/// <summary>
+/// Boards and who they are shared with. Callers check the user's role with
+/// GetRoleAsync first; only owners may rename, share or delete a board.
+/// </summary>
+public class BoardService : IBoardService
+{
+    private static readonly string[] DefaultColumnNames = { "To Do", "In Progress", "Done" };
+
+    private readonly TaskDbContext _context;
+
+    public BoardService(TaskDbContext context)
+    {
+        _context = context;
+    }
+
+    public async Task<List<BoardSummaryResponse>> GetBoardsAsync(int userId)
+    {
+        var owned = await _context.Boards
+            .Include(b => b.Owner)
+            .Where(b => b.OwnerId == userId)
+            .ToListAsync();
+        var shares = await _context.BoardShares
+            .Include(s => s.Board).ThenInclude(b => b.Owner)
+            .Where(s => s.UserId == userId)
+            .ToListAsync();
+
+        return owned.Select(b => MapToSummary(b, BoardRole.Owner))
+            .Concat(shares.Select(s => MapToSummary(s.Board, s.Role)))
+            .OrderBy(b => b.Name, StringComparer.OrdinalIgnoreCase)
+            .ThenBy(b => b.Id)
+            .ToList();
+    }
+
+    public async Task<BoardSummaryResponse> CreateBoardAsync(int userId, SaveBoardRequest request)
+    {
+        var owner = await _context.Users.FirstAsync(u => u.Id == userId);
+        var board = new Board { Name = RequireName(request.Name), OwnerId = userId, Owner = owner };
+        _context.Boards.Add(board);
+        await _context.SaveChangesAsync();
+
+        for (var i = 0; i < DefaultColumnNames.Length; i++)
+        {
+            _context.Columns.Add(new TaskColumn { BoardId = board.Id, Name = DefaultColumnNames[i], SortOrder = i + 1 });
+        }
+        await _context.SaveChangesAsync();
+
+        return MapToSummary(board, BoardRole.Owner);
+    }
+
+    public async Task<BoardSummaryResponse?> RenameBoardAsync(int boardId, SaveBoardRequest request)
+    {
+        var board = await _context.Boards.Include(b => b.Owner).FirstOrDefaultAsync(b => b.Id == boardId);
+        if (board == null) return null;
+
+        board.Name = RequireName(request.Name);
+        await _context.SaveChangesAsync();
+
+        return MapToSummary(board, BoardRole.Owner);
+    }
+
+    public async Task<bool> DeleteBoardAsync(int boardId)
+    {
+        var board = await _context.Boards
+            .Include(b => b.Shares)
+            .FirstOrDefaultAsync(b => b.Id == boardId);
+        if (board == null) return false;
+
+        // Unlike a single task or column, a deleted board is gone for good,
+        // so everything on it goes now, including restorable rows
+        var columns = await _context.Columns
+            .IgnoreQueryFilters()
+            .Where(c => c.BoardId == boardId)
+            .ToListAsync();
+        var columnIds = columns.Select(c => c.Id).ToList();
+        var tasks = await _context.Tasks
+            .IgnoreQueryFilters()
+            .Include(t => t.Labels)
+            .Include(t => t.Assignees)
+            .Where(t => columnIds.Contains(t.ColumnId))
+            .ToListAsync();
+        var taskIds = tasks.Select(t => t.Id).ToList();
+        var attachments = await _context.Attachments
+            .IgnoreQueryFilters()
+            .Where(a => taskIds.Contains(a.TaskId))
+            .ToListAsync();
+        var templates = await _context.Templates
+            .IgnoreQueryFilters()
+            .Include(t => t.Attachments)
+            .Where(t => t.BoardId == boardId)
+            .ToListAsync();
+
+        var filePaths = attachments.Select(a => a.FilePath)
+            .Concat(templates.SelectMany(t => t.Attachments).Select(a => a.FilePath));
+        foreach (var filePath in filePaths)
+        {
+            if (File.Exists(filePath))
+            {
+                File.Delete(filePath);
+            }
+        }
+
+        _context.Attachments.RemoveRange(attachments);
+        _context.Templates.RemoveRange(templates);
+        _context.Comments.RemoveRange(await _context.Comments.IgnoreQueryFilters().Where(c => taskIds.Contains(c.TaskId)).ToListAsync());
+        _context.Activities.RemoveRange(await _context.Activities.Where(a => taskIds.Contains(a.TaskId)).ToListAsync());
+        _context.ChecklistItems.RemoveRange(await _context.ChecklistItems.Where(i => taskIds.Contains(i.TaskId)).ToListAsync());
+        _context.Tasks.RemoveRange(tasks);
+        _context.Columns.RemoveRange(columns);
+        _context.Labels.RemoveRange(await _context.Labels.IgnoreQueryFilters().Where(l => l.BoardId == boardId).ToListAsync());
+        _context.Members.RemoveRange(await _context.Members.IgnoreQueryFilters().Where(m => m.BoardId == boardId).ToListAsync());
+        _context.BoardShares.RemoveRange(board.Shares);
+        _context.Boards.Remove(board);
+        await _context.SaveChangesAsync();
+        return true;
+    }
+
+    public async Task<BoardRole?> GetRoleAsync(int boardId, int userId)
+    {
+        // Untracked, so asking again (as open event streams do) sees revoked shares
+        var board = await _context.Boards
+            .AsNoTracking()
+            .Include(b => b.Shares.Where(s => s.UserId == userId))
+            .FirstOrDefaultAsync(b => b.Id == boardId);
+        if (board == null) return null;
+        if (board.OwnerId == userId) return BoardRole.Owner;
+        return board.Shares.FirstOrDefault()?.Role;
+    }
+
+    public async Task<List<BoardShareResponse>> GetSharesAsync(int boardId)
+    {
+        var shares = await _context.BoardShares
+            .Include(s => s.User)
+            .Where(s => s.BoardId == boardId)
+            .ToListAsync();
+        return shares
+            .OrderBy(s => s.User.DisplayName, StringComparer.OrdinalIgnoreCase)
+            .Select(MapToResponse)
+            .ToList();
+    }
+
+    public async Task<BoardShareResponse> ShareBoardAsync(int boardId, ShareBoardRequest request)
+    {
+        RequireSharedRole(request.Role);
+
+        var email = AuthService.NormalizeEmail(request.Email);
+        var user = await _context.Users.FirstOrDefaultAsync(u => u.Email == email)
+            ?? throw new ArgumentException($"Nobody has signed up as {email}", nameof(request));
+        var board = await _context.Boards.FirstAsync(b => b.Id == boardId);
+        if (board.OwnerId == user.Id)
+        {
+            throw new ArgumentException("The board's owner already has access", nameof(request));
+        }
+
+        // Sharing again with someone changes their role
+        var share = await _context.BoardShares.FirstOrDefaultAsync(s => s.BoardId == boardId && s.UserId == user.Id);
+        if (share == null)
+        {
+            share = new BoardShare { BoardId = boardId, UserId = user.Id };
+            _context.BoardShares.Add(share);
+        }
+        share.Role = request.Role;
+        share.User = user;
+        await _context.SaveChangesAsync();
+
+        return MapToResponse(share);
+    }
+
+    public async Task<BoardShareResponse?> UpdateShareAsync(int boardId, int userId, UpdateBoardShareRequest request)
+    {
+        RequireSharedRole(request.Role);
+
+        var share = await _context.BoardShares
+            .Include(s => s.User)
+            .FirstOrDefaultAsync(s => s.BoardId == boardId && s.UserId == userId);
+        if (share == null) return null;
+
+        share.Role = request.Role;
+        await _context.SaveChangesAsync();
+
+        return MapToResponse(share);
+    }
+
+    public async Task<bool> RemoveShareAsync(int boardId, int userId)
+    {
+        var share = await _context.BoardShares.FirstOrDefaultAsync(s => s.BoardId == boardId && s.UserId == userId);
+        if (share == null) return false;
+
+        _context.BoardShares.Remove(share);
+        await _context.SaveChangesAsync();
+        return true;
+    }
+
+    private static string RequireName(string name)
+    {
+        var trimmed = name.Trim();
+        if (trimmed.Length == 0)
+        {
+            throw new ArgumentException("Board name cannot be empty", nameof(name));
+        }
+        return trimmed;
+    }
+
+    private static void RequireSharedRole(BoardRole role)
+    {
+        if (role != BoardRole.Viewer && role != BoardRole.Editor)
+        {
+            throw new ArgumentException("Boards can only be shared with viewers or editors", nameof(role));
+        }
+    }
+
+    private static BoardSummaryResponse MapToSummary(Board board, BoardRole role)
+    {
+        return new BoardSummaryResponse
+        {
+            Id = board.Id,
+            Name = board.Name,
+            Role = role,
+            OwnerName = board.Owner.DisplayName
+        };
+    }
+
+    private static BoardShareResponse MapToResponse(BoardShare share)
+    {
+        return new BoardShareResponse
+        {
+            UserId = share.UserId,
+            Email = share.User.Email,
+            DisplayName = share.User.DisplayName,
+            Role = share.Role
+        };
+    }
+}
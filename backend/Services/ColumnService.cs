@@ -20,6 +20,12 @@ public class ColumnService : IColumnService
         var columns = await _context.Columns
             .Include(c => c.Tasks)
                 .ThenInclude(t => t.Attachments)
+            .Include(c => c.Tasks)
+                .ThenInclude(t => t.ChecklistItems)
+            .Include(c => c.Tasks)
+                .ThenInclude(t => t.Labels)
+            .Include(c => c.Tasks)
+                .ThenInclude(t => t.Assignees)
             .OrderBy(c => c.SortOrder)
             .ToListAsync();
 
@@ -31,6 +37,12 @@ public class ColumnService : IColumnService
         var column = await _context.Columns
             .Include(c => c.Tasks)
                 .ThenInclude(t => t.Attachments)
+            .Include(c => c.Tasks)
+                .ThenInclude(t => t.ChecklistItems)
+            .Include(c => c.Tasks)
+                .ThenInclude(t => t.Labels)
+            .Include(c => c.Tasks)
+                .ThenInclude(t => t.Assignees)
             .FirstOrDefaultAsync(c => c.Id == id);
 
         return column != null ? MapToResponse(column) : null;
@@ -53,6 +65,49 @@ public class ColumnService : IColumnService
         return MapToResponse(column);
     }
 
+    public async Task<ColumnResponse?> UpdateColumnAsync(int id, UpdateColumnRequest request)
+    {
+        var column = await _context.Columns
+            .Include(c => c.Tasks)
+                .ThenInclude(t => t.Attachments)
+            .Include(c => c.Tasks)
+                .ThenInclude(t => t.ChecklistItems)
+            .Include(c => c.Tasks)
+                .ThenInclude(t => t.Labels)
+            .Include(c => c.Tasks)
+                .ThenInclude(t => t.Assignees)
+            .FirstOrDefaultAsync(c => c.Id == id);
+
+        if (column == null) return null;
+
+        column.Name = request.Name;
+        await _context.SaveChangesAsync();
+
+        return MapToResponse(column);
+    }
+
+    public async Task<IEnumerable<ColumnResponse>> ReorderColumnsAsync(ReorderColumnsRequest request)
+    {
+        var columns = await _context.Columns.ToListAsync();
+
+        // The new order must list every column exactly once
+        var requestedIds = request.ColumnIds.Distinct().ToList();
+        if (requestedIds.Count != request.ColumnIds.Count ||
+            requestedIds.Count != columns.Count ||
+            columns.Any(c => !requestedIds.Contains(c.Id)))
+        {
+            throw new ArgumentException("Column order must contain every column exactly once", nameof(request));
+        }
+
+        for (var i = 0; i < requestedIds.Count; i++)
+        {
+            columns.First(c => c.Id == requestedIds[i]).SortOrder = i + 1;
+        }
+
+        await _context.SaveChangesAsync();
+        return await GetAllColumnsAsync();
+    }
+
     public async Task<bool> DeleteColumnAsync(int id)
     {
         var column = await _context.Columns
@@ -67,22 +122,62 @@ public class ColumnService : IColumnService
             throw new InvalidOperationException("Cannot delete column with existing tasks");
         }
 
-        _context.Columns.Remove(column);
+        // Soft delete so the column can be restored (undo)
+        column.DeletedAt = DateTime.UtcNow;
         await _context.SaveChangesAsync();
         return true;
     }
 
-    public async Task<BoardResponse> GetBoardAsync()
+    public async Task<ColumnResponse?> RestoreColumnAsync(int id)
+    {
+        var column = await _context.Columns
+            .IgnoreQueryFilters()
+            .FirstOrDefaultAsync(c => c.Id == id);
+
+        if (column == null || !_context.IsOnCurrentBoard(column.BoardId)) return null;
+
+        column.DeletedAt = null;
+        await _context.SaveChangesAsync();
+
+        // Only empty columns can be deleted, so there are no tasks to load
+        return MapToResponse(column);
+    }
+
+    public async Task<BoardResponse> GetBoardAsync(int tasksPerColumn = TaskService.DefaultPageSize, DateTime? today = null)
     {
-        var columns = await GetAllColumnsAsync();
-        return new BoardResponse { Columns = columns.ToList() };
+        TaskService.ThrowIfInvalidPageSize(tasksPerColumn);
+
+        // Only the first page of each column; the rest is loaded as needed
+        var columns = new List<ColumnResponse>();
+        foreach (var column in await _context.Columns.OrderBy(c => c.SortOrder).ToListAsync())
+        {
+            var page = await TaskService.LoadPageAsync(_context, column.Id, null, tasksPerColumn, today);
+            var response = MapToResponse(column);
+            response.Tasks = page.Tasks;
+            response.TaskCount = page.TotalCount;
+            response.NextCursor = page.NextCursor;
+            response.OverdueAfterCount = page.OverdueAfterCount;
+            columns.Add(response);
+        }
+
+        var labels = await _context.Labels.OrderBy(l => l.Name).ToListAsync();
+        var members = await _context.Members.OrderBy(m => m.Name).ToListAsync();
+        return new BoardResponse
+        {
+            Columns = columns,
+            Labels = labels.Select(LabelService.MapToResponse).ToList(),
+            Members = members.Select(MemberService.MapToResponse).ToList()
+        };
     }
 
     private static ColumnResponse MapToResponse(TaskColumn column)
     {
         var tasks = column.Tasks
             .OrderBy(t => t.IsFavorite ? 0 : 1) // Favorites first
+            .ThenByDescending(t => t.Priority) // Then by priority
+            .ThenBy(t => t.SortOrder)
             .ThenBy(t => t.Name)
+            .ThenBy(t => t.Id)
             .Select(t => new TaskResponse
             {
                 Id = t.Id,
@@ -92,6 +187,9 @@ public class ColumnService : IColumnService
                 CreatedAt = t.CreatedAt,
                 UpdatedAt = t.UpdatedAt,
                 IsFavorite = t.IsFavorite,
+                Priority = t.Priority,
+                LabelIds = t.Labels.Select(l => l.Id).OrderBy(id => id).ToList(),
+                AssigneeIds = t.Assignees.Select(m => m.Id).OrderBy(id => id).ToList(),
                 ColumnId = t.ColumnId,
                 ColumnName = column.Name,
                 SortOrder = t.SortOrder,
@@ -102,7 +200,9 @@ public class ColumnService : IColumnService
                     ContentType = a.ContentType,
                     FileSize = a.FileSize,
                     UploadedAt = a.UploadedAt
-                }).ToList()
+                }).ToList(),
+                ChecklistItems = TaskService.MapChecklist(t.ChecklistItems),
+                Recurrence = RecurrenceSchedule.ToRule(t)
             }).ToList();
 
         return new ColumnResponse
@@ -110,7 +210,8 @@ public class ColumnService : IColumnService
             Id = column.Id,
             Name = column.Name,
             SortOrder = column.SortOrder,
-            Tasks = tasks
+            Tasks = tasks,
+            TaskCount = tasks.Count
         };
     }
 }
@@ -0,0 +1,115 @@
+using Microsoft.EntityFrameworkCore;
+using Backend.Data;
+using Backend.Models;
+using Backend.DTOs;
+
+namespace Backend.Services;
+
+/// <summary>
+/// Comment threads on tasks. Comments belong to the signed-in user who wrote
+/// them and carry their display name.
+/// </summary>
+public class CommentService : ICommentService
+{
+    private readonly TaskDbContext _context;
+
+    public CommentService(TaskDbContext context)
+    {
+        _context = context;
+    }
+
+    public async Task<List<CommentResponse>?> GetCommentsAsync(int taskId)
+    {
+        if (!await _context.Tasks.AnyAsync(t => t.Id == taskId)) return null;
+
+        var comments = await _context.Comments
+            .Where(c => c.TaskId == taskId)
+            .OrderBy(c => c.CreatedAt)
+            .ThenBy(c => c.Id)
+            .ToListAsync();
+
+        return comments.Select(MapToResponse).ToList();
+    }
+
+    public async Task<CommentResponse?> AddCommentAsync(int taskId, CreateCommentRequest request, int userId)
+    {
+        if (!await _context.Tasks.AnyAsync(t => t.Id == taskId)) return null;
+
+        var author = await _context.Users.FirstAsync(u => u.Id == userId);
+        var comment = new TaskComment
+        {
+            TaskId = taskId,
+            AuthorUserId = author.Id,
+            AuthorName = author.DisplayName,
+            Body = request.Body.Trim(),
+            CreatedAt = DateTime.UtcNow
+        };
+        ThrowIfEmpty(comment.Body);
+
+        _context.Comments.Add(comment);
+        await _context.SaveChangesAsync();
+
+        return MapToResponse(comment);
+    }
+
+    public async Task<CommentResponse?> UpdateCommentAsync(int id, UpdateCommentRequest request, int userId)
+    {
+        var comment = await FindOwnCommentAsync(id, userId);
+        if (comment == null) return null;
+
+        comment.Body = request.Body.Trim();
+        ThrowIfEmpty(comment.Body);
+        comment.EditedAt = DateTime.UtcNow;
+        await _context.SaveChangesAsync();
+
+        return MapToResponse(comment);
+    }
+
+    public async Task<CommentResponse?> DeleteCommentAsync(int id, int userId)
+    {
+        var comment = await FindOwnCommentAsync(id, userId);
+        if (comment == null) return null;
+
+        _context.Comments.Remove(comment);
+        await _context.SaveChangesAsync();
+
+        return MapToResponse(comment);
+    }
+
+    // Comments on deleted tasks are treated as gone
+    private async Task<TaskComment?> FindOwnCommentAsync(int id, int userId)
+    {
+        var comment = await _context.Comments
+            .FirstOrDefaultAsync(c => c.Id == id && c.Task.DeletedAt == null);
+
+        if (comment == null) return null;
+
+        if (comment.AuthorUserId != userId)
+        {
+            throw new UnauthorizedAccessException("Only the author can change a comment");
+        }
+        return comment;
+    }
+
+    private static void ThrowIfEmpty(string body)
+    {
+        if (string.IsNullOrWhiteSpace(body))
+        {
+            throw new ArgumentException("Comment cannot be empty", nameof(body));
+        }
+    }
+
+    private static CommentResponse MapToResponse(TaskComment comment)
+    {
+        return new CommentResponse
+        {
+            Id = comment.Id,
+            TaskId = comment.TaskId,
+            AuthorUserId = comment.AuthorUserId,
+            AuthorName = comment.AuthorName,
+            Body = comment.Body,
+            CreatedAt = comment.CreatedAt,
+            EditedAt = comment.EditedAt
+        };
+    }
+}
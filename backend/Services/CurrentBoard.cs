@@ -0,0 +1,21 @@
+using Backend.Models;
+
+namespace Backend.Services;
+
+/// <summary>
+/// The board the current request works on, set by BoardAccessFilter once the
+/// caller's access is checked. Left empty outside board requests, e.g. for
+/// account endpoints and the trash cleanup, where nothing is board-filtered.
+/// </summary>
+public class CurrentBoard
+{
+    public int? Id { get; private set; }
+
+    public BoardRole? Role { get; private set; }
+
+    public void Set(int id, BoardRole role)
+    {
+        Id = id;
+        Role = role;
+    }
+}
@@ -7,11 +7,26 @@ public interface ITaskService
 {
     Task<IEnumerable<TaskResponse>> GetAllTasksAsync();
     Task<TaskResponse?> GetTaskByIdAsync(int id);
-    Task<TaskResponse> CreateTaskAsync(CreateTaskRequest request);
+    /// <summary>
+    /// Creates the task, with `attachments` (files already stored) saved along
+    /// with it
+    /// </summary>
+    Task<TaskResponse> CreateTaskAsync(CreateTaskRequest request, IReadOnlyCollection<TaskAttachment>? attachments = null);
     Task<TaskResponse?> UpdateTaskAsync(int id, UpdateTaskRequest request);
     Task<bool> DeleteTaskAsync(int id);
+    Task<TaskResponse?> RestoreTaskAsync(int id);
+    Task<List<TaskResponse>> MoveTasksAsync(BatchMoveTasksRequest request);
+    Task<List<TaskResponse>> UpdateTasksAsync(BatchUpdateTasksRequest request);
+    Task DeleteTasksAsync(BatchTaskRequest request);
+    Task<List<TaskResponse>> RestoreTasksAsync(BatchTaskRequest request);
     Task<TaskResponse?> MoveTaskAsync(int id, MoveTaskRequest request);
+    Task<List<TaskActivityResponse>?> GetTaskActivityAsync(int id);
+    Task<TaskResponse?> AddChecklistItemAsync(int taskId, CreateChecklistItemRequest request);
+    Task<TaskResponse?> UpdateChecklistItemAsync(int taskId, int itemId, UpdateChecklistItemRequest request);
+    Task<TaskResponse?> DeleteChecklistItemAsync(int taskId, int itemId);
+    Task<TaskResponse?> ReorderChecklistAsync(int taskId, ReorderChecklistRequest request);
     Task<IEnumerable<TaskResponse>> GetTasksByColumnAsync(int columnId);
+    Task<TaskPageResponse?> GetTaskPageAsync(int columnId, string? cursor, int limit, DateTime? today = null);
 }
 
 public interface IColumnService
@@ -19,13 +34,107 @@ public interface IColumnService
     Task<IEnumerable<ColumnResponse>> GetAllColumnsAsync();
     Task<ColumnResponse?> GetColumnByIdAsync(int id);
     Task<ColumnResponse> CreateColumnAsync(CreateColumnRequest request);
+    Task<ColumnResponse?> UpdateColumnAsync(int id, UpdateColumnRequest request);
+    Task<IEnumerable<ColumnResponse>> ReorderColumnsAsync(ReorderColumnsRequest request);
     Task<bool> DeleteColumnAsync(int id);
-    Task<BoardResponse> GetBoardAsync();
+    Task<ColumnResponse?> RestoreColumnAsync(int id);
+    Task<BoardResponse> GetBoardAsync(int tasksPerColumn = TaskService.DefaultPageSize, DateTime? today = null);
+}
+
+public interface ILabelService
+{
+    Task<List<LabelResponse>> GetLabelsAsync();
+    Task<LabelResponse> CreateLabelAsync(SaveLabelRequest request);
+    Task<LabelResponse?> UpdateLabelAsync(int id, SaveLabelRequest request);
+    Task<bool> DeleteLabelAsync(int id);
+}
+
+public interface IMemberService
+{
+    Task<List<MemberResponse>> GetMembersAsync();
+    Task<MemberResponse> CreateMemberAsync(SaveMemberRequest request);
+    Task<MemberResponse?> UpdateMemberAsync(int id, SaveMemberRequest request);
+    Task<bool> DeleteMemberAsync(int id);
+}
+
+public interface IBoardEventBroadcaster
+{
+    int SubscriberCount { get; }
+    BoardEventSubscription Subscribe(int boardId);
+    void Publish(int boardId, string type, object? data, string? sourceClientId = null);
+}
+
+public interface ICommentService
+{
+    Task<List<CommentResponse>?> GetCommentsAsync(int taskId);
+    Task<CommentResponse?> AddCommentAsync(int taskId, CreateCommentRequest request, int userId);
+    Task<CommentResponse?> UpdateCommentAsync(int id, UpdateCommentRequest request, int userId);
+    Task<CommentResponse?> DeleteCommentAsync(int id, int userId);
+}
+
+public interface IBoardImportService
+{
+    Task<ImportBoardResponse> ImportBoardAsync(ImportBoardRequest request);
+}
+
+public interface ITrashService
+{
+    Task<int> PurgeDeletedAsync(DateTime deletedBefore);
 }
 
 public interface IAttachmentService
 {
     Task<AttachmentResponse> UploadAttachmentAsync(int taskId, IFormFile file);
     Task<bool> DeleteAttachmentAsync(int attachmentId);
+    Task<AttachmentEventData?> RestoreAttachmentAsync(int attachmentId);
     Task<(Stream stream, string contentType, string fileName)?> DownloadAttachmentAsync(int attachmentId);
+    Task<(Stream stream, string contentType, string fileName, DateTime uploadedAt)?> GetAttachmentPreviewAsync(int attachmentId);
+    Task<int> RemoveOrphanedFilesAsync(DateTime modifiedBefore);
+}
+
+public interface IAuthService
+{
+    Task<AuthResponse> SignUpAsync(SignUpRequest request);
+    Task<AuthResponse?> LogInAsync(LogInRequest request);
+    Task LogOutAsync(string token);
+    Task<User?> ValidateTokenAsync(string token);
+    Task<UserResponse?> GetUserAsync(int userId);
+}
+
+public interface IBoardService
+{
+    Task<List<BoardSummaryResponse>> GetBoardsAsync(int userId);
+    Task<BoardSummaryResponse> CreateBoardAsync(int userId, SaveBoardRequest request);
+    Task<BoardSummaryResponse?> RenameBoardAsync(int boardId, SaveBoardRequest request);
+    Task<bool> DeleteBoardAsync(int boardId);
+    Task<BoardRole?> GetRoleAsync(int boardId, int userId);
+    Task<List<BoardShareResponse>> GetSharesAsync(int boardId);
+    Task<BoardShareResponse> ShareBoardAsync(int boardId, ShareBoardRequest request);
+    Task<BoardShareResponse?> UpdateShareAsync(int boardId, int userId, UpdateBoardShareRequest request);
+    Task<bool> RemoveShareAsync(int boardId, int userId);
+}
+
+public interface ITemplateService
+{
+    Task<List<TemplateResponse>> GetTemplatesAsync();
+    Task<TemplateResponse> CreateTemplateAsync(SaveTemplateRequest request);
+    Task<TemplateResponse?> CreateTemplateFromTaskAsync(int taskId);
+    Task<TemplateResponse?> UpdateTemplateAsync(int id, SaveTemplateRequest request);
+    Task<bool> DeleteTemplateAsync(int id);
+    Task<AttachmentResponse?> AddAttachmentAsync(int templateId, IFormFile file);
+    Task<bool> DeleteAttachmentAsync(int templateId, int attachmentId);
+    Task<TaskResponse?> CreateTaskAsync(int templateId, CreateTaskRequest request);
+}
+
+public interface IRecurringTaskService
+{
+    Task<List<RecurringTaskOccurrence>> CreateNextOccurrencesAsync(DateTime today);
+}
+
+public interface IRecurringTaskScheduler
+{
+    /// <summary>
+    /// Looks for finished recurring tasks soon, without waiting for the next hourly run
+    /// </summary>
+    void Wake();
 }
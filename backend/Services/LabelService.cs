@@ -0,0 +1,89 @@
+using Microsoft.EntityFrameworkCore;
+using Backend.Data;
+using Backend.Models;
+using Backend.DTOs;
+
+namespace Backend.Services;
+
+/// <summary>
+/// The board's labels. Deleting a label removes it from every task that has it.
+/// </summary>
+public class LabelService : ILabelService
+{
+    private readonly TaskDbContext _context;
+
+    public LabelService(TaskDbContext context)
+    {
+        _context = context;
+    }
+
+    public async Task<List<LabelResponse>> GetLabelsAsync()
+    {
+        var labels = await _context.Labels.OrderBy(l => l.Name).ToListAsync();
+        return labels.Select(MapToResponse).ToList();
+    }
+
+    public async Task<LabelResponse> CreateLabelAsync(SaveLabelRequest request)
+    {
+        var name = request.Name.Trim();
+        await ThrowIfNameTakenAsync(name, null);
+
+        var label = new TaskLabel { Name = name, Color = request.Color.ToLowerInvariant() };
+        _context.Labels.Add(label);
+        await _context.SaveChangesAsync();
+
+        return MapToResponse(label);
+    }
+
+    public async Task<LabelResponse?> UpdateLabelAsync(int id, SaveLabelRequest request)
+    {
+        var label = await _context.Labels.FirstOrDefaultAsync(l => l.Id == id);
+        if (label == null) return null;
+
+        var name = request.Name.Trim();
+        await ThrowIfNameTakenAsync(name, id);
+
+        label.Name = name;
+        label.Color = request.Color.ToLowerInvariant();
+        await _context.SaveChangesAsync();
+
+        return MapToResponse(label);
+    }
+
+    public async Task<bool> DeleteLabelAsync(int id)
+    {
+        var label = await _context.Labels
+            .Include(l => l.Tasks)
+            .FirstOrDefaultAsync(l => l.Id == id);
+
+        if (label == null) return false;
+
+        _context.Labels.Remove(label);
+        await _context.SaveChangesAsync();
+        return true;
+    }
+
+    private async Task ThrowIfNameTakenAsync(string name, int? exceptId)
+    {
+        if (name.Length == 0)
+        {
+            throw new ArgumentException("Label name cannot be empty", nameof(name));
+        }
+
+        var labels = await _context.Labels.Where(l => l.Id != exceptId).ToListAsync();
+        if (labels.Any(l => string.Equals(l.Name, name, StringComparison.OrdinalIgnoreCase)))
+        {
+            throw new ArgumentException($"There is already a label called \"{name}\"", nameof(name));
+        }
+    }
+
+    internal static LabelResponse MapToResponse(TaskLabel label)
+    {
+        return new LabelResponse
+        {
+            Id = label.Id,
+            Name = label.Name,
+            Color = label.Color
+        };
+    }
+}
@@ -0,0 +1,90 @@
+using Microsoft.EntityFrameworkCore;
+using Backend.Data;
+using Backend.Models;
+using Backend.DTOs;
+
+namespace Backend.Services;
+
+/// <summary>
+/// The people tasks can be assigned to. Deleting a member unassigns them from
+/// every task.
+/// </summary>
+public class MemberService : IMemberService
+{
+    private readonly TaskDbContext _context;
+
+    public MemberService(TaskDbContext context)
+    {
+        _context = context;
+    }
+
+    public async Task<List<MemberResponse>> GetMembersAsync()
+    {
+        var members = await _context.Members.OrderBy(m => m.Name).ToListAsync();
+        return members.Select(MapToResponse).ToList();
+    }
+
+    public async Task<MemberResponse> CreateMemberAsync(SaveMemberRequest request)
+    {
+        var name = request.Name.Trim();
+        await ThrowIfNameTakenAsync(name, null);
+
+        var member = new BoardMember { Name = name, Color = request.Color.ToLowerInvariant() };
+        _context.Members.Add(member);
+        await _context.SaveChangesAsync();
+
+        return MapToResponse(member);
+    }
+
+    public async Task<MemberResponse?> UpdateMemberAsync(int id, SaveMemberRequest request)
+    {
+        var member = await _context.Members.FirstOrDefaultAsync(m => m.Id == id);
+        if (member == null) return null;
+
+        var name = request.Name.Trim();
+        await ThrowIfNameTakenAsync(name, id);
+
+        member.Name = name;
+        member.Color = request.Color.ToLowerInvariant();
+        await _context.SaveChangesAsync();
+
+        return MapToResponse(member);
+    }
+
+    public async Task<bool> DeleteMemberAsync(int id)
+    {
+        var member = await _context.Members
+            .Include(m => m.Tasks)
+            .FirstOrDefaultAsync(m => m.Id == id);
+
+        if (member == null) return false;
+
+        _context.Members.Remove(member);
+        await _context.SaveChangesAsync();
+        return true;
+    }
+
+    private async Task ThrowIfNameTakenAsync(string name, int? exceptId)
+    {
+        if (name.Length == 0)
+        {
+            throw new ArgumentException("Member name cannot be empty", nameof(name));
+        }
+
+        var members = await _context.Members.Where(m => m.Id != exceptId).ToListAsync();
+        if (members.Any(m => string.Equals(m.Name, name, StringComparison.OrdinalIgnoreCase)))
+        {
+            throw new ArgumentException($"There is already a member called \"{name}\"", nameof(name));
+        }
+    }
+
+    internal static MemberResponse MapToResponse(BoardMember member)
+    {
+        return new MemberResponse
+        {
+            Id = member.Id,
+            Name = member.Name,
+            Color = member.Color
+        };
+    }
+}
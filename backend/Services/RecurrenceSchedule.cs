@@ -0,0 +1,106 @@
+using Backend.DTOs;
+using Backend.Models;
+
+namespace Backend.Services;
+
+/// <summary>
+/// When the next task of a recurring one is due, and the checks on the
+/// recurrence clients send
+/// </summary>
+public static class RecurrenceSchedule
+{
+    /// <summary>
+    /// The deadline of the task that follows one due on `deadline` (if it has
+    /// one) and finished on `today`: the first day of the schedule after both.
+    /// Monthly tasks fall on `dayOfMonth`, or on the last day of months too
+    /// short for it; without one they keep the day of their deadline or today.
+    /// </summary>
+    public static DateTime NextDeadline(RecurrenceFrequency frequency, int weekdays, int dayOfMonth, DateTime? deadline, DateTime today)
+    {
+        var from = deadline.HasValue && deadline.Value.Date > today.Date ? deadline.Value.Date : today.Date;
+        var next = frequency switch
+        {
+            RecurrenceFrequency.Daily => from.AddDays(1),
+            RecurrenceFrequency.Weekly => NextWeekday(from, weekdays),
+            RecurrenceFrequency.Monthly => NextDayOfMonth(from, dayOfMonth > 0 ? dayOfMonth : (deadline ?? today).Day),
+            _ => throw new ArgumentException("The task doesn't recur", nameof(frequency))
+        };
+        return DateTime.SpecifyKind(next, DateTimeKind.Utc);
+    }
+
+    /// <summary>
+    /// Sets the task's recurrence from a client's rule; throws
+    /// ArgumentException for a rule that can't be followed
+    /// </summary>
+    public static void Apply(TaskItem task, RecurrenceRule rule)
+    {
+        if (!Enum.IsDefined(rule.Frequency))
+        {
+            throw new ArgumentException("Recurrence must be none, daily, weekly or monthly", nameof(rule));
+        }
+
+        var weekdays = 0;
+        if (rule.Frequency == RecurrenceFrequency.Weekly)
+        {
+            if (rule.Weekdays.Count == 0 || rule.Weekdays.Any(day => day < 0 || day > 6))
+            {
+                throw new ArgumentException("A weekly task needs weekdays from 0 (Sunday) to 6 (Saturday)", nameof(rule));
+            }
+            weekdays = rule.Weekdays.Aggregate(0, (mask, day) => mask | (1 << day));
+        }
+
+        // A task that becomes monthly takes its day from its deadline
+        if (rule.Frequency != RecurrenceFrequency.Monthly || task.Recurrence != RecurrenceFrequency.Monthly)
+        {
+            task.RecurrenceDayOfMonth = 0;
+        }
+        task.Recurrence = rule.Frequency;
+        task.RecurrenceWeekdays = weekdays;
+    }
+
+    /// <summary>
+    /// Sets the day of the month a monthly task falls on from its deadline,
+    /// or `today` without one. Call it once the deadline was set by hand:
+    /// deadlines the schedule clamped to a short month leave the day as it was.
+    /// </summary>
+    public static void SetDayOfMonth(TaskItem task, DateTime today)
+    {
+        task.RecurrenceDayOfMonth = task.Recurrence == RecurrenceFrequency.Monthly
+            ? (task.Deadline ?? today).Day
+            : 0;
+    }
+
+    /// <summary>
+    /// The task's recurrence as clients see it, or null for a one-off task
+    /// </summary>
+    public static RecurrenceRule? ToRule(TaskItem task)
+    {
+        if (task.Recurrence == RecurrenceFrequency.None) return null;
+
+        return new RecurrenceRule
+        {
+            Frequency = task.Recurrence,
+            Weekdays = Enumerable.Range(0, 7).Where(day => (task.RecurrenceWeekdays & (1 << day)) != 0).ToList()
+        };
+    }
+
+    private static DateTime NextWeekday(DateTime from, int weekdays)
+    {
+        for (var days = 1; days <= 7; days++)
+        {
+            var date = from.AddDays(days);
+            if ((weekdays & (1 << (int)date.DayOfWeek)) != 0) return date;
+        }
+        throw new ArgumentException("A weekly task needs at least one weekday", nameof(weekdays));
+    }
+
+    private static DateTime NextDayOfMonth(DateTime from, int day)
+    {
+        var month = new DateTime(from.Year, from.Month, 1);
+        var date = OnDay(month, day);
+        return date > from ? date : OnDay(month.AddMonths(1), day);
+    }
+
+    private static DateTime OnDay(DateTime month, int day) =>
+        month.AddDays(Math.Min(day, DateTime.DaysInMonth(month.Year, month.Month)) - 1);
+}
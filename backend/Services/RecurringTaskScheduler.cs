@@ -0,0 +1,77 @@
+using System.Threading.Channels;
+using Backend.DTOs;
+
+namespace Backend.Services;
+
+/// <summary>
+/// Makes the next task of finished recurring tasks. It runs when a task is
+/// moved or saved, so the next task shows up right after the current one
+/// reaches Done, and every hour in case a wake-up was missed.
+/// </summary>
+public class RecurringTaskScheduler : BackgroundService, IRecurringTaskScheduler
+{
+    private static readonly TimeSpan Interval = TimeSpan.FromHours(1);
+
+    private readonly IServiceScopeFactory _scopeFactory;
+    private readonly IBoardEventBroadcaster _events;
+    private readonly ILogger<RecurringTaskScheduler> _logger;
+
+    // Wake-ups that come in while a run is pending fold into that run
+    private readonly Channel<bool> _wakeUps = Channel.CreateBounded<bool>(
+        new BoundedChannelOptions(1) { FullMode = BoundedChannelFullMode.DropWrite });
+
+    public RecurringTaskScheduler(IServiceScopeFactory scopeFactory, IBoardEventBroadcaster events, ILogger<RecurringTaskScheduler> logger)
+    {
+        _scopeFactory = scopeFactory;
+        _events = events;
+        _logger = logger;
+    }
+
+    public void Wake() => _wakeUps.Writer.TryWrite(true);
+
+    protected override async Task ExecuteAsync(CancellationToken stoppingToken)
+    {
+        try
+        {
+            while (!stoppingToken.IsCancellationRequested)
+            {
+                await RunAsync();
+
+                using var timeout = CancellationTokenSource.CreateLinkedTokenSource(stoppingToken);
+                timeout.CancelAfter(Interval);
+                try
+                {
+                    await _wakeUps.Reader.ReadAsync(timeout.Token);
+                }
+                catch (OperationCanceledException) when (!stoppingToken.IsCancellationRequested)
+                {
+                    // Time for the hourly run
+                }
+            }
+        }
+        catch (OperationCanceledException)
+        {
+            // Shutting down
+        }
+    }
+
+    private async Task RunAsync()
+    {
+        try
+        {
+            using var scope = _scopeFactory.CreateScope();
+            var recurringTasks = scope.ServiceProvider.GetRequiredService<IRecurringTaskService>();
+            foreach (var occurrence in await recurringTasks.CreateNextOccurrencesAsync(DateTime.UtcNow))
+            {
+                // No source client: whoever finished the task hasn't seen either change
+                _events.Publish(occurrence.BoardId, BoardEventTypes.TaskUpdated, occurrence.Finished);
+                _events.Publish(occurrence.BoardId, BoardEventTypes.TaskCreated, occurrence.Next);
+            }
+        }
+        catch (Exception ex)
+        {
+            // Try again on the next run
+            _logger.LogError(ex, "Failed to create recurring tasks");
+        }
+    }
+}
@@ -0,0 +1,106 @@
+using Microsoft.EntityFrameworkCore;
+using Backend.Data;
+using Backend.Models;
+using Backend.DTOs;
+
+namespace Backend.Services;
+
+/// <summary>
+/// A recurring task that was finished and the task made to follow it
+/// </summary>
+public record RecurringTaskOccurrence(int BoardId, TaskResponse Finished, TaskResponse Next);
+
+/// <summary>
+/// Makes the next task of every recurring task that was moved into its
+/// board's last column, which is where boards keep finished work. Tasks only
+/// found there, such as ones created or made recurring in it, aren't finished.
+/// </summary>
+public class RecurringTaskService : IRecurringTaskService
+{
+    private readonly TaskDbContext _context;
+
+    public RecurringTaskService(TaskDbContext context)
+    {
+        _context = context;
+    }
+
+    public async Task<List<RecurringTaskOccurrence>> CreateNextOccurrencesAsync(DateTime today)
+    {
+        var recurring = await _context.Tasks
+            .Include(t => t.Column)
+            .Include(t => t.Attachments)
+            .Include(t => t.ChecklistItems)
+            .Include(t => t.Labels)
+            .Include(t => t.Assignees)
+            .Where(t => t.RecurrencePending && t.Recurrence != RecurrenceFrequency.None)
+            .ToListAsync();
+        if (recurring.Count == 0) return new List<RecurringTaskOccurrence>();
+
+        var boardIds = recurring.Select(t => t.Column.BoardId).Distinct().ToList();
+        var columnsByBoard = (await _context.Columns
+                .Where(c => boardIds.Contains(c.BoardId))
+                .ToListAsync())
+            .GroupBy(c => c.BoardId)
+            .ToDictionary(g => g.Key, g => g.OrderBy(c => c.SortOrder).ThenBy(c => c.Id).ToList());
+
+        var created = new List<(TaskItem Finished, TaskItem Next)>();
+        var nextSortOrders = new Dictionary<int, int>();
+        foreach (var task in recurring.OrderBy(t => t.Id))
+        {
+            var firstColumn = columnsByBoard[task.Column.BoardId][0];
+            if (!nextSortOrders.TryGetValue(firstColumn.Id, out var sortOrder))
+            {
+                sortOrder = (await _context.Tasks
+                    .Where(t => t.ColumnId == firstColumn.Id)
+                    .MaxAsync(t => (int?)t.SortOrder) ?? 0) + 1;
+            }
+            nextSortOrders[firstColumn.Id] = sortOrder + 1;
+
+            if (task.Recurrence == RecurrenceFrequency.Monthly && task.RecurrenceDayOfMonth == 0)
+            {
+                RecurrenceSchedule.SetDayOfMonth(task, today);
+            }
+
+            var next = new TaskItem
+            {
+                Name = task.Name,
+                Description = task.Description,
+                Deadline = RecurrenceSchedule.NextDeadline(task.Recurrence, task.RecurrenceWeekdays, task.RecurrenceDayOfMonth, task.Deadline, today),
+                Priority = task.Priority,
+                IsFavorite = task.IsFavorite,
+                ColumnId = firstColumn.Id,
+                Column = firstColumn,
+                SortOrder = sortOrder,
+                Recurrence = task.Recurrence,
+                RecurrenceWeekdays = task.RecurrenceWeekdays,
+                RecurrenceDayOfMonth = task.RecurrenceDayOfMonth,
+                Labels = task.Labels.ToList(),
+                Assignees = task.Assignees.ToList(),
+                ChecklistItems = task.ChecklistItems
+                    .Select(i => new ChecklistItem { Text = i.Text, SortOrder = i.SortOrder })
+                    .ToList(),
+                CreatedAt = DateTime.UtcNow,
+                UpdatedAt = DateTime.UtcNow
+            };
+            _context.Tasks.Add(next);
+
+            // The schedule moves on to the new task, so the finished one is
+            // only ever followed once
+            task.Recurrence = RecurrenceFrequency.None;
+            task.RecurrenceWeekdays = 0;
+            task.RecurrenceDayOfMonth = 0;
+            task.RecurrencePending = false;
+            task.UpdatedAt = DateTime.UtcNow;
+            created.Add((task, next));
+        }
+
+        await _context.SaveChangesAsync();
+
+        return created
+            .Select(c => new RecurringTaskOccurrence(
+                c.Finished.Column.BoardId,
+                TaskService.MapToResponse(c.Finished),
+                TaskService.MapToResponse(c.Next)))
+            .ToList();
+    }
+}
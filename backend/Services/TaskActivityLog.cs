@@ -0,0 +1,93 @@
+using Backend.Data;
+using Backend.DTOs;
+using Backend.Models;
+
+namespace Backend.Services;
+
+/// <summary>
+/// Adds activity timeline entries to the context. Services call these before
+/// changing a task, so the entries are saved together with the change.
+/// </summary>
+internal static class TaskActivityLog
+{
+    private const int MaxValueLength = 1000;
+
+    /// <summary>
+    /// Records the edited fields among name, description and deadline
+    /// </summary>
+    public static void RecordEdits(TaskDbContext context, TaskItem task, string name, string description, DateTime? deadline)
+    {
+        if (task.Name != name)
+        {
+            Record(context, task.Id, TaskActivityTypes.Edited, "name", task.Name, name);
+        }
+        if (task.Description != description)
+        {
+            Record(context, task.Id, TaskActivityTypes.Edited, "description", task.Description, description);
+        }
+        if (task.Deadline != deadline)
+        {
+            Record(context, task.Id, TaskActivityTypes.Edited, "deadline", FormatDate(task.Deadline), FormatDate(deadline));
+        }
+    }
+
+    public static void RecordFavorite(TaskDbContext context, TaskItem task, bool isFavorite)
+    {
+        if (task.IsFavorite != isFavorite)
+        {
+            Record(context, task.Id, isFavorite ? TaskActivityTypes.Favorited : TaskActivityTypes.Unfavorited);
+        }
+    }
+
+    public static void RecordPriority(TaskDbContext context, TaskItem task, TaskPriority priority)
+    {
+        if (task.Priority != priority)
+        {
+            Record(context, task.Id, TaskActivityTypes.Edited, "priority", FormatPriority(task.Priority), FormatPriority(priority));
+        }
+    }
+
+    /// <summary>
+    /// Records a move to another column; reordering within a column isn't activity
+    /// </summary>
+    public static void RecordMove(TaskDbContext context, TaskItem task, TaskColumn? target)
+    {
+        if (target != null && task.ColumnId != target.Id)
+        {
+            Record(context, task.Id, TaskActivityTypes.Moved, null, task.Column?.Name, target.Name);
+        }
+    }
+
+    public static void Record(TaskDbContext context, int taskId, string type, string? field = null, string? oldValue = null, string? newValue = null)
+    {
+        context.Activities.Add(Entry(type, field, oldValue, newValue, taskId));
+    }
+
+    /// <summary>
+    /// Records an entry for a task that may not be saved yet, and so have no ID
+    /// </summary>
+    public static void Record(TaskDbContext context, TaskItem task, string type, string? field = null, string? oldValue = null, string? newValue = null)
+    {
+        var entry = Entry(type, field, oldValue, newValue, task.Id);
+        entry.Task = task;
+        context.Activities.Add(entry);
+    }
+
+    private static TaskActivity Entry(string type, string? field, string? oldValue, string? newValue, int taskId) => new()
+    {
+        TaskId = taskId,
+        Type = type,
+        Field = field,
+        OldValue = Truncate(oldValue),
+        NewValue = Truncate(newValue),
+        OccurredAt = DateTime.UtcNow
+    };
+
+    private static string? FormatDate(DateTime? date) => date?.ToString("yyyy-MM-dd");
+
+    // Same names as the API uses
+    private static string FormatPriority(TaskPriority priority) => priority.ToString().ToLowerInvariant();
+
+    private static string? Truncate(string? value) =>
+        value != null && value.Length > MaxValueLength ? value[..MaxValueLength] : value;
+}
@@ -0,0 +1,48 @@
+using System.Text;
+using Backend.Models;
+
+namespace Backend.Services;
+
+/// <summary>
+/// Where a page of a column's tasks ends, in board order: favorites first,
+/// then by priority, manual order, name and ID. Clients get it as an opaque
+/// string and send it back to continue after that task.
+/// </summary>
+public record TaskCursor(bool IsFavorite, TaskPriority Priority, int SortOrder, int Id, string Name)
+{
+    public static TaskCursor After(TaskItem task) =>
+        new(task.IsFavorite, task.Priority, task.SortOrder, task.Id, task.Name);
+
+    public string Encode()
+    {
+        // The name goes last since it may contain the separator
+        var text = $"{(IsFavorite ? 1 : 0)}:{(int)Priority}:{SortOrder}:{Id}:{Name}";
+        return Convert.ToBase64String(Encoding.UTF8.GetBytes(text))
+            .TrimEnd('=').Replace('+', '-').Replace('/', '_');
+    }
+
+    /// <summary>
+    /// Reads a cursor made by Encode; throws ArgumentException for anything else
+    /// </summary>
+    public static TaskCursor Decode(string cursor)
+    {
+        try
+        {
+            var base64 = cursor.Replace('-', '+').Replace('_', '/');
+            base64 = base64.PadRight(base64.Length + (4 - base64.Length % 4) % 4, '=');
+            var parts = Encoding.UTF8.GetString(Convert.FromBase64String(base64)).Split(':', 5);
+            if (parts.Length == 5 && (parts[0] == "0" || parts[0] == "1")
+                && int.TryParse(parts[1], out var priority) && Enum.IsDefined(typeof(TaskPriority), priority)
+                && int.TryParse(parts[2], out var sortOrder)
+                && int.TryParse(parts[3], out var id))
+            {
+                return new TaskCursor(parts[0] == "1", (TaskPriority)priority, sortOrder, id, parts[4]);
+            }
+        }
+        catch (FormatException)
+        {
+            // Reported below
+        }
+        throw new ArgumentException("Invalid cursor", nameof(cursor));
+    }
+}
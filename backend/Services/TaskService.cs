@@ -8,6 +8,12 @@ namespace Backend.Services;
 
 public class TaskService : ITaskService
 {
+    /// <summary>
+    /// Tasks per column in the board and in each further page, unless asked otherwise
+    /// </summary>
+    public const int DefaultPageSize = 50;
+    public const int MaxPageSize = 200;
+
     private readonly TaskDbContext _context;
     
     public TaskService(TaskDbContext context)
@@ -20,8 +26,12 @@ public class TaskService : ITaskService
         var tasks = await _context.Tasks
             .Include(t => t.Column)
             .Include(t => t.Attachments)
+            .Include(t => t.ChecklistItems)
+            .Include(t => t.Labels)
+            .Include(t => t.Assignees)
             .OrderBy(t => t.Column.SortOrder)
             .ThenBy(t => t.IsFavorite ? 0 : 1) // Favorites first
+            .ThenByDescending(t => t.Priority)
             .ThenBy(t => t.Name)
             .ToListAsync();
 
@@ -33,13 +43,19 @@ public class TaskService : ITaskService
         var task = await _context.Tasks
             .Include(t => t.Column)
             .Include(t => t.Attachments)
+            .Include(t => t.ChecklistItems)
+            .Include(t => t.Labels)
+            .Include(t => t.Assignees)
             .FirstOrDefaultAsync(t => t.Id == id);
 
         return task != null ? MapToResponse(task) : null;
     }
 
-    public async Task<TaskResponse> CreateTaskAsync(CreateTaskRequest request)
+    public async Task<TaskResponse> CreateTaskAsync(CreateTaskRequest request, IReadOnlyCollection<TaskAttachment>? attachments = null)
     {
+        ThrowIfUnknownPriority(request.Priority);
+        await GetTargetColumnAsync(request.ColumnId);
+
         // Get the next sort order for the column
         var maxSortOrder = await _context.Tasks
             .Where(t => t.ColumnId == request.ColumnId)
@@ -49,12 +65,24 @@ public class TaskService : ITaskService
         {
             Name = request.Name,
             Description = request.Description,
-            Deadline = request.Deadline,
+            Deadline = NormalizeDeadline(request.Deadline),
+            Priority = request.Priority,
             ColumnId = request.ColumnId,
             SortOrder = maxSortOrder + 1,
             CreatedAt = DateTime.UtcNow,
             UpdatedAt = DateTime.UtcNow
         };
+        if (request.Recurrence != null)
+        {
+            RecurrenceSchedule.Apply(task, request.Recurrence);
+            RecurrenceSchedule.SetDayOfMonth(task, DateTime.UtcNow);
+        }
+        await SetLabelsAndAssigneesAsync(task, request.LabelIds, request.AssigneeIds);
+        foreach (var attachment in attachments ?? Array.Empty<TaskAttachment>())
+        {
+            task.Attachments.Add(attachment);
+            TaskActivityLog.Record(_context, task, TaskActivityTypes.AttachmentAdded, newValue: attachment.FileName);
+        }
 
         _context.Tasks.Add(task);
         await _context.SaveChangesAsync();
@@ -72,19 +100,50 @@ public class TaskService : ITaskService
         var task = await _context.Tasks
             .Include(t => t.Column)
             .Include(t => t.Attachments)
+            .Include(t => t.ChecklistItems)
+            .Include(t => t.Labels)
+            .Include(t => t.Assignees)
             .FirstOrDefaultAsync(t => t.Id == id);
 
         if (task == null) return null;
 
+        if (request.Priority.HasValue)
+        {
+            ThrowIfUnknownPriority(request.Priority.Value);
+        }
+        if (request.Recurrence != null)
+        {
+            RecurrenceSchedule.Apply(task, request.Recurrence);
+        }
+        await SetLabelsAndAssigneesAsync(task, request.LabelIds, request.AssigneeIds);
+
+        var deadline = NormalizeDeadline(request.Deadline);
+        TaskActivityLog.RecordEdits(_context, task, request.Name, request.Description, deadline);
+        TaskActivityLog.RecordFavorite(_context, task, request.IsFavorite);
+
+        var deadlineChanged = deadline != task.Deadline;
         task.Name = request.Name;
         task.Description = request.Description;
-        task.Deadline = request.Deadline;
+        task.Deadline = deadline;
         task.IsFavorite = request.IsFavorite;
+        if (deadlineChanged || task.RecurrenceDayOfMonth == 0)
+        {
+            RecurrenceSchedule.SetDayOfMonth(task, DateTime.UtcNow);
+        }
+        if (request.Priority.HasValue)
+        {
+            TaskActivityLog.RecordPriority(_context, task, request.Priority.Value);
+            task.Priority = request.Priority.Value;
+        }
         task.UpdatedAt = DateTime.UtcNow;
 
         // Handle column change
         if (task.ColumnId != request.ColumnId)
         {
+            var targetColumn = await GetTargetColumnAsync(request.ColumnId);
+            TaskActivityLog.RecordMove(_context, task, targetColumn);
+            await MarkFinishedRecurrencesAsync(new[] { task }, targetColumn);
+
             var maxSortOrder = await _context.Tasks
                 .Where(t => t.ColumnId == request.ColumnId)
                 .MaxAsync(t => (int?)t.SortOrder) ?? 0;
@@ -105,36 +164,97 @@ public class TaskService : ITaskService
 
     public async Task<bool> DeleteTaskAsync(int id)
     {
-        var task = await _context.Tasks.FindAsync(id);
+        var task = await _context.Tasks.FirstOrDefaultAsync(t => t.Id == id);
         if (task == null) return false;
 
-        _context.Tasks.Remove(task);
+        // Soft delete so the task can be restored (undo)
+        task.DeletedAt = DateTime.UtcNow;
         await _context.SaveChangesAsync();
         return true;
     }
 
+    public async Task<TaskResponse?> RestoreTaskAsync(int id)
+    {
+        var task = await _context.Tasks
+            .IgnoreQueryFilters()
+            .Include(t => t.Column)
+            // Attachments deleted on their own stay deleted
+            .Include(t => t.Attachments.Where(a => a.DeletedAt == null))
+            .Include(t => t.ChecklistItems)
+            .Include(t => t.Labels)
+            .Include(t => t.Assignees)
+            .FirstOrDefaultAsync(t => t.Id == id);
+
+        if (task == null || !_context.IsOnCurrentBoard(task.Column.BoardId)) return null;
+
+        if (task.Column.DeletedAt != null)
+        {
+            throw new InvalidOperationException("Cannot restore a task whose column was deleted");
+        }
+
+        task.DeletedAt = null;
+        await _context.SaveChangesAsync();
+
+        return MapToResponse(task);
+    }
+
     public async Task<TaskResponse?> MoveTaskAsync(int id, MoveTaskRequest request)
     {
         var task = await _context.Tasks
             .Include(t => t.Column)
             .Include(t => t.Attachments)
+            .Include(t => t.ChecklistItems)
+            .Include(t => t.Labels)
+            .Include(t => t.Assignees)
             .FirstOrDefaultAsync(t => t.Id == id);
 
         if (task == null) return null;
 
-        // Update task position
+        var sourceColumnId = task.ColumnId;
+        var targetColumn = await GetTargetColumnAsync(request.ColumnId);
+
+        // SortOrder in the request is the 1-based position in the target column,
+        // counted in board order (favorites first, then by priority)
+        var targetTasks = await _context.Tasks
+            .Where(t => t.ColumnId == request.ColumnId && t.Id != id)
+            .OrderBy(t => t.IsFavorite ? 0 : 1)
+            .ThenByDescending(t => t.Priority)
+            .ThenBy(t => t.SortOrder)
+            .ThenBy(t => t.Name)
+            .ToListAsync();
+
+        var position = Math.Clamp(request.SortOrder - 1, 0, targetTasks.Count);
+        targetTasks.Insert(position, task);
+
+        TaskActivityLog.RecordMove(_context, task, targetColumn);
+        if (sourceColumnId != request.ColumnId)
+        {
+            await MarkFinishedRecurrencesAsync(new[] { task }, targetColumn);
+        }
         task.ColumnId = request.ColumnId;
-        task.SortOrder = request.SortOrder;
         task.UpdatedAt = DateTime.UtcNow;
 
-        // Reorder other tasks in the target column
-        var tasksToReorder = await _context.Tasks
-            .Where(t => t.ColumnId == request.ColumnId && t.Id != id && t.SortOrder >= request.SortOrder)
-            .ToListAsync();
+        // Renumber the target column so positions stay contiguous
+        for (var i = 0; i < targetTasks.Count; i++)
+        {
+            targetTasks[i].SortOrder = i + 1;
+        }
 
-        foreach (var taskToReorder in tasksToReorder)
+        // Close the gap left in the source column
+        if (sourceColumnId != request.ColumnId)
         {
-            taskToReorder.SortOrder++;
+            var sourceTasks = await _context.Tasks
+                .Where(t => t.ColumnId == sourceColumnId && t.Id != id)
+                .OrderBy(t => t.IsFavorite ? 0 : 1)
+                .ThenByDescending(t => t.Priority)
+                .ThenBy(t => t.SortOrder)
+                .ThenBy(t => t.Name)
+                .ToListAsync();
+
+            for (var i = 0; i < sourceTasks.Count; i++)
+            {
+                sourceTasks[i].SortOrder = i + 1;
+            }
         }
 
         await _context.SaveChangesAsync();
@@ -147,20 +267,474 @@ public class TaskService : ITaskService
         return MapToResponse(task);
     }
 
-    public async Task<IEnumerable<TaskResponse>> GetTasksByColumnAsync(int columnId)
+    // Batch operations load every task up front and save once, so a batch is
+    // applied completely or not at all
+
+    public async Task<List<TaskResponse>> MoveTasksAsync(BatchMoveTasksRequest request)
+    {
+        var ids = request.TaskIds.Distinct().ToList();
+        var tasks = await GetTasksForBatchAsync(ids);
+
+        var targetColumn = await GetTargetColumnAsync(request.ColumnId);
+
+        var sourceColumnIds = tasks.Select(t => t.ColumnId).Distinct().Where(id => id != request.ColumnId).ToList();
+
+        var targetTasks = await GetOrderedColumnTasksAsync(request.ColumnId, ids);
+        var position = request.SortOrder <= 0
+            ? targetTasks.Count
+            : Math.Clamp(request.SortOrder - 1, 0, targetTasks.Count);
+
+        var moved = ids.Select(id => tasks.First(t => t.Id == id)).ToList();
+        targetTasks.InsertRange(position, moved);
+        await MarkFinishedRecurrencesAsync(moved.Where(t => t.ColumnId != request.ColumnId), targetColumn);
+
+        foreach (var task in moved)
+        {
+            TaskActivityLog.RecordMove(_context, task, targetColumn);
+            task.ColumnId = request.ColumnId;
+            task.UpdatedAt = DateTime.UtcNow;
+        }
+
+        for (var i = 0; i < targetTasks.Count; i++)
+        {
+            targetTasks[i].SortOrder = i + 1;
+        }
+
+        // Close the gaps left in the source columns
+        foreach (var columnId in sourceColumnIds)
+        {
+            var sourceTasks = await GetOrderedColumnTasksAsync(columnId, ids);
+            for (var i = 0; i < sourceTasks.Count; i++)
+            {
+                sourceTasks[i].SortOrder = i + 1;
+            }
+        }
+
+        await _context.SaveChangesAsync();
+
+        foreach (var task in moved)
+        {
+            await _context.Entry(task).Reference(t => t.Column).LoadAsync();
+        }
+
+        return moved.Select(MapToResponse).ToList();
+    }
+
+    public async Task<List<TaskResponse>> UpdateTasksAsync(BatchUpdateTasksRequest request)
+    {
+        var ids = request.TaskIds.Distinct().ToList();
+        var tasks = await GetTasksForBatchAsync(ids);
+
+        foreach (var task in tasks)
+        {
+            if (request.IsFavorite.HasValue)
+            {
+                TaskActivityLog.RecordFavorite(_context, task, request.IsFavorite.Value);
+                task.IsFavorite = request.IsFavorite.Value;
+            }
+            if (request.SetDeadline)
+            {
+                var deadline = NormalizeDeadline(request.Deadline);
+                TaskActivityLog.RecordEdits(_context, task, task.Name, task.Description, deadline);
+                if (deadline != task.Deadline)
+                {
+                    task.Deadline = deadline;
+                    RecurrenceSchedule.SetDayOfMonth(task, DateTime.UtcNow);
+                }
+            }
+            task.UpdatedAt = DateTime.UtcNow;
+        }
+
+        await _context.SaveChangesAsync();
+
+        return ids.Select(id => MapToResponse(tasks.First(t => t.Id == id))).ToList();
+    }
+
+    public async Task DeleteTasksAsync(BatchTaskRequest request)
+    {
+        var tasks = await GetTasksForBatchAsync(request.TaskIds.Distinct().ToList());
+
+        var deletedAt = DateTime.UtcNow;
+        foreach (var task in tasks)
+        {
+            task.DeletedAt = deletedAt;
+        }
+
+        await _context.SaveChangesAsync();
+    }
+
+    public async Task<List<TaskResponse>> RestoreTasksAsync(BatchTaskRequest request)
+    {
+        var ids = request.TaskIds.Distinct().ToList();
+        var tasks = await _context.Tasks
+            .IgnoreQueryFilters()
+            .Include(t => t.Column)
+            .Include(t => t.Attachments.Where(a => a.DeletedAt == null))
+            .Include(t => t.ChecklistItems)
+            .Include(t => t.Labels)
+            .Include(t => t.Assignees)
+            .Where(t => ids.Contains(t.Id))
+            .ToListAsync();
+        tasks = tasks.Where(t => _context.IsOnCurrentBoard(t.Column.BoardId)).ToList();
+
+        ThrowIfMissing(ids, tasks);
+
+        if (tasks.Any(t => t.Column.DeletedAt != null))
+        {
+            throw new InvalidOperationException("Cannot restore a task whose column was deleted");
+        }
+
+        foreach (var task in tasks)
+        {
+            task.DeletedAt = null;
+        }
+
+        await _context.SaveChangesAsync();
+
+        return ids.Select(id => MapToResponse(tasks.First(t => t.Id == id))).ToList();
+    }
+
+    private async Task<List<TaskItem>> GetTasksForBatchAsync(List<int> ids)
     {
         var tasks = await _context.Tasks
             .Include(t => t.Column)
             .Include(t => t.Attachments)
-            .Where(t => t.ColumnId == columnId)
-            .OrderBy(t => t.IsFavorite ? 0 : 1) // Favorites first
+            .Include(t => t.ChecklistItems)
+            .Include(t => t.Labels)
+            .Include(t => t.Assignees)
+            .Where(t => ids.Contains(t.Id))
+            .ToListAsync();
+
+        ThrowIfMissing(ids, tasks);
+        return tasks;
+    }
+
+    /// <summary>
+    /// Replaces the task's labels and assignees with the ones listed; null
+    /// leaves them as they are
+    /// </summary>
+    private async Task SetLabelsAndAssigneesAsync(TaskItem task, List<int>? labelIds, List<int>? assigneeIds)
+    {
+        if (labelIds != null)
+        {
+            var ids = labelIds.Distinct().ToList();
+            var labels = await _context.Labels.Where(l => ids.Contains(l.Id)).ToListAsync();
+            if (labels.Count != ids.Count)
+            {
+                throw new ArgumentException("Unknown label", nameof(labelIds));
+            }
+            task.Labels.Clear();
+            foreach (var label in labels)
+            {
+                task.Labels.Add(label);
+            }
+        }
+
+        if (assigneeIds != null)
+        {
+            var ids = assigneeIds.Distinct().ToList();
+            var members = await _context.Members.Where(m => ids.Contains(m.Id)).ToListAsync();
+            if (members.Count != ids.Count)
+            {
+                throw new ArgumentException("Unknown assignee", nameof(assigneeIds));
+            }
+            task.Assignees.Clear();
+            foreach (var member in members)
+            {
+                task.Assignees.Add(member);
+            }
+        }
+    }
+
+    /// <summary>
+    /// The column tasks are added or moved to. Columns of other boards are
+    /// filtered out, so they are rejected like ones that don't exist.
+    /// </summary>
+    private async Task<TaskColumn> GetTargetColumnAsync(int columnId)
+    {
+        return await _context.Columns.FirstOrDefaultAsync(c => c.Id == columnId)
+            ?? throw new ArgumentException("Column not found", nameof(columnId));
+    }
+
+    /// <summary>
+    /// Flags recurring tasks moving into their board's last column, where
+    /// boards keep finished work, for the scheduler to create their next
+    /// task. Moving them to any other column takes the flag back.
+    /// </summary>
+    private async Task MarkFinishedRecurrencesAsync(IEnumerable<TaskItem> tasks, TaskColumn target)
+    {
+        var columnIds = await _context.Columns
+            .Where(c => c.BoardId == target.BoardId)
+            .OrderBy(c => c.SortOrder)
+            .ThenBy(c => c.Id)
+            .Select(c => c.Id)
+            .ToListAsync();
+        // A board with a single column has nowhere to finish tasks
+        var finished = columnIds.Count > 1 && columnIds[^1] == target.Id;
+
+        foreach (var task in tasks)
+        {
+            task.RecurrencePending = finished && task.Recurrence != RecurrenceFrequency.None;
+        }
+    }
+
+    internal static void ThrowIfUnknownPriority(TaskPriority priority)
+    {
+        if (!Enum.IsDefined(priority))
+        {
+            throw new ArgumentException("Priority must be low, medium, high or urgent", nameof(priority));
+        }
+    }
+
+    private static void ThrowIfMissing(List<int> ids, List<TaskItem> tasks)
+    {
+        var missing = ids.Except(tasks.Select(t => t.Id)).ToList();
+        if (missing.Any())
+        {
+            throw new ArgumentException($"Tasks not found: {string.Join(", ", missing)}", "taskIds");
+        }
+    }
+
+    private async Task<List<TaskItem>> GetOrderedColumnTasksAsync(int columnId, List<int> excludeIds)
+    {
+        return await _context.Tasks
+            .Where(t => t.ColumnId == columnId && !excludeIds.Contains(t.Id))
+            .OrderBy(t => t.IsFavorite ? 0 : 1)
+            .ThenByDescending(t => t.Priority)
+            .ThenBy(t => t.SortOrder)
             .ThenBy(t => t.Name)
             .ToListAsync();
+    }
+
+    // Checklist changes don't touch the task's UpdatedAt: ticking off a step
+    // shouldn't make an offline edit of the task's name look like a conflict
+
+    public async Task<TaskResponse?> AddChecklistItemAsync(int taskId, CreateChecklistItemRequest request)
+    {
+        var task = await GetTaskWithChecklistAsync(taskId);
+        if (task == null) return null;
+
+        var item = new ChecklistItem
+        {
+            Text = NormalizeChecklistText(request.Text),
+            SortOrder = (task.ChecklistItems.Max(i => (int?)i.SortOrder) ?? 0) + 1
+        };
+        task.ChecklistItems.Add(item);
+        await _context.SaveChangesAsync();
+
+        return MapToResponse(task);
+    }
+
+    public async Task<TaskResponse?> UpdateChecklistItemAsync(int taskId, int itemId, UpdateChecklistItemRequest request)
+    {
+        var task = await GetTaskWithChecklistAsync(taskId);
+        var item = task?.ChecklistItems.FirstOrDefault(i => i.Id == itemId);
+        if (item == null) return null;
+
+        item.Text = NormalizeChecklistText(request.Text);
+        item.IsDone = request.IsDone;
+        await _context.SaveChangesAsync();
+
+        return MapToResponse(task!);
+    }
+
+    public async Task<TaskResponse?> DeleteChecklistItemAsync(int taskId, int itemId)
+    {
+        var task = await GetTaskWithChecklistAsync(taskId);
+        var item = task?.ChecklistItems.FirstOrDefault(i => i.Id == itemId);
+        if (item == null) return null;
+
+        task!.ChecklistItems.Remove(item);
+        _context.ChecklistItems.Remove(item);
+        await _context.SaveChangesAsync();
+
+        return MapToResponse(task);
+    }
+
+    public async Task<TaskResponse?> ReorderChecklistAsync(int taskId, ReorderChecklistRequest request)
+    {
+        var task = await GetTaskWithChecklistAsync(taskId);
+        if (task == null) return null;
+
+        // The new order must list every item exactly once
+        var requestedIds = request.ItemIds.Distinct().ToList();
+        if (requestedIds.Count != request.ItemIds.Count ||
+            requestedIds.Count != task.ChecklistItems.Count ||
+            task.ChecklistItems.Any(i => !requestedIds.Contains(i.Id)))
+        {
+            throw new ArgumentException("Checklist order must contain every item exactly once", nameof(request));
+        }
+
+        for (var i = 0; i < requestedIds.Count; i++)
+        {
+            task.ChecklistItems.First(item => item.Id == requestedIds[i]).SortOrder = i + 1;
+        }
+
+        await _context.SaveChangesAsync();
+        return MapToResponse(task);
+    }
+
+    private Task<TaskItem?> GetTaskWithChecklistAsync(int taskId)
+    {
+        return _context.Tasks
+            .Include(t => t.Column)
+            .Include(t => t.Attachments)
+            .Include(t => t.ChecklistItems)
+            .Include(t => t.Labels)
+            .Include(t => t.Assignees)
+            .FirstOrDefaultAsync(t => t.Id == taskId);
+    }
+
+    internal static string NormalizeChecklistText(string text)
+    {
+        var trimmed = text.Trim();
+        if (trimmed.Length == 0)
+        {
+            throw new ArgumentException("Checklist item cannot be empty", nameof(text));
+        }
+        return trimmed;
+    }
+
+    public async Task<List<TaskActivityResponse>?> GetTaskActivityAsync(int id)
+    {
+        var task = await _context.Tasks.FirstOrDefaultAsync(t => t.Id == id);
+        if (task == null) return null;
+
+        var recorded = await _context.Activities
+            .Where(a => a.TaskId == id)
+            .OrderBy(a => a.OccurredAt)
+            .ThenBy(a => a.Id)
+            .Select(a => new TaskActivityResponse
+            {
+                Id = a.Id,
+                Type = a.Type,
+                Field = a.Field,
+                OldValue = a.OldValue,
+                NewValue = a.NewValue,
+                OccurredAt = a.OccurredAt
+            })
+            .ToListAsync();
+
+        // Creation isn't stored: every task already knows when it was created
+        recorded.Insert(0, new TaskActivityResponse { Type = TaskActivityTypes.Created, OccurredAt = task.CreatedAt });
+        return recorded;
+    }
+
+    public async Task<IEnumerable<TaskResponse>> GetTasksByColumnAsync(int columnId)
+    {
+        var tasks = await InBoardOrder(_context.Tasks
+            .Include(t => t.Column)
+            .Include(t => t.Attachments)
+            .Include(t => t.ChecklistItems)
+            .Include(t => t.Labels)
+            .Include(t => t.Assignees)
+            .Where(t => t.ColumnId == columnId))
+            .ToListAsync();
 
         return tasks.Select(MapToResponse);
     }
 
-    private static TaskResponse MapToResponse(TaskItem task)
+    public async Task<TaskPageResponse?> GetTaskPageAsync(int columnId, string? cursor, int limit, DateTime? today = null)
+    {
+        ThrowIfInvalidPageSize(limit);
+        var after = string.IsNullOrEmpty(cursor) ? null : TaskCursor.Decode(cursor);
+        if (!await _context.Columns.AnyAsync(c => c.Id == columnId)) return null;
+
+        return await LoadPageAsync(_context, columnId, after, limit, today);
+    }
+
+    /// <summary>
+    /// Up to `limit` of a column's tasks in board order, starting after
+    /// `after` when given, with how many tasks the column has in all and how
+    /// many of those after the page were due before `today` (the caller's
+    /// date, as deadlines are; UTC's when not given)
+    /// </summary>
+    internal static async Task<TaskPageResponse> LoadPageAsync(TaskDbContext context, int columnId, TaskCursor? after, int limit, DateTime? today = null)
+    {
+        var inColumn = context.Tasks.Where(t => t.ColumnId == columnId);
+        var totalCount = await inColumn.CountAsync();
+
+        // One more than asked for tells whether another page follows
+        var tasks = await InBoardOrder(StartingAfter(inColumn, after)
+            .Include(t => t.Column)
+            .Include(t => t.Attachments)
+            .Include(t => t.ChecklistItems)
+            .Include(t => t.Labels)
+            .Include(t => t.Assignees))
+            .Take(limit + 1)
+            .ToListAsync();
+
+        var hasMore = tasks.Count > limit;
+        if (hasMore)
+        {
+            tasks.RemoveAt(limit);
+        }
+
+        var overdueBefore = NormalizeDeadline(today ?? DateTime.UtcNow);
+        var overdueAfterCount = hasMore
+            ? await StartingAfter(inColumn, TaskCursor.After(tasks[^1])).CountAsync(t => t.Deadline < overdueBefore)
+            : 0;
+
+        return new TaskPageResponse
+        {
+            Tasks = tasks.Select(MapToResponse).ToList(),
+            NextCursor = hasMore ? TaskCursor.After(tasks[^1]).Encode() : null,
+            TotalCount = totalCount,
+            OverdueAfterCount = overdueAfterCount
+        };
+    }
+
+    internal static void ThrowIfInvalidPageSize(int limit)
+    {
+        if (limit < 1 || limit > MaxPageSize)
+        {
+            throw new ArgumentException($"Limit must be between 1 and {MaxPageSize}", nameof(limit));
+        }
+    }
+
+    /// <summary>
+    /// Favorites first, then by priority, then manual order. Name and ID break
+    /// ties so that pages never overlap.
+    /// </summary>
+    internal static IOrderedQueryable<TaskItem> InBoardOrder(IQueryable<TaskItem> tasks)
+    {
+        return tasks
+            .OrderBy(t => t.IsFavorite ? 0 : 1)
+            .ThenByDescending(t => t.Priority)
+            .ThenBy(t => t.SortOrder)
+            .ThenBy(t => t.Name)
+            .ThenBy(t => t.Id);
+    }
+
+    // The tasks that come after the cursor in board order
+    private static IQueryable<TaskItem> StartingAfter(IQueryable<TaskItem> tasks, TaskCursor? after)
+    {
+        if (after == null) return tasks;
+
+        var (isFavorite, priority, sortOrder, id, name) = (after.IsFavorite, after.Priority, after.SortOrder, after.Id, after.Name);
+        return tasks.Where(t =>
+            (isFavorite && !t.IsFavorite) ||
+            (t.IsFavorite == isFavorite && (
+                t.Priority < priority ||
+                (t.Priority == priority && (
+                    t.SortOrder > sortOrder ||
+                    (t.SortOrder == sortOrder && (
+                        string.Compare(t.Name, name) > 0 ||
+                        (t.Name == name && t.Id > id))))))));
+    }
+
+    /// <summary>
+    /// Deadlines are calendar dates picked with a date-only input. Store them as
+    /// midnight UTC so the date survives serialization in any client time zone.
+    /// </summary>
+    internal static DateTime? NormalizeDeadline(DateTime? deadline)
+    {
+        return deadline.HasValue
+            ? DateTime.SpecifyKind(deadline.Value.Date, DateTimeKind.Utc)
+            : null;
+    }
+
+    internal static TaskResponse MapToResponse(TaskItem task)
     {
         return new TaskResponse
         {
@@ -171,6 +745,9 @@ public class TaskService : ITaskService
             CreatedAt = task.CreatedAt,
             UpdatedAt = task.UpdatedAt,
             IsFavorite = task.IsFavorite,
+            Priority = task.Priority,
+            LabelIds = task.Labels.Select(l => l.Id).OrderBy(id => id).ToList(),
+            AssigneeIds = task.Assignees.Select(m => m.Id).OrderBy(id => id).ToList(),
             ColumnId = task.ColumnId,
             ColumnName = task.Column?.Name ?? string.Empty,
             SortOrder = task.SortOrder,
@@ -181,7 +758,24 @@ public class TaskService : ITaskService
                 ContentType = a.ContentType,
                 FileSize = a.FileSize,
                 UploadedAt = a.UploadedAt
-            }).ToList()
+            }).ToList(),
+            ChecklistItems = MapChecklist(task.ChecklistItems),
+            Recurrence = RecurrenceSchedule.ToRule(task)
         };
     }
+
+    internal static List<ChecklistItemResponse> MapChecklist(IEnumerable<ChecklistItem> items)
+    {
+        return items
+            .OrderBy(i => i.SortOrder)
+            .ThenBy(i => i.Id)
+            .Select(i => new ChecklistItemResponse
+            {
+                Id = i.Id,
+                Text = i.Text,
+                IsDone = i.IsDone,
+                SortOrder = i.SortOrder
+            })
+            .ToList();
+    }
 }
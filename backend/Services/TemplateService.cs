@@ -0,0 +1,237 @@
+using Microsoft.EntityFrameworkCore;
+using Backend.Data;
+using Backend.Models;
+using Backend.DTOs;
+
+namespace Backend.Services;
+
+/// <summary>
+/// The board's task templates. Each template keeps its own copy of its
+/// attachment files, and so does every task made from it.
+/// </summary>
+public class TemplateService : ITemplateService
+{
+    private readonly TaskDbContext _context;
+    private readonly ITaskService _taskService;
+    private readonly string _uploadPath;
+
+    public TemplateService(TaskDbContext context, ITaskService taskService, IWebHostEnvironment environment)
+    {
+        _context = context;
+        _taskService = taskService;
+        _uploadPath = AttachmentService.GetUploadPath(environment);
+        Directory.CreateDirectory(_uploadPath);
+    }
+
+    public async Task<List<TemplateResponse>> GetTemplatesAsync()
+    {
+        var templates = await _context.Templates
+            .Include(t => t.Attachments)
+            .OrderBy(t => t.Name)
+            .ThenBy(t => t.Id)
+            .ToListAsync();
+        var columnIds = await _context.Columns.Select(c => c.Id).ToListAsync();
+
+        return templates.Select(t => MapToResponse(t, columnIds)).ToList();
+    }
+
+    public async Task<TemplateResponse> CreateTemplateAsync(SaveTemplateRequest request)
+    {
+        var template = new TaskTemplate { CreatedAt = DateTime.UtcNow };
+        await ApplyAsync(template, request);
+
+        _context.Templates.Add(template);
+        await _context.SaveChangesAsync();
+
+        return MapToResponse(template);
+    }
+
+    public async Task<TemplateResponse?> CreateTemplateFromTaskAsync(int taskId)
+    {
+        var task = await _context.Tasks
+            .Include(t => t.Attachments)
+            .FirstOrDefaultAsync(t => t.Id == taskId);
+        if (task == null) return null;
+
+        // The deadline is kept as the time the task had to finish it
+        var template = new TaskTemplate
+        {
+            Name = task.Name,
+            Description = task.Description,
+            DeadlineInDays = task.Deadline.HasValue
+                ? Math.Max(0, (task.Deadline.Value.Date - task.CreatedAt.Date).Days)
+                : null,
+            ColumnId = task.ColumnId,
+            CreatedAt = DateTime.UtcNow
+        };
+        foreach (var attachment in task.Attachments.Where(a => File.Exists(a.FilePath)))
+        {
+            template.Attachments.Add(new TemplateAttachment
+            {
+                FileName = attachment.FileName,
+                FilePath = AttachmentService.CopyFile(_uploadPath, attachment.FilePath),
+                ContentType = attachment.ContentType,
+                FileSize = attachment.FileSize,
+                UploadedAt = DateTime.UtcNow
+            });
+        }
+
+        _context.Templates.Add(template);
+        await _context.SaveChangesAsync();
+
+        return MapToResponse(template);
+    }
+
+    public async Task<TemplateResponse?> UpdateTemplateAsync(int id, SaveTemplateRequest request)
+    {
+        var template = await _context.Templates
+            .Include(t => t.Attachments)
+            .FirstOrDefaultAsync(t => t.Id == id);
+        if (template == null) return null;
+
+        await ApplyAsync(template, request);
+        await _context.SaveChangesAsync();
+
+        return MapToResponse(template);
+    }
+
+    public async Task<bool> DeleteTemplateAsync(int id)
+    {
+        var template = await _context.Templates
+            .Include(t => t.Attachments)
+            .FirstOrDefaultAsync(t => t.Id == id);
+        if (template == null) return false;
+
+        // Templates have no undo, so their files go with them
+        DeleteFiles(template.Attachments.Select(a => a.FilePath));
+        _context.Templates.Remove(template);
+        await _context.SaveChangesAsync();
+        return true;
+    }
+
+    public async Task<AttachmentResponse?> AddAttachmentAsync(int templateId, IFormFile file)
+    {
+        AttachmentService.ValidateFile(file);
+
+        var template = await _context.Templates.FirstOrDefaultAsync(t => t.Id == templateId);
+        if (template == null) return null;
+
+        var attachment = new TemplateAttachment
+        {
+            FileName = file.FileName,
+            FilePath = await AttachmentService.SaveFileAsync(_uploadPath, file),
+            ContentType = file.ContentType,
+            FileSize = file.Length,
+            TemplateId = templateId,
+            UploadedAt = DateTime.UtcNow
+        };
+        _context.TemplateAttachments.Add(attachment);
+        await _context.SaveChangesAsync();
+
+        return MapAttachment(attachment);
+    }
+
+    public async Task<bool> DeleteAttachmentAsync(int templateId, int attachmentId)
+    {
+        var attachment = await _context.TemplateAttachments
+            .FirstOrDefaultAsync(a => a.Id == attachmentId && a.TemplateId == templateId);
+        if (attachment == null) return false;
+
+        DeleteFiles(new[] { attachment.FilePath });
+        _context.TemplateAttachments.Remove(attachment);
+        await _context.SaveChangesAsync();
+        return true;
+    }
+
+    public async Task<TaskResponse?> CreateTaskAsync(int templateId, CreateTaskRequest request)
+    {
+        var template = await _context.Templates
+            .Include(t => t.Attachments)
+            .FirstOrDefaultAsync(t => t.Id == templateId);
+        if (template == null) return null;
+
+        // The copies are saved together with the task. A file removed from
+        // disk behind the template's back is skipped rather than failing the
+        // whole task.
+        var attachments = new List<TaskAttachment>();
+        try
+        {
+            foreach (var attachment in template.Attachments.Where(a => File.Exists(a.FilePath)))
+            {
+                attachments.Add(new TaskAttachment
+                {
+                    FileName = attachment.FileName,
+                    FilePath = AttachmentService.CopyFile(_uploadPath, attachment.FilePath),
+                    ContentType = attachment.ContentType,
+                    FileSize = attachment.FileSize,
+                    UploadedAt = DateTime.UtcNow
+                });
+            }
+            return await _taskService.CreateTaskAsync(request, attachments);
+        }
+        catch
+        {
+            DeleteFiles(attachments.Select(a => a.FilePath));
+            throw;
+        }
+    }
+
+    private async Task ApplyAsync(TaskTemplate template, SaveTemplateRequest request)
+    {
+        var name = request.Name.Trim();
+        if (name.Length == 0)
+        {
+            throw new ArgumentException("Template name cannot be empty", nameof(request));
+        }
+        if (request.ColumnId.HasValue && !await _context.Columns.AnyAsync(c => c.Id == request.ColumnId))
+        {
+            throw new ArgumentException("Column not found", nameof(request));
+        }
+
+        template.Name = name;
+        template.Description = request.Description;
+        template.DeadlineInDays = request.DeadlineInDays;
+        template.ColumnId = request.ColumnId;
+    }
+
+    private static void DeleteFiles(IEnumerable<string> filePaths)
+    {
+        foreach (var filePath in filePaths)
+        {
+            if (File.Exists(filePath))
+            {
+                File.Delete(filePath);
+            }
+        }
+    }
+
+    // A column that was deleted since the template was saved counts as none
+    private static TemplateResponse MapToResponse(TaskTemplate template, ICollection<int>? columnIds = null)
+    {
+        var columnExists = template.ColumnId.HasValue && (columnIds == null || columnIds.Contains(template.ColumnId.Value));
+        return new TemplateResponse
+        {
+            Id = template.Id,
+            Name = template.Name,
+            Description = template.Description,
+            DeadlineInDays = template.DeadlineInDays,
+            ColumnId = columnExists ? template.ColumnId : null,
+            Attachments = template.Attachments
+                .OrderBy(a => a.Id)
+                .Select(MapAttachment)
+                .ToList()
+        };
+    }
+
+    private static AttachmentResponse MapAttachment(TemplateAttachment attachment)
+    {
+        return new AttachmentResponse
+        {
+            Id = attachment.Id,
+            FileName = attachment.FileName,
+            ContentType = attachment.ContentType,
+            FileSize = attachment.FileSize,
+            UploadedAt = attachment.UploadedAt
+        };
+    }
+}
@@ -0,0 +1,107 @@
+using System.Security.Claims;
+using System.Text.Encodings.Web;
+using Microsoft.AspNetCore.Authentication;
+using Microsoft.Extensions.Options;
+
+namespace Backend.Services;
+
+/// <summary>
+/// Signs requests in from the bearer token AuthService handed out. Browsers
+/// can't set headers on EventSource or image requests, so GET actions marked
+/// [QueryAccessToken] may take the token from the access_token query
+/// parameter instead. Anywhere else it would only end up in logs and history.
+/// </summary>
+public class TokenAuthenticationHandler : AuthenticationHandler<AuthenticationSchemeOptions>
+{
+    public const string SchemeName = "Token";
+    public const string AccessTokenQueryParameter = "access_token";
+
+    private readonly IAuthService _authService;
+
+    public TokenAuthenticationHandler(
+        IOptionsMonitor<AuthenticationSchemeOptions> options,
+        ILoggerFactory logger,
+        UrlEncoder encoder,
+        IAuthService authService) : base(options, logger, encoder)
+    {
+        _authService = authService;
+    }
+
+    protected override async Task<AuthenticateResult> HandleAuthenticateAsync()
+    {
+        var token = GetToken();
+        if (token == null) return AuthenticateResult.NoResult();
+
+        var user = await _authService.ValidateTokenAsync(token);
+        if (user == null) return AuthenticateResult.Fail("Invalid or expired token");
+        Context.Items[AuthRequestExtensions.SessionTokenItem] = token;
+
+        var identity = new ClaimsIdentity(new[]
+        {
+            new Claim(ClaimTypes.NameIdentifier, user.Id.ToString()),
+            new Claim(ClaimTypes.Name, user.DisplayName),
+            new Claim(ClaimTypes.Email, user.Email)
+        }, SchemeName);
+        return AuthenticateResult.Success(new AuthenticationTicket(new ClaimsPrincipal(identity), SchemeName));
+    }
+
+    private string? GetToken()
+    {
+        var token = Request.GetBearerToken();
+        if (token != null) return token;
+
+        if (HttpMethods.IsGet(Request.Method)
+            && Context.GetEndpoint()?.Metadata.GetMetadata<QueryAccessTokenAttribute>() != null)
+        {
+            var queryToken = Request.Query[AccessTokenQueryParameter].FirstOrDefault();
+            return string.IsNullOrWhiteSpace(queryToken) ? null : queryToken;
+        }
+
+        return null;
+    }
+}
+
+/// <summary>
+/// Lets a GET action be signed in with the access_token query parameter, for
+/// URLs the browser requests itself
+/// </summary>
+[AttributeUsage(AttributeTargets.Method)]
+public class QueryAccessTokenAttribute : Attribute
+{
+}
+
+public static class AuthRequestExtensions
+{
+    internal const string SessionTokenItem = "SessionToken";
+
+    /// <summary>
+    /// The signed-in user's ID. Only call this behind authorization.
+    /// </summary>
+    public static int GetUserId(this ClaimsPrincipal user)
+    {
+        return int.Parse(user.FindFirstValue(ClaimTypes.NameIdentifier)
+            ?? throw new InvalidOperationException("The request is not signed in"));
+    }
+
+    /// <summary>
+    /// The token the request was signed in with, from the header or the query.
+    /// Only call this behind authorization.
+    /// </summary>
+    public static string GetSessionToken(this HttpRequest request)
+    {
+        return request.HttpContext.Items[SessionTokenItem] as string
+            ?? throw new InvalidOperationException("The request is not signed in");
+    }
+
+    /// <summary>
+    /// The bearer token the request was signed in with, if any
+    /// </summary>
+    public static string? GetBearerToken(this HttpRequest request)
+    {
+        var header = request.Headers.Authorization.FirstOrDefault();
+        if (header == null || !header.StartsWith("Bearer ", StringComparison.OrdinalIgnoreCase)) return null;
+
+        var token = header["Bearer ".Length..].Trim();
+        return token.Length == 0 ? null : token;
+    }
+}
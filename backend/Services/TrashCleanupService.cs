@@ -0,0 +1,50 @@
+namespace Backend.Services;
+
+/// <summary>
+/// Periodically purges soft-deleted items older than the retention period.
+/// Until then they can be restored, which is what undo relies on.
+/// </summary>
+public class TrashCleanupService : BackgroundService
+{
+    public static readonly TimeSpan RetentionPeriod = TimeSpan.FromDays(1);
+    private static readonly TimeSpan Interval = TimeSpan.FromHours(1);
+
+    private readonly IServiceScopeFactory _scopeFactory;
+    private readonly ILogger<TrashCleanupService> _logger;
+
+    public TrashCleanupService(IServiceScopeFactory scopeFactory, ILogger<TrashCleanupService> logger)
+    {
+        _scopeFactory = scopeFactory;
+        _logger = logger;
+    }
+
+    protected override async Task ExecuteAsync(CancellationToken stoppingToken)
+    {
+        using var timer = new PeriodicTimer(Interval);
+        try
+        {
+            while (await timer.WaitForNextTickAsync(stoppingToken))
+            {
+                try
+                {
+                    using var scope = _scopeFactory.CreateScope();
+                    var trash = scope.ServiceProvider.GetRequiredService<ITrashService>();
+                    var purged = await trash.PurgeDeletedAsync(DateTime.UtcNow - RetentionPeriod);
+                    if (purged > 0)
+                    {
+                        _logger.LogInformation("Purged {Count} deleted item(s)", purged);
+                    }
+                }
+                catch (Exception ex)
+                {
+                    // Try again on the next tick
+                    _logger.LogError(ex, "Failed to purge deleted items");
+                }
+            }
+        }
+        catch (OperationCanceledException)
+        {
+            // Shutting down
+        }
+    }
+}
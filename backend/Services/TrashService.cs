@@ -0,0 +1,70 @@
+using Microsoft.EntityFrameworkCore;
+using Backend.Data;
+using Backend.Services;
+
+namespace Backend.Services;
+
+/// <summary>
+/// Permanently removes soft-deleted tasks, columns and attachments, including
+/// attachment files on disk and the comments and activity of purged tasks,
+/// once they can no longer be restored.
+/// </summary>
+public class TrashService : ITrashService
+{
+    private readonly TaskDbContext _context;
+    
+    public TrashService(TaskDbContext context)
+    {
+        _context = context;
+    }
+
+    public async Task<int> PurgeDeletedAsync(DateTime deletedBefore)
+    {
+        var tasks = await _context.Tasks
+            .IgnoreQueryFilters()
+            .Where(t => t.DeletedAt < deletedBefore)
+            .ToListAsync();
+        var taskIds = tasks.Select(t => t.Id).ToList();
+
+        // Attachments go with their task, as well as on their own
+        var attachments = await _context.Attachments
+            .IgnoreQueryFilters()
+            .Where(a => a.DeletedAt < deletedBefore || taskIds.Contains(a.TaskId))
+            .ToListAsync();
+
+        var comments = await _context.Comments
+            .Where(c => taskIds.Contains(c.TaskId))
+            .ToListAsync();
+        var activities = await _context.Activities
+            .Where(a => taskIds.Contains(a.TaskId))
+            .ToListAsync();
+        var checklistItems = await _context.ChecklistItems
+            .Where(i => taskIds.Contains(i.TaskId))
+            .ToListAsync();
+
+        // Columns are only deleted when empty, so any tasks they still hold
+        // were deleted earlier and are purged above
+        var columns = await _context.Columns
+            .IgnoreQueryFilters()
+            .Where(c => c.DeletedAt < deletedBefore)
+            .ToListAsync();
+
+        foreach (var attachment in attachments)
+        {
+            if (File.Exists(attachment.FilePath))
+            {
+                File.Delete(attachment.FilePath);
+            }
+        }
+
+        _context.Attachments.RemoveRange(attachments);
+        _context.Comments.RemoveRange(comments);
+        _context.Activities.RemoveRange(activities);
+        _context.ChecklistItems.RemoveRange(checklistItems);
+        _context.Tasks.RemoveRange(tasks);
+        _context.Columns.RemoveRange(columns);
+        await _context.SaveChangesAsync();
+
+        return attachments.Count + tasks.Count + columns.Count;
+    }
+}
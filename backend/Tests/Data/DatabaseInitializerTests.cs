@@ -0,0 +1,89 @@
+using NUnit.Framework;
+using Microsoft.Data.Sqlite;
+using Microsoft.EntityFrameworkCore;
+using Backend.Data;
+using Backend.Models;
+
+namespace Backend.Tests.Data;
+
+[TestFixture]
+public class DatabaseInitializerTests
+{
+    private SqliteConnection _connection = null!;
+    private DbContextOptions<TaskDbContext> _options = null!;
+
+    [SetUp]
+    public void Setup()
+    {
+        // An in-memory SQLite database lives as long as its connection is open
+        _connection = new SqliteConnection("Data Source=:memory:");
+        _connection.Open();
+        _options = new DbContextOptionsBuilder<TaskDbContext>()
+            .UseSqlite(_connection)
+            .Options;
+    }
+
+    [TearDown]
+    public void TearDown()
+    {
+        _connection.Dispose();
+    }
+
+    [Test]
+    public async Task InitializeAsync_ShouldApplyMigrationsMatchingTheModel()
+    {
+        // Act
+        await using var context = new TaskDbContext(_options);
+        await DatabaseInitializer.InitializeAsync(context);
+
+        // Assert
+        Assert.That(await context.Database.GetPendingMigrationsAsync(), Is.Empty);
+        Assert.That(context.Database.HasPendingModelChanges(), Is.False,
+            "The model has changed since the last migration; add one with dotnet ef migrations add");
+    }
+
+    [Test]
+    public async Task InitializeAsync_OnRestart_ShouldKeepData()
+    {
+        // Arrange
+        await using (var context = new TaskDbContext(_options))
+        {
+            await DatabaseInitializer.InitializeAsync(context);
+            var owner = new User { Email = "ann@example.com", DisplayName = "Ann", PasswordHash = "hash" };
+            var board = new Board { Name = "Home", Owner = owner };
+            context.Boards.Add(board);
+            await context.SaveChangesAsync();
+            context.Columns.Add(new TaskColumn { BoardId = board.Id, Name = "To Do", SortOrder = 1 });
+            await context.SaveChangesAsync();
+        }
+
+        // Act
+        await using var restarted = new TaskDbContext(_options);
+        await DatabaseInitializer.InitializeAsync(restarted);
+
+        // Assert
+        var columns = await restarted.Columns.ToListAsync();
+        Assert.That(columns.Select(c => c.Name), Is.EqualTo(new[] { "To Do" }));
+    }
+
+    [Test]
+    public async Task Dates_ShouldReadBackAsUtc()
+    {
+        // Arrange
+        var createdAt = new DateTime(2026, 3, 1, 9, 30, 0, DateTimeKind.Utc);
+        await using (var context = new TaskDbContext(_options))
+        {
+            await DatabaseInitializer.InitializeAsync(context);
+            context.Users.Add(new User { Email = "ann@example.com", DisplayName = "Ann", PasswordHash = "hash", CreatedAt = createdAt });
+            await context.SaveChangesAsync();
+        }
+
+        // Act
+        await using var reopened = new TaskDbContext(_options);
+        var user = await reopened.Users.SingleAsync();
+
+        // Assert
+        Assert.That(user.CreatedAt, Is.EqualTo(createdAt));
+        Assert.That(user.CreatedAt.Kind, Is.EqualTo(DateTimeKind.Utc));
+    }
+}
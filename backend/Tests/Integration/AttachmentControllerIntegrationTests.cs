@@ -14,28 +14,21 @@ public class AttachmentControllerIntegrationTests
 {
     private WebApplicationFactory<Program> _factory;
     private HttpClient _client;
+    private List<int> _columnIds;
 
     [SetUp]
-    public void Setup()
+    public async Task Setup()
     {
         _factory = new WebApplicationFactory<Program>()
             .WithWebHostBuilder(builder =>
             {
                 builder.ConfigureServices(services =>
-                {
-                    var descriptor = services.SingleOrDefault(
-                        d => d.ServiceType == typeof(DbContextOptions<TaskDbContext>));
-                    if (descriptor != null)
-                        services.Remove(descriptor);
-
-                    services.AddDbContext<TaskDbContext>(options =>
-                    {
-                        options.UseInMemoryDatabase("AttachmentTestDb");
-                    });
-                });
+                    IntegrationTestDatabase.UseInMemoryDatabase(services, "AttachmentTestDb"));
             });
 
         _client = _factory.CreateClient();
+        await IntegrationTestAccounts.SignUpAsync(_client);
+        _columnIds = await IntegrationTestAccounts.UseFirstBoardAsync(_client);
     }
 
     [TearDown]
@@ -53,7 +46,7 @@ public class AttachmentControllerIntegrationTests
         {
             Name = "Task for Attachment",
             Description = "Test task",
-            ColumnId = 1
+            ColumnId = _columnIds[0]
         };
 
         var taskJson = JsonSerializer.Serialize(taskRequest);
@@ -116,7 +109,7 @@ public class AttachmentControllerIntegrationTests
         var taskRequest = new CreateTaskRequest
         {
             Name = "Task for Attachment",
-            ColumnId = 1
+            ColumnId = _columnIds[0]
         };
 
         var taskJson = JsonSerializer.Serialize(taskRequest);
@@ -148,4 +141,84 @@ public class AttachmentControllerIntegrationTests
         // Assert
         Assert.That(deleteResponse.StatusCode, Is.EqualTo(System.Net.HttpStatusCode.NoContent));
     }
-}
\ No newline at end of file
+
+    [Test]
+    public async Task PreviewAttachment_WithImage_ShouldServeInlineAndCacheable()
+    {
+        // Arrange - Create task and attachment first
+        var taskRequest = new CreateTaskRequest
+        {
+            Name = "Task for Preview",
+            ColumnId = _columnIds[0]
+        };
+
+        var taskJson = JsonSerializer.Serialize(taskRequest);
+        var taskContent = new StringContent(taskJson, Encoding.UTF8, "application/json");
+        var taskResponse = await _client.PostAsync("/api/tasks", taskContent);
+        var taskResponseContent = await taskResponse.Content.ReadAsStringAsync();
+        var task = JsonSerializer.Deserialize<TaskResponse>(taskResponseContent, new JsonSerializerOptions 
+        { 
+            PropertyNameCaseInsensitive = true 
+        });
+
+        var fileBytes = Encoding.UTF8.GetBytes("Test content");
+        using var formData = new MultipartFormDataContent();
+        using var fileStream = new MemoryStream(fileBytes);
+        using var streamContent = new StreamContent(fileStream);
+        streamContent.Headers.ContentType = new System.Net.Http.Headers.MediaTypeHeaderValue("image/png");
+        formData.Add(streamContent, "file", "screenshot.png");
+
+        var uploadResponse = await _client.PostAsync($"/api/attachments/tasks/{task!.Id}", formData);
+        var uploadContent = await uploadResponse.Content.ReadAsStringAsync();
+        var attachment = JsonSerializer.Deserialize<AttachmentResponse>(uploadContent, new JsonSerializerOptions 
+        { 
+            PropertyNameCaseInsensitive = true 
+        });
+
+        // Act
+        var response = await _client.GetAsync($"/api/attachments/{attachment!.Id}/preview");
+
+        // Assert
+        response.EnsureSuccessStatusCode();
+        Assert.That(response.Content.Headers.ContentType!.MediaType, Is.EqualTo("image/png"));
+        Assert.That(response.Content.Headers.ContentDisposition!.DispositionType, Is.EqualTo("inline"));
+        Assert.That(response.Headers.CacheControl!.MaxAge, Is.EqualTo(TimeSpan.FromDays(365)));
+        Assert.That(response.Headers.ETag, Is.Not.Null);
+
+        // A revalidation with the ETag should not resend the image
+        var conditional = new HttpRequestMessage(HttpMethod.Get, $"/api/attachments/{attachment.Id}/preview");
+        conditional.Headers.IfNoneMatch.Add(response.Headers.ETag!);
+        var notModified = await _client.SendAsync(conditional);
+        Assert.That(notModified.StatusCode, Is.EqualTo(System.Net.HttpStatusCode.NotModified));
+    }
+
+    [Test]
+    public async Task AccessTokenQueryParameter_ShouldOnlySignInLinksTheBrowserOpens()
+    {
+        // Arrange - A client that only has the token and board in the URL
+        var token = _client.DefaultRequestHeaders.Authorization!.Parameter;
+        var boardId = _client.DefaultRequestHeaders.GetValues("X-Board-Id").Single();
+        using var browser = _factory.CreateClient();
+        var session = $"access_token={Uri.EscapeDataString(token!)}&boardId={boardId}";
+
+        // Act
+        var preview = await browser.GetAsync($"/api/attachments/999/preview?{session}");
+        var board = await browser.GetAsync($"/api/board?{session}");
+        var tasks = await browser.GetAsync($"/api/tasks?{session}");
+
+        // Assert - The preview is looked up (and missing), everything else is refused
+        Assert.That(preview.StatusCode, Is.EqualTo(System.Net.HttpStatusCode.NotFound));
+        Assert.That(board.StatusCode, Is.EqualTo(System.Net.HttpStatusCode.Unauthorized));
+        Assert.That(tasks.StatusCode, Is.EqualTo(System.Net.HttpStatusCode.Unauthorized));
+    }
+
+    [Test]
+    public async Task PreviewAttachment_WithInvalidId_ShouldReturnNotFound()
+    {
+        // Act
+        var response = await _client.GetAsync("/api/attachments/999/preview");
+
+        // Assert
+        Assert.That(response.StatusCode, Is.EqualTo(System.Net.HttpStatusCode.NotFound));
+    }
+}
@@ -0,0 +1,128 @@
+using NUnit.Framework;
+using Microsoft.AspNetCore.Mvc.Testing;
+using Microsoft.Extensions.DependencyInjection;
+using System.Net;
+using System.Text;
+using System.Text.Json;
+using Backend.DTOs;
+using Backend.Data;
+using Microsoft.EntityFrameworkCore;
+
+namespace Backend.Tests.Integration;
+
+[TestFixture]
+public class BoardsControllerIntegrationTests
+{
+    private static readonly JsonSerializerOptions JsonOptions = new() { PropertyNameCaseInsensitive = true };
+
+    private WebApplicationFactory<Program> _factory;
+
+    [SetUp]
+    public void Setup()
+    {
+        _factory = new WebApplicationFactory<Program>()
+            .WithWebHostBuilder(builder =>
+            {
+                builder.ConfigureServices(services =>
+                    IntegrationTestDatabase.UseInMemoryDatabase(services, "BoardsTestDb"));
+            });
+    }
+
+    [TearDown]
+    public void TearDown()
+    {
+        _factory.Dispose();
+    }
+
+    private static StringContent Json(object value) =>
+        new(JsonSerializer.Serialize(value), Encoding.UTF8, "application/json");
+
+    [Test]
+    public async Task BoardEndpoints_WithoutToken_ShouldReturnUnauthorized()
+    {
+        // Arrange
+        using var client = _factory.CreateClient();
+
+        // Act
+        var board = await client.GetAsync("/api/board");
+        var boards = await client.GetAsync("/api/boards");
+
+        // Assert
+        Assert.That(board.StatusCode, Is.EqualTo(HttpStatusCode.Unauthorized));
+        Assert.That(boards.StatusCode, Is.EqualTo(HttpStatusCode.Unauthorized));
+    }
+
+    [Test]
+    public async Task LogIn_WithWrongPassword_ShouldReturnUnauthorized()
+    {
+        // Arrange
+        using var client = _factory.CreateClient();
+        var signup = new SignUpRequest { Email = $"{Guid.NewGuid():N}@example.com", DisplayName = "Ana", Password = "long enough" };
+        await client.PostAsync("/api/auth/signup", Json(signup));
+
+        // Act
+        var wrong = await client.PostAsync("/api/auth/login", Json(new LogInRequest { Email = signup.Email, Password = "not it at all" }));
+        var right = await client.PostAsync("/api/auth/login", Json(new LogInRequest { Email = signup.Email.ToUpperInvariant(), Password = "long enough" }));
+
+        // Assert
+        Assert.That(wrong.StatusCode, Is.EqualTo(HttpStatusCode.Unauthorized));
+        Assert.That(right.StatusCode, Is.EqualTo(HttpStatusCode.OK));
+    }
+
+    [Test]
+    public async Task Board_OfAnotherUser_ShouldNotBeFound()
+    {
+        // Arrange
+        using var owner = _factory.CreateClient();
+        using var stranger = _factory.CreateClient();
+        await IntegrationTestAccounts.SignUpAsync(owner, "Owner");
+        await IntegrationTestAccounts.SignUpAsync(stranger, "Stranger");
+        var columnIds = await IntegrationTestAccounts.UseFirstBoardAsync(owner);
+        var created = await owner.PostAsync("/api/tasks", Json(new CreateTaskRequest { Name = "Private", ColumnId = columnIds[0] }));
+        var task = JsonSerializer.Deserialize<TaskResponse>(await created.Content.ReadAsStringAsync(), JsonOptions);
+        await IntegrationTestAccounts.UseFirstBoardAsync(stranger);
+
+        // Act
+        var ownBoardTask = await stranger.GetAsync($"/api/tasks/{task!.Id}");
+        stranger.DefaultRequestHeaders.Remove("X-Board-Id");
+        stranger.DefaultRequestHeaders.Add("X-Board-Id", owner.DefaultRequestHeaders.GetValues("X-Board-Id").Single());
+        var ownerBoard = await stranger.GetAsync("/api/board");
+
+        // Assert
+        Assert.That(ownBoardTask.StatusCode, Is.EqualTo(HttpStatusCode.NotFound));
+        Assert.That(ownerBoard.StatusCode, Is.EqualTo(HttpStatusCode.NotFound));
+    }
+
+    [Test]
+    public async Task SharedBoard_ShouldBeReadOnlyForViewersAndWritableForEditors()
+    {
+        // Arrange
+        using var owner = _factory.CreateClient();
+        using var guest = _factory.CreateClient();
+        await IntegrationTestAccounts.SignUpAsync(owner, "Owner");
+        var guestSession = await IntegrationTestAccounts.SignUpAsync(guest, "Guest");
+        var columnIds = await IntegrationTestAccounts.UseFirstBoardAsync(owner);
+        var boardId = owner.DefaultRequestHeaders.GetValues("X-Board-Id").Single();
+        var shareResponse = await owner.PostAsync($"/api/boards/{boardId}/shares",
+            Json(new { email = guestSession.User.Email, role = "viewer" }));
+
+        guest.DefaultRequestHeaders.Add("X-Board-Id", boardId);
+        var newTask = new CreateTaskRequest { Name = "From the guest", ColumnId = columnIds[0] };
+
+        // Act
+        var boards = JsonSerializer.Deserialize<List<BoardSummaryResponse>>(await guest.GetStringAsync("/api/boards"), JsonOptions);
+        var viewerRead = await guest.GetAsync("/api/board");
+        var viewerWrite = await guest.PostAsync("/api/tasks", Json(newTask));
+        var viewerShares = await guest.GetAsync($"/api/boards/{boardId}/shares");
+        await owner.PutAsync($"/api/boards/{boardId}/shares/{guestSession.User.Id}", Json(new { role = "editor" }));
+        var editorWrite = await guest.PostAsync("/api/tasks", Json(newTask));
+
+        // Assert
+        Assert.That(shareResponse.StatusCode, Is.EqualTo(HttpStatusCode.OK));
+        Assert.That(boards!.Select(b => b.Id.ToString()), Does.Contain(boardId));
+        Assert.That(viewerRead.StatusCode, Is.EqualTo(HttpStatusCode.OK));
+        Assert.That(viewerWrite.StatusCode, Is.EqualTo(HttpStatusCode.Forbidden));
+        Assert.That(viewerShares.StatusCode, Is.EqualTo(HttpStatusCode.Forbidden));
+        Assert.That(editorWrite.StatusCode, Is.EqualTo(HttpStatusCode.Created));
+    }
+}
@@ -0,0 +1,107 @@
+using NUnit.Framework;
+using Microsoft.AspNetCore.Mvc.Testing;
+using System.Text;
+using System.Text.Json;
+using Backend.DTOs;
+
+namespace Backend.Tests.Integration;
+
+[TestFixture]
+public class EventsControllerIntegrationTests
+{
+    private static readonly TimeSpan StreamTimeout = TimeSpan.FromSeconds(10);
+
+    private WebApplicationFactory<Program> _factory;
+    private HttpClient _owner;
+    private HttpClient _guest;
+    private int _guestUserId;
+    private string _boardId;
+    private List<int> _columnIds;
+
+    [SetUp]
+    public async Task Setup()
+    {
+        _factory = new WebApplicationFactory<Program>()
+            .WithWebHostBuilder(builder =>
+            {
+                builder.ConfigureServices(services =>
+                    IntegrationTestDatabase.UseInMemoryDatabase(services, "EventsTestDb"));
+            });
+
+        _owner = _factory.CreateClient();
+        _guest = _factory.CreateClient();
+        await IntegrationTestAccounts.SignUpAsync(_owner, "Owner");
+        var guestSession = await IntegrationTestAccounts.SignUpAsync(_guest, "Guest");
+        _guestUserId = guestSession.User.Id;
+        _columnIds = await IntegrationTestAccounts.UseFirstBoardAsync(_owner);
+        _boardId = _owner.DefaultRequestHeaders.GetValues("X-Board-Id").Single();
+
+        var share = await _owner.PostAsync($"/api/boards/{_boardId}/shares",
+            Json(new { email = guestSession.User.Email, role = "viewer" }));
+        share.EnsureSuccessStatusCode();
+        _guest.DefaultRequestHeaders.Add("X-Board-Id", _boardId);
+    }
+
+    [TearDown]
+    public void TearDown()
+    {
+        _owner.Dispose();
+        _guest.Dispose();
+        _factory.Dispose();
+    }
+
+    private static StringContent Json(object value) =>
+        new(JsonSerializer.Serialize(value), Encoding.UTF8, "application/json");
+
+    private async Task<StreamReader> OpenStreamAsync()
+    {
+        var response = await _guest.GetAsync("/api/events", HttpCompletionOption.ResponseHeadersRead);
+        response.EnsureSuccessStatusCode();
+        var reader = new StreamReader(await response.Content.ReadAsStreamAsync());
+        Assert.That(await reader.ReadLineAsync(), Is.EqualTo("retry: 5000"));
+        return reader;
+    }
+
+    private async Task CreateTaskAsync(string name)
+    {
+        var response = await _owner.PostAsync("/api/tasks", Json(new CreateTaskRequest { Name = name, ColumnId = _columnIds[0] }));
+        response.EnsureSuccessStatusCode();
+    }
+
+    [Test]
+    public async Task Stream_AfterTheShareIsRevoked_ShouldEndWithoutFurtherEvents()
+    {
+        // Arrange
+        using var reader = await OpenStreamAsync();
+        await CreateTaskAsync("Before");
+        string? line;
+        do
+        {
+            line = await reader.ReadLineAsync().WaitAsync(StreamTimeout);
+        } while (line != null && !line.StartsWith("data:"));
+
+        // Act
+        await _owner.DeleteAsync($"/api/boards/{_boardId}/shares/{_guestUserId}");
+        await CreateTaskAsync("After");
+        var rest = await reader.ReadToEndAsync().WaitAsync(StreamTimeout);
+
+        // Assert - The first event arrived, then the stream closed
+        Assert.That(line, Does.Contain("Before"));
+        Assert.That(rest, Does.Not.Contain("After"));
+    }
+
+    [Test]
+    public async Task Stream_AfterLogOut_ShouldEndWithoutFurtherEvents()
+    {
+        // Arrange
+        using var reader = await OpenStreamAsync();
+
+        // Act
+        await _guest.PostAsync("/api/auth/logout", null);
+        await CreateTaskAsync("After");
+        var rest = await reader.ReadToEndAsync().WaitAsync(StreamTimeout);
+
+        // Assert
+        Assert.That(rest, Does.Not.Contain("After"));
+    }
+}
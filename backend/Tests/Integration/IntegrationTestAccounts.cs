@@ -0,0 +1,48 @@
+using System.Net.Http.Headers;
+using System.Text;
+using System.Text.Json;
+using Backend.DTOs;
+
+namespace Backend.Tests.Integration;
+
+/// <summary>
+/// Signs test clients up, since every board endpoint needs a user and a board
+/// </summary>
+public static class IntegrationTestAccounts
+{
+    private static readonly JsonSerializerOptions JsonOptions = new() { PropertyNameCaseInsensitive = true };
+
+    /// <summary>
+    /// Sign a new user up and send their token with every request
+    /// </summary>
+    public static async Task<AuthResponse> SignUpAsync(HttpClient client, string name = "Tester")
+    {
+        var request = new SignUpRequest
+        {
+            Email = $"{Guid.NewGuid():N}@example.com",
+            DisplayName = name,
+            Password = "correct horse battery"
+        };
+        var response = await client.PostAsync("/api/auth/signup",
+            new StringContent(JsonSerializer.Serialize(request), Encoding.UTF8, "application/json"));
+        response.EnsureSuccessStatusCode();
+
+        var session = JsonSerializer.Deserialize<AuthResponse>(await response.Content.ReadAsStringAsync(), JsonOptions)!;
+        client.DefaultRequestHeaders.Authorization = new AuthenticationHeaderValue("Bearer", session.Token);
+        return session;
+    }
+
+    /// <summary>
+    /// Work on the signed-in user's first board and return its column IDs in order
+    /// </summary>
+    public static async Task<List<int>> UseFirstBoardAsync(HttpClient client)
+    {
+        var boards = JsonSerializer.Deserialize<List<BoardSummaryResponse>>(
+            await client.GetStringAsync("/api/boards"), JsonOptions)!;
+        client.DefaultRequestHeaders.Remove("X-Board-Id");
+        client.DefaultRequestHeaders.Add("X-Board-Id", boards[0].Id.ToString());
+
+        var board = JsonSerializer.Deserialize<BoardResponse>(await client.GetStringAsync("/api/board"), JsonOptions)!;
+        return board.Columns.Select(c => c.Id).ToList();
+    }
+}
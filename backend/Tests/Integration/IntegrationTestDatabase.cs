@@ -0,0 +1,31 @@
+using Microsoft.EntityFrameworkCore;
+using Microsoft.EntityFrameworkCore.Infrastructure;
+using Microsoft.Extensions.DependencyInjection;
+using Microsoft.Extensions.DependencyInjection.Extensions;
+using Backend.Data;
+using Backend.Services;
+
+namespace Backend.Tests.Integration;
+
+/// <summary>
+/// Runs the app on an in-memory database instead of its SQLite file
+/// </summary>
+public static class IntegrationTestDatabase
+{
+    /// <summary>
+    /// Replace the SQLite registration, including the provider configuration
+    /// AddDbContext keeps apart from the options. The attachment file cleanup
+    /// is left out too: it would judge the real uploads folder against the
+    /// empty test database.
+    /// </summary>
+    public static void UseInMemoryDatabase(IServiceCollection services, string databaseName)
+    {
+        services.RemoveAll<DbContextOptions<TaskDbContext>>();
+        services.RemoveAll<IDbContextOptionsConfiguration<TaskDbContext>>();
+        services.AddDbContext<TaskDbContext>(options => options.UseInMemoryDatabase(databaseName));
+
+        var fileCleanup = services.SingleOrDefault(d => d.ImplementationType == typeof(AttachmentFileCleanupService));
+        if (fileCleanup != null)
+            services.Remove(fileCleanup);
+    }
+}
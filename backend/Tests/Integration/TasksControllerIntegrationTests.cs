@@ -14,30 +14,21 @@ public class TasksControllerIntegrationTests
 {
     private WebApplicationFactory<Program> _factory;
     private HttpClient _client;
+    private List<int> _columnIds;
 
     [SetUp]
-    public void Setup()
+    public async Task Setup()
     {
         _factory = new WebApplicationFactory<Program>()
             .WithWebHostBuilder(builder =>
             {
                 builder.ConfigureServices(services =>
-                {
-                    // Remove the existing DbContext registration
-                    var descriptor = services.SingleOrDefault(
-                        d => d.ServiceType == typeof(DbContextOptions<TaskDbContext>));
-                    if (descriptor != null)
-                        services.Remove(descriptor);
-
-                    // Add a database context using an in-memory database for testing
-                    services.AddDbContext<TaskDbContext>(options =>
-                    {
-                        options.UseInMemoryDatabase("TestDb");
-                    });
-                });
+                    IntegrationTestDatabase.UseInMemoryDatabase(services, "TestDb"));
             });
 
         _client = _factory.CreateClient();
+        await IntegrationTestAccounts.SignUpAsync(_client);
+        _columnIds = await IntegrationTestAccounts.UseFirstBoardAsync(_client);
     }
 
     [TearDown]
@@ -77,7 +68,7 @@ public class TasksControllerIntegrationTests
             Name = "Integration Test Task",
             Description = "Test Description",
             Deadline = DateTime.Now.AddDays(7),
-            ColumnId = 1
+            ColumnId = _columnIds[0]
         };
 
         var json = JsonSerializer.Serialize(request);
@@ -96,7 +87,7 @@ public class TasksControllerIntegrationTests
 
         Assert.That(task, Is.Not.Null);
         Assert.That(task.Name, Is.EqualTo("Integration Test Task"));
-        Assert.That(task.ColumnId, Is.EqualTo(1));
+        Assert.That(task.ColumnId, Is.EqualTo(_columnIds[0]));
     }
 
     [Test]
@@ -107,7 +98,7 @@ public class TasksControllerIntegrationTests
         {
             Name = "Test Task for Get",
             Description = "Test Description",
-            ColumnId = 1
+            ColumnId = _columnIds[0]
         };
 
         var json = JsonSerializer.Serialize(createRequest);
@@ -139,7 +130,7 @@ public class TasksControllerIntegrationTests
         {
             Name = "Original Task",
             Description = "Original Description",
-            ColumnId = 1
+            ColumnId = _columnIds[0]
         };
 
         var createJson = JsonSerializer.Serialize(createRequest);
@@ -158,7 +149,7 @@ public class TasksControllerIntegrationTests
             Name = "Updated Task",
             Description = "Updated Description",
             IsFavorite = true,
-            ColumnId = 2
+            ColumnId = _columnIds[1]
         };
 
         var updateJson = JsonSerializer.Serialize(updateRequest);
@@ -178,7 +169,7 @@ public class TasksControllerIntegrationTests
         Assert.That(updatedTask, Is.Not.Null);
         Assert.That(updatedTask.Name, Is.EqualTo("Updated Task"));
         Assert.That(updatedTask.IsFavorite, Is.True);
-        Assert.That(updatedTask.ColumnId, Is.EqualTo(2));
+        Assert.That(updatedTask.ColumnId, Is.EqualTo(_columnIds[1]));
     }
 
     [Test]
@@ -189,7 +180,7 @@ public class TasksControllerIntegrationTests
         {
             Name = "Task to Delete",
             Description = "Will be deleted",
-            ColumnId = 1
+            ColumnId = _columnIds[0]
         };
 
         var createJson = JsonSerializer.Serialize(createRequest);
@@ -212,4 +203,254 @@ public class TasksControllerIntegrationTests
         var getResponse = await _client.GetAsync($"/api/tasks/{createdTask.Id}");
         Assert.That(getResponse.StatusCode, Is.EqualTo(System.Net.HttpStatusCode.NotFound));
     }
+
+    [Test]
+    public async Task RestoreTask_AfterDelete_ShouldBringTaskBack()
+    {
+        // Arrange - Create and delete a task
+        var createRequest = new CreateTaskRequest
+        {
+            Name = "Task to Restore",
+            Description = "Deleted by mistake",
+            ColumnId = _columnIds[0]
+        };
+
+        var createJson = JsonSerializer.Serialize(createRequest);
+        var createContent = new StringContent(createJson, Encoding.UTF8, "application/json");
+        
+        var createResponse = await _client.PostAsync("/api/tasks", createContent);
+        var createdTaskContent = await createResponse.Content.ReadAsStringAsync();
+        var createdTask = JsonSerializer.Deserialize<TaskResponse>(createdTaskContent, new JsonSerializerOptions 
+        { 
+            PropertyNameCaseInsensitive = true 
+        });
+        await _client.DeleteAsync($"/api/tasks/{createdTask.Id}");
+
+        // Act
+        var restoreResponse = await _client.PostAsync($"/api/tasks/{createdTask.Id}/restore", null);
+
+        // Assert
+        Assert.That(restoreResponse.StatusCode, Is.EqualTo(System.Net.HttpStatusCode.OK));
+
+        var getResponse = await _client.GetAsync($"/api/tasks/{createdTask.Id}");
+        Assert.That(getResponse.StatusCode, Is.EqualTo(System.Net.HttpStatusCode.OK));
+    }
+
+    [Test]
+    public async Task RestoreTask_WithInvalidId_ShouldReturnNotFound()
+    {
+        // Act
+        var response = await _client.PostAsync("/api/tasks/99999/restore", null);
+
+        // Assert
+        Assert.That(response.StatusCode, Is.EqualTo(System.Net.HttpStatusCode.NotFound));
+    }
+
+    [Test]
+    public async Task BatchDelete_ThenBatchRestore_ShouldBringTasksBack()
+    {
+        // Arrange - Create two tasks
+        var ids = new List<int>();
+        foreach (var name in new[] { "Batch Task 1", "Batch Task 2" })
+        {
+            var createJson = JsonSerializer.Serialize(new CreateTaskRequest { Name = name, ColumnId = _columnIds[0] });
+            var createResponse = await _client.PostAsync("/api/tasks", new StringContent(createJson, Encoding.UTF8, "application/json"));
+            var createdTask = JsonSerializer.Deserialize<TaskResponse>(await createResponse.Content.ReadAsStringAsync(), new JsonSerializerOptions
+            {
+                PropertyNameCaseInsensitive = true
+            });
+            ids.Add(createdTask.Id);
+        }
+        var batchJson = JsonSerializer.Serialize(new BatchTaskRequest { TaskIds = ids });
+
+        // Act
+        var deleteResponse = await _client.PostAsync("/api/tasks/batch/delete", new StringContent(batchJson, Encoding.UTF8, "application/json"));
+        var getDeletedResponse = await _client.GetAsync($"/api/tasks/{ids[0]}");
+        var restoreResponse = await _client.PostAsync("/api/tasks/batch/restore", new StringContent(batchJson, Encoding.UTF8, "application/json"));
+
+        // Assert
+        Assert.That(deleteResponse.StatusCode, Is.EqualTo(System.Net.HttpStatusCode.NoContent));
+        Assert.That(getDeletedResponse.StatusCode, Is.EqualTo(System.Net.HttpStatusCode.NotFound));
+        Assert.That(restoreResponse.StatusCode, Is.EqualTo(System.Net.HttpStatusCode.OK));
+
+        var getResponse = await _client.GetAsync($"/api/tasks/{ids[1]}");
+        Assert.That(getResponse.StatusCode, Is.EqualTo(System.Net.HttpStatusCode.OK));
+    }
+
+    [Test]
+    public async Task BatchMove_WithEmptyTaskIds_ShouldReturnBadRequest()
+    {
+        // Arrange
+        var json = JsonSerializer.Serialize(new BatchMoveTasksRequest { TaskIds = new List<int>(), ColumnId = _columnIds[0] });
+        var content = new StringContent(json, Encoding.UTF8, "application/json");
+
+        // Act
+        var response = await _client.PostAsync("/api/tasks/batch/move", content);
+
+        // Assert
+        Assert.That(response.StatusCode, Is.EqualTo(System.Net.HttpStatusCode.BadRequest));
+    }
+
+    [Test]
+    public async Task MoveTask_ToAnUnknownColumn_ShouldReturnBadRequest()
+    {
+        // Arrange
+        var created = await _client.PostAsync("/api/tasks", new StringContent(
+            JsonSerializer.Serialize(new CreateTaskRequest { Name = "Stays put", ColumnId = _columnIds[0] }),
+            Encoding.UTF8, "application/json"));
+        var task = JsonSerializer.Deserialize<TaskResponse>(await created.Content.ReadAsStringAsync(),
+            new JsonSerializerOptions { PropertyNameCaseInsensitive = true })!;
+        var content = new StringContent(
+            JsonSerializer.Serialize(new MoveTaskRequest { ColumnId = _columnIds.Max() + 1000, SortOrder = 1 }),
+            Encoding.UTF8, "application/json");
+
+        // Act
+        var response = await _client.PatchAsync($"/api/tasks/{task.Id}/move", content);
+
+        // Assert
+        Assert.That(response.StatusCode, Is.EqualTo(System.Net.HttpStatusCode.BadRequest));
+    }
+
+    [Test]
+    public async Task Comments_ShouldOnlyBeEditableByTheirAuthor()
+    {
+        // Arrange - Share the board with an editor and comment on a task as its owner
+        var options = new JsonSerializerOptions { PropertyNameCaseInsensitive = true };
+        var me = JsonSerializer.Deserialize<UserResponse>(await _client.GetStringAsync("/api/auth/me"), options)!;
+        using var editor = _factory.CreateClient();
+        var editorSession = await IntegrationTestAccounts.SignUpAsync(editor, "Ben");
+        var boardId = _client.DefaultRequestHeaders.GetValues("X-Board-Id").Single();
+        await _client.PostAsync($"/api/boards/{boardId}/shares", new StringContent(
+            JsonSerializer.Serialize(new { email = editorSession.User.Email, role = "editor" }), Encoding.UTF8, "application/json"));
+        editor.DefaultRequestHeaders.Add("X-Board-Id", boardId);
+
+        var createJson = JsonSerializer.Serialize(new CreateTaskRequest { Name = "Discussed Task", ColumnId = _columnIds[0] });
+        var createResponse = await _client.PostAsync("/api/tasks", new StringContent(createJson, Encoding.UTF8, "application/json"));
+        var task = JsonSerializer.Deserialize<TaskResponse>(await createResponse.Content.ReadAsStringAsync(), options);
+
+        var commentJson = JsonSerializer.Serialize(new { body = "Looks good", authorName = "Ben" });
+        var postResponse = await _client.PostAsync($"/api/tasks/{task!.Id}/comments", new StringContent(commentJson, Encoding.UTF8, "application/json"));
+        var comment = JsonSerializer.Deserialize<CommentResponse>(await postResponse.Content.ReadAsStringAsync(), options);
+
+        // Act - The author ID of the response can't be used to pose as the author
+        var delete = new HttpRequestMessage(HttpMethod.Delete, $"/api/comments/{comment!.Id}");
+        delete.Headers.Add("X-Author-Id", comment.AuthorUserId.ToString());
+        var deleteResponse = await editor.SendAsync(delete);
+        var listResponse = await editor.GetAsync($"/api/tasks/{task.Id}/comments");
+
+        // Assert
+        Assert.That(postResponse.StatusCode, Is.EqualTo(System.Net.HttpStatusCode.OK));
+        Assert.That(comment.AuthorUserId, Is.EqualTo(me.Id));
+        Assert.That(comment.AuthorName, Is.EqualTo(me.DisplayName));
+        Assert.That(deleteResponse.StatusCode, Is.EqualTo(System.Net.HttpStatusCode.Forbidden));
+        var comments = JsonSerializer.Deserialize<List<CommentResponse>>(await listResponse.Content.ReadAsStringAsync(), options);
+        Assert.That(comments!.Single().Body, Is.EqualTo("Looks good"));
+    }
+
+    [Test]
+    public async Task Checklist_ShouldBeReorderedAndShownOnTheBoard()
+    {
+        // Arrange - Create a task with two checklist items
+        var createJson = JsonSerializer.Serialize(new CreateTaskRequest { Name = "Task With Steps", ColumnId = _columnIds[0] });
+        var createResponse = await _client.PostAsync("/api/tasks", new StringContent(createJson, Encoding.UTF8, "application/json"));
+        var options = new JsonSerializerOptions { PropertyNameCaseInsensitive = true };
+        var task = JsonSerializer.Deserialize<TaskResponse>(await createResponse.Content.ReadAsStringAsync(), options);
+
+        foreach (var text in new[] { "First", "Second" })
+        {
+            var itemJson = JsonSerializer.Serialize(new CreateChecklistItemRequest { Text = text });
+            var itemResponse = await _client.PostAsync($"/api/tasks/{task!.Id}/checklist", new StringContent(itemJson, Encoding.UTF8, "application/json"));
+            task = JsonSerializer.Deserialize<TaskResponse>(await itemResponse.Content.ReadAsStringAsync(), options);
+        }
+        var ids = task!.ChecklistItems.Select(i => i.Id).ToList();
+
+        // Act
+        var reorderJson = JsonSerializer.Serialize(new ReorderChecklistRequest { ItemIds = new List<int> { ids[1], ids[0] } });
+        var reorderResponse = await _client.PutAsync($"/api/tasks/{task.Id}/checklist/reorder", new StringContent(reorderJson, Encoding.UTF8, "application/json"));
+        var checkJson = JsonSerializer.Serialize(new UpdateChecklistItemRequest { Text = "First", IsDone = true });
+        var checkResponse = await _client.PutAsync($"/api/tasks/{task.Id}/checklist/{ids[0]}", new StringContent(checkJson, Encoding.UTF8, "application/json"));
+        var boardResponse = await _client.GetAsync("/api/board");
+
+        // Assert
+        Assert.That(reorderResponse.StatusCode, Is.EqualTo(System.Net.HttpStatusCode.OK));
+        Assert.That(checkResponse.StatusCode, Is.EqualTo(System.Net.HttpStatusCode.OK));
+        var board = JsonSerializer.Deserialize<BoardResponse>(await boardResponse.Content.ReadAsStringAsync(), options);
+        var items = board!.Columns.SelectMany(c => c.Tasks).Single(t => t.Id == task.Id).ChecklistItems;
+        Assert.That(items.Select(i => i.Text), Is.EqualTo(new[] { "Second", "First" }));
+        Assert.That(items.Select(i => i.IsDone), Is.EqualTo(new[] { false, true }));
+    }
+
+    [Test]
+    public async Task CreateTask_ShouldReadAndWritePriorityAsLowercaseName()
+    {
+        // Arrange
+        var json = $"{{\"name\":\"Hotfix\",\"columnId\":{_columnIds[0]},\"priority\":\"urgent\"}}";
+
+        // Act
+        var response = await _client.PostAsync("/api/tasks", new StringContent(json, Encoding.UTF8, "application/json"));
+        var invalid = await _client.PostAsync("/api/tasks", new StringContent(json.Replace("urgent", "someday"), Encoding.UTF8, "application/json"));
+
+        // Assert
+        Assert.That(response.StatusCode, Is.EqualTo(System.Net.HttpStatusCode.Created));
+        Assert.That(await response.Content.ReadAsStringAsync(), Does.Contain("\"priority\":\"urgent\""));
+        Assert.That(invalid.StatusCode, Is.EqualTo(System.Net.HttpStatusCode.BadRequest));
+    }
+
+    [Test]
+    public async Task GetBoardAndTasksByColumn_ShouldPageThroughAColumn()
+    {
+        // Arrange
+        var options = new JsonSerializerOptions { PropertyNameCaseInsensitive = true };
+        foreach (var name in new[] { "One", "Two", "Three" })
+        {
+            var json = JsonSerializer.Serialize(new CreateTaskRequest { Name = name, ColumnId = _columnIds[0] });
+            await _client.PostAsync("/api/tasks", new StringContent(json, Encoding.UTF8, "application/json"));
+        }
+
+        // Act
+        var boardResponse = await _client.GetAsync("/api/board?limit=2");
+        var board = JsonSerializer.Deserialize<BoardResponse>(await boardResponse.Content.ReadAsStringAsync(), options);
+        var column = board!.Columns.Single(c => c.Id == _columnIds[0]);
+        var pageResponse = await _client.GetAsync($"/api/tasks/column/{column.Id}?limit=2&cursor={column.NextCursor}");
+        var page = JsonSerializer.Deserialize<TaskPageResponse>(await pageResponse.Content.ReadAsStringAsync(), options);
+        var badCursor = await _client.GetAsync($"/api/tasks/column/{column.Id}?cursor=not-a-cursor");
+        var unknownColumn = await _client.GetAsync("/api/tasks/column/999999");
+
+        // Assert
+        Assert.That(column.Tasks.Select(t => t.Name), Is.EqualTo(new[] { "One", "Two" }));
+        Assert.That(column.TaskCount, Is.EqualTo(3));
+        Assert.That(page!.Tasks.Select(t => t.Name), Is.EqualTo(new[] { "Three" }));
+        Assert.That(page.NextCursor, Is.Null);
+        Assert.That(page.TotalCount, Is.EqualTo(3));
+        Assert.That(badCursor.StatusCode, Is.EqualTo(System.Net.HttpStatusCode.BadRequest));
+        Assert.That(unknownColumn.StatusCode, Is.EqualTo(System.Net.HttpStatusCode.NotFound));
+    }
+
+    [Test]
+    public async Task MoveTask_RecurringTaskToDone_ShouldCreateTheNextOne()
+    {
+        // Arrange
+        var options = new JsonSerializerOptions { PropertyNameCaseInsensitive = true };
+        var json = $"{{\"name\":\"Water plants\",\"columnId\":{_columnIds[0]},\"recurrence\":{{\"frequency\":\"daily\"}}}}";
+        var created = await _client.PostAsync("/api/tasks", new StringContent(json, Encoding.UTF8, "application/json"));
+        var task = JsonSerializer.Deserialize<TaskResponse>(await created.Content.ReadAsStringAsync(), options);
+        var move = JsonSerializer.Serialize(new MoveTaskRequest { ColumnId = _columnIds[^1], SortOrder = 1 });
+
+        // Act
+        await _client.PatchAsync($"/api/tasks/{task!.Id}/move", new StringContent(move, Encoding.UTF8, "application/json"));
+
+        // Assert - The scheduler runs in the background, so wait for it
+        List<TaskResponse> copies = new();
+        for (var attempt = 0; attempt < 50 && copies.Count < 2; attempt++)
+        {
+            await Task.Delay(100);
+            var board = JsonSerializer.Deserialize<BoardResponse>(await _client.GetStringAsync("/api/board"), options);
+            copies = board!.Columns.SelectMany(c => c.Tasks).Where(t => t.Name == "Water plants").ToList();
+        }
+        Assert.That(created.StatusCode, Is.EqualTo(System.Net.HttpStatusCode.Created));
+        var next = copies.Single(t => t.Id != task.Id);
+        Assert.That(next.ColumnId, Is.EqualTo(_columnIds[0]));
+        Assert.That(next.Recurrence!.Frequency, Is.EqualTo(Backend.Models.RecurrenceFrequency.Daily));
+        Assert.That(copies.Single(t => t.Id == task.Id).Recurrence, Is.Null);
+    }
 }
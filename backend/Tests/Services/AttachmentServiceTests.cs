@@ -128,10 +128,62 @@ public class AttachmentServiceTests
         // Assert
         Assert.That(result, Is.True);
         
-        var attachmentInDb = await _context.Attachments.FindAsync(attachment.Id);
+        var attachmentInDb = await _context.Attachments.FirstOrDefaultAsync(a => a.Id == attachment.Id);
         Assert.That(attachmentInDb, Is.Null);
     }
 
+    [Test]
+    public async Task RestoreAttachmentAsync_AfterDelete_ShouldMakeFileAvailableAgain()
+    {
+        // Arrange
+        var mockFile = CreateTestFile("test.jpg", "image/jpeg", "test content");
+        var attachment = await _attachmentService.UploadAttachmentAsync(1, mockFile);
+        await _attachmentService.DeleteAttachmentAsync(attachment.Id);
+
+        // Act
+        var result = await _attachmentService.RestoreAttachmentAsync(attachment.Id);
+
+        // Assert
+        Assert.That(result, Is.Not.Null);
+        Assert.That(result.TaskId, Is.EqualTo(1));
+        Assert.That(result.Attachment.FileName, Is.EqualTo("test.jpg"));
+
+        var download = await _attachmentService.DownloadAttachmentAsync(attachment.Id);
+        Assert.That(download, Is.Not.Null);
+        await download.Value.stream.DisposeAsync();
+    }
+
+    [Test]
+    public async Task UploadAndDeleteAttachmentAsync_ShouldRecordActivity()
+    {
+        // Arrange
+        var attachment = await _attachmentService.UploadAttachmentAsync(1, CreateTestFile("test.jpg", "image/jpeg", "test content"));
+
+        // Act
+        await _attachmentService.DeleteAttachmentAsync(attachment.Id);
+
+        // Assert
+        var activity = await _context.Activities.OrderBy(a => a.Id).ToListAsync();
+        Assert.That(activity.Select(a => a.Type), Is.EqualTo(new[] { "attachment.added", "attachment.removed" }));
+        Assert.That(activity[0].NewValue, Is.EqualTo("test.jpg"));
+        Assert.That(activity[1].OldValue, Is.EqualTo("test.jpg"));
+    }
+
+    [Test]
+    public async Task DownloadAttachmentAsync_AfterDelete_ShouldReturnNull()
+    {
+        // Arrange
+        var mockFile = CreateTestFile("test.jpg", "image/jpeg", "test content");
+        var attachment = await _attachmentService.UploadAttachmentAsync(1, mockFile);
+        await _attachmentService.DeleteAttachmentAsync(attachment.Id);
+
+        // Act
+        var result = await _attachmentService.DownloadAttachmentAsync(attachment.Id);
+
+        // Assert
+        Assert.That(result, Is.Null);
+    }
+
     [Test]
     public async Task DeleteAttachmentAsync_WithInvalidId_ShouldReturnFalse()
     {
@@ -174,6 +226,66 @@ public class AttachmentServiceTests
         Assert.That(result, Is.Null);
     }
 
+    [Test]
+    public async Task GetAttachmentPreviewAsync_WithImage_ShouldReturnFileAndUploadTime()
+    {
+        // Arrange
+        var mockFile = CreateTestFile("screenshot.png", "image/png", "png content");
+        var attachment = await _attachmentService.UploadAttachmentAsync(1, mockFile);
+
+        // Act
+        var result = await _attachmentService.GetAttachmentPreviewAsync(attachment.Id);
+
+        // Assert
+        Assert.That(result, Is.Not.Null);
+        Assert.That(result.Value.contentType, Is.EqualTo("image/png"));
+        Assert.That(result.Value.uploadedAt, Is.EqualTo(attachment.UploadedAt));
+        await result.Value.stream.DisposeAsync();
+    }
+
+    [Test]
+    public async Task GetAttachmentPreviewAsync_WithNonImage_ShouldReturnNull()
+    {
+        // Arrange
+        var mockFile = CreateTestFile("page.svg", "image/svg+xml", "<svg></svg>");
+        var attachment = await _attachmentService.UploadAttachmentAsync(1, mockFile);
+
+        // Act
+        var result = await _attachmentService.GetAttachmentPreviewAsync(attachment.Id);
+
+        // Assert
+        Assert.That(result, Is.Null);
+    }
+
+    [Test]
+    public async Task RemoveOrphanedFilesAsync_ShouldOnlyDeleteOldFilesWithoutAttachment()
+    {
+        // Arrange
+        var kept = await _attachmentService.UploadAttachmentAsync(1, CreateTestFile("kept.png", "image/png", "png"));
+        var deleted = await _attachmentService.UploadAttachmentAsync(1, CreateTestFile("deleted.png", "image/png", "png"));
+        await _attachmentService.DeleteAttachmentAsync(deleted.Id);
+        var uploadPath = Path.Combine(_testUploadPath, "uploads");
+        var orphan = Path.Combine(uploadPath, "orphan.png");
+        var recent = Path.Combine(uploadPath, "recent.png");
+        await File.WriteAllTextAsync(orphan, "png");
+        await File.WriteAllTextAsync(recent, "png");
+        var cutoff = DateTime.UtcNow.AddMinutes(-30);
+        foreach (var file in Directory.GetFiles(uploadPath).Where(f => f != recent))
+        {
+            File.SetLastWriteTimeUtc(file, cutoff.AddHours(-1));
+        }
+
+        // Act
+        var removed = await _attachmentService.RemoveOrphanedFilesAsync(cutoff);
+
+        // Assert
+        Assert.That(removed, Is.EqualTo(1));
+        Assert.That(File.Exists(orphan), Is.False);
+        Assert.That(File.Exists(recent), Is.True);
+        var paths = await _context.Attachments.IgnoreQueryFilters().Select(a => a.FilePath).ToListAsync();
+        Assert.That(paths.All(File.Exists), Is.True, $"{kept.FileName} and the deleted attachment keep their files");
+    }
+
     private TestFormFile CreateTestFile(string fileName, string contentType, string content)
     {
         var contentBytes = Encoding.UTF8.GetBytes(content);
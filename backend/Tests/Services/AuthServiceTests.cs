@@ -0,0 +1,120 @@
+using NUnit.Framework;
+using Microsoft.EntityFrameworkCore;
+using Backend.Data;
+using Backend.Services;
+using Backend.DTOs;
+
+namespace Backend.Tests.Services;
+
+[TestFixture]
+public class AuthServiceTests
+{
+    private TaskDbContext _context;
+    private AuthService _authService;
+
+    [SetUp]
+    public void Setup()
+    {
+        var options = new DbContextOptionsBuilder<TaskDbContext>()
+            .UseInMemoryDatabase(databaseName: Guid.NewGuid().ToString())
+            .Options;
+
+        _context = new TaskDbContext(options);
+        _authService = new AuthService(_context, new BoardService(_context));
+    }
+
+    [TearDown]
+    public void TearDown()
+    {
+        _context.Dispose();
+    }
+
+    private Task<AuthResponse> SignUpAnaAsync() => _authService.SignUpAsync(new SignUpRequest
+    {
+        Email = " Ana@Example.com ",
+        DisplayName = "Ana",
+        Password = "correct horse"
+    });
+
+    [Test]
+    public async Task SignUpAsync_ShouldCreateUserWithHashedPasswordAndOwnBoard()
+    {
+        // Act
+        var session = await SignUpAnaAsync();
+
+        // Assert
+        var user = await _context.Users.SingleAsync();
+        Assert.That(user.Email, Is.EqualTo("ana@example.com"));
+        Assert.That(user.PasswordHash, Is.Not.Empty.And.Not.EqualTo("correct horse"));
+        Assert.That(session.User.Id, Is.EqualTo(user.Id));
+        Assert.That((await _context.AuthSessions.SingleAsync()).TokenHash, Is.Not.EqualTo(session.Token));
+        var board = await _context.Boards.SingleAsync();
+        Assert.That(board.OwnerId, Is.EqualTo(user.Id));
+        Assert.That(await _context.Columns.CountAsync(c => c.BoardId == board.Id), Is.EqualTo(3));
+    }
+
+    [Test]
+    public async Task SignUpAsync_WithTakenEmail_ShouldThrowException()
+    {
+        // Arrange
+        await SignUpAnaAsync();
+
+        // Act & Assert
+        Assert.ThrowsAsync<ArgumentException>(() => _authService.SignUpAsync(new SignUpRequest
+        {
+            Email = "ana@example.com",
+            DisplayName = "Another Ana",
+            Password = "something else"
+        }));
+    }
+
+    [Test]
+    public async Task LogInAsync_ShouldOnlyAcceptTheRightPassword()
+    {
+        // Arrange
+        await SignUpAnaAsync();
+
+        // Act
+        var wrong = await _authService.LogInAsync(new LogInRequest { Email = "ana@example.com", Password = "wrong horse" });
+        var unknown = await _authService.LogInAsync(new LogInRequest { Email = "bo@example.com", Password = "correct horse" });
+        var right = await _authService.LogInAsync(new LogInRequest { Email = "ANA@example.com", Password = "correct horse" });
+
+        // Assert
+        Assert.That(wrong, Is.Null);
+        Assert.That(unknown, Is.Null);
+        Assert.That(right, Is.Not.Null);
+        Assert.That(right!.User.DisplayName, Is.EqualTo("Ana"));
+    }
+
+    [Test]
+    public async Task ValidateTokenAsync_ShouldAcceptIssuedTokensUntilLogout()
+    {
+        // Arrange
+        var session = await SignUpAnaAsync();
+
+        // Act
+        var before = await _authService.ValidateTokenAsync(session.Token);
+        await _authService.LogOutAsync(session.Token);
+        var after = await _authService.ValidateTokenAsync(session.Token);
+
+        // Assert
+        Assert.That(before?.Email, Is.EqualTo("ana@example.com"));
+        Assert.That(after, Is.Null);
+    }
+
+    [Test]
+    public async Task ValidateTokenAsync_WithExpiredSession_ShouldReturnNull()
+    {
+        // Arrange
+        var session = await SignUpAnaAsync();
+        var stored = await _context.AuthSessions.SingleAsync();
+        stored.ExpiresAt = DateTime.UtcNow.AddMinutes(-1);
+        await _context.SaveChangesAsync();
+
+        // Act
+        var user = await _authService.ValidateTokenAsync(session.Token);
+
+        // Assert
+        Assert.That(user, Is.Null);
+    }
+}
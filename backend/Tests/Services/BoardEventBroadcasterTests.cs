@@ -0,0 +1,88 @@
+using NUnit.Framework;
+using Backend.DTOs;
+using Backend.Services;
+
+namespace Backend.Tests.Services;
+
+[TestFixture]
+public class BoardEventBroadcasterTests
+{
+    private BoardEventBroadcaster _broadcaster = null!;
+
+    [SetUp]
+    public void Setup()
+    {
+        _broadcaster = new BoardEventBroadcaster();
+    }
+
+    [Test]
+    public void Publish_ShouldDeliverEventToEverySubscriber()
+    {
+        // Arrange
+        using var first = _broadcaster.Subscribe(1);
+        using var second = _broadcaster.Subscribe(1);
+
+        // Act
+        _broadcaster.Publish(1, BoardEventTypes.TaskDeleted, new { id = 5 }, "client-a");
+
+        // Assert
+        Assert.That(first.Reader.TryRead(out var firstEvent), Is.True);
+        Assert.That(second.Reader.TryRead(out var secondEvent), Is.True);
+        Assert.That(firstEvent!.Type, Is.EqualTo(BoardEventTypes.TaskDeleted));
+        Assert.That(firstEvent.SourceClientId, Is.EqualTo("client-a"));
+        Assert.That(secondEvent!.Id, Is.EqualTo(firstEvent.Id));
+    }
+
+    [Test]
+    public void Publish_ShouldOnlyDeliverToSubscribersOfThatBoard()
+    {
+        // Arrange
+        using var sameBoard = _broadcaster.Subscribe(1);
+        using var otherBoard = _broadcaster.Subscribe(2);
+
+        // Act
+        _broadcaster.Publish(1, BoardEventTypes.TaskCreated, null);
+
+        // Assert
+        Assert.That(sameBoard.Reader.TryRead(out _), Is.True);
+        Assert.That(otherBoard.Reader.TryRead(out _), Is.False);
+    }
+
+    [Test]
+    public void Publish_ShouldAssignIncreasingEventIds()
+    {
+        // Arrange
+        using var subscription = _broadcaster.Subscribe(1);
+
+        // Act
+        _broadcaster.Publish(1, BoardEventTypes.TaskCreated, null);
+        _broadcaster.Publish(1, BoardEventTypes.TaskUpdated, null);
+
+        // Assert
+        subscription.Reader.TryRead(out var first);
+        subscription.Reader.TryRead(out var second);
+        Assert.That(second!.Id, Is.GreaterThan(first!.Id));
+    }
+
+    [Test]
+    public void Dispose_ShouldRemoveSubscriber()
+    {
+        // Arrange
+        var subscription = _broadcaster.Subscribe(1);
+        Assert.That(_broadcaster.SubscriberCount, Is.EqualTo(1));
+
+        // Act
+        subscription.Dispose();
+        _broadcaster.Publish(1, BoardEventTypes.TaskCreated, null);
+
+        // Assert
+        Assert.That(_broadcaster.SubscriberCount, Is.EqualTo(0));
+        Assert.That(subscription.Reader.Completion.IsCompleted, Is.True);
+    }
+
+    [Test]
+    public void Publish_WithoutSubscribers_ShouldNotThrow()
+    {
+        Assert.DoesNotThrow(() => _broadcaster.Publish(1, BoardEventTypes.ColumnCreated, null));
+    }
+}
@@ -0,0 +1,178 @@
+using NUnit.Framework;
+using Microsoft.EntityFrameworkCore;
+using Backend.Data;
+using Backend.Services;
+using Backend.Models;
+using Backend.DTOs;
+
+namespace Backend.Tests.Services;
+
+[TestFixture]
+public class BoardImportServiceTests
+{
+    private TaskDbContext _context = null!;
+    private BoardImportService _importService = null!;
+
+    [SetUp]
+    public void Setup()
+    {
+        var options = new DbContextOptionsBuilder<TaskDbContext>()
+            .UseInMemoryDatabase(databaseName: Guid.NewGuid().ToString())
+            .Options;
+
+        _context = new TaskDbContext(options);
+        _importService = new BoardImportService(_context, new ColumnService(_context));
+
+        _context.Columns.Add(new TaskColumn { Id = 1, Name = "To Do", SortOrder = 1 });
+        _context.Tasks.Add(new TaskItem { Id = 1, Name = "Write docs", Description = "Old", ColumnId = 1, SortOrder = 1 });
+        _context.SaveChanges();
+    }
+
+    [TearDown]
+    public void TearDown()
+    {
+        _context.Dispose();
+    }
+
+    private static ImportBoardRequest ImportIntoToDo(ImportConflictMode onConflict, params ImportTaskRequest[] tasks)
+    {
+        return new ImportBoardRequest
+        {
+            OnConflict = onConflict,
+            Columns = new List<ImportColumnRequest>
+            {
+                new ImportColumnRequest { ColumnId = 1, Tasks = tasks.ToList() }
+            }
+        };
+    }
+
+    [Test]
+    public async Task ImportBoardAsync_ShouldCreateNewColumnsAndAppendTasks()
+    {
+        // Arrange
+        var request = new ImportBoardRequest
+        {
+            Columns = new List<ImportColumnRequest>
+            {
+                new ImportColumnRequest { ColumnId = 1, Tasks = { new ImportTaskRequest { Name = "Plan release" } } },
+                new ImportColumnRequest
+                {
+                    Name = " Review ",
+                    Tasks = { new ImportTaskRequest { Name = "Check docs", Deadline = new DateTime(2025, 3, 1, 15, 0, 0), IsFavorite = true } }
+                }
+            }
+        };
+
+        // Act
+        var result = await _importService.ImportBoardAsync(request);
+
+        // Assert
+        Assert.That(result.ColumnsCreated, Is.EqualTo(1));
+        Assert.That(result.TasksCreated, Is.EqualTo(2));
+        Assert.That(result.Board.Columns.Select(c => c.Name), Is.EqualTo(new[] { "To Do", "Review" }));
+        Assert.That(result.Board.Columns[0].Tasks.Select(t => t.SortOrder), Is.EqualTo(new[] { 1, 2 }));
+
+        var imported = result.Board.Columns[1].Tasks.Single();
+        Assert.That(imported.IsFavorite, Is.True);
+        Assert.That(imported.Deadline, Is.EqualTo(new DateTime(2025, 3, 1)));
+    }
+
+    [Test]
+    public async Task ImportBoardAsync_WithSkip_ShouldKeepExistingTasks()
+    {
+        // Act
+        var result = await _importService.ImportBoardAsync(
+            ImportIntoToDo(ImportConflictMode.Skip, new ImportTaskRequest { Name = "write docs", Description = "New" }));
+
+        // Assert
+        Assert.That(result.TasksSkipped, Is.EqualTo(1));
+        Assert.That(result.TasksCreated, Is.EqualTo(0));
+        Assert.That((await _context.Tasks.SingleAsync()).Description, Is.EqualTo("Old"));
+    }
+
+    [Test]
+    public async Task ImportBoardAsync_WithOverwrite_ShouldUpdateExistingTasks()
+    {
+        // Act
+        var result = await _importService.ImportBoardAsync(
+            ImportIntoToDo(ImportConflictMode.Overwrite, new ImportTaskRequest { Name = "Write docs", Description = "New", IsFavorite = true }));
+
+        // Assert
+        Assert.That(result.TasksUpdated, Is.EqualTo(1));
+        var task = await _context.Tasks.SingleAsync();
+        Assert.That(task.Description, Is.EqualTo("New"));
+        Assert.That(task.IsFavorite, Is.True);
+    }
+
+    [Test]
+    public async Task ImportBoardAsync_WithDuplicate_ShouldAddAnotherTask()
+    {
+        // Act
+        var result = await _importService.ImportBoardAsync(
+            ImportIntoToDo(ImportConflictMode.Duplicate, new ImportTaskRequest { Name = "Write docs" }));
+
+        // Assert
+        Assert.That(result.TasksCreated, Is.EqualTo(1));
+        Assert.That(await _context.Tasks.CountAsync(), Is.EqualTo(2));
+    }
+
+    [Test]
+    public async Task ImportBoardAsync_ShouldKeepPriorityLabelsChecklistAndRecurrence()
+    {
+        // Arrange - The board already has a "Docs" label
+        _context.Labels.Add(new TaskLabel { Id = 1, Name = "Docs", Color = "#1971c2" });
+        await _context.SaveChangesAsync();
+        var imported = new ImportTaskRequest
+        {
+            Name = "Publish docs",
+            Priority = TaskPriority.Urgent,
+            Labels =
+            {
+                new SaveLabelRequest { Name = "docs", Color = "#e03131" },
+                new SaveLabelRequest { Name = "Release", Color = "#2F9E44" }
+            },
+            ChecklistItems =
+            {
+                new UpdateChecklistItemRequest { Text = " Proofread ", IsDone = true },
+                new UpdateChecklistItemRequest { Text = "Upload" }
+            },
+            Recurrence = new RecurrenceRule { Frequency = RecurrenceFrequency.Weekly, Weekdays = { 1, 4 } }
+        };
+
+        // Act
+        var result = await _importService.ImportBoardAsync(ImportIntoToDo(ImportConflictMode.Skip, imported));
+
+        // Assert - Labels are matched by name and only missing ones are created
+        Assert.That(result.LabelsCreated, Is.EqualTo(1));
+        var task = await _context.Tasks
+            .Include(t => t.Labels)
+            .Include(t => t.ChecklistItems)
+            .SingleAsync(t => t.Name == "Publish docs");
+        Assert.That(task.Priority, Is.EqualTo(TaskPriority.Urgent));
+        Assert.That(task.Labels.Select(l => l.Name), Is.EquivalentTo(new[] { "Docs", "Release" }));
+        Assert.That(task.Labels.Single(l => l.Name == "Release").Color, Is.EqualTo("#2f9e44"));
+        var checklist = task.ChecklistItems.OrderBy(i => i.SortOrder).ToList();
+        Assert.That(checklist.Select(i => i.Text), Is.EqualTo(new[] { "Proofread", "Upload" }));
+        Assert.That(checklist.Select(i => i.IsDone), Is.EqualTo(new[] { true, false }));
+        Assert.That(task.Recurrence, Is.EqualTo(RecurrenceFrequency.Weekly));
+        Assert.That(await _context.Labels.CountAsync(), Is.EqualTo(2));
+    }
+
+    [Test]
+    public void ImportBoardAsync_WithUnknownColumn_ShouldThrowAndSaveNothing()
+    {
+        // Arrange
+        var request = new ImportBoardRequest
+        {
+            Columns = new List<ImportColumnRequest>
+            {
+                new ImportColumnRequest { Name = "Review", Tasks = { new ImportTaskRequest { Name = "Check docs" } } },
+                new ImportColumnRequest { ColumnId = 99 }
+            }
+        };
+
+        // Act & Assert
+        Assert.ThrowsAsync<ArgumentException>(() => _importService.ImportBoardAsync(request));
+        Assert.That(_context.Columns.Count(), Is.EqualTo(1));
+    }
+}
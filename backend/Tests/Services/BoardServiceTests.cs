@@ -0,0 +1,162 @@
+using NUnit.Framework;
+using Microsoft.EntityFrameworkCore;
+using Backend.Data;
+using Backend.Services;
+using Backend.Models;
+using Backend.DTOs;
+
+namespace Backend.Tests.Services;
+
+[TestFixture]
+public class BoardServiceTests
+{
+    private TaskDbContext _context;
+    private BoardService _boardService;
+
+    [SetUp]
+    public void Setup()
+    {
+        var options = new DbContextOptionsBuilder<TaskDbContext>()
+            .UseInMemoryDatabase(databaseName: Guid.NewGuid().ToString())
+            .Options;
+
+        _context = new TaskDbContext(options);
+        _boardService = new BoardService(_context);
+
+        // Seed test data
+        SeedTestData();
+    }
+
+    [TearDown]
+    public void TearDown()
+    {
+        _context.Dispose();
+    }
+
+    private void SeedTestData()
+    {
+        _context.Users.AddRange(
+            new User { Id = 1, Email = "ana@example.com", DisplayName = "Ana", PasswordHash = "x" },
+            new User { Id = 2, Email = "bo@example.com", DisplayName = "Bo", PasswordHash = "x" },
+            new User { Id = 3, Email = "cy@example.com", DisplayName = "Cy", PasswordHash = "x" });
+        _context.SaveChanges();
+    }
+
+    [Test]
+    public async Task CreateBoardAsync_ShouldAddDefaultColumnsToTheNewBoard()
+    {
+        // Act
+        var board = await _boardService.CreateBoardAsync(1, new SaveBoardRequest { Name = "  Launch  " });
+
+        // Assert
+        Assert.That(board.Name, Is.EqualTo("Launch"));
+        Assert.That(board.Role, Is.EqualTo(BoardRole.Owner));
+        var columns = await _context.Columns.Where(c => c.BoardId == board.Id).OrderBy(c => c.SortOrder).ToListAsync();
+        Assert.That(columns.Select(c => c.Name), Is.EqualTo(new[] { "To Do", "In Progress", "Done" }));
+    }
+
+    [Test]
+    public async Task GetBoardsAsync_ShouldListOwnedAndSharedBoardsWithRoles()
+    {
+        // Arrange
+        var own = await _boardService.CreateBoardAsync(1, new SaveBoardRequest { Name = "Mine" });
+        var shared = await _boardService.CreateBoardAsync(2, new SaveBoardRequest { Name = "Bo's" });
+        await _boardService.CreateBoardAsync(3, new SaveBoardRequest { Name = "Private" });
+        await _boardService.ShareBoardAsync(shared.Id, new ShareBoardRequest { Email = "ANA@example.com", Role = BoardRole.Editor });
+
+        // Act
+        var boards = await _boardService.GetBoardsAsync(1);
+
+        // Assert
+        Assert.That(boards.Select(b => b.Id), Is.EqualTo(new[] { shared.Id, own.Id }));
+        Assert.That(boards[0].Role, Is.EqualTo(BoardRole.Editor));
+        Assert.That(boards[0].OwnerName, Is.EqualTo("Bo"));
+        Assert.That(boards[1].Role, Is.EqualTo(BoardRole.Owner));
+    }
+
+    [Test]
+    public async Task GetRoleAsync_ShouldFollowOwnershipAndShares()
+    {
+        // Arrange
+        var board = await _boardService.CreateBoardAsync(1, new SaveBoardRequest { Name = "Mine" });
+        await _boardService.ShareBoardAsync(board.Id, new ShareBoardRequest { Email = "bo@example.com", Role = BoardRole.Viewer });
+
+        // Act & Assert
+        Assert.That(await _boardService.GetRoleAsync(board.Id, 1), Is.EqualTo(BoardRole.Owner));
+        Assert.That(await _boardService.GetRoleAsync(board.Id, 2), Is.EqualTo(BoardRole.Viewer));
+        Assert.That(await _boardService.GetRoleAsync(board.Id, 3), Is.Null);
+        Assert.That(await _boardService.GetRoleAsync(999, 1), Is.Null);
+    }
+
+    [Test]
+    public async Task ShareBoardAsync_AgainWithSameUser_ShouldChangeTheirRole()
+    {
+        // Arrange
+        var board = await _boardService.CreateBoardAsync(1, new SaveBoardRequest { Name = "Mine" });
+        await _boardService.ShareBoardAsync(board.Id, new ShareBoardRequest { Email = "bo@example.com", Role = BoardRole.Viewer });
+
+        // Act
+        var share = await _boardService.ShareBoardAsync(board.Id, new ShareBoardRequest { Email = "bo@example.com", Role = BoardRole.Editor });
+
+        // Assert
+        Assert.That(share.Role, Is.EqualTo(BoardRole.Editor));
+        Assert.That(share.DisplayName, Is.EqualTo("Bo"));
+        Assert.That(await _context.BoardShares.CountAsync(), Is.EqualTo(1));
+    }
+
+    [Test]
+    public async Task ShareBoardAsync_WithUnknownEmailOwnerOrOwnerRole_ShouldThrowException()
+    {
+        // Arrange
+        var board = await _boardService.CreateBoardAsync(1, new SaveBoardRequest { Name = "Mine" });
+
+        // Act & Assert
+        Assert.ThrowsAsync<ArgumentException>(() =>
+            _boardService.ShareBoardAsync(board.Id, new ShareBoardRequest { Email = "nobody@example.com" }));
+        Assert.ThrowsAsync<ArgumentException>(() =>
+            _boardService.ShareBoardAsync(board.Id, new ShareBoardRequest { Email = "ana@example.com" }));
+        Assert.ThrowsAsync<ArgumentException>(() =>
+            _boardService.ShareBoardAsync(board.Id, new ShareBoardRequest { Email = "bo@example.com", Role = BoardRole.Owner }));
+    }
+
+    [Test]
+    public async Task RemoveShareAsync_ShouldRevokeAccess()
+    {
+        // Arrange
+        var board = await _boardService.CreateBoardAsync(1, new SaveBoardRequest { Name = "Mine" });
+        await _boardService.ShareBoardAsync(board.Id, new ShareBoardRequest { Email = "bo@example.com" });
+
+        // Act
+        var removed = await _boardService.RemoveShareAsync(board.Id, 2);
+        var removedAgain = await _boardService.RemoveShareAsync(board.Id, 2);
+
+        // Assert
+        Assert.That(removed, Is.True);
+        Assert.That(removedAgain, Is.False);
+        Assert.That(await _boardService.GetRoleAsync(board.Id, 2), Is.Null);
+    }
+
+    [Test]
+    public async Task DeleteBoardAsync_ShouldRemoveEverythingOnTheBoard()
+    {
+        // Arrange
+        var board = await _boardService.CreateBoardAsync(1, new SaveBoardRequest { Name = "Doomed" });
+        var kept = await _boardService.CreateBoardAsync(1, new SaveBoardRequest { Name = "Kept" });
+        var column = await _context.Columns.FirstAsync(c => c.BoardId == board.Id);
+        _context.Tasks.AddRange(
+            new TaskItem { Name = "Open", ColumnId = column.Id },
+            new TaskItem { Name = "In the trash", ColumnId = column.Id, DeletedAt = DateTime.UtcNow });
+        _context.Labels.Add(new TaskLabel { Name = "Bug", Color = "#e03131", BoardId = board.Id });
+        await _context.SaveChangesAsync();
+
+        // Act
+        var deleted = await _boardService.DeleteBoardAsync(board.Id);
+
+        // Assert
+        Assert.That(deleted, Is.True);
+        Assert.That(await _context.Boards.Select(b => b.Id).ToListAsync(), Is.EqualTo(new[] { kept.Id }));
+        Assert.That(await _context.Tasks.IgnoreQueryFilters().CountAsync(), Is.EqualTo(0));
+        Assert.That(await _context.Columns.IgnoreQueryFilters().AllAsync(c => c.BoardId == kept.Id), Is.True);
+        Assert.That(await _context.Labels.CountAsync(), Is.EqualTo(0));
+    }
+}
@@ -12,12 +12,14 @@ public class ColumnServiceTests
 {
     private TaskDbContext _context;
     private ColumnService _columnService;
+    private string _databaseName;
 
     [SetUp]
     public void Setup()
     {
+        _databaseName = Guid.NewGuid().ToString();
         var options = new DbContextOptionsBuilder<TaskDbContext>()
-            .UseInMemoryDatabase(databaseName: Guid.NewGuid().ToString())
+            .UseInMemoryDatabase(databaseName: _databaseName)
             .Options;
 
         _context = new TaskDbContext(options);
@@ -105,10 +107,27 @@ public class ColumnServiceTests
         // Assert
         Assert.That(result, Is.True);
         
-        var columnInDb = await _context.Columns.FindAsync(2);
+        var columnInDb = await _context.Columns.FirstOrDefaultAsync(c => c.Id == 2);
         Assert.That(columnInDb, Is.Null);
     }
 
+    [Test]
+    public async Task RestoreColumnAsync_AfterDelete_ShouldBringColumnBack()
+    {
+        // Arrange
+        await _columnService.DeleteColumnAsync(2);
+
+        // Act
+        var result = await _columnService.RestoreColumnAsync(2);
+
+        // Assert
+        Assert.That(result, Is.Not.Null);
+        Assert.That(result.Name, Is.EqualTo("In Progress"));
+
+        var board = await _columnService.GetBoardAsync();
+        Assert.That(board.Columns.Select(c => c.Id), Does.Contain(2));
+    }
+
     [Test]
     public async Task DeleteColumnAsync_WithTasks_ShouldThrowException()
     {
@@ -131,6 +150,120 @@ public class ColumnServiceTests
         Assert.That(ex.Message, Does.Contain("Cannot delete column with existing tasks"));
     }
 
+    [Test]
+    public async Task UpdateColumnAsync_ShouldRenameColumn()
+    {
+        // Act
+        var result = await _columnService.UpdateColumnAsync(2, new UpdateColumnRequest { Name = "Review" });
+
+        // Assert
+        Assert.That(result, Is.Not.Null);
+        Assert.That(result.Name, Is.EqualTo("Review"));
+
+        var columnInDb = await _context.Columns.FindAsync(2);
+        Assert.That(columnInDb.Name, Is.EqualTo("Review"));
+    }
+
+    [Test]
+    public async Task UpdateColumnAsync_WithInvalidId_ShouldReturnNull()
+    {
+        // Act
+        var result = await _columnService.UpdateColumnAsync(999, new UpdateColumnRequest { Name = "Review" });
+
+        // Assert
+        Assert.That(result, Is.Null);
+    }
+
+    [Test]
+    public async Task ReorderColumnsAsync_ShouldApplyNewOrder()
+    {
+        // Act
+        var result = await _columnService.ReorderColumnsAsync(new ReorderColumnsRequest { ColumnIds = new List<int> { 2, 1 } });
+        var columns = result.ToList();
+
+        // Assert
+        Assert.That(columns[0].Id, Is.EqualTo(2));
+        Assert.That(columns[0].SortOrder, Is.EqualTo(1));
+        Assert.That(columns[1].Id, Is.EqualTo(1));
+        Assert.That(columns[1].SortOrder, Is.EqualTo(2));
+    }
+
+    [Test]
+    public void ReorderColumnsAsync_WithMissingColumn_ShouldThrowException()
+    {
+        // Act & Assert
+        Assert.ThrowsAsync<ArgumentException>(
+            async () => await _columnService.ReorderColumnsAsync(new ReorderColumnsRequest { ColumnIds = new List<int> { 2 } }));
+    }
+
+    [Test]
+    public void ReorderColumnsAsync_WithDuplicateColumn_ShouldThrowException()
+    {
+        // Act & Assert
+        Assert.ThrowsAsync<ArgumentException>(
+            async () => await _columnService.ReorderColumnsAsync(new ReorderColumnsRequest { ColumnIds = new List<int> { 1, 1 } }));
+    }
+
+    [Test]
+    public async Task GetBoardAsync_ShouldOrderTasksByFavoriteThenSortOrder()
+    {
+        // Arrange
+        _context.Tasks.AddRange(
+            new TaskItem { Name = "Alpha", ColumnId = 1, SortOrder = 3 },
+            new TaskItem { Name = "Bravo", ColumnId = 1, SortOrder = 1 },
+            new TaskItem { Name = "Charlie", ColumnId = 1, SortOrder = 2, IsFavorite = true });
+        await _context.SaveChangesAsync();
+
+        // Act
+        var result = await _columnService.GetBoardAsync();
+
+        // Assert
+        var names = result.Columns[0].Tasks.Select(t => t.Name);
+        Assert.That(names, Is.EqualTo(new[] { "Charlie", "Bravo", "Alpha" }));
+    }
+
+    [Test]
+    public async Task GetBoardAsync_ShouldReturnTheFirstPageOfEachColumnWithCounts()
+    {
+        // Arrange
+        for (var i = 1; i <= 5; i++)
+        {
+            _context.Tasks.Add(new TaskItem { Name = $"Task {i}", ColumnId = 1, SortOrder = i });
+        }
+        await _context.SaveChangesAsync();
+
+        // Act
+        var result = await _columnService.GetBoardAsync(2);
+
+        // Assert
+        var column = result.Columns[0];
+        Assert.That(column.Tasks.Select(t => t.Name), Is.EqualTo(new[] { "Task 1", "Task 2" }));
+        Assert.That(column.TaskCount, Is.EqualTo(5));
+        Assert.That(column.NextCursor, Is.Not.Null);
+        Assert.That(result.Columns[1].TaskCount, Is.EqualTo(0));
+        Assert.That(result.Columns[1].NextCursor, Is.Null);
+    }
+
+    [Test]
+    public async Task GetBoardAsync_ShouldCountOverdueTasksPastTheFirstPage()
+    {
+        // Arrange - Due dates for tasks 1 to 5; tasks 3 and 5 are past the first page and overdue
+        var today = new DateTime(2026, 3, 10);
+        var deadlines = new DateTime?[] { new(2026, 3, 1), null, new(2026, 3, 9), new(2026, 3, 10), new(2025, 12, 24) };
+        for (var i = 1; i <= 5; i++)
+        {
+            _context.Tasks.Add(new TaskItem { Name = $"Task {i}", ColumnId = 1, SortOrder = i, Deadline = TaskService.NormalizeDeadline(deadlines[i - 1]) });
+        }
+        await _context.SaveChangesAsync();
+
+        // Act
+        var result = await _columnService.GetBoardAsync(2, today);
+
+        // Assert - Task 4 is due today, so not overdue yet
+        Assert.That(result.Columns[0].OverdueAfterCount, Is.EqualTo(2));
+        Assert.That(result.Columns[1].OverdueAfterCount, Is.EqualTo(0));
+    }
+
     [Test]
     public async Task GetBoardAsync_ShouldReturnCompleteBoard()
     {
@@ -143,4 +276,29 @@ public class ColumnServiceTests
         Assert.That(result.Columns[0].Name, Is.EqualTo("To Do"));
         Assert.That(result.Columns[1].Name, Is.EqualTo("In Progress"));
     }
+
+    [Test]
+    public async Task ScopedToABoard_ShouldHideOtherBoardsAndStampNewColumns()
+    {
+        // Arrange - the seeded columns belong to board 0; add one to board 7
+        _context.Columns.Add(new TaskColumn { Id = 10, Name = "Elsewhere", SortOrder = 1, BoardId = 7 });
+        _context.SaveChanges();
+        var currentBoard = new CurrentBoard();
+        currentBoard.Set(7, BoardRole.Editor);
+        var options = new DbContextOptionsBuilder<TaskDbContext>()
+            .UseInMemoryDatabase(_databaseName)
+            .Options;
+        using var scopedContext = new TaskDbContext(options, currentBoard);
+        var service = new ColumnService(scopedContext);
+
+        // Act
+        var created = await service.CreateColumnAsync(new CreateColumnRequest { Name = "Review" });
+        var columns = (await service.GetAllColumnsAsync()).ToList();
+        var otherBoardColumn = await service.GetColumnByIdAsync(1);
+
+        // Assert
+        Assert.That(columns.Select(c => c.Name), Is.EqualTo(new[] { "Elsewhere", "Review" }));
+        Assert.That(_context.Columns.Single(c => c.Id == created.Id).BoardId, Is.EqualTo(7));
+        Assert.That(otherBoardColumn, Is.Null);
+    }
 }
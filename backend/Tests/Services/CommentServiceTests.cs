@@ -0,0 +1,116 @@
+using NUnit.Framework;
+using Microsoft.EntityFrameworkCore;
+using Backend.Data;
+using Backend.Services;
+using Backend.Models;
+using Backend.DTOs;
+
+namespace Backend.Tests.Services;
+
+[TestFixture]
+public class CommentServiceTests
+{
+    private TaskDbContext _context = null!;
+    private CommentService _commentService = null!;
+
+    [SetUp]
+    public void Setup()
+    {
+        var options = new DbContextOptionsBuilder<TaskDbContext>()
+            .UseInMemoryDatabase(databaseName: Guid.NewGuid().ToString())
+            .Options;
+
+        _context = new TaskDbContext(options);
+        _commentService = new CommentService(_context);
+
+        _context.Columns.Add(new TaskColumn { Id = 1, Name = "To Do", SortOrder = 1 });
+        _context.Tasks.Add(new TaskItem { Id = 1, Name = "Write docs", ColumnId = 1, SortOrder = 1 });
+        _context.Users.AddRange(
+            new User { Id = 1, Email = "ana@example.com", DisplayName = "Ana", PasswordHash = "hash" },
+            new User { Id = 2, Email = "ben@example.com", DisplayName = "Ben", PasswordHash = "hash" });
+        _context.SaveChanges();
+    }
+
+    [TearDown]
+    public void TearDown()
+    {
+        _context.Dispose();
+    }
+
+    [Test]
+    public async Task AddCommentAsync_ShouldAppendToTheThread()
+    {
+        // Act
+        await _commentService.AddCommentAsync(1, new CreateCommentRequest { Body = "First" }, 1);
+        await _commentService.AddCommentAsync(1, new CreateCommentRequest { Body = "**Second**" }, 2);
+        var comments = await _commentService.GetCommentsAsync(1);
+
+        // Assert
+        Assert.That(comments!.Select(c => c.Body), Is.EqualTo(new[] { "First", "**Second**" }));
+        Assert.That(comments[0].AuthorName, Is.EqualTo("Ana"));
+        Assert.That(comments[0].AuthorUserId, Is.EqualTo(1));
+        Assert.That(comments[1].AuthorName, Is.EqualTo("Ben"));
+        Assert.That(comments[0].EditedAt, Is.Null);
+    }
+
+    [Test]
+    public async Task AddCommentAsync_WithUnknownTask_ShouldReturnNull()
+    {
+        // Act
+        var result = await _commentService.AddCommentAsync(99, new CreateCommentRequest { Body = "Hi" }, 1);
+
+        // Assert
+        Assert.That(result, Is.Null);
+        Assert.That(await _commentService.GetCommentsAsync(99), Is.Null);
+    }
+
+    [Test]
+    public void AddCommentAsync_WithBlankBody_ShouldThrow()
+    {
+        // Act & Assert
+        Assert.ThrowsAsync<ArgumentException>(() =>
+            _commentService.AddCommentAsync(1, new CreateCommentRequest { Body = "   " }, 1));
+    }
+
+    [Test]
+    public async Task UpdateCommentAsync_ByAuthor_ShouldEditAndMarkEdited()
+    {
+        // Arrange
+        var comment = await _commentService.AddCommentAsync(1, new CreateCommentRequest { Body = "Typo" }, 1);
+
+        // Act
+        var updated = await _commentService.UpdateCommentAsync(comment!.Id, new UpdateCommentRequest { Body = "Fixed" }, 1);
+
+        // Assert
+        Assert.That(updated!.Body, Is.EqualTo("Fixed"));
+        Assert.That(updated.EditedAt, Is.Not.Null);
+    }
+
+    [Test]
+    public async Task UpdateAndDeleteCommentAsync_BySomeoneElse_ShouldThrowAndKeepTheComment()
+    {
+        // Arrange
+        var comment = await _commentService.AddCommentAsync(1, new CreateCommentRequest { Body = "Mine" }, 1);
+
+        // Act & Assert
+        Assert.ThrowsAsync<UnauthorizedAccessException>(() =>
+            _commentService.UpdateCommentAsync(comment!.Id, new UpdateCommentRequest { Body = "Theirs" }, 2));
+        Assert.ThrowsAsync<UnauthorizedAccessException>(() =>
+            _commentService.DeleteCommentAsync(comment!.Id, 2));
+        Assert.That((await _context.Comments.SingleAsync()).Body, Is.EqualTo("Mine"));
+    }
+
+    [Test]
+    public async Task DeleteCommentAsync_ByAuthor_ShouldRemoveTheComment()
+    {
+        // Arrange
+        var comment = await _commentService.AddCommentAsync(1, new CreateCommentRequest { Body = "Mine" }, 1);
+
+        // Act
+        var deleted = await _commentService.DeleteCommentAsync(comment!.Id, 1);
+
+        // Assert
+        Assert.That(deleted!.TaskId, Is.EqualTo(1));
+        Assert.That(await _context.Comments.CountAsync(), Is.EqualTo(0));
+    }
+}
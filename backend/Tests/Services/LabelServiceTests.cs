@@ -0,0 +1,83 @@
+using NUnit.Framework;
+using Microsoft.EntityFrameworkCore;
+using Backend.Data;
+using Backend.Services;
+using Backend.Models;
+using Backend.DTOs;
+
+namespace Backend.Tests.Services;
+
+[TestFixture]
+public class LabelServiceTests
+{
+    private TaskDbContext _context;
+    private LabelService _labelService;
+
+    [SetUp]
+    public void Setup()
+    {
+        var options = new DbContextOptionsBuilder<TaskDbContext>()
+            .UseInMemoryDatabase(databaseName: Guid.NewGuid().ToString())
+            .Options;
+
+        _context = new TaskDbContext(options);
+        _labelService = new LabelService(_context);
+
+        _context.Columns.Add(new TaskColumn { Id = 1, Name = "To Do", SortOrder = 1 });
+        _context.SaveChanges();
+    }
+
+    [TearDown]
+    public void TearDown()
+    {
+        _context.Dispose();
+    }
+
+    [Test]
+    public async Task CreateLabelAsync_ShouldTrimNameAndListLabelsByName()
+    {
+        // Act
+        await _labelService.CreateLabelAsync(new SaveLabelRequest { Name = " UI ", Color = "#1971C2" });
+        await _labelService.CreateLabelAsync(new SaveLabelRequest { Name = "Bug", Color = "#e03131" });
+        var labels = await _labelService.GetLabelsAsync();
+
+        // Assert
+        Assert.That(labels.Select(l => l.Name), Is.EqualTo(new[] { "Bug", "UI" }));
+        Assert.That(labels[1].Color, Is.EqualTo("#1971c2"));
+    }
+
+    [Test]
+    public async Task CreateAndUpdateLabel_WithTakenName_ShouldThrow()
+    {
+        // Arrange
+        await _labelService.CreateLabelAsync(new SaveLabelRequest { Name = "Bug", Color = "#e03131" });
+        var ui = await _labelService.CreateLabelAsync(new SaveLabelRequest { Name = "UI", Color = "#1971c2" });
+
+        // Act & Assert - Keeping a label's own name is fine
+        Assert.ThrowsAsync<ArgumentException>(() =>
+            _labelService.CreateLabelAsync(new SaveLabelRequest { Name = "bug", Color = "#000000" }));
+        Assert.ThrowsAsync<ArgumentException>(() =>
+            _labelService.UpdateLabelAsync(ui.Id, new SaveLabelRequest { Name = "BUG", Color = "#1971c2" }));
+        var recolored = await _labelService.UpdateLabelAsync(ui.Id, new SaveLabelRequest { Name = "UI", Color = "#f08c00" });
+        Assert.That(recolored!.Color, Is.EqualTo("#f08c00"));
+    }
+
+    [Test]
+    public async Task DeleteLabelAsync_ShouldRemoveLabelFromTasks()
+    {
+        // Arrange
+        var label = new TaskLabel { Name = "Bug", Color = "#e03131" };
+        var task = new TaskItem { Name = "Fix login", ColumnId = 1, Labels = { label } };
+        _context.Tasks.Add(task);
+        await _context.SaveChangesAsync();
+
+        // Act
+        var deleted = await _labelService.DeleteLabelAsync(label.Id);
+
+        // Assert
+        Assert.That(deleted, Is.True);
+        var reloaded = await _context.Tasks.Include(t => t.Labels).SingleAsync();
+        Assert.That(reloaded.Labels, Is.Empty);
+        Assert.That(await _labelService.DeleteLabelAsync(label.Id), Is.False);
+    }
+}
@@ -0,0 +1,64 @@
+using NUnit.Framework;
+using Microsoft.EntityFrameworkCore;
+using Backend.Data;
+using Backend.Services;
+using Backend.Models;
+using Backend.DTOs;
+
+namespace Backend.Tests.Services;
+
+[TestFixture]
+public class MemberServiceTests
+{
+    private TaskDbContext _context;
+    private MemberService _memberService;
+
+    [SetUp]
+    public void Setup()
+    {
+        var options = new DbContextOptionsBuilder<TaskDbContext>()
+            .UseInMemoryDatabase(databaseName: Guid.NewGuid().ToString())
+            .Options;
+
+        _context = new TaskDbContext(options);
+        _memberService = new MemberService(_context);
+
+        _context.Columns.Add(new TaskColumn { Id = 1, Name = "To Do", SortOrder = 1 });
+        _context.SaveChanges();
+    }
+
+    [TearDown]
+    public void TearDown()
+    {
+        _context.Dispose();
+    }
+
+    [Test]
+    public async Task CreateMemberAsync_WithTakenName_ShouldThrow()
+    {
+        // Arrange
+        await _memberService.CreateMemberAsync(new SaveMemberRequest { Name = "Ana", Color = "#2f9e44" });
+
+        // Act & Assert
+        Assert.ThrowsAsync<ArgumentException>(() =>
+            _memberService.CreateMemberAsync(new SaveMemberRequest { Name = " ana ", Color = "#1971c2" }));
+        Assert.That(await _memberService.GetMembersAsync(), Has.Count.EqualTo(1));
+    }
+
+    [Test]
+    public async Task DeleteMemberAsync_ShouldUnassignTheirTasks()
+    {
+        // Arrange
+        var member = new BoardMember { Name = "Ana", Color = "#2f9e44" };
+        _context.Tasks.Add(new TaskItem { Name = "Fix login", ColumnId = 1, Assignees = { member } });
+        await _context.SaveChangesAsync();
+
+        // Act
+        var deleted = await _memberService.DeleteMemberAsync(member.Id);
+
+        // Assert
+        Assert.That(deleted, Is.True);
+        var task = await _context.Tasks.Include(t => t.Assignees).SingleAsync();
+        Assert.That(task.Assignees, Is.Empty);
+    }
+}
@@ -0,0 +1,168 @@
+using NUnit.Framework;
+using Microsoft.EntityFrameworkCore;
+using Backend.Data;
+using Backend.Services;
+using Backend.Models;
+using Backend.DTOs;
+
+namespace Backend.Tests.Services;
+
+[TestFixture]
+public class RecurringTaskServiceTests
+{
+    // A Wednesday
+    private static readonly DateTime Today = new(2026, 10, 14, 0, 0, 0, DateTimeKind.Utc);
+
+    private TaskDbContext _context = null!;
+    private RecurringTaskService _recurringTaskService = null!;
+
+    [SetUp]
+    public void Setup()
+    {
+        var options = new DbContextOptionsBuilder<TaskDbContext>()
+            .UseInMemoryDatabase(databaseName: Guid.NewGuid().ToString())
+            .Options;
+
+        _context = new TaskDbContext(options);
+        _recurringTaskService = new RecurringTaskService(_context);
+
+        SeedTestData();
+    }
+
+    [TearDown]
+    public void TearDown()
+    {
+        _context.Dispose();
+    }
+
+    private void SeedTestData()
+    {
+        _context.Columns.AddRange(
+            new TaskColumn { Id = 1, BoardId = 1, Name = "To Do", SortOrder = 1 },
+            new TaskColumn { Id = 2, BoardId = 1, Name = "In Progress", SortOrder = 2 },
+            new TaskColumn { Id = 3, BoardId = 1, Name = "Finished", SortOrder = 3 });
+        var label = new TaskLabel { Id = 1, BoardId = 1, Name = "Ops", Color = "#123456" };
+        _context.Labels.Add(label);
+
+        _context.Tasks.AddRange(
+            new TaskItem { Id = 1, Name = "Existing", ColumnId = 1, SortOrder = 4 },
+            new TaskItem
+            {
+                Id = 2,
+                Name = "Backups",
+                Description = "Check last night's backups",
+                ColumnId = 3,
+                SortOrder = 1,
+                Priority = TaskPriority.High,
+                Deadline = Today,
+                Recurrence = RecurrenceFrequency.Weekly,
+                RecurrencePending = true,
+                // Mondays and Fridays
+                RecurrenceWeekdays = (1 << 1) | (1 << 5),
+                Labels = new List<TaskLabel> { label },
+                ChecklistItems = new List<ChecklistItem>
+                {
+                    new() { Text = "Database", IsDone = true, SortOrder = 1 },
+                    new() { Text = "Uploads", IsDone = true, SortOrder = 2 }
+                }
+            },
+            new TaskItem { Id = 3, Name = "Not done yet", ColumnId = 2, SortOrder = 1, Recurrence = RecurrenceFrequency.Daily },
+            // Created in the last column rather than moved there
+            new TaskItem { Id = 4, Name = "Made in place", ColumnId = 3, SortOrder = 2, Recurrence = RecurrenceFrequency.Daily });
+        _context.SaveChanges();
+    }
+
+    [Test]
+    public async Task CreateNextOccurrencesAsync_ShouldFollowTasksMovedIntoLastColumn()
+    {
+        // Act
+        var occurrences = await _recurringTaskService.CreateNextOccurrencesAsync(Today);
+
+        // Assert - Only the finished task recurs, into the first column
+        var occurrence = occurrences.Single();
+        Assert.That(occurrence.BoardId, Is.EqualTo(1));
+        Assert.That(occurrence.Finished.Id, Is.EqualTo(2));
+        Assert.That(occurrence.Finished.Recurrence, Is.Null);
+
+        var next = occurrence.Next;
+        Assert.That(next.Name, Is.EqualTo("Backups"));
+        Assert.That(next.Description, Is.EqualTo("Check last night's backups"));
+        Assert.That(next.Priority, Is.EqualTo(TaskPriority.High));
+        Assert.That(next.ColumnId, Is.EqualTo(1));
+        Assert.That(next.SortOrder, Is.EqualTo(5));
+        Assert.That(next.Deadline, Is.EqualTo(new DateTime(2026, 10, 16)));
+        Assert.That(next.LabelIds, Is.EqualTo(new[] { 1 }));
+        Assert.That(next.Recurrence!.Weekdays, Is.EqualTo(new[] { 1, 5 }));
+        Assert.That(next.ChecklistItems.Select(i => i.Text), Is.EqualTo(new[] { "Database", "Uploads" }));
+        Assert.That(next.ChecklistItems.All(i => !i.IsDone), Is.True);
+
+        Assert.That((await _context.Tasks.FindAsync(3))!.Recurrence, Is.EqualTo(RecurrenceFrequency.Daily));
+        Assert.That((await _context.Tasks.FindAsync(4))!.Recurrence, Is.EqualTo(RecurrenceFrequency.Daily));
+    }
+
+    [Test]
+    public async Task CreateNextOccurrencesAsync_ShouldFollowEachTaskOnce()
+    {
+        // Arrange
+        await _recurringTaskService.CreateNextOccurrencesAsync(Today);
+
+        // Act
+        var again = await _recurringTaskService.CreateNextOccurrencesAsync(Today);
+
+        // Assert
+        Assert.That(again, Is.Empty);
+        Assert.That(await _context.Tasks.CountAsync(t => t.Name == "Backups"), Is.EqualTo(2));
+    }
+
+    [Test]
+    public void NextDeadline_ShouldFollowTheSchedule()
+    {
+        var overdue = new DateTime(2026, 10, 1);
+        var ahead = new DateTime(2026, 10, 20);
+
+        // Daily from today when late, or from the deadline when early
+        Assert.That(RecurrenceSchedule.NextDeadline(RecurrenceFrequency.Daily, 0, 0, overdue, Today), Is.EqualTo(new DateTime(2026, 10, 15)));
+        Assert.That(RecurrenceSchedule.NextDeadline(RecurrenceFrequency.Daily, 0, 0, ahead, Today), Is.EqualTo(new DateTime(2026, 10, 21)));
+
+        // Weekly on Wednesdays only comes back a week later
+        Assert.That(RecurrenceSchedule.NextDeadline(RecurrenceFrequency.Weekly, 1 << 3, 0, null, Today), Is.EqualTo(new DateTime(2026, 10, 21)));
+
+        // Monthly keeps the day of the month, on the last day of short months
+        Assert.That(RecurrenceSchedule.NextDeadline(RecurrenceFrequency.Monthly, 0, 0, overdue, Today), Is.EqualTo(new DateTime(2026, 11, 1)));
+        Assert.That(RecurrenceSchedule.NextDeadline(RecurrenceFrequency.Monthly, 0, 0, new DateTime(2027, 1, 31), new DateTime(2027, 1, 31)), Is.EqualTo(new DateTime(2027, 2, 28)));
+        Assert.That(RecurrenceSchedule.NextDeadline(RecurrenceFrequency.Monthly, 0, 31, new DateTime(2027, 2, 28), new DateTime(2027, 2, 28)), Is.EqualTo(new DateTime(2027, 3, 31)));
+    }
+
+    [Test]
+    public async Task CreateNextOccurrencesAsync_Monthly_ShouldComeBackToItsDayAfterAShortMonth()
+    {
+        // Arrange
+        var taskService = new TaskService(_context);
+        var january = await taskService.CreateTaskAsync(new CreateTaskRequest
+        {
+            Name = "Pay rent",
+            ColumnId = 1,
+            Deadline = new DateTime(2027, 1, 31),
+            Recurrence = new RecurrenceRule { Frequency = RecurrenceFrequency.Monthly }
+        });
+
+        // Act - Finish January's, then February's after an edit that keeps its deadline
+        await taskService.MoveTaskAsync(january.Id, new MoveTaskRequest { ColumnId = 3, SortOrder = 1 });
+        var february = (await _recurringTaskService.CreateNextOccurrencesAsync(new DateTime(2027, 1, 31)))
+            .Single(o => o.Finished.Id == january.Id).Next;
+        await taskService.UpdateTaskAsync(february.Id, new UpdateTaskRequest
+        {
+            Name = "Pay the rent",
+            ColumnId = february.ColumnId,
+            Deadline = february.Deadline,
+            Recurrence = new RecurrenceRule { Frequency = RecurrenceFrequency.Monthly }
+        });
+        await taskService.MoveTaskAsync(february.Id, new MoveTaskRequest { ColumnId = 3, SortOrder = 1 });
+        var march = (await _recurringTaskService.CreateNextOccurrencesAsync(new DateTime(2027, 2, 28)))
+            .Single(o => o.Finished.Id == february.Id).Next;
+
+        // Assert
+        Assert.That(february.Deadline, Is.EqualTo(new DateTime(2027, 2, 28)));
+        Assert.That(march.Deadline, Is.EqualTo(new DateTime(2027, 3, 31)));
+    }
+}
@@ -12,12 +12,14 @@ public class TaskServiceTests
 {
     private TaskDbContext _context;
     private TaskService _taskService;
+    private string _databaseName;
 
     [SetUp]
     public void Setup()
     {
+        _databaseName = Guid.NewGuid().ToString();
         var options = new DbContextOptionsBuilder<TaskDbContext>()
-            .UseInMemoryDatabase(databaseName: Guid.NewGuid().ToString())
+            .UseInMemoryDatabase(databaseName: _databaseName)
             .Options;
 
         _context = new TaskDbContext(options);
@@ -159,8 +161,56 @@ public class TaskServiceTests
         // Assert
         Assert.That(result, Is.True);
         
-        var taskInDb = await _context.Tasks.FindAsync(1);
+        var taskInDb = await _context.Tasks.FirstOrDefaultAsync(t => t.Id == 1);
         Assert.That(taskInDb, Is.Null);
+
+        // Kept as a soft-deleted row so it can be restored
+        var deletedTask = await _context.Tasks.IgnoreQueryFilters().FirstAsync(t => t.Id == 1);
+        Assert.That(deletedTask.DeletedAt, Is.Not.Null);
+    }
+
+    [Test]
+    public async Task RestoreTaskAsync_AfterDelete_ShouldBringTaskBack()
+    {
+        // Arrange
+        await _taskService.DeleteTaskAsync(1);
+
+        // Act
+        var result = await _taskService.RestoreTaskAsync(1);
+
+        // Assert
+        Assert.That(result, Is.Not.Null);
+        Assert.That(result.Id, Is.EqualTo(1));
+        Assert.That(result.ColumnName, Is.EqualTo("To Do"));
+
+        var tasks = await _taskService.GetTasksByColumnAsync(1);
+        Assert.That(tasks.Any(t => t.Id == 1), Is.True);
+    }
+
+    [Test]
+    public async Task RestoreTaskAsync_WithInvalidId_ShouldReturnNull()
+    {
+        // Act
+        var result = await _taskService.RestoreTaskAsync(999);
+
+        // Assert
+        Assert.That(result, Is.Null);
+    }
+
+    [Test]
+    public async Task RestoreTaskAsync_WhenColumnWasDeleted_ShouldThrowException()
+    {
+        // Arrange
+        await _taskService.DeleteTaskAsync(1);
+        var column = await _context.Columns.FirstAsync(c => c.Id == 1);
+        column.DeletedAt = DateTime.UtcNow;
+        await _context.SaveChangesAsync();
+
+        // Act & Assert
+        var ex = Assert.ThrowsAsync<InvalidOperationException>(
+            async () => await _taskService.RestoreTaskAsync(1));
+
+        Assert.That(ex.Message, Does.Contain("column was deleted"));
     }
 
     [Test]
@@ -192,6 +242,108 @@ public class TaskServiceTests
         Assert.That(result.SortOrder, Is.EqualTo(1));
     }
 
+    [Test]
+    public void CreateUpdateAndMoveTask_ToAnUnknownColumn_ShouldThrow()
+    {
+        // Act & Assert
+        Assert.ThrowsAsync<ArgumentException>(() => _taskService.CreateTaskAsync(new CreateTaskRequest { Name = "Lost", ColumnId = 99 }));
+        Assert.ThrowsAsync<ArgumentException>(() => _taskService.UpdateTaskAsync(1, new UpdateTaskRequest { Name = "Test Task 1", ColumnId = 99 }));
+        Assert.ThrowsAsync<ArgumentException>(() => _taskService.MoveTaskAsync(1, new MoveTaskRequest { ColumnId = 99, SortOrder = 1 }));
+        Assert.That(_context.Tasks.AsNoTracking().Single(t => t.Id == 1).ColumnId, Is.EqualTo(1));
+    }
+
+    [Test]
+    public async Task CreateUpdateAndMoveTask_ToAColumnOfAnotherBoard_ShouldThrow()
+    {
+        // Arrange - the seeded columns belong to board 0; work on board 7
+        _context.Columns.Add(new TaskColumn { Id = 10, Name = "Mine", SortOrder = 1, BoardId = 7 });
+        _context.Tasks.Add(new TaskItem { Id = 10, Name = "Mine", ColumnId = 10, SortOrder = 1, CreatedAt = DateTime.UtcNow, UpdatedAt = DateTime.UtcNow });
+        await _context.SaveChangesAsync();
+        var currentBoard = new CurrentBoard();
+        currentBoard.Set(7, BoardRole.Editor);
+        var options = new DbContextOptionsBuilder<TaskDbContext>()
+            .UseInMemoryDatabase(_databaseName)
+            .Options;
+        using var scopedContext = new TaskDbContext(options, currentBoard);
+        var service = new TaskService(scopedContext);
+
+        // Act & Assert
+        Assert.ThrowsAsync<ArgumentException>(() => service.CreateTaskAsync(new CreateTaskRequest { Name = "Planted", ColumnId = 1 }));
+        Assert.ThrowsAsync<ArgumentException>(() => service.UpdateTaskAsync(10, new UpdateTaskRequest { Name = "Mine", ColumnId = 1 }));
+        Assert.ThrowsAsync<ArgumentException>(() => service.MoveTaskAsync(10, new MoveTaskRequest { ColumnId = 1, SortOrder = 1 }));
+        Assert.That(_context.Tasks.AsNoTracking().Count(t => t.ColumnId == 1), Is.EqualTo(2));
+        Assert.That(_context.Tasks.AsNoTracking().Single(t => t.Id == 10).ColumnId, Is.EqualTo(10));
+    }
+
+    [Test]
+    public async Task MoveTasksAsync_ShouldMoveTasksTogetherInRequestedOrder()
+    {
+        // Arrange
+        var request = new BatchMoveTasksRequest { TaskIds = new List<int> { 2, 1 }, ColumnId = 3 };
+
+        // Act
+        var result = await _taskService.MoveTasksAsync(request);
+
+        // Assert
+        Assert.That(result.Select(t => t.Id), Is.EqualTo(new[] { 2, 1 }));
+        Assert.That(result.Select(t => t.SortOrder), Is.EqualTo(new[] { 1, 2 }));
+        Assert.That(result.All(t => t.ColumnName == "Done"), Is.True);
+
+        var remaining = await _taskService.GetTasksByColumnAsync(1);
+        Assert.That(remaining, Is.Empty);
+    }
+
+    [Test]
+    public async Task UpdateTasksAsync_ShouldApplyOnlyRequestedChanges()
+    {
+        // Arrange
+        var request = new BatchUpdateTasksRequest
+        {
+            TaskIds = new List<int> { 1, 2 },
+            SetDeadline = true,
+            Deadline = new DateTime(2025, 3, 14)
+        };
+
+        // Act
+        var result = await _taskService.UpdateTasksAsync(request);
+
+        // Assert
+        Assert.That(result.All(t => t.Deadline == new DateTime(2025, 3, 14, 0, 0, 0, DateTimeKind.Utc)), Is.True);
+        Assert.That(result.Single(t => t.Id == 2).IsFavorite, Is.True, "Favorite state should be left alone");
+    }
+
+    [Test]
+    public async Task UpdateTasksAsync_WithUnknownTask_ShouldChangeNothing()
+    {
+        // Arrange
+        var request = new BatchUpdateTasksRequest { TaskIds = new List<int> { 1, 999 }, IsFavorite = true };
+
+        // Act & Assert
+        var ex = Assert.ThrowsAsync<ArgumentException>(
+            async () => await _taskService.UpdateTasksAsync(request));
+
+        Assert.That(ex.Message, Does.Contain("999"));
+        var task = await _taskService.GetTaskByIdAsync(1);
+        Assert.That(task.IsFavorite, Is.False);
+    }
+
+    [Test]
+    public async Task DeleteTasksAsync_ThenRestoreTasksAsync_ShouldRoundTrip()
+    {
+        // Arrange
+        var request = new BatchTaskRequest { TaskIds = new List<int> { 1, 2 } };
+
+        // Act
+        await _taskService.DeleteTasksAsync(request);
+        var afterDelete = await _taskService.GetAllTasksAsync();
+        var restored = await _taskService.RestoreTasksAsync(request);
+
+        // Assert
+        Assert.That(afterDelete, Is.Empty);
+        Assert.That(restored.Select(t => t.Id), Is.EqualTo(new[] { 1, 2 }));
+        Assert.That((await _taskService.GetAllTasksAsync()).Count(), Is.EqualTo(2));
+    }
+
     [Test]
     public async Task GetTasksByColumnAsync_ShouldReturnTasksForColumn()
     {
@@ -287,6 +439,25 @@ public class TaskServiceTests
         Assert.That(result.Deadline.Value.Date, Is.EqualTo(deadline.Date));
     }
 
+    [Test]
+    public async Task CreateTaskAsync_WithDeadline_ShouldStoreDateAtMidnightUtc()
+    {
+        // Arrange
+        var request = new CreateTaskRequest
+        {
+            Name = "Task with Deadline",
+            Deadline = new DateTime(2025, 3, 12, 18, 30, 0, DateTimeKind.Unspecified),
+            ColumnId = 1
+        };
+
+        // Act
+        var result = await _taskService.CreateTaskAsync(request);
+
+        // Assert
+        Assert.That(result.Deadline, Is.EqualTo(new DateTime(2025, 3, 12, 0, 0, 0, DateTimeKind.Utc)));
+        Assert.That(result.Deadline!.Value.Kind, Is.EqualTo(DateTimeKind.Utc));
+    }
+
     [Test]
     public async Task UpdateTaskAsync_MarkingAsFavorite_ShouldUpdateFavoriteStatus()
     {
@@ -347,4 +518,350 @@ public class TaskServiceTests
         // Should have 3 tasks now (2 existing + 1 moved)
         Assert.That(tasksList.Count, Is.EqualTo(3));
     }
+
+    [Test]
+    public async Task MoveTaskAsync_BetweenExistingTasks_ShouldPlaceTaskAtPosition()
+    {
+        // Arrange
+        var first = await _taskService.CreateTaskAsync(new CreateTaskRequest { Name = "Zulu", ColumnId = 2 });
+        var second = await _taskService.CreateTaskAsync(new CreateTaskRequest { Name = "Alpha", ColumnId = 2 });
+
+        // Act - Drop between the two existing tasks
+        await _taskService.MoveTaskAsync(1, new MoveTaskRequest { ColumnId = 2, SortOrder = 2 });
+
+        // Assert - Order follows position, not name
+        var tasks = (await _taskService.GetTasksByColumnAsync(2)).ToList();
+        Assert.That(tasks.Select(t => t.Id), Is.EqualTo(new[] { first.Id, 1, second.Id }));
+        Assert.That(tasks.Select(t => t.SortOrder), Is.EqualTo(new[] { 1, 2, 3 }));
+    }
+
+    [Test]
+    public async Task MoveTaskAsync_WithinSameColumn_ShouldReorderTasks()
+    {
+        // Arrange
+        var third = await _taskService.CreateTaskAsync(new CreateTaskRequest { Name = "Third", ColumnId = 1 });
+
+        // Act - Move the last non-favorite task above "Test Task 1"
+        await _taskService.MoveTaskAsync(third.Id, new MoveTaskRequest { ColumnId = 1, SortOrder = 2 });
+
+        // Assert - Favorite stays pinned to the top
+        var tasks = (await _taskService.GetTasksByColumnAsync(1)).ToList();
+        Assert.That(tasks.Select(t => t.Id), Is.EqualTo(new[] { 2, third.Id, 1 }));
+    }
+
+    [Test]
+    public async Task MoveTaskAsync_BetweenColumns_ShouldCompactSourceColumn()
+    {
+        // Arrange
+        var extra = await _taskService.CreateTaskAsync(new CreateTaskRequest { Name = "Extra", ColumnId = 1 });
+
+        // Act
+        await _taskService.MoveTaskAsync(1, new MoveTaskRequest { ColumnId = 2, SortOrder = 1 });
+
+        // Assert
+        var tasks = (await _taskService.GetTasksByColumnAsync(1)).ToList();
+        Assert.That(tasks.Select(t => t.Id), Is.EqualTo(new[] { 2, extra.Id }));
+        Assert.That(tasks.Select(t => t.SortOrder), Is.EqualTo(new[] { 1, 2 }));
+    }
+
+    [Test]
+    public async Task GetTaskActivityAsync_ShouldStartWithCreationAndRecordChanges()
+    {
+        // Arrange
+        await _taskService.UpdateTaskAsync(1, new UpdateTaskRequest
+        {
+            Name = "Renamed",
+            Description = "Description 1",
+            Deadline = new DateTime(2025, 3, 12),
+            IsFavorite = true,
+            ColumnId = 1
+        });
+        await _taskService.MoveTaskAsync(1, new MoveTaskRequest { ColumnId = 3, SortOrder = 1 });
+        await _taskService.MoveTaskAsync(1, new MoveTaskRequest { ColumnId = 3, SortOrder = 1 });
+
+        // Act
+        var activity = await _taskService.GetTaskActivityAsync(1);
+
+        // Assert - Reordering within a column isn't a move
+        Assert.That(activity!.Select(a => a.Type), Is.EqualTo(new[]
+        {
+            TaskActivityTypes.Created, TaskActivityTypes.Edited, TaskActivityTypes.Edited,
+            TaskActivityTypes.Favorited, TaskActivityTypes.Moved
+        }));
+        Assert.That(activity[1].Field, Is.EqualTo("name"));
+        Assert.That(activity[1].OldValue, Is.EqualTo("Test Task 1"));
+        Assert.That(activity[1].NewValue, Is.EqualTo("Renamed"));
+        Assert.That(activity[2].NewValue, Is.EqualTo("2025-03-12"));
+        Assert.That(activity[4].OldValue, Is.EqualTo("To Do"));
+        Assert.That(activity[4].NewValue, Is.EqualTo("Done"));
+    }
+
+    [Test]
+    public async Task GetTaskActivityAsync_WithUnknownTask_ShouldReturnNull()
+    {
+        // Act
+        var activity = await _taskService.GetTaskActivityAsync(999);
+
+        // Assert
+        Assert.That(activity, Is.Null);
+    }
+
+    [Test]
+    public async Task ChecklistItems_ShouldBeAddedCheckedAndDeletedInOrder()
+    {
+        // Arrange
+        var updatedAt = (await _taskService.GetTaskByIdAsync(1))!.UpdatedAt;
+        await _taskService.AddChecklistItemAsync(1, new CreateChecklistItemRequest { Text = " Write tests " });
+        var task = await _taskService.AddChecklistItemAsync(1, new CreateChecklistItemRequest { Text = "Ship it" });
+        var first = task!.ChecklistItems[0];
+
+        // Act
+        await _taskService.UpdateChecklistItemAsync(1, first.Id, new UpdateChecklistItemRequest { Text = first.Text, IsDone = true });
+        await _taskService.AddChecklistItemAsync(1, new CreateChecklistItemRequest { Text = "Celebrate" });
+        task = await _taskService.DeleteChecklistItemAsync(1, task.ChecklistItems[1].Id);
+
+        // Assert
+        Assert.That(task!.ChecklistItems.Select(i => i.Text), Is.EqualTo(new[] { "Write tests", "Celebrate" }));
+        Assert.That(task.ChecklistItems.Select(i => i.IsDone), Is.EqualTo(new[] { true, false }));
+        Assert.That(task.UpdatedAt, Is.EqualTo(updatedAt));
+
+        var board = (await _taskService.GetAllTasksAsync()).First(t => t.Id == 1);
+        Assert.That(board.ChecklistItems, Has.Count.EqualTo(2));
+    }
+
+    [Test]
+    public async Task ReorderChecklistAsync_ShouldRequireEveryItemOnce()
+    {
+        // Arrange
+        await _taskService.AddChecklistItemAsync(1, new CreateChecklistItemRequest { Text = "A" });
+        var task = await _taskService.AddChecklistItemAsync(1, new CreateChecklistItemRequest { Text = "B" });
+        var ids = task!.ChecklistItems.Select(i => i.Id).ToList();
+
+        // Act
+        var reordered = await _taskService.ReorderChecklistAsync(1, new ReorderChecklistRequest { ItemIds = new List<int> { ids[1], ids[0] } });
+
+        // Assert
+        Assert.That(reordered!.ChecklistItems.Select(i => i.Text), Is.EqualTo(new[] { "B", "A" }));
+        Assert.ThrowsAsync<ArgumentException>(() =>
+            _taskService.ReorderChecklistAsync(1, new ReorderChecklistRequest { ItemIds = new List<int> { ids[0], ids[0] } }));
+    }
+
+    [Test]
+    public async Task ChecklistItems_OnAnotherTaskOrBlank_ShouldBeRejected()
+    {
+        // Arrange
+        var task = await _taskService.AddChecklistItemAsync(1, new CreateChecklistItemRequest { Text = "A" });
+        var itemId = task!.ChecklistItems[0].Id;
+
+        // Act
+        var wrongTask = await _taskService.UpdateChecklistItemAsync(2, itemId, new UpdateChecklistItemRequest { Text = "A", IsDone = true });
+        var unknownTask = await _taskService.AddChecklistItemAsync(999, new CreateChecklistItemRequest { Text = "A" });
+
+        // Assert
+        Assert.That(wrongTask, Is.Null);
+        Assert.That(unknownTask, Is.Null);
+        Assert.ThrowsAsync<ArgumentException>(() =>
+            _taskService.AddChecklistItemAsync(1, new CreateChecklistItemRequest { Text = "   " }));
+    }
+
+    [Test]
+    public async Task CreateAndUpdateTask_ShouldSetPriorityLabelsAndAssignees()
+    {
+        // Arrange
+        _context.Labels.AddRange(new TaskLabel { Id = 1, Name = "Bug", Color = "#e03131" }, new TaskLabel { Id = 2, Name = "UI", Color = "#1971c2" });
+        _context.Members.Add(new BoardMember { Id = 1, Name = "Ana", Color = "#2f9e44" });
+        await _context.SaveChangesAsync();
+
+        // Act
+        var created = await _taskService.CreateTaskAsync(new CreateTaskRequest
+        {
+            Name = "Tagged",
+            ColumnId = 1,
+            Priority = TaskPriority.High,
+            LabelIds = new List<int> { 2, 1 },
+            AssigneeIds = new List<int> { 1 }
+        });
+        var unchanged = await _taskService.UpdateTaskAsync(created.Id, new UpdateTaskRequest { Name = "Tagged", ColumnId = 1 });
+        var updated = await _taskService.UpdateTaskAsync(created.Id, new UpdateTaskRequest
+        {
+            Name = "Tagged",
+            ColumnId = 1,
+            Priority = TaskPriority.Urgent,
+            LabelIds = new List<int> { 1 },
+            AssigneeIds = new List<int>()
+        });
+        var activity = await _taskService.GetTaskActivityAsync(created.Id);
+
+        // Assert - Lists left out of an update stay as they were
+        Assert.That(created.Priority, Is.EqualTo(TaskPriority.High));
+        Assert.That(created.LabelIds, Is.EqualTo(new[] { 1, 2 }));
+        Assert.That(unchanged!.LabelIds, Is.EqualTo(new[] { 1, 2 }));
+        Assert.That(unchanged.AssigneeIds, Is.EqualTo(new[] { 1 }));
+        Assert.That(updated!.Priority, Is.EqualTo(TaskPriority.Urgent));
+        Assert.That(updated.LabelIds, Is.EqualTo(new[] { 1 }));
+        Assert.That(updated.AssigneeIds, Is.Empty);
+        var priorityChange = activity!.Single(a => a.Field == "priority");
+        Assert.That(priorityChange.OldValue, Is.EqualTo("high"));
+        Assert.That(priorityChange.NewValue, Is.EqualTo("urgent"));
+    }
+
+    [Test]
+    public void CreateTaskAsync_WithUnknownLabel_ShouldThrow()
+    {
+        // Act & Assert
+        Assert.ThrowsAsync<ArgumentException>(() => _taskService.CreateTaskAsync(new CreateTaskRequest
+        {
+            Name = "Tagged",
+            ColumnId = 1,
+            LabelIds = new List<int> { 99 }
+        }));
+    }
+
+    [Test]
+    public async Task CreateAndUpdateTaskAsync_ShouldSetAndStopRecurrence()
+    {
+        // Act
+        var created = await _taskService.CreateTaskAsync(new CreateTaskRequest
+        {
+            Name = "Standup notes",
+            ColumnId = 1,
+            Recurrence = new RecurrenceRule { Frequency = RecurrenceFrequency.Weekly, Weekdays = new List<int> { 5, 1, 1 } }
+        });
+        var unchanged = await _taskService.UpdateTaskAsync(created.Id, new UpdateTaskRequest { Name = "Standup", ColumnId = 1 });
+        var stopped = await _taskService.UpdateTaskAsync(created.Id, new UpdateTaskRequest
+        {
+            Name = "Standup",
+            ColumnId = 1,
+            Recurrence = new RecurrenceRule { Frequency = RecurrenceFrequency.None }
+        });
+
+        // Assert
+        Assert.That(created.Recurrence!.Frequency, Is.EqualTo(RecurrenceFrequency.Weekly));
+        Assert.That(created.Recurrence.Weekdays, Is.EqualTo(new[] { 1, 5 }));
+        Assert.That(unchanged!.Recurrence!.Weekdays, Is.EqualTo(new[] { 1, 5 }));
+        Assert.That(stopped!.Recurrence, Is.Null);
+    }
+
+    [Test]
+    public async Task MovingRecurringTasksIntoTheLastColumn_ShouldMarkThemFinished()
+    {
+        // Arrange
+        var daily = new RecurrenceRule { Frequency = RecurrenceFrequency.Daily };
+        var createdDone = await _taskService.CreateTaskAsync(new CreateTaskRequest { Name = "Made done", ColumnId = 3, Recurrence = daily });
+        var moved = await _taskService.CreateTaskAsync(new CreateTaskRequest { Name = "Moved", ColumnId = 1, Recurrence = daily });
+        var edited = await _taskService.CreateTaskAsync(new CreateTaskRequest { Name = "Edited", ColumnId = 1, Recurrence = daily });
+        var batched = await _taskService.CreateTaskAsync(new CreateTaskRequest { Name = "Batched", ColumnId = 2, Recurrence = daily });
+
+        // Act
+        await _taskService.MoveTaskAsync(moved.Id, new MoveTaskRequest { ColumnId = 3, SortOrder = 1 });
+        await _taskService.UpdateTaskAsync(edited.Id, new UpdateTaskRequest { Name = "Edited", ColumnId = 3 });
+        await _taskService.MoveTasksAsync(new BatchMoveTasksRequest { TaskIds = new List<int> { batched.Id, 1 }, ColumnId = 3 });
+        await _taskService.MoveTaskAsync(createdDone.Id, new MoveTaskRequest { ColumnId = 3, SortOrder = 1 });
+
+        // Assert - Only moves into the column count, and only for recurring tasks
+        bool Pending(int id) => _context.Tasks.AsNoTracking().Single(t => t.Id == id).RecurrencePending;
+        Assert.That(Pending(createdDone.Id), Is.False);
+        Assert.That(Pending(moved.Id), Is.True);
+        Assert.That(Pending(edited.Id), Is.True);
+        Assert.That(Pending(batched.Id), Is.True);
+        Assert.That(Pending(1), Is.False);
+
+        // Moving back out takes it back
+        await _taskService.MoveTaskAsync(moved.Id, new MoveTaskRequest { ColumnId = 2, SortOrder = 1 });
+        Assert.That(Pending(moved.Id), Is.False);
+    }
+
+    [Test]
+    public void CreateTaskAsync_WeeklyWithoutWeekdays_ShouldThrow()
+    {
+        // Act & Assert
+        Assert.ThrowsAsync<ArgumentException>(() => _taskService.CreateTaskAsync(new CreateTaskRequest
+        {
+            Name = "Weekly",
+            ColumnId = 1,
+            Recurrence = new RecurrenceRule { Frequency = RecurrenceFrequency.Weekly }
+        }));
+    }
+
+    [Test]
+    public async Task GetTasksByColumnAsync_ShouldSortByPriorityAfterFavorites()
+    {
+        // Arrange - Task 2 is the favorite; task 1 is first in manual order
+        await _taskService.CreateTaskAsync(new CreateTaskRequest { Name = "Urgent", ColumnId = 1, Priority = TaskPriority.Urgent });
+        await _taskService.CreateTaskAsync(new CreateTaskRequest { Name = "Low", ColumnId = 1, Priority = TaskPriority.Low });
+
+        // Act
+        var tasks = await _taskService.GetTasksByColumnAsync(1);
+
+        // Assert
+        Assert.That(tasks.Select(t => t.Name), Is.EqualTo(new[] { "Favorite Task", "Urgent", "Test Task 1", "Low" }));
+    }
+
+    [Test]
+    public async Task GetTaskPageAsync_ShouldPageInBoardOrderWithoutOverlap()
+    {
+        // Arrange - tasks 2 (favorite) and 1 are already in column 1
+        foreach (var name in new[] { "Bravo", "Alpha", "Alpha" })
+        {
+            await _taskService.CreateTaskAsync(new CreateTaskRequest { Name = name, ColumnId = 1 });
+        }
+        var all = (await _taskService.GetTasksByColumnAsync(1)).Select(t => t.Id).ToList();
+
+        // Act
+        var paged = new List<int>();
+        string? cursor = null;
+        var pages = 0;
+        do
+        {
+            var page = await _taskService.GetTaskPageAsync(1, cursor, 2);
+            Assert.That(page!.TotalCount, Is.EqualTo(5));
+            paged.AddRange(page.Tasks.Select(t => t.Id));
+            cursor = page.NextCursor;
+            pages++;
+        } while (cursor != null);
+
+        // Assert
+        Assert.That(paged, Is.EqualTo(all));
+        Assert.That(pages, Is.EqualTo(3));
+    }
+
+    [Test]
+    public async Task GetTaskPageAsync_ShouldContinueAfterATaskThatChanged()
+    {
+        // Arrange
+        var first = await _taskService.GetTaskPageAsync(1, null, 1);
+        await _taskService.DeleteTaskAsync(first!.Tasks[0].Id);
+
+        // Act
+        var next = await _taskService.GetTaskPageAsync(1, first.NextCursor, 1);
+
+        // Assert - the cursor remembers where the page ended, not the task
+        Assert.That(next!.Tasks.Select(t => t.Name), Is.EqualTo(new[] { "Test Task 1" }));
+        Assert.That(next.NextCursor, Is.Null);
+    }
+
+    [Test]
+    public async Task GetTaskPageAsync_ShouldRejectBadCursorsAndLimits()
+    {
+        // Act & Assert
+        Assert.ThrowsAsync<ArgumentException>(async () => await _taskService.GetTaskPageAsync(1, "bm9wZQ", 10));
+        Assert.ThrowsAsync<ArgumentException>(async () => await _taskService.GetTaskPageAsync(1, "%%%", 10));
+        Assert.ThrowsAsync<ArgumentException>(async () => await _taskService.GetTaskPageAsync(1, null, 0));
+        Assert.ThrowsAsync<ArgumentException>(async () => await _taskService.GetTaskPageAsync(1, null, TaskService.MaxPageSize + 1));
+        Assert.That(await _taskService.GetTaskPageAsync(99, null, 10), Is.Null);
+    }
+
+    [Test]
+    public void TaskCursor_ShouldRoundTripNamesWithSeparators()
+    {
+        // Arrange
+        var cursor = new TaskCursor(true, TaskPriority.High, 7, 42, "Fix: the ünïcode/base64 case");
+
+        // Act
+        var decoded = TaskCursor.Decode(cursor.Encode());
+
+        // Assert
+        Assert.That(decoded, Is.EqualTo(cursor));
+        Assert.That(cursor.Encode(), Does.Match("^[A-Za-z0-9_-]+$"));
+    }
 }
@@ -0,0 +1,189 @@
+using NUnit.Framework;
+using Microsoft.EntityFrameworkCore;
+using Microsoft.AspNetCore.Hosting;
+using Microsoft.AspNetCore.Http;
+using Microsoft.Extensions.FileProviders;
+using Backend.Data;
+using Backend.Services;
+using Backend.Models;
+using Backend.DTOs;
+using System.Text;
+
+namespace Backend.Tests.Services;
+
+[TestFixture]
+public class TemplateServiceTests
+{
+    private TaskDbContext _context = null!;
+    private TemplateService _templateService = null!;
+    private string _contentRootPath = null!;
+
+    [SetUp]
+    public void Setup()
+    {
+        var options = new DbContextOptionsBuilder<TaskDbContext>()
+            .UseInMemoryDatabase(databaseName: Guid.NewGuid().ToString())
+            .Options;
+
+        _context = new TaskDbContext(options);
+        _contentRootPath = Path.Combine(Path.GetTempPath(), "test_templates", Guid.NewGuid().ToString());
+        var environment = new TestWebHostEnvironment { ContentRootPath = _contentRootPath };
+        _templateService = new TemplateService(_context, new TaskService(_context), environment);
+
+        _context.Columns.AddRange(
+            new TaskColumn { Id = 1, Name = "To Do", SortOrder = 1 },
+            new TaskColumn { Id = 2, Name = "Review", SortOrder = 2 });
+        _context.SaveChanges();
+    }
+
+    [TearDown]
+    public void TearDown()
+    {
+        _context.Dispose();
+
+        if (Directory.Exists(_contentRootPath))
+        {
+            Directory.Delete(_contentRootPath, true);
+        }
+    }
+
+    [Test]
+    public async Task CreateTaskAsync_ShouldCopyTemplateAttachments()
+    {
+        // Arrange
+        var template = await _templateService.CreateTemplateAsync(new SaveTemplateRequest { Name = "Release", ColumnId = 2 });
+        await _templateService.AddAttachmentAsync(template.Id, CreateFile("checklist.txt", "steps"));
+
+        // Act
+        var task = await _templateService.CreateTaskAsync(template.Id, new CreateTaskRequest { Name = "Release 1.2", ColumnId = 2 });
+
+        // Assert - The task has its own copy of the file
+        var attachment = task!.Attachments.Single();
+        Assert.That(attachment.FileName, Is.EqualTo("checklist.txt"));
+        var taskFile = (await _context.Attachments.SingleAsync()).FilePath;
+        var templateFile = (await _context.TemplateAttachments.SingleAsync()).FilePath;
+        Assert.That(taskFile, Is.Not.EqualTo(templateFile));
+        Assert.That(await File.ReadAllTextAsync(taskFile), Is.EqualTo("steps"));
+        Assert.That(await _context.Activities.CountAsync(a => a.TaskId == task.Id && a.Type == TaskActivityTypes.AttachmentAdded), Is.EqualTo(1));
+    }
+
+    [Test]
+    public async Task CreateTaskAsync_WhenTheTaskIsRejected_ShouldNotKeepCopiedFiles()
+    {
+        // Arrange
+        var template = await _templateService.CreateTemplateAsync(new SaveTemplateRequest { Name = "Release", ColumnId = 2 });
+        await _templateService.AddAttachmentAsync(template.Id, CreateFile("checklist.txt", "steps"));
+        var templateFile = (await _context.TemplateAttachments.SingleAsync()).FilePath;
+
+        // Act
+        Assert.ThrowsAsync<ArgumentException>(() =>
+            _templateService.CreateTaskAsync(template.Id, new CreateTaskRequest { Name = "Release 1.2", ColumnId = 99 }));
+
+        // Assert - Only the template's own file is left
+        Assert.That(await _context.Tasks.AnyAsync(), Is.False);
+        Assert.That(await _context.Attachments.AnyAsync(), Is.False);
+        var files = Directory.GetFiles(_contentRootPath, "*", SearchOption.AllDirectories);
+        Assert.That(files, Is.EqualTo(new[] { templateFile }));
+    }
+
+    [Test]
+    public async Task AddAttachmentAsync_WithEmptyFile_ShouldThrow()
+    {
+        // Arrange
+        var template = await _templateService.CreateTemplateAsync(new SaveTemplateRequest { Name = "Release" });
+
+        // Act & Assert
+        var empty = Assert.ThrowsAsync<ArgumentException>(() => _templateService.AddAttachmentAsync(template.Id, CreateFile("empty.txt", "")));
+
+        Assert.That(empty!.Message, Does.Contain("File is empty"));
+        Assert.That(await _context.TemplateAttachments.AnyAsync(), Is.False);
+    }
+
+    [Test]
+    public async Task CreateTemplateFromTaskAsync_ShouldKeepDeadlineAsDaysAfterCreation()
+    {
+        // Arrange
+        var created = new DateTime(2026, 10, 1, 15, 30, 0, DateTimeKind.Utc);
+        _context.Tasks.Add(new TaskItem
+        {
+            Id = 7,
+            Name = "Invoice",
+            Description = "Send the invoice",
+            ColumnId = 2,
+            CreatedAt = created,
+            Deadline = new DateTime(2026, 10, 8, 0, 0, 0, DateTimeKind.Utc)
+        });
+        await _context.SaveChangesAsync();
+
+        // Act
+        var template = await _templateService.CreateTemplateFromTaskAsync(7);
+        var missing = await _templateService.CreateTemplateFromTaskAsync(99);
+
+        // Assert
+        Assert.That(template!.Name, Is.EqualTo("Invoice"));
+        Assert.That(template.Description, Is.EqualTo("Send the invoice"));
+        Assert.That(template.DeadlineInDays, Is.EqualTo(7));
+        Assert.That(template.ColumnId, Is.EqualTo(2));
+        Assert.That(missing, Is.Null);
+    }
+
+    [Test]
+    public async Task DeleteTemplateAsync_ShouldDeleteItsFiles()
+    {
+        // Arrange
+        var template = await _templateService.CreateTemplateAsync(new SaveTemplateRequest { Name = "Onboarding" });
+        await _templateService.AddAttachmentAsync(template.Id, CreateFile("welcome.txt", "hi"));
+        var filePath = (await _context.TemplateAttachments.SingleAsync()).FilePath;
+
+        // Act
+        var result = await _templateService.DeleteTemplateAsync(template.Id);
+
+        // Assert
+        Assert.That(result, Is.True);
+        Assert.That(File.Exists(filePath), Is.False);
+        Assert.That(await _context.TemplateAttachments.AnyAsync(), Is.False);
+    }
+
+    [Test]
+    public async Task GetTemplatesAsync_ShouldForgetDeletedColumns()
+    {
+        // Arrange
+        await _templateService.CreateTemplateAsync(new SaveTemplateRequest { Name = "Review", ColumnId = 2 });
+        _context.Columns.Remove(await _context.Columns.SingleAsync(c => c.Id == 2));
+        await _context.SaveChangesAsync();
+
+        // Act
+        var templates = await _templateService.GetTemplatesAsync();
+
+        // Assert
+        Assert.That(templates.Single().ColumnId, Is.Null);
+    }
+
+    [Test]
+    public void CreateTemplateAsync_WithBlankNameOrUnknownColumn_ShouldThrow()
+    {
+        // Act & Assert
+        Assert.ThrowsAsync<ArgumentException>(() => _templateService.CreateTemplateAsync(new SaveTemplateRequest { Name = "  " }));
+        Assert.ThrowsAsync<ArgumentException>(() => _templateService.CreateTemplateAsync(new SaveTemplateRequest { Name = "Lost", ColumnId = 99 }));
+    }
+
+    private static IFormFile CreateFile(string fileName, string content)
+    {
+        var bytes = Encoding.UTF8.GetBytes(content);
+        return new FormFile(new MemoryStream(bytes), 0, bytes.Length, "file", fileName)
+        {
+            Headers = new HeaderDictionary(),
+            ContentType = "text/plain"
+        };
+    }
+
+    private class TestWebHostEnvironment : IWebHostEnvironment
+    {
+        public string WebRootPath { get; set; } = string.Empty;
+        public IFileProvider WebRootFileProvider { get; set; } = new NullFileProvider();
+        public string ApplicationName { get; set; } = string.Empty;
+        public IFileProvider ContentRootFileProvider { get; set; } = new NullFileProvider();
+        public string ContentRootPath { get; set; } = string.Empty;
+        public string EnvironmentName { get; set; } = "Test";
+    }
+}
@@ -0,0 +1,108 @@
+using NUnit.Framework;
+using Microsoft.EntityFrameworkCore;
+using Backend.Data;
+using Backend.Services;
+using Backend.Models;
+
+namespace Backend.Tests.Services;
+
+[TestFixture]
+public class TrashServiceTests
+{
+    private TaskDbContext _context = null!;
+    private TrashService _trashService = null!;
+    private string _filePath = null!;
+
+    [SetUp]
+    public void Setup()
+    {
+        var options = new DbContextOptionsBuilder<TaskDbContext>()
+            .UseInMemoryDatabase(databaseName: Guid.NewGuid().ToString())
+            .Options;
+
+        _context = new TaskDbContext(options);
+        _trashService = new TrashService(_context);
+
+        _filePath = Path.Combine(Path.GetTempPath(), $"{Guid.NewGuid()}.jpg");
+        File.WriteAllText(_filePath, "test content");
+    }
+
+    [TearDown]
+    public void TearDown()
+    {
+        _context.Dispose();
+
+        if (File.Exists(_filePath))
+        {
+            File.Delete(_filePath);
+        }
+    }
+
+    private TaskItem AddTask(int id, DateTime? deletedAt)
+    {
+        var task = new TaskItem
+        {
+            Id = id,
+            Name = $"Task {id}",
+            ColumnId = 1,
+            SortOrder = id,
+            DeletedAt = deletedAt
+        };
+        _context.Tasks.Add(task);
+        return task;
+    }
+
+    [Test]
+    public async Task PurgeDeletedAsync_ShouldRemoveOldDeletedTasksWithTheirFiles()
+    {
+        // Arrange
+        _context.Columns.Add(new TaskColumn { Id = 1, Name = "To Do", SortOrder = 1 });
+        AddTask(1, DateTime.UtcNow.AddDays(-2));
+        _context.Attachments.Add(new TaskAttachment { Id = 1, TaskId = 1, FileName = "a.jpg", FilePath = _filePath });
+        await _context.SaveChangesAsync();
+
+        // Act
+        var purged = await _trashService.PurgeDeletedAsync(DateTime.UtcNow.AddDays(-1));
+
+        // Assert
+        Assert.That(purged, Is.EqualTo(2));
+        Assert.That(await _context.Tasks.IgnoreQueryFilters().AnyAsync(), Is.False);
+        Assert.That(await _context.Attachments.IgnoreQueryFilters().AnyAsync(), Is.False);
+        Assert.That(File.Exists(_filePath), Is.False);
+    }
+
+    [Test]
+    public async Task PurgeDeletedAsync_ShouldKeepRecentlyDeletedAndLiveItems()
+    {
+        // Arrange
+        _context.Columns.Add(new TaskColumn { Id = 1, Name = "To Do", SortOrder = 1 });
+        AddTask(1, DateTime.UtcNow.AddMinutes(-5));
+        AddTask(2, null);
+        _context.Attachments.Add(new TaskAttachment { Id = 1, TaskId = 2, FileName = "a.jpg", FilePath = _filePath });
+        await _context.SaveChangesAsync();
+
+        // Act
+        var purged = await _trashService.PurgeDeletedAsync(DateTime.UtcNow.AddDays(-1));
+
+        // Assert
+        Assert.That(purged, Is.EqualTo(0));
+        Assert.That(await _context.Tasks.IgnoreQueryFilters().CountAsync(), Is.EqualTo(2));
+        Assert.That(File.Exists(_filePath), Is.True);
+    }
+
+    [Test]
+    public async Task PurgeDeletedAsync_ShouldRemoveOldDeletedColumns()
+    {
+        // Arrange
+        _context.Columns.Add(new TaskColumn { Id = 1, Name = "To Do", SortOrder = 1 });
+        _context.Columns.Add(new TaskColumn { Id = 2, Name = "Old", SortOrder = 2, DeletedAt = DateTime.UtcNow.AddDays(-2) });
+        await _context.SaveChangesAsync();
+
+        // Act
+        var purged = await _trashService.PurgeDeletedAsync(DateTime.UtcNow.AddDays(-1));
+
+        // Assert
+        Assert.That(purged, Is.EqualTo(1));
+        Assert.That(await _context.Columns.IgnoreQueryFilters().Select(c => c.Id).ToListAsync(), Is.EqualTo(new[] { 1 }));
+    }
+}
@@ -0,0 +1,71 @@
+/* eslint-env serviceworker, es2020 */
+// Service worker for offline use: keeps the app itself (HTML, scripts,
+// styles, icons) available without a connection. The board data is cached by
+// the app in IndexedDB instead, so API requests are never handled here.
+
+// The worker's global scope
+const sw = globalThis;
+
+const CACHE_VERSION = 'v1';
+const CACHE_NAME = `task-board-shell-${CACHE_VERSION}`;
+const SHELL_FILES = ['./', './index.html', './manifest.json', './favicon.ico', './logo192.png', './logo512.png'];
+
+sw.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(CACHE_NAME)
+      .then(cache => cache.addAll(SHELL_FILES))
+      .then(() => sw.skipWaiting())
+  );
+});
+
+sw.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(
+        keys.filter(key => key.startsWith('task-board-shell-') && key !== CACHE_NAME).map(key => caches.delete(key))
+      ))
+      .then(() => sw.clients.claim())
+  );
+});
+
+// Pages: the network first so a new build shows up, the cached shell offline
+const handleNavigation = async (request) => {
+  try {
+    const response = await fetch(request);
+    // An error page must not replace the shell the app opens offline
+    if (response.ok) {
+      const cache = await caches.open(CACHE_NAME);
+      cache.put('./index.html', response.clone());
+    }
+    return response;
+  } catch (err) {
+    const cached = await caches.match('./index.html');
+    if (cached) return cached;
+    throw err;
+  }
+};
+
+// Static files: the cached copy right away, refreshed in the background.
+// Build output has hashed names, so a stale copy is never the wrong file.
+const handleStatic = async (request) => {
+  const cache = await caches.open(CACHE_NAME);
+  const cached = await cache.match(request);
+  const fresh = fetch(request).then((response) => {
+    if (response.ok) cache.put(request, response.clone());
+    return response;
+  });
+  if (cached) {
+    fresh.catch(() => {});
+    return cached;
+  }
+  return fresh;
+};
+
+sw.addEventListener('fetch', (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+  // The API lives elsewhere (and same-origin /api calls must stay live too)
+  if (request.method !== 'GET' || url.origin !== sw.location.origin || url.pathname.startsWith('/api/')) return;
+
+  event.respondWith(request.mode === 'navigate' ? handleNavigation(request) : handleStatic(request));
+});
@@ -1,8 +1,385 @@
-import { render, screen } from '@testing-library/react';
+import { render, screen, fireEvent, within, waitFor } from '@testing-library/react';
+import api from './api/client';
+import { prepareImages } from './imageProcessing';
 import App from './App';
 
-test('renders learn react link', () => {
+jest.mock('./api/client', () => ({
+  __esModule: true,
+  default: {
+    setAuthToken: jest.fn(),
+    setBoardId: jest.fn(),
+    setUnauthorizedHandler: jest.fn(),
+    auth: { logIn: jest.fn(), signUp: jest.fn(), logOut: jest.fn(), me: jest.fn() },
+    boards: { list: jest.fn(), create: jest.fn() },
+    board: { get: jest.fn(), import: jest.fn(), eventsUrl: () => '/events' },
+    tasks: {
+      create: jest.fn(),
+      update: jest.fn(),
+      move: jest.fn(),
+      remove: jest.fn(),
+      restore: jest.fn(),
+      activity: jest.fn(),
+      listByColumn: jest.fn()
+    },
+    comments: { list: jest.fn() },
+    templates: { list: jest.fn(), createTask: jest.fn(), createFromTask: jest.fn() },
+    attachments: { upload: jest.fn(), previewUrl: (id) => `/attachments/${id}/preview` }
+  }
+}));
+
+// Image review runs on canvas in the browser; here every image is accepted as picked
+jest.mock('./imageProcessing', () => ({
+  ...jest.requireActual('./imageProcessing'),
+  prepareImages: jest.fn()
+}));
+
+const task = (id, columnId, extra = {}) => ({
+  id, name: `Task ${id}`, description: '', deadline: null, columnId, columnName: columnId === 1 ? 'To Do' : 'Done',
+  sortOrder: 1, isFavorite: false, priority: 'medium', labelIds: [], assigneeIds: [], checklistItems: [],
+  attachments: [], updatedAt: '2026-01-01T00:00:00Z', ...extra
+});
+
+const makeBoard = (tasks) => ({
+  columns: [
+    { id: 1, name: 'To Do', sortOrder: 1, tasks: tasks.filter(t => t.columnId === 1) },
+    { id: 2, name: 'Done', sortOrder: 2, tasks: tasks.filter(t => t.columnId === 2) }
+  ],
+  labels: [],
+  members: []
+});
+
+const user = { id: 7, email: 'ann@example.com', displayName: 'Ann' };
+const ownBoard = { id: 1, name: 'My Board', role: 'owner', ownerName: 'Ann' };
+const sharedBoard = { id: 2, name: 'Team', role: 'viewer', ownerName: 'Bob' };
+
+// What the server has; the board reloads from it after changes
+let serverTasks;
+const saveOnServer = (saved) => {
+  serverTasks = [...serverTasks.filter(t => t.id !== saved.id), saved];
+  return saved;
+};
+
+const columnList = (name) => screen.getByRole('list', { name: `${name} tasks` });
+const card = (name) => screen.getByText(name).closest('.task');
+
+const renderBoard = async () => {
   render(<App />);
-  const linkElement = screen.getByText(/learn react/i);
-  expect(linkElement).toBeInTheDocument();
+  await screen.findByText('Task 1');
+};
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  window.localStorage.clear();
+  window.localStorage.setItem('task-board-session', JSON.stringify({ token: 'tok', expiresAt: '2999-01-01T00:00:00Z', user }));
+  window.history.replaceState(null, '', '/');
+  URL.createObjectURL = jest.fn(() => 'blob:preview');
+  URL.revokeObjectURL = jest.fn();
+  serverTasks = [task(1, 1)];
+  api.auth.me.mockResolvedValue(user);
+  api.boards.list.mockResolvedValue([ownBoard, sharedBoard]);
+  api.board.get.mockImplementation(async () => makeBoard(serverTasks));
+  api.comments.list.mockResolvedValue([]);
+  api.tasks.activity.mockResolvedValue([]);
+  api.templates.list.mockResolvedValue([]);
+  prepareImages.mockImplementation(async (files) => files.map(file => ({ original: file, file })));
+});
+
+test('creates a task from the form', async () => {
+  api.tasks.create.mockImplementation(async (body) => saveOnServer(task(2, body.columnId, { name: body.name })));
+  await renderBoard();
+
+  fireEvent.click(screen.getByText('+ Add Task'));
+  fireEvent.change(screen.getByPlaceholderText('Task name'), { target: { value: '  Write docs ' } });
+  fireEvent.click(screen.getByText('Create Task'));
+
+  expect(await within(columnList('To Do')).findByText('Write docs')).toBeInTheDocument();
+  expect(api.tasks.create).toHaveBeenCalledWith(expect.objectContaining({ name: 'Write docs', columnId: 1 }));
+  expect(screen.queryByText('Create New Task')).not.toBeInTheDocument();
+});
+
+test('creates a repeating task from a template', async () => {
+  const template = { id: 4, name: 'Release', description: 'Ship it', deadlineInDays: 2, columnId: 2, attachments: [{ id: 9, fileName: 'steps.png', fileSize: 2048 }] };
+  api.templates.list.mockResolvedValue([template]);
+  api.templates.createTask.mockImplementation(async (id, body) =>
+    saveOnServer(task(2, body.columnId, { name: body.name, recurrence: body.recurrence })));
+  await renderBoard();
+
+  fireEvent.click(screen.getByText('+ Add Task'));
+  fireEvent.change(await screen.findByLabelText('Start from template'), { target: { value: '4' } });
+  fireEvent.change(screen.getByLabelText('Repeats'), { target: { value: 'weekly' } });
+  expect(screen.getByText(/steps\.png/)).toBeInTheDocument();
+  fireEvent.click(screen.getByText('Create Task'));
+
+  expect(await within(columnList('Done')).findByText('Release')).toBeInTheDocument();
+  expect(within(card('Release')).getByText(/Weekly on/)).toBeInTheDocument();
+  expect(api.templates.createTask).toHaveBeenCalledWith(4, expect.objectContaining({
+    name: 'Release',
+    description: 'Ship it',
+    columnId: 2,
+    recurrence: { frequency: 'weekly', weekdays: [new Date().getDay()] }
+  }));
+  expect(api.tasks.create).not.toHaveBeenCalled();
+});
+
+test('saves a task as a template from its details', async () => {
+  api.templates.createFromTask.mockResolvedValue({ id: 5, name: 'Task 1', description: '', deadlineInDays: null, columnId: 1, attachments: [] });
+  await renderBoard();
+
+  fireEvent.click(screen.getByTitle('View details & attachments'));
+  fireEvent.click(screen.getByText('📋 Save as template'));
+
+  expect(await screen.findByText('Saved as template "Task 1".')).toBeInTheDocument();
+  expect(api.templates.createFromTask).toHaveBeenCalledWith(1);
+});
+
+test('lets the signed-in user change only their own comments', async () => {
+  const comment = (id, authorUserId, authorName) => ({
+    id, taskId: 1, authorUserId, authorName, body: `Note from ${authorName}`, createdAt: '2026-01-01T10:00:00Z', editedAt: null
+  });
+  api.comments.list.mockResolvedValue([comment(1, user.id, 'Ann'), comment(2, 8, 'Bob')]);
+  await renderBoard();
+
+  fireEvent.click(screen.getByTitle('View details & attachments'));
+
+  const own = (await screen.findByText('Note from Ann')).closest('.comment');
+  const theirs = screen.getByText('Note from Bob').closest('.comment');
+  expect(within(own).getByRole('button', { name: 'Edit' })).toBeInTheDocument();
+  expect(within(theirs).queryByRole('button', { name: 'Edit' })).not.toBeInTheDocument();
+  expect(screen.queryByLabelText('Your name')).not.toBeInTheDocument();
+});
+
+test('moves a task with the column picker', async () => {
+  api.tasks.move.mockImplementation(async (id, { columnId }) => saveOnServer(task(id, columnId)));
+  await renderBoard();
+
+  fireEvent.change(within(card('Task 1')).getByTitle('Move to column'), { target: { value: '2' } });
+
+  expect(within(columnList('Done')).getByText('Task 1')).toBeInTheDocument();
+  await waitFor(() => expect(api.tasks.move).toHaveBeenCalledWith(1, { columnId: 2, sortOrder: 1 }));
+});
+
+test('moves a task with the keyboard', async () => {
+  api.tasks.move.mockImplementation(async (id, { columnId }) => saveOnServer(task(id, columnId)));
+  await renderBoard();
+
+  const taskCard = card('Task 1');
+  fireEvent.keyDown(taskCard, { key: ' ' });
+  fireEvent.keyDown(taskCard, { key: 'ArrowRight' });
+  fireEvent.keyDown(taskCard, { key: ' ' });
+
+  expect(within(columnList('Done')).getByText('Task 1')).toBeInTheDocument();
+  await waitFor(() => expect(api.tasks.move).toHaveBeenCalledWith(1, { columnId: 2, sortOrder: 1 }));
+});
+
+test('toggles a favorite', async () => {
+  api.tasks.update.mockImplementation(async (id, body) => saveOnServer(task(id, body.columnId, { isFavorite: body.isFavorite })));
+  await renderBoard();
+
+  fireEvent.click(screen.getByTitle('Add to favorites'));
+
+  expect(await screen.findByTitle('Remove from favorites')).toBeInTheDocument();
+  expect(api.tasks.update).toHaveBeenCalledWith(1, expect.objectContaining({ isFavorite: true }));
+});
+
+test('deletes a task and brings it back from the undo toast', async () => {
+  api.tasks.remove.mockImplementation(async (id) => {
+    serverTasks = serverTasks.filter(t => t.id !== id);
+    return null;
+  });
+  api.tasks.restore.mockImplementation(async (id) => saveOnServer(task(id, 1)));
+  await renderBoard();
+
+  fireEvent.click(screen.getByTitle('Delete task'));
+
+  expect(screen.queryByText('Task 1')).not.toBeInTheDocument();
+  const toast = (await screen.findByText('Deleted task "Task 1"')).closest('.undo-toast');
+  expect(api.tasks.remove).toHaveBeenCalledWith(1);
+
+  fireEvent.click(within(toast).getByText('Undo'));
+
+  expect(await screen.findByText('Task 1')).toBeInTheDocument();
+  expect(api.tasks.restore).toHaveBeenCalledWith(1);
+});
+
+test('loads more of a column that came partly loaded', async () => {
+  serverTasks = [task(1, 1), task(2, 1, { sortOrder: 2 })];
+  api.board.get.mockImplementation(async () => {
+    const board = makeBoard(serverTasks);
+    Object.assign(board.columns[0], { taskCount: 3, nextCursor: 'after-2' });
+    return board;
+  });
+  api.tasks.listByColumn.mockResolvedValue({ tasks: [task(3, 1, { sortOrder: 3 })], nextCursor: null, totalCount: 3 });
+  await renderBoard();
+
+  expect(screen.getByText('(3)')).toBeInTheDocument();
+  fireEvent.click(screen.getByText('Load more (1 left)'));
+
+  expect(await within(columnList('To Do')).findByText('Task 3')).toBeInTheDocument();
+  expect(api.tasks.listByColumn).toHaveBeenCalledWith(1, { cursor: 'after-2', today: expect.stringMatching(/^\d{4}-\d{2}-\d{2}$/) });
+  expect(screen.queryByText(/Load more/)).not.toBeInTheDocument();
+});
+
+test('keeps the pages loaded so far after an import', async () => {
+  serverTasks = [task(1, 1), task(2, 1, { sortOrder: 2 })];
+  const pagedBoard = () => {
+    const board = makeBoard(serverTasks);
+    Object.assign(board.columns[0], { taskCount: 3, nextCursor: 'after-2' });
+    return board;
+  };
+  api.board.get.mockImplementation(async () => pagedBoard());
+  api.tasks.listByColumn.mockResolvedValue({ tasks: [task(3, 1, { sortOrder: 3 })], nextCursor: null, totalCount: 3 });
+  api.board.import.mockImplementation(async () => {
+    saveOnServer(task(4, 2, { name: 'Imported' }));
+    return { columnsCreated: 0, tasksCreated: 1, tasksUpdated: 0, tasksSkipped: 0, board: pagedBoard() };
+  });
+  await renderBoard();
+  fireEvent.click(screen.getByText('Load more (1 left)'));
+  await within(columnList('To Do')).findByText('Task 3');
+
+  const csv = 'Column,Name\nDone,Imported';
+  const file = Object.assign(new File([csv], 'tasks.csv', { type: 'text/csv' }), { text: async () => csv });
+  fireEvent.click(screen.getByText('Import'));
+  fireEvent.change(screen.getByLabelText('Board export file'), { target: { files: [file] } });
+  fireEvent.click(await screen.findByText('Import 1 task(s)'));
+
+  expect(await screen.findByText('Import Complete')).toBeInTheDocument();
+  expect(within(columnList('Done')).getByText('Imported')).toBeInTheDocument();
+  expect(within(columnList('To Do')).getByText('Task 3')).toBeInTheDocument();
+  expect(screen.queryByText(/Load more/)).not.toBeInTheDocument();
+});
+
+test('searches and counts overdue tasks past the first page of a long column', async () => {
+  // The server sends 50 of the 120 tasks; three of the rest are overdue
+  serverTasks = Array.from({ length: 120 }, (_, i) => task(i + 1, 1, {
+    sortOrder: i + 1,
+    name: i === 89 ? 'Quarterly report' : `Task ${i + 1}`,
+    deadline: i >= 100 && i < 103 ? '2020-01-01T00:00:00Z' : null
+  }));
+  api.board.get.mockImplementation(async () => {
+    const board = makeBoard(serverTasks);
+    Object.assign(board.columns[0], {
+      tasks: board.columns[0].tasks.slice(0, 50), taskCount: 120, nextCursor: 'after-50', overdueAfterCount: 3
+    });
+    return board;
+  });
+  api.tasks.listByColumn.mockResolvedValue({ tasks: serverTasks.slice(50), nextCursor: null, totalCount: 120, overdueAfterCount: 0 });
+  await renderBoard();
+
+  expect(screen.getByText('⚠️ 3 overdue')).toBeInTheDocument();
+  expect(api.tasks.listByColumn).not.toHaveBeenCalled();
+
+  fireEvent.change(screen.getByLabelText('Search tasks'), { target: { value: 'quarterly' } });
+
+  expect(await within(columnList('To Do')).findByText('Quarterly report')).toBeInTheDocument();
+  expect(api.tasks.listByColumn).toHaveBeenCalledWith(1, { cursor: 'after-50', limit: 200 });
+  expect(screen.getByText('(1/120)')).toBeInTheDocument();
+  expect(screen.getByText('⚠️ 3 overdue')).toBeInTheDocument();
+});
+
+test('renders part of a long column and scrolls to a card focused from the keyboard', async () => {
+  serverTasks = Array.from({ length: 100 }, (_, i) => task(i + 1, 1, { sortOrder: i + 1 }));
+  await renderBoard();
+
+  expect(within(columnList('To Do')).queryByText('Task 100')).not.toBeInTheDocument();
+  fireEvent.keyDown(card('Task 1'), { key: 'End' });
+
+  await waitFor(() => expect(card('Task 100')).toHaveFocus());
+  expect(within(columnList('To Do')).queryByText('Task 1')).not.toBeInTheDocument();
+});
+
+test('uploads an image from the task details after review', async () => {
+  const photo = new File(['png'], 'photo.png', { type: 'image/png' });
+  const attachment = { id: 10, fileName: 'photo.png', fileSize: 2048, contentType: 'image/png' };
+  api.attachments.upload.mockImplementation(async (taskId) => {
+    saveOnServer(task(taskId, 1, { attachments: [attachment] }));
+    return attachment;
+  });
+  await renderBoard();
+
+  fireEvent.click(screen.getByTitle('View details & attachments'));
+  fireEvent.change(screen.getByLabelText('Upload images'), { target: { files: [photo] } });
+  fireEvent.click(await screen.findByText('Attach 1 image(s)'));
+
+  expect(await screen.findByText('🖼️ photo.png')).toBeInTheDocument();
+  expect(api.attachments.upload).toHaveBeenCalledWith(1, photo, expect.anything());
+  expect(screen.getByText('Image Attachments (1)')).toBeInTheDocument();
+});
+
+test('turns away files that are not images before review', async () => {
+  await renderBoard();
+
+  fireEvent.click(screen.getByTitle('View details & attachments'));
+  fireEvent.change(screen.getByLabelText('Upload images'), {
+    target: { files: [new File(['text'], 'notes.txt', { type: 'text/plain' })] }
+  });
+
+  expect(await screen.findByText(/notes\.txt: Only image files/)).toBeInTheDocument();
+  expect(prepareImages).not.toHaveBeenCalled();
+  expect(api.attachments.upload).not.toHaveBeenCalled();
+});
+
+test('logs in and opens the first board', async () => {
+  window.localStorage.clear();
+  api.auth.logIn.mockResolvedValue({ token: 'new-token', expiresAt: '2999-01-01T00:00:00Z', user });
+  render(<App />);
+
+  fireEvent.change(screen.getByLabelText('Email'), { target: { value: ' ann@example.com ' } });
+  fireEvent.change(screen.getByLabelText('Password'), { target: { value: 'secret-password' } });
+  fireEvent.click(screen.getByRole('button', { name: 'Log in' }));
+
+  expect(await screen.findByText('Task 1')).toBeInTheDocument();
+  expect(api.auth.logIn).toHaveBeenCalledWith({ email: 'ann@example.com', password: 'secret-password' });
+  expect(api.setAuthToken).toHaveBeenLastCalledWith('new-token');
+  expect(api.setBoardId).toHaveBeenLastCalledWith(1);
+});
+
+test('shows the server error when logging in fails', async () => {
+  window.localStorage.clear();
+  api.auth.logIn.mockRejectedValue(new Error('Wrong email or password'));
+  render(<App />);
+
+  fireEvent.change(screen.getByLabelText('Email'), { target: { value: 'ann@example.com' } });
+  fireEvent.change(screen.getByLabelText('Password'), { target: { value: 'nope-nope' } });
+  fireEvent.click(screen.getByRole('button', { name: 'Log in' }));
+
+  expect(await screen.findByRole('alert')).toHaveTextContent('Wrong email or password');
+});
+
+test('opens a board shared to view without the editing controls', async () => {
+  await renderBoard();
+
+  fireEvent.change(screen.getByLabelText('Board'), { target: { value: '2' } });
+
+  expect(await screen.findByText('👁 View only')).toBeInTheDocument();
+  await screen.findByText('Task 1');
+  expect(api.setBoardId).toHaveBeenLastCalledWith(2);
+  expect(screen.queryByText('+ Add Task')).not.toBeInTheDocument();
+  expect(screen.queryByText('+ Add Column')).not.toBeInTheDocument();
+  expect(screen.queryByTitle('Delete task')).not.toBeInTheDocument();
+  expect(screen.queryByText('Share')).not.toBeInTheDocument();
+  expect(screen.getByText('Leave')).toBeInTheDocument();
+});
+
+test('shows that the server is unavailable and retries loading the boards', async () => {
+  api.boards.list.mockRejectedValueOnce(Object.assign(new Error('Failed to fetch'), { code: 'network' }));
+  render(<App />);
+
+  expect(await screen.findByText(/Can't reach the task board server/)).toBeInTheDocument();
+  expect(screen.queryByText(/Loading/)).not.toBeInTheDocument();
+
+  fireEvent.click(screen.getByText('Retry'));
+
+  expect(await screen.findByText('Task 1')).toBeInTheDocument();
+  expect(api.boards.list).toHaveBeenCalledTimes(2);
+});
+
+test('offers a retry when the board fails to load', async () => {
+  api.board.get.mockRejectedValueOnce(Object.assign(new Error('Request timed out after 30000ms'), { code: 'timeout' }));
+  render(<App />);
+
+  expect(await screen.findByText(/The task board could not be loaded/)).toBeInTheDocument();
+
+  fireEvent.click(screen.getByText('Retry'));
+
+  expect(await screen.findByText('Task 1')).toBeInTheDocument();
 });
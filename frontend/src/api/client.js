@@ -0,0 +1,686 @@
+// API client for the Task Management backend.
+//
+// Every backend route is wrapped here so the UI (and any other tooling) shares
+// one request path: a configurable base URL, consistent error parsing,
+// timeout/abort support, and the sign-in token and board sent with every call.
+
+const DEFAULT_BASE_URL = 'https://localhost:7042/api';
+const DEFAULT_TIMEOUT_MS = 30000;
+
+export const API_BASE = process.env.REACT_APP_API_BASE_URL || DEFAULT_BASE_URL;
+
+// Identifies this browser tab; the backend echoes it on board events so a
+// client can ignore changes it made itself.
+export const CLIENT_ID = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+
+/**
+ * @typedef {Object} Attachment
+ * @property {number} id
+ * @property {string} fileName
+ * @property {string} contentType
+ * @property {number} fileSize
+ * @property {string} uploadedAt
+ */
+
+/**
+ * @typedef {Object} Task
+ * @property {number} id
+ * @property {string} name
+ * @property {string} description
+ * @property {?string} deadline
+ * @property {string} createdAt
+ * @property {string} updatedAt
+ * @property {boolean} isFavorite
+ * @property {number} columnId
+ * @property {string} columnName
+ * @property {number} sortOrder
+ * @property {Attachment[]} attachments
+ * @property {ChecklistItem[]} checklistItems - In order
+ * @property {'urgent'|'high'|'medium'|'low'} priority
+ * @property {number[]} labelIds - IDs from Board.labels
+ * @property {number[]} assigneeIds - IDs from Board.members
+ * @property {?RecurrenceRule} recurrence - null for a one-off task
+ */
+
+/**
+ * When a task comes back. Once a recurring task is moved into the board's last
+ * column, the server adds the next one to the first column.
+ *
+ * @typedef {Object} RecurrenceRule
+ * @property {'none'|'daily'|'weekly'|'monthly'} frequency - Monthly keeps the deadline's day of the month
+ * @property {number[]} [weekdays] - Weekly only: 0 for Sunday to 6 for Saturday
+ */
+
+/**
+ * @typedef {Object} Template
+ * @property {number} id
+ * @property {string} name
+ * @property {string} description
+ * @property {?number} deadlineInDays - Days from a task's creation to its deadline
+ * @property {?number} columnId - null for the first column
+ * @property {Attachment[]} attachments - Copied to every task made from the template
+ */
+
+/**
+ * @typedef {Object} ChecklistItem
+ * @property {number} id
+ * @property {string} text
+ * @property {boolean} isDone
+ * @property {number} sortOrder
+ */
+
+/**
+ * @typedef {Object} Column
+ * @property {number} id
+ * @property {string} name
+ * @property {number} sortOrder
+ * @property {Task[]} tasks - In board order; from the board, only the first page of them
+ * @property {number} taskCount - Every task in the column, loaded or not
+ * @property {?string} nextCursor - Continues after `tasks`; null once they are all loaded
+ * @property {number} overdueAfterCount - How many of the tasks after `tasks` are overdue
+ */
+
+/**
+ * @typedef {Object} TaskPage
+ * @property {Task[]} tasks
+ * @property {?string} nextCursor - null after the last page
+ * @property {number} totalCount
+ * @property {number} overdueAfterCount - How many of the tasks after the page are overdue
+ */
+
+/**
+ * @typedef {Object} Board
+ * @property {Column[]} columns
+ * @property {Label[]} labels - By name
+ * @property {Member[]} members - By name
+ */
+
+/**
+ * @typedef {Object} Label
+ * @property {number} id
+ * @property {string} name
+ * @property {string} color - e.g. "#e03131"
+ */
+
+/**
+ * @typedef {Object} Member
+ * @property {number} id
+ * @property {string} name
+ * @property {string} color - Avatar background, e.g. "#1971c2"
+ */
+
+/**
+ * @typedef {Object} Comment
+ * @property {number} id
+ * @property {number} taskId
+ * @property {?number} authorUserId - Null for comments from before accounts
+ * @property {string} authorName - The author's display name
+ * @property {string} body - Markdown
+ * @property {string} createdAt
+ * @property {?string} editedAt
+ */
+
+/**
+ * @typedef {Object} TaskActivity
+ * @property {number} id - 0 for the creation entry
+ * @property {'created'|'edited'|'moved'|'favorited'|'unfavorited'|'attachment.added'|'attachment.removed'} type
+ * @property {?string} field - edited: 'name', 'description', 'deadline' or 'priority'
+ * @property {?string} oldValue
+ * @property {?string} newValue
+ * @property {string} occurredAt
+ */
+
+/**
+ * @typedef {Object} User
+ * @property {number} id
+ * @property {string} email
+ * @property {string} displayName
+ */
+
+/**
+ * @typedef {Object} AuthSession
+ * @property {string} token - Sent as a bearer token once set with setAuthToken
+ * @property {string} expiresAt
+ * @property {User} user
+ */
+
+/**
+ * @typedef {Object} BoardSummary
+ * @property {number} id
+ * @property {string} name
+ * @property {'owner'|'editor'|'viewer'} role - What the signed-in user may do on it
+ * @property {string} ownerName
+ */
+
+/**
+ * @typedef {Object} BoardShare
+ * @property {number} userId
+ * @property {string} email
+ * @property {string} displayName
+ * @property {'editor'|'viewer'} role
+ */
+
+/**
+ * @typedef {Object} TaskInput
+ * @property {string} name
+ * @property {string} [description]
+ * @property {?string} [deadline]
+ * @property {boolean} [isFavorite]
+ * @property {number} columnId
+ * @property {'urgent'|'high'|'medium'|'low'} [priority]
+ * @property {number[]} [labelIds] - Replaces the task's labels; left out keeps them
+ * @property {number[]} [assigneeIds] - Replaces the task's assignees; left out keeps them
+ * @property {RecurrenceRule} [recurrence] - Left out keeps it; frequency 'none' stops it
+ */
+
+/**
+ * @typedef {Object} TemplateInput
+ * @property {string} name
+ * @property {string} [description]
+ * @property {?number} [deadlineInDays]
+ * @property {?number} [columnId]
+ */
+
+/**
+ * @typedef {Object} RequestOptions
+ * @property {AbortSignal} [signal] - Aborts the request when signalled
+ * @property {number} [timeout] - Overrides the client timeout in milliseconds
+ */
+
+/**
+ * @typedef {Object} UploadOptions
+ * @property {AbortSignal} [signal] - Aborts the upload when signalled
+ * @property {(fraction: number) => void} [onProgress] - Called with 0..1 as the file is sent
+ * @property {number} [timeout] - Milliseconds; progress uploads have none by default
+ */
+
+/**
+ * Error thrown for every failed request.
+ *
+ * `code` is one of 'http', 'timeout', 'aborted' or 'network'. For validation
+ * failures `fieldErrors` maps camelCased field names to their messages.
+ */
+export class ApiError extends Error {
+  constructor(message, { status = 0, code = 'http', fieldErrors = {}, body = null } = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.code = code;
+    this.fieldErrors = fieldErrors;
+    this.body = body;
+  }
+}
+
+// ASP.NET reports field keys as "Name" or "$.name"; the UI uses "name".
+const normalizeFieldName = (key) => {
+  const trimmed = key.replace(/^\$\.?/, '');
+  return trimmed.charAt(0).toLowerCase() + trimmed.slice(1);
+};
+
+const collectFieldErrors = (errors) => {
+  const fieldErrors = {};
+  for (const [key, value] of Object.entries(errors)) {
+    const messages = Array.isArray(value) ? value : [value];
+    fieldErrors[normalizeFieldName(key)] = messages.map(String);
+  }
+  return fieldErrors;
+};
+
+/**
+ * Turns an error response body into a message and field errors.
+ *
+ * Handles ValidationProblemDetails (`{ title, errors }`), a bare ModelState
+ * dictionary (`{ Name: ['...'] }`), ProblemDetails and plain text bodies.
+ */
+export const parseErrorBody = (body, status) => {
+  const fallback = `Request failed (HTTP ${status})`;
+
+  if (body == null || body === '') {
+    return { message: fallback, fieldErrors: {} };
+  }
+  if (typeof body === 'string') {
+    return { message: body, fieldErrors: {} };
+  }
+
+  if (body.errors && typeof body.errors === 'object') {
+    const fieldErrors = collectFieldErrors(body.errors);
+    const details = Object.values(fieldErrors).flat();
+    return {
+      message: details.length > 0 ? details.join(' ') : (body.title || fallback),
+      fieldErrors
+    };
+  }
+
+  if (body.title || body.detail) {
+    return { message: body.detail || body.title, fieldErrors: {} };
+  }
+
+  const values = Object.values(body);
+  if (values.length > 0 && values.every(Array.isArray)) {
+    const fieldErrors = collectFieldErrors(body);
+    return { message: Object.values(fieldErrors).flat().join(' '), fieldErrors };
+  }
+
+  return { message: fallback, fieldErrors: {} };
+};
+
+const parseBodyText = (text, contentType) => {
+  if (!text) return null;
+
+  if ((contentType || '').includes('json')) {
+    try {
+      return JSON.parse(text);
+    } catch {
+      return text;
+    }
+  }
+  return text;
+};
+
+const readBody = async (response) =>
+  parseBodyText(await response.text(), response.headers.get('content-type'));
+
+/**
+ * Creates an API client bound to a base URL.
+ *
+ * @param {Object} [config]
+ * @param {string} [config.baseUrl] - Defaults to REACT_APP_API_BASE_URL
+ * @param {number} [config.timeout] - Per-request timeout in milliseconds
+ * @param {typeof fetch} [config.fetch] - fetch implementation, mainly for tests
+ * @param {typeof XMLHttpRequest} [config.XMLHttpRequest] - XHR implementation for progress uploads
+ */
+export function createApiClient({
+  baseUrl = API_BASE,
+  timeout = DEFAULT_TIMEOUT_MS,
+  fetch: fetchImpl,
+  XMLHttpRequest: xhrImpl
+} = {}) {
+  const root = baseUrl.replace(/\/+$/, '');
+  let authToken = null;
+  let boardId = null;
+  let onUnauthorized = null;
+
+  // Board routes act on the board in X-Board-Id
+  const sessionHeaders = () => ({
+    ...(authToken ? { Authorization: `Bearer ${authToken}` } : {}),
+    ...(boardId !== null ? { 'X-Board-Id': String(boardId) } : {})
+  });
+
+  // EventSource and <img> can't send headers, so their URLs carry the same
+  // token and board in the query string
+  const withSession = (url) => {
+    const params = new URLSearchParams();
+    if (authToken) params.set('access_token', authToken);
+    if (boardId !== null) params.set('boardId', String(boardId));
+    const query = params.toString();
+    if (!query) return url;
+    return `${url}${url.includes('?') ? '&' : '?'}${query}`;
+  };
+
+  const reportStatus = (status) => {
+    if (status === 401 && onUnauthorized) onUnauthorized();
+  };
+
+  const request = async (path, {
+    method = 'GET',
+    json,
+    body,
+    responseType = 'json',
+    headers = {},
+    signal,
+    timeout: requestTimeout = timeout
+  } = {}) => {
+    const doFetch = fetchImpl || window.fetch.bind(window);
+    const controller = new AbortController();
+    let timedOut = false;
+
+    const onAbort = () => controller.abort();
+    if (signal) {
+      if (signal.aborted) controller.abort();
+      else signal.addEventListener('abort', onAbort);
+    }
+    const timer = requestTimeout > 0
+      ? setTimeout(() => {
+        timedOut = true;
+        controller.abort();
+      }, requestTimeout)
+      : null;
+
+    const init = {
+      method,
+      signal: controller.signal,
+      headers: { ...sessionHeaders(), ...headers, 'X-Client-Id': CLIENT_ID }
+    };
+    if (json !== undefined) {
+      init.headers['Content-Type'] = 'application/json';
+      init.body = JSON.stringify(json);
+    } else if (body !== undefined) {
+      init.body = body;
+    }
+
+    let response;
+    try {
+      response = await doFetch(`${root}${path}`, init);
+    } catch (err) {
+      if (timedOut) {
+        throw new ApiError(`Request timed out after ${requestTimeout}ms`, { code: 'timeout' });
+      }
+      if (controller.signal.aborted) {
+        throw new ApiError('Request was aborted', { code: 'aborted' });
+      }
+      throw new ApiError(err.message || 'Network error', { code: 'network' });
+    } finally {
+      if (timer) clearTimeout(timer);
+      if (signal) signal.removeEventListener('abort', onAbort);
+    }
+
+    if (!response.ok) {
+      reportStatus(response.status);
+      const errorBody = await readBody(response);
+      const { message, fieldErrors } = parseErrorBody(errorBody, response.status);
+      throw new ApiError(message, { status: response.status, fieldErrors, body: errorBody });
+    }
+
+    if (responseType === 'blob') return response.blob();
+    if (response.status === 204) return null;
+    return readBody(response);
+  };
+
+  // fetch has no upload progress events, so uploads that report progress use XHR
+  const sendWithProgress = (path, body, { signal, onProgress, timeout: requestTimeout = 0 } = {}) =>
+    new Promise((resolve, reject) => {
+      if (signal && signal.aborted) {
+        reject(new ApiError('Request was aborted', { code: 'aborted' }));
+        return;
+      }
+
+      const Xhr = xhrImpl || window.XMLHttpRequest;
+      const xhr = new Xhr();
+      const onAbort = () => xhr.abort();
+      const settle = (fn, value) => {
+        if (signal) signal.removeEventListener('abort', onAbort);
+        fn(value);
+      };
+
+      xhr.open('POST', `${root}${path}`);
+      for (const [name, value] of Object.entries(sessionHeaders())) {
+        xhr.setRequestHeader(name, value);
+      }
+      xhr.setRequestHeader('X-Client-Id', CLIENT_ID);
+      xhr.timeout = requestTimeout;
+      if (signal) signal.addEventListener('abort', onAbort);
+
+      xhr.upload.onprogress = (e) => {
+        if (e.lengthComputable) onProgress(e.loaded / e.total);
+      };
+      xhr.onload = () => {
+        const responseBody = parseBodyText(xhr.responseText, xhr.getResponseHeader('content-type'));
+        if (xhr.status >= 200 && xhr.status < 300) {
+          settle(resolve, xhr.status === 204 ? null : responseBody);
+          return;
+        }
+        reportStatus(xhr.status);
+        const { message, fieldErrors } = parseErrorBody(responseBody, xhr.status);
+        settle(reject, new ApiError(message, { status: xhr.status, fieldErrors, body: responseBody }));
+      };
+      xhr.onerror = () => settle(reject, new ApiError('Network error', { code: 'network' }));
+      xhr.onabort = () => settle(reject, new ApiError('Request was aborted', { code: 'aborted' }));
+      xhr.ontimeout = () =>
+        settle(reject, new ApiError(`Request timed out after ${requestTimeout}ms`, { code: 'timeout' }));
+
+      xhr.send(body);
+    });
+
+  return {
+    baseUrl: root,
+    request,
+
+    /** Signs every later request in; null signs out. */
+    setAuthToken: (token) => {
+      authToken = token || null;
+    },
+    /** The board that board routes (tasks, columns, labels, ...) act on. */
+    setBoardId: (id) => {
+      boardId = id ?? null;
+    },
+    /** Called whenever the server turns a request down as not signed in. */
+    setUnauthorizedHandler: (handler) => {
+      onUnauthorized = handler;
+    },
+
+    auth: {
+      /** Also creates the user's first board. @returns {Promise<AuthSession>} */
+      signUp: ({ email, displayName, password }, options) =>
+        request('/auth/signup', { ...options, method: 'POST', json: { email, displayName, password } }),
+      /** @returns {Promise<AuthSession>} */
+      logIn: ({ email, password }, options) =>
+        request('/auth/login', { ...options, method: 'POST', json: { email, password } }),
+      /** Ends the current token's session. @returns {Promise<null>} */
+      logOut: (options) => request('/auth/logout', { ...options, method: 'POST' }),
+      /** @returns {Promise<User>} */
+      me: (options) => request('/auth/me', options)
+    },
+
+    // Boards the user owns or was invited to. Only owners may rename, delete
+    // or share a board.
+    boards: {
+      /** @returns {Promise<BoardSummary[]>} */
+      list: (options) => request('/boards', options),
+      /** Starts with the default columns. @returns {Promise<BoardSummary>} */
+      create: ({ name }, options) => request('/boards', { ...options, method: 'POST', json: { name } }),
+      /** @returns {Promise<BoardSummary>} */
+      rename: (id, { name }, options) => request(`/boards/${id}`, { ...options, method: 'PUT', json: { name } }),
+      /** Deletes everything on the board for good. @returns {Promise<null>} */
+      remove: (id, options) => request(`/boards/${id}`, { ...options, method: 'DELETE' }),
+      shares: {
+        /** @returns {Promise<BoardShare[]>} */
+        list: (id, options) => request(`/boards/${id}/shares`, options),
+        /** Sharing again with the same email changes their role. @returns {Promise<BoardShare>} */
+        add: (id, { email, role }, options) =>
+          request(`/boards/${id}/shares`, { ...options, method: 'POST', json: { email, role } }),
+        /** @returns {Promise<BoardShare>} */
+        update: (id, userId, { role }, options) =>
+          request(`/boards/${id}/shares/${userId}`, { ...options, method: 'PUT', json: { role } }),
+        /** Owners remove anyone; others can only leave. @returns {Promise<null>} */
+        remove: (id, userId, options) => request(`/boards/${id}/shares/${userId}`, { ...options, method: 'DELETE' })
+      }
+    },
+
+    board: {
+      /**
+       * Every column with the first page of its tasks. `today` ("YYYY-MM-DD")
+       * is the date overdue tasks are counted against. @returns {Promise<Board>}
+       */
+      get: ({ today } = {}, options) => request(`/board${today ? `?today=${today}` : ''}`, options),
+      /**
+       * Loads columns and tasks in one go; see boardTransfer.buildImportRequest.
+       * @returns {Promise<{columnsCreated: number, tasksCreated: number, tasksUpdated: number, tasksSkipped: number, board: Board}>}
+       */
+      import: (body, options) => request('/board/import', { ...options, method: 'POST', json: body }),
+      /** @returns {string} Server-Sent Events stream of board changes */
+      eventsUrl: () => withSession(`${root}/events?clientId=${encodeURIComponent(CLIENT_ID)}`)
+    },
+
+    tasks: {
+      /** @returns {Promise<Task[]>} */
+      list: (options) => request('/tasks', options),
+      /** @returns {Promise<Task>} */
+      get: (id, options) => request(`/tasks/${id}`, options),
+      /** @param {TaskInput} task @returns {Promise<Task>} */
+      create: (task, options) => request('/tasks', { ...options, method: 'POST', json: task }),
+      /** @param {TaskInput} task @returns {Promise<Task>} */
+      update: (id, task, options) => request(`/tasks/${id}`, { ...options, method: 'PUT', json: task }),
+      /** @returns {Promise<null>} */
+      remove: (id, options) => request(`/tasks/${id}`, { ...options, method: 'DELETE' }),
+      /** Brings back a deleted task with its attachments. @returns {Promise<Task>} */
+      restore: (id, options) => request(`/tasks/${id}/restore`, { ...options, method: 'POST' }),
+      /** @returns {Promise<Task>} */
+      move: (id, { columnId, sortOrder }, options) =>
+        request(`/tasks/${id}/move`, { ...options, method: 'PATCH', json: { columnId, sortOrder } }),
+      /**
+       * Moves tasks together, in the order given, starting at a 1-based
+       * sortOrder (0 appends). @returns {Promise<Task[]>}
+       */
+      batchMove: ({ taskIds, columnId, sortOrder }, options) =>
+        request('/tasks/batch/move', { ...options, method: 'POST', json: { taskIds, columnId, sortOrder } }),
+      /**
+       * Sets isFavorite and/or, with setDeadline, the deadline of several
+       * tasks. @returns {Promise<Task[]>}
+       */
+      batchUpdate: ({ taskIds, isFavorite, setDeadline = false, deadline = null }, options) =>
+        request('/tasks/batch/update', {
+          ...options,
+          method: 'POST',
+          json: { taskIds, isFavorite, setDeadline, deadline }
+        }),
+      /** @returns {Promise<null>} */
+      batchRemove: (taskIds, options) =>
+        request('/tasks/batch/delete', { ...options, method: 'POST', json: { taskIds } }),
+      /** @returns {Promise<Task[]>} */
+      batchRestore: (taskIds, options) =>
+        request('/tasks/batch/restore', { ...options, method: 'POST', json: { taskIds } }),
+      /**
+       * A page of a column's tasks in board order. Without a cursor it starts
+       * at the top; pass the column's or the previous page's nextCursor to
+       * continue. `today` is as for board.get. @returns {Promise<TaskPage>}
+       */
+      listByColumn: (columnId, { cursor, limit, today } = {}, options) => {
+        const params = new URLSearchParams();
+        if (cursor) params.set('cursor', cursor);
+        if (limit) params.set('limit', String(limit));
+        if (today) params.set('today', today);
+        const query = params.toString();
+        return request(`/tasks/column/${columnId}${query ? `?${query}` : ''}`, options);
+      },
+      /** Oldest first, starting with the task's creation. @returns {Promise<TaskActivity[]>} */
+      activity: (id, options) => request(`/tasks/${id}/activity`, options)
+    },
+
+    // Checklist changes resolve to the whole task, with its checklist in order
+    checklist: {
+      /** @returns {Promise<Task>} */
+      add: (taskId, { text }, options) =>
+        request(`/tasks/${taskId}/checklist`, { ...options, method: 'POST', json: { text } }),
+      /** @returns {Promise<Task>} */
+      update: (taskId, itemId, { text, isDone }, options) =>
+        request(`/tasks/${taskId}/checklist/${itemId}`, { ...options, method: 'PUT', json: { text, isDone } }),
+      /** @param {number[]} itemIds - Every item ID in its new order @returns {Promise<Task>} */
+      reorder: (taskId, itemIds, options) =>
+        request(`/tasks/${taskId}/checklist/reorder`, { ...options, method: 'PUT', json: { itemIds } }),
+      /** @returns {Promise<Task>} */
+      remove: (taskId, itemId, options) =>
+        request(`/tasks/${taskId}/checklist/${itemId}`, { ...options, method: 'DELETE' })
+    },
+
+    // Comments are written as the signed-in user; only they can change theirs
+    comments: {
+      /** @returns {Promise<Comment[]>} */
+      list: (taskId, options) => request(`/tasks/${taskId}/comments`, options),
+      /** @returns {Promise<Comment>} */
+      create: (taskId, { body }, options) =>
+        request(`/tasks/${taskId}/comments`, { ...options, method: 'POST', json: { body } }),
+      /** @returns {Promise<Comment>} */
+      update: (id, { body }, options) => request(`/comments/${id}`, { ...options, method: 'PUT', json: { body } }),
+      /** @returns {Promise<null>} */
+      remove: (id, options) => request(`/comments/${id}`, { ...options, method: 'DELETE' })
+    },
+
+    labels: {
+      /** @returns {Promise<Label[]>} */
+      list: (options) => request('/labels', options),
+      /** @returns {Promise<Label>} */
+      create: ({ name, color }, options) => request('/labels', { ...options, method: 'POST', json: { name, color } }),
+      /** @returns {Promise<Label>} */
+      update: (id, { name, color }, options) =>
+        request(`/labels/${id}`, { ...options, method: 'PUT', json: { name, color } }),
+      /** Also takes the label off every task. @returns {Promise<null>} */
+      remove: (id, options) => request(`/labels/${id}`, { ...options, method: 'DELETE' })
+    },
+
+    // Templates keep their own copies of their files; so does every task made
+    // from one
+    templates: {
+      /** @returns {Promise<Template[]>} */
+      list: (options) => request('/templates', options),
+      /** @param {TemplateInput} template @returns {Promise<Template>} */
+      create: (template, options) => request('/templates', { ...options, method: 'POST', json: template }),
+      /** The deadline becomes days after creation. @returns {Promise<Template>} */
+      createFromTask: (taskId, options) =>
+        request(`/templates/from-task/${taskId}`, { ...options, method: 'POST' }),
+      /** @param {TemplateInput} template @returns {Promise<Template>} */
+      update: (id, template, options) => request(`/templates/${id}`, { ...options, method: 'PUT', json: template }),
+      /** @returns {Promise<null>} */
+      remove: (id, options) => request(`/templates/${id}`, { ...options, method: 'DELETE' }),
+      /** @param {TaskInput} task - As filled in from the template @returns {Promise<Task>} */
+      createTask: (id, task, options) =>
+        request(`/templates/${id}/tasks`, { ...options, method: 'POST', json: task }),
+      attachments: {
+        /** @param {File} file @returns {Promise<Attachment>} */
+        upload: (id, file, options) => {
+          const formData = new FormData();
+          formData.append('file', file);
+          return request(`/templates/${id}/attachments`, { ...options, method: 'POST', body: formData });
+        },
+        /** @returns {Promise<null>} */
+        remove: (id, attachmentId, options) =>
+          request(`/templates/${id}/attachments/${attachmentId}`, { ...options, method: 'DELETE' })
+      }
+    },
+
+    members: {
+      /** @returns {Promise<Member[]>} */
+      list: (options) => request('/members', options),
+      /** @returns {Promise<Member>} */
+      create: ({ name, color }, options) => request('/members', { ...options, method: 'POST', json: { name, color } }),
+      /** @returns {Promise<Member>} */
+      update: (id, { name, color }, options) =>
+        request(`/members/${id}`, { ...options, method: 'PUT', json: { name, color } }),
+      /** Also unassigns them from every task. @returns {Promise<null>} */
+      remove: (id, options) => request(`/members/${id}`, { ...options, method: 'DELETE' })
+    },
+
+    columns: {
+      /** @returns {Promise<Column[]>} */
+      list: (options) => request('/columns', options),
+      /** @returns {Promise<Column>} */
+      get: (id, options) => request(`/columns/${id}`, options),
+      /** @returns {Promise<Column>} */
+      create: ({ name }, options) => request('/columns', { ...options, method: 'POST', json: { name } }),
+      /** @returns {Promise<Column>} */
+      update: (id, { name }, options) => request(`/columns/${id}`, { ...options, method: 'PUT', json: { name } }),
+      /** @param {number[]} columnIds - Every column ID in its new order @returns {Promise<Column[]>} */
+      reorder: (columnIds, options) =>
+        request('/columns/reorder', { ...options, method: 'PUT', json: { columnIds } }),
+      /** @returns {Promise<null>} */
+      remove: (id, options) => request(`/columns/${id}`, { ...options, method: 'DELETE' }),
+      /** @returns {Promise<Column>} */
+      restore: (id, options) => request(`/columns/${id}/restore`, { ...options, method: 'POST' })
+    },
+
+    attachments: {
+      /** @param {File} file @param {UploadOptions} [options] @returns {Promise<Attachment>} */
+      upload: (taskId, file, options = {}) => {
+        const formData = new FormData();
+        formData.append('file', file);
+        const path = `/attachments/tasks/${taskId}`;
+        return options.onProgress
+          ? sendWithProgress(path, formData, options)
+          : request(path, { ...options, method: 'POST', body: formData });
+      },
+      /** @returns {Promise<Blob>} */
+      download: (id, options) => request(`/attachments/${id}/download`, { ...options, responseType: 'blob' }),
+      /** @returns {string} */
+      downloadUrl: (id) => withSession(`${root}/attachments/${id}/download`),
+      /** Inline, cacheable image for thumbnails and the gallery. @returns {string} */
+      previewUrl: (id) => withSession(`${root}/attachments/${id}/preview`),
+      /** @returns {Promise<null>} */
+      remove: (id, options) => request(`/attachments/${id}`, { ...options, method: 'DELETE' }),
+      /** @returns {Promise<Attachment>} */
+      restore: (id, options) => request(`/attachments/${id}/restore`, { ...options, method: 'POST' })
+    }
+  };
+}
+
+export const api = createApiClient();
+
+export default api;
@@ -0,0 +1,375 @@
+import { createApiClient, ApiError, parseErrorBody, CLIENT_ID } from './client';
+
+const mockResponse = (status, body, contentType = 'application/json') => {
+  const text = body == null ? '' : (typeof body === 'string' ? body : JSON.stringify(body));
+  return {
+    ok: status >= 200 && status < 300,
+    status,
+    headers: { get: (name) => (name.toLowerCase() === 'content-type' && text ? contentType : null) },
+    text: async () => text,
+    blob: async () => new Blob([text], { type: contentType })
+  };
+};
+
+const setup = (response, config = {}) => {
+  const fetch = jest.fn().mockResolvedValue(response);
+  const client = createApiClient({ baseUrl: 'http://api.test/api/', fetch, ...config });
+  return { fetch, client };
+};
+
+describe('createApiClient', () => {
+  test('fetches the board from the configured base URL', async () => {
+    const board = { columns: [{ id: 1, name: 'To Do', sortOrder: 1, tasks: [] }] };
+    const { fetch, client } = setup(mockResponse(200, board));
+
+    await expect(client.board.get()).resolves.toEqual(board);
+    expect(fetch).toHaveBeenCalledWith('http://api.test/api/board', expect.objectContaining({ method: 'GET' }));
+  });
+
+  test.each([
+    ['board.get for a date', (c) => c.board.get({ today: '2026-03-10' }), 'GET', '/board?today=2026-03-10'],
+    ['board.import', (c) => c.board.import({ columns: [], onConflict: 'skip' }), 'POST', '/board/import'],
+    ['tasks.list', (c) => c.tasks.list(), 'GET', '/tasks'],
+    ['tasks.get', (c) => c.tasks.get(4), 'GET', '/tasks/4'],
+    ['tasks.create', (c) => c.tasks.create({ name: 'A', columnId: 1 }), 'POST', '/tasks'],
+    ['tasks.update', (c) => c.tasks.update(4, { name: 'A', columnId: 1 }), 'PUT', '/tasks/4'],
+    ['tasks.remove', (c) => c.tasks.remove(4), 'DELETE', '/tasks/4'],
+    ['tasks.restore', (c) => c.tasks.restore(4), 'POST', '/tasks/4/restore'],
+    ['tasks.move', (c) => c.tasks.move(4, { columnId: 2, sortOrder: 3 }), 'PATCH', '/tasks/4/move'],
+    ['tasks.batchMove', (c) => c.tasks.batchMove({ taskIds: [4, 5], columnId: 2, sortOrder: 1 }), 'POST', '/tasks/batch/move'],
+    ['tasks.batchUpdate', (c) => c.tasks.batchUpdate({ taskIds: [4], isFavorite: true }), 'POST', '/tasks/batch/update'],
+    ['tasks.batchRemove', (c) => c.tasks.batchRemove([4, 5]), 'POST', '/tasks/batch/delete'],
+    ['tasks.batchRestore', (c) => c.tasks.batchRestore([4, 5]), 'POST', '/tasks/batch/restore'],
+    ['tasks.listByColumn', (c) => c.tasks.listByColumn(2), 'GET', '/tasks/column/2'],
+    ['tasks.listByColumn after a cursor', (c) => c.tasks.listByColumn(2, { cursor: 'MTox', limit: 20 }), 'GET', '/tasks/column/2?cursor=MTox&limit=20'],
+    ['tasks.listByColumn for a date', (c) => c.tasks.listByColumn(2, { today: '2026-03-10' }), 'GET', '/tasks/column/2?today=2026-03-10'],
+    ['tasks.activity', (c) => c.tasks.activity(4), 'GET', '/tasks/4/activity'],
+    ['checklist.add', (c) => c.checklist.add(4, { text: 'Step' }), 'POST', '/tasks/4/checklist'],
+    ['checklist.update', (c) => c.checklist.update(4, 9, { text: 'Step', isDone: true }), 'PUT', '/tasks/4/checklist/9'],
+    ['checklist.reorder', (c) => c.checklist.reorder(4, [9, 8]), 'PUT', '/tasks/4/checklist/reorder'],
+    ['checklist.remove', (c) => c.checklist.remove(4, 9), 'DELETE', '/tasks/4/checklist/9'],
+    ['comments.list', (c) => c.comments.list(4), 'GET', '/tasks/4/comments'],
+    ['comments.create', (c) => c.comments.create(4, { body: 'Hi' }), 'POST', '/tasks/4/comments'],
+    ['comments.update', (c) => c.comments.update(7, { body: 'Hi' }), 'PUT', '/comments/7'],
+    ['comments.remove', (c) => c.comments.remove(7), 'DELETE', '/comments/7'],
+    ['labels.list', (c) => c.labels.list(), 'GET', '/labels'],
+    ['labels.create', (c) => c.labels.create({ name: 'Bug', color: '#e03131' }), 'POST', '/labels'],
+    ['labels.update', (c) => c.labels.update(3, { name: 'Bug', color: '#e03131' }), 'PUT', '/labels/3'],
+    ['labels.remove', (c) => c.labels.remove(3), 'DELETE', '/labels/3'],
+    ['templates.list', (c) => c.templates.list(), 'GET', '/templates'],
+    ['templates.create', (c) => c.templates.create({ name: 'Release' }), 'POST', '/templates'],
+    ['templates.createFromTask', (c) => c.templates.createFromTask(4), 'POST', '/templates/from-task/4'],
+    ['templates.update', (c) => c.templates.update(8, { name: 'Release' }), 'PUT', '/templates/8'],
+    ['templates.remove', (c) => c.templates.remove(8), 'DELETE', '/templates/8'],
+    ['templates.createTask', (c) => c.templates.createTask(8, { name: 'A', columnId: 1 }), 'POST', '/templates/8/tasks'],
+    ['templates.attachments.upload', (c) => c.templates.attachments.upload(8, new Blob(['x'])), 'POST', '/templates/8/attachments'],
+    ['templates.attachments.remove', (c) => c.templates.attachments.remove(8, 9), 'DELETE', '/templates/8/attachments/9'],
+    ['members.list', (c) => c.members.list(), 'GET', '/members'],
+    ['members.create', (c) => c.members.create({ name: 'Ana', color: '#1971c2' }), 'POST', '/members'],
+    ['members.update', (c) => c.members.update(5, { name: 'Ana', color: '#1971c2' }), 'PUT', '/members/5'],
+    ['members.remove', (c) => c.members.remove(5), 'DELETE', '/members/5'],
+    ['columns.list', (c) => c.columns.list(), 'GET', '/columns'],
+    ['columns.get', (c) => c.columns.get(2), 'GET', '/columns/2'],
+    ['columns.create', (c) => c.columns.create({ name: 'Review' }), 'POST', '/columns'],
+    ['columns.update', (c) => c.columns.update(2, { name: 'Review' }), 'PUT', '/columns/2'],
+    ['columns.reorder', (c) => c.columns.reorder([2, 1]), 'PUT', '/columns/reorder'],
+    ['columns.remove', (c) => c.columns.remove(2), 'DELETE', '/columns/2'],
+    ['columns.restore', (c) => c.columns.restore(2), 'POST', '/columns/2/restore'],
+    ['attachments.remove', (c) => c.attachments.remove(9), 'DELETE', '/attachments/9'],
+    ['attachments.restore', (c) => c.attachments.restore(9), 'POST', '/attachments/9/restore'],
+    ['auth.signUp', (c) => c.auth.signUp({ email: 'a@b.c', displayName: 'A', password: 'secret12' }), 'POST', '/auth/signup'],
+    ['auth.logIn', (c) => c.auth.logIn({ email: 'a@b.c', password: 'secret12' }), 'POST', '/auth/login'],
+    ['auth.logOut', (c) => c.auth.logOut(), 'POST', '/auth/logout'],
+    ['auth.me', (c) => c.auth.me(), 'GET', '/auth/me'],
+    ['boards.list', (c) => c.boards.list(), 'GET', '/boards'],
+    ['boards.create', (c) => c.boards.create({ name: 'Launch' }), 'POST', '/boards'],
+    ['boards.rename', (c) => c.boards.rename(2, { name: 'Launch' }), 'PUT', '/boards/2'],
+    ['boards.remove', (c) => c.boards.remove(2), 'DELETE', '/boards/2'],
+    ['boards.shares.list', (c) => c.boards.shares.list(2), 'GET', '/boards/2/shares'],
+    ['boards.shares.add', (c) => c.boards.shares.add(2, { email: 'a@b.c', role: 'viewer' }), 'POST', '/boards/2/shares'],
+    ['boards.shares.update', (c) => c.boards.shares.update(2, 6, { role: 'editor' }), 'PUT', '/boards/2/shares/6'],
+    ['boards.shares.remove', (c) => c.boards.shares.remove(2, 6), 'DELETE', '/boards/2/shares/6']
+  ])('%s hits the matching route', async (_, call, method, path) => {
+    const { fetch, client } = setup(mockResponse(200, {}));
+
+    await call(client);
+
+    expect(fetch).toHaveBeenCalledWith(`http://api.test/api${path}`, expect.objectContaining({ method }));
+  });
+
+  test('identifies the client on every request', async () => {
+    const { fetch, client } = setup(mockResponse(200, {}));
+
+    await client.tasks.list();
+
+    expect(fetch.mock.calls[0][1].headers['X-Client-Id']).toBe(CLIENT_ID);
+    expect(client.board.eventsUrl()).toBe(`http://api.test/api/events?clientId=${CLIENT_ID}`);
+  });
+
+  test('comments as the signed-in user, with no author of its own', async () => {
+    const { fetch, client } = setup(mockResponse(200, {}));
+    client.setAuthToken('token-1');
+
+    await client.comments.create(4, { body: 'Hi' });
+
+    const init = fetch.mock.calls[0][1];
+    expect(init.headers).toMatchObject({ Authorization: 'Bearer token-1', 'X-Client-Id': CLIENT_ID });
+    expect(init.headers).not.toHaveProperty('X-Author-Id');
+    expect(JSON.parse(init.body)).toEqual({ body: 'Hi' });
+  });
+
+  test('builds attachment URLs for links and images', () => {
+    const { client } = setup(mockResponse(200, {}));
+
+    expect(client.attachments.downloadUrl(5)).toBe('http://api.test/api/attachments/5/download');
+    expect(client.attachments.previewUrl(5)).toBe('http://api.test/api/attachments/5/preview');
+  });
+
+  test('sends the sign-in token and board once they are set', async () => {
+    const { fetch, client } = setup(mockResponse(200, {}));
+
+    await client.tasks.list();
+    client.setAuthToken('tok en');
+    client.setBoardId(3);
+    await client.tasks.list();
+
+    expect(fetch.mock.calls[0][1].headers).not.toHaveProperty('Authorization');
+    expect(fetch.mock.calls[0][1].headers).not.toHaveProperty('X-Board-Id');
+    expect(fetch.mock.calls[1][1].headers).toMatchObject({ Authorization: 'Bearer tok en', 'X-Board-Id': '3' });
+    expect(client.attachments.previewUrl(5)).toBe('http://api.test/api/attachments/5/preview?access_token=tok+en&boardId=3');
+    expect(client.board.eventsUrl()).toBe(`http://api.test/api/events?clientId=${CLIENT_ID}&access_token=tok+en&boardId=3`);
+  });
+
+  test('reports requests turned down as not signed in', async () => {
+    const { client } = setup(mockResponse(401, null));
+    const onUnauthorized = jest.fn();
+    client.setUnauthorizedHandler(onUnauthorized);
+
+    await expect(client.boards.list()).rejects.toMatchObject({ status: 401 });
+    expect(onUnauthorized).toHaveBeenCalledTimes(1);
+  });
+
+  test('sends JSON bodies with a content type', async () => {
+    const { fetch, client } = setup(mockResponse(200, { id: 4 }));
+
+    await client.tasks.move(4, { columnId: 2, sortOrder: 3 });
+
+    const init = fetch.mock.calls[0][1];
+    expect(init.headers['Content-Type']).toBe('application/json');
+    expect(JSON.parse(init.body)).toEqual({ columnId: 2, sortOrder: 3 });
+  });
+
+  test('uploads attachments as multipart form data', async () => {
+    const { fetch, client } = setup(mockResponse(200, { id: 9 }));
+    const file = new File(['png'], 'shot.png', { type: 'image/png' });
+
+    await client.attachments.upload(3, file);
+
+    const [url, init] = fetch.mock.calls[0];
+    expect(url).toBe('http://api.test/api/attachments/tasks/3');
+    expect(init.body).toBeInstanceOf(FormData);
+    expect(init.body.get('file')).toBe(file);
+    expect(init.headers['Content-Type']).toBeUndefined();
+  });
+
+  test('returns a blob for attachment downloads', async () => {
+    const { client } = setup(mockResponse(200, 'binary', 'image/png'));
+
+    const blob = await client.attachments.download(9);
+
+    expect(blob).toBeInstanceOf(Blob);
+  });
+
+  test('resolves to null for 204 No Content', async () => {
+    const { client } = setup(mockResponse(204, null));
+
+    await expect(client.tasks.remove(4)).resolves.toBeNull();
+  });
+
+  test('surfaces ModelState validation errors by field', async () => {
+    const problem = {
+      title: 'One or more validation errors occurred.',
+      status: 400,
+      errors: { Name: ['The field Name must be a string with a maximum length of 200.'] }
+    };
+    const { client } = setup(mockResponse(400, problem, 'application/problem+json'));
+
+    const error = await client.tasks.create({ name: 'x'.repeat(201), columnId: 1 }).catch(e => e);
+
+    expect(error).toBeInstanceOf(ApiError);
+    expect(error.status).toBe(400);
+    expect(error.code).toBe('http');
+    expect(error.fieldErrors).toEqual({
+      name: ['The field Name must be a string with a maximum length of 200.']
+    });
+    expect(error.message).toMatch(/maximum length of 200/);
+  });
+
+  test('uses plain text error bodies as the message', async () => {
+    const { client } = setup(mockResponse(400, 'Cannot delete column with existing tasks', 'text/plain'));
+
+    await expect(client.columns.remove(1)).rejects.toMatchObject({
+      status: 400,
+      message: 'Cannot delete column with existing tasks'
+    });
+  });
+
+  test('falls back to the status code when the body is empty', async () => {
+    const { client } = setup(mockResponse(404, null));
+
+    await expect(client.tasks.get(99)).rejects.toMatchObject({
+      status: 404,
+      message: 'Request failed (HTTP 404)'
+    });
+  });
+
+  test('reports network failures', async () => {
+    const fetch = jest.fn().mockRejectedValue(new TypeError('Failed to fetch'));
+    const client = createApiClient({ baseUrl: 'http://api.test/api', fetch });
+
+    await expect(client.board.get()).rejects.toMatchObject({ code: 'network', message: 'Failed to fetch' });
+  });
+
+  describe('timeouts and aborts', () => {
+    // Resolves only when the request signal aborts, like a hung connection.
+    const hangingFetch = () => jest.fn((url, init) => new Promise((resolve, reject) => {
+      init.signal.addEventListener('abort', () => reject(new DOMException('Aborted', 'AbortError')));
+    }));
+
+    beforeEach(() => jest.useFakeTimers());
+    afterEach(() => jest.useRealTimers());
+
+    test('rejects with a timeout error when the server does not answer', async () => {
+      const client = createApiClient({ baseUrl: 'http://api.test/api', fetch: hangingFetch(), timeout: 1000 });
+
+      const pending = client.board.get();
+      jest.advanceTimersByTime(1000);
+
+      await expect(pending).rejects.toMatchObject({ code: 'timeout' });
+    });
+
+    test('allows the timeout to be overridden per request', async () => {
+      const client = createApiClient({ baseUrl: 'http://api.test/api', fetch: hangingFetch(), timeout: 1000 });
+
+      const pending = client.board.get({}, { timeout: 50 });
+      jest.advanceTimersByTime(50);
+
+      await expect(pending).rejects.toMatchObject({ code: 'timeout' });
+    });
+
+    test('rejects with an aborted error when the caller aborts', async () => {
+      const client = createApiClient({ baseUrl: 'http://api.test/api', fetch: hangingFetch() });
+      const controller = new AbortController();
+
+      const pending = client.board.get({}, { signal: controller.signal });
+      controller.abort();
+
+      await expect(pending).rejects.toMatchObject({ code: 'aborted' });
+    });
+  });
+});
+
+describe('parseErrorBody', () => {
+  test('reads a bare ModelState dictionary', () => {
+    const result = parseErrorBody({ Description: ['Too long'], '$.deadline': ['Invalid date'] }, 400);
+
+    expect(result.fieldErrors).toEqual({ description: ['Too long'], deadline: ['Invalid date'] });
+    expect(result.message).toBe('Too long Invalid date');
+  });
+
+  test('reads ProblemDetails without field errors', () => {
+    expect(parseErrorBody({ title: 'Not Found', status: 404 }, 404).message).toBe('Not Found');
+  });
+});
+
+describe('progress uploads', () => {
+  class FakeXhr {
+    static instances = [];
+
+    constructor() {
+      this.headers = {};
+      this.upload = {};
+      FakeXhr.instances.push(this);
+    }
+
+    open(method, url) {
+      this.method = method;
+      this.url = url;
+    }
+
+    setRequestHeader(name, value) {
+      this.headers[name] = value;
+    }
+
+    getResponseHeader(name) {
+      return name.toLowerCase() === 'content-type' ? 'application/json' : null;
+    }
+
+    send(body) {
+      this.body = body;
+    }
+
+    abort() {
+      this.onabort();
+    }
+
+    respond(status, body) {
+      this.status = status;
+      this.responseText = JSON.stringify(body);
+      this.onload();
+    }
+  }
+
+  const setupXhr = () => {
+    FakeXhr.instances = [];
+    return createApiClient({ baseUrl: 'http://api.test/api', fetch: jest.fn(), XMLHttpRequest: FakeXhr });
+  };
+
+  test('reports progress and resolves with the attachment', async () => {
+    const client = setupXhr();
+    const onProgress = jest.fn();
+
+    const upload = client.attachments.upload(3, new File(['x'], 'a.png'), { onProgress });
+    const xhr = FakeXhr.instances[0];
+    xhr.upload.onprogress({ lengthComputable: true, loaded: 50, total: 200 });
+    xhr.respond(200, { id: 7, fileName: 'a.png' });
+
+    await expect(upload).resolves.toEqual({ id: 7, fileName: 'a.png' });
+    expect(xhr.url).toBe('http://api.test/api/attachments/tasks/3');
+    expect(xhr.headers['X-Client-Id']).toBe(CLIENT_ID);
+    expect(xhr.headers).not.toHaveProperty('Authorization');
+    expect(onProgress).toHaveBeenCalledWith(0.25);
+  });
+
+  test('sends the sign-in token and board with uploads', () => {
+    const client = setupXhr();
+    client.setAuthToken('abc');
+    client.setBoardId(3);
+
+    client.attachments.upload(3, new File(['x'], 'a.png'), { onProgress: jest.fn() });
+
+    expect(FakeXhr.instances[0].headers).toMatchObject({ Authorization: 'Bearer abc', 'X-Board-Id': '3' });
+  });
+
+  test('rejects with parsed errors', async () => {
+    const client = setupXhr();
+
+    const upload = client.attachments.upload(3, new File(['x'], 'a.png'), { onProgress: jest.fn() });
+    FakeXhr.instances[0].respond(400, 'Task not found');
+
+    await expect(upload).rejects.toMatchObject({ status: 400, message: 'Task not found' });
+  });
+
+  test('aborts through the signal', async () => {
+    const client = setupXhr();
+    const controller = new AbortController();
+
+    const upload = client.attachments.upload(3, new File(['x'], 'a.png'), {
+      onProgress: jest.fn(),
+      signal: controller.signal
+    });
+    controller.abort();
+
+    await expect(upload).rejects.toMatchObject({ code: 'aborted' });
+  });
+});
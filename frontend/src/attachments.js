@@ -0,0 +1,30 @@
+// Attachment helpers shared by task cards, the task modal and the gallery.
+
+// Mirrors AttachmentService.PreviewContentTypes on the backend; anything else
+// is download-only.
+export const PREVIEW_CONTENT_TYPES = ['image/jpeg', 'image/png', 'image/gif', 'image/webp'];
+
+export const MAX_CARD_THUMBNAILS = 3;
+
+export const isPreviewable = (attachment) =>
+  PREVIEW_CONTENT_TYPES.includes((attachment.contentType || '').toLowerCase());
+
+export const getPreviewableAttachments = (attachments) => attachments.filter(isPreviewable);
+
+// What the create form, the task modal and file drops accept. Size isn't
+// checked here; large images are shrunk when they are prepared for upload.
+export const UPLOAD_IMAGE_TYPES = ['image/jpeg', 'image/jpg', 'image/png', 'image/gif', 'image/webp'];
+
+/**
+ * Keeps the picked or dropped files that can be uploaded. `error` describes
+ * the rest, or is null when every file was accepted.
+ */
+export const validateImageFiles = (files) => {
+  const rejected = files.filter(file => !UPLOAD_IMAGE_TYPES.includes(file.type));
+  return {
+    files: files.filter(file => !rejected.includes(file)),
+    error: rejected.length > 0
+      ? rejected.map(file => `${file.name}: Only image files (JPEG, PNG, GIF, WebP) are allowed`).join('. ')
+      : null
+  };
+};
@@ -0,0 +1,29 @@
+import { isPreviewable, getPreviewableAttachments, validateImageFiles } from './attachments';
+
+test('only raster image types are previewable', () => {
+  expect(isPreviewable({ contentType: 'image/png' })).toBe(true);
+  expect(isPreviewable({ contentType: 'IMAGE/JPEG' })).toBe(true);
+  expect(isPreviewable({ contentType: 'image/svg+xml' })).toBe(false);
+  expect(isPreviewable({ contentType: 'application/pdf' })).toBe(false);
+  expect(isPreviewable({})).toBe(false);
+});
+
+test('getPreviewableAttachments keeps order', () => {
+  const attachments = [
+    { id: 1, contentType: 'image/gif' },
+    { id: 2, contentType: 'text/plain' },
+    { id: 3, contentType: 'image/webp' }
+  ];
+  expect(getPreviewableAttachments(attachments).map(a => a.id)).toEqual([1, 3]);
+});
+
+test('validateImageFiles keeps images and names the rest', () => {
+  const photo = new File(['x'], 'photo.jpg', { type: 'image/jpeg' });
+  const notes = new File(['x'], 'notes.txt', { type: 'text/plain' });
+
+  expect(validateImageFiles([photo, notes])).toEqual({
+    files: [photo],
+    error: 'notes.txt: Only image files (JPEG, PNG, GIF, WebP) are allowed'
+  });
+  expect(validateImageFiles([photo]).error).toBeNull();
+});
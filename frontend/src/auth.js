@@ -0,0 +1,102 @@
+// Signing up, in and out. The session (token and user) is kept in
+// localStorage so a reload stays signed in, and handed to the API client,
+// which sends the token with every request. Any 401 from the server ends it.
+
+import { useCallback, useEffect, useState } from 'react';
+import api from './api/client';
+import { forgetCachedBoards } from './boardCache';
+import { isOfflineError } from './offlineQueue';
+
+const SESSION_KEY = 'task-board-session';
+
+/**
+ * The stored session, or null when there is none or it has expired.
+ *
+ * @returns {?import('./api/client').AuthSession}
+ */
+export const loadSession = (storage = window.localStorage, now = new Date()) => {
+  try {
+    const session = JSON.parse(storage.getItem(SESSION_KEY));
+    if (session && typeof session.token === 'string' && session.token && session.user
+      && !(new Date(session.expiresAt) <= now)) {
+      return session;
+    }
+  } catch {
+    // Unreadable; treated as signed out
+  }
+  return null;
+};
+
+export const saveSession = (session, storage = window.localStorage) => {
+  storage.setItem(SESSION_KEY, JSON.stringify(session));
+};
+
+export const clearSession = (storage = window.localStorage) => {
+  storage.removeItem(SESSION_KEY);
+};
+
+/**
+ * The signed-in user and the actions to change that. A stored session is
+ * trusted right away, so the cached boards still open without a connection,
+ * and checked with the server in the background.
+ */
+export function useAuth() {
+  const [session, setSession] = useState(() => {
+    const stored = loadSession();
+    // Before any child effect can send a request
+    api.setAuthToken(stored?.token ?? null);
+    return stored;
+  });
+
+  const start = useCallback((started) => {
+    saveSession(started);
+    api.setAuthToken(started.token);
+    setSession(started);
+  }, []);
+
+  const end = useCallback(() => {
+    clearSession();
+    api.setAuthToken(null);
+    api.setBoardId(null);
+    forgetCachedBoards();
+    setSession(null);
+  }, []);
+
+  useEffect(() => {
+    api.setUnauthorizedHandler(end);
+    return () => api.setUnauthorizedHandler(null);
+  }, [end]);
+
+  const token = session?.token;
+  useEffect(() => {
+    if (!token) return;
+    let cancelled = false;
+    api.auth.me().then((user) => {
+      if (cancelled) return;
+      setSession(current => {
+        const updated = { ...current, user };
+        saveSession(updated);
+        return updated;
+      });
+    }).catch((err) => {
+      // A 401 has already signed out; anything else keeps the stored session
+      if (!isOfflineError(err) && err.status !== 401) console.error('Could not check the session', err);
+    });
+    return () => { cancelled = true; };
+  }, [token]);
+
+  const logIn = useCallback(async (credentials) => start(await api.auth.logIn(credentials)), [start]);
+  const signUp = useCallback(async (details) => start(await api.auth.signUp(details)), [start]);
+
+  const logOut = useCallback(async () => {
+    try {
+      await api.auth.logOut();
+    } catch (err) {
+      console.error('Could not end the session on the server', err);
+    } finally {
+      end();
+    }
+  }, [end]);
+
+  return { user: session?.user ?? null, logIn, signUp, logOut };
+}
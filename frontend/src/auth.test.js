@@ -0,0 +1,27 @@
+import { loadSession, saveSession, clearSession } from './auth';
+
+const session = { token: 'tok', expiresAt: '2026-02-01T00:00:00Z', user: { id: 1, email: 'ann@example.com', displayName: 'Ann' } };
+const now = new Date('2026-01-15T00:00:00Z');
+
+beforeEach(() => window.localStorage.clear());
+
+test('loads a saved session until it expires', () => {
+  saveSession(session);
+
+  expect(loadSession(window.localStorage, now)).toEqual(session);
+  expect(loadSession(window.localStorage, new Date('2026-02-01T00:00:00Z'))).toBeNull();
+});
+
+test('treats a missing, cleared or unreadable session as signed out', () => {
+  expect(loadSession(window.localStorage, now)).toBeNull();
+
+  saveSession(session);
+  clearSession();
+  expect(loadSession(window.localStorage, now)).toBeNull();
+
+  window.localStorage.setItem('task-board-session', '{not json');
+  expect(loadSession(window.localStorage, now)).toBeNull();
+
+  saveSession({ ...session, token: '' });
+  expect(loadSession(window.localStorage, now)).toBeNull();
+});
@@ -0,0 +1,138 @@
+// Local copy of each board and of changes waiting to be sent, kept in
+// IndexedDB so the last-known board still opens without a connection.
+//
+// Failures to read or write are logged and otherwise ignored: the cache only
+// ever makes things better, and the server stays the source of truth.
+
+const DB_NAME = 'task-board';
+const DB_VERSION = 1;
+const STORE = 'cache';
+
+export const CACHE_KEYS = { board: 'board', outbox: 'outbox' };
+
+const promisify = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+// Browsers without IndexedDB (and private modes that block it) simply get no cache
+const noCache = {
+  get: () => Promise.resolve(undefined),
+  set: () => Promise.resolve(),
+  clear: () => Promise.resolve()
+};
+
+/**
+ * A key/value cache on IndexedDB. `get` resolves to undefined for missing
+ * keys and on errors; `clear` empties it, except for the keys `keep` accepts.
+ *
+ * @param {IDBFactory} [factory] - Defaults to window.indexedDB
+ * @returns {{
+ *   get: (key: string) => Promise<any>,
+ *   set: (key: string, value: any) => Promise<void>,
+ *   clear: (keep?: (key: string) => boolean) => Promise<void>
+ * }}
+ */
+export function openBoardCache(factory = typeof indexedDB !== 'undefined' ? indexedDB : null) {
+  if (!factory) return noCache;
+
+  let db = null;
+  const open = () => {
+    if (!db) {
+      const request = factory.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => request.result.createObjectStore(STORE);
+      // A failed open is retried on the next access
+      db = promisify(request).catch((err) => {
+        db = null;
+        throw err;
+      });
+    }
+    return db;
+  };
+
+  const run = async (mode, operation) => {
+    const database = await open();
+    return promisify(operation(database.transaction(STORE, mode).objectStore(STORE)));
+  };
+
+  const deleteAllBut = async (keep) => {
+    const database = await open();
+    const transaction = database.transaction(STORE, 'readwrite');
+    const store = transaction.objectStore(STORE);
+    // Deleted from the callback, while the transaction is still active
+    store.getAllKeys().onsuccess = (event) => {
+      event.target.result.filter(key => !keep(key)).forEach(key => store.delete(key));
+    };
+    await new Promise((resolve, reject) => {
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+    });
+  };
+
+  return {
+    get: (key) => run('readonly', store => store.get(key)).catch((err) => {
+      console.error('Could not read the board cache', err);
+      return undefined;
+    }),
+    set: (key, value) => run('readwrite', store => store.put(value, key)).then(() => {}, (err) => {
+      console.error('Could not update the board cache', err);
+    }),
+    clear: (keep) => (keep ? deleteAllBut(keep) : run('readwrite', store => store.clear())).then(() => {}, (err) => {
+      console.error('Could not clear the board cache', err);
+    })
+  };
+}
+
+/**
+ * An in-memory cache with the same interface, for tests.
+ */
+export const createMemoryCache = (initial = {}) => {
+  const values = new Map(Object.entries(initial));
+  return {
+    get: (key) => Promise.resolve(values.get(key)),
+    set: (key, value) => {
+      values.set(key, value);
+      return Promise.resolve();
+    },
+    clear: (keep = () => false) => {
+      [...values.keys()].filter(key => !keep(key)).forEach(key => values.delete(key));
+      return Promise.resolve();
+    }
+  };
+};
+
+/**
+ * A view of `cache` that keeps its keys apart from other views by prefixing
+ * them, so each board has its own `board` and `outbox` entries.
+ */
+export const scopeCache = (cache, prefix) => ({
+  get: (key) => cache.get(`${prefix}:${key}`),
+  set: (key, value) => cache.set(`${prefix}:${key}`, value)
+});
+
+let sharedCache = null;
+const boardCaches = new Map();
+
+const openSharedCache = () => {
+  if (!sharedCache) sharedCache = openBoardCache();
+  return sharedCache;
+};
+
+/**
+ * The cache for one user's copy of a board, opened on first use. Without a
+ * board id this is the app-wide cache itself.
+ */
+export const getBoardCache = (boardId, userId) => {
+  if (boardId == null) return openSharedCache();
+  const prefix = `user-${userId}:board-${boardId}`;
+  if (!boardCaches.has(prefix)) boardCaches.set(prefix, scopeCache(openSharedCache(), prefix));
+  return boardCaches.get(prefix);
+};
+
+/**
+ * Forgets every cached board, for signing out. Changes still waiting to be
+ * sent are kept: they are under their user's name and go out once that user
+ * signs in again.
+ */
+export const forgetCachedBoards = (cache = openSharedCache()) =>
+  cache.clear(key => key.endsWith(`:${CACHE_KEYS.outbox}`));
@@ -0,0 +1,29 @@
+import { createMemoryCache, scopeCache, forgetCachedBoards } from './boardCache';
+
+test('keeps each board apart under its own prefix', async () => {
+  const cache = createMemoryCache();
+  const ann = scopeCache(cache, 'user-7:board-1');
+  const bob = scopeCache(cache, 'user-8:board-1');
+
+  await ann.set('outbox', ['edit']);
+
+  await expect(ann.get('outbox')).resolves.toEqual(['edit']);
+  await expect(bob.get('outbox')).resolves.toBeUndefined();
+});
+
+test('forgets cached boards on sign-out but keeps changes waiting to be sent', async () => {
+  const cache = createMemoryCache();
+  const ann = scopeCache(cache, 'user-7:board-1');
+  const bob = scopeCache(cache, 'user-8:board-2');
+  await ann.set('board', { columns: [] });
+  await ann.set('outbox', ['edit']);
+  await bob.set('board', { columns: [] });
+  await bob.set('outbox', ['delete']);
+
+  await forgetCachedBoards(cache);
+
+  await expect(ann.get('board')).resolves.toBeUndefined();
+  await expect(bob.get('board')).resolves.toBeUndefined();
+  await expect(ann.get('outbox')).resolves.toEqual(['edit']);
+  await expect(bob.get('outbox')).resolves.toEqual(['delete']);
+});
@@ -0,0 +1,150 @@
+// Live board updates pushed by the backend over Server-Sent Events.
+
+import { useEffect, useRef, useState } from 'react';
+import api, { CLIENT_ID } from './api/client';
+import {
+  addAttachment, addColumn, addTask, moveTask, removeAttachment, removeColumn, removeLabel, removeMember, removeTask,
+  renameColumn, reorderColumns, replaceTask, saveLabel, saveMember
+} from './boardStore';
+
+/**
+ * Applies an event from GET /api/events to a board. Unknown event types
+ * leave the board unchanged.
+ */
+export const applyBoardEvent = (board, { type, data }) => {
+  switch (type) {
+    case 'task.created':
+      return addTask(board, data);
+    case 'task.updated':
+      return replaceTask(board, data);
+    case 'task.moved':
+      return moveTask(replaceTask(board, data), data.id, data.columnId, data.sortOrder - 1);
+    case 'task.deleted':
+      return removeTask(board, data.id);
+    case 'column.created':
+      return addColumn(board, data);
+    case 'column.updated':
+      return renameColumn(board, data.id, data.name);
+    case 'column.deleted':
+      return removeColumn(board, data.id);
+    case 'columns.reordered':
+      return reorderColumns(board, data.columnIds);
+    case 'attachment.created':
+      return addAttachment(board, data.taskId, data.attachment);
+    case 'attachment.deleted':
+      return removeAttachment(board, data.id);
+    case 'label.created':
+    case 'label.updated':
+      return saveLabel(board, data);
+    case 'label.deleted':
+      return removeLabel(board, data.id);
+    case 'member.created':
+    case 'member.updated':
+      return saveMember(board, data);
+    case 'member.deleted':
+      return removeMember(board, data.id);
+    default:
+      return board;
+  }
+};
+
+/**
+ * Opens the event stream and keeps it open, reconnecting with exponential
+ * backoff when it drops. Returns a function that closes the connection.
+ *
+ * `onReconnect` runs after a dropped connection is restored, since events
+ * sent while disconnected are lost and the board needs reloading.
+ * `onStatusChange` receives 'connecting', 'open' or 'reconnecting'.
+ */
+export function connectBoardEvents({
+  url,
+  onEvent,
+  onReconnect,
+  onStatusChange,
+  initialDelay = 1000,
+  maxDelay = 30000,
+  EventSourceImpl = typeof window !== 'undefined' ? window.EventSource : undefined
+}) {
+  if (!EventSourceImpl) return () => {};
+
+  let source = null;
+  let retryTimer = null;
+  let attempt = 0;
+  let hasConnected = false;
+  let closed = false;
+
+  const setStatus = (status) => onStatusChange && onStatusChange(status);
+
+  const connect = () => {
+    setStatus(hasConnected ? 'reconnecting' : 'connecting');
+    source = new EventSourceImpl(url);
+
+    source.onopen = () => {
+      const recovered = hasConnected || attempt > 0;
+      attempt = 0;
+      hasConnected = true;
+      setStatus('open');
+      if (recovered && onReconnect) onReconnect();
+    };
+
+    source.onmessage = (message) => {
+      let event;
+      try {
+        event = JSON.parse(message.data);
+      } catch {
+        console.error('Ignoring malformed board event', message.data);
+        return;
+      }
+      onEvent(event);
+    };
+
+    source.onerror = () => {
+      // Manage retries ourselves so repeated failures back off
+      source.close();
+      if (closed) return;
+      setStatus('reconnecting');
+      const delay = Math.min(maxDelay, initialDelay * 2 ** attempt);
+      attempt++;
+      retryTimer = setTimeout(connect, delay);
+    };
+  };
+
+  connect();
+
+  return () => {
+    closed = true;
+    clearTimeout(retryTimer);
+    if (source) source.close();
+  };
+}
+
+/**
+ * Subscribes the board store to live events for the lifetime of the
+ * component. Returns the connection status for display.
+ *
+ * `onEvent` also receives every event from other clients, for state kept
+ * outside the board such as comment threads.
+ */
+export function useBoardEvents({ applyRemote, refresh, onEvent }) {
+  const [status, setStatus] = useState('connecting');
+  const onEventRef = useRef(onEvent);
+  onEventRef.current = onEvent;
+
+  useEffect(() => connectBoardEvents({
+    url: api.board.eventsUrl(),
+    onEvent: (event) => {
+      if (event.sourceClientId === CLIENT_ID) return;
+      if (onEventRef.current) onEventRef.current(event);
+      // Too many changes to send one by one
+      if (event.type === 'board.imported') {
+        refresh().catch(() => {});
+        return;
+      }
+      applyRemote((board) => applyBoardEvent(board, event));
+    },
+    onReconnect: () => refresh().catch(() => {}),
+    onStatusChange: setStatus
+  }), [applyRemote, refresh]);
+
+  return status;
+}
@@ -0,0 +1,163 @@
+import { applyBoardEvent, connectBoardEvents } from './boardEvents';
+
+const task = (id, columnId, sortOrder, extra = {}) => ({
+  id, name: `Task ${id}`, columnId, columnName: `Column ${columnId}`, sortOrder,
+  isFavorite: false, attachments: [], ...extra
+});
+
+const makeBoard = () => ({
+  columns: [
+    { id: 1, name: 'To Do', sortOrder: 1, tasks: [task(1, 1, 1), task(2, 1, 2)] },
+    { id: 2, name: 'Done', sortOrder: 2, tasks: [] }
+  ]
+});
+
+describe('applyBoardEvent', () => {
+  test('adds created tasks', () => {
+    const board = applyBoardEvent(makeBoard(), { type: 'task.created', data: task(3, 2, 1) });
+    expect(board.columns[1].tasks.map(t => t.id)).toEqual([3]);
+  });
+
+  test('places moved tasks at their new position', () => {
+    const board = applyBoardEvent(makeBoard(), { type: 'task.moved', data: task(2, 1, 1) });
+    expect(board.columns[0].tasks.map(t => t.id)).toEqual([2, 1]);
+  });
+
+  test('removes deleted tasks and columns', () => {
+    let board = applyBoardEvent(makeBoard(), { type: 'task.deleted', data: { id: 1 } });
+    board = applyBoardEvent(board, { type: 'column.deleted', data: { id: 2 } });
+    expect(board.columns).toHaveLength(1);
+    expect(board.columns[0].tasks.map(t => t.id)).toEqual([2]);
+  });
+
+  test('applies column renames and reorders', () => {
+    let board = applyBoardEvent(makeBoard(), { type: 'column.updated', data: { id: 2, name: 'Shipped' } });
+    board = applyBoardEvent(board, { type: 'columns.reordered', data: { columnIds: [2, 1] } });
+    expect(board.columns.map(c => c.name)).toEqual(['Shipped', 'To Do']);
+  });
+
+  test('tracks attachments', () => {
+    let board = applyBoardEvent(makeBoard(), {
+      type: 'attachment.created',
+      data: { taskId: 1, attachment: { id: 8, fileName: 'a.png' } }
+    });
+    expect(board.columns[0].tasks[0].attachments).toHaveLength(1);
+    board = applyBoardEvent(board, { type: 'attachment.deleted', data: { id: 8 } });
+    expect(board.columns[0].tasks[0].attachments).toHaveLength(0);
+  });
+
+  test('tracks labels and members', () => {
+    let board = applyBoardEvent(makeBoard(), { type: 'label.created', data: { id: 3, name: 'Bug', color: '#e03131' } });
+    board = applyBoardEvent(board, { type: 'label.updated', data: { id: 3, name: 'Defect', color: '#e03131' } });
+    board = applyBoardEvent(board, { type: 'member.created', data: { id: 5, name: 'Ana', color: '#1971c2' } });
+    expect(board.labels.map(l => l.name)).toEqual(['Defect']);
+    expect(board.members.map(m => m.name)).toEqual(['Ana']);
+
+    board = applyBoardEvent(board, { type: 'label.deleted', data: { id: 3 } });
+    board = applyBoardEvent(board, { type: 'member.deleted', data: { id: 5 } });
+    expect(board.labels).toEqual([]);
+    expect(board.members).toEqual([]);
+  });
+
+  test('ignores unknown events', () => {
+    const board = makeBoard();
+    expect(applyBoardEvent(board, { type: 'something.else', data: {} })).toBe(board);
+  });
+});
+
+describe('connectBoardEvents', () => {
+  let sources;
+
+  class FakeEventSource {
+    constructor(url) {
+      this.url = url;
+      this.closed = false;
+      sources.push(this);
+    }
+
+    close() {
+      this.closed = true;
+    }
+  }
+
+  beforeEach(() => {
+    sources = [];
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => jest.useRealTimers());
+
+  const connect = (overrides = {}) => {
+    const handlers = { onEvent: jest.fn(), onReconnect: jest.fn(), onStatusChange: jest.fn(), ...overrides };
+    const disconnect = connectBoardEvents({
+      url: 'http://api.test/api/events',
+      EventSourceImpl: FakeEventSource,
+      initialDelay: 100,
+      maxDelay: 300,
+      ...handlers
+    });
+    return { ...handlers, disconnect };
+  };
+
+  test('passes parsed events to the handler', () => {
+    const { onEvent } = connect();
+
+    sources[0].onopen();
+    sources[0].onmessage({ data: JSON.stringify({ type: 'task.deleted', data: { id: 1 } }) });
+
+    expect(onEvent).toHaveBeenCalledWith({ type: 'task.deleted', data: { id: 1 } });
+  });
+
+  test('reconnects with exponential backoff', () => {
+    const { onStatusChange } = connect();
+
+    sources[0].onerror();
+    expect(sources[0].closed).toBe(true);
+    expect(onStatusChange).toHaveBeenLastCalledWith('reconnecting');
+
+    jest.advanceTimersByTime(99);
+    expect(sources).toHaveLength(1);
+    jest.advanceTimersByTime(1);
+    expect(sources).toHaveLength(2);
+
+    sources[1].onerror();
+    jest.advanceTimersByTime(199);
+    expect(sources).toHaveLength(2);
+    jest.advanceTimersByTime(1);
+    expect(sources).toHaveLength(3);
+
+    // Capped at maxDelay
+    sources[2].onerror();
+    jest.advanceTimersByTime(300);
+    expect(sources).toHaveLength(4);
+  });
+
+  test('reloads the board after recovering a dropped connection', () => {
+    const { onReconnect, onStatusChange } = connect();
+
+    sources[0].onopen();
+    expect(onReconnect).not.toHaveBeenCalled();
+
+    sources[0].onerror();
+    jest.advanceTimersByTime(100);
+    sources[1].onopen();
+
+    expect(onReconnect).toHaveBeenCalledTimes(1);
+    expect(onStatusChange).toHaveBeenLastCalledWith('open');
+  });
+
+  test('stops reconnecting once disconnected', () => {
+    const { disconnect } = connect();
+
+    sources[0].onerror();
+    disconnect();
+    jest.advanceTimersByTime(1000);
+
+    expect(sources).toHaveLength(1);
+  });
+
+  test('does nothing without EventSource support', () => {
+    const disconnect = connectBoardEvents({ url: 'x', onEvent: jest.fn(), EventSourceImpl: undefined });
+    expect(() => disconnect()).not.toThrow();
+  });
+});
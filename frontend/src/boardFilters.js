@@ -0,0 +1,155 @@
+// Board search and filters, plus the URL and localStorage persistence for them.
+
+import { dateKey, deadlineKey } from './deadlines';
+import { isChecklistComplete, isChecklistIncomplete } from './checklists';
+import { DEFAULT_PRIORITY, PRIORITIES } from './taskMetadata';
+
+export const DEFAULT_FILTERS = {
+  q: '',
+  favorites: false,
+  deadline: 'any', // 'any' | 'overdue' | 'week' | 'none'
+  attachments: 'any', // 'any' | 'with' | 'without'
+  checklist: 'any', // 'any' | 'incomplete' | 'complete'
+  priority: 'any', // 'any' | 'urgent' | 'high' | 'medium' | 'low'
+  label: 'any', // 'any' | a label ID
+  assignee: 'any' // 'any' | 'none' | a member ID
+};
+
+const DEADLINE_OPTIONS = ['any', 'overdue', 'week', 'none'];
+const ATTACHMENT_OPTIONS = ['any', 'with', 'without'];
+const CHECKLIST_OPTIONS = ['any', 'incomplete', 'complete'];
+const PRIORITY_OPTIONS = ['any', ...PRIORITIES.map(p => p.value)];
+
+// Label and member IDs are kept as strings, like the <select> values
+const isId = (value) => /^\d+$/.test(value || '');
+
+export const SAVED_VIEWS_KEY = 'taskBoard.savedViews';
+
+export const hasActiveFilters = (filters) =>
+  Object.keys(DEFAULT_FILTERS).some(key => filters[key] !== DEFAULT_FILTERS[key]);
+
+/**
+ * Reads filters from a query string such as "?q=login&deadline=overdue".
+ * Unknown or invalid values fall back to the defaults.
+ */
+export const filtersFromSearch = (search) => {
+  const params = new URLSearchParams(search);
+  const deadline = params.get('deadline');
+  const attachments = params.get('attachments');
+  const checklist = params.get('checklist');
+  const priority = params.get('priority');
+  const label = params.get('label');
+  const assignee = params.get('assignee');
+
+  return {
+    q: params.get('q') || '',
+    favorites: params.get('favorites') === '1',
+    deadline: DEADLINE_OPTIONS.includes(deadline) ? deadline : 'any',
+    attachments: ATTACHMENT_OPTIONS.includes(attachments) ? attachments : 'any',
+    checklist: CHECKLIST_OPTIONS.includes(checklist) ? checklist : 'any',
+    priority: PRIORITY_OPTIONS.includes(priority) ? priority : 'any',
+    label: isId(label) ? label : 'any',
+    assignee: assignee === 'none' || isId(assignee) ? assignee : 'any'
+  };
+};
+
+/**
+ * Writes filters into a query string, keeping unrelated parameters and
+ * leaving defaults out so an unfiltered board has a clean URL.
+ */
+export const filtersToSearch = (filters, currentSearch = '') => {
+  const params = new URLSearchParams(currentSearch);
+  for (const key of Object.keys(DEFAULT_FILTERS)) params.delete(key);
+
+  if (filters.q.trim()) params.set('q', filters.q.trim());
+  if (filters.favorites) params.set('favorites', '1');
+  if (filters.deadline !== 'any') params.set('deadline', filters.deadline);
+  if (filters.attachments !== 'any') params.set('attachments', filters.attachments);
+  if (filters.checklist !== 'any') params.set('checklist', filters.checklist);
+  if (filters.priority !== 'any') params.set('priority', filters.priority);
+  if (filters.label !== 'any') params.set('label', filters.label);
+  if (filters.assignee !== 'any') params.set('assignee', filters.assignee);
+
+  const search = params.toString();
+  return search ? `?${search}` : '';
+};
+
+const endOfWeekKey = (now) => {
+  // Weeks run Monday to Sunday
+  const end = new Date(now);
+  end.setDate(now.getDate() + ((7 - now.getDay()) % 7));
+  return dateKey(end);
+};
+
+const matchesDeadline = (task, window, now) => {
+  if (window === 'any') return true;
+  if (window === 'none') return !task.deadline;
+  if (!task.deadline) return false;
+
+  const due = deadlineKey(task.deadline);
+  const today = dateKey(now);
+  if (window === 'overdue') return due < today;
+  if (window === 'week') return due >= today && due <= endOfWeekKey(now);
+  return true;
+};
+
+export const matchesFilters = (task, filters, now = new Date()) => {
+  const query = filters.q.trim().toLowerCase();
+  if (query) {
+    const text = `${task.name} ${task.description || ''}`.toLowerCase();
+    if (!text.includes(query)) return false;
+  }
+  if (filters.favorites && !task.isFavorite) return false;
+  if (!matchesDeadline(task, filters.deadline, now)) return false;
+  if (filters.attachments === 'with' && task.attachments.length === 0) return false;
+  if (filters.attachments === 'without' && task.attachments.length > 0) return false;
+  if (filters.checklist === 'incomplete' && !isChecklistIncomplete(task)) return false;
+  if (filters.checklist === 'complete' && !isChecklistComplete(task)) return false;
+  if (filters.priority !== 'any' && (task.priority || DEFAULT_PRIORITY) !== filters.priority) return false;
+  if (filters.label !== 'any' && !(task.labelIds || []).includes(Number(filters.label))) return false;
+  if (filters.assignee === 'none' && task.assigneeIds?.length > 0) return false;
+  if (isId(filters.assignee) && !(task.assigneeIds || []).includes(Number(filters.assignee))) return false;
+  return true;
+};
+
+/**
+ * Returns the board with only matching tasks in each column.
+ */
+export const filterBoard = (board, filters, now = new Date()) => {
+  if (!hasActiveFilters(filters)) return board;
+  return {
+    ...board,
+    columns: board.columns.map(col => ({
+      ...col,
+      tasks: col.tasks.filter(task => matchesFilters(task, filters, now))
+    }))
+  };
+};
+
+// --- Saved views -----------------------------------------------------------
+
+export const loadSavedViews = (storage = window.localStorage) => {
+  try {
+    const views = JSON.parse(storage.getItem(SAVED_VIEWS_KEY));
+    return Array.isArray(views) ? views : [];
+  } catch {
+    return [];
+  }
+};
+
+/**
+ * Saves filters under a name, replacing any view with the same name.
+ * Returns the updated list of views.
+ */
+export const saveView = (name, filters, storage = window.localStorage) => {
+  const views = loadSavedViews(storage).filter(view => view.name !== name);
+  const updated = [...views, { name, filters }].sort((a, b) => a.name.localeCompare(b.name));
+  storage.setItem(SAVED_VIEWS_KEY, JSON.stringify(updated));
+  return updated;
+};
+
+export const deleteView = (name, storage = window.localStorage) => {
+  const updated = loadSavedViews(storage).filter(view => view.name !== name);
+  storage.setItem(SAVED_VIEWS_KEY, JSON.stringify(updated));
+  return updated;
+};
@@ -0,0 +1,137 @@
+import {
+  DEFAULT_FILTERS, filtersFromSearch, filtersToSearch, filterBoard, matchesFilters,
+  hasActiveFilters, loadSavedViews, saveView, deleteView
+} from './boardFilters';
+
+const task = (extra = {}) => ({
+  id: 1, name: 'Fix login', description: 'OAuth redirect loop', deadline: null,
+  isFavorite: false, attachments: [], ...extra
+});
+
+// Wednesday 12 March 2025, local time
+const now = new Date(2025, 2, 12, 10, 0, 0);
+const filters = (extra) => ({ ...DEFAULT_FILTERS, ...extra });
+
+describe('matchesFilters', () => {
+  test('searches name and description case-insensitively', () => {
+    expect(matchesFilters(task(), filters({ q: 'LOGIN' }), now)).toBe(true);
+    expect(matchesFilters(task(), filters({ q: 'redirect' }), now)).toBe(true);
+    expect(matchesFilters(task(), filters({ q: 'billing' }), now)).toBe(false);
+  });
+
+  test('filters favorites', () => {
+    expect(matchesFilters(task(), filters({ favorites: true }), now)).toBe(false);
+    expect(matchesFilters(task({ isFavorite: true }), filters({ favorites: true }), now)).toBe(true);
+  });
+
+  test('filters overdue tasks', () => {
+    const f = filters({ deadline: 'overdue' });
+    expect(matchesFilters(task({ deadline: '2025-03-11T00:00:00' }), f, now)).toBe(true);
+    expect(matchesFilters(task({ deadline: '2025-03-12T00:00:00' }), f, now)).toBe(false);
+    expect(matchesFilters(task(), f, now)).toBe(false);
+  });
+
+  test('filters tasks due this week through Sunday', () => {
+    const f = filters({ deadline: 'week' });
+    expect(matchesFilters(task({ deadline: '2025-03-12T00:00:00' }), f, now)).toBe(true);
+    expect(matchesFilters(task({ deadline: '2025-03-16T00:00:00' }), f, now)).toBe(true);
+    expect(matchesFilters(task({ deadline: '2025-03-17T00:00:00' }), f, now)).toBe(false);
+    expect(matchesFilters(task({ deadline: '2025-03-10T00:00:00' }), f, now)).toBe(false);
+  });
+
+  test('filters tasks without a deadline', () => {
+    const f = filters({ deadline: 'none' });
+    expect(matchesFilters(task(), f, now)).toBe(true);
+    expect(matchesFilters(task({ deadline: '2025-03-12T00:00:00' }), f, now)).toBe(false);
+  });
+
+  test('filters by attachments', () => {
+    const withImage = task({ attachments: [{ id: 1 }] });
+    expect(matchesFilters(withImage, filters({ attachments: 'with' }), now)).toBe(true);
+    expect(matchesFilters(task(), filters({ attachments: 'with' }), now)).toBe(false);
+    expect(matchesFilters(withImage, filters({ attachments: 'without' }), now)).toBe(false);
+  });
+
+  test('filters by checklist progress', () => {
+    const open = task({ checklistItems: [{ id: 1, isDone: true }, { id: 2, isDone: false }] });
+    const done = task({ checklistItems: [{ id: 1, isDone: true }] });
+
+    expect(matchesFilters(open, filters({ checklist: 'incomplete' }), now)).toBe(true);
+    expect(matchesFilters(done, filters({ checklist: 'incomplete' }), now)).toBe(false);
+    expect(matchesFilters(task(), filters({ checklist: 'incomplete' }), now)).toBe(false);
+    expect(matchesFilters(done, filters({ checklist: 'complete' }), now)).toBe(true);
+  });
+
+  test('filters by priority, label and assignee', () => {
+    const tagged = task({ priority: 'high', labelIds: [3, 4], assigneeIds: [7] });
+
+    expect(matchesFilters(tagged, filters({ priority: 'high', label: '4', assignee: '7' }), now)).toBe(true);
+    expect(matchesFilters(tagged, filters({ priority: 'low' }), now)).toBe(false);
+    expect(matchesFilters(tagged, filters({ label: '5' }), now)).toBe(false);
+    expect(matchesFilters(tagged, filters({ assignee: 'none' }), now)).toBe(false);
+    expect(matchesFilters(task(), filters({ assignee: 'none', priority: 'medium' }), now)).toBe(true);
+  });
+});
+
+describe('filterBoard', () => {
+  const board = { columns: [{ id: 1, tasks: [task(), task({ id: 2, name: 'Write docs', description: '' })] }] };
+
+  test('returns the same board when no filter is active', () => {
+    expect(filterBoard(board, DEFAULT_FILTERS, now)).toBe(board);
+  });
+
+  test('keeps only matching tasks', () => {
+    expect(filterBoard(board, filters({ q: 'docs' }), now).columns[0].tasks.map(t => t.id)).toEqual([2]);
+  });
+});
+
+describe('query string', () => {
+  test('round-trips filters', () => {
+    const f = filters({
+      q: 'login', favorites: true, deadline: 'week', attachments: 'with', checklist: 'incomplete',
+      priority: 'urgent', label: '3', assignee: 'none'
+    });
+    const search = filtersToSearch(f);
+
+    expect(search).toBe(
+      '?q=login&favorites=1&deadline=week&attachments=with&checklist=incomplete&priority=urgent&label=3&assignee=none'
+    );
+    expect(filtersFromSearch(search)).toEqual(f);
+  });
+
+  test('omits defaults and keeps unrelated parameters', () => {
+    expect(filtersToSearch(DEFAULT_FILTERS, '?board=2&q=old')).toBe('?board=2');
+    expect(filtersToSearch(DEFAULT_FILTERS)).toBe('');
+  });
+
+  test('ignores invalid values', () => {
+    expect(filtersFromSearch('?deadline=someday&attachments=maybe&checklist=half')).toEqual(DEFAULT_FILTERS);
+    expect(filtersFromSearch('?priority=extreme&label=bug&assignee=me')).toEqual(DEFAULT_FILTERS);
+  });
+
+  test('hasActiveFilters', () => {
+    expect(hasActiveFilters(DEFAULT_FILTERS)).toBe(false);
+    expect(hasActiveFilters(filters({ deadline: 'none' }))).toBe(true);
+  });
+});
+
+describe('saved views', () => {
+  beforeEach(() => window.localStorage.clear());
+
+  test('saves, replaces and deletes views by name', () => {
+    saveView('Overdue', filters({ deadline: 'overdue' }));
+    saveView('Mine', filters({ favorites: true }));
+    saveView('Overdue', filters({ deadline: 'overdue', q: 'api' }));
+
+    const views = loadSavedViews();
+    expect(views.map(v => v.name)).toEqual(['Mine', 'Overdue']);
+    expect(views[1].filters.q).toBe('api');
+
+    expect(deleteView('Mine').map(v => v.name)).toEqual(['Overdue']);
+  });
+
+  test('recovers from corrupt storage', () => {
+    window.localStorage.setItem('taskBoard.savedViews', '{not json');
+    expect(loadSavedViews()).toEqual([]);
+  });
+});
@@ -0,0 +1,235 @@
+import { useCallback, useReducer, useRef } from 'react';
+import { moveTask } from './boardStore';
+
+// Undo/redo history of board actions.
+//
+// Entries are plain descriptions of what changed ({ type, ...before/after }).
+// The app replays them through its normal board operations, so an undo is
+// saved to the server like any other change. Deletes are soft on the server,
+// which is what lets a deleted task, attachment or column be restored.
+
+export const MAX_HISTORY = 50;
+
+export const initialHistory = { past: [], future: [], busy: false };
+
+export function historyReducer(state, action) {
+  switch (action.type) {
+    case 'record':
+      // A new action forks history; whatever was undone can't be redone
+      return { ...state, past: [...state.past, action.entry].slice(-MAX_HISTORY), future: [] };
+    case 'begin':
+      return { ...state, busy: true };
+    case 'undone':
+      return { past: state.past.filter(e => e !== action.entry), future: [action.entry, ...state.future], busy: false };
+    case 'redone':
+      return { past: [...state.past, action.entry], future: state.future.filter(e => e !== action.entry), busy: false };
+    case 'failed':
+      // An entry that can't be replayed (say, the task was deleted elsewhere) is dropped
+      return {
+        past: state.past.filter(e => e !== action.entry),
+        future: state.future.filter(e => e !== action.entry),
+        busy: false
+      };
+    default:
+      return state;
+  }
+}
+
+const quote = (name) => `"${name}"`;
+
+const countTasks = (n) => `${n} ${n === 1 ? 'task' : 'tasks'}`;
+
+/**
+ * Short description of an entry for the undo toast and button titles.
+ */
+export const describeHistoryEntry = (entry) => {
+  switch (entry.type) {
+    case 'createTask':
+      return `Create ${quote(entry.task.name)}`;
+    case 'deleteTask':
+      return `Delete ${quote(entry.task.name)}`;
+    case 'updateTask': {
+      const fields = Object.keys(entry.after);
+      if (fields.length === 1 && fields[0] === 'isFavorite') {
+        return `${entry.after.isFavorite ? 'Favorite' : 'Unfavorite'} ${quote(entry.name)}`;
+      }
+      if (fields.length === 1 && fields[0] === 'deadline') return `Reschedule ${quote(entry.name)}`;
+      if (fields.length === 1 && fields[0] === 'name') return `Rename ${quote(entry.before.name)}`;
+      return `Edit ${quote(entry.name)}`;
+    }
+    case 'moveTask':
+      return `Move ${quote(entry.name)}`;
+    case 'batchMove':
+      return `Move ${countTasks(entry.taskIds.length)}`;
+    case 'batchUpdate': {
+      const count = countTasks(entry.taskIds.length);
+      if ('isFavorite' in entry.after) return `${entry.after.isFavorite ? 'Favorite' : 'Unfavorite'} ${count}`;
+      return entry.after.deadline ? `Reschedule ${count}` : `Clear deadline of ${count}`;
+    }
+    case 'batchDelete':
+      return `Delete ${countTasks(entry.tasks.length)}`;
+    case 'deleteAttachment':
+      return `Delete ${quote(entry.attachment.fileName)}`;
+    case 'createColumn':
+      return `Create column ${quote(entry.column.name)}`;
+    case 'deleteColumn':
+      return `Delete column ${quote(entry.column.name)}`;
+    case 'renameColumn':
+      return `Rename column ${quote(entry.before)}`;
+    case 'reorderColumns':
+      return 'Reorder columns';
+    default:
+      return 'Change';
+  }
+};
+
+/**
+ * Message for the toast offered after a delete.
+ */
+export const describeDeletion = (entry) => {
+  switch (entry.type) {
+    case 'deleteTask':
+      return `Deleted task ${quote(entry.task.name)}`;
+    case 'batchDelete':
+      return `Deleted ${countTasks(entry.tasks.length)}`;
+    case 'deleteAttachment':
+      return `Deleted ${quote(entry.attachment.fileName)}`;
+    case 'deleteColumn':
+      return `Deleted column ${quote(entry.column.name)}`;
+    default:
+      return describeHistoryEntry(entry);
+  }
+};
+
+/**
+ * The fields of `task` that `changes` would overwrite, for undoing an edit.
+ */
+export const pickPrevious = (task, changes) =>
+  Object.fromEntries(Object.keys(changes).map(key => [key, task[key]]));
+
+/**
+ * Task ids grouped by their previous value of `field`, so undoing a bulk
+ * edit takes one batch request per distinct value.
+ *
+ * @param {Object<number, Object>} before - Previous fields by task id
+ * @returns {{ value: *, taskIds: number[] }[]}
+ */
+export const groupByPrevious = (before, field) => {
+  const groups = new Map();
+  Object.entries(before).forEach(([id, fields]) => {
+    const value = fields[field] ?? null;
+    if (!groups.has(value)) groups.set(value, []);
+    groups.get(value).push(Number(id));
+  });
+  return Array.from(groups, ([value, taskIds]) => ({ value, taskIds }));
+};
+
+/**
+ * Single moves that put tasks moved together back where they were. `from`
+ * maps each task id to its { columnId, position } before the move. Tasks go
+ * back in order of their old positions, each placed just before the task
+ * that followed it, so the moves work against the board as it is now.
+ *
+ * @returns {{ taskId: number, columnId: number, position: number }[]}
+ */
+export const planMoveBack = (board, from) => {
+  const pending = Object.entries(from)
+    .map(([id, { columnId, position }]) => ({ taskId: Number(id), columnId, position }))
+    .sort((a, b) => a.position - b.position);
+
+  const moves = [];
+  let current = board;
+  pending.forEach((move, i) => {
+    const column = current.columns.find(col => col.id === move.columnId);
+    if (!column) return;
+    const stillMoving = pending.slice(i).map(m => m.taskId);
+    const others = column.tasks.filter(t => t.id !== move.taskId);
+    const next = others.filter(t => !stillMoving.includes(t.id))[move.position];
+    const position = next ? others.indexOf(next) : others.length;
+
+    moves.push({ taskId: move.taskId, columnId: move.columnId, position });
+    current = moveTask(current, move.taskId, move.columnId, position);
+  });
+  return moves;
+};
+
+/**
+ * A saved column order applied to the columns that exist now: columns that
+ * are gone are skipped and new ones keep their place at the end.
+ */
+export const mergeColumnOrder = (savedIds, currentIds) => [
+  ...savedIds.filter(id => currentIds.includes(id)),
+  ...currentIds.filter(id => !savedIds.includes(id))
+];
+
+const isEditable = (el) =>
+  !!el && (el.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(el.tagName));
+
+/**
+ * 'undo' for Ctrl+Z, 'redo' for Ctrl+Shift+Z or Ctrl+Y (Cmd on macOS), or
+ * null. Text fields keep their own undo.
+ */
+export const getHistoryShortcut = (e) => {
+  if (!(e.ctrlKey || e.metaKey) || e.altKey || isEditable(e.target)) return null;
+  const key = e.key.toLowerCase();
+  if (key === 'z') return e.shiftKey ? 'redo' : 'undo';
+  if (key === 'y' && !e.shiftKey) return 'redo';
+  return null;
+};
+
+/**
+ * Keeps the undo and redo stacks. `apply(entry, direction)` replays an entry
+ * ('undo' or 'redo') and returns a promise; a rejected replay drops the entry
+ * and is reported to `onError(entry, direction, err)`. Only one replay runs
+ * at a time.
+ */
+export function useBoardHistory({ apply, onError }) {
+  const [state, dispatch] = useReducer(historyReducer, initialHistory);
+  const stateRef = useRef(state);
+  stateRef.current = state;
+  const applyRef = useRef(apply);
+  applyRef.current = apply;
+  const onErrorRef = useRef(onError);
+  onErrorRef.current = onError;
+  const busy = useRef(false);
+
+  const record = useCallback((entry) => dispatch({ type: 'record', entry }), []);
+
+  const replay = useCallback(async (direction) => {
+    const { past, future } = stateRef.current;
+    const entry = direction === 'undo' ? past[past.length - 1] : future[0];
+    if (!entry || busy.current) return false;
+
+    busy.current = true;
+    dispatch({ type: 'begin' });
+    try {
+      await applyRef.current(entry, direction);
+      dispatch({ type: direction === 'undo' ? 'undone' : 'redone', entry });
+      return true;
+    } catch (err) {
+      dispatch({ type: 'failed', entry });
+      if (onErrorRef.current) onErrorRef.current(entry, direction, err);
+      return false;
+    } finally {
+      busy.current = false;
+    }
+  }, []);
+
+  const undo = useCallback(() => replay('undo'), [replay]);
+  const redo = useCallback(() => replay('redo'), [replay]);
+
+  const lastEntry = state.past[state.past.length - 1] || null;
+  const nextEntry = state.future[0] || null;
+
+  return {
+    record,
+    undo,
+    redo,
+    lastEntry,
+    nextEntry,
+    canUndo: !!lastEntry && !state.busy,
+    canRedo: !!nextEntry && !state.busy,
+    undoLabel: lastEntry && describeHistoryEntry(lastEntry),
+    redoLabel: nextEntry && describeHistoryEntry(nextEntry)
+  };
+}
@@ -0,0 +1,140 @@
+import { renderHook, act } from '@testing-library/react';
+import {
+  historyReducer, initialHistory, MAX_HISTORY, describeHistoryEntry, describeDeletion,
+  pickPrevious, groupByPrevious, planMoveBack, mergeColumnOrder, getHistoryShortcut, useBoardHistory
+} from './boardHistory';
+
+const entry = (n) => ({ type: 'renameColumn', columnId: 1, before: `v${n - 1}`, after: `v${n}` });
+
+describe('historyReducer', () => {
+  test('recording clears the redo stack', () => {
+    const undone = historyReducer({ ...initialHistory, future: [entry(2)] }, { type: 'record', entry: entry(1) });
+    expect(undone.past).toHaveLength(1);
+    expect(undone.future).toEqual([]);
+  });
+
+  test('keeps at most MAX_HISTORY entries', () => {
+    let state = initialHistory;
+    for (let i = 0; i < MAX_HISTORY + 5; i++) state = historyReducer(state, { type: 'record', entry: entry(i) });
+    expect(state.past).toHaveLength(MAX_HISTORY);
+    expect(state.past[0].after).toBe('v5');
+  });
+
+  test('drops an entry that failed to replay', () => {
+    const bad = entry(1);
+    const state = historyReducer({ past: [entry(0), bad], future: [], busy: true }, { type: 'failed', entry: bad });
+    expect(state.past).not.toContain(bad);
+    expect(state.busy).toBe(false);
+  });
+});
+
+describe('descriptions', () => {
+  const task = { id: 1, name: 'Fix login' };
+
+  test('describe task edits by what changed', () => {
+    expect(describeHistoryEntry({ type: 'updateTask', name: 'Fix login', before: { isFavorite: false }, after: { isFavorite: true } }))
+      .toBe('Favorite "Fix login"');
+    expect(describeHistoryEntry({ type: 'updateTask', name: 'Fix login', before: { name: 'Fix login' }, after: { name: 'Fix auth' } }))
+      .toBe('Rename "Fix login"');
+    expect(describeHistoryEntry({ type: 'updateTask', name: 'Fix login', before: {}, after: { name: 'a', description: 'b' } }))
+      .toBe('Edit "Fix login"');
+  });
+
+  test('describe deletions for the undo toast', () => {
+    expect(describeDeletion({ type: 'deleteTask', task })).toBe('Deleted task "Fix login"');
+    expect(describeDeletion({ type: 'deleteAttachment', taskId: 1, attachment: { id: 2, fileName: 'a.png' } })).toBe('Deleted "a.png"');
+    expect(describeDeletion({ type: 'batchDelete', tasks: [task, { id: 2, name: 'B' }] })).toBe('Deleted 2 tasks');
+  });
+
+  test('describe bulk edits by count', () => {
+    const batch = (after) => ({ type: 'batchUpdate', taskIds: [1, 2, 3], before: {}, after });
+    expect(describeHistoryEntry(batch({ isFavorite: true }))).toBe('Favorite 3 tasks');
+    expect(describeHistoryEntry(batch({ deadline: null }))).toBe('Clear deadline of 3 tasks');
+    expect(describeHistoryEntry({ type: 'batchMove', taskIds: [1] })).toBe('Move 1 task');
+  });
+});
+
+test('pickPrevious copies the fields about to change', () => {
+  expect(pickPrevious({ name: 'a', isFavorite: false, deadline: null }, { isFavorite: true })).toEqual({ isFavorite: false });
+});
+
+test('groupByPrevious groups task ids by their old value', () => {
+  expect(groupByPrevious({ 1: { isFavorite: true }, 2: { isFavorite: false }, 3: { isFavorite: true } }, 'isFavorite'))
+    .toEqual([{ value: true, taskIds: [1, 3] }, { value: false, taskIds: [2] }]);
+  expect(groupByPrevious({ 4: { deadline: undefined } }, 'deadline')).toEqual([{ value: null, taskIds: [4] }]);
+});
+
+test('planMoveBack undoes a move of several tasks', () => {
+  const task = (id, columnId, sortOrder) => ({ id, columnId, sortOrder, isFavorite: false, attachments: [] });
+  // 1 and 3 were moved from column 1 to the top of column 2
+  const board = {
+    columns: [
+      { id: 1, name: 'To Do', tasks: [task(2, 1, 1), task(4, 1, 2)] },
+      { id: 2, name: 'Done', tasks: [task(1, 2, 1), task(3, 2, 2), task(5, 2, 3)] }
+    ]
+  };
+  const from = { 1: { columnId: 1, position: 0 }, 3: { columnId: 1, position: 2 } };
+
+  expect(planMoveBack(board, from)).toEqual([
+    { taskId: 1, columnId: 1, position: 0 },
+    { taskId: 3, columnId: 1, position: 2 }
+  ]);
+});
+
+test('mergeColumnOrder skips removed columns and keeps new ones at the end', () => {
+  expect(mergeColumnOrder([3, 1, 2], [1, 2, 4])).toEqual([1, 2, 4]);
+  expect(mergeColumnOrder([3, 1, 2], [1, 2, 3])).toEqual([3, 1, 2]);
+});
+
+describe('getHistoryShortcut', () => {
+  const key = (k, extra = {}) => ({ key: k, ctrlKey: true, shiftKey: false, metaKey: false, altKey: false, target: document.body, ...extra });
+
+  test('maps undo and redo keys', () => {
+    expect(getHistoryShortcut(key('z'))).toBe('undo');
+    expect(getHistoryShortcut(key('Z', { shiftKey: true }))).toBe('redo');
+    expect(getHistoryShortcut(key('y'))).toBe('redo');
+    expect(getHistoryShortcut(key('z', { ctrlKey: false, metaKey: true }))).toBe('undo');
+  });
+
+  test('leaves text fields and plain keys alone', () => {
+    expect(getHistoryShortcut(key('z', { target: document.createElement('input') }))).toBeNull();
+    expect(getHistoryShortcut(key('z', { ctrlKey: false }))).toBeNull();
+  });
+});
+
+describe('useBoardHistory', () => {
+  test('undoes and redoes through apply', async () => {
+    const apply = jest.fn(() => Promise.resolve());
+    const { result } = renderHook(() => useBoardHistory({ apply }));
+    const first = entry(1);
+
+    act(() => result.current.record(first));
+    expect(result.current.canUndo).toBe(true);
+    expect(result.current.undoLabel).toBe('Rename column "v0"');
+
+    await act(async () => { await result.current.undo(); });
+    expect(apply).toHaveBeenLastCalledWith(first, 'undo');
+    expect(result.current.canUndo).toBe(false);
+    expect(result.current.canRedo).toBe(true);
+
+    await act(async () => { await result.current.redo(); });
+    expect(apply).toHaveBeenLastCalledWith(first, 'redo');
+    expect(result.current.lastEntry).toBe(first);
+  });
+
+  test('reports and drops entries that fail', async () => {
+    const apply = jest.fn(() => Promise.reject(new Error('Not Found')));
+    const onError = jest.fn();
+    const { result } = renderHook(() => useBoardHistory({ apply, onError }));
+    const first = entry(1);
+
+    act(() => result.current.record(first));
+    let undone;
+    await act(async () => { undone = await result.current.undo(); });
+
+    expect(undone).toBe(false);
+    expect(onError).toHaveBeenCalledWith(first, 'undo', expect.any(Error));
+    expect(result.current.canUndo).toBe(false);
+    expect(result.current.canRedo).toBe(false);
+  });
+});
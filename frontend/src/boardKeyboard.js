@@ -0,0 +1,91 @@
+// Keyboard navigation between task cards and keyboard "drag and drop".
+//
+// A keyboard move is tracked as a drop target `{ columnId, position }`, the
+// same shape the mouse drag uses, so both share the drop placeholder.
+
+import { clampPosition } from './boardOrdering';
+
+const findLocation = (board, taskId) => {
+  for (let columnIndex = 0; columnIndex < board.columns.length; columnIndex++) {
+    const index = board.columns[columnIndex].tasks.findIndex(t => t.id === taskId);
+    if (index !== -1) return { columnIndex, index };
+  }
+  return null;
+};
+
+/**
+ * Returns the id of the card that focus should move to for an arrow, Home or
+ * End key, or null when there is nowhere to go. Left and Right skip empty
+ * columns and keep the row where possible.
+ */
+export const getNeighborTaskId = (board, taskId, key) => {
+  const location = findLocation(board, taskId);
+  if (!location) return null;
+
+  const { columnIndex, index } = location;
+  const tasks = board.columns[columnIndex].tasks;
+
+  switch (key) {
+    case 'ArrowUp':
+      return index > 0 ? tasks[index - 1].id : null;
+    case 'ArrowDown':
+      return index < tasks.length - 1 ? tasks[index + 1].id : null;
+    case 'Home':
+      return tasks[0].id;
+    case 'End':
+      return tasks[tasks.length - 1].id;
+    case 'ArrowLeft':
+    case 'ArrowRight': {
+      const step = key === 'ArrowLeft' ? -1 : 1;
+      for (let i = columnIndex + step; i >= 0 && i < board.columns.length; i += step) {
+        const target = board.columns[i].tasks;
+        if (target.length > 0) return target[Math.min(index, target.length - 1)].id;
+      }
+      return null;
+    }
+    default:
+      return null;
+  }
+};
+
+/**
+ * Where a picked-up card starts: its current place in its column.
+ */
+export const getInitialDropTarget = (board, task) => {
+  const location = findLocation(board, task.id);
+  if (!location) return null;
+  return { columnId: board.columns[location.columnIndex].id, position: location.index };
+};
+
+/**
+ * Moves a keyboard drop target one step. Up and Down change the position
+ * within the column; Left and Right move to the neighbouring column, keeping
+ * the position where possible. Returns the target unchanged at the edges.
+ */
+export const moveDropTarget = (board, draggedTask, target, key) => {
+  const columnIndex = board.columns.findIndex(col => col.id === target.columnId);
+  if (columnIndex === -1) return target;
+
+  let nextIndex = columnIndex;
+  let position = target.position;
+  if (key === 'ArrowUp') position -= 1;
+  else if (key === 'ArrowDown') position += 1;
+  else if (key === 'ArrowLeft') nextIndex -= 1;
+  else if (key === 'ArrowRight') nextIndex += 1;
+  else return target;
+
+  if (nextIndex < 0 || nextIndex >= board.columns.length) return target;
+
+  const column = board.columns[nextIndex];
+  return { columnId: column.id, position: clampPosition(column.tasks, draggedTask, position) };
+};
+
+/**
+ * Screen-reader description of where a carried card would land.
+ */
+export const describeDropTarget = (board, draggedTask, target) => {
+  const column = board.columns.find(col => col.id === target.columnId);
+  if (!column) return '';
+  const total = column.tasks.filter(t => t.id !== draggedTask.id).length + 1;
+  return `${draggedTask.name}, position ${target.position + 1} of ${total} in ${column.name}.`;
+};
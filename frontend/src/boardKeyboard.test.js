@@ -0,0 +1,63 @@
+import { getNeighborTaskId, getInitialDropTarget, moveDropTarget, describeDropTarget } from './boardKeyboard';
+
+const task = (id, isFavorite = false) => ({ id, name: `Task ${id}`, isFavorite });
+
+const board = {
+  columns: [
+    { id: 1, name: 'To Do', tasks: [task(1), task(2), task(3)] },
+    { id: 2, name: 'Doing', tasks: [] },
+    { id: 3, name: 'Done', tasks: [task(4, true), task(5)] }
+  ]
+};
+
+describe('getNeighborTaskId', () => {
+  test('moves up and down within a column', () => {
+    expect(getNeighborTaskId(board, 2, 'ArrowUp')).toBe(1);
+    expect(getNeighborTaskId(board, 2, 'ArrowDown')).toBe(3);
+    expect(getNeighborTaskId(board, 1, 'ArrowUp')).toBeNull();
+    expect(getNeighborTaskId(board, 3, 'ArrowDown')).toBeNull();
+  });
+
+  test('jumps to the first and last card', () => {
+    expect(getNeighborTaskId(board, 2, 'Home')).toBe(1);
+    expect(getNeighborTaskId(board, 2, 'End')).toBe(3);
+  });
+
+  test('moves across columns, skipping empty ones and keeping the row', () => {
+    expect(getNeighborTaskId(board, 2, 'ArrowRight')).toBe(5);
+    expect(getNeighborTaskId(board, 3, 'ArrowRight')).toBe(5);
+    expect(getNeighborTaskId(board, 4, 'ArrowLeft')).toBe(1);
+    expect(getNeighborTaskId(board, 1, 'ArrowLeft')).toBeNull();
+  });
+
+  test('ignores other keys and unknown tasks', () => {
+    expect(getNeighborTaskId(board, 1, 'a')).toBeNull();
+    expect(getNeighborTaskId(board, 99, 'ArrowDown')).toBeNull();
+  });
+});
+
+describe('moveDropTarget', () => {
+  test('starts at the card\'s current place', () => {
+    expect(getInitialDropTarget(board, task(2))).toEqual({ columnId: 1, position: 1 });
+  });
+
+  test('moves within the column and stops at its ends', () => {
+    expect(moveDropTarget(board, task(2), { columnId: 1, position: 1 }, 'ArrowDown')).toEqual({ columnId: 1, position: 2 });
+    expect(moveDropTarget(board, task(2), { columnId: 1, position: 2 }, 'ArrowDown')).toEqual({ columnId: 1, position: 2 });
+    expect(moveDropTarget(board, task(2), { columnId: 1, position: 0 }, 'ArrowUp')).toEqual({ columnId: 1, position: 0 });
+  });
+
+  test('moves into neighbouring columns, including empty ones', () => {
+    expect(moveDropTarget(board, task(2), { columnId: 1, position: 1 }, 'ArrowRight')).toEqual({ columnId: 2, position: 0 });
+    expect(moveDropTarget(board, task(2), { columnId: 1, position: 1 }, 'ArrowLeft')).toEqual({ columnId: 1, position: 1 });
+  });
+
+  test('keeps non-favorites below favorites', () => {
+    expect(moveDropTarget(board, task(2), { columnId: 2, position: 0 }, 'ArrowRight')).toEqual({ columnId: 3, position: 1 });
+  });
+});
+
+test('describeDropTarget counts the carried card', () => {
+  expect(describeDropTarget(board, task(2), { columnId: 3, position: 1 })).toBe('Task 2, position 2 of 3 in Done.');
+  expect(describeDropTarget(board, task(2), { columnId: 1, position: 0 })).toBe('Task 2, position 1 of 3 in To Do.');
+});
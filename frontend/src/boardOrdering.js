@@ -0,0 +1,75 @@
+// Helpers for placing a dragged card within a column's task list.
+//
+// `index` values are slots in the column as rendered (0 = above the first
+// card, tasks.length = below the last), which may still include the dragged
+// card when reordering within a column.
+
+import { sectionOf } from './taskMetadata';
+
+/**
+ * Clamps a landing position to the column and to the dragged task's section
+ * (favorite or not, and its priority).
+ */
+export const clampPosition = (tasks, draggedTask, position) => {
+  const others = tasks.filter(t => t.id !== draggedTask.id);
+  const section = sectionOf(draggedTask);
+  const start = others.filter(t => sectionOf(t) > section).length;
+  const end = others.filter(t => sectionOf(t) >= section).length;
+
+  return Math.max(start, Math.min(position, end));
+};
+
+/**
+ * Returns where the dragged task will land, as a 0-based index into the
+ * column's tasks without the dragged task. Favorites stay pinned above the
+ * other tasks and higher priorities above lower ones, so the slot is clamped
+ * to the matching section.
+ */
+export const getDropPosition = (tasks, draggedTask, index) => {
+  const draggedIndex = tasks.findIndex(t => t.id === draggedTask.id);
+  const position = draggedIndex !== -1 && draggedIndex < index ? index - 1 : index;
+  return clampPosition(tasks, draggedTask, position);
+};
+
+/**
+ * Converts a landing position back to the rendered slot for the placeholder.
+ */
+export const getPlaceholderIndex = (tasks, draggedTask, position) => {
+  const draggedIndex = tasks.findIndex(t => t.id === draggedTask.id);
+  return draggedIndex !== -1 && position >= draggedIndex ? position + 1 : position;
+};
+
+/**
+ * True when dropping at `position` would leave the task where it already is.
+ */
+export const isSamePosition = (tasks, draggedTask, position) =>
+  tasks.findIndex(t => t.id === draggedTask.id) === position;
+
+/**
+ * Converts the dragged task's landing position into a position among the
+ * column's tasks that are not moving, for dragging several selected tasks
+ * at once.
+ */
+export const toBatchPosition = (tasks, draggedTask, position, movingIds) =>
+  tasks
+    .filter(t => t.id !== draggedTask.id)
+    .slice(0, position)
+    .filter(t => !movingIds.includes(t.id))
+    .length;
+
+/**
+ * Maps a landing position in a filtered column to the matching position in
+ * the full column, so hidden tasks keep their place. The dragged task lands
+ * just before the visible task it was dropped above, or just after the last
+ * visible task.
+ */
+export const toFullPosition = (fullTasks, visibleTasks, draggedTask, position) => {
+  const fullOthers = fullTasks.filter(t => t.id !== draggedTask.id);
+  const visibleOthers = visibleTasks.filter(t => t.id !== draggedTask.id);
+
+  if (position < visibleOthers.length) {
+    return fullOthers.findIndex(t => t.id === visibleOthers[position].id);
+  }
+  if (visibleOthers.length === 0) return fullOthers.length;
+  return fullOthers.findIndex(t => t.id === visibleOthers[visibleOthers.length - 1].id) + 1;
+};
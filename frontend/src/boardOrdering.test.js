@@ -0,0 +1,109 @@
+import {
+  clampPosition, getDropPosition, getPlaceholderIndex, isSamePosition, toFullPosition, toBatchPosition
+} from './boardOrdering';
+
+const task = (id, isFavorite = false) => ({ id, isFavorite });
+
+describe('getDropPosition', () => {
+  const tasks = [task(1, true), task(2), task(3), task(4)];
+
+  test('places a card from another column at the hovered slot', () => {
+    expect(getDropPosition(tasks, task(9), 2)).toBe(2);
+    expect(getDropPosition(tasks, task(9), 4)).toBe(4);
+  });
+
+  test('accounts for the dragged card when moving down its own column', () => {
+    // Dragging task 2 below task 3 (slot 3) lands it at index 2 of [1, 3, 4]
+    expect(getDropPosition(tasks, tasks[1], 3)).toBe(2);
+  });
+
+  test('keeps moving up its own column unchanged', () => {
+    expect(getDropPosition(tasks, tasks[3], 1)).toBe(1);
+  });
+
+  test('keeps non-favorites below the favorites', () => {
+    expect(getDropPosition(tasks, task(9), 0)).toBe(1);
+  });
+
+  test('keeps favorites above the non-favorites', () => {
+    expect(getDropPosition(tasks, task(9, true), 3)).toBe(1);
+  });
+});
+
+describe('clampPosition', () => {
+  const tasks = [task(1, true), task(2), task(3)];
+
+  test('keeps positions inside the column', () => {
+    expect(clampPosition(tasks, task(9), 7)).toBe(3);
+    expect(clampPosition(tasks, task(9, true), -1)).toBe(0);
+  });
+
+  test('keeps the dragged task in its section', () => {
+    expect(clampPosition(tasks, task(9), 0)).toBe(1);
+    expect(clampPosition(tasks, task(9, true), 2)).toBe(1);
+  });
+
+  test('keeps the dragged task among tasks of the same priority', () => {
+    const byPriority = [{ id: 1, priority: 'urgent' }, { id: 2 }, { id: 3 }, { id: 4, priority: 'low' }];
+
+    expect(clampPosition(byPriority, { id: 9 }, 0)).toBe(1);
+    expect(clampPosition(byPriority, { id: 9 }, 4)).toBe(3);
+    expect(clampPosition(byPriority, { id: 9, priority: 'high' }, 3)).toBe(1);
+  });
+});
+
+describe('getPlaceholderIndex', () => {
+  const tasks = [task(1), task(2), task(3)];
+
+  test('returns the position when the dragged card is elsewhere', () => {
+    expect(getPlaceholderIndex(tasks, task(9), 1)).toBe(1);
+  });
+
+  test('skips over the dragged card in its own column', () => {
+    expect(getPlaceholderIndex(tasks, tasks[0], 1)).toBe(2);
+    expect(getPlaceholderIndex(tasks, tasks[2], 1)).toBe(1);
+  });
+});
+
+describe('isSamePosition', () => {
+  test('detects a drop back onto the original slot', () => {
+    const tasks = [task(1), task(2)];
+    expect(isSamePosition(tasks, tasks[1], 1)).toBe(true);
+    expect(isSamePosition(tasks, tasks[1], 0)).toBe(false);
+    expect(isSamePosition(tasks, task(9), 0)).toBe(false);
+  });
+});
+
+describe('toFullPosition', () => {
+  const full = [task(1), task(2), task(3), task(4), task(5)];
+  const visible = [task(2), task(4)];
+
+  test('lands before the visible task it was dropped above', () => {
+    expect(toFullPosition(full, visible, task(9), 1)).toBe(3);
+  });
+
+  test('lands after the last visible task', () => {
+    expect(toFullPosition(full, visible, task(9), 2)).toBe(4);
+  });
+
+  test('ignores the dragged task in both lists', () => {
+    expect(toFullPosition(full, visible, task(2), 0)).toBe(2);
+  });
+
+  test('appends when nothing is visible', () => {
+    expect(toFullPosition(full, [], task(9), 0)).toBe(5);
+  });
+});
+
+describe('toBatchPosition', () => {
+  const tasks = [task(1), task(2), task(3), task(4)];
+
+  test('counts only the tasks that stay behind', () => {
+    // Dragging 2 (with 3 selected) to just before 4
+    expect(toBatchPosition(tasks, task(2), 2, [2, 3])).toBe(1);
+  });
+
+  test('works for tasks coming from another column', () => {
+    expect(toBatchPosition(tasks, task(9), 1, [9, 3])).toBe(1);
+  });
+});
@@ -0,0 +1,693 @@
+import { useCallback, useEffect, useReducer, useRef, useState } from 'react';
+import api from './api/client';
+import { CACHE_KEYS, getBoardCache } from './boardCache';
+import {
+  createOutboxOp, describeConflict, enqueue, isOfflineError, sendOutboxOp, settleOutbox
+} from './offlineQueue';
+import { compareTasks } from './taskMetadata';
+import { dateKey } from './deadlines';
+
+// Board state store with optimistic mutations.
+//
+// The store keeps the last board confirmed by the server plus a list of
+// pending operations. The rendered board is the confirmed board with every
+// pending operation applied on top, so a failed request is rolled back by
+// dropping its operation without disturbing others still in flight.
+//
+// Task changes made without a connection go to an outbox instead (see
+// offlineQueue.js), which is shown between the confirmed board and the
+// pending operations and cached with it until it has been sent.
+//
+// Columns may hold only the first pages of their tasks: `taskCount` counts
+// every task in a column, `overdueAfterCount` the overdue ones not loaded yet,
+// and `nextCursor` is set while there are more to load (see loadMoreTasks).
+// Anything that has to look at every task, like filters, calls loadAllTasks.
+
+// --- Pure board transforms -------------------------------------------------
+
+const allTasks = (board) => board.columns.flatMap(col => col.tasks);
+
+export const findTask = (board, taskId) => allTasks(board).find(t => t.id === taskId);
+
+// Favorites first, then by priority, then manual order
+const sortTasks = (tasks) => [...tasks].sort(compareTasks);
+
+const renumber = (tasks) => tasks.map((t, i) => (t.sortOrder === i + 1 ? t : { ...t, sortOrder: i + 1 }));
+
+// Keeps a column's count in step with tasks joining or leaving it. In a
+// column that isn't fully loaded, a task that joins after the last loaded one
+// isn't shown: it belongs somewhere among the tasks still to load.
+const settleColumn = (before, after) => {
+  if (after.tasks === before.tasks || after.taskCount === undefined) return after;
+
+  const had = new Set(before.tasks.map(t => t.id));
+  const has = new Set(after.tasks.map(t => t.id));
+  const joined = after.tasks.filter(t => !had.has(t.id)).length;
+  const left = before.tasks.filter(t => !has.has(t.id)).length;
+  if (joined === 0 && left === 0) return after;
+
+  let tasks = after.tasks;
+  if (after.nextCursor && joined > 0) {
+    let lastLoaded = -1;
+    tasks.forEach((t, i) => {
+      if (had.has(t.id)) lastLoaded = i;
+    });
+    tasks = tasks.filter((t, i) => had.has(t.id) || i < lastLoaded);
+  }
+  return { ...after, tasks, taskCount: before.taskCount + joined - left };
+};
+
+const mapColumns = (board, fn) => ({ ...board, columns: board.columns.map(col => settleColumn(col, fn(col))) });
+
+export const addTask = (board, task) => mapColumns(board, col => (
+  col.id === task.columnId
+    ? { ...col, tasks: sortTasks([...col.tasks.filter(t => t.id !== task.id), { attachments: [], checklistItems: [], labelIds: [], assigneeIds: [], ...task }]) }
+    : col
+));
+
+export const removeTask = (board, taskId) => mapColumns(board, col => (
+  col.tasks.some(t => t.id === taskId)
+    ? { ...col, tasks: col.tasks.filter(t => t.id !== taskId) }
+    : col
+));
+
+/**
+ * Moves a task to a 0-based position among the other tasks of a column,
+ * renumbering sort orders the way TaskService.MoveTaskAsync does.
+ */
+export const moveTask = (board, taskId, columnId, position) => {
+  const task = findTask(board, taskId);
+  const target = board.columns.find(col => col.id === columnId);
+  if (!task || !target) return board;
+
+  const moved = { ...task, columnId, columnName: target.name };
+  return mapColumns(board, col => {
+    const others = col.tasks.filter(t => t.id !== taskId);
+    if (col.id !== columnId) {
+      return others.length === col.tasks.length ? col : { ...col, tasks: renumber(others) };
+    }
+    const index = Math.max(0, Math.min(position ?? others.length, others.length));
+    others.splice(index, 0, moved);
+    return { ...col, tasks: sortTasks(renumber(others)) };
+  });
+};
+
+/**
+ * Moves several tasks to consecutive positions in a column, in the order
+ * given, starting at a 0-based position among the column's other tasks.
+ * Mirrors TaskService.MoveTasksAsync.
+ */
+export const moveTasks = (board, taskIds, columnId, position) => {
+  const target = board.columns.find(col => col.id === columnId);
+  const moving = taskIds.map(id => findTask(board, id)).filter(Boolean);
+  if (!target || moving.length === 0) return board;
+
+  const moved = moving.map(t => ({ ...t, columnId, columnName: target.name }));
+  return mapColumns(board, col => {
+    const others = col.tasks.filter(t => !taskIds.includes(t.id));
+    if (col.id !== columnId) {
+      return others.length === col.tasks.length ? col : { ...col, tasks: renumber(others) };
+    }
+    const index = Math.max(0, Math.min(position ?? others.length, others.length));
+    others.splice(index, 0, ...moved);
+    return { ...col, tasks: sortTasks(renumber(others)) };
+  });
+};
+
+/**
+ * Applies changes to a task. A column change appends it to the new column.
+ */
+export const updateTask = (board, taskId, changes) => {
+  const task = findTask(board, taskId);
+  if (!task) return board;
+
+  const updated = { ...task, ...changes };
+  if (updated.columnId !== task.columnId) {
+    const target = board.columns.find(col => col.id === updated.columnId);
+    const withoutTask = removeTask(board, taskId);
+    const appended = { ...updated, columnName: target ? target.name : task.columnName, sortOrder: Number.MAX_SAFE_INTEGER };
+    return addTask(withoutTask, appended);
+  }
+  return mapColumns(board, col => (
+    col.id === task.columnId
+      ? { ...col, tasks: sortTasks(col.tasks.map(t => (t.id === taskId ? updated : t))) }
+      : col
+  ));
+};
+
+/**
+ * Replaces a task with the server's copy, wherever it now lives. A task that
+ * wasn't loaded yet is already counted in its column.
+ */
+export const replaceTask = (board, task) => {
+  if (findTask(board, task.id)) return addTask(removeTask(board, task.id), task);
+  const added = addTask(board, task);
+  return {
+    ...added,
+    columns: added.columns.map(col => (
+      col.id === task.columnId && col.taskCount !== undefined ? { ...col, taskCount: col.taskCount - 1 } : col
+    ))
+  };
+};
+
+/**
+ * Adds the next page of a column's tasks, from api.tasks.listByColumn, after
+ * the ones already loaded. Tasks already on the board stay where they are.
+ */
+export const appendTaskPage = (board, columnId, { tasks, nextCursor, totalCount, overdueAfterCount = 0 }) => {
+  const loaded = new Set(allTasks(board).map(t => t.id));
+  return {
+    ...board,
+    columns: board.columns.map(col => (
+      col.id === columnId
+        ? { ...col, tasks: [...col.tasks, ...tasks.filter(t => !loaded.has(t.id))], taskCount: totalCount, nextCursor, overdueAfterCount }
+        : col
+    ))
+  };
+};
+
+/**
+ * A freshly loaded board only has the first page of each column. Keeps the
+ * tasks that were loaded past it, so reloading doesn't take away what the
+ * user scrolled to.
+ */
+export const keepLoadedPages = (previous, board) => {
+  const loaded = new Set(allTasks(board).map(t => t.id));
+  return {
+    ...board,
+    columns: board.columns.map(col => {
+      const before = previous.columns.find(c => c.id === col.id);
+      const last = col.tasks[col.tasks.length - 1];
+      if (!before || !col.nextCursor || !last) return col;
+
+      const more = before.tasks.filter(t => !loaded.has(t.id) && compareTasks(t, last) > 0);
+      return more.length > 0
+        ? { ...col, tasks: [...col.tasks, ...more], nextCursor: before.nextCursor, overdueAfterCount: before.overdueAfterCount }
+        : col;
+    })
+  };
+};
+
+export const addAttachment = (board, taskId, attachment) => mapColumns(board, col => ({
+  ...col,
+  tasks: col.tasks.map(t => (
+    t.id === taskId
+      ? { ...t, attachments: [...t.attachments.filter(a => a.id !== attachment.id), attachment] }
+      : t
+  ))
+}));
+
+export const removeAttachment = (board, attachmentId) => mapColumns(board, col => ({
+  ...col,
+  tasks: col.tasks.map(t => (
+    t.attachments.some(a => a.id === attachmentId)
+      ? { ...t, attachments: t.attachments.filter(a => a.id !== attachmentId) }
+      : t
+  ))
+}));
+
+export const setChecklist = (board, taskId, checklistItems) => mapColumns(board, col => ({
+  ...col,
+  tasks: col.tasks.map(t => (t.id === taskId ? { ...t, checklistItems } : t))
+}));
+
+// Labels and members live next to the columns. Tasks refer to them by ID, so
+// removing one also drops it from every task.
+
+const saveById = (items = [], item) => {
+  const saved = items.some(i => i.id === item.id) ? items.map(i => (i.id === item.id ? item : i)) : [...items, item];
+  return saved.sort((a, b) => a.name.localeCompare(b.name));
+};
+
+export const saveLabel = (board, label) => ({ ...board, labels: saveById(board.labels, label) });
+
+export const removeLabel = (board, labelId) => ({
+  ...mapColumns(board, col => ({
+    ...col,
+    tasks: col.tasks.map(t => (t.labelIds?.includes(labelId) ? { ...t, labelIds: t.labelIds.filter(id => id !== labelId) } : t))
+  })),
+  labels: (board.labels || []).filter(l => l.id !== labelId)
+});
+
+export const saveMember = (board, member) => ({ ...board, members: saveById(board.members, member) });
+
+export const removeMember = (board, memberId) => ({
+  ...mapColumns(board, col => ({
+    ...col,
+    tasks: col.tasks.map(t => (t.assigneeIds?.includes(memberId) ? { ...t, assigneeIds: t.assigneeIds.filter(id => id !== memberId) } : t))
+  })),
+  members: (board.members || []).filter(m => m.id !== memberId)
+});
+
+export const addColumn = (board, column) => ({
+  ...board,
+  columns: [...board.columns.filter(col => col.id !== column.id), { tasks: [], ...column }]
+});
+
+export const renameColumn = (board, columnId, name) => mapColumns(board, col => (
+  col.id === columnId
+    ? { ...col, name, tasks: col.tasks.map(t => ({ ...t, columnName: name })) }
+    : col
+));
+
+export const removeColumn = (board, columnId) => ({
+  ...board,
+  columns: board.columns.filter(col => col.id !== columnId)
+});
+
+export const reorderColumns = (board, columnIds) => ({
+  ...board,
+  columns: columnIds
+    .map((id, i) => {
+      const col = board.columns.find(c => c.id === id);
+      return col && { ...col, sortOrder: i + 1 };
+    })
+    .filter(Boolean)
+});
+
+// --- Offline outbox --------------------------------------------------------
+
+/**
+ * Shows a queued change on a board. Tasks created offline appear under
+ * their temporary id.
+ */
+export const applyOutboxOp = (board, op) => {
+  switch (op.type) {
+    case 'createTask': {
+      const column = board.columns.find(col => col.id === op.task.columnId);
+      if (!column) return board;
+      return addTask(board, {
+        ...op.task,
+        id: op.tempId,
+        isFavorite: false,
+        columnName: column.name,
+        sortOrder: Number.MAX_SAFE_INTEGER,
+        createdAt: null,
+        updatedAt: null
+      });
+    }
+    case 'updateTask':
+      return updateTask(board, op.taskId, op.task);
+    case 'moveTask':
+      return moveTask(board, op.taskId, op.columnId, op.position);
+    case 'deleteTask':
+      return removeTask(board, op.taskId);
+    default:
+      return board;
+  }
+};
+
+export const applyOutbox = (board, outbox) => outbox.reduce(applyOutboxOp, board);
+
+/**
+ * Folds a sent change into the confirmed board. `savedTask` is the server's
+ * response, null for a delete.
+ */
+export const confirmOutboxOp = (board, op, savedTask) => {
+  if (op.type === 'deleteTask') return removeTask(board, op.taskId);
+  if (!savedTask) return board;
+  const replaced = op.type === 'createTask' ? addTask(board, savedTask) : replaceTask(board, savedTask);
+  return op.type === 'moveTask' ? moveTask(replaced, savedTask.id, op.columnId, op.position) : replaced;
+};
+
+// --- Reducer ---------------------------------------------------------------
+
+export const initialState = {
+  confirmed: { columns: [], labels: [], members: [] },
+  pending: [],
+  loaded: false,
+  loadFailed: false,
+  outbox: [],
+  offline: false,
+  syncing: false,
+  conflicts: []
+};
+
+export function boardReducer(state, action) {
+  switch (action.type) {
+    case 'loaded':
+      return {
+        ...state,
+        confirmed: state.loaded ? keepLoadedPages(state.confirmed, action.board) : action.board,
+        loaded: true,
+        loadFailed: false
+      };
+    case 'cached':
+      // The cached board only stands in until the server's arrives
+      return state.loaded ? state : { ...state, confirmed: action.board, loaded: true };
+    case 'loadFailed':
+      return { ...state, loadFailed: true };
+    case 'begin':
+      return { ...state, pending: [...state.pending, { id: action.id, apply: action.apply }] };
+    case 'commit':
+      return {
+        ...state,
+        confirmed: action.reconcile ? action.reconcile(state.confirmed) : state.confirmed,
+        pending: state.pending.filter(op => op.id !== action.id)
+      };
+    case 'rollback':
+      return { ...state, pending: state.pending.filter(op => op.id !== action.id) };
+    case 'page': {
+      // A page that no longer follows on from the column is stale. The rest
+      // of a column is not: tasks loaded meanwhile are only left out of it.
+      const column = state.confirmed.columns.find(col => col.id === action.columnId);
+      return column && column.nextCursor && (action.rest || column.nextCursor === action.cursor)
+        ? { ...state, confirmed: appendTaskPage(state.confirmed, action.columnId, action.page) }
+        : state;
+    }
+    case 'remote':
+      // Changes made elsewhere are already on the server
+      return state.loaded ? { ...state, confirmed: action.apply(state.confirmed) } : state;
+    case 'outbox':
+      return {
+        ...state,
+        outbox: action.outbox,
+        confirmed: action.reconcile ? action.reconcile(state.confirmed) : state.confirmed
+      };
+    case 'offline':
+      return state.offline === action.offline ? state : { ...state, offline: action.offline };
+    case 'syncing':
+      return { ...state, syncing: action.syncing };
+    case 'conflict':
+      return { ...state, conflicts: [...state.conflicts, action.conflict] };
+    case 'dismissConflict':
+      return { ...state, conflicts: state.conflicts.filter(c => c.id !== action.id) };
+    default:
+      return state;
+  }
+}
+
+export const selectBoard = (state) =>
+  state.pending.reduce((board, op) => (op.apply ? op.apply(board) : board), applyOutbox(state.confirmed, state.outbox));
+
+// How often to check whether the server is back while offline
+const RECONNECT_INTERVAL_MS = 10000;
+// Pages as big as the server allows when loading whole columns
+const WHOLE_COLUMN_PAGE_SIZE = 200;
+
+// --- Hook ------------------------------------------------------------------
+
+/**
+ * Loads the board and exposes `mutate` for optimistic changes and
+ * `applyRemote` for changes the server has already made, such as other
+ * clients' edits or finished uploads.
+ *
+ * `onError(message, err)` is called for failed loads and mutations. A
+ * mutation that fails is rolled back before its promise rejects.
+ *
+ * The board is cached, and opens from the cache when the server can't be
+ * reached. Mutations that pass a `queue` change are queued instead of failing
+ * while offline, and sent in order once the server is back.
+ */
+export function useBoardStore({ onError, cache = getBoardCache() } = {}) {
+  const [state, dispatch] = useReducer(boardReducer, initialState);
+  const nextOpId = useRef(0);
+  const inFlight = useRef(0);
+  const loadSeq = useRef(0);
+  const loaded = useRef(false);
+  const outbox = useRef([]);
+  const offline = useRef(false);
+  const syncing = useRef(false);
+  const board = selectBoard(state);
+  const boardRef = useRef(board);
+  boardRef.current = board;
+  const onErrorRef = useRef(onError);
+  onErrorRef.current = onError;
+  const cacheRef = useRef(cache);
+
+  const setOffline = useCallback((value) => {
+    offline.current = value;
+    dispatch({ type: 'offline', offline: value });
+  }, []);
+
+  const setOutbox = useCallback((next, reconcile) => {
+    outbox.current = next;
+    dispatch({ type: 'outbox', outbox: next, reconcile });
+    cacheRef.current.set(CACHE_KEYS.outbox, next);
+  }, []);
+
+  // sync and refresh call each other; the ref breaks the cycle
+  const syncRef = useRef(null);
+
+  const refresh = useCallback(async () => {
+    // Only the latest load may replace the board; earlier responses are stale
+    const seq = ++loadSeq.current;
+    try {
+      const board = await api.board.get({ today: dateKey(new Date()) });
+      if (seq === loadSeq.current) {
+        loaded.current = true;
+        dispatch({ type: 'loaded', board });
+      }
+      if (offline.current) setOffline(false);
+      if (outbox.current.length > 0) syncRef.current();
+    } catch (err) {
+      if (!loaded.current) {
+        dispatch({ type: 'loadFailed' });
+      }
+      if (isOfflineError(err)) {
+        // The offline indicator (or the can't-reach-server screen) says it all
+        setOffline(true);
+      } else {
+        console.error('Failed to load board', err);
+        if (onErrorRef.current) onErrorRef.current(`Failed to load board: ${err.message || 'Please try again'}`, err);
+      }
+      throw err;
+    }
+  }, [setOffline]);
+
+  // Sends the outbox one change at a time, stopping if the connection drops
+  const sync = useCallback(async () => {
+    if (syncing.current || offline.current) return;
+    syncing.current = true;
+    dispatch({ type: 'syncing', syncing: true });
+    let stopped = false;
+    try {
+      while (outbox.current.length > 0) {
+        const op = outbox.current[0];
+        const rest = () => outbox.current.filter(queued => queued.id !== op.id);
+        // A load that started before this change was sent may not reflect it
+        loadSeq.current++;
+        let saved;
+        try {
+          saved = await sendOutboxOp(api, op);
+        } catch (err) {
+          if (isOfflineError(err)) {
+            setOffline(true);
+            stopped = true;
+            return;
+          }
+          if (err.status === 401) {
+            // Signed out; the change waits for this user's next sign-in
+            stopped = true;
+            return;
+          }
+          console.error('Could not sync queued change', err);
+          const conflict = describeConflict(op, err);
+          setOutbox(rest(), conflict.server && ((b) => replaceTask(b, conflict.server)));
+          dispatch({ type: 'conflict', conflict });
+          continue;
+        }
+        setOutbox(settleOutbox(rest(), op, saved), (b) => confirmOutboxOp(b, op, saved));
+      }
+    } finally {
+      syncing.current = false;
+      dispatch({ type: 'syncing', syncing: false });
+      if (!stopped) refresh().catch(() => {});
+    }
+  }, [refresh, setOffline, setOutbox]);
+  syncRef.current = sync;
+
+  // Queues a change and resolves to the task as it now shows (null for a delete)
+  const queueChange = useCallback((change) => {
+    const op = createOutboxOp(change);
+    setOutbox(enqueue(outbox.current, op));
+    sync();
+    if (op.type === 'deleteTask') return null;
+    return findTask(applyOutboxOp(boardRef.current, op), op.type === 'createTask' ? op.tempId : op.taskId) || null;
+  }, [setOutbox, sync]);
+
+  /**
+   * @param {Object} mutation
+   * @param {(board) => Object} [mutation.optimistic] - Local change shown immediately
+   * @param {() => Promise<any>} mutation.request - The API call
+   * @param {(board, result) => Object} [mutation.reconcile] - Folds the server result into the board
+   * @param {?string} [mutation.errorMessage] - Toast prefix; null leaves error display to the caller
+   * @param {Object} [mutation.queue] - The change as an outbox entry (see offlineQueue.js), to
+   *   queue it when offline instead of failing
+   */
+  const mutate = useCallback(async ({ optimistic, request, reconcile, errorMessage = 'Request failed', queue }) => {
+    // Changes queued earlier go first, so later ones must wait behind them
+    if (queue && (offline.current || outbox.current.length > 0)) {
+      return queueChange(queue);
+    }
+
+    const id = ++nextOpId.current;
+    inFlight.current++;
+    // A load that started before this change may not reflect it
+    loadSeq.current++;
+    dispatch({ type: 'begin', id, apply: optimistic });
+
+    try {
+      const result = await request();
+      dispatch({ type: 'commit', id, reconcile: reconcile && ((board) => reconcile(board, result)) });
+      return result;
+    } catch (err) {
+      dispatch({ type: 'rollback', id });
+      if (queue && isOfflineError(err)) {
+        setOffline(true);
+        return queueChange(queue);
+      }
+      if (errorMessage !== null && onErrorRef.current) {
+        console.error(errorMessage, err);
+        onErrorRef.current(`${errorMessage}: ${err.message || 'Please try again'}. Your change was undone.`, err);
+      }
+      throw err;
+    } finally {
+      // Resync server-derived fields once a burst of mutations has settled
+      if (--inFlight.current === 0 && !offline.current) {
+        refresh().catch(() => {});
+      }
+    }
+  }, [refresh, queueChange, setOffline]);
+
+  const [loadingColumnIds, setLoadingColumnIds] = useState([]);
+  const loadingColumns = useRef(new Set());
+
+  /**
+   * Loads the next page of a column's tasks, if it has more and isn't already
+   * loading them. Failures are reported and resolve too.
+   */
+  const loadMoreTasks = useCallback(async (columnId) => {
+    const cursor = boardRef.current.columns.find(col => col.id === columnId)?.nextCursor;
+    if (!cursor || loadingColumns.current.has(columnId)) return;
+
+    loadingColumns.current.add(columnId);
+    setLoadingColumnIds([...loadingColumns.current]);
+    try {
+      const page = await api.tasks.listByColumn(columnId, { cursor, today: dateKey(new Date()) });
+      dispatch({ type: 'page', columnId, cursor, page });
+    } catch (err) {
+      if (isOfflineError(err)) {
+        setOffline(true);
+      } else {
+        console.error('Failed to load more tasks', err);
+        if (onErrorRef.current) onErrorRef.current(`Failed to load more tasks: ${err.message || 'Please try again'}`, err);
+      }
+    } finally {
+      loadingColumns.current.delete(columnId);
+      setLoadingColumnIds([...loadingColumns.current]);
+    }
+  }, [setOffline]);
+
+  const loadingAll = useRef(null);
+
+  /**
+   * Loads every task still missing from the board, a whole column at a time,
+   * for views that need all of them. Calls made while loading share the one
+   * load; failures are reported and resolve too.
+   */
+  const loadAllTasks = useCallback(() => {
+    if (loadingAll.current) return loadingAll.current;
+
+    const loadRest = async ({ id, nextCursor }) => {
+      const tasks = [];
+      let page = { nextCursor };
+      while (page.nextCursor) {
+        page = await api.tasks.listByColumn(id, { cursor: page.nextCursor, limit: WHOLE_COLUMN_PAGE_SIZE });
+        tasks.push(...page.tasks);
+      }
+      dispatch({ type: 'page', columnId: id, cursor: nextCursor, rest: true, page: { ...page, tasks } });
+    };
+
+    const columns = boardRef.current.columns.filter(col => col.nextCursor);
+    columns.forEach(col => loadingColumns.current.add(col.id));
+    setLoadingColumnIds([...loadingColumns.current]);
+    loadingAll.current = Promise.all(columns.map(loadRest))
+      .catch((err) => {
+        if (isOfflineError(err)) {
+          setOffline(true);
+        } else {
+          console.error('Failed to load all tasks', err);
+          if (onErrorRef.current) onErrorRef.current(`Failed to load all tasks: ${err.message || 'Please try again'}`, err);
+        }
+      })
+      .finally(() => {
+        loadingAll.current = null;
+        columns.forEach(col => loadingColumns.current.delete(col.id));
+        setLoadingColumnIds([...loadingColumns.current]);
+      });
+    return loadingAll.current;
+  }, [setOffline]);
+
+  const applyRemote = useCallback((apply) => {
+    // Until the first load lands the event is covered by that load
+    if (!loaded.current) return;
+    loadSeq.current++;
+    dispatch({ type: 'remote', apply });
+  }, []);
+
+  /**
+   * Closes a sync conflict. With keepMine, an edit that clashed with a newer
+   * server version is queued again on top of that version.
+   */
+  const resolveConflict = useCallback((conflict, keepMine = false) => {
+    dispatch({ type: 'dismissConflict', id: conflict.id });
+    if (keepMine && conflict.server) {
+      const { id, ...change } = conflict.op;
+      queueChange({ ...change, baseUpdatedAt: conflict.server.updatedAt });
+    }
+  }, [queueChange]);
+
+  // Open with the cached board and outbox, then load the real one
+  useEffect(() => {
+    let cancelled = false;
+    const store = cacheRef.current;
+    Promise.all([store.get(CACHE_KEYS.board), store.get(CACHE_KEYS.outbox)]).then(([cachedBoard, cachedOutbox]) => {
+      if (cancelled) return;
+      if (Array.isArray(cachedOutbox) && cachedOutbox.length > 0 && outbox.current.length === 0) {
+        outbox.current = cachedOutbox;
+        dispatch({ type: 'outbox', outbox: cachedOutbox });
+      }
+      if (cachedBoard) dispatch({ type: 'cached', board: cachedBoard });
+    }).finally(() => {
+      if (!cancelled) refresh().catch(() => {});
+    });
+    return () => { cancelled = true; };
+  }, [refresh]);
+
+  // Keep the cache in step with the server's board
+  useEffect(() => {
+    if (loaded.current) cacheRef.current.set(CACHE_KEYS.board, state.confirmed);
+  }, [state.confirmed]);
+
+  // While offline, check back now and then and as soon as the browser says so
+  useEffect(() => {
+    const goOffline = () => setOffline(true);
+    const reconnect = () => refresh().catch(() => {});
+    window.addEventListener('offline', goOffline);
+    window.addEventListener('online', reconnect);
+    const timer = state.offline ? setInterval(reconnect, RECONNECT_INTERVAL_MS) : null;
+    return () => {
+      window.removeEventListener('offline', goOffline);
+      window.removeEventListener('online', reconnect);
+      if (timer) clearInterval(timer);
+    };
+  }, [state.offline, refresh, setOffline]);
+
+  return {
+    board,
+    loading: !state.loaded,
+    loadFailed: state.loadFailed,
+    offline: state.offline,
+    syncing: state.syncing,
+    queuedCount: state.outbox.length,
+    conflicts: state.conflicts,
+    resolveConflict,
+    refresh,
+    mutate,
+    applyRemote,
+    loadMoreTasks,
+    loadAllTasks,
+    loadingColumnIds
+  };
+}
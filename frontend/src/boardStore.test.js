@@ -0,0 +1,470 @@
+import { act, renderHook, waitFor } from '@testing-library/react';
+import api from './api/client';
+import {
+  addTask, removeTask, moveTask, moveTasks, updateTask, replaceTask, addAttachment, removeAttachment, setChecklist,
+  saveLabel, removeLabel, saveMember, removeMember, renameColumn, reorderColumns, applyOutbox, boardReducer, initialState, selectBoard, useBoardStore,
+  appendTaskPage, keepLoadedPages
+} from './boardStore';
+import { createMemoryCache } from './boardCache';
+import { createOutboxOp } from './offlineQueue';
+
+jest.mock('./api/client', () => ({
+  __esModule: true,
+  default: {
+    board: { get: jest.fn() },
+    tasks: { get: jest.fn(), create: jest.fn(), update: jest.fn(), move: jest.fn(), remove: jest.fn(), listByColumn: jest.fn() }
+  }
+}));
+
+const task = (id, columnId, sortOrder, extra = {}) => ({
+  id, name: `Task ${id}`, columnId, columnName: `Column ${columnId}`, sortOrder,
+  isFavorite: false, attachments: [], ...extra
+});
+
+const makeBoard = () => ({
+  columns: [
+    { id: 1, name: 'To Do', sortOrder: 1, tasks: [task(1, 1, 1, { isFavorite: true }), task(2, 1, 2), task(3, 1, 3)] },
+    { id: 2, name: 'Done', sortOrder: 2, tasks: [task(4, 2, 1)] }
+  ]
+});
+
+const ids = (board, columnIndex) => board.columns[columnIndex].tasks.map(t => t.id);
+
+describe('board transforms', () => {
+  test('moveTask places a task at a position in another column', () => {
+    const board = moveTask(makeBoard(), 2, 2, 0);
+
+    expect(ids(board, 0)).toEqual([1, 3]);
+    expect(ids(board, 1)).toEqual([2, 4]);
+    expect(board.columns[1].tasks[0]).toMatchObject({ columnId: 2, columnName: 'Done', sortOrder: 1 });
+  });
+
+  test('moveTask reorders within a column and keeps favorites first', () => {
+    const board = moveTask(makeBoard(), 3, 1, 0);
+
+    expect(ids(board, 0)).toEqual([1, 3, 2]);
+  });
+
+  test('moveTasks moves tasks together in the given order', () => {
+    const board = moveTasks(makeBoard(), [3, 2], 2, 0);
+
+    expect(ids(board, 0)).toEqual([1]);
+    expect(ids(board, 1)).toEqual([3, 2, 4]);
+    expect(board.columns[1].tasks.map(t => t.sortOrder)).toEqual([1, 2, 3]);
+  });
+
+  test('updateTask pins a new favorite to the top', () => {
+    const board = updateTask(makeBoard(), 3, { isFavorite: true });
+
+    expect(ids(board, 0)).toEqual([1, 3, 2]);
+  });
+
+  test('updateTask appends a task moved to another column', () => {
+    const board = updateTask(makeBoard(), 1, { columnId: 2, isFavorite: false });
+
+    expect(ids(board, 1)).toEqual([4, 1]);
+    expect(board.columns[1].tasks[1].columnName).toBe('Done');
+  });
+
+  test('replaceTask swaps in the server copy', () => {
+    const board = replaceTask(makeBoard(), task(2, 2, 5, { name: 'Renamed' }));
+
+    expect(ids(board, 0)).toEqual([1, 3]);
+    expect(board.columns[1].tasks[1].name).toBe('Renamed');
+  });
+
+  test('addTask and removeTask', () => {
+    const added = addTask(makeBoard(), task(9, 2, 2));
+    expect(ids(added, 1)).toEqual([4, 9]);
+    expect(ids(removeTask(added, 9), 1)).toEqual([4]);
+  });
+
+  test('addAttachment and removeAttachment', () => {
+    const withAttachment = addAttachment(makeBoard(), 4, { id: 7, fileName: 'a.png' });
+    expect(withAttachment.columns[1].tasks[0].attachments).toHaveLength(1);
+    expect(removeAttachment(withAttachment, 7).columns[1].tasks[0].attachments).toHaveLength(0);
+  });
+
+  test('setChecklist replaces only that task\'s items', () => {
+    const items = [{ id: 5, text: 'Step', isDone: true, sortOrder: 1 }];
+    const board = setChecklist(makeBoard(), 2, items);
+    expect(board.columns[0].tasks[1].checklistItems).toBe(items);
+    expect(board.columns[0].tasks[0].checklistItems).toBeUndefined();
+  });
+
+  test('updateTask keeps higher priorities above the rest', () => {
+    const board = updateTask(makeBoard(), 3, { priority: 'high' });
+
+    expect(ids(board, 0)).toEqual([1, 3, 2]);
+  });
+
+  test('saveLabel keeps labels sorted and removeLabel drops it from tasks', () => {
+    const labeled = updateTask(saveLabel(makeBoard(), { id: 1, name: 'Bug', color: '#e03131' }), 2, { labelIds: [1] });
+    const renamed = saveLabel(saveLabel(labeled, { id: 2, name: 'Api', color: '#1971c2' }), { id: 1, name: 'Defect', color: '#e03131' });
+    expect(renamed.labels.map(l => l.name)).toEqual(['Api', 'Defect']);
+
+    const removed = removeLabel(renamed, 1);
+    expect(removed.labels.map(l => l.id)).toEqual([2]);
+    expect(removed.columns[0].tasks[1].labelIds).toEqual([]);
+  });
+
+  test('saveMember and removeMember', () => {
+    const assigned = updateTask(saveMember(makeBoard(), { id: 3, name: 'Ana', color: '#2f9e44' }), 4, { assigneeIds: [3] });
+    expect(assigned.members).toHaveLength(1);
+
+    const removed = removeMember(assigned, 3);
+    expect(removed.members).toEqual([]);
+    expect(removed.columns[1].tasks[0].assigneeIds).toEqual([]);
+  });
+
+  test('renameColumn and reorderColumns', () => {
+    const renamed = renameColumn(makeBoard(), 2, 'Shipped');
+    expect(renamed.columns[1].tasks[0].columnName).toBe('Shipped');
+    expect(reorderColumns(renamed, [2, 1]).columns.map(c => c.name)).toEqual(['Shipped', 'To Do']);
+  });
+});
+
+test('applyOutbox shows queued changes, with new tasks under their temporary id', () => {
+  const create = createOutboxOp({ type: 'createTask', task: { name: 'New', description: '', deadline: null, columnId: 2 }, name: 'New' });
+  const board = applyOutbox(makeBoard(), [
+    create,
+    createOutboxOp({ type: 'moveTask', taskId: 3, columnId: 2, position: 0, name: 'Task 3' }),
+    createOutboxOp({ type: 'deleteTask', taskId: 2, name: 'Task 2' })
+  ]);
+
+  expect(ids(board, 0)).toEqual([1]);
+  expect(ids(board, 1)).toEqual([3, 4, create.tempId]);
+  expect(board.columns[1].tasks[2]).toMatchObject({ name: 'New', columnName: 'Done', attachments: [] });
+});
+
+describe('partly loaded columns', () => {
+  // Column 1 has five tasks, of which 1 to 3 are loaded
+  const makePagedBoard = () => {
+    const board = makeBoard();
+    board.columns[0] = { ...board.columns[0], taskCount: 5, nextCursor: 'after-3' };
+    board.columns[1] = { ...board.columns[1], taskCount: 1, nextCursor: null };
+    return board;
+  };
+  const counts = (board) => board.columns.map(col => col.taskCount);
+
+  test('tasks joining or leaving a column change its count', () => {
+    let board = moveTask(makePagedBoard(), 2, 2, 0);
+    expect(counts(board)).toEqual([4, 2]);
+
+    board = removeTask(board, 4);
+    board = addTask(board, task(9, 2, 5));
+    expect(counts(board)).toEqual([4, 2]);
+    expect(ids(board, 1)).toEqual([2, 9]);
+  });
+
+  test('a task that joins past the loaded ones is counted but not shown', () => {
+    const board = addTask(makePagedBoard(), task(9, 1, 99));
+
+    expect(ids(board, 0)).toEqual([1, 2, 3]);
+    expect(counts(board)).toEqual([6, 1]);
+  });
+
+  test('replaceTask does not count a task that was not loaded yet again', () => {
+    const board = replaceTask(makePagedBoard(), task(7, 1, 0, { isFavorite: true, name: 'Task 0' }));
+
+    expect(ids(board, 0)).toEqual([7, 1, 2, 3]);
+    expect(counts(board)).toEqual([5, 1]);
+  });
+
+  test('appendTaskPage adds the next page and skips tasks already on the board', () => {
+    const board = appendTaskPage(makePagedBoard(), 1, { tasks: [task(4, 1, 4), task(5, 1, 5)], nextCursor: null, totalCount: 5 });
+
+    expect(ids(board, 0)).toEqual([1, 2, 3, 5]);
+    expect(board.columns[0]).toMatchObject({ taskCount: 5, nextCursor: null });
+  });
+
+  test('keepLoadedPages keeps tasks loaded past a reloaded first page', () => {
+    const previous = appendTaskPage(makePagedBoard(), 1, {
+      tasks: [task(5, 1, 4), task(6, 1, 5)], nextCursor: 'after-6', totalCount: 7, overdueAfterCount: 1
+    });
+    const reloaded = makePagedBoard();
+    // Task 2 was deleted elsewhere
+    reloaded.columns[0] = { ...reloaded.columns[0], tasks: [task(1, 1, 1, { isFavorite: true }), task(3, 1, 3)] };
+
+    const board = keepLoadedPages(previous, reloaded);
+
+    expect(ids(board, 0)).toEqual([1, 3, 5, 6]);
+    expect(board.columns[0]).toMatchObject({ nextCursor: 'after-6', overdueAfterCount: 1 });
+  });
+
+  test('a page that no longer follows on from its column is dropped', () => {
+    const loaded = boardReducer(initialState, { type: 'loaded', board: makePagedBoard() });
+    const page = { tasks: [task(5, 1, 4)], nextCursor: null, totalCount: 5 };
+
+    expect(ids(boardReducer(loaded, { type: 'page', columnId: 1, cursor: 'after-3', page }).confirmed, 0)).toEqual([1, 2, 3, 5]);
+    expect(boardReducer(loaded, { type: 'page', columnId: 1, cursor: 'stale', page })).toBe(loaded);
+  });
+
+  test('the rest of a column is added after pages loaded meanwhile', () => {
+    const loaded = boardReducer(initialState, { type: 'loaded', board: makePagedBoard() });
+    const next = { tasks: [task(5, 1, 4)], nextCursor: 'after-5', totalCount: 6 };
+    const rest = { tasks: [task(5, 1, 4), task(6, 1, 5)], nextCursor: null, totalCount: 6 };
+
+    const state = [
+      { type: 'page', columnId: 1, cursor: 'after-3', page: next },
+      { type: 'page', columnId: 1, cursor: 'after-3', rest: true, page: rest }
+    ].reduce(boardReducer, loaded);
+
+    expect(ids(state.confirmed, 0)).toEqual([1, 2, 3, 5, 6]);
+    expect(state.confirmed.columns[0]).toMatchObject({ taskCount: 6, nextCursor: null, overdueAfterCount: 0 });
+  });
+});
+
+describe('boardReducer', () => {
+  const loaded = boardReducer(initialState, { type: 'loaded', board: makeBoard() });
+
+  test('shows pending operations on top of the confirmed board', () => {
+    const state = boardReducer(loaded, { type: 'begin', id: 1, apply: (b) => removeTask(b, 2) });
+
+    expect(ids(selectBoard(state), 0)).toEqual([1, 3]);
+    expect(ids(state.confirmed, 0)).toEqual([1, 2, 3]);
+  });
+
+  test('rolls back only the failed operation', () => {
+    let state = boardReducer(loaded, { type: 'begin', id: 1, apply: (b) => removeTask(b, 2) });
+    state = boardReducer(state, { type: 'begin', id: 2, apply: (b) => removeTask(b, 3) });
+    state = boardReducer(state, { type: 'rollback', id: 1 });
+
+    expect(ids(selectBoard(state), 0)).toEqual([1, 2]);
+  });
+
+  test('commits the reconciled result into the confirmed board', () => {
+    let state = boardReducer(loaded, { type: 'begin', id: 1, apply: (b) => removeTask(b, 2) });
+    state = boardReducer(state, { type: 'commit', id: 1, reconcile: (b) => removeTask(b, 2) });
+
+    expect(state.pending).toHaveLength(0);
+    expect(ids(state.confirmed, 0)).toEqual([1, 3]);
+  });
+});
+
+describe('useBoardStore', () => {
+  beforeEach(() => {
+    api.board.get.mockReset();
+    api.board.get.mockResolvedValue(makeBoard());
+  });
+
+  test('loads the board on mount', async () => {
+    const { result } = renderHook(() => useBoardStore());
+
+    expect(result.current.loading).toBe(true);
+    await waitFor(() => expect(result.current.loading).toBe(false));
+    expect(ids(result.current.board, 0)).toEqual([1, 2, 3]);
+  });
+
+  test('applies a mutation before the request resolves', async () => {
+    const { result } = renderHook(() => useBoardStore());
+    await waitFor(() => expect(result.current.loading).toBe(false));
+
+    let resolveRequest;
+    let pending;
+    act(() => {
+      pending = result.current.mutate({
+        optimistic: (b) => removeTask(b, 2),
+        request: () => new Promise(resolve => { resolveRequest = resolve; }),
+        reconcile: (b) => removeTask(b, 2)
+      });
+    });
+
+    expect(ids(result.current.board, 0)).toEqual([1, 3]);
+
+    api.board.get.mockResolvedValue(removeTask(makeBoard(), 2));
+    await act(async () => {
+      resolveRequest(null);
+      await pending;
+    });
+    expect(ids(result.current.board, 0)).toEqual([1, 3]);
+  });
+
+  test('rolls back and reports a failed mutation', async () => {
+    const onError = jest.fn();
+    const { result } = renderHook(() => useBoardStore({ onError }));
+    await waitFor(() => expect(result.current.loading).toBe(false));
+
+    await act(async () => {
+      await result.current.mutate({
+        optimistic: (b) => removeTask(b, 2),
+        request: () => Promise.reject(new Error('Server down')),
+        errorMessage: 'Failed to delete task'
+      }).catch(() => {});
+    });
+
+    expect(ids(result.current.board, 0)).toEqual([1, 2, 3]);
+    expect(onError).toHaveBeenCalledWith(expect.stringMatching(/Failed to delete task: Server down/), expect.any(Error));
+  });
+
+  test('loads more of a column once', async () => {
+    const paged = makeBoard();
+    paged.columns[0] = { ...paged.columns[0], taskCount: 4, nextCursor: 'after-3' };
+    api.board.get.mockResolvedValue(paged);
+    let resolvePage;
+    api.tasks.listByColumn.mockReset();
+    api.tasks.listByColumn.mockImplementation(() => new Promise(resolve => { resolvePage = resolve; }));
+    const { result } = renderHook(() => useBoardStore());
+    await waitFor(() => expect(result.current.loading).toBe(false));
+
+    act(() => {
+      result.current.loadMoreTasks(1);
+      result.current.loadMoreTasks(1);
+    });
+    expect(result.current.loadingColumnIds).toEqual([1]);
+    await act(async () => { resolvePage({ tasks: [task(8, 1, 4)], nextCursor: null, totalCount: 4 }); });
+
+    expect(api.tasks.listByColumn).toHaveBeenCalledTimes(1);
+    expect(api.tasks.listByColumn).toHaveBeenCalledWith(1, { cursor: 'after-3', today: expect.any(String) });
+    expect(ids(result.current.board, 0)).toEqual([1, 2, 3, 8]);
+    expect(result.current.loadingColumnIds).toEqual([]);
+  });
+
+  test('loads the rest of every column once', async () => {
+    const paged = makeBoard();
+    paged.columns[0] = { ...paged.columns[0], taskCount: 6, nextCursor: 'after-3', overdueAfterCount: 2 };
+    api.board.get.mockResolvedValue(paged);
+    api.tasks.listByColumn.mockReset();
+    api.tasks.listByColumn
+      .mockResolvedValueOnce({ tasks: [task(8, 1, 4), task(9, 1, 5)], nextCursor: 'after-9', totalCount: 6, overdueAfterCount: 1 })
+      .mockResolvedValueOnce({ tasks: [task(10, 1, 6)], nextCursor: null, totalCount: 6, overdueAfterCount: 0 });
+    const { result } = renderHook(() => useBoardStore());
+    await waitFor(() => expect(result.current.loading).toBe(false));
+
+    await act(async () => {
+      await Promise.all([result.current.loadAllTasks(), result.current.loadAllTasks()]);
+    });
+
+    expect(api.tasks.listByColumn).toHaveBeenCalledTimes(2);
+    expect(api.tasks.listByColumn).toHaveBeenLastCalledWith(1, { cursor: 'after-9', limit: 200 });
+    expect(ids(result.current.board, 0)).toEqual([1, 2, 3, 8, 9, 10]);
+    expect(result.current.board.columns[0]).toMatchObject({ nextCursor: null, overdueAfterCount: 0 });
+    expect(result.current.loadingColumnIds).toEqual([]);
+  });
+
+  test('ignores a board load that started before a mutation', async () => {
+    const { result } = renderHook(() => useBoardStore());
+    await waitFor(() => expect(result.current.loading).toBe(false));
+
+    let resolveStaleLoad;
+    api.board.get.mockImplementationOnce(() => new Promise(resolve => { resolveStaleLoad = resolve; }));
+    act(() => { result.current.refresh().catch(() => {}); });
+
+    api.board.get.mockResolvedValue(removeTask(makeBoard(), 2));
+    await act(async () => {
+      await result.current.mutate({
+        optimistic: (b) => removeTask(b, 2),
+        request: () => Promise.resolve(null),
+        reconcile: (b) => removeTask(b, 2)
+      });
+    });
+
+    await act(async () => { resolveStaleLoad(makeBoard()); });
+    expect(ids(result.current.board, 0)).toEqual([1, 3]);
+  });
+});
+
+describe('useBoardStore offline', () => {
+  const offlineError = () => Object.assign(new Error('Network error'), { code: 'network' });
+
+  beforeEach(() => {
+    jest.resetAllMocks();
+    api.board.get.mockResolvedValue(makeBoard());
+  });
+
+  test('opens the cached board and queued changes when the server cannot be reached', async () => {
+    api.board.get.mockRejectedValue(offlineError());
+    const cache = createMemoryCache({
+      board: makeBoard(),
+      outbox: [createOutboxOp({ type: 'deleteTask', taskId: 2, name: 'Task 2' })]
+    });
+    const onError = jest.fn();
+
+    const { result } = renderHook(() => useBoardStore({ onError, cache }));
+
+    await waitFor(() => expect(result.current.offline).toBe(true));
+    expect(result.current.loading).toBe(false);
+    expect(result.current.queuedCount).toBe(1);
+    expect(ids(result.current.board, 0)).toEqual([1, 3]);
+    expect(onError).not.toHaveBeenCalled();
+  });
+
+  test('reports a failed first load when there is nothing cached', async () => {
+    api.board.get.mockRejectedValue(offlineError());
+
+    const { result } = renderHook(() => useBoardStore({ cache: createMemoryCache() }));
+
+    await waitFor(() => expect(result.current.loadFailed).toBe(true));
+    expect(result.current.loading).toBe(true);
+  });
+
+  test('queues a change that fails offline and sends it once the server is back', async () => {
+    const cache = createMemoryCache();
+    const { result } = renderHook(() => useBoardStore({ cache }));
+    await waitFor(() => expect(result.current.loading).toBe(false));
+
+    api.tasks.update.mockRejectedValue(offlineError());
+    let queued;
+    await act(async () => {
+      queued = await result.current.mutate({
+        optimistic: (b) => updateTask(b, 2, { name: 'Renamed' }),
+        request: () => api.tasks.update(2, { name: 'Renamed', columnId: 1 }),
+        queue: { type: 'updateTask', taskId: 2, task: { name: 'Renamed', columnId: 1 }, baseUpdatedAt: null, name: 'Task 2' }
+      });
+    });
+
+    expect(queued).toMatchObject({ id: 2, name: 'Renamed' });
+    expect(result.current.offline).toBe(true);
+    expect(result.current.queuedCount).toBe(1);
+    expect(result.current.board.columns[0].tasks[1].name).toBe('Renamed');
+    await expect(cache.get('outbox')).resolves.toHaveLength(1);
+
+    const renamed = updateTask(makeBoard(), 2, { name: 'Renamed' });
+    api.tasks.update.mockResolvedValue(renamed.columns[0].tasks[1]);
+    api.board.get.mockResolvedValue(renamed);
+    await act(async () => { await result.current.refresh(); });
+
+    await waitFor(() => expect(result.current.queuedCount).toBe(0));
+    expect(result.current.offline).toBe(false);
+    expect(api.tasks.update).toHaveBeenLastCalledWith(2, { name: 'Renamed', columnId: 1 });
+    expect(result.current.board.columns[0].tasks[1].name).toBe('Renamed');
+    await expect(cache.get('outbox')).resolves.toEqual([]);
+  });
+
+  test('keeps queued changes the server turned away because the session ended', async () => {
+    const edit = createOutboxOp({
+      type: 'updateTask', taskId: 2, task: { name: 'Mine', columnId: 1 }, baseUpdatedAt: null, name: 'Mine'
+    });
+    const cache = createMemoryCache({ outbox: [edit] });
+    api.tasks.update.mockRejectedValue(Object.assign(new Error('Unauthorized'), { status: 401 }));
+
+    const { result } = renderHook(() => useBoardStore({ cache }));
+
+    await waitFor(() => expect(api.tasks.update).toHaveBeenCalledTimes(1));
+    await waitFor(() => expect(result.current.syncing).toBe(false));
+    expect(result.current.queuedCount).toBe(1);
+    expect(result.current.conflicts).toHaveLength(0);
+    await expect(cache.get('outbox')).resolves.toEqual([edit]);
+  });
+
+  test('turns an edit that clashed with a newer server version into a conflict', async () => {
+    const edit = createOutboxOp({
+      type: 'updateTask', taskId: 2, task: { name: 'Mine', columnId: 1 }, baseUpdatedAt: 'old', name: 'Mine'
+    });
+    api.tasks.get.mockResolvedValue(task(2, 1, 2, { name: 'Theirs', updatedAt: 'new' }));
+    api.tasks.update.mockResolvedValue(task(2, 1, 2, { name: 'Mine', updatedAt: 'newer' }));
+
+    const { result } = renderHook(() => useBoardStore({ cache: createMemoryCache({ outbox: [edit] }) }));
+
+    await waitFor(() => expect(result.current.conflicts).toHaveLength(1));
+    expect(result.current.conflicts[0].message).toMatch(/"Mine" was changed by someone else/);
+    expect(result.current.queuedCount).toBe(0);
+    expect(api.tasks.update).not.toHaveBeenCalled();
+
+    // Keeping the local edit sends it again on top of the server's version
+    act(() => { result.current.resolveConflict(result.current.conflicts[0], true); });
+
+    await waitFor(() => expect(api.tasks.update).toHaveBeenCalledWith(2, { name: 'Mine', columnId: 1 }));
+    expect(result.current.conflicts).toHaveLength(0);
+  });
+});
@@ -0,0 +1,352 @@
+// Board export and import.
+//
+// Exports are either the full GET /api/board structure as JSON, or a flat
+// CSV with one row per task. Both import back through POST /api/board/import
+// after being parsed into the same shape:
+//
+//   { format, columns: [{ name, tasks: [ImportedTask] }], warnings: [string] }
+//
+// Attachment files aren't part of an export, only their names, so imported
+// tasks come without attachments. Assignees are left out too, since they are
+// members of the exporting board. Labels go by name and are matched to (or
+// added to) the board's own; only the JSON export has them, and the priority,
+// checklist and recurrence, so CSV tasks import with the defaults.
+
+import { dateKey, deadlineKey } from './deadlines';
+import { TASK_NAME_MAX_LENGTH, TASK_DESCRIPTION_MAX_LENGTH } from './taskValidation';
+import { PRIORITIES, DEFAULT_PRIORITY } from './taskMetadata';
+import { FREQUENCIES } from './recurrence';
+
+/**
+ * @typedef {Object} ImportedTask
+ * @property {string} name
+ * @property {string} description
+ * @property {?string} deadline - "YYYY-MM-DD"
+ * @property {boolean} isFavorite
+ * @property {string} priority
+ * @property {{ name: string, color: string }[]} labels
+ * @property {{ text: string, isDone: boolean }[]} checklistItems
+ * @property {?{ frequency: string, weekdays: number[] }} recurrence
+ * @property {string[]} attachmentNames
+ */
+
+export const CSV_HEADERS = ['Column', 'Name', 'Description', 'Deadline', 'Favorite', 'Attachments'];
+
+// Other header names accepted on import, e.g. from spreadsheets made by hand
+const HEADER_ALIASES = {
+  column: 'column', status: 'column', list: 'column',
+  name: 'name', title: 'name', task: 'name',
+  description: 'description', notes: 'description',
+  deadline: 'deadline', due: 'deadline', 'due date': 'deadline',
+  favorite: 'favorite', favourite: 'favorite', starred: 'favorite',
+  attachments: 'attachments'
+};
+
+const TRUE_VALUES = ['true', 'yes', 'y', '1', 'x'];
+
+// Tasks in a CSV without a Column column go here
+export const DEFAULT_IMPORT_COLUMN = 'Imported';
+
+export const CONFLICT_MODES = ['skip', 'duplicate', 'overwrite'];
+
+export const exportFileName = (extension, now = new Date()) => `task-board-${dateKey(now)}.${extension}`;
+
+// The labels go along so the tasks' labelIds can be read back by name
+export const boardToJson = (board) => JSON.stringify({ columns: board.columns, labels: board.labels || [] }, null, 2);
+
+// Spreadsheet apps run cells starting with these as formulas
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+const escapeCsvCell = (value) => {
+  let text = String(value ?? '');
+  // A leading apostrophe makes them show the cell as text instead
+  const formula = FORMULA_START.test(text);
+  if (formula) text = `'${text}`;
+  return formula || /[",\r\n]/.test(text) || text !== text.trim() ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Takes off the apostrophe the export put before formula-like cells
+const unescapeCsvCell = (text) => (text.startsWith("'") && FORMULA_START.test(text.slice(1)) ? text.slice(1) : text);
+
+/**
+ * One row per task, in board order. Starts with a byte order mark so
+ * spreadsheet apps read it as UTF-8.
+ */
+export const boardToCsv = (board) => {
+  const rows = board.columns.flatMap(col => col.tasks.map(task => [
+    col.name,
+    task.name,
+    task.description,
+    deadlineKey(task.deadline) || '',
+    task.isFavorite ? 'yes' : 'no',
+    (task.attachments || []).map(a => a.fileName).join('; ')
+  ]));
+  return '\uFEFF' + [CSV_HEADERS, ...rows].map(row => row.map(escapeCsvCell).join(',')).join('\r\n') + '\r\n';
+};
+
+/**
+ * Splits CSV text into rows of cells. Handles quoted cells with commas,
+ * doubled quotes and line breaks, and both \n and \r\n line endings.
+ */
+export const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        cell += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += ch;
+    }
+  }
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+  return rows;
+};
+
+// Limits mirrored from the backend's SaveLabelRequest and checklist item requests
+const LABEL_NAME_MAX_LENGTH = 50;
+const CHECKLIST_TEXT_MAX_LENGTH = 200;
+const LABEL_COLOR = /^#[0-9a-f]{6}$/i;
+
+const toDeadline = (value) => {
+  const match = /^(\d{4}-\d{2}-\d{2})/.exec(String(value ?? '').trim());
+  return match ? match[1] : null;
+};
+
+// Trims and length-checks a task, adding a warning for anything changed or dropped
+const normalizeTask = (raw, where, warnings) => {
+  const name = String(raw.name ?? '').trim();
+  if (!name) {
+    warnings.push(`${where}: no task name, left out`);
+    return null;
+  }
+  if (name.length > TASK_NAME_MAX_LENGTH) {
+    warnings.push(`${where}: name shortened to ${TASK_NAME_MAX_LENGTH} characters`);
+  }
+
+  const description = String(raw.description ?? '').trim();
+  if (description.length > TASK_DESCRIPTION_MAX_LENGTH) {
+    warnings.push(`${where}: description shortened to ${TASK_DESCRIPTION_MAX_LENGTH} characters`);
+  }
+
+  const deadline = toDeadline(raw.deadline);
+  if (raw.deadline && !deadline) {
+    warnings.push(`${where}: deadline "${raw.deadline}" not recognized, left empty`);
+  }
+
+  const priority = PRIORITIES.some(p => p.value === raw.priority) ? raw.priority : DEFAULT_PRIORITY;
+  if (raw.priority && priority !== raw.priority) {
+    warnings.push(`${where}: priority "${raw.priority}" not recognized, set to ${DEFAULT_PRIORITY}`);
+  }
+
+  const labels = (raw.labels || []).filter(label => {
+    const valid = label.name.trim() && label.name.trim().length <= LABEL_NAME_MAX_LENGTH && LABEL_COLOR.test(label.color);
+    if (!valid) warnings.push(`${where}: label "${label.name}" left out`);
+    return valid;
+  });
+
+  const checklistItems = (Array.isArray(raw.checklistItems) ? raw.checklistItems : [])
+    .map(item => ({ text: String(item?.text ?? '').trim(), isDone: item?.isDone === true }))
+    .filter(item => item.text);
+  if (checklistItems.some(item => item.text.length > CHECKLIST_TEXT_MAX_LENGTH)) {
+    warnings.push(`${where}: checklist items shortened to ${CHECKLIST_TEXT_MAX_LENGTH} characters`);
+  }
+
+  let recurrence = null;
+  if (raw.recurrence && raw.recurrence.frequency !== 'none') {
+    if (FREQUENCIES.some(f => f.value === raw.recurrence.frequency)) {
+      const weekdays = Array.isArray(raw.recurrence.weekdays) ? raw.recurrence.weekdays : [];
+      recurrence = { frequency: raw.recurrence.frequency, weekdays: weekdays.filter(day => Number.isInteger(day) && day >= 0 && day <= 6) };
+    } else {
+      warnings.push(`${where}: repeats "${raw.recurrence.frequency}" not recognized, imported as a one-off task`);
+    }
+  }
+
+  return {
+    name: name.slice(0, TASK_NAME_MAX_LENGTH),
+    description: description.slice(0, TASK_DESCRIPTION_MAX_LENGTH),
+    deadline,
+    isFavorite: raw.isFavorite === true || TRUE_VALUES.includes(String(raw.isFavorite ?? '').trim().toLowerCase()),
+    priority,
+    labels: labels.map(label => ({ name: label.name.trim(), color: label.color.toLowerCase() })),
+    checklistItems: checklistItems.map(item => ({ ...item, text: item.text.slice(0, CHECKLIST_TEXT_MAX_LENGTH) })),
+    recurrence,
+    attachmentNames: raw.attachmentNames || []
+  };
+};
+
+const columnFor = (columns, name) => {
+  let column = columns.find(col => col.name.toLowerCase() === name.toLowerCase());
+  if (!column) {
+    column = { name, tasks: [] };
+    columns.push(column);
+  }
+  return column;
+};
+
+const parseCsvBoard = (text) => {
+  const [header = [], ...rows] = parseCsv(text.replace(/^\uFEFF/, ''));
+  const fields = header.map(h => HEADER_ALIASES[h.trim().toLowerCase()] || null);
+  if (!fields.includes('name')) {
+    throw new Error('The CSV needs a "Name" column');
+  }
+
+  const columns = [];
+  const warnings = [];
+  rows.forEach((cells, i) => {
+    if (cells.every(c => c.trim() === '')) return;
+    const values = {};
+    fields.forEach((field, j) => { if (field) values[field] = unescapeCsvCell(cells[j] ?? ''); });
+
+    const task = normalizeTask({
+      name: values.name,
+      description: values.description,
+      deadline: values.deadline,
+      isFavorite: values.favorite,
+      attachmentNames: (values.attachments || '').split(';').map(s => s.trim()).filter(Boolean)
+    }, `Row ${i + 2}`, warnings);
+    if (task) columnFor(columns, (values.column || '').trim() || DEFAULT_IMPORT_COLUMN).tasks.push(task);
+  });
+  return { format: 'csv', columns, warnings };
+};
+
+const parseJsonBoard = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error('The file is not valid JSON');
+  }
+  if (!data || !Array.isArray(data.columns)) {
+    throw new Error('The JSON has no "columns" list; export a board to see the expected format');
+  }
+
+  const columns = [];
+  const warnings = [];
+  const labelsById = new Map((Array.isArray(data.labels) ? data.labels : []).map(label => [label?.id, label]));
+  data.columns.forEach((col, i) => {
+    const name = String(col?.name ?? '').trim() || `Column ${i + 1}`;
+    const column = columnFor(columns, name);
+    (Array.isArray(col?.tasks) ? col.tasks : []).forEach((raw, j) => {
+      const where = `${name}, task ${j + 1}`;
+      const labelIds = Array.isArray(raw?.labelIds) ? raw.labelIds : [];
+      const labels = labelIds.map(id => labelsById.get(id)).filter(label => label && typeof label.name === 'string');
+      if (labels.length < labelIds.length) {
+        warnings.push(`${where}: labels missing from the file's "labels" list, left out`);
+      }
+      if (raw?.assigneeIds?.length > 0) {
+        warnings.push(`${where}: assignees are not imported`);
+      }
+      const task = normalizeTask({
+        ...raw,
+        labels,
+        attachmentNames: (raw?.attachments || []).map(a => a.fileName).filter(Boolean)
+      }, where, warnings);
+      if (task) column.tasks.push(task);
+    });
+  });
+  return { format: 'json', columns, warnings };
+};
+
+/**
+ * Parses an exported (or hand-made) board file. JSON is recognized by its
+ * extension or a leading "{". Throws an Error with a readable message for
+ * files that can't be imported at all; smaller problems become warnings.
+ */
+export const parseBoardFile = (text, fileName = '') => {
+  const json = /\.json$/i.test(fileName) || (!/\.csv$/i.test(fileName) && text.trim().startsWith('{'));
+  const parsed = json ? parseJsonBoard(text) : parseCsvBoard(text);
+  if (parsed.columns.length === 0) {
+    throw new Error('The file has nothing to import');
+  }
+  return parsed;
+};
+
+/**
+ * Where each imported column goes: the id of the board column with the same
+ * name, or 'new' to create it. 'skip' leaves a column out.
+ */
+export const defaultColumnMapping = (parsed, boardColumns) =>
+  parsed.columns.map(col => {
+    const match = boardColumns.find(b => b.name.trim().toLowerCase() === col.name.toLowerCase());
+    return match ? match.id : 'new';
+  });
+
+const sameName = (a, b) => a.trim().toLowerCase() === b.trim().toLowerCase();
+
+/**
+ * Imported tasks whose name is already taken in the column they go into,
+ * by an existing task or one earlier in the file.
+ */
+export const countConflicts = (parsed, mapping, board) => {
+  const taken = new Map(board.columns.map(col => [col.id, col.tasks.map(t => t.name)]));
+  let conflicts = 0;
+  parsed.columns.forEach((col, i) => {
+    const target = mapping[i];
+    if (target === 'skip' || target === 'new') return;
+    const names = taken.get(target) || [];
+    col.tasks.forEach(task => {
+      if (names.some(name => sameName(name, task.name))) conflicts++;
+      else names.push(task.name);
+    });
+    taken.set(target, names);
+  });
+  return conflicts;
+};
+
+/**
+ * The POST /api/board/import body for a parsed file and the chosen column
+ * mapping and conflict mode.
+ */
+export const buildImportRequest = (parsed, mapping, onConflict) => ({
+  onConflict,
+  columns: parsed.columns
+    .map((col, i) => ({ col, target: mapping[i] }))
+    // Empty columns are only worth sending when they are to be created
+    .filter(({ col, target }) => target === 'new' || (target !== 'skip' && col.tasks.length > 0))
+    .map(({ col, target }) => ({
+      columnId: target === 'new' ? null : target,
+      name: col.name.slice(0, 100),
+      tasks: col.tasks.map(({ name, description, deadline, isFavorite, priority, labels, checklistItems, recurrence }) => ({
+        name, description, deadline, isFavorite, priority, labels, checklistItems, recurrence
+      }))
+    }))
+});
+
+const plural = (n, word) => `${n} ${word}${n === 1 ? '' : 's'}`;
+
+/**
+ * One-line summary of an import result for the status toast.
+ */
+export const summarizeImport = ({ columnsCreated, tasksCreated, tasksUpdated, tasksSkipped, labelsCreated = 0 }) => {
+  const parts = [`Imported ${plural(tasksCreated, 'task')}`];
+  if (columnsCreated > 0) parts[0] += ` and ${plural(columnsCreated, 'new column')}`;
+  if (labelsCreated > 0) parts.push(plural(labelsCreated, 'new label'));
+  if (tasksUpdated > 0) parts.push(`${tasksUpdated} updated`);
+  if (tasksSkipped > 0) parts.push(`${tasksSkipped} skipped as duplicates`);
+  return `${parts.join(', ')}.`;
+};
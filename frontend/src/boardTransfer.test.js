@@ -0,0 +1,210 @@
+import {
+  boardToCsv, boardToJson, parseCsv, parseBoardFile, defaultColumnMapping, countConflicts,
+  buildImportRequest, summarizeImport, exportFileName, DEFAULT_IMPORT_COLUMN
+} from './boardTransfer';
+
+const task = (id, name, extra = {}) => ({
+  id, name, description: '', deadline: null, isFavorite: false, attachments: [], ...extra
+});
+
+const makeBoard = () => ({
+  columns: [
+    {
+      id: 1,
+      name: 'To Do',
+      tasks: [
+        task(1, 'Write "docs", part 1', {
+          description: 'Line one\nLine two',
+          deadline: '2025-03-12T00:00:00Z',
+          isFavorite: true,
+          attachments: [{ id: 7, fileName: 'a.png' }, { id: 8, fileName: 'b.png' }]
+        }),
+        task(2, 'Plan release')
+      ]
+    },
+    { id: 2, name: 'Done', tasks: [] }
+  ]
+});
+
+describe('export', () => {
+  test('CSV has one row per task with escaped cells', () => {
+    const csv = boardToCsv(makeBoard());
+
+    expect(csv.startsWith('\uFEFFColumn,Name,Description,Deadline,Favorite,Attachments\r\n')).toBe(true);
+    expect(csv).toContain('To Do,"Write ""docs"", part 1","Line one\nLine two",2025-03-12,yes,a.png; b.png\r\n');
+    expect(csv).toContain('To Do,Plan release,,,no,\r\n');
+  });
+
+  test('CSV and JSON exports import back to the same tasks', () => {
+    const fromCsv = parseBoardFile(boardToCsv(makeBoard()), 'board.csv');
+    const fromJson = parseBoardFile(boardToJson(makeBoard()), 'board.json');
+
+    expect(fromCsv.columns[0].tasks).toEqual(fromJson.columns[0].tasks);
+    expect(fromJson.columns[0].tasks[0]).toEqual({
+      name: 'Write "docs", part 1',
+      description: 'Line one\nLine two',
+      deadline: '2025-03-12',
+      isFavorite: true,
+      priority: 'medium',
+      labels: [],
+      checklistItems: [],
+      recurrence: null,
+      attachmentNames: ['a.png', 'b.png']
+    });
+    // Empty columns only survive in JSON; the CSV has no row for them
+    expect(fromJson.columns.map(c => c.name)).toEqual(['To Do', 'Done']);
+    expect(fromCsv.columns.map(c => c.name)).toEqual(['To Do']);
+  });
+
+  test('JSON exports keep priority, labels, checklists and recurrence through an import', () => {
+    const board = {
+      columns: [{
+        id: 1,
+        name: 'To Do',
+        tasks: [task(1, 'Release', {
+          priority: 'urgent',
+          labelIds: [3, 4],
+          assigneeIds: [9],
+          checklistItems: [{ id: 1, text: 'Tag', isDone: true, sortOrder: 1 }, { id: 2, text: 'Announce', isDone: false, sortOrder: 2 }],
+          recurrence: { frequency: 'weekly', weekdays: [1, 4] }
+        })]
+      }],
+      labels: [{ id: 3, name: 'Ops', color: '#1098ad' }, { id: 4, name: 'Launch', color: '#E03131' }],
+      members: [{ id: 9, name: 'Sam' }]
+    };
+
+    const parsed = parseBoardFile(boardToJson(board), 'board.json');
+    const request = buildImportRequest(parsed, ['new'], 'skip');
+
+    expect(request.columns[0].tasks).toEqual([{
+      name: 'Release',
+      description: '',
+      deadline: null,
+      isFavorite: false,
+      priority: 'urgent',
+      labels: [{ name: 'Ops', color: '#1098ad' }, { name: 'Launch', color: '#e03131' }],
+      checklistItems: [{ text: 'Tag', isDone: true }, { text: 'Announce', isDone: false }],
+      recurrence: { frequency: 'weekly', weekdays: [1, 4] }
+    }]);
+    expect(parsed.warnings).toEqual(['To Do, task 1: assignees are not imported']);
+  });
+
+  test('CSV shows formula-like cells as text and imports them back unchanged', () => {
+    const board = {
+      columns: [{
+        id: 1,
+        name: 'To Do',
+        tasks: [
+          task(1, '=HYPERLINK("http://evil.example","Click")', { description: '@SUM(A1:A2)' }),
+          task(2, '+1', { description: '-2' }),
+          task(3, "'quoted")
+        ]
+      }]
+    };
+
+    const csv = boardToCsv(board);
+
+    expect(csv).toContain(`To Do,"'=HYPERLINK(""http://evil.example"",""Click"")","'@SUM(A1:A2)",,no,\r\n`);
+    expect(csv).toContain(`To Do,"'+1","'-2",,no,\r\n`);
+    expect(csv).toContain(`To Do,'quoted,,,no,\r\n`);
+    const tasks = parseBoardFile(csv, 'board.csv').columns[0].tasks;
+    expect(tasks.map(t => [t.name, t.description])).toEqual([
+      ['=HYPERLINK("http://evil.example","Click")', '@SUM(A1:A2)'],
+      ['+1', '-2'],
+      ["'quoted", '']
+    ]);
+  });
+
+  test('file names carry the date', () => {
+    expect(exportFileName('csv', new Date(2025, 2, 12))).toBe('task-board-2025-03-12.csv');
+  });
+});
+
+describe('parseCsv', () => {
+  test('handles quotes, commas and CRLF line endings', () => {
+    expect(parseCsv('a,"b,c"\r\n"say ""hi""",\n')).toEqual([['a', 'b,c'], ['say "hi"', '']]);
+  });
+});
+
+describe('parseBoardFile', () => {
+  test('accepts other header names and puts column-less rows in a default column', () => {
+    const parsed = parseBoardFile('Title,Due Date,Starred\nBuy milk,2025-04-01,x\n', 'list.csv');
+
+    expect(parsed.columns).toEqual([{
+      name: DEFAULT_IMPORT_COLUMN,
+      tasks: [{
+        name: 'Buy milk', description: '', deadline: '2025-04-01', isFavorite: true,
+        priority: 'medium', labels: [], checklistItems: [], recurrence: null, attachmentNames: []
+      }]
+    }]);
+  });
+
+  test('warns about rows it had to change or leave out', () => {
+    const parsed = parseBoardFile(`Name,Deadline\n,2025-01-01\nShip it,next week\n${'x'.repeat(250)},\n`, 'tasks.csv');
+
+    expect(parsed.columns[0].tasks.map(t => t.name.length)).toEqual([7, 200]);
+    expect(parsed.warnings).toEqual([
+      'Row 2: no task name, left out',
+      'Row 3: deadline "next week" not recognized, left empty',
+      'Row 4: name shortened to 200 characters'
+    ]);
+  });
+
+  test('warns about JSON task fields it cannot keep', () => {
+    const json = JSON.stringify({
+      columns: [{ name: 'To Do', tasks: [{ name: 'Plan', priority: 'asap', labelIds: [5], recurrence: { frequency: 'yearly' } }] }],
+      labels: []
+    });
+
+    const parsed = parseBoardFile(json, 'board.json');
+
+    expect(parsed.columns[0].tasks[0]).toMatchObject({ priority: 'medium', labels: [], recurrence: null });
+    expect(parsed.warnings).toEqual([
+      'To Do, task 1: labels missing from the file\'s "labels" list, left out',
+      'To Do, task 1: priority "asap" not recognized, set to medium',
+      'To Do, task 1: repeats "yearly" not recognized, imported as a one-off task'
+    ]);
+  });
+
+  test('rejects files it cannot read', () => {
+    expect(() => parseBoardFile('Column,Description\nTo Do,x', 'a.csv')).toThrow('"Name" column');
+    expect(() => parseBoardFile('{ nope', 'a.json')).toThrow('not valid JSON');
+    expect(() => parseBoardFile('{"tasks": []}')).toThrow('"columns" list');
+  });
+});
+
+describe('import mapping', () => {
+  const parsed = parseBoardFile('Column,Name\nto do,Plan release\nto do,New task\nReview,Check docs\n', 'a.csv');
+
+  test('maps columns to board columns by name', () => {
+    expect(defaultColumnMapping(parsed, makeBoard().columns)).toEqual([1, 'new']);
+  });
+
+  test('counts tasks whose name is taken in their target column', () => {
+    expect(countConflicts(parsed, [1, 'new'], makeBoard())).toBe(1);
+    expect(countConflicts(parsed, ['skip', 'new'], makeBoard())).toBe(0);
+  });
+
+  test('builds the import request, leaving skipped columns out', () => {
+    expect(buildImportRequest(parsed, ['skip', 'new'], 'overwrite')).toEqual({
+      onConflict: 'overwrite',
+      columns: [{
+        columnId: null,
+        name: 'Review',
+        tasks: [{
+          name: 'Check docs', description: '', deadline: null, isFavorite: false,
+          priority: 'medium', labels: [], checklistItems: [], recurrence: null
+        }]
+      }]
+    });
+  });
+});
+
+test('summarizeImport', () => {
+  expect(summarizeImport({ columnsCreated: 1, tasksCreated: 3, tasksUpdated: 0, tasksSkipped: 2 }))
+    .toBe('Imported 3 tasks and 1 new column, 2 skipped as duplicates.');
+  expect(summarizeImport({ columnsCreated: 0, tasksCreated: 1, tasksUpdated: 1, tasksSkipped: 0 }))
+    .toBe('Imported 1 task, 1 updated.');
+  expect(summarizeImport({ columnsCreated: 0, tasksCreated: 2, tasksUpdated: 0, tasksSkipped: 0, labelsCreated: 1 }))
+    .toBe('Imported 2 tasks, 1 new label.');
+});
@@ -0,0 +1,71 @@
+// Month and week grids for the calendar view. Weeks run Monday to Sunday,
+// matching the "due this week" filter.
+
+import { addDays, dateKey, deadlineKey, parseDateKey } from './deadlines';
+
+export const startOfWeek = (key) => {
+  const offset = (parseDateKey(key).getDay() + 6) % 7;
+  return addDays(key, -offset);
+};
+
+export const getWeekDays = (key) => {
+  const start = startOfWeek(key);
+  return Array.from({ length: 7 }, (_, i) => addDays(start, i));
+};
+
+const startOfMonth = (key) => `${key.slice(0, 8)}01`;
+
+/**
+ * Full weeks covering the month that contains `key`, as arrays of date keys.
+ */
+export const getMonthWeeks = (key) => {
+  const month = key.slice(0, 7);
+  const weeks = [];
+  let day = startOfWeek(startOfMonth(key));
+  while (day.slice(0, 7) <= month) {
+    weeks.push(getWeekDays(day));
+    day = addDays(day, 7);
+  }
+  return weeks;
+};
+
+/**
+ * Moves the calendar anchor by whole months or weeks.
+ */
+export const shiftPeriod = (key, mode, step) => {
+  if (mode === 'week') return addDays(key, step * 7);
+  const date = parseDateKey(startOfMonth(key));
+  date.setMonth(date.getMonth() + step);
+  return dateKey(date);
+};
+
+export const formatPeriod = (key, mode) => {
+  if (mode === 'week') {
+    const days = getWeekDays(key);
+    const first = parseDateKey(days[0]);
+    const last = parseDateKey(days[6]);
+    const options = { day: 'numeric', month: 'short' };
+    return `${first.toLocaleDateString(undefined, options)} – ${last.toLocaleDateString(undefined, { ...options, year: 'numeric' })}`;
+  }
+  return parseDateKey(key).toLocaleDateString(undefined, { month: 'long', year: 'numeric' });
+};
+
+/**
+ * Groups the board's tasks by deadline date key; tasks without a deadline go
+ * to `unscheduled`.
+ */
+export const groupTasksByDeadline = (board) => {
+  const byDate = {};
+  const unscheduled = [];
+  for (const column of board.columns) {
+    for (const task of column.tasks) {
+      const key = deadlineKey(task.deadline);
+      if (!key) {
+        unscheduled.push(task);
+      } else {
+        (byDate[key] = byDate[key] || []).push(task);
+      }
+    }
+  }
+  return { byDate, unscheduled };
+};
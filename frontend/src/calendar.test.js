@@ -0,0 +1,42 @@
+import { startOfWeek, getWeekDays, getMonthWeeks, shiftPeriod, groupTasksByDeadline } from './calendar';
+
+test('weeks start on Monday', () => {
+  expect(startOfWeek('2025-03-12')).toBe('2025-03-10');
+  expect(startOfWeek('2025-03-16')).toBe('2025-03-10');
+  expect(startOfWeek('2025-03-10')).toBe('2025-03-10');
+});
+
+test('getWeekDays returns Monday to Sunday', () => {
+  expect(getWeekDays('2025-03-12')).toEqual([
+    '2025-03-10', '2025-03-11', '2025-03-12', '2025-03-13', '2025-03-14', '2025-03-15', '2025-03-16'
+  ]);
+});
+
+test('getMonthWeeks covers the whole month in full weeks', () => {
+  const weeks = getMonthWeeks('2025-03-12');
+
+  expect(weeks).toHaveLength(6);
+  expect(weeks[0][0]).toBe('2025-02-24');
+  expect(weeks[5][6]).toBe('2025-04-06');
+  expect(weeks.flat()).toContain('2025-03-31');
+});
+
+test('shiftPeriod moves by months or weeks', () => {
+  expect(shiftPeriod('2025-01-31', 'month', 1)).toBe('2025-02-01');
+  expect(shiftPeriod('2025-01-15', 'month', -1)).toBe('2024-12-01');
+  expect(shiftPeriod('2025-03-12', 'week', 1)).toBe('2025-03-19');
+});
+
+test('groupTasksByDeadline', () => {
+  const board = {
+    columns: [
+      { id: 1, tasks: [{ id: 1, deadline: '2025-03-12T00:00:00Z' }, { id: 2, deadline: null }] },
+      { id: 2, tasks: [{ id: 3, deadline: '2025-03-12' }] }
+    ]
+  };
+
+  const { byDate, unscheduled } = groupTasksByDeadline(board);
+
+  expect(byDate['2025-03-12'].map(t => t.id)).toEqual([1, 3]);
+  expect(unscheduled.map(t => t.id)).toEqual([2]);
+});
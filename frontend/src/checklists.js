@@ -0,0 +1,41 @@
+// Checklist helpers shared by task cards, the task modal and the board filters.
+
+// Mirrors the backend's CreateChecklistItemRequest limit.
+export const CHECKLIST_ITEM_MAX_LENGTH = 200;
+
+// Boards cached before checklists existed have tasks without the field
+const itemsOf = (task) => task.checklistItems || [];
+
+/**
+ * How much of a task's checklist is done, e.g. { done: 3, total: 5 }.
+ */
+export const getChecklistProgress = (task) => {
+  const items = itemsOf(task);
+  return { done: items.filter(item => item.isDone).length, total: items.length };
+};
+
+// Tasks without a checklist are neither complete nor incomplete
+export const isChecklistIncomplete = (task) => {
+  const { done, total } = getChecklistProgress(task);
+  return total > 0 && done < total;
+};
+
+export const isChecklistComplete = (task) => {
+  const { done, total } = getChecklistProgress(task);
+  return total > 0 && done === total;
+};
+
+/**
+ * Moves an item up (-1) or down (+1). Returns the items in their new order,
+ * or the same array when the item can't move that way.
+ */
+export const moveChecklistItem = (items, itemId, offset) => {
+  const from = items.findIndex(item => item.id === itemId);
+  const to = from + offset;
+  if (from < 0 || to < 0 || to >= items.length) return items;
+
+  const reordered = [...items];
+  const [item] = reordered.splice(from, 1);
+  reordered.splice(to, 0, item);
+  return reordered.map((it, i) => (it.sortOrder === i + 1 ? it : { ...it, sortOrder: i + 1 }));
+};
@@ -0,0 +1,34 @@
+import { getChecklistProgress, isChecklistComplete, isChecklistIncomplete, moveChecklistItem } from './checklists';
+
+const item = (id, isDone = false) => ({ id, text: `Step ${id}`, isDone, sortOrder: id });
+
+test('getChecklistProgress counts done items', () => {
+  expect(getChecklistProgress({ checklistItems: [item(1, true), item(2), item(3, true)] })).toEqual({ done: 2, total: 3 });
+  expect(getChecklistProgress({})).toEqual({ done: 0, total: 0 });
+});
+
+test('only tasks with a checklist are complete or incomplete', () => {
+  const open = { checklistItems: [item(1, true), item(2)] };
+  const done = { checklistItems: [item(1, true)] };
+  const none = { checklistItems: [] };
+
+  expect([open, done, none].map(isChecklistIncomplete)).toEqual([true, false, false]);
+  expect([open, done, none].map(isChecklistComplete)).toEqual([false, true, false]);
+});
+
+describe('moveChecklistItem', () => {
+  const items = [item(1), item(2), item(3)];
+
+  test('moves an item and renumbers the list', () => {
+    const moved = moveChecklistItem(items, 3, -1);
+
+    expect(moved.map(i => i.id)).toEqual([1, 3, 2]);
+    expect(moved.map(i => i.sortOrder)).toEqual([1, 2, 3]);
+  });
+
+  test('leaves the list alone at either end', () => {
+    expect(moveChecklistItem(items, 1, -1)).toBe(items);
+    expect(moveChecklistItem(items, 3, 1)).toBe(items);
+    expect(moveChecklistItem(items, 9, 1)).toBe(items);
+  });
+});
@@ -0,0 +1,122 @@
+import { useRef, useState } from 'react';
+import api from '../api/client';
+import { isPreviewable } from '../attachments';
+
+// A task's attachments in its details: an upload area for picked or dropped
+// images and the list with preview, download and delete. `onFiles` receives
+// the files as picked; checking them is up to the caller. `readOnly` leaves
+// out uploading and deleting.
+export function AttachmentList({ attachments, activeUploadCount, error, readOnly, onFiles, onPreview, onDownload, onDelete }) {
+  const [dragOver, setDragOver] = useState(false);
+  const fileInputRef = useRef(null);
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    setDragOver(false);
+    onFiles(Array.from(e.dataTransfer.files));
+  };
+
+  const handleDragOver = (e) => {
+    e.preventDefault();
+    setDragOver(true);
+  };
+
+  const handleDragLeave = (e) => {
+    e.preventDefault();
+    setDragOver(false);
+  };
+
+  const handleFileSelect = (e) => {
+    const files = Array.from(e.target.files);
+    e.target.value = '';
+    onFiles(files);
+  };
+
+  return (
+    <div className="attachments-section">
+      <h3>Image Attachments ({attachments.length})</h3>
+
+      {error && (
+        <div className="modal-error">
+          ⚠️ {error}
+        </div>
+      )}
+
+      {!readOnly && (
+        <div
+          className={`upload-area ${dragOver ? 'drag-over' : ''}`}
+          onDrop={handleDrop}
+          onDragOver={handleDragOver}
+          onDragLeave={handleDragLeave}
+          onClick={() => fileInputRef.current.click()}
+        >
+          {activeUploadCount > 0 ? (
+            <p>📤 Uploading {activeUploadCount} image(s)... Progress is shown in the upload panel.</p>
+          ) : (
+            <>
+              <p>🖼️ Drop images here, paste with Ctrl+V or click to upload</p>
+              <p className="upload-hint">Supports JPEG, PNG, GIF, WebP. Large photos are resized to fit 5MB.</p>
+            </>
+          )}
+          <input
+            ref={fileInputRef}
+            type="file"
+            multiple
+            accept="image/*"
+            onChange={handleFileSelect}
+            style={{ display: 'none' }}
+            aria-label="Upload images"
+          />
+        </div>
+      )}
+
+      <div className="attachment-list">
+        {attachments.map(attachment => (
+          <div key={attachment.id} className="attachment-item">
+            {isPreviewable(attachment) && (
+              <button
+                className="thumbnail-btn"
+                onClick={() => onPreview(attachment.id)}
+                title={`View ${attachment.fileName}`}
+              >
+                <img
+                  className="thumbnail large"
+                  src={api.attachments.previewUrl(attachment.id)}
+                  alt={attachment.fileName}
+                  loading="lazy"
+                />
+              </button>
+            )}
+            <div className="attachment-info">
+              <span className="attachment-name">🖼️ {attachment.fileName}</span>
+              <span className="attachment-size">
+                ({Math.round(attachment.fileSize / 1024)} KB)
+              </span>
+            </div>
+            <div className="attachment-actions">
+              <button
+                className="download-btn"
+                onClick={() => onDownload(attachment.id, attachment.fileName)}
+                title="Download image"
+              >
+                📥
+              </button>
+              {!readOnly && (
+                <button
+                  className="delete-attachment-btn"
+                  onClick={() => onDelete(attachment.id)}
+                  title="Delete image"
+                >
+                  🗑️
+                </button>
+              )}
+            </div>
+          </div>
+        ))}
+        {attachments.length === 0 && (
+          <p className="no-attachments">No images attached yet</p>
+        )}
+      </div>
+    </div>
+  );
+}
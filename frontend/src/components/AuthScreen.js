@@ -0,0 +1,87 @@
+import { useState } from 'react';
+import { isOfflineError } from '../offlineQueue';
+
+// Log in or sign up. `onLogIn` and `onSignUp` reject with the server's error,
+// which is shown on the form.
+export function AuthScreen({ onLogIn, onSignUp }) {
+  const [mode, setMode] = useState('login');
+  const [fields, setFields] = useState({ email: '', displayName: '', password: '' });
+  const [error, setError] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const signingUp = mode === 'signup';
+
+  const change = (name) => (e) => setFields({ ...fields, [name]: e.target.value });
+
+  const switchMode = () => {
+    setMode(signingUp ? 'login' : 'signup');
+    setError(null);
+  };
+
+  const submit = async (e) => {
+    e.preventDefault();
+    setError(null);
+    setBusy(true);
+    try {
+      const email = fields.email.trim();
+      if (signingUp) {
+        await onSignUp({ email, displayName: fields.displayName.trim(), password: fields.password });
+      } else {
+        await onLogIn({ email, password: fields.password });
+      }
+    } catch (err) {
+      const fieldMessages = Object.values(err.fieldErrors || {}).flat();
+      if (isOfflineError(err)) {
+        setError("Can't reach the task board server. Check your connection and try again.");
+      } else {
+        setError(fieldMessages.length > 0 ? fieldMessages.join(' ') : err.message || 'Please try again');
+      }
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="App auth-screen">
+      <h1>🎯 Task Management Board</h1>
+      <form className="auth-form" onSubmit={submit} aria-labelledby="auth-title">
+        <h2 id="auth-title">{signingUp ? 'Create an account' : 'Log in'}</h2>
+        {error && <div className="modal-error" role="alert">⚠️ {error}</div>}
+        <label>
+          Email
+          <input type="email" value={fields.email} onChange={change('email')} autoComplete="email" required />
+        </label>
+        {signingUp && (
+          <label>
+            Name
+            <input
+              type="text"
+              value={fields.displayName}
+              onChange={change('displayName')}
+              autoComplete="name"
+              maxLength={100}
+              required
+            />
+          </label>
+        )}
+        <label>
+          Password
+          <input
+            type="password"
+            value={fields.password}
+            onChange={change('password')}
+            autoComplete={signingUp ? 'new-password' : 'current-password'}
+            minLength={signingUp ? 8 : undefined}
+            maxLength={128}
+            required
+          />
+        </label>
+        <button type="submit" disabled={busy}>{signingUp ? 'Sign up' : 'Log in'}</button>
+        <p className="auth-switch">
+          {signingUp ? 'Already have an account?' : 'New here?'}{' '}
+          <button type="button" className="link-btn" onClick={switchMode}>
+            {signingUp ? 'Log in' : 'Create an account'}
+          </button>
+        </p>
+      </form>
+    </div>
+  );
+}
@@ -0,0 +1,31 @@
+import { useState } from 'react';
+
+/**
+ * Shown in place of the board when the server couldn't provide it, with a
+ * way to try again. `offline` is for a server that can't be reached at all,
+ * as opposed to one that answered with an error (given as `details`).
+ * `children` go above the message, such as the board switcher.
+ */
+export function BackendUnavailable({ offline, details, onRetry, children }) {
+  const [retrying, setRetrying] = useState(false);
+
+  const retry = async () => {
+    setRetrying(true);
+    try {
+      await onRetry();
+    } catch {
+      // The caller reports what went wrong
+    } finally {
+      setRetrying(false);
+    }
+  };
+
+  return (
+    <div className="loading load-failed" role="alert">
+      {children}
+      <p>⚠️ {offline ? "Can't reach the task board server. Check your connection." : 'The task board could not be loaded.'}</p>
+      {details && <p className="load-failed-details">{details}</p>}
+      <button onClick={retry} disabled={retrying}>{retrying ? 'Retrying...' : 'Retry'}</button>
+    </div>
+  );
+}
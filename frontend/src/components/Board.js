@@ -0,0 +1,413 @@
+import { useEffect, useRef, useState } from 'react';
+import { getDropPosition, getPlaceholderIndex, isSamePosition, toFullPosition, toBatchPosition } from '../boardOrdering';
+import { getNeighborTaskId, getInitialDropTarget, moveDropTarget, describeDropTarget } from '../boardKeyboard';
+import { hasDraggedFiles } from '../fileDrop';
+import { toggleSelection, selectRange, pruneSelection, countLabel, emptySelection } from '../taskSelection';
+import { Column } from './Column';
+import { TaskCard } from './TaskCard';
+
+/**
+ * The columns and their cards, with everything that moves them: mouse and
+ * keyboard drag and drop, column reordering, files dragged in from the
+ * desktop and arrow-key focus between cards.
+ *
+ * `board` is the whole board and `visibleBoard` what the filters leave of
+ * it; positions picked among visible cards are mapped back onto the full
+ * columns. Selection state lives with the caller, which also shows the bulk
+ * actions for it. A `readOnly` board can be browsed and opened but nothing on
+ * it moves. Columns with more tasks to load ask for them with `onLoadMore`;
+ * `loadingColumnIds` are the ones doing so.
+ */
+export function Board({
+  board, visibleBoard, filtering, readOnly, taskSelection, selectedTaskIds, onSelectionChange,
+  renamingTaskId, loadingColumnIds, onStartRename, onEndRename, onAnnounce, onOpenTask, onOpenGallery, onFilesDropped, onLoadMore,
+  onMoveTask, onBulkMoveTasks, onToggleFavorite, onDeleteTask, onRenameTask,
+  onRenameColumn, onDeleteColumn, onReorderColumns
+}) {
+  const [focusedTaskId, setFocusedTaskId] = useState(null);
+  const [draggedTask, setDraggedTask] = useState(null);
+  const [draggedColumnId, setDraggedColumnId] = useState(null);
+  const [dragOverColumn, setDragOverColumn] = useState(null);
+  const [dropTarget, setDropTarget] = useState(null); // { columnId, position }
+  const [keyboardDragging, setKeyboardDragging] = useState(false);
+  const [fileDropTarget, setFileDropTarget] = useState(null); // { columnId, taskId? }
+  const cardRefs = useRef(new Map());
+  const focusWhenRendered = useRef(null);
+
+  const visibleTaskIds = visibleBoard.columns.flatMap(col => col.tasks.map(t => t.id));
+  // Only one card is in the tab order; arrow keys move between the rest
+  const tabStopTaskId = visibleTaskIds.includes(focusedTaskId) ? focusedTaskId : visibleTaskIds[0];
+
+  // The unfiltered version of a rendered column
+  const fullColumn = (column) => board.columns.find(col => col.id === column.id) || column;
+
+  // A card moved by keyboard remounts in its new column, and one further
+  // down a long column only renders once the column has scrolled to it.
+  // Either takes focus as it renders, which the column may do on its own.
+  const registerCard = (taskId, card) => {
+    if (!card) {
+      cardRefs.current.delete(taskId);
+      return;
+    }
+    cardRefs.current.set(taskId, card);
+    if (focusWhenRendered.current === taskId) {
+      focusWhenRendered.current = null;
+      card.focus();
+    }
+  };
+
+  // A file dropped just outside a drop zone would otherwise replace the page
+  useEffect(() => {
+    const handleWindowFileDrag = (e) => {
+      if (!hasDraggedFiles(e.dataTransfer)) return;
+      e.preventDefault();
+      if (e.type === 'drop') setFileDropTarget(null);
+    };
+    window.addEventListener('dragover', handleWindowFileDrag);
+    window.addEventListener('drop', handleWindowFileDrag);
+    return () => {
+      window.removeEventListener('dragover', handleWindowFileDrag);
+      window.removeEventListener('drop', handleWindowFileDrag);
+    };
+  }, []);
+
+  // --- Selection ---
+
+  const clearSelection = () => onSelectionChange(emptySelection);
+
+  // Cards are selected by clicking with Ctrl/Cmd (toggle) or Shift (range);
+  // a plain click on a card clears the selection
+  const handleCardClick = (e, task) => {
+    if (e.target.closest('button, input, select, textarea, a, .clickable')) return;
+    if (e.ctrlKey || e.metaKey) {
+      onSelectionChange(toggleSelection(taskSelection, task.id));
+    } else if (e.shiftKey) {
+      onSelectionChange(selectRange(pruneSelection(taskSelection, visibleTaskIds), task.id, visibleTaskIds));
+    } else if (selectedTaskIds.length > 0) {
+      clearSelection();
+    }
+  };
+
+  const toggleTaskSelection = (task) => {
+    const next = toggleSelection(pruneSelection(taskSelection, visibleTaskIds), task.id);
+    onSelectionChange(next);
+    onAnnounce(`${task.name} ${next.ids.includes(task.id) ? 'selected' : 'deselected'}. ${countLabel(next.ids.length)} selected.`);
+  };
+
+  // The ids moved along with a dragged card: the whole selection when the
+  // card is part of one, otherwise null
+  const bulkMoveIds = (task) =>
+    selectedTaskIds.length > 1 && selectedTaskIds.includes(task.id) ? selectedTaskIds : null;
+
+  // --- Mouse drag and drop ---
+
+  const handleColumnDragStart = (e, column) => {
+    setDraggedColumnId(column.id);
+    e.dataTransfer.effectAllowed = 'move';
+    e.dataTransfer.setData('text/plain', column.name);
+  };
+
+  const handleColumnDragEnd = () => {
+    setDraggedColumnId(null);
+    setDragOverColumn(null);
+  };
+
+  const handleDragStart = (e, task) => {
+    e.stopPropagation();
+    setKeyboardDragging(false);
+    setDraggedTask(task);
+    e.dataTransfer.effectAllowed = 'move';
+    e.dataTransfer.setData('text/html', e.target.outerHTML);
+    e.target.classList.add('dragging');
+  };
+
+  const handleDragEnd = (e) => {
+    e.target.classList.remove('dragging');
+    setDraggedTask(null);
+    setDragOverColumn(null);
+    setDropTarget(null);
+  };
+
+  const updateDropTarget = (column, index) => {
+    const position = getDropPosition(column.tasks, draggedTask, index);
+    if (!dropTarget || dropTarget.columnId !== column.id || dropTarget.position !== position) {
+      setDropTarget({ columnId: column.id, position });
+    }
+  };
+
+  const handleDragOver = (e, column) => {
+    e.preventDefault();
+    e.dataTransfer.dropEffect = 'move';
+    // Hovering the column outside any card drops at the end
+    if (draggedTask && !e.target.closest('.task')) {
+      updateDropTarget(column, column.tasks.length);
+    }
+  };
+
+  // Picks the slot above or below the hovered card
+  const handleTaskDragOver = (e, column, index) => {
+    if (!draggedTask) return;
+    e.preventDefault();
+    e.stopPropagation();
+    e.dataTransfer.dropEffect = 'move';
+
+    const rect = e.currentTarget.getBoundingClientRect();
+    const below = e.clientY > rect.top + rect.height / 2;
+    updateDropTarget(column, below ? index + 1 : index);
+  };
+
+  const handleDragEnter = (e, columnId) => {
+    e.preventDefault();
+    setDragOverColumn(columnId);
+  };
+
+  const handleDragLeave = (e) => {
+    e.preventDefault();
+    // Only clear if we're leaving the column container, not a child element
+    if (!e.currentTarget.contains(e.relatedTarget)) {
+      setDragOverColumn(null);
+      setDropTarget(null);
+      setFileDropTarget(null);
+    }
+  };
+
+  // Files dragged in from the desktop. These never set draggedTask, so they
+  // stay out of the card drag-and-drop above. Dropping on a card targets that
+  // task; dropping elsewhere in a column targets the column.
+  const handleFileDragOver = (e, target) => {
+    if (readOnly || !hasDraggedFiles(e.dataTransfer)) return false;
+    e.preventDefault();
+    e.stopPropagation();
+    e.dataTransfer.dropEffect = 'copy';
+    if (!fileDropTarget || fileDropTarget.columnId !== target.columnId || fileDropTarget.taskId !== target.taskId) {
+      setFileDropTarget(target);
+    }
+    return true;
+  };
+
+  const handleFileDrop = (e, target) => {
+    if (readOnly || !hasDraggedFiles(e.dataTransfer)) return false;
+    e.preventDefault();
+    e.stopPropagation();
+    setFileDropTarget(null);
+    setDragOverColumn(null);
+    onFilesDropped(target, Array.from(e.dataTransfer.files));
+    return true;
+  };
+
+  const handleDrop = (e, column) => {
+    const columnId = column.id;
+    e.preventDefault();
+    setDragOverColumn(null);
+    setDropTarget(null);
+
+    if (draggedColumnId !== null) {
+      onReorderColumns(draggedColumnId, columnId);
+      setDraggedColumnId(null);
+      return;
+    }
+
+    if (draggedTask) {
+      const position = dropTarget && dropTarget.columnId === columnId
+        ? dropTarget.position
+        : getDropPosition(column.tasks, draggedTask, column.tasks.length);
+      dropTaskAt(column, position);
+    }
+    setDraggedTask(null);
+  };
+
+  // Moves the dragged task, or the selection it belongs to, to a position
+  // among the column's visible cards. Returns false when that leaves it where it was.
+  const dropTaskAt = (column, visiblePosition) => {
+    // Positions are picked among the visible cards; hidden ones keep their place
+    const full = fullColumn(column);
+    const position = toFullPosition(full.tasks, column.tasks, draggedTask, visiblePosition);
+
+    const movingIds = bulkMoveIds(draggedTask);
+    if (movingIds) {
+      onBulkMoveTasks(movingIds, column.id, toBatchPosition(full.tasks, draggedTask, position, movingIds));
+      return true;
+    }
+
+    if (draggedTask.columnId === column.id && isSamePosition(full.tasks, draggedTask, position)) return false;
+    onMoveTask(draggedTask.id, column.id, position);
+    return true;
+  };
+
+  // --- Keyboard ---
+
+  // Keyboard drag and drop: Space picks a card up, arrows move it, Space or
+  // Enter drops it and Escape puts it back
+  const pickUpTask = (task) => {
+    const target = getInitialDropTarget(visibleBoard, task);
+    const movingIds = bulkMoveIds(task);
+    setDraggedTask(task);
+    setDropTarget(target);
+    setKeyboardDragging(true);
+    onAnnounce(
+      `Picked up ${task.name}${movingIds ? ` and ${countLabel(movingIds.length - 1)} selected with it` : ''}. ` +
+      `${describeDropTarget(visibleBoard, task, target)} ` +
+      'Use the arrow keys to move it, Space to drop it, or Escape to cancel.'
+    );
+  };
+
+  const endKeyboardDrag = () => {
+    setDraggedTask(null);
+    setDropTarget(null);
+    setKeyboardDragging(false);
+  };
+
+  const dropTaskWithKeyboard = () => {
+    const column = visibleBoard.columns.find(col => col.id === dropTarget.columnId);
+    const movingIds = bulkMoveIds(draggedTask);
+    const moved = column && dropTaskAt(column, dropTarget.position);
+    focusWhenRendered.current = draggedTask.id;
+    onAnnounce(moved
+      ? `${movingIds ? countLabel(movingIds.length) : draggedTask.name} dropped in ${column.name} at position ${dropTarget.position + 1}.`
+      : `${draggedTask.name} dropped in its original position.`);
+    endKeyboardDrag();
+  };
+
+  const cancelKeyboardDrag = () => {
+    onAnnounce(`Move cancelled. ${draggedTask.name} returned to its original position.`);
+    endKeyboardDrag();
+  };
+
+  const focusTask = (taskId) => {
+    const card = cardRefs.current.get(taskId);
+    if (card) {
+      card.focus();
+    } else {
+      // Not rendered in a long column yet; its column scrolls to it
+      focusWhenRendered.current = taskId;
+      setFocusedTaskId(taskId);
+    }
+  };
+
+  const handleCardKeyDown = (e, task) => {
+    // Leave keys alone inside the card's buttons and inputs
+    if (e.target !== e.currentTarget) return;
+
+    if (keyboardDragging) {
+      if (e.key.startsWith('Arrow')) {
+        e.preventDefault();
+        const target = moveDropTarget(visibleBoard, draggedTask, dropTarget, e.key);
+        setDropTarget(target);
+        onAnnounce(describeDropTarget(visibleBoard, draggedTask, target));
+      } else if (e.key === ' ' || e.key === 'Enter') {
+        e.preventDefault();
+        dropTaskWithKeyboard();
+      } else if (e.key === 'Escape') {
+        e.preventDefault();
+        cancelKeyboardDrag();
+      }
+      return;
+    }
+
+    if (e.key === ' ' && readOnly) {
+      e.preventDefault();
+    } else if (e.key === ' ' && e.shiftKey) {
+      e.preventDefault();
+      toggleTaskSelection(task);
+    } else if (e.key === ' ') {
+      e.preventDefault();
+      pickUpTask(task);
+    } else if (e.key === 'Escape' && selectedTaskIds.length > 0) {
+      e.preventDefault();
+      clearSelection();
+      onAnnounce('Selection cleared.');
+    } else if (e.key === 'Enter') {
+      e.preventDefault();
+      onOpenTask(task);
+    } else {
+      const nextId = getNeighborTaskId(visibleBoard, task.id, e.key);
+      if (nextId !== null) {
+        e.preventDefault();
+        focusTask(nextId);
+      }
+    }
+  };
+
+  const handleCardBlur = (e, task) => {
+    // Tabbing or clicking away drops nothing; a card remounting after a move has no relatedTarget
+    if (keyboardDragging && draggedTask && draggedTask.id === task.id && e.relatedTarget) {
+      cancelKeyboardDrag();
+    }
+  };
+
+  // Rendered slot of the drop placeholder in a column, or -1
+  const placeholderIndex = (column) => {
+    if (!draggedTask || !dropTarget || dropTarget.columnId !== column.id) return -1;
+    if (isSamePosition(column.tasks, draggedTask, dropTarget.position)) return -1;
+    return getPlaceholderIndex(column.tasks, draggedTask, dropTarget.position);
+  };
+
+  const columnClassName = (column) => [
+    dragOverColumn === column.id && 'drag-over',
+    draggedColumnId === column.id && 'dragging',
+    fileDropTarget && fileDropTarget.columnId === column.id && !fileDropTarget.taskId && 'file-drop-target'
+  ].filter(Boolean).join(' ');
+
+  const renderTask = (column, task, index) => (
+    <TaskCard
+      task={task}
+      columns={board.columns}
+      labels={board.labels}
+      members={board.members}
+      readOnly={readOnly}
+      cardRef={(el) => registerCard(task.id, el)}
+      tabStop={task.id === tabStopTaskId}
+      selected={selectedTaskIds.includes(task.id)}
+      keyboardDragging={keyboardDragging && draggedTask !== null && draggedTask.id === task.id}
+      fileDropTarget={fileDropTarget !== null && fileDropTarget.taskId === task.id}
+      renaming={renamingTaskId === task.id}
+      onStartRename={() => onStartRename(task.id)}
+      onRename={(name) => {
+        onEndRename();
+        onRenameTask(task, name);
+      }}
+      onCancelRename={onEndRename}
+      onToggleFavorite={() => onToggleFavorite(task.id, task.isFavorite)}
+      onMove={(columnId) => onMoveTask(task.id, columnId)}
+      onDelete={() => onDeleteTask(task.id)}
+      onOpen={() => onOpenTask(task)}
+      onOpenGallery={(attachmentId) => onOpenGallery(task, attachmentId)}
+      onFocus={(e) => e.target === e.currentTarget && setFocusedTaskId(task.id)}
+      onKeyDown={(e) => handleCardKeyDown(e, task)}
+      onClick={(e) => handleCardClick(e, task)}
+      onBlur={(e) => handleCardBlur(e, task)}
+      onDragStart={(e) => handleDragStart(e, task)}
+      onDragEnd={handleDragEnd}
+      onDragOver={(e) => handleFileDragOver(e, { columnId: column.id, taskId: task.id }) || handleTaskDragOver(e, column, index)}
+      onDrop={(e) => handleFileDrop(e, { columnId: column.id, taskId: task.id })}
+    />
+  );
+
+  return (
+    <div className="board">
+      {visibleBoard.columns.map(column => (
+        <Column
+          key={column.id}
+          column={column}
+          allTasks={fullColumn(column).tasks}
+          filtering={filtering}
+          readOnly={readOnly}
+          className={columnClassName(column)}
+          placeholderIndex={placeholderIndex(column)}
+          renderTask={(task, index) => renderTask(column, task, index)}
+          activeTaskId={focusedTaskId}
+          loadingMore={loadingColumnIds.includes(column.id)}
+          onLoadMore={() => onLoadMore(column.id)}
+          onRename={(name) => onRenameColumn(fullColumn(column), name)}
+          onDelete={() => onDeleteColumn(column.id)}
+          onHeaderDragStart={(e) => handleColumnDragStart(e, column)}
+          onHeaderDragEnd={handleColumnDragEnd}
+          onDragOver={(e) => handleFileDragOver(e, { columnId: column.id }) || handleDragOver(e, column)}
+          onDragEnter={(e) => handleDragEnter(e, column.id)}
+          onDragLeave={handleDragLeave}
+          onDrop={(e) => handleFileDrop(e, { columnId: column.id }) || handleDrop(e, column)}
+        />
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,58 @@
+import { useState } from 'react';
+import { DEFAULT_FILTERS, loadSavedViews, saveView, deleteView } from '../boardFilters';
+import { BoardToolbar } from './BoardToolbar';
+import { BulkActionBar } from './BulkActionBar';
+import { SyncConflictList } from './SyncConflictList';
+
+// The bars above the board: filters and saved views, offline changes the
+// server rejected, actions for the selected cards (when `bulkActions` is on),
+// and a way out when `noMatches` says the filters hide every task
+export function BoardControls({
+  board, filters, conflicts, selectedTaskIds, bulkActions, noMatches,
+  onFiltersChange, onResolveConflict, onBulkMove, onBulkUpdate, onBulkDelete, onClearSelection
+}) {
+  const [savedViews, setSavedViews] = useState(() => loadSavedViews());
+
+  const saveCurrentView = () => {
+    const name = window.prompt('Name this view:');
+    if (!name || !name.trim()) return;
+    setSavedViews(saveView(name.trim(), filters));
+  };
+
+  return (
+    <>
+      <BoardToolbar
+        filters={filters}
+        onChange={onFiltersChange}
+        labels={board.labels || []}
+        members={board.members || []}
+        savedViews={savedViews}
+        onSaveView={saveCurrentView}
+        onDeleteView={(name) => setSavedViews(deleteView(name))}
+      />
+
+      {conflicts.length > 0 && (
+        <SyncConflictList conflicts={conflicts} onResolve={onResolveConflict} />
+      )}
+
+      {bulkActions && selectedTaskIds.length > 0 && (
+        <BulkActionBar
+          count={selectedTaskIds.length}
+          columns={board.columns}
+          onMove={(columnId) => onBulkMove(selectedTaskIds, columnId)}
+          onFavorite={(isFavorite) => onBulkUpdate(selectedTaskIds, { isFavorite }, 'Failed to update favorites')}
+          onSetDeadline={(deadline) => onBulkUpdate(selectedTaskIds, { deadline }, 'Failed to update deadlines')}
+          onDelete={() => onBulkDelete(selectedTaskIds).then(onClearSelection).catch(() => {})}
+          onClear={onClearSelection}
+        />
+      )}
+
+      {noMatches && (
+        <div className="no-results">
+          No tasks match the current filters.
+          <button onClick={() => onFiltersChange(DEFAULT_FILTERS)}>Clear filters</button>
+        </div>
+      )}
+    </>
+  );
+}
@@ -0,0 +1,112 @@
+import { findTask } from '../boardStore';
+import { getPreviewableAttachments } from '../attachments';
+import { ImageReviewDialog } from './ImageReviewDialog';
+import { ImportDialog } from './ImportDialog';
+import { LabelsDialog } from './LabelsDialog';
+import { Lightbox } from './Lightbox';
+import { TaskDetailModal } from './TaskDetailModal';
+import { TaskForm } from './TaskForm';
+import { TemplatesDialog } from './TemplatesDialog';
+
+// The board's modals: the one named by `dialog` ('taskForm', 'labels',
+// 'templates' or 'import'), the open task, the image review before uploads and
+// the attachment gallery. `actions` and `attachments` are what useBoard and
+// useAttachments return.
+export function BoardDialogs({
+  board, userId, readOnly, dialog, selectedTask, commentsVersion, gallery, actions, attachments,
+  onCreateTask, onCloseDialog, onCloseTask, onOpenGallery, onGalleryChange, onError
+}) {
+  const addImages = (files) => attachments.reviewImages(attachments.acceptImages(files));
+  const galleryTask = gallery && findTask(board, gallery.taskId);
+  const galleryItems = galleryTask ? getPreviewableAttachments(galleryTask.attachments) : [];
+
+  return (
+    <>
+      {dialog === 'taskForm' && (
+        <TaskForm
+          columns={board.columns}
+          labels={board.labels || []}
+          members={board.members || []}
+          onAddFiles={addImages}
+          onCreate={onCreateTask}
+          onError={onError}
+          onClose={onCloseDialog}
+        />
+      )}
+
+      {selectedTask && (
+        <TaskDetailModal
+          task={selectedTask}
+          userId={userId}
+          readOnly={readOnly}
+          onClose={onCloseTask}
+          onUploadFiles={attachments.uploadFiles}
+          onReviewImages={attachments.reviewImages}
+          activeUploadCount={attachments.activeUploadCount(selectedTask.id)}
+          onDeleteAttachment={actions.deleteAttachment}
+          onDownloadAttachment={attachments.downloadAttachment}
+          onSaveTask={actions.updateTask}
+          onSaveAsTemplate={actions.saveTaskAsTemplate}
+          onPreviewAttachment={(attachmentId) => onOpenGallery(selectedTask, attachmentId)}
+          columns={board.columns}
+          labels={board.labels || []}
+          members={board.members || []}
+          commentsVersion={commentsVersion}
+          onAddChecklistItem={actions.addChecklistItem}
+          onUpdateChecklistItem={actions.updateChecklistItem}
+          onReorderChecklist={actions.reorderChecklist}
+          onDeleteChecklistItem={actions.deleteChecklistItem}
+        />
+      )}
+
+      {dialog === 'labels' && (
+        <LabelsDialog
+          labels={board.labels || []}
+          members={board.members || []}
+          onSaveLabel={actions.saveLabel}
+          onDeleteLabel={actions.deleteLabel}
+          onSaveMember={actions.saveMember}
+          onDeleteMember={actions.deleteMember}
+          onClose={onCloseDialog}
+        />
+      )}
+
+      {dialog === 'templates' && (
+        <TemplatesDialog
+          columns={board.columns}
+          onAddFiles={addImages}
+          onError={onError}
+          onClose={onCloseDialog}
+        />
+      )}
+
+      {dialog === 'import' && (
+        <ImportDialog
+          board={board}
+          onImport={actions.importBoard}
+          onClose={onCloseDialog}
+        />
+      )}
+
+      {attachments.imageReview && (
+        <ImageReviewDialog
+          items={attachments.imageReview.items}
+          optimize={attachments.imageReview.optimize}
+          onOptimizeChange={attachments.setReviewOptimize}
+          onConfirm={() => attachments.finishImageReview(true)}
+          onCancel={() => attachments.finishImageReview(false)}
+        />
+      )}
+
+      {galleryItems.length > 0 && (
+        <Lightbox
+          attachments={galleryItems}
+          index={Math.min(gallery.index, galleryItems.length - 1)}
+          onIndexChange={(index) => onGalleryChange({ ...gallery, index })}
+          onClose={() => onGalleryChange(null)}
+          onDownload={attachments.downloadAttachment}
+        />
+      )}
+    </>
+  );
+}
@@ -0,0 +1,129 @@
+import { useState } from 'react';
+
+// Board header: connection and sync status, undo/redo, the buttons that open
+// the board's dialogs (`onOpenDialog` with 'labels', 'templates', 'import' or
+// 'taskForm'), export, the board/calendar switch and the add-column form.
+// A `readOnly` board only gets export and the view switch.
+export function BoardHeader({
+  boardSwitcher, readOnly, offline, syncing, queuedCount, liveStatus, history, view,
+  onUndo, onRedo, onOpenDialog, onExport, onViewChange, onCreateColumn, onError
+}) {
+  const [showColumnForm, setShowColumnForm] = useState(false);
+  const [newColumnName, setNewColumnName] = useState('');
+
+  const createColumn = async (e) => {
+    e.preventDefault();
+    const name = newColumnName.trim();
+    if (!name) {
+      onError('Column name is required');
+      return;
+    }
+
+    await onCreateColumn(name).then(() => {
+      setNewColumnName('');
+      setShowColumnForm(false);
+    }).catch(() => {});
+  };
+
+  return (
+    <header className="app-header">
+      <h1>🎯 Task Management Board</h1>
+      {boardSwitcher}
+      {readOnly && (
+        <span className="read-only-badge" title="This board was shared with you to view">👁 View only</span>
+      )}
+      {(offline || syncing || queuedCount > 0) && (
+        <span className={`sync-status ${offline ? 'offline' : 'syncing'}`} role="status">
+          {offline
+            ? `⚠ Offline${queuedCount > 0 ? `, ${queuedCount} change${queuedCount === 1 ? '' : 's'} waiting` : ''}`
+            : `⟳ Syncing ${queuedCount} change${queuedCount === 1 ? '' : 's'}...`}
+        </span>
+      )}
+      <span
+        className={`live-status ${liveStatus}`}
+        title={liveStatus === 'open' ? 'Receiving live updates' : 'Live updates paused, reconnecting...'}
+      >
+        {liveStatus === 'open' ? '● Live' : '○ Reconnecting'}
+      </span>
+      <div className="header-actions">
+        {!readOnly && (
+          <>
+            <div className="history-buttons" role="group" aria-label="History">
+              <button
+                onClick={onUndo}
+                disabled={!history.canUndo}
+                title={history.canUndo ? `Undo ${history.undoLabel} (Ctrl+Z)` : 'Nothing to undo'}
+                aria-label="Undo"
+              >
+                ↶
+              </button>
+              <button
+                onClick={onRedo}
+                disabled={!history.canRedo}
+                title={history.canRedo ? `Redo ${history.redoLabel} (Ctrl+Shift+Z)` : 'Nothing to redo'}
+                aria-label="Redo"
+              >
+                ↷
+              </button>
+            </div>
+            <button
+              className="labels-btn"
+              onClick={() => onOpenDialog('labels')}
+              title="Manage the labels and members tasks can be tagged with"
+            >
+              🏷️ Labels & members
+            </button>
+            <button
+              className="labels-btn"
+              onClick={() => onOpenDialog('templates')}
+              title="Manage the templates new tasks can start from"
+            >
+              📋 Templates
+            </button>
+          </>
+        )}
+        <div className="transfer-buttons" role="group" aria-label={readOnly ? 'Export' : 'Export and import'}>
+          <button onClick={() => onExport('json')} title="Download the whole board as JSON">Export JSON</button>
+          <button onClick={() => onExport('csv')} title="Download one row per task as CSV">Export CSV</button>
+          {!readOnly && (
+            <button onClick={() => onOpenDialog('import')} title="Load tasks from a JSON or CSV file">Import</button>
+          )}
+        </div>
+        <div className="view-switch" role="group" aria-label="View">
+          <button aria-pressed={view === 'board'} onClick={() => onViewChange('board')}>Board</button>
+          <button aria-pressed={view === 'calendar'} onClick={() => onViewChange('calendar')}>Calendar</button>
+        </div>
+        {!readOnly && (showColumnForm ? (
+          <form className="add-column-form" onSubmit={createColumn}>
+            <input
+              type="text"
+              placeholder="Column name"
+              value={newColumnName}
+              maxLength={100}
+              autoFocus
+              onChange={(e) => setNewColumnName(e.target.value)}
+              onKeyDown={(e) => e.key === 'Escape' && setShowColumnForm(false)}
+            />
+            <button type="submit">Add</button>
+            <button type="button" onClick={() => setShowColumnForm(false)}>Cancel</button>
+          </form>
+        ) : (
+          <button
+            className="add-column-btn"
+            onClick={() => setShowColumnForm(true)}
+          >
+            + Add Column
+          </button>
+        ))}
+        {!readOnly && (
+          <button
+            className="add-task-btn"
+            onClick={() => onOpenDialog('taskForm')}
+          >
+            + Add Task
+          </button>
+        )}
+      </div>
+    </header>
+  );
+}
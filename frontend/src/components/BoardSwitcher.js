@@ -0,0 +1,93 @@
+import { useState } from 'react';
+
+const BOARD_NAME_MAX_LENGTH = 100;
+
+const boardOptionLabel = (board) =>
+  board.role === 'owner' ? board.name : `${board.name} (${board.ownerName}, ${board.role})`;
+
+/**
+ * Picks the open board and manages it: new boards for everyone, rename,
+ * share and delete for its owner, and leave for those it was shared with.
+ * Also shows who is signed in. The board actions reject when they fail, after
+ * reporting it, and the form stays open.
+ */
+export function BoardSwitcher({ boards, current, user, onSelect, onCreate, onRename, onDelete, onLeave, onShare, onLogOut }) {
+  const [editing, setEditing] = useState(null); // 'new' or 'rename'
+  const [name, setName] = useState('');
+  const isOwner = current?.role === 'owner';
+
+  const startEditing = (mode) => {
+    setEditing(mode);
+    setName(mode === 'rename' ? current.name : '');
+  };
+
+  const submit = (e) => {
+    e.preventDefault();
+    const trimmed = name.trim();
+    if (!trimmed) return;
+    const saved = editing === 'new' ? onCreate(trimmed) : onRename(current.id, trimmed);
+    saved.then(() => setEditing(null)).catch(() => {});
+  };
+
+  const remove = () => {
+    if (!window.confirm(`Delete board "${current.name}" with all of its tasks? This cannot be undone.`)) return;
+    onDelete(current.id).catch(() => {});
+  };
+
+  const leave = () => {
+    if (!window.confirm(`Leave board "${current.name}"? ${current.ownerName} can share it with you again.`)) return;
+    onLeave(current.id).catch(() => {});
+  };
+
+  return (
+    <div className="board-switcher">
+      {editing ? (
+        <form className="board-name-form" onSubmit={submit}>
+          <input
+            type="text"
+            placeholder="Board name"
+            aria-label="Board name"
+            value={name}
+            maxLength={BOARD_NAME_MAX_LENGTH}
+            autoFocus
+            onChange={(e) => setName(e.target.value)}
+            onKeyDown={(e) => e.key === 'Escape' && setEditing(null)}
+          />
+          <button type="submit">{editing === 'new' ? 'Create' : 'Save'}</button>
+          <button type="button" onClick={() => setEditing(null)}>Cancel</button>
+        </form>
+      ) : (
+        <>
+          {boards.length > 0 && (
+            <select
+              aria-label="Board"
+              value={current?.id ?? ''}
+              onChange={(e) => onSelect(Number(e.target.value))}
+            >
+              {boards.map(board => (
+                <option key={board.id} value={board.id}>{boardOptionLabel(board)}</option>
+              ))}
+            </select>
+          )}
+          <div className="board-actions" role="group" aria-label="Board actions">
+            <button onClick={() => startEditing('new')} title="Create a new board">+ New board</button>
+            {current && isOwner && (
+              <>
+                <button onClick={() => startEditing('rename')} title="Rename this board">Rename</button>
+                <button onClick={onShare} title="Invite people to view or edit this board">Share</button>
+                <button className="delete-board-btn" onClick={remove} title="Delete this board">Delete</button>
+              </>
+            )}
+            {current && !isOwner && (
+              <button onClick={leave} title="Remove this board from your list">Leave</button>
+            )}
+          </div>
+        </>
+      )}
+      <div className="account">
+        <span className="account-name" title={user.email}>👤 {user.displayName}</span>
+        <button onClick={onLogOut}>Log out</button>
+      </div>
+    </div>
+  );
+}
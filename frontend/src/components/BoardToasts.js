@@ -0,0 +1,27 @@
+import { describeDeletion } from '../boardHistory';
+import { UploadPanel } from './UploadPanel';
+
+// The undo toast after a deletion (its Undo only while that deletion is still
+// the last change) and the attachment upload progress
+export function BoardToasts({ undoToast, history, attachments, onUndo, onDismissUndo }) {
+  return (
+    <>
+      {undoToast && (
+        <div className="undo-toast" role="status">
+          <span>{describeDeletion(undoToast)}</span>
+          {history.lastEntry === undoToast && (
+            <button onClick={onUndo} disabled={!history.canUndo}>Undo</button>
+          )}
+          <button className="close-toast" onClick={onDismissUndo} aria-label="Dismiss">✕</button>
+        </div>
+      )}
+
+      <UploadPanel
+        uploads={attachments.uploads}
+        onCancel={attachments.cancelUpload}
+        onRetry={attachments.retryUpload}
+        onDismiss={attachments.dismissUploads}
+      />
+    </>
+  );
+}
@@ -0,0 +1,114 @@
+import { DEFAULT_FILTERS, hasActiveFilters } from '../boardFilters';
+import { PRIORITIES } from '../taskMetadata';
+
+// Search, filters and saved views above the board
+export function BoardToolbar({ filters, onChange, labels, members, savedViews, onSaveView, onDeleteView }) {
+  const update = (changes) => onChange({ ...filters, ...changes });
+  const filtering = hasActiveFilters(filters);
+
+  return (
+    <div className="board-toolbar">
+      <input
+        type="search"
+        className="board-search"
+        placeholder="Search tasks..."
+        value={filters.q}
+        onChange={(e) => update({ q: e.target.value })}
+        aria-label="Search tasks"
+      />
+      <label className="filter-favorites">
+        <input
+          type="checkbox"
+          checked={filters.favorites}
+          onChange={(e) => update({ favorites: e.target.checked })}
+        />
+        ⭐ Favorites
+      </label>
+      <select
+        value={filters.deadline}
+        onChange={(e) => update({ deadline: e.target.value })}
+        aria-label="Deadline"
+      >
+        <option value="any">Any deadline</option>
+        <option value="overdue">Overdue</option>
+        <option value="week">Due this week</option>
+        <option value="none">No deadline</option>
+      </select>
+      <select
+        value={filters.attachments}
+        onChange={(e) => update({ attachments: e.target.value })}
+        aria-label="Attachments"
+      >
+        <option value="any">Any attachments</option>
+        <option value="with">With attachments</option>
+        <option value="without">Without attachments</option>
+      </select>
+      <select
+        value={filters.checklist}
+        onChange={(e) => update({ checklist: e.target.value })}
+        aria-label="Checklist"
+      >
+        <option value="any">Any checklist</option>
+        <option value="incomplete">Checklist not done</option>
+        <option value="complete">Checklist done</option>
+      </select>
+      <select
+        value={filters.priority}
+        onChange={(e) => update({ priority: e.target.value })}
+        aria-label="Priority"
+      >
+        <option value="any">Any priority</option>
+        {PRIORITIES.map(p => <option key={p.value} value={p.value}>{p.label}</option>)}
+      </select>
+      {(labels.length > 0 || filters.label !== 'any') && (
+        <select
+          value={filters.label}
+          onChange={(e) => update({ label: e.target.value })}
+          aria-label="Label"
+        >
+          <option value="any">Any label</option>
+          {labels.map(label => <option key={label.id} value={String(label.id)}>{label.name}</option>)}
+        </select>
+      )}
+      {(members.length > 0 || filters.assignee !== 'any') && (
+        <select
+          value={filters.assignee}
+          onChange={(e) => update({ assignee: e.target.value })}
+          aria-label="Assignee"
+        >
+          <option value="any">Anyone</option>
+          <option value="none">Unassigned</option>
+          {members.map(member => <option key={member.id} value={String(member.id)}>{member.name}</option>)}
+        </select>
+      )}
+      {filtering && (
+        <>
+          <button className="clear-filters-btn" onClick={() => onChange(DEFAULT_FILTERS)}>
+            Clear
+          </button>
+          <button className="save-view-btn" onClick={onSaveView}>
+            Save view
+          </button>
+        </>
+      )}
+      {savedViews.length > 0 && (
+        <div className="saved-views">
+          {savedViews.map(view => (
+            <span key={view.name} className="saved-view">
+              <button onClick={() => onChange({ ...DEFAULT_FILTERS, ...view.filters })} title="Apply view">
+                {view.name}
+              </button>
+              <button
+                className="saved-view-delete"
+                onClick={() => onDeleteView(view.name)}
+                title={`Delete view "${view.name}"`}
+              >
+                ✕
+              </button>
+            </span>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,36 @@
+import { useState } from 'react';
+
+// Actions for the cards selected with Ctrl/Cmd+click, Shift+click or Shift+Space
+export function BulkActionBar({ count, columns, onMove, onFavorite, onSetDeadline, onDelete, onClear }) {
+  const [deadline, setDeadline] = useState('');
+
+  return (
+    <div className="bulk-action-bar" role="toolbar" aria-label="Selected tasks">
+      <span className="bulk-count">{count} selected</span>
+      <select
+        value=""
+        onChange={(e) => e.target.value && onMove(parseInt(e.target.value))}
+        aria-label="Move selected tasks to column"
+      >
+        <option value="">Move to...</option>
+        {columns.map(col => (
+          <option key={col.id} value={col.id}>{col.name}</option>
+        ))}
+      </select>
+      <button onClick={() => onFavorite(true)}>⭐ Favorite</button>
+      <button onClick={() => onFavorite(false)}>Unfavorite</button>
+      <span className="bulk-deadline">
+        <input
+          type="date"
+          value={deadline}
+          onChange={(e) => setDeadline(e.target.value)}
+          aria-label="Deadline for selected tasks"
+        />
+        <button onClick={() => onSetDeadline(deadline)} disabled={!deadline}>Set deadline</button>
+        <button onClick={() => onSetDeadline(null)}>Clear deadline</button>
+      </span>
+      <button className="bulk-delete-btn" onClick={onDelete}>🗑️ Delete</button>
+      <button className="bulk-clear-btn" onClick={onClear} aria-label="Clear selection">✕</button>
+    </div>
+  );
+}
@@ -0,0 +1,117 @@
+import { useState } from 'react';
+import { dateKey, getDeadlineStatus, formatDeadline } from '../deadlines';
+import { getMonthWeeks, getWeekDays, shiftPeriod, formatPeriod, groupTasksByDeadline } from '../calendar';
+
+const WEEKDAY_LABELS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+
+// Month or week calendar of tasks by deadline; drag a task to another day to
+// reschedule it, unless the calendar is `readOnly`
+export function CalendarView({ board, readOnly, onOpenTask, onReschedule }) {
+  const [mode, setMode] = useState('month');
+  const today = dateKey(new Date());
+  const [anchor, setAnchor] = useState(today);
+  const [draggedTaskId, setDraggedTaskId] = useState(null);
+  const [dragOverKey, setDragOverKey] = useState(null);
+
+  const { byDate, unscheduled } = groupTasksByDeadline(board);
+  const weeks = mode === 'month' ? getMonthWeeks(anchor) : [getWeekDays(anchor)];
+  const month = anchor.slice(0, 7);
+
+  // Drop target for a day; `deadline` is what dropping there sets
+  const dropProps = (key, deadline = key) => ({
+    onDragOver: (e) => {
+      if (draggedTaskId === null) return;
+      e.preventDefault();
+      e.dataTransfer.dropEffect = 'move';
+      if (dragOverKey !== key) setDragOverKey(key);
+    },
+    onDragLeave: (e) => {
+      if (!e.currentTarget.contains(e.relatedTarget)) setDragOverKey(null);
+    },
+    onDrop: (e) => {
+      e.preventDefault();
+      if (draggedTaskId !== null) onReschedule(draggedTaskId, deadline);
+      setDraggedTaskId(null);
+      setDragOverKey(null);
+    }
+  });
+
+  const renderTask = (task) => (
+    <button
+      key={task.id}
+      className={`calendar-task ${task.deadline ? getDeadlineStatus(task.deadline) : ''} ${task.isFavorite ? 'favorite' : ''}`}
+      draggable={readOnly ? 'false' : 'true'}
+      onDragStart={(e) => {
+        if (readOnly) return;
+        setDraggedTaskId(task.id);
+        e.dataTransfer.effectAllowed = 'move';
+        e.dataTransfer.setData('text/plain', task.name);
+      }}
+      onDragEnd={() => {
+        setDraggedTaskId(null);
+        setDragOverKey(null);
+      }}
+      onClick={() => onOpenTask(task)}
+      title={`${task.name} (${task.columnName})`}
+    >
+      {task.name}
+    </button>
+  );
+
+  return (
+    <div className="calendar">
+      <div className="calendar-toolbar">
+        <button onClick={() => setAnchor(shiftPeriod(anchor, mode, -1))} aria-label={`Previous ${mode}`}>‹</button>
+        <button onClick={() => setAnchor(today)}>Today</button>
+        <button onClick={() => setAnchor(shiftPeriod(anchor, mode, 1))} aria-label={`Next ${mode}`}>›</button>
+        <h2 className="calendar-period">{formatPeriod(anchor, mode)}</h2>
+        <div className="view-switch" role="group" aria-label="Calendar range">
+          <button aria-pressed={mode === 'month'} onClick={() => setMode('month')}>Month</button>
+          <button aria-pressed={mode === 'week'} onClick={() => setMode('week')}>Week</button>
+        </div>
+      </div>
+
+      <div className="calendar-body">
+        <div className={`calendar-grid ${mode}`} role="grid" aria-label={formatPeriod(anchor, mode)}>
+          <div className="calendar-row" role="row">
+            {WEEKDAY_LABELS.map(label => (
+              <div key={label} className="calendar-weekday" role="columnheader">{label}</div>
+            ))}
+          </div>
+          {weeks.map(week => (
+            <div key={week[0]} className="calendar-row" role="row">
+              {week.map(key => (
+                <div
+                  key={key}
+                  role="gridcell"
+                  aria-label={formatDeadline(key, { weekday: 'long', day: 'numeric', month: 'long' })}
+                  className={[
+                    'calendar-day',
+                    mode === 'month' && key.slice(0, 7) !== month ? 'outside' : '',
+                    key === today ? 'today' : '',
+                    dragOverKey === key ? 'drag-over' : ''
+                  ].join(' ')}
+                  {...dropProps(key)}
+                >
+                  <span className="calendar-date">{Number(key.slice(8))}</span>
+                  {(byDate[key] || []).map(renderTask)}
+                </div>
+              ))}
+            </div>
+          ))}
+        </div>
+
+        <aside
+          className={`calendar-unscheduled ${dragOverKey === 'none' ? 'drag-over' : ''}`}
+          aria-label="Tasks without a deadline"
+          {...dropProps('none', null)}
+        >
+          <h3>No deadline</h3>
+          {unscheduled.length > 0
+            ? unscheduled.map(renderTask)
+            : <p className="calendar-empty">Drop a task here to clear its deadline</p>}
+        </aside>
+      </div>
+    </div>
+  );
+}
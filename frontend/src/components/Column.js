@@ -0,0 +1,142 @@
+import { Fragment, useState } from 'react';
+import { countOverdue } from '../deadlines';
+import { useVirtualList } from '../useVirtualList';
+
+// Longer lists only render the cards scrolled into view
+const VIRTUALIZE_FROM = 60;
+const ESTIMATED_CARD_HEIGHT = 110;
+const CARD_GAP = 12; // .tasks gap
+
+/**
+ * A board column: its header (drag to reorder, double-click to rename) and
+ * its cards. `column` holds the visible tasks and `allTasks` every loaded
+ * task in it, including those hidden by filters; the overdue count also
+ * takes in the tasks not loaded yet. Cards come from `renderTask`
+ * so the board keeps its drag and keyboard handling in one place; the drop
+ * placeholder goes before the card at `placeholderIndex`. A `readOnly`
+ * column can't be dragged, renamed or deleted.
+ *
+ * While the column has tasks still to load, scrolling to the bottom of its
+ * list or pressing "Load more" calls `onLoadMore`. The card with
+ * `activeTaskId` is kept rendered in long lists.
+ */
+export function Column({
+  column, allTasks, filtering, readOnly, className, placeholderIndex, renderTask, activeTaskId, loadingMore,
+  onLoadMore, onRename, onDelete, onHeaderDragStart, onHeaderDragEnd, onDragOver, onDragEnter, onDragLeave, onDrop
+}) {
+  const [renaming, setRenaming] = useState(false);
+  const [nameValue, setNameValue] = useState('');
+  const overdue = countOverdue(allTasks) + (column.nextCursor ? column.overdueAfterCount ?? 0 : 0);
+  const taskCount = column.taskCount ?? allTasks.length;
+  const unloaded = Math.max(0, taskCount - allTasks.length);
+  const list = useVirtualList({
+    keys: column.tasks.map(t => t.id),
+    estimatedHeight: ESTIMATED_CARD_HEIGHT,
+    gap: CARD_GAP,
+    minRows: VIRTUALIZE_FROM,
+    rowSelector: '[role="listitem"]',
+    activeIndex: column.tasks.findIndex(t => t.id === activeTaskId)
+  });
+
+  const handleScroll = (e) => {
+    list.onScroll();
+    const el = e.currentTarget;
+    // Load the next page a screenful before the end
+    if (column.nextCursor && !loadingMore && el.scrollHeight - el.scrollTop - el.clientHeight < el.clientHeight) {
+      onLoadMore();
+    }
+  };
+
+  const startRename = () => {
+    setNameValue(column.name);
+    setRenaming(true);
+  };
+
+  const commitRename = () => {
+    setRenaming(false);
+    onRename(nameValue);
+  };
+
+  return (
+    <div
+      className={`column ${className}`}
+      onDragOver={onDragOver}
+      onDragEnter={onDragEnter}
+      onDragLeave={onDragLeave}
+      onDrop={onDrop}
+    >
+      <h2
+        className="column-header"
+        draggable={!renaming && !readOnly}
+        onDragStart={onHeaderDragStart}
+        onDragEnd={onHeaderDragEnd}
+        title={readOnly ? undefined : 'Drag to reorder columns'}
+      >
+        {renaming ? (
+          <input
+            className="column-rename-input"
+            value={nameValue}
+            maxLength={100}
+            autoFocus
+            onChange={(e) => setNameValue(e.target.value)}
+            onBlur={commitRename}
+            onKeyDown={(e) => {
+              if (e.key === 'Enter') e.currentTarget.blur();
+              if (e.key === 'Escape') setRenaming(false);
+            }}
+            aria-label="Column name"
+          />
+        ) : (
+          <span className="column-name" onDoubleClick={readOnly ? undefined : startRename}>
+            {column.name}
+          </span>
+        )}
+        <span className="column-header-actions">
+          {overdue > 0 && (
+            <span className="overdue-count" title="Overdue tasks in this column">
+              ⚠️ {overdue} overdue
+            </span>
+          )}
+          <span
+            className="task-count"
+            title={filtering && column.nextCursor ? `Loading the rest of this column; filters cover the ${allTasks.length} tasks loaded so far` : undefined}
+          >
+            {filtering
+              ? `(${column.tasks.length}/${taskCount})`
+              : `(${taskCount})`}
+          </span>
+          {!readOnly && (
+            <button
+              className="column-delete-btn"
+              onClick={onDelete}
+              title={taskCount > 0 ? 'Move or delete its tasks before deleting this column' : 'Delete column'}
+            >
+              🗑️
+            </button>
+          )}
+        </span>
+      </h2>
+      <div
+        className="tasks"
+        role="list"
+        aria-label={`${column.name} tasks`}
+        ref={list.listRef}
+        style={list.style}
+        onScroll={handleScroll}
+      >
+        {column.tasks.slice(list.start, list.end).map((task, i) => (
+          <Fragment key={task.id}>
+            {placeholderIndex === list.start + i && <div className="drop-placeholder" />}
+            {renderTask(task, list.start + i)}
+          </Fragment>
+        ))}
+        {placeholderIndex === column.tasks.length && list.end === column.tasks.length && <div className="drop-placeholder" />}
+      </div>
+      {column.nextCursor && (
+        <button className="load-more-btn" onClick={onLoadMore} disabled={loadingMore}>
+          {loadingMore ? 'Loading…' : `Load more${unloaded > 0 ? ` (${unloaded} left)` : ''}`}
+        </button>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,25 @@
+import { useRef } from 'react';
+import { useFocusTrap } from '../useFocusTrap';
+
+// Modal dialog that traps focus, closes on Escape and restores focus on close
+export function Dialog({ className, overlayClassName = 'modal-overlay', labelledBy, onClose, closeOnOverlayClick = false, onPaste, children }) {
+  const dialogRef = useRef(null);
+  useFocusTrap(dialogRef, { onEscape: onClose });
+
+  return (
+    <div className={overlayClassName} onClick={closeOnOverlayClick ? onClose : undefined}>
+      <div
+        ref={dialogRef}
+        className={className}
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby={labelledBy}
+        tabIndex={-1}
+        onClick={e => e.stopPropagation()}
+        onPaste={onPaste}
+      >
+        {children}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,43 @@
+import React from 'react';
+
+// Catches render errors anywhere below it and offers a reload
+export class ErrorBoundary extends React.Component {
+  constructor(props) {
+    super(props);
+    this.state = { hasError: false, error: null, errorInfo: null };
+  }
+
+  static getDerivedStateFromError(error) {
+    return { hasError: true };
+  }
+
+  componentDidCatch(error, errorInfo) {
+    this.setState({
+      error: error,
+      errorInfo: errorInfo
+    });
+  }
+
+  render() {
+    if (this.state.hasError) {
+      return (
+        <div className="error-boundary">
+          <h2>🚨 Something went wrong!</h2>
+          <p>The application encountered an unexpected error. Please refresh the page to try again.</p>
+          <button onClick={() => window.location.reload()} className="refresh-btn">
+            🔄 Refresh Page
+          </button>
+          {process.env.NODE_ENV === 'development' && (
+            <details className="error-details">
+              <summary>Error Details (Development)</summary>
+              <pre>{this.state.error && this.state.error.toString()}</pre>
+              <pre>{this.state.errorInfo.componentStack}</pre>
+            </details>
+          )}
+        </div>
+      );
+    }
+
+    return this.props.children;
+  }
+}
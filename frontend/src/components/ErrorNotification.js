@@ -0,0 +1,19 @@
+import { useEffect } from 'react';
+
+// Global error notification, cleared after 5 seconds
+export function ErrorNotification({ error, onDismiss }) {
+  useEffect(() => {
+    if (error) {
+      const timer = setTimeout(onDismiss, 5000);
+      return () => clearTimeout(timer);
+    }
+  }, [error, onDismiss]);
+
+  if (!error) return null;
+  return (
+    <div className="error-notification">
+      <span>❌ {error}</span>
+      <button onClick={onDismiss} className="close-error">✕</button>
+    </div>
+  );
+}
@@ -0,0 +1,67 @@
+import { useEffect, useState } from 'react';
+import { Dialog } from './Dialog';
+
+const formatFileSize = (bytes) =>
+  bytes >= 1024 * 1024 ? `${(bytes / 1024 / 1024).toFixed(1)} MB` : `${Math.round(bytes / 1024)} KB`;
+
+const formatDimensions = (size) => `${size.width}×${size.height}`;
+
+// Preview of how picked images will be resized and stripped before upload
+export function ImageReviewDialog({ items, optimize, onOptimizeChange, onConfirm, onCancel }) {
+  const [previews, setPreviews] = useState([]);
+
+  useEffect(() => {
+    if (!items) return undefined;
+    const urls = items.map(item => URL.createObjectURL(item.file || item.original));
+    setPreviews(urls);
+    return () => urls.forEach(url => URL.revokeObjectURL(url));
+  }, [items]);
+
+  const acceptedCount = items ? items.filter(item => item.file).length : 0;
+
+  return (
+    <Dialog className="modal image-review" overlayClassName="modal-overlay review-overlay" labelledBy="image-review-title" onClose={onCancel}>
+      <h2 id="image-review-title">Review Images</h2>
+      <label className="optimize-toggle">
+        <input type="checkbox" checked={optimize} onChange={(e) => onOptimizeChange(e.target.checked)} />
+        Resize large images and remove metadata (location, camera details)
+      </label>
+
+      {!items ? (
+        <p className="review-pending" role="status">Preparing images...</p>
+      ) : (
+        <ul className="review-list">
+          {items.map((item, index) => (
+            <li key={index} className={`review-item ${item.error ? 'rejected' : ''}`}>
+              {previews[index] && <img src={previews[index]} alt="" className="thumbnail large" />}
+              <div className="review-info">
+                <span className="upload-name" title={item.original.name}>{item.original.name}</span>
+                <span>
+                  {formatFileSize(item.original.size)}
+                  {item.file && item.file !== item.original && ` → ${formatFileSize(item.file.size)}`}
+                  {item.originalSize && ` • ${formatDimensions(item.originalSize)}`}
+                  {item.resized && ` → ${formatDimensions(item.size)}`}
+                </span>
+                {item.metadataRemoved && (
+                  <span className="review-note">{item.hasGps ? 'Location data removed' : 'Metadata removed'}</span>
+                )}
+                {!item.metadataRemoved && item.hasGps && item.file && (
+                  <span className="review-warning">Contains location data</span>
+                )}
+                {item.orientationFixed && <span className="review-note">Rotated upright</span>}
+                {item.error && <span className="review-error" role="alert">{item.error}</span>}
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <form className="form-actions" onSubmit={(e) => { e.preventDefault(); onConfirm(); }}>
+        <button type="submit" disabled={acceptedCount === 0}>
+          Attach {acceptedCount} image(s)
+        </button>
+        <button type="button" onClick={onCancel}>Cancel</button>
+      </form>
+    </Dialog>
+  );
+}
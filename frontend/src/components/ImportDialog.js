@@ -0,0 +1,170 @@
+import { useState } from 'react';
+import { Dialog } from './Dialog';
+import {
+  parseBoardFile, defaultColumnMapping, countConflicts, buildImportRequest, summarizeImport, CONFLICT_MODES
+} from '../boardTransfer';
+
+const IMPORT_PREVIEW_ROWS = 10;
+
+const CONFLICT_LABELS = {
+  skip: 'Skip them and keep the existing tasks',
+  duplicate: 'Import them as additional tasks',
+  overwrite: 'Update the existing tasks (description, deadline, favorite)'
+};
+
+// Load a JSON or CSV export: pick a file, map its columns onto the board's,
+// choose what happens to tasks that already exist, then import
+export function ImportDialog({ board, onImport, onClose }) {
+  const [file, setFile] = useState(null); // { name, parsed } or { name, error }
+  const [mapping, setMapping] = useState([]);
+  const [onConflict, setOnConflict] = useState('skip');
+  const [importing, setImporting] = useState(false);
+  const [result, setResult] = useState(null);
+
+  const readFile = async (selected) => {
+    try {
+      const parsed = parseBoardFile(await selected.text(), selected.name);
+      setFile({ name: selected.name, parsed });
+      setMapping(defaultColumnMapping(parsed, board.columns));
+    } catch (err) {
+      setFile({ name: selected.name, error: err.message });
+    }
+  };
+
+  const parsed = file && file.parsed;
+  const request = parsed && buildImportRequest(parsed, mapping, onConflict);
+  const taskCount = request ? request.columns.reduce((sum, col) => sum + col.tasks.length, 0) : 0;
+  const conflicts = parsed ? countConflicts(parsed, mapping, board) : 0;
+  const attachmentCount = parsed
+    ? parsed.columns.reduce((sum, col) => sum + col.tasks.reduce((n, t) => n + t.attachmentNames.length, 0), 0)
+    : 0;
+  const previewRows = parsed
+    ? parsed.columns.flatMap(col => col.tasks.map(task => ({ column: col.name, task }))).slice(0, IMPORT_PREVIEW_ROWS)
+    : [];
+
+  const submit = async (e) => {
+    e.preventDefault();
+    setImporting(true);
+    try {
+      setResult(await onImport(request));
+    } catch {
+      // Shown by the app's error toast; the dialog stays open to try again
+    } finally {
+      setImporting(false);
+    }
+  };
+
+  if (result) {
+    return (
+      <Dialog className="modal import-dialog" labelledBy="import-title" onClose={onClose}>
+        <h2 id="import-title">Import Complete</h2>
+        <p role="status">{summarizeImport(result)}</p>
+        <div className="form-actions">
+          <button type="button" onClick={onClose} autoFocus>Done</button>
+        </div>
+      </Dialog>
+    );
+  }
+
+  return (
+    <Dialog className="modal import-dialog" labelledBy="import-title" onClose={onClose}>
+      <h2 id="import-title">Import Tasks</h2>
+      <input
+        type="file"
+        accept=".json,.csv,application/json,text/csv"
+        aria-label="Board export file"
+        onChange={(e) => e.target.files[0] && readFile(e.target.files[0])}
+      />
+      <p className="file-hint">A JSON or CSV export of a board. CSV files need at least a Name column.</p>
+      {file && file.error && <p className="review-error" role="alert">{file.name}: {file.error}</p>}
+
+      {parsed && (
+        <form onSubmit={submit}>
+          <table className="import-mapping">
+            <thead>
+              <tr><th>Column in file</th><th>Tasks</th><th>Import into</th></tr>
+            </thead>
+            <tbody>
+              {parsed.columns.map((col, i) => (
+                <tr key={col.name}>
+                  <td>{col.name}</td>
+                  <td>{col.tasks.length}</td>
+                  <td>
+                    <select
+                      value={mapping[i]}
+                      aria-label={`Import "${col.name}" into`}
+                      onChange={(e) => {
+                        const value = e.target.value;
+                        const target = value === 'new' || value === 'skip' ? value : parseInt(value);
+                        setMapping(mapping.map((m, j) => (j === i ? target : m)));
+                      }}
+                    >
+                      {board.columns.map(b => <option key={b.id} value={b.id}>{b.name}</option>)}
+                      <option value="new">New column "{col.name}"</option>
+                      <option value="skip">Don't import</option>
+                    </select>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          {previewRows.length > 0 && (
+            <table className="import-preview">
+              <caption>Preview</caption>
+              <thead>
+                <tr><th>Column</th><th>Name</th><th>Deadline</th><th>Favorite</th></tr>
+              </thead>
+              <tbody>
+                {previewRows.map(({ column, task }, i) => (
+                  <tr key={i}>
+                    <td>{column}</td>
+                    <td>{task.name}</td>
+                    <td>{task.deadline || ''}</td>
+                    <td>{task.isFavorite ? '⭐' : ''}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+
+          {conflicts > 0 && (
+            <fieldset className="import-conflicts">
+              <legend>{conflicts} task(s) have the same name as a task already in their column</legend>
+              {CONFLICT_MODES.map(mode => (
+                <label key={mode}>
+                  <input
+                    type="radio"
+                    name="import-conflict"
+                    value={mode}
+                    checked={onConflict === mode}
+                    onChange={() => setOnConflict(mode)}
+                  />
+                  {CONFLICT_LABELS[mode]}
+                </label>
+              ))}
+            </fieldset>
+          )}
+
+          {attachmentCount > 0 && (
+            <p className="review-warning">
+              Exports don't contain attachment files; {attachmentCount} attachment(s) won't be imported.
+            </p>
+          )}
+          {parsed.warnings.length > 0 && (
+            <ul className="import-warnings">
+              {parsed.warnings.map((warning, i) => <li key={i} className="review-warning">{warning}</li>)}
+            </ul>
+          )}
+
+          <div className="form-actions">
+            <button type="submit" disabled={importing || request.columns.length === 0}>
+              {importing ? 'Importing...' : `Import ${taskCount} task(s)`}
+            </button>
+            <button type="button" onClick={onClose}>Cancel</button>
+          </div>
+        </form>
+      )}
+    </Dialog>
+  );
+}
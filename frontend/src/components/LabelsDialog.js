@@ -0,0 +1,110 @@
+import { useState } from 'react';
+import { Dialog } from './Dialog';
+import { pickColor, LABEL_NAME_MAX_LENGTH, MEMBER_NAME_MAX_LENGTH } from '../taskMetadata';
+
+// The board's labels and members: add, rename, recolor and delete them
+export function LabelsDialog({ labels, members, onSaveLabel, onDeleteLabel, onSaveMember, onDeleteMember, onClose }) {
+  return (
+    <Dialog className="modal labels-dialog" labelledBy="labels-title" onClose={onClose} closeOnOverlayClick>
+      <h2 id="labels-title">Labels & Members</h2>
+      <TagList
+        title="Labels"
+        noun="label"
+        items={labels}
+        maxLength={LABEL_NAME_MAX_LENGTH}
+        deleteWarning="It will be removed from every task."
+        onSave={onSaveLabel}
+        onDelete={onDeleteLabel}
+      />
+      <TagList
+        title="Members"
+        noun="member"
+        items={members}
+        maxLength={MEMBER_NAME_MAX_LENGTH}
+        deleteWarning="They will be unassigned from every task."
+        onSave={onSaveMember}
+        onDelete={onDeleteMember}
+      />
+      <div className="form-actions">
+        <button type="button" onClick={onClose}>Done</button>
+      </div>
+    </Dialog>
+  );
+}
+
+// One list in the labels dialog. Renames save on blur or Enter, and colors
+// once the picker closes, so dragging through colors sends one request.
+function TagList({ title, noun, items, maxLength, deleteWarning, onSave, onDelete }) {
+  const [name, setName] = useState('');
+  const [color, setColor] = useState(() => pickColor(items));
+
+  const add = async (e) => {
+    e.preventDefault();
+    if (!name.trim()) return;
+    await onSave({ name: name.trim(), color }).then(() => {
+      setName('');
+      setColor(pickColor([...items, { color }]));
+    }).catch(() => {});
+  };
+
+  const rename = (item, input) => {
+    const newName = input.value.trim();
+    if (!newName || newName === item.name) {
+      input.value = item.name;
+      return;
+    }
+    onSave({ ...item, name: newName }).catch(() => { input.value = item.name; });
+  };
+
+  const recolor = (item, newColor) => {
+    if (newColor !== item.color) onSave({ ...item, color: newColor }).catch(() => {});
+  };
+
+  const remove = (item) => {
+    if (!window.confirm(`Delete ${noun} "${item.name}"? ${deleteWarning}`)) return;
+    onDelete(item.id).catch(() => {});
+  };
+
+  return (
+    <section className="tag-list">
+      <h3>{title}</h3>
+      {items.length === 0 && <p className="tag-list-empty">No {noun}s yet.</p>}
+      <ul>
+        {items.map(item => (
+          // Keyed by the saved values so changes from other clients show up
+          <li key={`${item.id}-${item.name}-${item.color}`}>
+            <input
+              type="color"
+              defaultValue={item.color}
+              onBlur={(e) => recolor(item, e.target.value)}
+              aria-label={`Color of ${item.name}`}
+            />
+            <input
+              type="text"
+              defaultValue={item.name}
+              maxLength={maxLength}
+              onBlur={(e) => rename(item, e.target)}
+              onKeyDown={(e) => e.key === 'Enter' && e.currentTarget.blur()}
+              aria-label={`Name of ${noun} ${item.name}`}
+            />
+            <button type="button" className="tag-delete-btn" onClick={() => remove(item)} title={`Delete ${noun}`}>
+              🗑️
+            </button>
+          </li>
+        ))}
+      </ul>
+      <form className="tag-form" onSubmit={add}>
+        <input type="color" value={color} onChange={(e) => setColor(e.target.value)} aria-label={`New ${noun} color`} />
+        <input
+          type="text"
+          placeholder={`New ${noun}`}
+          value={name}
+          maxLength={maxLength}
+          onChange={(e) => setName(e.target.value)}
+          aria-label={`New ${noun} name`}
+        />
+        <button type="submit" disabled={!name.trim()}>Add</button>
+      </form>
+    </section>
+  );
+}
@@ -0,0 +1,51 @@
+import api from '../api/client';
+import { Dialog } from './Dialog';
+
+// Full-screen gallery of a task's image attachments
+export function Lightbox({ attachments, index, onIndexChange, onClose, onDownload }) {
+  const attachment = attachments[index];
+  const count = attachments.length;
+  const show = (step) => onIndexChange((index + step + count) % count);
+
+  const handleKeyDown = (e) => {
+    if (count < 2) return;
+    if (e.key === 'ArrowLeft') {
+      e.preventDefault();
+      show(-1);
+    } else if (e.key === 'ArrowRight') {
+      e.preventDefault();
+      show(1);
+    }
+  };
+
+  return (
+    <Dialog
+      className="lightbox"
+      overlayClassName="modal-overlay lightbox-overlay"
+      labelledBy="lightbox-caption"
+      onClose={onClose}
+      closeOnOverlayClick
+    >
+      <div className="lightbox-body" onKeyDown={handleKeyDown}>
+        <img
+          className="lightbox-image"
+          src={api.attachments.previewUrl(attachment.id)}
+          alt={attachment.fileName}
+        />
+        <div className="lightbox-bar">
+          {count > 1 && (
+            <button onClick={() => show(-1)} aria-label="Previous image">‹</button>
+          )}
+          <span id="lightbox-caption" className="lightbox-caption" aria-live="polite">
+            {attachment.fileName} · {index + 1} of {count}
+          </span>
+          {count > 1 && (
+            <button onClick={() => show(1)} aria-label="Next image">›</button>
+          )}
+          <button onClick={() => onDownload(attachment.id, attachment.fileName)} title="Download image">📥</button>
+          <button onClick={onClose} aria-label="Close gallery">✕</button>
+        </div>
+      </div>
+    </Dialog>
+  );
+}
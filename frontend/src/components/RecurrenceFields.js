@@ -0,0 +1,39 @@
+import { FREQUENCIES, WEEKDAYS, recurrenceFor, toggleWeekday } from '../recurrence';
+
+// How often a task repeats, shared by the create and edit forms. `value` is
+// the task's recurrence (null when it doesn't repeat).
+export function RecurrenceFields({ idPrefix, value, onChange }) {
+  const frequency = value?.frequency ?? 'none';
+
+  return (
+    <div className="recurrence-fields">
+      <label htmlFor={`${idPrefix}-recurrence`}>Repeats</label>
+      <select
+        id={`${idPrefix}-recurrence`}
+        value={frequency}
+        onChange={(e) => onChange(recurrenceFor(e.target.value, value))}
+      >
+        {FREQUENCIES.map(f => <option key={f.value} value={f.value}>{f.label}</option>)}
+      </select>
+      {frequency === 'weekly' && (
+        <fieldset className="tag-picker weekday-picker">
+          <legend>On</legend>
+          {WEEKDAYS.map((day, index) => (
+            <button
+              key={day}
+              type="button"
+              className={value.weekdays.includes(index) ? 'picked' : ''}
+              aria-pressed={value.weekdays.includes(index)}
+              onClick={() => onChange(toggleWeekday(value, index))}
+            >
+              {day}
+            </button>
+          ))}
+        </fieldset>
+      )}
+      {frequency !== 'none' && (
+        <p className="file-hint">The next one is added when this one is moved to the last column.</p>
+      )}
+    </div>
+  );
+}
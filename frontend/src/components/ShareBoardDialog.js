@@ -0,0 +1,97 @@
+import { useState } from 'react';
+import { Dialog } from './Dialog';
+import { useBoardShares } from '../useBoards';
+
+const ROLES = [
+  { value: 'viewer', label: 'Can view' },
+  { value: 'editor', label: 'Can edit' }
+];
+
+function RoleSelect({ value, onChange, label }) {
+  return (
+    <select value={value} onChange={(e) => onChange(e.target.value)} aria-label={label}>
+      {ROLES.map(role => <option key={role.value} value={role.value}>{role.label}</option>)}
+    </select>
+  );
+}
+
+// The owner's view of who a board is shared with: invite people by the email
+// they signed up with, change what they may do and stop sharing.
+export function ShareBoardDialog({ board, onClose }) {
+  const { shares, loading, error, addShare, updateShare, removeShare } = useBoardShares(board.id);
+  const [email, setEmail] = useState('');
+  const [role, setRole] = useState('viewer');
+  const [actionError, setActionError] = useState(null);
+
+  const run = async (action, message) => {
+    setActionError(null);
+    try {
+      await action();
+      return true;
+    } catch (err) {
+      console.error(message, err);
+      setActionError(`${message}: ${err.message || 'Please try again'}`);
+      return false;
+    }
+  };
+
+  const invite = async (e) => {
+    e.preventDefault();
+    const trimmed = email.trim();
+    if (!trimmed) return;
+    if (await run(() => addShare({ email: trimmed, role }), 'Could not share the board')) setEmail('');
+  };
+
+  const remove = (share) => {
+    if (!window.confirm(`Stop sharing "${board.name}" with ${share.displayName}?`)) return;
+    run(() => removeShare(share.userId), 'Could not stop sharing');
+  };
+
+  return (
+    <Dialog className="modal share-dialog" labelledBy="share-title" onClose={onClose} closeOnOverlayClick>
+      <h2 id="share-title">Share "{board.name}"</h2>
+      {(error || actionError) && <div className="modal-error">⚠️ {actionError || error}</div>}
+
+      <form className="share-form" onSubmit={invite}>
+        <input
+          type="email"
+          placeholder="Email address"
+          aria-label="Email address"
+          value={email}
+          onChange={(e) => setEmail(e.target.value)}
+          required
+        />
+        <RoleSelect value={role} onChange={setRole} label="Role" />
+        <button type="submit">Share</button>
+      </form>
+
+      <ul className="share-list">
+        {shares.map(share => (
+          <li key={share.userId}>
+            <span className="share-user">
+              {share.displayName} <span className="share-email">{share.email}</span>
+            </span>
+            <RoleSelect
+              value={share.role}
+              onChange={(newRole) => run(() => updateShare(share.userId, newRole), 'Could not change the role')}
+              label={`Role of ${share.displayName}`}
+            />
+            <button
+              className="delete-btn"
+              onClick={() => remove(share)}
+              title={`Stop sharing with ${share.displayName}`}
+              aria-label={`Stop sharing with ${share.displayName}`}
+            >
+              ✕
+            </button>
+          </li>
+        ))}
+      </ul>
+      {!loading && shares.length === 0 && <p className="tag-list-empty">Only you can see this board.</p>}
+
+      <div className="form-actions">
+        <button type="button" onClick={onClose}>Done</button>
+      </div>
+    </Dialog>
+  );
+}
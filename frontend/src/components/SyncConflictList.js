@@ -0,0 +1,20 @@
+// Offline changes the server turned down once the connection was back
+export function SyncConflictList({ conflicts, onResolve }) {
+  return (
+    <section className="sync-conflicts" aria-label="Changes that could not be saved">
+      {conflicts.map(conflict => (
+        <div key={conflict.id} className="sync-conflict" role="alert">
+          <span>{conflict.message}</span>
+          {conflict.server ? (
+            <>
+              <button onClick={() => onResolve(conflict, false)}>Keep theirs</button>
+              <button onClick={() => onResolve(conflict, true)}>Use mine</button>
+            </>
+          ) : (
+            <button onClick={() => onResolve(conflict)}>Dismiss</button>
+          )}
+        </div>
+      ))}
+    </section>
+  );
+}
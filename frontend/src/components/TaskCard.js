@@ -0,0 +1,167 @@
+import { useState } from 'react';
+import api from '../api/client';
+import { getDeadlineStatus, describeDeadline, formatDeadline } from '../deadlines';
+import { getPreviewableAttachments, MAX_CARD_THUMBNAILS } from '../attachments';
+import { getChecklistProgress } from '../checklists';
+import { TASK_NAME_MAX_LENGTH } from '../taskValidation';
+import { describeRecurrence } from '../recurrence';
+import { TaskTags } from './TaskTags';
+import { ChecklistBadge } from './TaskChecklist';
+
+// Inline name editor on a card; saves on blur or Enter, Escape leaves the name as it was
+function TaskRenameInput({ task, onRename, onCancel }) {
+  const [value, setValue] = useState(task.name);
+
+  return (
+    <input
+      className="task-rename-input"
+      value={value}
+      maxLength={TASK_NAME_MAX_LENGTH}
+      autoFocus
+      onChange={(e) => setValue(e.target.value)}
+      onBlur={() => onRename(value)}
+      onKeyDown={(e) => {
+        if (e.key === 'Enter') e.currentTarget.blur();
+        if (e.key === 'Escape') onCancel();
+      }}
+      aria-label="Task name"
+    />
+  );
+}
+
+/**
+ * One card on the board. Focus, keyboard and drag handling belong to the
+ * board, so those handlers are passed straight through to the card element.
+ * A `readOnly` card only opens its details and images.
+ */
+export function TaskCard({
+  task, columns, labels, members, readOnly, cardRef, tabStop, selected, keyboardDragging, fileDropTarget, renaming,
+  onStartRename, onRename, onCancelRename, onToggleFavorite, onMove, onDelete, onOpen, onOpenGallery,
+  onFocus, onKeyDown, onClick, onBlur, onDragStart, onDragEnd, onDragOver, onDrop
+}) {
+  const previewable = getPreviewableAttachments(task.attachments);
+  const classNames = [
+    'task',
+    task.isFavorite && 'favorite',
+    task.deadline && `deadline-${getDeadlineStatus(task.deadline)}`,
+    keyboardDragging && 'keyboard-dragging',
+    fileDropTarget && 'file-drop-target',
+    selected && 'selected'
+  ].filter(Boolean).join(' ');
+
+  return (
+    <div
+      ref={cardRef}
+      className={classNames}
+      role="listitem"
+      tabIndex={tabStop ? 0 : -1}
+      aria-describedby="task-keyboard-help"
+      draggable={readOnly ? 'false' : 'true'}
+      onFocus={onFocus}
+      onKeyDown={onKeyDown}
+      onClick={onClick}
+      onMouseDown={(e) => e.shiftKey && e.preventDefault()}
+      onBlur={onBlur}
+      onDragStart={onDragStart}
+      onDragEnd={onDragEnd}
+      onDragOver={onDragOver}
+      onDrop={onDrop}
+    >
+      <div className="task-header">
+        {renaming ? (
+          <TaskRenameInput task={task} onRename={onRename} onCancel={onCancelRename} />
+        ) : (
+          <h3 onDoubleClick={readOnly ? undefined : onStartRename} title={readOnly ? undefined : 'Double-click to rename'}>
+            {task.name}
+            {selected && <span className="sr-only"> (selected)</span>}
+          </h3>
+        )}
+        {!readOnly && (
+          <div className="task-actions">
+            <button
+              className={`favorite-btn ${task.isFavorite ? 'active' : ''}`}
+              onClick={onToggleFavorite}
+              title={task.isFavorite ? 'Remove from favorites' : 'Add to favorites'}
+            >
+              ⭐
+            </button>
+            <select
+              className="move-select"
+              value={task.columnId}
+              onChange={(e) => onMove(parseInt(e.target.value))}
+              title="Move to column"
+            >
+              {columns.map(col => (
+                <option key={col.id} value={col.id}>
+                  {col.name}
+                </option>
+              ))}
+            </select>
+            <button
+              className="delete-btn"
+              onClick={onDelete}
+              title="Delete task"
+            >
+              🗑️
+            </button>
+          </div>
+        )}
+      </div>
+      {task.description && (
+        <p className="task-description">{task.description}</p>
+      )}
+      {task.deadline && (
+        <div className={`task-deadline ${getDeadlineStatus(task.deadline)}`} title={formatDeadline(task.deadline)}>
+          📅 {describeDeadline(task.deadline)}
+        </div>
+      )}
+      {task.recurrence && (
+        <div className="task-recurrence" title="A new one is added when this task is moved to the last column">
+          🔁 {describeRecurrence(task.recurrence)}
+        </div>
+      )}
+      <TaskTags task={task} labels={labels} members={members} />
+      {getChecklistProgress(task).total > 0 && (
+        <ChecklistBadge task={task} onClick={onOpen} />
+      )}
+      {previewable.length > 0 && (
+        <div className="task-thumbnails">
+          {previewable.slice(0, MAX_CARD_THUMBNAILS).map(attachment => (
+            <button
+              key={attachment.id}
+              className="thumbnail-btn"
+              onClick={() => onOpenGallery(attachment.id)}
+              title={`View ${attachment.fileName}`}
+            >
+              <img
+                className="thumbnail"
+                src={api.attachments.previewUrl(attachment.id)}
+                alt={attachment.fileName}
+                loading="lazy"
+                draggable="false"
+              />
+            </button>
+          ))}
+        </div>
+      )}
+      {task.attachments.length > 0 && (
+        <div
+          className="task-attachments clickable"
+          onClick={onOpen}
+          title="View attachments"
+        >
+          📎 {task.attachments.length} attachment(s)
+        </div>
+      )}
+      <div className="task-actions">
+        <button
+          className="detail-btn"
+          onClick={onOpen}
+          title="View details & attachments"
+        >
+          👁️ Details
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,133 @@
+import { useState } from 'react';
+import { getChecklistProgress, moveChecklistItem, CHECKLIST_ITEM_MAX_LENGTH } from '../checklists';
+
+// Checklist progress on a card, such as ☑️ 3/5
+export function ChecklistBadge({ task, onClick }) {
+  const { done, total } = getChecklistProgress(task);
+  return (
+    <div
+      className={`task-checklist clickable ${done === total ? 'complete' : ''}`}
+      onClick={onClick}
+      title={`${done} of ${total} checklist items done`}
+    >
+      ☑️ {done}/{total}
+    </div>
+  );
+}
+
+// Checklist of a task: add, check, rename, reorder and delete steps. Failed
+// changes are reported by the board and rolled back there. `readOnly` only
+// shows the steps.
+export function TaskChecklist({ task, readOnly, onAdd, onUpdate, onReorder, onDelete }) {
+  const [draft, setDraft] = useState('');
+  const [adding, setAdding] = useState(false);
+  const [editingId, setEditingId] = useState(null);
+  const [editDraft, setEditDraft] = useState('');
+  const items = task.checklistItems || [];
+  const { done, total } = getChecklistProgress(task);
+
+  const submit = async (e) => {
+    e.preventDefault();
+    const text = draft.trim();
+    if (!text) return;
+    setAdding(true);
+    try {
+      await onAdd(text);
+      setDraft('');
+    } catch {
+      // Keep the draft so it can be retried
+    } finally {
+      setAdding(false);
+    }
+  };
+
+  const commitRename = (item) => {
+    const text = editDraft.trim();
+    setEditingId(null);
+    if (!text || text === item.text) return;
+    onUpdate(item, { text }).catch(() => {});
+  };
+
+  return (
+    <div className="checklist-section">
+      <h3>Checklist {total > 0 && `(${done}/${total})`}</h3>
+      {total > 0 && <progress className="checklist-progress" value={done} max={total} aria-label="Checklist progress" />}
+      <ul className="checklist">
+        {items.map((item, index) => (
+          <li key={item.id} className={`checklist-item ${item.isDone ? 'done' : ''}`}>
+            <input
+              type="checkbox"
+              checked={item.isDone}
+              disabled={readOnly}
+              onChange={(e) => onUpdate(item, { isDone: e.target.checked }).catch(() => {})}
+              aria-label={item.text}
+            />
+            {editingId === item.id ? (
+              <input
+                type="text"
+                className="checklist-edit"
+                value={editDraft}
+                maxLength={CHECKLIST_ITEM_MAX_LENGTH}
+                autoFocus
+                onChange={(e) => setEditDraft(e.target.value)}
+                onBlur={() => commitRename(item)}
+                onKeyDown={(e) => {
+                  if (e.key === 'Enter') e.currentTarget.blur();
+                }}
+                aria-label="Checklist item"
+              />
+            ) : (
+              <span
+                className="checklist-text"
+                onDoubleClick={readOnly ? undefined : () => { setEditingId(item.id); setEditDraft(item.text); }}
+                title={readOnly ? undefined : 'Double-click to rename'}
+              >
+                {item.text}
+              </span>
+            )}
+            {!readOnly && (
+              <span className="checklist-item-actions">
+                <button
+                  onClick={() => onReorder(moveChecklistItem(items, item.id, -1)).catch(() => {})}
+                  disabled={index === 0}
+                  title="Move up"
+                  aria-label={`Move "${item.text}" up`}
+                >
+                  ↑
+                </button>
+                <button
+                  onClick={() => onReorder(moveChecklistItem(items, item.id, 1)).catch(() => {})}
+                  disabled={index === items.length - 1}
+                  title="Move down"
+                  aria-label={`Move "${item.text}" down`}
+                >
+                  ↓
+                </button>
+                <button
+                  onClick={() => onDelete(item.id).catch(() => {})}
+                  title="Delete item"
+                  aria-label={`Delete "${item.text}"`}
+                >
+                  ✕
+                </button>
+              </span>
+            )}
+          </li>
+        ))}
+      </ul>
+      {!readOnly && (
+        <form className="checklist-form" onSubmit={submit}>
+          <input
+            type="text"
+            value={draft}
+            maxLength={CHECKLIST_ITEM_MAX_LENGTH}
+            placeholder="Add an item..."
+            aria-label="New checklist item"
+            onChange={(e) => setDraft(e.target.value)}
+          />
+          <button type="submit" disabled={adding || !draft.trim()}>Add</button>
+        </form>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,309 @@
+import { useEffect, useState } from 'react';
+import { Dialog } from './Dialog';
+import { AttachmentList } from './AttachmentList';
+import { TaskChecklist } from './TaskChecklist';
+import { TaskDiscussion } from './TaskDiscussion';
+import { TaskTagFields, LabelChip, MemberAvatar } from './TaskTags';
+import { RecurrenceFields } from './RecurrenceFields';
+import { validateImageFiles } from '../attachments';
+import { getClipboardImages } from '../fileDrop';
+import { formatDeadline } from '../deadlines';
+import { validateTaskFields, toDateInputValue, TASK_NAME_MAX_LENGTH, TASK_DESCRIPTION_MAX_LENGTH } from '../taskValidation';
+import { DEFAULT_PRIORITY, describePriority, pickByIds, sameIds } from '../taskMetadata';
+import { describeRecurrence } from '../recurrence';
+
+// Details of one task: view and edit its fields, checklist, attachments and
+// discussion. `readOnly` (for board viewers) only shows them.
+export function TaskDetailModal({ task, userId, columns, labels, members, readOnly, onClose, onUploadFiles, onReviewImages, activeUploadCount, onDeleteAttachment, onDownloadAttachment, onSaveTask, onSaveAsTemplate, onPreviewAttachment, commentsVersion, onAddChecklistItem, onUpdateChecklistItem, onReorderChecklist, onDeleteChecklistItem }) {
+  const [modalError, setModalError] = useState(null);
+  const [editing, setEditing] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [editForm, setEditForm] = useState(null);
+  const [fieldErrors, setFieldErrors] = useState({});
+  const [savedTemplateName, setSavedTemplateName] = useState(null);
+
+  const isDirty = editing && editForm !== null && (
+    editForm.name !== task.name ||
+    editForm.description !== (task.description || '') ||
+    editForm.deadline !== toDateInputValue(task.deadline) ||
+    editForm.columnId !== task.columnId ||
+    editForm.priority !== (task.priority || DEFAULT_PRIORITY) ||
+    !sameIds(editForm.labelIds, task.labelIds) ||
+    !sameIds(editForm.assigneeIds, task.assigneeIds) ||
+    describeRecurrence(editForm.recurrence) !== describeRecurrence(task.recurrence)
+  );
+
+  const startEditing = () => {
+    setEditForm({
+      name: task.name,
+      description: task.description || '',
+      deadline: toDateInputValue(task.deadline),
+      columnId: task.columnId,
+      priority: task.priority || DEFAULT_PRIORITY,
+      labelIds: task.labelIds || [],
+      assigneeIds: task.assigneeIds || [],
+      recurrence: task.recurrence ?? null
+    });
+    setFieldErrors({});
+    setEditing(true);
+  };
+
+  const confirmDiscard = () => !isDirty || window.confirm('Discard unsaved changes?');
+
+  const cancelEditing = () => {
+    if (!confirmDiscard()) return;
+    setEditing(false);
+    setEditForm(null);
+    setFieldErrors({});
+  };
+
+  const handleClose = () => {
+    if (!confirmDiscard()) return;
+    onClose();
+  };
+
+  const updateField = (field, value) => {
+    setEditForm({ ...editForm, [field]: value });
+    if (fieldErrors[field]) {
+      setFieldErrors({ ...fieldErrors, [field]: null });
+    }
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+
+    const errors = validateTaskFields(editForm);
+    if (Object.keys(errors).length > 0) {
+      setFieldErrors(errors);
+      return;
+    }
+
+    setSaving(true);
+    try {
+      await onSaveTask(task.id, {
+        name: editForm.name.trim(),
+        description: editForm.description.trim(),
+        deadline: editForm.deadline || null,
+        columnId: editForm.columnId,
+        priority: editForm.priority,
+        labelIds: editForm.labelIds,
+        assigneeIds: editForm.assigneeIds,
+        recurrence: editForm.recurrence
+      });
+      setEditing(false);
+      setEditForm(null);
+      setFieldErrors({});
+    } catch (err) {
+      // Validation errors belong next to their fields, anything else in the modal
+      if (err.fieldErrors && Object.keys(err.fieldErrors).length > 0) {
+        const serverErrors = {};
+        for (const [field, messages] of Object.entries(err.fieldErrors)) {
+          serverErrors[field] = messages.join(' ');
+        }
+        setFieldErrors(serverErrors);
+      } else {
+        setModalError(`Failed to save task: ${err.message}`);
+      }
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const saveAsTemplate = () => {
+    onSaveAsTemplate(task.id)
+      .then((template) => setSavedTemplateName(template.name))
+      .catch(() => {});
+  };
+
+  // Clear modal error after 3 seconds
+  useEffect(() => {
+    if (modalError) {
+      const timer = setTimeout(() => setModalError(null), 3000);
+      return () => clearTimeout(timer);
+    }
+  }, [modalError]);
+
+  const handleFileUpload = async (files) => {
+    if (!files || files.length === 0) return;
+
+    const { files: images, error } = validateImageFiles(files);
+    setModalError(error);
+    if (images.length === 0) return;
+
+    const accepted = await onReviewImages(images);
+    if (accepted.length > 0) onUploadFiles(task.id, accepted);
+  };
+
+  // Screenshots pasted anywhere in the dialog; text pastes are left alone
+  const handlePaste = (e) => {
+    const images = getClipboardImages(e.clipboardData);
+    if (images.length === 0) return;
+    e.preventDefault();
+    handleFileUpload(images);
+  };
+
+  return (
+    <Dialog className="modal-content" labelledBy="task-detail-title" onClose={handleClose} closeOnOverlayClick onPaste={readOnly ? undefined : handlePaste}>
+      <div className="modal-header">
+        <h2 id="task-detail-title">{editing ? 'Edit Task' : task.name}</h2>
+        <div className="modal-header-actions">
+          {!editing && !readOnly && task.id > 0 && (
+            <button className="edit-btn" onClick={saveAsTemplate} title="Make new tasks like this one from the create task form">
+              📋 Save as template
+            </button>
+          )}
+          {!editing && !readOnly && (
+            <button className="edit-btn" onClick={startEditing} title="Edit task">
+              ✏️ Edit
+            </button>
+          )}
+          <button className="close-btn" onClick={handleClose}>✕</button>
+        </div>
+      </div>
+      
+      <div className="modal-body">
+        {savedTemplateName && (
+          <p className="template-saved" role="status">Saved as template "{savedTemplateName}".</p>
+        )}
+        {editing ? (
+          <form className="task-edit-form" onSubmit={handleSave} noValidate>
+            <label htmlFor="edit-task-name">Name</label>
+            <input
+              id="edit-task-name"
+              type="text"
+              value={editForm.name}
+              onChange={(e) => updateField('name', e.target.value)}
+              className={fieldErrors.name ? 'invalid' : ''}
+              aria-invalid={!!fieldErrors.name}
+              autoFocus
+            />
+            <div className="field-meta">
+              {fieldErrors.name && <span className="field-error">{fieldErrors.name}</span>}
+              <span className="char-count">{editForm.name.length}/{TASK_NAME_MAX_LENGTH}</span>
+            </div>
+
+            <label htmlFor="edit-task-description">Description</label>
+            <textarea
+              id="edit-task-description"
+              value={editForm.description}
+              onChange={(e) => updateField('description', e.target.value)}
+              className={fieldErrors.description ? 'invalid' : ''}
+              aria-invalid={!!fieldErrors.description}
+            />
+            <div className="field-meta">
+              {fieldErrors.description && <span className="field-error">{fieldErrors.description}</span>}
+              <span className="char-count">{editForm.description.length}/{TASK_DESCRIPTION_MAX_LENGTH}</span>
+            </div>
+
+            <label htmlFor="edit-task-deadline">Deadline</label>
+            <input
+              id="edit-task-deadline"
+              type="date"
+              value={editForm.deadline}
+              onChange={(e) => updateField('deadline', e.target.value)}
+              className={fieldErrors.deadline ? 'invalid' : ''}
+            />
+            {fieldErrors.deadline && <span className="field-error">{fieldErrors.deadline}</span>}
+
+            <label htmlFor="edit-task-column">Column</label>
+            <select
+              id="edit-task-column"
+              value={editForm.columnId}
+              onChange={(e) => updateField('columnId', parseInt(e.target.value))}
+            >
+              {columns.map(column => (
+                <option key={column.id} value={column.id}>
+                  {column.name}
+                </option>
+              ))}
+            </select>
+            {fieldErrors.columnId && <span className="field-error">{fieldErrors.columnId}</span>}
+
+            <TaskTagFields
+              idPrefix="edit-task"
+              value={editForm}
+              labels={labels}
+              members={members}
+              onChange={(changes) => setEditForm({ ...editForm, ...changes })}
+            />
+            <RecurrenceFields
+              idPrefix="edit-task"
+              value={editForm.recurrence}
+              onChange={(recurrence) => updateField('recurrence', recurrence)}
+            />
+
+            <div className="form-actions">
+              <button type="submit" disabled={!isDirty || saving}>
+                {saving ? 'Saving...' : 'Save'}
+              </button>
+              <button type="button" onClick={cancelEditing} disabled={saving}>
+                Cancel
+              </button>
+            </div>
+          </form>
+        ) : (
+          <div className="task-info">
+            <p><strong>Description:</strong> {task.description || 'No description'}</p>
+            {task.deadline && (
+              <p><strong>Deadline:</strong> {formatDeadline(task.deadline)}</p>
+            )}
+            <p><strong>Column:</strong> {task.columnName}</p>
+            <p><strong>Status:</strong> {task.isFavorite ? '⭐ Favorite' : 'Normal'}</p>
+            <p><strong>Priority:</strong> {describePriority(task.priority)}</p>
+            {task.recurrence && (
+              <p><strong>Repeats:</strong> {describeRecurrence(task.recurrence)}</p>
+            )}
+            <p className="task-info-tags">
+              <strong>Labels:</strong>{' '}
+              {pickByIds(labels, task.labelIds).length > 0
+                ? pickByIds(labels, task.labelIds).map(label => <LabelChip key={label.id} label={label} />)
+                : 'None'}
+            </p>
+            <p className="task-info-tags">
+              <strong>Assignees:</strong>{' '}
+              {pickByIds(members, task.assigneeIds).length > 0
+                ? pickByIds(members, task.assigneeIds).map(member => (
+                  <span key={member.id} className="assignee">
+                    <MemberAvatar member={member} /> {member.name}
+                  </span>
+                ))
+                : 'Unassigned'}
+            </p>
+          </div>
+        )}
+
+        {/* Tasks created offline aren't on the server yet */}
+        {task.id > 0 && (
+          <TaskChecklist
+            task={task}
+            readOnly={readOnly}
+            onAdd={(text) => onAddChecklistItem(task.id, text)}
+            onUpdate={(item, changes) => onUpdateChecklistItem(task.id, item, changes)}
+            onReorder={(items) => onReorderChecklist(task.id, items)}
+            onDelete={(itemId) => onDeleteChecklistItem(task.id, itemId)}
+          />
+        )}
+
+        <AttachmentList
+          attachments={task.attachments}
+          activeUploadCount={activeUploadCount}
+          error={modalError}
+          readOnly={readOnly}
+          onFiles={handleFileUpload}
+          onPreview={onPreviewAttachment}
+          onDownload={onDownloadAttachment}
+          onDelete={onDeleteAttachment}
+        />
+
+        {task.id > 0 && (
+          <TaskDiscussion
+            taskId={task.id}
+            userId={userId}
+            refreshKey={`${commentsVersion}:${task.updatedAt}:${task.attachments.length}`}
+            readOnly={readOnly}
+          />
+        )}
+      </div>
+    </Dialog>
+  );
+}
@@ -0,0 +1,160 @@
+import React, { useMemo, useState } from 'react';
+import { parseMarkdown } from '../markdown';
+import { useTaskComments, describeActivity, COMMENT_MAX_LENGTH } from '../taskComments';
+
+const renderInline = (nodes) => nodes.map((node, i) => {
+  switch (node.type) {
+    case 'br': return <br key={i} />;
+    case 'code': return <code key={i}>{node.text}</code>;
+    case 'strong': return <strong key={i}>{renderInline(node.children)}</strong>;
+    case 'em': return <em key={i}>{renderInline(node.children)}</em>;
+    case 'del': return <del key={i}>{renderInline(node.children)}</del>;
+    case 'link':
+      return <a key={i} href={node.href} target="_blank" rel="noopener noreferrer">{renderInline(node.children)}</a>;
+    default: return <React.Fragment key={i}>{node.text}</React.Fragment>;
+  }
+});
+
+const renderBlocks = (blocks) => blocks.map((block, i) => {
+  switch (block.type) {
+    case 'heading': {
+      // Headings inside a comment stay below the modal's own
+      const Heading = `h${Math.min(block.level + 3, 6)}`;
+      return <Heading key={i}>{renderInline(block.children)}</Heading>;
+    }
+    case 'codeBlock': return <pre key={i}><code>{block.text}</code></pre>;
+    case 'quote': return <blockquote key={i}>{renderBlocks(block.blocks)}</blockquote>;
+    case 'list': {
+      const items = block.items.map((item, j) => <li key={j}>{renderInline(item)}</li>);
+      return block.ordered ? <ol key={i} start={block.start}>{items}</ol> : <ul key={i}>{items}</ul>;
+    }
+    default: return <p key={i}>{renderInline(block.children)}</p>;
+  }
+});
+
+// Comment Markdown, rendered as elements; see markdown.js
+function Markdown({ source }) {
+  const blocks = useMemo(() => parseMarkdown(source), [source]);
+  return <div className="markdown">{renderBlocks(blocks)}</div>;
+}
+
+const formatTimestamp = (value) => new Date(value).toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' });
+
+// Comment thread and activity timeline of a task. `userId` is the signed-in
+// user, who can change their own comments; `readOnly` leaves out commenting.
+export function TaskDiscussion({ taskId, userId, refreshKey, readOnly }) {
+  const { comments, activity, loading, error, addComment, editComment, deleteComment } =
+    useTaskComments(taskId, { refreshKey });
+  const [draft, setDraft] = useState('');
+  const [posting, setPosting] = useState(false);
+  const [editingId, setEditingId] = useState(null);
+  const [editDraft, setEditDraft] = useState('');
+  const [actionError, setActionError] = useState(null);
+
+  const run = async (action, message) => {
+    setActionError(null);
+    try {
+      await action();
+      return true;
+    } catch (err) {
+      console.error(message, err);
+      setActionError(`${message}: ${err.message || 'Please try again'}`);
+      return false;
+    }
+  };
+
+  const submit = async (e) => {
+    e.preventDefault();
+    const body = draft.trim();
+    if (!body) return;
+    setPosting(true);
+    if (await run(() => addComment(body), 'Failed to post comment')) setDraft('');
+    setPosting(false);
+  };
+
+  const saveEdit = async (commentId) => {
+    const body = editDraft.trim();
+    if (!body) return;
+    if (await run(() => editComment(commentId, body), 'Failed to edit comment')) setEditingId(null);
+  };
+
+  const remove = (comment) => {
+    if (!window.confirm('Delete this comment?')) return;
+    run(() => deleteComment(comment.id), 'Failed to delete comment');
+  };
+
+  return (
+    <div className="discussion-section">
+      <h3>Comments ({comments.length})</h3>
+      {(error || actionError) && <div className="modal-error">⚠️ {actionError || error}</div>}
+      {loading ? (
+        <p className="discussion-empty">Loading comments...</p>
+      ) : (
+        <ul className="comment-list">
+          {comments.map(comment => (
+            <li key={comment.id} className="comment">
+              <div className="comment-meta">
+                <strong>{comment.authorName || 'Anonymous'}</strong>
+                <span title={comment.editedAt ? `Edited ${formatTimestamp(comment.editedAt)}` : undefined}>
+                  {formatTimestamp(comment.createdAt)}{comment.editedAt && ' (edited)'}
+                </span>
+                {!readOnly && comment.authorUserId === userId && editingId !== comment.id && (
+                  <span className="comment-actions">
+                    <button onClick={() => { setEditingId(comment.id); setEditDraft(comment.body); }}>Edit</button>
+                    <button onClick={() => remove(comment)}>Delete</button>
+                  </span>
+                )}
+              </div>
+              {editingId === comment.id ? (
+                <div className="comment-edit">
+                  <textarea
+                    value={editDraft}
+                    maxLength={COMMENT_MAX_LENGTH}
+                    onChange={(e) => setEditDraft(e.target.value)}
+                    aria-label="Edit comment"
+                    autoFocus
+                  />
+                  <div className="form-actions">
+                    <button onClick={() => saveEdit(comment.id)} disabled={!editDraft.trim()}>Save</button>
+                    <button onClick={() => setEditingId(null)}>Cancel</button>
+                  </div>
+                </div>
+              ) : (
+                <Markdown source={comment.body} />
+              )}
+            </li>
+          ))}
+          {comments.length === 0 && <li className="discussion-empty">No comments yet</li>}
+        </ul>
+      )}
+
+      {!readOnly && (
+        <form className="comment-form" onSubmit={submit}>
+          <textarea
+            value={draft}
+            maxLength={COMMENT_MAX_LENGTH}
+            placeholder="Write a comment... Markdown such as **bold**, `code` and lists is supported"
+            aria-label="New comment"
+            onChange={(e) => setDraft(e.target.value)}
+            onKeyDown={(e) => {
+              if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) submit(e);
+            }}
+          />
+          <button type="submit" disabled={posting || !draft.trim()}>
+            {posting ? 'Posting...' : 'Comment'}
+          </button>
+        </form>
+      )}
+
+      <h3>Activity</h3>
+      <ol className="activity-list">
+        {activity.map((entry, i) => (
+          <li key={`${entry.type}-${entry.id}-${i}`}>
+            <span>{describeActivity(entry)}</span>
+            <time dateTime={entry.occurredAt}>{formatTimestamp(entry.occurredAt)}</time>
+          </li>
+        ))}
+      </ol>
+    </div>
+  );
+}
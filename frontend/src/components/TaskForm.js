@@ -0,0 +1,195 @@
+import { useState } from 'react';
+import { getClipboardImages } from '../fileDrop';
+import { validateTaskFields } from '../taskValidation';
+import { toRecurrenceRule } from '../recurrence';
+import { DEFAULT_PRIORITY } from '../taskMetadata';
+import { fieldsFromTemplate, useTemplates } from '../useTemplates';
+import { Dialog } from './Dialog';
+import { RecurrenceFields } from './RecurrenceFields';
+import { TaskTagFields } from './TaskTags';
+
+/**
+ * The create task dialog. `onAddFiles` checks and reviews picked or pasted
+ * images and resolves with the ones to attach; `onCreate` gets the task body,
+ * those files and the ID of the template it started from (if any, for the
+ * template's own files), and rejects when the task wasn't created so the
+ * form stays open.
+ */
+export function TaskForm({ columns, labels, members, onAddFiles, onCreate, onError, onClose }) {
+  const [newTask, setNewTask] = useState(() => ({
+    name: '',
+    description: '',
+    deadline: '',
+    // Default to the first column, since columns can be deleted
+    columnId: columns.length > 0 ? columns[0].id : null,
+    priority: DEFAULT_PRIORITY,
+    labelIds: [],
+    assigneeIds: [],
+    recurrence: null,
+    files: [],
+    templateId: null
+  }));
+  const { templates } = useTemplates();
+  const template = templates.find(t => t.id === newTask.templateId);
+
+  // Picking a template fills in the fields it has; picking none leaves them
+  const pickTemplate = (templateId) => {
+    const picked = templates.find(t => t.id === templateId);
+    setNewTask(task => ({
+      ...task,
+      ...(picked ? fieldsFromTemplate(picked, columns) : {}),
+      templateId: picked ? picked.id : null
+    }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const fieldErrors = validateTaskFields(newTask);
+    if (Object.keys(fieldErrors).length > 0) {
+      onError(Object.values(fieldErrors).join('. '));
+      return;
+    }
+
+    await onCreate({
+      name: newTask.name.trim(),
+      description: newTask.description.trim(),
+      deadline: newTask.deadline || null,
+      columnId: newTask.columnId,
+      priority: newTask.priority,
+      labelIds: newTask.labelIds,
+      assigneeIds: newTask.assigneeIds,
+      recurrence: toRecurrenceRule(newTask.recurrence)
+    }, newTask.files, newTask.templateId).then(onClose).catch(() => {});
+  };
+
+  const addFiles = async (files) => {
+    const accepted = await onAddFiles(files);
+    if (accepted.length > 0) {
+      setNewTask(task => ({ ...task, files: [...task.files, ...accepted] }));
+    }
+  };
+
+  const handlePaste = (e) => {
+    const images = getClipboardImages(e.clipboardData);
+    if (images.length === 0) return;
+    e.preventDefault();
+    addFiles(images);
+  };
+
+  return (
+    <Dialog className="modal" labelledBy="create-task-title" onClose={onClose} onPaste={handlePaste}>
+      <h2 id="create-task-title">Create New Task</h2>
+      <form onSubmit={handleSubmit}>
+        {templates.length > 0 && (
+          <>
+            <label htmlFor="new-task-template">Start from template</label>
+            <select
+              id="new-task-template"
+              value={newTask.templateId ?? ''}
+              onChange={(e) => pickTemplate(e.target.value ? parseInt(e.target.value) : null)}
+            >
+              <option value="">No template</option>
+              {templates.map(t => <option key={t.id} value={t.id}>{t.name}</option>)}
+            </select>
+          </>
+        )}
+        <input
+          type="text"
+          placeholder="Task name"
+          value={newTask.name}
+          onChange={(e) => setNewTask({...newTask, name: e.target.value})}
+          required
+        />
+        <textarea
+          placeholder="Description"
+          value={newTask.description}
+          onChange={(e) => setNewTask({...newTask, description: e.target.value})}
+        />
+        <input
+          type="date"
+          value={newTask.deadline}
+          onChange={(e) => setNewTask({...newTask, deadline: e.target.value})}
+        />
+        <select
+          value={newTask.columnId ?? ''}
+          onChange={(e) => setNewTask({...newTask, columnId: parseInt(e.target.value)})}
+        >
+          {columns.map(column => (
+            <option key={column.id} value={column.id}>
+              {column.name}
+            </option>
+          ))}
+        </select>
+        <TaskTagFields
+          idPrefix="new-task"
+          value={newTask}
+          labels={labels}
+          members={members}
+          onChange={(changes) => setNewTask({ ...newTask, ...changes })}
+        />
+        <RecurrenceFields
+          idPrefix="new-task"
+          value={newTask.recurrence}
+          onChange={(recurrence) => setNewTask({ ...newTask, recurrence })}
+        />
+
+        {/* File Upload Section */}
+        <div className="file-upload-section">
+          <label>Image Attachments (optional)</label>
+          <input
+            type="file"
+            multiple
+            accept="image/*"
+            onChange={(e) => {
+              const files = Array.from(e.target.files);
+              e.target.value = '';
+              addFiles(files);
+            }}
+            className="file-input"
+          />
+          <p className="file-hint">Only image files (JPEG, PNG, GIF, WebP), or paste a screenshot with Ctrl+V. Large photos are resized to fit 5MB.</p>
+          {template?.attachments.length > 0 && (
+            <div className="selected-files">
+              <p>From the template:</p>
+              <ul>
+                {template.attachments.map(attachment => (
+                  <li key={attachment.id}>📎 {attachment.fileName} ({Math.round(attachment.fileSize / 1024)} KB)</li>
+                ))}
+              </ul>
+            </div>
+          )}
+          {newTask.files.length > 0 && (
+            <div className="selected-files">
+              <p>Selected images:</p>
+              <ul>
+                {newTask.files.map((file, index) => (
+                  <li key={index}>
+                    🖼️ {file.name} ({Math.round(file.size / 1024)} KB)
+                    <button
+                      type="button"
+                      onClick={() => {
+                        const newFiles = newTask.files.filter((_, i) => i !== index);
+                        setNewTask({...newTask, files: newFiles});
+                      }}
+                      className="remove-file-btn"
+                    >
+                      ✕
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+        </div>
+
+        <div className="form-actions">
+          <button type="submit">Create Task</button>
+          <button type="button" onClick={onClose}>
+            Cancel
+          </button>
+        </div>
+      </form>
+    </Dialog>
+  );
+}
@@ -0,0 +1,108 @@
+import {
+  PRIORITIES, DEFAULT_PRIORITY, describePriority, pickByIds, textColorFor, getInitials, toggleId
+} from '../taskMetadata';
+
+// Priority, labels and assignees on a card. Medium is the default priority,
+// so only the others get a badge.
+export function TaskTags({ task, labels, members }) {
+  const priority = task.priority || DEFAULT_PRIORITY;
+  const taskLabels = pickByIds(labels, task.labelIds);
+  const assignees = pickByIds(members, task.assigneeIds);
+  if (priority === DEFAULT_PRIORITY && taskLabels.length === 0 && assignees.length === 0) return null;
+
+  return (
+    <div className="task-tags">
+      {priority !== DEFAULT_PRIORITY && (
+        <span className={`priority-badge priority-${priority}`} title={`${describePriority(priority)} priority`}>
+          {describePriority(priority)}
+        </span>
+      )}
+      {taskLabels.map(label => <LabelChip key={label.id} label={label} />)}
+      {assignees.length > 0 && (
+        <span className="task-assignees">
+          {assignees.map(member => <MemberAvatar key={member.id} member={member} />)}
+        </span>
+      )}
+    </div>
+  );
+}
+
+export function LabelChip({ label }) {
+  return (
+    <span className="label-chip" style={{ background: label.color, color: textColorFor(label.color) }}>
+      {label.name}
+    </span>
+  );
+}
+
+export function MemberAvatar({ member }) {
+  return (
+    <span
+      className="member-avatar"
+      style={{ background: member.color, color: textColorFor(member.color) }}
+      title={member.name}
+      role="img"
+      aria-label={member.name}
+    >
+      {getInitials(member.name)}
+    </span>
+  );
+}
+
+// Priority, label and assignee pickers shared by the create and edit forms.
+// `value` holds priority, labelIds and assigneeIds; onChange gets the changed ones.
+export function TaskTagFields({ idPrefix, value, labels, members, onChange }) {
+  return (
+    <div className="task-tag-fields">
+      <label htmlFor={`${idPrefix}-priority`}>Priority</label>
+      <select
+        id={`${idPrefix}-priority`}
+        value={value.priority}
+        onChange={(e) => onChange({ priority: e.target.value })}
+      >
+        {PRIORITIES.map(p => <option key={p.value} value={p.value}>{p.label}</option>)}
+      </select>
+
+      {labels.length > 0 && (
+        <fieldset className="tag-picker">
+          <legend>Labels</legend>
+          {labels.map(label => {
+            const picked = value.labelIds.includes(label.id);
+            return (
+              <button
+                key={label.id}
+                type="button"
+                className={`label-chip ${picked ? 'picked' : ''}`}
+                style={picked ? { background: label.color, color: textColorFor(label.color) } : { borderColor: label.color }}
+                aria-pressed={picked}
+                onClick={() => onChange({ labelIds: toggleId(value.labelIds, label.id) })}
+              >
+                {label.name}
+              </button>
+            );
+          })}
+        </fieldset>
+      )}
+
+      {members.length > 0 && (
+        <fieldset className="tag-picker">
+          <legend>Assignees</legend>
+          {members.map(member => {
+            const picked = value.assigneeIds.includes(member.id);
+            return (
+              <button
+                key={member.id}
+                type="button"
+                className={`assignee-option ${picked ? 'picked' : ''}`}
+                aria-pressed={picked}
+                onClick={() => onChange({ assigneeIds: toggleId(value.assigneeIds, member.id) })}
+              >
+                <MemberAvatar member={member} /> {member.name}
+              </button>
+            );
+          })}
+        </fieldset>
+      )}
+    </div>
+  );
+}
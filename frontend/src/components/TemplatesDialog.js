@@ -0,0 +1,168 @@
+import { useState } from 'react';
+import { Dialog } from './Dialog';
+import { useTemplates } from '../useTemplates';
+import { TASK_NAME_MAX_LENGTH, TASK_DESCRIPTION_MAX_LENGTH } from '../taskValidation';
+
+// The board's task templates: add, edit and delete them, and the files every
+// task made from one starts with. Edits save as each field loses focus.
+// `onAddFiles` checks and reviews picked images like the create task form.
+export function TemplatesDialog({ columns, onAddFiles, onError, onClose }) {
+  const { templates, loading, error, saveTemplate, deleteTemplate, addAttachment, removeAttachment } = useTemplates();
+  const [name, setName] = useState('');
+
+  const report = (message) => (err) => onError(`${message}: ${err.message || 'Please try again'}`);
+
+  const add = (e) => {
+    e.preventDefault();
+    if (!name.trim()) return;
+    saveTemplate({ name: name.trim(), description: '', deadlineInDays: null, columnId: null })
+      .then(() => setName(''))
+      .catch(report('Failed to add template'));
+  };
+
+  const save = (template, changes) =>
+    saveTemplate({ ...template, ...changes }).catch(report('Failed to save template'));
+
+  const remove = (template) => {
+    if (!window.confirm(`Delete template "${template.name}"? Tasks made from it are kept.`)) return;
+    deleteTemplate(template.id).catch(report('Failed to delete template'));
+  };
+
+  const attach = async (template, files) => {
+    const accepted = await onAddFiles(files);
+    for (const file of accepted) {
+      await addAttachment(template.id, file).catch(report(`Failed to attach ${file.name}`));
+    }
+  };
+
+  return (
+    <Dialog className="modal labels-dialog" labelledBy="templates-title" onClose={onClose} closeOnOverlayClick>
+      <h2 id="templates-title">Task Templates</h2>
+      <p className="file-hint">Start a task from a template in the create task form, or save one from a task's details.</p>
+      {error && <p className="field-error">{error}</p>}
+      {!loading && !error && templates.length === 0 && <p className="tag-list-empty">No templates yet.</p>}
+      <ul className="template-list">
+        {templates.map(template => (
+          <TemplateItem
+            // Keyed by the saved values so the fields show what was last saved
+            key={`${template.id}-${template.name}-${template.description}-${template.deadlineInDays}-${template.columnId}`}
+            template={template}
+            columns={columns}
+            onSave={(changes) => save(template, changes)}
+            onDelete={() => remove(template)}
+            onAttach={(files) => attach(template, files)}
+            onRemoveAttachment={(attachmentId) =>
+              removeAttachment(template.id, attachmentId).catch(report('Failed to remove file'))}
+          />
+        ))}
+      </ul>
+      <form className="tag-form" onSubmit={add}>
+        <input
+          type="text"
+          placeholder="New template"
+          value={name}
+          maxLength={TASK_NAME_MAX_LENGTH}
+          onChange={(e) => setName(e.target.value)}
+          aria-label="New template name"
+        />
+        <button type="submit" disabled={!name.trim()}>Add</button>
+      </form>
+      <div className="form-actions">
+        <button type="button" onClick={onClose}>Done</button>
+      </div>
+    </Dialog>
+  );
+}
+
+function TemplateItem({ template, columns, onSave, onDelete, onAttach, onRemoveAttachment }) {
+  const saveName = (input) => {
+    const name = input.value.trim();
+    if (!name || name === template.name) {
+      input.value = template.name;
+      return;
+    }
+    onSave({ name });
+  };
+
+  const saveDeadline = (input) => {
+    const deadlineInDays = input.value === '' ? null : Math.max(0, parseInt(input.value, 10));
+    if (deadlineInDays !== template.deadlineInDays) onSave({ deadlineInDays });
+  };
+
+  return (
+    <li className="template-item">
+      <div className="template-item-header">
+        <input
+          type="text"
+          defaultValue={template.name}
+          maxLength={TASK_NAME_MAX_LENGTH}
+          onBlur={(e) => saveName(e.target)}
+          onKeyDown={(e) => e.key === 'Enter' && e.currentTarget.blur()}
+          aria-label={`Name of template ${template.name}`}
+        />
+        <button type="button" className="tag-delete-btn" onClick={onDelete} title="Delete template">
+          🗑️
+        </button>
+      </div>
+      <textarea
+        defaultValue={template.description}
+        maxLength={TASK_DESCRIPTION_MAX_LENGTH}
+        placeholder="Description"
+        onBlur={(e) => e.target.value !== template.description && onSave({ description: e.target.value })}
+        aria-label={`Description of template ${template.name}`}
+      />
+      <div className="template-item-fields">
+        <label>
+          Due after
+          <input
+            type="number"
+            min="0"
+            max="3650"
+            defaultValue={template.deadlineInDays ?? ''}
+            onBlur={(e) => saveDeadline(e.target)}
+            aria-label={`Days until the deadline of template ${template.name}`}
+          />
+          days
+        </label>
+        <select
+          value={template.columnId ?? ''}
+          onChange={(e) => onSave({ columnId: e.target.value ? parseInt(e.target.value) : null })}
+          aria-label={`Column of template ${template.name}`}
+        >
+          <option value="">First column</option>
+          {columns.map(column => <option key={column.id} value={column.id}>{column.name}</option>)}
+        </select>
+      </div>
+      <ul className="template-files">
+        {template.attachments.map(attachment => (
+          <li key={attachment.id}>
+            📎 {attachment.fileName}
+            <button
+              type="button"
+              className="remove-file-btn"
+              onClick={() => onRemoveAttachment(attachment.id)}
+              aria-label={`Remove ${attachment.fileName}`}
+            >
+              ✕
+            </button>
+          </li>
+        ))}
+      </ul>
+      <label className="template-attach">
+        + Add images
+        <input
+          type="file"
+          multiple
+          accept="image/*"
+          className="file-input"
+          onChange={(e) => {
+            const files = Array.from(e.target.files);
+            e.target.value = '';
+            onAttach(files);
+          }}
+          aria-label={`Add images to template ${template.name}`}
+        />
+      </label>
+    </li>
+  );
+}
@@ -0,0 +1,48 @@
+import { isActiveUpload, isFinishedUpload } from '../uploadQueue';
+
+const uploadStatusLabel = (upload) => {
+  switch (upload.status) {
+    case 'queued': return 'Waiting';
+    case 'uploading': return `${Math.round(upload.progress * 100)}%`;
+    case 'done': return 'Done';
+    case 'cancelled': return 'Cancelled';
+    default: return upload.error || 'Failed';
+  }
+};
+
+// Per-file progress for queued attachment uploads, with cancel and retry
+export function UploadPanel({ uploads, onCancel, onRetry, onDismiss }) {
+  if (uploads.length === 0) return null;
+  const finished = uploads.filter(isFinishedUpload);
+  const active = uploads.length - finished.length;
+
+  return (
+    <section className="upload-panel" aria-label="Uploads">
+      <div className="upload-panel-header">
+        <strong>{active > 0 ? `Uploading ${active} file(s)` : 'Uploads'}</strong>
+        {finished.length > 0 && (
+          <button onClick={() => onDismiss(finished.map(u => u.id))}>Clear</button>
+        )}
+      </div>
+      <ul>
+        {uploads.map(upload => (
+          <li key={upload.id} className={`upload-item ${upload.status}`}>
+            <span className="upload-name" title={upload.file.name}>{upload.file.name}</span>
+            {isActiveUpload(upload) && (
+              <progress value={upload.progress} max="1" aria-label={`${upload.file.name} upload progress`} />
+            )}
+            <span className="upload-status" role={upload.status === 'failed' ? 'alert' : undefined}>
+              {uploadStatusLabel(upload)}
+            </span>
+            {isActiveUpload(upload) && (
+              <button onClick={() => onCancel(upload.id)} aria-label={`Cancel ${upload.file.name}`}>✕</button>
+            )}
+            {(upload.status === 'failed' || upload.status === 'cancelled') && (
+              <button onClick={() => onRetry(upload.id)}>Retry</button>
+            )}
+          </li>
+        ))}
+      </ul>
+    </section>
+  );
+}
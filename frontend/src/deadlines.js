@@ -0,0 +1,66 @@
+// Deadline helpers.
+//
+// Deadlines are calendar dates. The API returns them as midnight UTC
+// ("2025-03-12T00:00:00Z"), so only the date part means anything: passing
+// them through `new Date(deadline)` would show the previous day anywhere
+// west of UTC. Everything here works on "YYYY-MM-DD" date keys instead.
+
+export const DUE_SOON_DAYS = 3;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Local calendar date as "YYYY-MM-DD", comparable as a string
+export const dateKey = (date) => {
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+
+// Local midnight of a date key
+export const parseDateKey = (key) => {
+  const [year, month, day] = key.split('-').map(Number);
+  return new Date(year, month - 1, day);
+};
+
+export const deadlineKey = (deadline) => (deadline ? deadline.slice(0, 10) : null);
+
+export const addDays = (key, days) => {
+  const date = parseDateKey(key);
+  date.setDate(date.getDate() + days);
+  return dateKey(date);
+};
+
+// Rounded, since days around a DST change are 23 or 25 hours long
+export const daysBetween = (fromKey, toKey) =>
+  Math.round((parseDateKey(toKey) - parseDateKey(fromKey)) / DAY_MS);
+
+/**
+ * How urgent a deadline is: 'overdue', 'today', 'soon' (within
+ * DUE_SOON_DAYS), 'later', or null without a deadline.
+ */
+export const getDeadlineStatus = (deadline, now = new Date()) => {
+  if (!deadline) return null;
+  const days = daysBetween(dateKey(now), deadlineKey(deadline));
+  if (days < 0) return 'overdue';
+  if (days === 0) return 'today';
+  if (days <= DUE_SOON_DAYS) return 'soon';
+  return 'later';
+};
+
+export const formatDeadline = (deadline, options) =>
+  parseDateKey(deadlineKey(deadline)).toLocaleDateString(undefined, options);
+
+/**
+ * Card label for a deadline, such as "Due tomorrow" or "Overdue by 3 days".
+ */
+export const describeDeadline = (deadline, now = new Date()) => {
+  const days = daysBetween(dateKey(now), deadlineKey(deadline));
+  if (days < -1) return `Overdue by ${-days} days`;
+  if (days === -1) return 'Overdue by 1 day';
+  if (days === 0) return 'Due today';
+  if (days === 1) return 'Due tomorrow';
+  if (days <= DUE_SOON_DAYS) return `Due in ${days} days`;
+  return `Due ${formatDeadline(deadline)}`;
+};
+
+export const countOverdue = (tasks, now = new Date()) =>
+  tasks.filter(task => getDeadlineStatus(task.deadline, now) === 'overdue').length;
@@ -0,0 +1,55 @@
+import {
+  dateKey, deadlineKey, addDays, daysBetween, getDeadlineStatus, describeDeadline, formatDeadline, countOverdue
+} from './deadlines';
+
+// Wednesday 12 March 2025, late evening local time
+const now = new Date(2025, 2, 12, 23, 30, 0);
+
+test('dateKey uses the local calendar date', () => {
+  expect(dateKey(now)).toBe('2025-03-12');
+});
+
+test('deadlineKey keeps the date part of UTC midnight deadlines', () => {
+  expect(deadlineKey('2025-03-12T00:00:00Z')).toBe('2025-03-12');
+  expect(deadlineKey('2025-03-12')).toBe('2025-03-12');
+  expect(deadlineKey(null)).toBeNull();
+});
+
+test('date arithmetic crosses month and year boundaries', () => {
+  expect(addDays('2025-02-27', 2)).toBe('2025-03-01');
+  expect(addDays('2025-01-01', -1)).toBe('2024-12-31');
+  expect(daysBetween('2025-03-01', '2025-04-01')).toBe(31);
+});
+
+describe('getDeadlineStatus', () => {
+  test.each([
+    ['2025-03-11T00:00:00Z', 'overdue'],
+    ['2025-03-12T00:00:00Z', 'today'],
+    ['2025-03-15T00:00:00Z', 'soon'],
+    ['2025-03-16T00:00:00Z', 'later']
+  ])('%s is %s', (deadline, status) => {
+    expect(getDeadlineStatus(deadline, now)).toBe(status);
+  });
+
+  test('returns null without a deadline', () => {
+    expect(getDeadlineStatus(null, now)).toBeNull();
+  });
+});
+
+test('describeDeadline', () => {
+  expect(describeDeadline('2025-03-09T00:00:00Z', now)).toBe('Overdue by 3 days');
+  expect(describeDeadline('2025-03-11T00:00:00Z', now)).toBe('Overdue by 1 day');
+  expect(describeDeadline('2025-03-12T00:00:00Z', now)).toBe('Due today');
+  expect(describeDeadline('2025-03-13T00:00:00Z', now)).toBe('Due tomorrow');
+  expect(describeDeadline('2025-03-14T00:00:00Z', now)).toBe('Due in 2 days');
+  expect(describeDeadline('2025-04-01T00:00:00Z', now)).toBe(`Due ${formatDeadline('2025-04-01')}`);
+});
+
+test('formatDeadline shows the stored date, not the local time of UTC midnight', () => {
+  expect(formatDeadline('2025-03-12T00:00:00Z')).toBe(new Date(2025, 2, 12).toLocaleDateString());
+});
+
+test('countOverdue', () => {
+  const tasks = [{ deadline: '2025-03-01T00:00:00Z' }, { deadline: null }, { deadline: '2025-03-12T00:00:00Z' }];
+  expect(countOverdue(tasks, now)).toBe(1);
+});
@@ -0,0 +1,13 @@
+// Saving fetched or generated files, such as attachments and board exports.
+
+// Hands a blob to the browser as a file download
+export const saveBlob = (blob, fileName) => {
+  const url = window.URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = fileName;
+  document.body.appendChild(a);
+  a.click();
+  window.URL.revokeObjectURL(url);
+  document.body.removeChild(a);
+};
@@ -0,0 +1,57 @@
+// Files arriving from outside the page: pasted from the clipboard or dragged
+// in from the desktop. Card and column drags inside the board never carry
+// files, which is how the two kinds of drop are told apart.
+
+import { dateKey } from './deadlines';
+import { TASK_NAME_MAX_LENGTH } from './taskValidation';
+
+// Names browsers give to clipboard images that have no file behind them
+const GENERIC_CLIPBOARD_NAMES = ['', 'image.png', 'image.jpg', 'image.jpeg', 'image.gif', 'image.webp'];
+
+/**
+ * Whether a drag carries files (as opposed to a card or column being moved).
+ * Works during dragover, when the files themselves can't be read yet.
+ */
+export const hasDraggedFiles = (dataTransfer) =>
+  !!dataTransfer && Array.from(dataTransfer.types || []).includes('Files');
+
+const timestamp = (date) => {
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${dateKey(date)}-${pad(date.getHours())}${pad(date.getMinutes())}${pad(date.getSeconds())}`;
+};
+
+/**
+ * Gives a pasted screenshot a name that tells it apart from the next one.
+ */
+export const nameClipboardImage = (file, now = new Date(), index = 0) => {
+  if (!GENERIC_CLIPBOARD_NAMES.includes(file.name.toLowerCase())) return file;
+  const extension = file.type.split('/')[1] === 'jpeg' ? 'jpg' : file.type.split('/')[1];
+  const suffix = index > 0 ? `-${index + 1}` : '';
+  return new File([file], `pasted-${timestamp(now)}${suffix}.${extension}`, {
+    type: file.type,
+    lastModified: file.lastModified
+  });
+};
+
+/**
+ * Image files from a paste event's clipboard data. Returns an empty list for
+ * text pastes so callers can leave those to the browser.
+ */
+export const getClipboardImages = (clipboardData, now = new Date()) => {
+  if (!clipboardData) return [];
+  return Array.from(clipboardData.items || [])
+    .filter(item => item.kind === 'file' && item.type.startsWith('image/'))
+    .map(item => item.getAsFile())
+    .filter(Boolean)
+    .map((file, index) => nameClipboardImage(file, now, index));
+};
+
+/**
+ * Name for a task created by dropping files on a column, taken from the
+ * first file.
+ */
+export const taskNameForFiles = (files) => {
+  const base = files[0].name.replace(/\.[^.]+$/, '').replace(/[_-]+/g, ' ').trim() || 'Untitled';
+  const name = files.length > 1 ? `${base} (+${files.length - 1} more)` : base;
+  return name.slice(0, TASK_NAME_MAX_LENGTH);
+};
@@ -0,0 +1,59 @@
+import { hasDraggedFiles, nameClipboardImage, getClipboardImages, taskNameForFiles } from './fileDrop';
+
+const file = (name, type = 'image/png') => new File(['x'], name, { type });
+
+const clipboardItem = (f) => ({ kind: 'file', type: f.type, getAsFile: () => f });
+
+// Wednesday 12 March 2025, local time
+const now = new Date(2025, 2, 12, 9, 5, 7);
+
+describe('hasDraggedFiles', () => {
+  test('detects file drags', () => {
+    expect(hasDraggedFiles({ types: ['Files'] })).toBe(true);
+    expect(hasDraggedFiles({ types: ['text/html', 'text/plain'] })).toBe(false);
+    expect(hasDraggedFiles(null)).toBe(false);
+  });
+});
+
+describe('getClipboardImages', () => {
+  test('names screenshots by time', () => {
+    const images = getClipboardImages({ items: [clipboardItem(file('image.png')), clipboardItem(file('image.png'))] }, now);
+
+    expect(images.map(f => f.name)).toEqual(['pasted-2025-03-12-090507.png', 'pasted-2025-03-12-090507-2.png']);
+    expect(images[0].type).toBe('image/png');
+  });
+
+  test('keeps real file names', () => {
+    const copied = file('holiday.jpeg', 'image/jpeg');
+    expect(getClipboardImages({ items: [clipboardItem(copied)] }, now)).toEqual([copied]);
+  });
+
+  test('ignores text and non-image files', () => {
+    const items = [
+      { kind: 'string', type: 'text/plain', getAsFile: () => null },
+      clipboardItem(file('notes.pdf', 'application/pdf'))
+    ];
+    expect(getClipboardImages({ items }, now)).toEqual([]);
+    expect(getClipboardImages(null)).toEqual([]);
+  });
+});
+
+describe('nameClipboardImage', () => {
+  test('uses jpg for JPEG screenshots', () => {
+    expect(nameClipboardImage(file('image.jpg', 'image/jpeg'), now).name).toBe('pasted-2025-03-12-090507.jpg');
+  });
+});
+
+describe('taskNameForFiles', () => {
+  test('uses the first file name without its extension', () => {
+    expect(taskNameForFiles([file('login_error-screen.png')])).toBe('login error screen');
+  });
+
+  test('mentions further files', () => {
+    expect(taskNameForFiles([file('a.png'), file('b.png'), file('c.png')])).toBe('a (+2 more)');
+  });
+
+  test('stays within the name limit', () => {
+    expect(taskNameForFiles([file(`${'x'.repeat(300)}.png`)])).toHaveLength(200);
+  });
+});
@@ -0,0 +1,326 @@
+// Client-side image preparation before upload.
+//
+// Large images are downscaled and re-encoded in the browser so they fit the
+// upload limit. Re-encoding through a canvas also drops every bit of
+// metadata (EXIF and XMP: GPS position, camera serials), and decoding applies
+// the EXIF orientation first so the pixels end up upright. With optimization
+// on, every JPEG, PNG and WebP is re-encoded, since metadata can sit past the
+// part of the file we look at; reading it only drives the notes in the review.
+
+export const MAX_UPLOAD_BYTES = 5 * 1024 * 1024;
+export const MAX_IMAGE_DIMENSION = 2560;
+export const OPTIMIZE_IMAGES_KEY = 'taskBoard.optimizeImages';
+
+// GIFs are left alone: a canvas would keep only the first frame
+const PROCESSABLE_TYPES = ['image/jpeg', 'image/jpg', 'image/png', 'image/webp'];
+const EXTENSIONS = { 'image/jpeg': '.jpg', 'image/png': '.png', 'image/webp': '.webp' };
+
+// Each retry shrinks the image when the encoded file is still over the limit
+const MAX_ENCODE_ATTEMPTS = 5;
+const SHRINK_FACTOR = 0.75;
+
+const TAG_ORIENTATION = 0x0112;
+const TAG_GPS_IFD = 0x8825;
+
+// XMP stores GPS positions as exif:GPSLatitude and exif:GPSLongitude
+const XMP_GPS = 'GPSLatitude';
+const JPEG_XMP_ID = 'http://ns.adobe.com/xap/1.0/';
+const PNG_SIGNATURE = [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A];
+// eXIf holds EXIF, iTXt holds XMP, and the text chunks can hold either
+const PNG_METADATA_CHUNKS = ['eXIf', 'iTXt', 'tEXt', 'zTXt'];
+
+const asciiAt = (view, offset, text) => {
+  if (offset + text.length > view.byteLength) return false;
+  for (let i = 0; i < text.length; i++) {
+    if (view.getUint8(offset + i) !== text.charCodeAt(i)) return false;
+  }
+  return true;
+};
+
+const includesAscii = (view, start, end, text) => {
+  for (let i = start; i + text.length <= Math.min(end, view.byteLength); i++) {
+    if (asciiAt(view, i, text)) return true;
+  }
+  return false;
+};
+
+const addExif = (info, view, tiff) => {
+  const exif = readTiff(view, tiff);
+  info.hasMetadata = true;
+  info.orientation = exif.orientation;
+  info.hasGps = info.hasGps || exif.hasGps;
+};
+
+const addXmp = (info, view, start, end) => {
+  info.hasMetadata = true;
+  info.hasGps = info.hasGps || includesAscii(view, start, end, XMP_GPS);
+};
+
+const readJpeg = (view, info) => {
+  let offset = 2;
+  while (offset + 4 <= view.byteLength) {
+    const marker = view.getUint16(offset);
+    if ((marker & 0xFF00) !== 0xFF00 || marker === 0xFFDA) break; // image data starts
+    const end = offset + 2 + view.getUint16(offset + 2);
+
+    if (marker === 0xFFE1 && asciiAt(view, offset + 4, 'Exif')) addExif(info, view, offset + 10);
+    else if (marker === 0xFFE1 && asciiAt(view, offset + 4, JPEG_XMP_ID)) addXmp(info, view, offset + 4, end);
+    offset = end;
+  }
+};
+
+const readPng = (view, info) => {
+  let offset = PNG_SIGNATURE.length;
+  while (offset + 8 <= view.byteLength && !asciiAt(view, offset + 4, 'IEND')) {
+    const type = offset + 4;
+    const data = offset + 8;
+    const end = data + view.getUint32(offset);
+
+    if (asciiAt(view, type, 'eXIf')) addExif(info, view, data);
+    else if (PNG_METADATA_CHUNKS.some(name => asciiAt(view, type, name))) addXmp(info, view, data, end);
+    offset = end + 4; // CRC
+  }
+};
+
+const readWebp = (view, info) => {
+  let offset = 12;
+  while (offset + 8 <= view.byteLength) {
+    const data = offset + 8;
+    const size = view.getUint32(offset + 4, true);
+
+    // Some writers start the chunk with JPEG's "Exif\0\0"
+    if (asciiAt(view, offset, 'EXIF')) addExif(info, view, asciiAt(view, data, 'Exif') ? data + 6 : data);
+    else if (asciiAt(view, offset, 'XMP ')) addXmp(info, view, data, data + size);
+    offset = data + size + (size % 2); // chunks are padded to an even size
+  }
+};
+
+/**
+ * Reads whether the start of a JPEG, PNG, WebP or GIF file carries EXIF or
+ * XMP metadata, the EXIF orientation, and whether either holds a GPS
+ * position. Anything unreadable is reported as "no metadata".
+ *
+ * @param {ArrayBuffer} buffer
+ * @returns {{ hasMetadata: boolean, orientation: number, hasGps: boolean }}
+ */
+export const readImageMetadata = (buffer) => {
+  const info = { hasMetadata: false, orientation: 1, hasGps: false };
+  try {
+    const view = new DataView(buffer);
+    if (view.getUint16(0) === 0xFFD8) {
+      readJpeg(view, info);
+    } else if (PNG_SIGNATURE.every((byte, i) => view.getUint8(i) === byte)) {
+      readPng(view, info);
+    } else if (asciiAt(view, 0, 'RIFF') && asciiAt(view, 8, 'WEBP')) {
+      readWebp(view, info);
+    } else if (asciiAt(view, 0, 'GIF8')) {
+      // GIFs keep XMP in an application extension named "XMP DataXMP"
+      if (includesAscii(view, 6, view.byteLength, 'XMP DataXMP')) addXmp(info, view, 6, view.byteLength);
+    }
+  } catch {
+    // Truncated or malformed headers
+  }
+  return info;
+};
+
+const readTiff = (view, tiff) => {
+  const little = view.getUint16(tiff) === 0x4949; // "II"
+  const ifd = tiff + view.getUint32(tiff + 4, little);
+  const entries = view.getUint16(ifd, little);
+
+  const info = { orientation: 1, hasGps: false };
+  for (let i = 0; i < entries; i++) {
+    const entry = ifd + 2 + i * 12;
+    const tag = view.getUint16(entry, little);
+    if (tag === TAG_ORIENTATION) info.orientation = view.getUint16(entry + 8, little);
+    if (tag === TAG_GPS_IFD) info.hasGps = view.getUint32(entry + 8, little) !== 0;
+  }
+  return info;
+};
+
+/**
+ * Scales dimensions down (never up) so the longer side is at most `max`.
+ */
+export const fitWithin = (width, height, max) => {
+  const scale = Math.min(1, max / Math.max(width, height));
+  return { width: Math.round(width * scale), height: Math.round(height * scale) };
+};
+
+const renameForType = (name, type) => {
+  const extension = EXTENSIONS[type];
+  if (!extension) return name;
+  const base = name.replace(/\.[^.]+$/, '');
+  return `${base}${extension}`;
+};
+
+const readHeader = (file) => {
+  const head = file.slice(0, 128 * 1024);
+  if (typeof head.arrayBuffer === 'function') return head.arrayBuffer();
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsArrayBuffer(head);
+  });
+};
+
+const loadImage = (url) => new Promise((resolve, reject) => {
+  const img = new Image();
+  img.onload = () => resolve(img);
+  img.onerror = () => reject(new Error('Could not read image'));
+  img.src = url;
+});
+
+// Canvas-based decoding and encoding; swapped for a fake in tests
+export const browserCodec = {
+  async decode(file) {
+    if (typeof createImageBitmap === 'function') {
+      try {
+        const bitmap = await createImageBitmap(file, { imageOrientation: 'from-image' });
+        return { source: bitmap, width: bitmap.width, height: bitmap.height, release: () => bitmap.close() };
+      } catch {
+        // Fall back to <img>, which also applies EXIF orientation in current browsers
+      }
+    }
+    const url = URL.createObjectURL(file);
+    try {
+      const img = await loadImage(url);
+      return { source: img, width: img.naturalWidth, height: img.naturalHeight, release: () => URL.revokeObjectURL(url) };
+    } catch (err) {
+      URL.revokeObjectURL(url);
+      throw err;
+    }
+  },
+
+  async encode(source, width, height, type, quality) {
+    if (typeof OffscreenCanvas !== 'undefined') {
+      const canvas = new OffscreenCanvas(width, height);
+      canvas.getContext('2d').drawImage(source, 0, 0, width, height);
+      return canvas.convertToBlob({ type, quality });
+    }
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    canvas.getContext('2d').drawImage(source, 0, 0, width, height);
+    return new Promise((resolve, reject) => {
+      canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('Could not encode image'))), type, quality);
+    });
+  }
+};
+
+const formatMegabytes = (bytes) => `${Math.round(bytes / 1024 / 1024)} MB`;
+
+/**
+ * @typedef {Object} PreparedImage
+ * @property {File} original
+ * @property {?File} file - What will be uploaded, or null when the image can't be used
+ * @property {?string} error
+ * @property {?{width: number, height: number}} originalSize
+ * @property {?{width: number, height: number}} size
+ * @property {boolean} resized
+ * @property {boolean} metadataRemoved
+ * @property {boolean} orientationFixed - Pixels were rotated upright from EXIF orientation
+ * @property {boolean} hasGps - The original carries GPS coordinates, in EXIF or XMP
+ */
+
+/**
+ * Prepares one image for upload. With `optimize` off, files are only checked
+ * against the size limit; so are formats a canvas can't re-encode, like GIF.
+ *
+ * @returns {Promise<PreparedImage>}
+ */
+export async function prepareImage(file, {
+  optimize = true,
+  maxDimension = MAX_IMAGE_DIMENSION,
+  maxBytes = MAX_UPLOAD_BYTES,
+  quality = 0.85,
+  codec = browserCodec
+} = {}) {
+  const result = {
+    original: file,
+    file: null,
+    error: null,
+    originalSize: null,
+    size: null,
+    resized: false,
+    metadataRemoved: false,
+    orientationFixed: false,
+    hasGps: false
+  };
+
+  const isJpeg = file.type === 'image/jpeg' || file.type === 'image/jpg';
+  const metadata = readImageMetadata(await readHeader(file));
+  result.hasGps = metadata.hasGps;
+
+  if (!optimize || !PROCESSABLE_TYPES.includes(file.type)) {
+    if (file.size > maxBytes) {
+      result.error = optimize
+        ? `Larger than ${formatMegabytes(maxBytes)}, and this format can't be resized`
+        : `Larger than ${formatMegabytes(maxBytes)}. Turn on optimization to shrink it.`;
+    } else {
+      result.file = file;
+    }
+    return result;
+  }
+
+  let decoded;
+  try {
+    decoded = await codec.decode(file);
+  } catch {
+    result.error = 'Could not read this image';
+    return result;
+  }
+
+  try {
+    result.originalSize = { width: decoded.width, height: decoded.height };
+    let size = fitWithin(decoded.width, decoded.height, maxDimension);
+
+    const type = isJpeg ? 'image/jpeg' : file.type;
+    let blob = null;
+    for (let attempt = 0; attempt < MAX_ENCODE_ATTEMPTS; attempt++) {
+      blob = await codec.encode(decoded.source, size.width, size.height, type, quality);
+      if (blob.size <= maxBytes) break;
+      size = { width: Math.round(size.width * SHRINK_FACTOR), height: Math.round(size.height * SHRINK_FACTOR) };
+    }
+
+    if (blob.size > maxBytes) {
+      result.error = `Still larger than ${formatMegabytes(maxBytes)} after resizing`;
+      return result;
+    }
+
+    // Browsers without WebP encoding fall back to PNG; name the file for what it is
+    const outputType = blob.type || type;
+    result.file = new File([blob], renameForType(file.name, outputType), {
+      type: outputType,
+      lastModified: file.lastModified
+    });
+    result.size = size;
+    result.resized = size.width !== decoded.width;
+    result.metadataRemoved = metadata.hasMetadata;
+    result.orientationFixed = metadata.orientation > 1;
+    return result;
+  } catch {
+    result.error = 'Could not process this image';
+    return result;
+  } finally {
+    decoded.release();
+  }
+}
+
+/**
+ * Prepares images one at a time to keep memory use down with large photos.
+ */
+export async function prepareImages(files, options) {
+  const prepared = [];
+  for (const file of files) {
+    prepared.push(await prepareImage(file, options));
+  }
+  return prepared;
+}
+
+export const loadOptimizePreference = (storage = window.localStorage) =>
+  storage.getItem(OPTIMIZE_IMAGES_KEY) !== 'false';
+
+export const saveOptimizePreference = (optimize, storage = window.localStorage) => {
+  storage.setItem(OPTIMIZE_IMAGES_KEY, String(optimize));
+};
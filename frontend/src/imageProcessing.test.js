@@ -0,0 +1,213 @@
+import { readImageMetadata, fitWithin, prepareImage, loadOptimizePreference, saveOptimizePreference } from './imageProcessing';
+
+// Builds EXIF (TIFF) data holding the given IFD entries
+const tiffWith = (entries, { little = false } = {}) => {
+  const tiff = [];
+  const u16 = (v) => (little ? [v & 0xFF, v >> 8] : [v >> 8, v & 0xFF]);
+  const u32 = (v) => (little
+    ? [v & 0xFF, (v >> 8) & 0xFF, (v >> 16) & 0xFF, v >>> 24]
+    : [v >>> 24, (v >> 16) & 0xFF, (v >> 8) & 0xFF, v & 0xFF]);
+
+  tiff.push(...(little ? [0x49, 0x49] : [0x4D, 0x4D]), ...u16(42), ...u32(8));
+  tiff.push(...u16(entries.length));
+  for (const { tag, value } of entries) {
+    tiff.push(...u16(tag), ...u16(3), ...u32(1), ...u32(value));
+  }
+  tiff.push(...u32(0));
+  return tiff;
+};
+
+const ascii = (text) => [...text].map(ch => ch.charCodeAt(0));
+
+// A JPEG header with an APP1 EXIF segment
+const jpegWithExif = (entries, options) => {
+  const app1 = [...ascii('Exif'), 0, 0, ...tiffWith(entries, options)];
+  const size = app1.length + 2;
+  return new Uint8Array([0xFF, 0xD8, 0xFF, 0xE1, size >> 8, size & 0xFF, ...app1, 0xFF, 0xDA]).buffer;
+};
+
+// A JPEG header with an APP1 XMP segment
+const jpegWithXmp = (xmp) => {
+  const app1 = [...ascii('http://ns.adobe.com/xap/1.0/'), 0, ...ascii(xmp)];
+  const size = app1.length + 2;
+  return new Uint8Array([0xFF, 0xD8, 0xFF, 0xE1, size >> 8, size & 0xFF, ...app1, 0xFF, 0xDA]).buffer;
+};
+
+// A PNG with the given chunks after IHDR; CRCs are left as zeros
+const pngWith = (...chunks) => {
+  const chunk = (type, data) => [
+    data.length >>> 24, (data.length >> 16) & 0xFF, (data.length >> 8) & 0xFF, data.length & 0xFF,
+    ...ascii(type), ...data, 0, 0, 0, 0
+  ];
+  return new Uint8Array([
+    0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A,
+    ...chunk('IHDR', new Array(13).fill(0)),
+    ...chunks.flatMap(([type, data]) => chunk(type, data)),
+    ...chunk('IEND', [])
+  ]).buffer;
+};
+
+const GPS_XMP = '<x:xmpmeta><rdf:Description exif:GPSLatitude="52,22.5N" exif:GPSLongitude="4,53.7E"/></x:xmpmeta>';
+
+// In this layout an orientation value sits in the high half of the 4-byte slot
+const orientationEntry = (value, little) => ({ tag: 0x0112, value: little ? value : value << 16 });
+
+describe('readImageMetadata', () => {
+  test('reads orientation in big-endian files', () => {
+    expect(readImageMetadata(jpegWithExif([orientationEntry(6, false)]))).toEqual({ hasMetadata: true, orientation: 6, hasGps: false });
+  });
+
+  test('reads orientation and GPS in little-endian files', () => {
+    const buffer = jpegWithExif([orientationEntry(3, true), { tag: 0x8825, value: 120 }], { little: true });
+    expect(readImageMetadata(buffer)).toEqual({ hasMetadata: true, orientation: 3, hasGps: true });
+  });
+
+  test('finds GPS positions in JPEG XMP', () => {
+    expect(readImageMetadata(jpegWithXmp(GPS_XMP))).toEqual({ hasMetadata: true, orientation: 1, hasGps: true });
+    expect(readImageMetadata(jpegWithXmp('<x:xmpmeta/>'))).toEqual({ hasMetadata: true, orientation: 1, hasGps: false });
+  });
+
+  test('reads PNG eXIf and XMP chunks', () => {
+    const exif = tiffWith([{ tag: 0x8825, value: 1 << 16 }]);
+    expect(readImageMetadata(pngWith(['eXIf', exif]))).toEqual({ hasMetadata: true, orientation: 1, hasGps: true });
+    expect(readImageMetadata(pngWith(['iTXt', ascii(`XML:com.adobe.xmp\0\0\0\0\0${GPS_XMP}`)])).hasGps).toBe(true);
+    expect(readImageMetadata(pngWith(['IDAT', [1, 2, 3]])).hasMetadata).toBe(false);
+  });
+
+  test('reads WebP EXIF and XMP chunks', () => {
+    const webp = (type, data) => new Uint8Array([
+      ...ascii('RIFF'), 0, 0, 0, 0, ...ascii('WEBP'),
+      ...ascii(type), data.length & 0xFF, data.length >> 8, 0, 0, ...data, ...(data.length % 2 ? [0] : [])
+    ]).buffer;
+
+    expect(readImageMetadata(webp('XMP ', ascii(GPS_XMP))).hasGps).toBe(true);
+    expect(readImageMetadata(webp('EXIF', tiffWith([orientationEntry(8, false)]))).orientation).toBe(8);
+  });
+
+  test('reports no metadata for other files and garbage', () => {
+    expect(readImageMetadata(new Uint8Array([0x89, 0x50, 0x4E, 0x47]).buffer).hasMetadata).toBe(false);
+    expect(readImageMetadata(new Uint8Array([0xFF, 0xD8, 0xFF, 0xE1, 0x00]).buffer).hasMetadata).toBe(false);
+  });
+});
+
+test('fitWithin only scales down', () => {
+  expect(fitWithin(4000, 3000, 2000)).toEqual({ width: 2000, height: 1500 });
+  expect(fitWithin(3000, 4000, 2000)).toEqual({ width: 1500, height: 2000 });
+  expect(fitWithin(800, 600, 2000)).toEqual({ width: 800, height: 600 });
+});
+
+describe('prepareImage', () => {
+  const fakeCodec = ({ width = 4000, height = 3000, sizes = [1000] } = {}) => {
+    const encodeSizes = [...sizes];
+    return {
+      release: jest.fn(),
+      decode: jest.fn(async function decode() {
+        return { source: 'bitmap', width, height, release: this.release };
+      }),
+      encode: jest.fn(async (source, w, h, type) => new Blob([new Uint8Array(encodeSizes.shift())], { type }))
+    };
+  };
+
+  const file = (name, type, size, bytes) =>
+    new File([bytes || new Uint8Array(size)], name, { type });
+
+  test('downscales large images and renames them for the output type', async () => {
+    const codec = fakeCodec();
+    const result = await prepareImage(file('photo.jpeg', 'image/jpeg', 9000), { codec, maxDimension: 2000, maxBytes: 5000 });
+
+    expect(codec.encode).toHaveBeenCalledWith('bitmap', 2000, 1500, 'image/jpeg', 0.85);
+    expect(result.file.name).toBe('photo.jpg');
+    expect(result.file.size).toBe(1000);
+    expect(result).toMatchObject({ resized: true, originalSize: { width: 4000, height: 3000 }, size: { width: 2000, height: 1500 } });
+    expect(codec.release).toHaveBeenCalled();
+  });
+
+  test('keeps shrinking until the file fits', async () => {
+    const codec = fakeCodec({ sizes: [8000, 6000, 3000] });
+    const result = await prepareImage(file('big.png', 'image/png', 9000), { codec, maxDimension: 4000, maxBytes: 5000 });
+
+    expect(codec.encode).toHaveBeenCalledTimes(3);
+    expect(result.size).toEqual({ width: 2250, height: 1688 });
+    expect(result.error).toBeNull();
+  });
+
+  test('re-encodes JPEGs with EXIF to strip metadata', async () => {
+    const exif = new Uint8Array(jpegWithExif([{ tag: 0x8825, value: 1 << 16 }]));
+    const codec = fakeCodec({ width: 800, height: 600 });
+    const result = await prepareImage(file('gps.jpg', 'image/jpeg', 0, exif), { codec });
+
+    expect(codec.encode).toHaveBeenCalled();
+    expect(result).toMatchObject({ metadataRemoved: true, hasGps: true, resized: false });
+  });
+
+  test('reports when the orientation was applied', async () => {
+    const exif = new Uint8Array(jpegWithExif([orientationEntry(6, false)]));
+    const result = await prepareImage(file('rotated.jpg', 'image/jpeg', 0, exif), { codec: fakeCodec({ width: 800, height: 600 }) });
+
+    expect(result).toMatchObject({ metadataRemoved: true, orientationFixed: true, hasGps: false });
+  });
+
+  test('re-encodes PNGs with eXIf location data', async () => {
+    const png = new Uint8Array(pngWith(['eXIf', tiffWith([{ tag: 0x8825, value: 1 << 16 }])]));
+    const codec = fakeCodec({ width: 800, height: 600 });
+    const result = await prepareImage(file('map.png', 'image/png', 0, png), { codec });
+
+    expect(codec.encode).toHaveBeenCalledWith('bitmap', 800, 600, 'image/png', 0.85);
+    expect(result.file).not.toBe(result.original);
+    expect(result).toMatchObject({ metadataRemoved: true, hasGps: true, resized: false });
+  });
+
+  test('re-encodes JPEGs whose location is only in XMP', async () => {
+    const codec = fakeCodec({ width: 800, height: 600 });
+    const result = await prepareImage(file('xmp.jpg', 'image/jpeg', 0, new Uint8Array(jpegWithXmp(GPS_XMP))), { codec });
+
+    expect(codec.encode).toHaveBeenCalled();
+    expect(result).toMatchObject({ metadataRemoved: true, hasGps: true, orientationFixed: false });
+  });
+
+  test('re-encodes small images that look clean, as metadata can sit anywhere in the file', async () => {
+    const codec = fakeCodec({ width: 800, height: 600 });
+    const original = file('small.png', 'image/png', 100);
+    const result = await prepareImage(original, { codec });
+
+    expect(codec.encode).toHaveBeenCalled();
+    expect(result.file).not.toBe(original);
+    expect(result).toMatchObject({ metadataRemoved: false, resized: false });
+  });
+
+  test('only checks the size limit when optimization is off', async () => {
+    const codec = fakeCodec();
+    const result = await prepareImage(file('huge.png', 'image/png', 200), { codec, optimize: false, maxBytes: 100 });
+
+    expect(codec.decode).not.toHaveBeenCalled();
+    expect(result.file).toBeNull();
+    expect(result.error).toMatch(/Turn on optimization/);
+  });
+
+  test('leaves GIFs alone but reports location data in them', async () => {
+    const codec = fakeCodec();
+    const gif = file('anim.gif', 'image/gif', 100);
+    const result = await prepareImage(gif, { codec });
+    const tagged = await prepareImage(file('tagged.gif', 'image/gif', 0, new Uint8Array(ascii(`GIF89a!\xFF\x0BXMP DataXMP${GPS_XMP}`))), { codec });
+
+    expect(codec.decode).not.toHaveBeenCalled();
+    expect(result.file).toBe(gif);
+    expect(result.hasGps).toBe(false);
+    expect(tagged).toMatchObject({ metadataRemoved: false, hasGps: true });
+  });
+
+  test('reports images that cannot be decoded', async () => {
+    const codec = { decode: jest.fn().mockRejectedValue(new Error('bad')), encode: jest.fn() };
+    const result = await prepareImage(file('broken.png', 'image/png', 10), { codec });
+
+    expect(result.file).toBeNull();
+    expect(result.error).toBe('Could not read this image');
+  });
+});
+
+test('optimize preference defaults to on and persists', () => {
+  window.localStorage.clear();
+  expect(loadOptimizePreference()).toBe(true);
+  saveOptimizePreference(false);
+  expect(loadOptimizePreference()).toBe(false);
+});
@@ -0,0 +1,153 @@
+// The subset of Markdown allowed in task comments.
+//
+// Comments are parsed into plain objects that the app renders as React
+// elements, never into HTML, so a comment can't inject markup or script.
+// Supported: paragraphs and line breaks, **bold**, *italic*, ~~strikethrough~~,
+// `code`, fenced code blocks, headings, > quotes, - and 1. lists,
+// [links](https://example.com) and bare http(s) URLs.
+
+/**
+ * @typedef {Object} InlineNode
+ * @property {'text'|'br'|'code'|'strong'|'em'|'del'|'link'} type
+ * @property {string} [text] - text, code
+ * @property {string} [href] - link
+ * @property {InlineNode[]} [children] - strong, em, del, link
+ */
+
+/**
+ * @typedef {Object} Block
+ * @property {'paragraph'|'heading'|'codeBlock'|'quote'|'list'} type
+ * @property {InlineNode[]} [children] - paragraph, heading
+ * @property {number} [level] - heading: 1-6
+ * @property {string} [text] - codeBlock
+ * @property {Block[]} [blocks] - quote
+ * @property {boolean} [ordered] - list
+ * @property {number} [start] - ordered list
+ * @property {InlineNode[][]} [items] - list
+ */
+
+const SAFE_URL = /^(https?:|mailto:)/i;
+
+// Links may only go to web pages and mail addresses; javascript: and data:
+// URLs stay plain text
+export const isSafeUrl = (url) => SAFE_URL.test(url.trim());
+
+// Alternatives, in order: `code`, **bold**, ~~strike~~, *italic*, [text](url), bare URL
+const INLINE_PATTERN = /`([^`\n]+)`|\*\*(?=\S)([\s\S]*?\S)\*\*|~~(?=\S)([\s\S]*?\S)~~|\*(?=[^\s*])([\s\S]*?[^\s*])\*|\[([^\]\n]+)\]\(([^()\s]+)\)|(https?:\/\/[^\s<]*[^\s<.,:;"')\]!?])/g;
+
+const pushText = (nodes, text) => {
+  text.split('\n').forEach((part, i) => {
+    if (i > 0) nodes.push({ type: 'br' });
+    if (part) nodes.push({ type: 'text', text: part });
+  });
+};
+
+/**
+ * Parses emphasis, code and links within a block. Single line breaks are kept.
+ *
+ * @returns {InlineNode[]}
+ */
+export const parseInline = (text) => {
+  const nodes = [];
+  const pattern = new RegExp(INLINE_PATTERN.source, 'g');
+  let last = 0;
+  let match;
+  while ((match = pattern.exec(text))) {
+    const [whole, code, strong, del, em, linkText, href, url] = match;
+    if (match.index > last) pushText(nodes, text.slice(last, match.index));
+
+    if (code !== undefined) {
+      nodes.push({ type: 'code', text: code });
+    } else if (strong !== undefined) {
+      nodes.push({ type: 'strong', children: parseInline(strong) });
+    } else if (del !== undefined) {
+      nodes.push({ type: 'del', children: parseInline(del) });
+    } else if (em !== undefined) {
+      nodes.push({ type: 'em', children: parseInline(em) });
+    } else if (linkText !== undefined) {
+      if (isSafeUrl(href)) {
+        nodes.push({ type: 'link', href, children: [{ type: 'text', text: linkText }] });
+      } else {
+        pushText(nodes, whole);
+      }
+    } else {
+      nodes.push({ type: 'link', href: url, children: [{ type: 'text', text: url }] });
+    }
+    last = match.index + whole.length;
+  }
+  if (last < text.length) pushText(nodes, text.slice(last));
+  return nodes;
+};
+
+const FENCE = /^\s*```/;
+const HEADING = /^(#{1,6})\s+(.*)$/;
+const QUOTE = /^\s*>/;
+const LIST_ITEM = /^\s*([-*+]|\d{1,9}[.)])\s+(.*)$/;
+const BLANK = /^\s*$/;
+
+const startsBlock = (line) => FENCE.test(line) || HEADING.test(line) || QUOTE.test(line) || LIST_ITEM.test(line);
+
+const isOrdered = (marker) => /\d/.test(marker);
+
+/**
+ * Parses a comment into blocks.
+ *
+ * @returns {Block[]}
+ */
+export const parseMarkdown = (source) => {
+  const lines = String(source ?? '').replace(/\r\n?/g, '\n').split('\n');
+  const blocks = [];
+  let i = 0;
+
+  while (i < lines.length) {
+    const line = lines[i];
+
+    if (BLANK.test(line)) {
+      i++;
+    } else if (FENCE.test(line)) {
+      const code = [];
+      i++;
+      while (i < lines.length && !FENCE.test(lines[i])) code.push(lines[i++]);
+      // Skip the closing fence; an unclosed block runs to the end
+      i++;
+      blocks.push({ type: 'codeBlock', text: code.join('\n') });
+    } else if (HEADING.test(line)) {
+      const [, hashes, text] = HEADING.exec(line);
+      blocks.push({ type: 'heading', level: hashes.length, children: parseInline(text.trim()) });
+      i++;
+    } else if (QUOTE.test(line)) {
+      const quoted = [];
+      while (i < lines.length && QUOTE.test(lines[i])) quoted.push(lines[i++].replace(/^\s*>\s?/, ''));
+      blocks.push({ type: 'quote', blocks: parseMarkdown(quoted.join('\n')) });
+    } else if (LIST_ITEM.test(line)) {
+      const [, firstMarker] = LIST_ITEM.exec(line);
+      const ordered = isOrdered(firstMarker);
+      const items = [];
+      while (i < lines.length) {
+        const item = LIST_ITEM.exec(lines[i]);
+        if (item && isOrdered(item[1]) === ordered) {
+          items.push(item[2]);
+        } else if (!item && /^\s{2,}\S/.test(lines[i])) {
+          // An indented line continues the item above
+          items[items.length - 1] += `\n${lines[i].trim()}`;
+        } else {
+          break;
+        }
+        i++;
+      }
+      blocks.push({
+        type: 'list',
+        ordered,
+        ...(ordered ? { start: parseInt(firstMarker, 10) } : {}),
+        items: items.map(parseInline)
+      });
+    } else {
+      const paragraph = [];
+      while (i < lines.length && !BLANK.test(lines[i]) && (paragraph.length === 0 || !startsBlock(lines[i]))) {
+        paragraph.push(lines[i++]);
+      }
+      blocks.push({ type: 'paragraph', children: parseInline(paragraph.join('\n')) });
+    }
+  }
+  return blocks;
+};
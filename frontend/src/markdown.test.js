@@ -0,0 +1,63 @@
+import { parseInline, parseMarkdown, isSafeUrl } from './markdown';
+
+const text = (value) => ({ type: 'text', text: value });
+
+describe('parseInline', () => {
+  test('parses emphasis and code, keeping code contents literal', () => {
+    expect(parseInline('a **bold** and *it* ~~gone~~ `**raw**`')).toEqual([
+      text('a '),
+      { type: 'strong', children: [text('bold')] },
+      text(' and '),
+      { type: 'em', children: [text('it')] },
+      text(' '),
+      { type: 'del', children: [text('gone')] },
+      text(' '),
+      { type: 'code', text: '**raw**' }
+    ]);
+  });
+
+  test('leaves lone asterisks and snake_case alone', () => {
+    expect(parseInline('2 * 3 * 4 and some_name_here')).toEqual([text('2 * 3 * 4 and some_name_here')]);
+  });
+
+  test('links web addresses but not scripts', () => {
+    expect(parseInline('see [docs](https://example.com/a) or https://example.com/b.')).toEqual([
+      text('see '),
+      { type: 'link', href: 'https://example.com/a', children: [text('docs')] },
+      text(' or '),
+      { type: 'link', href: 'https://example.com/b', children: [text('https://example.com/b')] },
+      text('.')
+    ]);
+    expect(parseInline('[click](javascript:alert(1))')).toEqual([text('[click](javascript:alert(1))')]);
+  });
+
+  test('keeps single line breaks', () => {
+    expect(parseInline('one\ntwo')).toEqual([text('one'), { type: 'br' }, text('two')]);
+  });
+});
+
+describe('parseMarkdown', () => {
+  test('splits paragraphs, headings, lists, quotes and code blocks', () => {
+    const blocks = parseMarkdown('## Plan\n\nFirst line\nsecond line\n- one\n- two\n\n3. three\n4. four\n> quoted\n```\n<b>x</b>\n```');
+
+    expect(blocks.map(b => b.type)).toEqual(['heading', 'paragraph', 'list', 'list', 'quote', 'codeBlock']);
+    expect(blocks[0]).toMatchObject({ level: 2, children: [text('Plan')] });
+    expect(blocks[1].children).toEqual([text('First line'), { type: 'br' }, text('second line')]);
+    expect(blocks[2]).toMatchObject({ ordered: false, items: [[text('one')], [text('two')]] });
+    expect(blocks[3]).toMatchObject({ ordered: true, start: 3 });
+    expect(blocks[4].blocks).toEqual([{ type: 'paragraph', children: [text('quoted')] }]);
+    expect(blocks[5].text).toBe('<b>x</b>');
+  });
+
+  test('handles empty input and Windows line endings', () => {
+    expect(parseMarkdown('')).toEqual([]);
+    expect(parseMarkdown('a\r\n\r\nb')).toHaveLength(2);
+  });
+});
+
+test('isSafeUrl', () => {
+  expect(isSafeUrl('https://example.com')).toBe(true);
+  expect(isSafeUrl('mailto:a@example.com')).toBe(true);
+  expect(isSafeUrl(' javascript:alert(1)')).toBe(false);
+  expect(isSafeUrl('data:text/html,x')).toBe(false);
+});
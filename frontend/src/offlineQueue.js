@@ -0,0 +1,150 @@
+// Task changes made while the API can't be reached.
+//
+// Creating, editing (including favorites and deadlines), moving and deleting
+// tasks keep working offline: each change is stored in an outbox as a plain,
+// serializable description, shown on top of the last-known board, and sent in
+// order once the connection is back. Tasks created offline get a temporary
+// negative id until the server assigns a real one.
+//
+// A change the server no longer accepts (the task was deleted, or edited by
+// someone else in the meantime) becomes a conflict for the user to look at
+// instead of silently overwriting or disappearing.
+
+/**
+ * @typedef {Object} OutboxOp
+ * @property {string} id
+ * @property {'createTask'|'updateTask'|'moveTask'|'deleteTask'} type
+ * @property {number} [taskId] - Real or temporary id of the task changed
+ * @property {number} [tempId] - createTask: id shown until the server assigns one
+ * @property {Object} [task] - createTask/updateTask: the request body
+ * @property {?string} [baseUpdatedAt] - updateTask: the task's updatedAt when it was edited
+ * @property {number} [columnId] - moveTask
+ * @property {number} [position] - moveTask: 0-based index in the column
+ * @property {string} name - Task name, for messages
+ */
+
+/**
+ * Whether a request failed because the server couldn't be reached, as
+ * opposed to the server turning it down.
+ */
+export const isOfflineError = (err) => !!err && err.code === 'network';
+
+let lastTempId = 0;
+
+const nextTempId = () => {
+  lastTempId = Math.min(lastTempId - 1, -Date.now());
+  return lastTempId;
+};
+
+/**
+ * Completes a change description from the app into an outbox entry.
+ *
+ * @returns {OutboxOp}
+ */
+export const createOutboxOp = (change) => ({
+  ...change,
+  id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+  ...(change.type === 'createTask' ? { tempId: nextTempId() } : {})
+});
+
+const targetId = (op) => (op.type === 'createTask' ? op.tempId : op.taskId);
+
+/**
+ * Adds an entry to the outbox. Deleting a task that was created offline
+ * drops everything queued for it instead, since the server never saw it.
+ */
+export const enqueue = (outbox, op) => {
+  if (op.type === 'deleteTask' && op.taskId < 0) {
+    return outbox.filter(queued => targetId(queued) !== op.taskId);
+  }
+  return [...outbox, op];
+};
+
+/**
+ * Thrown when a queued edit is for a task that changed on the server after
+ * it was edited offline. `server` is the task as it is now.
+ */
+export class SyncConflictError extends Error {
+  constructor(server) {
+    super('Changed elsewhere while you were offline');
+    this.name = 'SyncConflictError';
+    this.server = server;
+  }
+}
+
+/**
+ * Sends one queued change. Resolves to the server's task (null for a delete).
+ */
+export async function sendOutboxOp(client, op) {
+  switch (op.type) {
+    case 'createTask':
+      return client.tasks.create(op.task);
+    case 'updateTask': {
+      if (op.baseUpdatedAt) {
+        const current = await client.tasks.get(op.taskId);
+        if (current.updatedAt !== op.baseUpdatedAt) throw new SyncConflictError(current);
+      }
+      return client.tasks.update(op.taskId, op.task);
+    }
+    case 'moveTask':
+      return client.tasks.move(op.taskId, { columnId: op.columnId, sortOrder: op.position + 1 });
+    case 'deleteTask':
+      try {
+        await client.tasks.remove(op.taskId);
+      } catch (err) {
+        // Already deleted elsewhere is what we wanted anyway
+        if (err.status !== 404) throw err;
+      }
+      return null;
+    default:
+      throw new Error(`Unknown queued change: ${op.type}`);
+  }
+}
+
+/**
+ * Updates the entries still waiting after `op` was sent: a created task's
+ * temporary id becomes its real one, and later edits of the task are based
+ * on the version just saved rather than flagged as conflicts with it.
+ */
+export const settleOutbox = (outbox, op, savedTask) => {
+  if (!savedTask) return outbox;
+  return outbox.map(queued => {
+    let next = queued;
+    if (op.type === 'createTask' && queued.taskId === op.tempId) next = { ...next, taskId: savedTask.id };
+    if (next.taskId === savedTask.id && next.type === 'updateTask') next = { ...next, baseUpdatedAt: savedTask.updatedAt };
+    return next;
+  });
+};
+
+const ACTIONS = {
+  createTask: 'new task',
+  updateTask: 'changes to',
+  moveTask: 'move of',
+  deleteTask: 'deletion of'
+};
+
+/**
+ * @typedef {Object} SyncConflict
+ * @property {string} id
+ * @property {OutboxOp} op - The change that wasn't saved
+ * @property {string} message
+ * @property {?Object} server - The server's task, when keeping the local edit is possible
+ */
+
+/**
+ * Describes a queued change the server turned down.
+ *
+ * @returns {SyncConflict}
+ */
+export const describeConflict = (op, err) => {
+  const subject = op.type === 'createTask' ? `Your new task "${op.name}"` : `Your ${ACTIONS[op.type]} "${op.name}"`;
+  let message;
+  if (err instanceof SyncConflictError) {
+    message = `"${op.name}" was changed by someone else while you were offline. Your changes were not saved.`;
+  } else if (err.status === 404) {
+    message = `${subject} could not be saved: the task or its column was deleted elsewhere.`;
+  } else {
+    message = `${subject} could not be saved: ${err.message || 'the server refused it'}.`;
+  }
+  return { id: op.id, op, message, server: err instanceof SyncConflictError ? err.server : null };
+};
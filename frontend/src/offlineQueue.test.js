@@ -0,0 +1,82 @@
+import {
+  createOutboxOp, enqueue, sendOutboxOp, settleOutbox, describeConflict, isOfflineError, SyncConflictError
+} from './offlineQueue';
+
+const httpError = (status, message = 'Bad request') => Object.assign(new Error(message), { status, code: 'http' });
+
+const makeClient = () => ({
+  tasks: {
+    create: jest.fn(),
+    get: jest.fn(),
+    update: jest.fn(),
+    move: jest.fn(),
+    remove: jest.fn()
+  }
+});
+
+test('isOfflineError only matches unreachable servers', () => {
+  expect(isOfflineError({ code: 'network' })).toBe(true);
+  expect(isOfflineError(httpError(500))).toBe(false);
+  expect(isOfflineError(null)).toBe(false);
+});
+
+describe('enqueue', () => {
+  test('gives new tasks distinct temporary ids', () => {
+    const a = createOutboxOp({ type: 'createTask', task: {}, name: 'A' });
+    const b = createOutboxOp({ type: 'createTask', task: {}, name: 'B' });
+
+    expect(a.tempId).toBeLessThan(0);
+    expect(b.tempId).not.toBe(a.tempId);
+  });
+
+  test('deleting a task created offline drops everything queued for it', () => {
+    const create = createOutboxOp({ type: 'createTask', task: {}, name: 'A' });
+    const other = createOutboxOp({ type: 'deleteTask', taskId: 5, name: 'B' });
+    let outbox = enqueue(enqueue([], create), other);
+    outbox = enqueue(outbox, createOutboxOp({ type: 'moveTask', taskId: create.tempId, columnId: 2, position: 0, name: 'A' }));
+
+    expect(enqueue(outbox, createOutboxOp({ type: 'deleteTask', taskId: create.tempId, name: 'A' }))).toEqual([other]);
+  });
+});
+
+describe('sendOutboxOp', () => {
+  test('turns down an edit of a task changed on the server since', async () => {
+    const client = makeClient();
+    const server = { id: 3, updatedAt: '2025-01-02T00:00:00Z' };
+    client.tasks.get.mockResolvedValue(server);
+    const op = createOutboxOp({ type: 'updateTask', taskId: 3, task: { name: 'Mine' }, baseUpdatedAt: '2025-01-01T00:00:00Z', name: 'Mine' });
+
+    const error = await sendOutboxOp(client, op).catch(err => err);
+
+    expect(error).toBeInstanceOf(SyncConflictError);
+    expect(error.server).toBe(server);
+    expect(client.tasks.update).not.toHaveBeenCalled();
+  });
+
+  test('sends moves with 1-based sort orders and accepts already deleted tasks', async () => {
+    const client = makeClient();
+    client.tasks.remove.mockRejectedValue(httpError(404, 'Not found'));
+
+    await sendOutboxOp(client, createOutboxOp({ type: 'moveTask', taskId: 3, columnId: 2, position: 0, name: 'A' }));
+    await expect(sendOutboxOp(client, createOutboxOp({ type: 'deleteTask', taskId: 3, name: 'A' }))).resolves.toBeNull();
+
+    expect(client.tasks.move).toHaveBeenCalledWith(3, { columnId: 2, sortOrder: 1 });
+  });
+});
+
+test('settleOutbox gives later changes the real id and version of a saved task', () => {
+  const create = createOutboxOp({ type: 'createTask', task: {}, name: 'A' });
+  const edit = createOutboxOp({ type: 'updateTask', taskId: create.tempId, task: {}, baseUpdatedAt: null, name: 'A' });
+  const other = createOutboxOp({ type: 'deleteTask', taskId: 9, name: 'B' });
+
+  const settled = settleOutbox([edit, other], create, { id: 42, updatedAt: '2025-01-01T00:00:00Z' });
+
+  expect(settled).toEqual([{ ...edit, taskId: 42, baseUpdatedAt: '2025-01-01T00:00:00Z' }, other]);
+});
+
+test('describeConflict explains what was not saved', () => {
+  const op = createOutboxOp({ type: 'moveTask', taskId: 3, columnId: 9, position: 0, name: 'Plan' });
+
+  expect(describeConflict(op, httpError(404)).message).toBe('Your move of "Plan" could not be saved: the task or its column was deleted elsewhere.');
+  expect(describeConflict(op, new SyncConflictError({ id: 3 })).server).toEqual({ id: 3 });
+});
@@ -0,0 +1,51 @@
+// Recurring tasks.
+//
+// Once a recurring task is moved into the board's last column, the server adds
+// the next one to the first column and moves the recurrence over to it. Tasks keep
+// `recurrence: null` when they don't recur; requests say so with frequency
+// 'none', since a missing recurrence leaves the task's as it is.
+
+export const FREQUENCIES = [
+  { value: 'none', label: 'Does not repeat' },
+  { value: 'daily', label: 'Daily' },
+  { value: 'weekly', label: 'Weekly' },
+  { value: 'monthly', label: 'Monthly' }
+];
+
+// Index is the weekday number the API uses: 0 for Sunday
+export const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const NO_RECURRENCE = { frequency: 'none', weekdays: [] };
+
+/** The recurrence to send for a task's `recurrence` value. */
+export const toRecurrenceRule = (recurrence) =>
+  (recurrence ? { frequency: recurrence.frequency, weekdays: recurrence.weekdays ?? [] } : NO_RECURRENCE);
+
+/**
+ * A task's `recurrence` from a frequency picked in a form. Weekly starts on
+ * `today`'s weekday so there is always at least one day picked.
+ */
+export const recurrenceFor = (frequency, previous, today = new Date()) => {
+  if (frequency === 'none') return null;
+  if (frequency !== 'weekly') return { frequency, weekdays: [] };
+  const weekdays = previous?.weekdays?.length ? previous.weekdays : [today.getDay()];
+  return { frequency, weekdays };
+};
+
+/** Toggles a weekday, keeping at least one and keeping them in order. */
+export const toggleWeekday = (recurrence, day) => {
+  const weekdays = recurrence.weekdays.includes(day)
+    ? recurrence.weekdays.filter(d => d !== day)
+    : [...recurrence.weekdays, day].sort((a, b) => a - b);
+  return weekdays.length > 0 ? { ...recurrence, weekdays } : recurrence;
+};
+
+/** e.g. "Daily", "Weekly on Mon, Thu" or "Monthly"; null for a one-off task. */
+export const describeRecurrence = (recurrence) => {
+  if (!recurrence || recurrence.frequency === 'none') return null;
+  if (recurrence.frequency === 'weekly') {
+    return `Weekly on ${recurrence.weekdays.map(day => WEEKDAYS[day]).join(', ')}`;
+  }
+  return FREQUENCIES.find(f => f.value === recurrence.frequency)?.label ?? null;
+};
+
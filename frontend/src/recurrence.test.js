@@ -0,0 +1,31 @@
+import { describeRecurrence, recurrenceFor, toggleWeekday, toRecurrenceRule } from './recurrence';
+
+describe('recurrence', () => {
+  // A Wednesday
+  const today = new Date(2026, 9, 14);
+
+  test('describes how often a task repeats', () => {
+    expect(describeRecurrence(null)).toBeNull();
+    expect(describeRecurrence({ frequency: 'daily', weekdays: [] })).toBe('Daily');
+    expect(describeRecurrence({ frequency: 'weekly', weekdays: [1, 4] })).toBe('Weekly on Mon, Thu');
+    expect(describeRecurrence({ frequency: 'monthly', weekdays: [] })).toBe('Monthly');
+  });
+
+  test('starts weekly recurrence on today\'s weekday, or the days picked before', () => {
+    expect(recurrenceFor('weekly', null, today)).toEqual({ frequency: 'weekly', weekdays: [3] });
+    expect(recurrenceFor('weekly', { frequency: 'weekly', weekdays: [5] }, today)).toEqual({ frequency: 'weekly', weekdays: [5] });
+    expect(recurrenceFor('none', { frequency: 'daily', weekdays: [] }, today)).toBeNull();
+  });
+
+  test('toggles weekdays in order but never the last one off', () => {
+    const weekly = { frequency: 'weekly', weekdays: [3] };
+
+    expect(toggleWeekday(weekly, 1).weekdays).toEqual([1, 3]);
+    expect(toggleWeekday(weekly, 3)).toBe(weekly);
+  });
+
+  test('sends frequency none to stop a task repeating', () => {
+    expect(toRecurrenceRule(null)).toEqual({ frequency: 'none', weekdays: [] });
+    expect(toRecurrenceRule({ frequency: 'daily' })).toEqual({ frequency: 'daily', weekdays: [] });
+  });
+});
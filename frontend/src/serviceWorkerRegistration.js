@@ -0,0 +1,17 @@
+// Registers public/service-worker.js, which lets the app open (and be
+// installed) without a connection. Only production builds register it: in
+// development it would serve stale bundles over the dev server's.
+
+export function register() {
+  if (process.env.NODE_ENV !== 'production' || !('serviceWorker' in navigator)) return;
+
+  // The worker must come from the app's own origin to control its pages
+  const publicUrl = new URL(process.env.PUBLIC_URL, window.location.href);
+  if (publicUrl.origin !== window.location.origin) return;
+
+  window.addEventListener('load', () => {
+    navigator.serviceWorker
+      .register(`${process.env.PUBLIC_URL}/service-worker.js`)
+      .catch(err => console.error('Service worker registration failed', err));
+  });
+}
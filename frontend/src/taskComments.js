@@ -0,0 +1,97 @@
+// Comment threads and activity timelines shown in the task details.
+//
+// Comments are written as the signed-in user, under their display name. The
+// backend only lets their author edit or delete them.
+
+import { useCallback, useEffect, useState } from 'react';
+import api from './api/client';
+import { formatDeadline } from './deadlines';
+
+export const COMMENT_MAX_LENGTH = 4000;
+
+const formatActivityDate = (value) => (value ? formatDeadline(value, { dateStyle: 'medium' }) : null);
+
+/**
+ * One line for an activity timeline entry, such as `Moved from "To Do" to "Done"`.
+ *
+ * @param {import('./api/client').TaskActivity} entry
+ */
+export const describeActivity = ({ type, field, oldValue, newValue }) => {
+  switch (type) {
+    case 'created':
+      return 'Created';
+    case 'edited':
+      if (field === 'name') return `Renamed from "${oldValue}" to "${newValue}"`;
+      if (field === 'description') return newValue ? 'Changed the description' : 'Removed the description';
+      if (field === 'deadline') {
+        if (!newValue) return 'Removed the deadline';
+        if (!oldValue) return `Set the deadline to ${formatActivityDate(newValue)}`;
+        return `Moved the deadline from ${formatActivityDate(oldValue)} to ${formatActivityDate(newValue)}`;
+      }
+      if (field === 'priority') return `Changed the priority from ${oldValue} to ${newValue}`;
+      return `Changed ${field}`;
+    case 'moved':
+      return `Moved from "${oldValue}" to "${newValue}"`;
+    case 'favorited':
+      return 'Marked as favorite';
+    case 'unfavorited':
+      return 'Removed from favorites';
+    case 'attachment.added':
+      return `Attached ${newValue}`;
+    case 'attachment.removed':
+      return `Removed ${oldValue}`;
+    default:
+      return type;
+  }
+};
+
+/**
+ * Loads a task's comments and activity, and reloads them whenever
+ * `refreshKey` changes (for example after the task or its thread changed
+ * elsewhere). Changes made here update the thread directly.
+ */
+export function useTaskComments(taskId, { refreshKey } = {}) {
+  const [comments, setComments] = useState([]);
+  const [activity, setActivity] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const controller = new AbortController();
+    const options = { signal: controller.signal };
+    Promise.all([api.comments.list(taskId, options), api.tasks.activity(taskId, options)])
+      .then(([loadedComments, loadedActivity]) => {
+        setComments(loadedComments);
+        setActivity(loadedActivity);
+        setError(null);
+      })
+      .catch((err) => {
+        if (err.code === 'aborted') return;
+        console.error('Failed to load comments', err);
+        setError(`Could not load comments: ${err.message || 'Please try again'}`);
+      })
+      .finally(() => {
+        if (!controller.signal.aborted) setLoading(false);
+      });
+    return () => controller.abort();
+  }, [taskId, refreshKey]);
+
+  const addComment = useCallback(async (body) => {
+    const comment = await api.comments.create(taskId, { body });
+    setComments(list => [...list.filter(c => c.id !== comment.id), comment]);
+    return comment;
+  }, [taskId]);
+
+  const editComment = useCallback(async (commentId, body) => {
+    const comment = await api.comments.update(commentId, { body });
+    setComments(list => list.map(c => (c.id === comment.id ? comment : c)));
+    return comment;
+  }, []);
+
+  const deleteComment = useCallback(async (commentId) => {
+    await api.comments.remove(commentId);
+    setComments(list => list.filter(c => c.id !== commentId));
+  }, []);
+
+  return { comments, activity, loading, error, addComment, editComment, deleteComment };
+}
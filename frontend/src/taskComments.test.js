@@ -0,0 +1,72 @@
+import { act, renderHook, waitFor } from '@testing-library/react';
+import api from './api/client';
+import { describeActivity, useTaskComments } from './taskComments';
+
+jest.mock('./api/client', () => ({
+  __esModule: true,
+  default: {
+    tasks: { activity: jest.fn() },
+    comments: { list: jest.fn(), create: jest.fn(), update: jest.fn(), remove: jest.fn() }
+  }
+}));
+
+test('describeActivity', () => {
+  expect(describeActivity({ type: 'created' })).toBe('Created');
+  expect(describeActivity({ type: 'edited', field: 'name', oldValue: 'A', newValue: 'B' })).toBe('Renamed from "A" to "B"');
+  expect(describeActivity({ type: 'edited', field: 'deadline', oldValue: '2025-03-01', newValue: null })).toBe('Removed the deadline');
+  expect(describeActivity({ type: 'edited', field: 'priority', oldValue: 'low', newValue: 'urgent' })).toBe('Changed the priority from low to urgent');
+  expect(describeActivity({ type: 'moved', oldValue: 'To Do', newValue: 'Done' })).toBe('Moved from "To Do" to "Done"');
+  expect(describeActivity({ type: 'attachment.removed', oldValue: 'a.png' })).toBe('Removed a.png');
+});
+
+describe('useTaskComments', () => {
+  const comment = (id, body) => ({ id, taskId: 4, authorUserId: 1, authorName: 'Ana', body, createdAt: '2025-03-12T10:00:00Z', editedAt: null });
+
+  beforeEach(() => {
+    jest.resetAllMocks();
+    api.comments.list.mockResolvedValue([comment(1, 'First')]);
+    api.tasks.activity.mockResolvedValue([{ id: 0, type: 'created', occurredAt: '2025-03-12T09:00:00Z' }]);
+  });
+
+  test('loads the thread and activity, and reloads on refreshKey', async () => {
+    const { result, rerender } = renderHook(({ refreshKey }) => useTaskComments(4, { refreshKey }), {
+      initialProps: { refreshKey: 1 }
+    });
+
+    await waitFor(() => expect(result.current.loading).toBe(false));
+    expect(result.current.comments.map(c => c.body)).toEqual(['First']);
+    expect(result.current.activity).toHaveLength(1);
+
+    api.comments.list.mockResolvedValue([comment(1, 'First'), comment(2, 'Second')]);
+    rerender({ refreshKey: 2 });
+    await waitFor(() => expect(result.current.comments).toHaveLength(2));
+  });
+
+  test('adds, edits and deletes comments', async () => {
+    const { result } = renderHook(() => useTaskComments(4));
+    await waitFor(() => expect(result.current.loading).toBe(false));
+
+    api.comments.create.mockResolvedValue(comment(2, 'Hi'));
+    api.comments.update.mockResolvedValue({ ...comment(2, 'Hello'), editedAt: '2025-03-12T11:00:00Z' });
+    api.comments.remove.mockResolvedValue(null);
+
+    await act(() => result.current.addComment('Hi'));
+    await act(() => result.current.editComment(2, 'Hello'));
+    expect(result.current.comments.map(c => c.body)).toEqual(['First', 'Hello']);
+
+    await act(() => result.current.deleteComment(1));
+    expect(result.current.comments.map(c => c.id)).toEqual([2]);
+    expect(api.comments.create).toHaveBeenCalledWith(4, { body: 'Hi' });
+    expect(api.comments.remove).toHaveBeenCalledWith(1);
+  });
+
+  test('reports a failed load', async () => {
+    api.comments.list.mockRejectedValue(new Error('Server down'));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const { result } = renderHook(() => useTaskComments(4));
+
+    await waitFor(() => expect(result.current.error).toBe('Could not load comments: Server down'));
+    console.error.mockRestore();
+  });
+});
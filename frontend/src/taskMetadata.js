@@ -0,0 +1,74 @@
+// Priorities, labels and assignees: the fields used to categorize tasks,
+// shown as chips and avatars on the cards.
+
+export const PRIORITIES = [
+  { value: 'urgent', label: 'Urgent' },
+  { value: 'high', label: 'High' },
+  { value: 'medium', label: 'Medium' },
+  { value: 'low', label: 'Low' }
+];
+
+export const DEFAULT_PRIORITY = 'medium';
+
+// Mirrors the backend's TaskPriority values
+const PRIORITY_RANK = { low: 1, medium: 2, high: 3, urgent: 4 };
+
+// Tasks cached before priorities existed count as medium
+export const priorityRank = (priority) => PRIORITY_RANK[priority] ?? PRIORITY_RANK[DEFAULT_PRIORITY];
+
+export const describePriority = (priority) =>
+  (PRIORITIES.find(p => p.value === priority) || PRIORITIES.find(p => p.value === DEFAULT_PRIORITY)).label;
+
+/**
+ * Board order within a column: favorites first, then higher priorities, then
+ * the manual order. Matches ColumnService.GetBoardAsync.
+ */
+export const compareTasks = (a, b) =>
+  (b.isFavorite - a.isFavorite) ||
+  (priorityRank(b.priority) - priorityRank(a.priority)) ||
+  (a.sortOrder - b.sortOrder) ||
+  a.name.localeCompare(b.name);
+
+/**
+ * The part of a column a task is pinned to by compareTasks. Higher sections
+ * come first; a task can only be dragged within its own section.
+ */
+export const sectionOf = (task) => (task.isFavorite ? 10 : 0) + priorityRank(task.priority);
+
+// Mirrors the backend's label and member name limits
+export const LABEL_NAME_MAX_LENGTH = 50;
+export const MEMBER_NAME_MAX_LENGTH = 100;
+
+export const LABEL_COLORS = ['#e03131', '#f08c00', '#fab005', '#2f9e44', '#1098ad', '#1971c2', '#7048e8', '#c2255c', '#868e96'];
+
+/**
+ * A color for a new label or member: the first one nobody uses yet.
+ */
+export const pickColor = (items) => {
+  const used = items.map(item => item.color.toLowerCase());
+  return LABEL_COLORS.find(color => !used.includes(color)) || LABEL_COLORS[items.length % LABEL_COLORS.length];
+};
+
+/**
+ * Black or white, whichever reads better on a background color such as "#fab005".
+ */
+export const textColorFor = (hex) => {
+  const value = parseInt(hex.slice(1), 16);
+  const [r, g, b] = [value >> 16, (value >> 8) & 0xff, value & 0xff];
+  // Perceived brightness (ITU-R BT.601)
+  return (r * 299 + g * 587 + b * 114) / 1000 > 150 ? '#212529' : '#ffffff';
+};
+
+export const getInitials = (name) =>
+  name.trim().split(/\s+/).filter(Boolean).slice(0, 2).map(part => part[0].toUpperCase()).join('');
+
+/**
+ * The labels or members with the given IDs, in the board's order. IDs of
+ * ones deleted in the meantime are skipped.
+ */
+export const pickByIds = (items = [], ids = []) => items.filter(item => ids.includes(item.id));
+
+// Whether two ID lists hold the same IDs, in any order
+export const sameIds = (a = [], b = []) => a.length === b.length && a.every(id => b.includes(id));
+
+export const toggleId = (ids, id) => (ids.includes(id) ? ids.filter(i => i !== id) : [...ids, id]);
@@ -0,0 +1,57 @@
+import {
+  compareTasks, describePriority, getInitials, pickByIds, pickColor, priorityRank, sectionOf,
+  sameIds, textColorFor, toggleId, LABEL_COLORS
+} from './taskMetadata';
+
+const task = (name, extra = {}) => ({ name, isFavorite: false, priority: 'medium', sortOrder: 1, ...extra });
+
+test('compareTasks puts favorites first, then higher priorities, then manual order', () => {
+  const tasks = [
+    task('low', { priority: 'low' }),
+    task('medium 2', { sortOrder: 2 }),
+    task('urgent', { priority: 'urgent', sortOrder: 3 }),
+    task('favorite', { isFavorite: true, priority: 'low' }),
+    task('medium 1')
+  ];
+
+  expect([...tasks].sort(compareTasks).map(t => t.name)).toEqual(['favorite', 'urgent', 'medium 1', 'medium 2', 'low']);
+});
+
+test('tasks without a priority count as medium', () => {
+  expect(priorityRank(undefined)).toBe(priorityRank('medium'));
+  expect(describePriority(undefined)).toBe('Medium');
+  expect(sectionOf({ isFavorite: false })).toBe(sectionOf(task('x')));
+  expect(sectionOf(task('x', { isFavorite: true, priority: 'low' }))).toBeGreaterThan(sectionOf(task('y', { priority: 'urgent' })));
+});
+
+test('pickColor prefers unused colors', () => {
+  expect(pickColor([])).toBe(LABEL_COLORS[0]);
+  expect(pickColor([{ color: LABEL_COLORS[0].toUpperCase() }])).toBe(LABEL_COLORS[1]);
+});
+
+test('textColorFor picks a readable text color', () => {
+  expect(textColorFor('#fab005')).toBe('#212529');
+  expect(textColorFor('#1971c2')).toBe('#ffffff');
+});
+
+test('getInitials', () => {
+  expect(getInitials('Ana Lima Souza')).toBe('AL');
+  expect(getInitials(' bo ')).toBe('B');
+});
+
+test('pickByIds keeps board order and skips unknown IDs', () => {
+  const labels = [{ id: 1 }, { id: 2 }, { id: 3 }];
+  expect(pickByIds(labels, [3, 9, 1]).map(l => l.id)).toEqual([1, 3]);
+  expect(pickByIds(undefined, [1])).toEqual([]);
+});
+
+test('toggleId', () => {
+  expect(toggleId([1, 2], 2)).toEqual([1]);
+  expect(toggleId([1], 2)).toEqual([1, 2]);
+});
+
+test('sameIds ignores order', () => {
+  expect(sameIds([1, 2], [2, 1])).toBe(true);
+  expect(sameIds([1], [1, 2])).toBe(false);
+  expect(sameIds(undefined, [])).toBe(true);
+});
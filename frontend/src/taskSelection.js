@@ -0,0 +1,57 @@
+// Multi-select of task cards for bulk actions.
+//
+// A selection is a list of task ids in the order they were picked, plus an
+// anchor: the last card clicked without Shift, which Shift+click extends
+// from. Ranges follow the order cards appear on the board.
+
+export const emptySelection = { ids: [], anchor: null };
+
+/**
+ * Adds or removes one task (Ctrl/Cmd+click, Shift+Space). The task becomes
+ * the anchor for the next range.
+ */
+export const toggleSelection = (selection, taskId) => ({
+  ids: selection.ids.includes(taskId)
+    ? selection.ids.filter(id => id !== taskId)
+    : [...selection.ids, taskId],
+  anchor: taskId
+});
+
+/**
+ * Selects every task between the anchor and `taskId` in `orderedIds`
+ * (Shift+click), keeping what was already selected. Without an anchor on
+ * the board, only `taskId` is added.
+ */
+export const selectRange = (selection, taskId, orderedIds) => {
+  const from = orderedIds.indexOf(selection.anchor);
+  const to = orderedIds.indexOf(taskId);
+  if (from === -1 || to === -1) return toggleSelection(selection, taskId);
+
+  const range = orderedIds.slice(Math.min(from, to), Math.max(from, to) + 1);
+  return {
+    ids: [...selection.ids, ...range.filter(id => !selection.ids.includes(id))],
+    anchor: selection.anchor
+  };
+};
+
+/**
+ * The selection limited to tasks in `visibleIds`, e.g. after a delete or
+ * when the filters hide some cards. Returns the same object when nothing
+ * changed so it can go straight back into state.
+ */
+export const pruneSelection = (selection, visibleIds) => {
+  const ids = selection.ids.filter(id => visibleIds.includes(id));
+  const anchor = visibleIds.includes(selection.anchor) ? selection.anchor : null;
+  if (ids.length === selection.ids.length && anchor === selection.anchor) return selection;
+  return { ids, anchor };
+};
+
+/**
+ * Selected ids in board order, which is the order a bulk move keeps them in.
+ */
+export const orderSelection = (ids, orderedIds) => orderedIds.filter(id => ids.includes(id));
+
+/**
+ * "1 task" or "3 tasks", for bulk action messages.
+ */
+export const countLabel = (count) => `${count} ${count === 1 ? 'task' : 'tasks'}`;
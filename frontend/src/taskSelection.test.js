@@ -0,0 +1,44 @@
+import {
+  emptySelection, toggleSelection, selectRange, pruneSelection, orderSelection, countLabel
+} from './taskSelection';
+
+const board = [1, 2, 3, 4, 5];
+
+describe('toggleSelection', () => {
+  test('adds and removes a task and moves the anchor', () => {
+    const one = toggleSelection(emptySelection, 2);
+    expect(one).toEqual({ ids: [2], anchor: 2 });
+    expect(toggleSelection(one, 2)).toEqual({ ids: [], anchor: 2 });
+  });
+});
+
+describe('selectRange', () => {
+  test('selects from the anchor in board order, in either direction', () => {
+    expect(selectRange({ ids: [4], anchor: 4 }, 2, board)).toEqual({ ids: [4, 2, 3], anchor: 4 });
+    expect(selectRange({ ids: [1], anchor: 1 }, 3, board).ids).toEqual([1, 2, 3]);
+  });
+
+  test('falls back to a toggle without an anchor on the board', () => {
+    expect(selectRange({ ids: [], anchor: 9 }, 3, board)).toEqual({ ids: [3], anchor: 3 });
+  });
+});
+
+describe('pruneSelection', () => {
+  test('drops tasks that are no longer visible', () => {
+    expect(pruneSelection({ ids: [1, 3], anchor: 3 }, [1, 2])).toEqual({ ids: [1], anchor: null });
+  });
+
+  test('keeps the same object when nothing changed', () => {
+    const selection = { ids: [1], anchor: 1 };
+    expect(pruneSelection(selection, board)).toBe(selection);
+  });
+});
+
+test('orderSelection sorts ids into board order', () => {
+  expect(orderSelection([4, 1, 3], board)).toEqual([1, 3, 4]);
+});
+
+test('countLabel pluralizes the task count', () => {
+  expect(countLabel(1)).toBe('1 task');
+  expect(countLabel(3)).toBe('3 tasks');
+});
@@ -0,0 +1,26 @@
+// Field limits mirrored from the backend's CreateTaskRequest/UpdateTaskRequest.
+export const TASK_NAME_MAX_LENGTH = 200;
+export const TASK_DESCRIPTION_MAX_LENGTH = 1000;
+
+/**
+ * Validates task form values against the backend limits.
+ * Returns a map of field name to error message; empty when valid.
+ */
+export const validateTaskFields = ({ name = '', description = '' }) => {
+  const errors = {};
+
+  if (!name.trim()) {
+    errors.name = 'Task name is required';
+  } else if (name.trim().length > TASK_NAME_MAX_LENGTH) {
+    errors.name = `Task name must be ${TASK_NAME_MAX_LENGTH} characters or fewer`;
+  }
+
+  if (description.trim().length > TASK_DESCRIPTION_MAX_LENGTH) {
+    errors.description = `Description must be ${TASK_DESCRIPTION_MAX_LENGTH} characters or fewer`;
+  }
+
+  return errors;
+};
+
+// Converts an API deadline ("2025-03-01T00:00:00") to a date input value.
+export const toDateInputValue = (deadline) => (deadline ? deadline.slice(0, 10) : '');
@@ -0,0 +1,31 @@
+import { validateTaskFields, toDateInputValue } from './taskValidation';
+
+describe('validateTaskFields', () => {
+  test('accepts a valid task', () => {
+    expect(validateTaskFields({ name: 'Write docs', description: 'Short' })).toEqual({});
+  });
+
+  test('requires a name', () => {
+    expect(validateTaskFields({ name: '   ' }).name).toBe('Task name is required');
+  });
+
+  test('limits the name to 200 characters', () => {
+    expect(validateTaskFields({ name: 'a'.repeat(200) })).toEqual({});
+    expect(validateTaskFields({ name: 'a'.repeat(201) }).name).toMatch(/200 characters/);
+  });
+
+  test('limits the description to 1000 characters', () => {
+    const errors = validateTaskFields({ name: 'Task', description: 'a'.repeat(1001) });
+    expect(errors.description).toMatch(/1000 characters/);
+  });
+});
+
+describe('toDateInputValue', () => {
+  test('returns the date part of an API deadline', () => {
+    expect(toDateInputValue('2025-03-01T00:00:00')).toBe('2025-03-01');
+  });
+
+  test('returns an empty string when there is no deadline', () => {
+    expect(toDateInputValue(null)).toBe('');
+  });
+});
@@ -0,0 +1,132 @@
+// Attachment upload queue: runs a few uploads at once and tracks progress,
+// cancellation and retries per file.
+
+import { useCallback, useEffect, useReducer, useRef } from 'react';
+
+export const MAX_PARALLEL_UPLOADS = 3;
+
+/**
+ * @typedef {Object} Upload
+ * @property {number} id
+ * @property {number} taskId
+ * @property {File} file
+ * @property {'queued'|'uploading'|'done'|'failed'|'cancelled'} status
+ * @property {number} progress - 0..1
+ * @property {?string} error
+ */
+
+export const isActiveUpload = (upload) => upload.status === 'queued' || upload.status === 'uploading';
+export const isFinishedUpload = (upload) => !isActiveUpload(upload);
+
+const updateUpload = (state, id, changes) => ({
+  ...state,
+  uploads: state.uploads.map(upload => (upload.id === id ? { ...upload, ...changes } : upload))
+});
+
+export const initialUploadState = { uploads: [] };
+
+export function uploadReducer(state, action) {
+  switch (action.type) {
+    case 'enqueue':
+      return { ...state, uploads: [...state.uploads, ...action.uploads] };
+    case 'start':
+      return updateUpload(state, action.id, { status: 'uploading', progress: 0, error: null });
+    case 'progress':
+      return updateUpload(state, action.id, { progress: action.progress });
+    case 'done':
+      return updateUpload(state, action.id, { status: 'done', progress: 1 });
+    case 'failed':
+      return updateUpload(state, action.id, { status: 'failed', error: action.error });
+    case 'cancelled':
+      return updateUpload(state, action.id, { status: 'cancelled' });
+    case 'retry':
+      return updateUpload(state, action.id, { status: 'queued', progress: 0, error: null });
+    case 'dismiss':
+      return { ...state, uploads: state.uploads.filter(upload => !action.ids.includes(upload.id)) };
+    default:
+      return state;
+  }
+}
+
+let nextUploadId = 0;
+
+/**
+ * Queues attachment uploads.
+ *
+ * `upload(item, { signal, onProgress })` sends one file and resolves once it
+ * is stored. `onBatchComplete({ done, failed })` runs once whenever the queue
+ * drains, so callers can refresh the board a single time per batch.
+ * Successful uploads are then dismissed; failed and cancelled ones stay
+ * listed so they can be retried.
+ */
+export function useUploadQueue({ upload, onBatchComplete, concurrency = MAX_PARALLEL_UPLOADS }) {
+  const [state, dispatch] = useReducer(uploadReducer, initialUploadState);
+  const controllers = useRef(new Map());
+  const batchOpen = useRef(false);
+  const uploadRef = useRef(upload);
+  const onBatchCompleteRef = useRef(onBatchComplete);
+
+  useEffect(() => {
+    uploadRef.current = upload;
+    onBatchCompleteRef.current = onBatchComplete;
+  });
+
+  const enqueue = useCallback((taskId, files) => {
+    if (files.length === 0) return;
+    dispatch({
+      type: 'enqueue',
+      uploads: files.map(file => ({ id: ++nextUploadId, taskId, file, status: 'queued', progress: 0, error: null }))
+    });
+  }, []);
+
+  // Start queued uploads while there is capacity
+  useEffect(() => {
+    const running = state.uploads.filter(u => u.status === 'uploading').length;
+    const ready = state.uploads.filter(u => u.status === 'queued').slice(0, Math.max(0, concurrency - running));
+
+    for (const item of ready) {
+      const controller = new AbortController();
+      controllers.current.set(item.id, controller);
+      batchOpen.current = true;
+      dispatch({ type: 'start', id: item.id });
+
+      uploadRef.current(item, {
+        signal: controller.signal,
+        onProgress: (progress) => dispatch({ type: 'progress', id: item.id, progress })
+      })
+        .then(() => dispatch({ type: 'done', id: item.id }))
+        .catch((err) => dispatch(controller.signal.aborted
+          ? { type: 'cancelled', id: item.id }
+          : { type: 'failed', id: item.id, error: err.message || 'Upload failed' }))
+        .finally(() => controllers.current.delete(item.id));
+    }
+  }, [state.uploads, concurrency]);
+
+  useEffect(() => {
+    if (!batchOpen.current || state.uploads.some(isActiveUpload)) return;
+    batchOpen.current = false;
+
+    const done = state.uploads.filter(u => u.status === 'done');
+    const failed = state.uploads.filter(u => u.status === 'failed');
+    if (onBatchCompleteRef.current) onBatchCompleteRef.current({ done, failed });
+    if (done.length > 0) dispatch({ type: 'dismiss', ids: done.map(u => u.id) });
+  }, [state.uploads]);
+
+  // Abort whatever is still running when the queue goes away
+  useEffect(() => {
+    const running = controllers.current;
+    return () => running.forEach(controller => controller.abort());
+  }, []);
+
+  const cancel = useCallback((id) => {
+    const controller = controllers.current.get(id);
+    if (controller) controller.abort();
+    else dispatch({ type: 'cancelled', id });
+  }, []);
+
+  const retry = useCallback((id) => dispatch({ type: 'retry', id }), []);
+
+  const dismiss = useCallback((ids) => dispatch({ type: 'dismiss', ids }), []);
+
+  return { uploads: state.uploads, enqueue, cancel, retry, dismiss };
+}
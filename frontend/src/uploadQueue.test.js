@@ -0,0 +1,99 @@
+import { renderHook, act, waitFor } from '@testing-library/react';
+import { uploadReducer, initialUploadState, useUploadQueue } from './uploadQueue';
+
+const file = (name) => new File(['x'], name, { type: 'image/png' });
+
+// Upload stub whose calls can be resolved or rejected by the test
+const controllableUpload = () => {
+  const calls = [];
+  const upload = jest.fn((item, options) => new Promise((resolve, reject) => {
+    options.signal.addEventListener('abort', () => reject(new Error('aborted')));
+    calls.push({ item, options, resolve, reject });
+  }));
+  return { upload, calls };
+};
+
+describe('uploadReducer', () => {
+  test('moves uploads through their states', () => {
+    let state = uploadReducer(initialUploadState, {
+      type: 'enqueue',
+      uploads: [{ id: 1, taskId: 2, status: 'queued', progress: 0, error: null }]
+    });
+    state = uploadReducer(state, { type: 'start', id: 1 });
+    state = uploadReducer(state, { type: 'progress', id: 1, progress: 0.5 });
+    expect(state.uploads[0]).toMatchObject({ status: 'uploading', progress: 0.5 });
+
+    state = uploadReducer(state, { type: 'failed', id: 1, error: 'Too large' });
+    expect(state.uploads[0]).toMatchObject({ status: 'failed', error: 'Too large' });
+
+    state = uploadReducer(state, { type: 'retry', id: 1 });
+    expect(state.uploads[0]).toMatchObject({ status: 'queued', progress: 0, error: null });
+
+    state = uploadReducer(state, { type: 'dismiss', ids: [1] });
+    expect(state.uploads).toEqual([]);
+  });
+});
+
+describe('useUploadQueue', () => {
+  test('runs a limited number of uploads at once', async () => {
+    const { upload, calls } = controllableUpload();
+    const { result } = renderHook(() => useUploadQueue({ upload, concurrency: 2 }));
+
+    act(() => result.current.enqueue(1, [file('a.png'), file('b.png'), file('c.png')]));
+
+    await waitFor(() => expect(upload).toHaveBeenCalledTimes(2));
+    expect(result.current.uploads.map(u => u.status)).toEqual(['uploading', 'uploading', 'queued']);
+
+    await act(async () => calls[0].resolve({ id: 10 }));
+    await waitFor(() => expect(upload).toHaveBeenCalledTimes(3));
+    expect(calls[2].item.file.name).toBe('c.png');
+  });
+
+  test('reports progress per file', async () => {
+    const { upload, calls } = controllableUpload();
+    const { result } = renderHook(() => useUploadQueue({ upload }));
+
+    act(() => result.current.enqueue(1, [file('a.png')]));
+    await waitFor(() => expect(calls).toHaveLength(1));
+
+    act(() => calls[0].options.onProgress(0.4));
+    expect(result.current.uploads[0].progress).toBe(0.4);
+  });
+
+  test('completes the batch once and keeps failures for retry', async () => {
+    const { upload, calls } = controllableUpload();
+    const onBatchComplete = jest.fn();
+    const { result } = renderHook(() => useUploadQueue({ upload, onBatchComplete }));
+
+    act(() => result.current.enqueue(1, [file('a.png'), file('b.png')]));
+    await waitFor(() => expect(calls).toHaveLength(2));
+
+    await act(async () => calls[0].resolve({ id: 10 }));
+    expect(onBatchComplete).not.toHaveBeenCalled();
+    await act(async () => calls[1].reject(new Error('Server error')));
+
+    await waitFor(() => expect(onBatchComplete).toHaveBeenCalledTimes(1));
+    expect(onBatchComplete.mock.calls[0][0].done).toHaveLength(1);
+    expect(result.current.uploads).toHaveLength(1);
+    expect(result.current.uploads[0]).toMatchObject({ status: 'failed', error: 'Server error' });
+
+    act(() => result.current.retry(result.current.uploads[0].id));
+    await waitFor(() => expect(calls).toHaveLength(3));
+    expect(calls[2].item.file.name).toBe('b.png');
+  });
+
+  test('cancels running and queued uploads', async () => {
+    const { upload, calls } = controllableUpload();
+    const { result } = renderHook(() => useUploadQueue({ upload, concurrency: 1 }));
+
+    act(() => result.current.enqueue(1, [file('a.png'), file('b.png')]));
+    await waitFor(() => expect(calls).toHaveLength(1));
+
+    const [running, queued] = result.current.uploads;
+    act(() => result.current.cancel(queued.id));
+    await act(async () => result.current.cancel(running.id));
+
+    await waitFor(() => expect(result.current.uploads.map(u => u.status)).toEqual(['cancelled', 'cancelled']));
+    expect(upload).toHaveBeenCalledTimes(1);
+  });
+});
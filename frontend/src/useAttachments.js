@@ -0,0 +1,102 @@
+// Attachment files: validating and reviewing picked images, the upload queue
+// and downloads. Deleting an attachment is a board change with undo, so it
+// lives in useBoard instead.
+
+import { useEffect, useState } from 'react';
+import api from './api/client';
+import { addAttachment } from './boardStore';
+import { validateImageFiles } from './attachments';
+import { saveBlob } from './downloads';
+import { useUploadQueue, isActiveUpload } from './uploadQueue';
+import { prepareImages, loadOptimizePreference, saveOptimizePreference } from './imageProcessing';
+
+/**
+ * `applyRemote` and `refresh` come from the board store: a stored attachment
+ * is already confirmed by the server, so it skips the optimistic path.
+ * `onError` receives messages for the app's error toast.
+ */
+export function useAttachments({ applyRemote, refresh, onError }) {
+  const uploadQueue = useUploadQueue({
+    upload: async ({ taskId, file }, options) => {
+      const attachment = await api.attachments.upload(taskId, file, options);
+      applyRemote((b) => addAttachment(b, taskId, attachment));
+      return attachment;
+    },
+    onBatchComplete: ({ done }) => {
+      if (done.length > 0) refresh().catch(() => {});
+    }
+  });
+  const [imageReview, setImageReview] = useState(null); // { files, optimize, items, resolve }
+
+  // Drops anything that isn't an image, reporting it to `report` (the error
+  // toast unless the caller shows errors itself)
+  const acceptImages = (files, report = onError) => {
+    const { files: images, error } = validateImageFiles(files);
+    if (error) report(error);
+    return images;
+  };
+
+  const uploadFiles = (taskId, files) => {
+    // Tasks created offline have a temporary negative id the server doesn't know yet
+    if (taskId < 0 && files.length > 0) {
+      onError('Images can be added to this task once it has been saved. It will be saved when you are back online.');
+      return;
+    }
+    uploadQueue.enqueue(taskId, files);
+  };
+
+  // Shows the resize and metadata preview for picked images. Resolves with the
+  // files to upload, or an empty list when the user cancels.
+  const reviewImages = (files) => {
+    if (files.length === 0) return Promise.resolve([]);
+    return new Promise((resolve) => {
+      setImageReview({ files, optimize: loadOptimizePreference(), items: null, resolve });
+    });
+  };
+
+  const reviewFiles = imageReview?.files;
+  const reviewOptimize = imageReview?.optimize;
+  useEffect(() => {
+    if (!reviewFiles) return undefined;
+    let stale = false;
+    prepareImages(reviewFiles, { optimize: reviewOptimize }).then((items) => {
+      if (!stale) setImageReview(review => (review && review.files === reviewFiles ? { ...review, items } : review));
+    });
+    return () => { stale = true; };
+  }, [reviewFiles, reviewOptimize]);
+
+  const setReviewOptimize = (optimize) => {
+    saveOptimizePreference(optimize);
+    setImageReview({ ...imageReview, optimize, items: null });
+  };
+
+  const finishImageReview = (confirmed) => {
+    const files = confirmed ? imageReview.items.filter(item => item.file).map(item => item.file) : [];
+    imageReview.resolve(files);
+    setImageReview(null);
+  };
+
+  const downloadAttachment = async (attachmentId, fileName) => {
+    try {
+      saveBlob(await api.attachments.download(attachmentId), fileName);
+    } catch (err) {
+      console.error('Failed to download attachment', err);
+      onError(`Failed to download attachment: ${err.message || 'Please try again'}`);
+    }
+  };
+
+  return {
+    uploads: uploadQueue.uploads,
+    cancelUpload: uploadQueue.cancel,
+    retryUpload: uploadQueue.retry,
+    dismissUploads: uploadQueue.dismiss,
+    activeUploadCount: (taskId) => uploadQueue.uploads.filter(u => u.taskId === taskId && isActiveUpload(u)).length,
+    acceptImages,
+    uploadFiles,
+    imageReview,
+    reviewImages,
+    setReviewOptimize,
+    finishImageReview,
+    downloadAttachment
+  };
+}
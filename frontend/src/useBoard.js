@@ -0,0 +1,594 @@
+// Everything that changes the board: tasks, columns, checklists, labels and
+// members, with undo/redo for the changes that support it. Built on the
+// optimistic store in boardStore.js; components only see named actions.
+
+import { useEffect, useState } from 'react';
+import api from './api/client';
+import * as boardOps from './boardStore';
+import { useBoardStore, findTask } from './boardStore';
+import { getBoardCache } from './boardCache';
+import {
+  useBoardHistory, describeHistoryEntry, pickPrevious, groupByPrevious, planMoveBack, mergeColumnOrder,
+  getHistoryShortcut
+} from './boardHistory';
+import { deadlineKey } from './deadlines';
+import { validateTaskFields } from './taskValidation';
+import { boardToJson, boardToCsv, exportFileName, summarizeImport } from './boardTransfer';
+import { saveBlob } from './downloads';
+import { countLabel } from './taskSelection';
+import { toRecurrenceRule } from './recurrence';
+
+// Export pages through each column with the largest pages the server allows
+const EXPORT_PAGE_SIZE = 200;
+
+// The board with every task of every column, not just the first pages
+const fetchWholeBoard = async () => {
+  const board = await api.board.get();
+  for (const column of board.columns) {
+    let cursor = column.nextCursor;
+    while (cursor) {
+      const page = await api.tasks.listByColumn(column.id, { cursor, limit: EXPORT_PAGE_SIZE });
+      column.tasks.push(...page.tasks);
+      cursor = page.nextCursor;
+    }
+    column.nextCursor = null;
+  }
+  return board;
+};
+
+/**
+ * `boardId` and `userId` pick the signed-in user's offline cache of the
+ * board. `onError` receives messages for the app's error toast and
+ * `onAnnounce` messages for screen readers.
+ *
+ * Actions that report their own failures resolve either way; the ones a
+ * caller has to react to (creating, editing, importing) reject instead.
+ */
+export function useBoard({ boardId, userId, onError, onAnnounce }) {
+  const store = useBoardStore({ onError, cache: getBoardCache(boardId, userId) });
+  const { board, mutate, applyRemote } = store;
+  const undoHistory = useBoardHistory({
+    apply: (entry, direction) => applyHistoryEntry(entry, direction),
+    onError: (entry, direction, err) =>
+      onError(`Could not ${direction} ${describeHistoryEntry(entry)}: ${err.message || 'Please try again'}`)
+  });
+  const [undoToast, setUndoToast] = useState(null); // the history entry it offers to undo
+
+  useEffect(() => {
+    if (undoToast) {
+      const timer = setTimeout(() => setUndoToast(null), 8000);
+      return () => clearTimeout(timer);
+    }
+  }, [undoToast]);
+
+  // Safe API call wrapper
+  const safeApiCall = async (apiCall, errorMessage = 'An error occurred') => {
+    try {
+      return await apiCall();
+    } catch (err) {
+      console.error(errorMessage, err);
+      onError(`${errorMessage}: ${err.message || 'Please try again'}`);
+      throw err;
+    }
+  };
+
+  // --- Tasks ---
+
+  // Pass queue: false for changes that make no sense to replay later, such as
+  // a task created to hold dropped files
+  const createTask = (body, { queue = true } = {}) => mutate({
+    request: () => api.tasks.create(body),
+    reconcile: boardOps.addTask,
+    errorMessage: 'Failed to create task',
+    queue: queue ? { type: 'createTask', task: body, name: body.name } : undefined
+  }).then((createdTask) => {
+    undoHistory.record({ type: 'createTask', task: createdTask });
+    return createdTask;
+  });
+
+  // Copying the template's files needs the server, so this isn't queued offline
+  const createTaskFromTemplate = (templateId, body) => mutate({
+    request: () => api.templates.createTask(templateId, body),
+    reconcile: boardOps.addTask,
+    errorMessage: 'Failed to create task'
+  }).then((createdTask) => {
+    undoHistory.record({ type: 'createTask', task: createdTask });
+    return createdTask;
+  });
+
+  // Saves task changes optimistically and records them for undo. Pass
+  // errorMessage: null to handle errors (such as per-field validation) in the
+  // caller instead of the toast.
+  const updateTask = async (taskId, changes, errorMessage = null) => {
+    const task = findTask(board, taskId);
+    if (!task) throw new Error('Task not found');
+
+    const saved = await saveTaskChanges(taskId, changes, errorMessage);
+    undoHistory.record({ type: 'updateTask', taskId, name: task.name, before: pickPrevious(task, changes), after: changes });
+    return saved;
+  };
+
+  const saveTaskChanges = (taskId, changes, errorMessage) => {
+    const task = findTask(board, taskId);
+    if (!task) return Promise.reject(new Error('Task not found'));
+
+    const body = {
+      name: task.name,
+      description: task.description,
+      deadline: task.deadline,
+      isFavorite: task.isFavorite,
+      columnId: task.columnId,
+      priority: task.priority,
+      labelIds: task.labelIds,
+      assigneeIds: task.assigneeIds,
+      ...changes
+    };
+    // Left out, the task's recurrence stays as it is
+    if ('recurrence' in changes) body.recurrence = toRecurrenceRule(changes.recurrence);
+    return mutate({
+      optimistic: (b) => boardOps.updateTask(b, taskId, changes),
+      request: () => api.tasks.update(taskId, body),
+      reconcile: boardOps.replaceTask,
+      errorMessage,
+      queue: { type: 'updateTask', taskId, task: body, baseUpdatedAt: task.updatedAt, name: task.name }
+    });
+  };
+
+  // Templates aren't part of the board, so saving one changes nothing here
+  const saveTaskAsTemplate = (taskId) =>
+    safeApiCall(() => api.templates.createFromTask(taskId), 'Failed to save template');
+
+  const rescheduleTask = async (taskId, newDeadline) => {
+    const task = findTask(board, taskId);
+    if (!task || deadlineKey(task.deadline) === newDeadline) return;
+    await updateTask(taskId, { deadline: newDeadline }, 'Failed to reschedule task').catch(() => {});
+  };
+
+  const toggleFavorite = async (taskId, currentFavorite) => {
+    await updateTask(taskId, { isFavorite: !currentFavorite }, 'Failed to update favorite').catch(() => {});
+  };
+
+  const renameTask = async (task, newName) => {
+    const name = newName.trim();
+    if (name === task.name) return;
+
+    const fieldErrors = validateTaskFields({ name });
+    if (fieldErrors.name) {
+      onError(fieldErrors.name);
+      return;
+    }
+
+    await updateTask(task.id, { name }, 'Failed to rename task').catch(() => {});
+  };
+
+  // Deletes are soft on the server, so there is no confirmation; the undo
+  // toast brings the task back instead
+  const deleteTask = async (taskId) => {
+    const task = findTask(board, taskId);
+    if (!task) return;
+
+    await removeTaskOnServer(taskId, 'Failed to delete task').then(() => {
+      recordWithUndoToast({ type: 'deleteTask', task });
+    }).catch(() => {});
+  };
+
+  const removeTaskOnServer = (taskId, errorMessage) => mutate({
+    optimistic: (b) => boardOps.removeTask(b, taskId),
+    request: () => api.tasks.remove(taskId),
+    errorMessage,
+    queue: { type: 'deleteTask', taskId, name: findTask(board, taskId)?.name }
+  });
+
+  const restoreTaskOnServer = (taskId, errorMessage) => mutate({
+    request: () => api.tasks.restore(taskId),
+    reconcile: boardOps.addTask,
+    errorMessage
+  });
+
+  // position is the 0-based index in the target column; defaults to the end
+  const moveTask = async (taskId, newColumnId, position) => {
+    const task = findTask(board, taskId);
+    const sourceColumn = board.columns.find(col => col.id === task?.columnId);
+    const targetColumn = board.columns.find(col => col.id === newColumnId);
+    const index = position ?? (targetColumn ? targetColumn.tasks.filter(t => t.id !== taskId).length : 0);
+
+    await moveTaskOnServer(taskId, newColumnId, index, 'Failed to move task').then(() => {
+      if (!task || !sourceColumn) return;
+      undoHistory.record({
+        type: 'moveTask',
+        taskId,
+        name: task.name,
+        from: { columnId: task.columnId, position: sourceColumn.tasks.findIndex(t => t.id === taskId) },
+        to: { columnId: newColumnId, position: index }
+      });
+    }).catch(() => {});
+  };
+
+  const moveTaskOnServer = (taskId, columnId, index, errorMessage) => mutate({
+    optimistic: (b) => boardOps.moveTask(b, taskId, columnId, index),
+    request: () => api.tasks.move(taskId, { columnId, sortOrder: index + 1 }),
+    reconcile: (b) => boardOps.moveTask(b, taskId, columnId, index),
+    errorMessage,
+    queue: { type: 'moveTask', taskId, columnId, position: index, name: findTask(board, taskId)?.name }
+  });
+
+  // --- Bulk actions on selected tasks ---
+
+  // position is the 0-based index among the target column's other tasks; defaults to the end
+  const bulkMoveTasks = async (taskIds, columnId, position) => {
+    const targetColumn = board.columns.find(col => col.id === columnId);
+    const index = position ?? (targetColumn ? targetColumn.tasks.filter(t => !taskIds.includes(t.id)).length : 0);
+    const from = {};
+    board.columns.forEach(col => col.tasks.forEach((t, i) => {
+      if (taskIds.includes(t.id)) from[t.id] = { columnId: col.id, position: i };
+    }));
+
+    await moveTasksOnServer(taskIds, columnId, index, `Failed to move ${countLabel(taskIds.length)}`).then(() => {
+      undoHistory.record({ type: 'batchMove', taskIds, from, to: { columnId, position: index } });
+    }).catch(() => {});
+  };
+
+  const moveTasksOnServer = (taskIds, columnId, index, errorMessage) => mutate({
+    optimistic: (b) => boardOps.moveTasks(b, taskIds, columnId, index),
+    request: () => api.tasks.batchMove({ taskIds, columnId, sortOrder: index + 1 }),
+    reconcile: (b) => boardOps.moveTasks(b, taskIds, columnId, index),
+    errorMessage
+  });
+
+  // Moves are replayed one task at a time; the tasks weren't next to each other before
+  const moveTasksBack = async (from) => {
+    for (const move of planMoveBack(board, from)) {
+      await moveTaskOnServer(move.taskId, move.columnId, move.position, null);
+    }
+  };
+
+  // changes is either { isFavorite } or { deadline }, the two fields the batch endpoint sets
+  const bulkUpdateTasks = async (taskIds, changes, errorMessage) => {
+    const before = Object.fromEntries(taskIds.map(id => [id, pickPrevious(findTask(board, id), changes)]));
+    await updateTasksOnServer(taskIds, changes, errorMessage).then(() => {
+      undoHistory.record({ type: 'batchUpdate', taskIds, before, after: changes });
+    }).catch(() => {});
+  };
+
+  const updateTasksOnServer = (taskIds, changes, errorMessage) => mutate({
+    optimistic: (b) => taskIds.reduce((acc, id) => boardOps.updateTask(acc, id, changes), b),
+    request: () => api.tasks.batchUpdate('deadline' in changes
+      ? { taskIds, setDeadline: true, deadline: changes.deadline }
+      : { taskIds, isFavorite: changes.isFavorite }),
+    reconcile: (b, tasks) => tasks.reduce(boardOps.replaceTask, b),
+    errorMessage
+  });
+
+  // Undoing a bulk edit restores each task's own previous value
+  const revertTaskUpdates = async (entry) => {
+    const field = Object.keys(entry.after)[0];
+    for (const group of groupByPrevious(entry.before, field)) {
+      await updateTasksOnServer(group.taskIds, { [field]: group.value }, null);
+    }
+  };
+
+  // Rejects when the delete failed, so the caller can keep its selection
+  const bulkDeleteTasks = async (taskIds) => {
+    const tasks = taskIds.map(id => findTask(board, id)).filter(Boolean);
+    await removeTasksOnServer(taskIds, `Failed to delete ${countLabel(taskIds.length)}`);
+    recordWithUndoToast({ type: 'batchDelete', tasks });
+  };
+
+  const removeTasksOnServer = (taskIds, errorMessage) => mutate({
+    optimistic: (b) => taskIds.reduce(boardOps.removeTask, b),
+    request: () => api.tasks.batchRemove(taskIds),
+    errorMessage
+  });
+
+  const restoreTasksOnServer = (taskIds, errorMessage) => mutate({
+    request: () => api.tasks.batchRestore(taskIds),
+    reconcile: (b, tasks) => tasks.reduce(boardOps.addTask, b),
+    errorMessage
+  });
+
+  // --- Attachments ---
+
+  const deleteAttachment = async (attachmentId) => {
+    const task = board.columns.flatMap(col => col.tasks).find(t => t.attachments.some(a => a.id === attachmentId));
+    if (!task) return;
+    const attachment = task.attachments.find(a => a.id === attachmentId);
+
+    await removeAttachmentOnServer(attachmentId, 'Failed to delete attachment').then(() => {
+      recordWithUndoToast({ type: 'deleteAttachment', taskId: task.id, attachment });
+    }).catch(() => {});
+  };
+
+  const removeAttachmentOnServer = (attachmentId, errorMessage) => mutate({
+    optimistic: (b) => boardOps.removeAttachment(b, attachmentId),
+    request: () => api.attachments.remove(attachmentId),
+    errorMessage
+  });
+
+  const restoreAttachmentOnServer = (taskId, attachmentId, errorMessage) => mutate({
+    request: () => api.attachments.restore(attachmentId),
+    reconcile: (b, attachment) => boardOps.addAttachment(b, taskId, attachment),
+    errorMessage
+  });
+
+  // --- Checklists ---
+
+  // Checklist changes need a connection and aren't undoable; each one is
+  // shown in the task details as it happens
+  const addChecklistItem = (taskId, text) => mutate({
+    request: () => api.checklist.add(taskId, { text }),
+    reconcile: boardOps.replaceTask,
+    errorMessage: 'Failed to add checklist item'
+  });
+
+  const updateChecklistItem = (taskId, item, changes) => {
+    const updated = { ...item, ...changes };
+    const items = findTask(board, taskId)?.checklistItems || [];
+    return mutate({
+      optimistic: (b) => boardOps.setChecklist(b, taskId, items.map(i => (i.id === item.id ? updated : i))),
+      request: () => api.checklist.update(taskId, item.id, { text: updated.text, isDone: updated.isDone }),
+      reconcile: boardOps.replaceTask,
+      errorMessage: 'Failed to update checklist item'
+    });
+  };
+
+  const reorderChecklist = (taskId, items) => mutate({
+    optimistic: (b) => boardOps.setChecklist(b, taskId, items),
+    request: () => api.checklist.reorder(taskId, items.map(i => i.id)),
+    reconcile: boardOps.replaceTask,
+    errorMessage: 'Failed to reorder checklist'
+  });
+
+  const deleteChecklistItem = (taskId, itemId) => {
+    const items = findTask(board, taskId)?.checklistItems || [];
+    return mutate({
+      optimistic: (b) => boardOps.setChecklist(b, taskId, items.filter(i => i.id !== itemId)),
+      request: () => api.checklist.remove(taskId, itemId),
+      reconcile: boardOps.replaceTask,
+      errorMessage: 'Failed to delete checklist item'
+    });
+  };
+
+  // --- Labels and members ---
+
+  // Labels and members also need a connection and aren't undoable. New ones
+  // wait for their server ID; deleting one takes it off every task.
+  const saveLabel = ({ id, name, color }) => mutate({
+    optimistic: id ? (b) => boardOps.saveLabel(b, { id, name, color }) : undefined,
+    request: () => (id ? api.labels.update(id, { name, color }) : api.labels.create({ name, color })),
+    reconcile: boardOps.saveLabel,
+    errorMessage: id ? 'Failed to update label' : 'Failed to create label'
+  });
+
+  const deleteLabel = (labelId) => mutate({
+    optimistic: (b) => boardOps.removeLabel(b, labelId),
+    request: () => api.labels.remove(labelId),
+    reconcile: (b) => boardOps.removeLabel(b, labelId),
+    errorMessage: 'Failed to delete label'
+  });
+
+  const saveMember = ({ id, name, color }) => mutate({
+    optimistic: id ? (b) => boardOps.saveMember(b, { id, name, color }) : undefined,
+    request: () => (id ? api.members.update(id, { name, color }) : api.members.create({ name, color })),
+    reconcile: boardOps.saveMember,
+    errorMessage: id ? 'Failed to update member' : 'Failed to add member'
+  });
+
+  const deleteMember = (memberId) => mutate({
+    optimistic: (b) => boardOps.removeMember(b, memberId),
+    request: () => api.members.remove(memberId),
+    reconcile: (b) => boardOps.removeMember(b, memberId),
+    errorMessage: 'Failed to remove member'
+  });
+
+  // --- Columns ---
+
+  const createColumn = (name) => mutate({
+    request: () => api.columns.create({ name }),
+    reconcile: boardOps.addColumn,
+    errorMessage: 'Failed to create column'
+  }).then((column) => {
+    undoHistory.record({ type: 'createColumn', column });
+    return column;
+  });
+
+  const renameColumn = async (column, newName) => {
+    const name = newName.trim();
+    if (!name || name === column.name) return;
+
+    await renameColumnOnServer(column.id, name, 'Failed to rename column').then(() => {
+      undoHistory.record({ type: 'renameColumn', columnId: column.id, before: column.name, after: name });
+    }).catch(() => {});
+  };
+
+  const renameColumnOnServer = (columnId, name, errorMessage) => mutate({
+    optimistic: (b) => boardOps.renameColumn(b, columnId, name),
+    request: () => api.columns.update(columnId, { name }),
+    reconcile: (b) => boardOps.renameColumn(b, columnId, name),
+    errorMessage
+  });
+
+  const deleteColumn = async (columnId) => {
+    // Check every task, including those hidden by the current filters
+    const column = board.columns.find(col => col.id === columnId);
+    if (!column) return;
+    // The backend refuses too, but say why up front
+    const taskCount = column.taskCount ?? column.tasks.length;
+    if (taskCount > 0) {
+      onError(`Cannot delete "${column.name}" while it has ${taskCount} task(s). Move or delete them first.`);
+      return;
+    }
+
+    await removeColumnOnServer(column.id, 'Failed to delete column').then(() => {
+      recordWithUndoToast({ type: 'deleteColumn', column });
+    }).catch(() => {});
+  };
+
+  const removeColumnOnServer = (columnId, errorMessage) => mutate({
+    optimistic: (b) => boardOps.removeColumn(b, columnId),
+    request: () => api.columns.remove(columnId),
+    reconcile: (b) => boardOps.removeColumn(b, columnId),
+    errorMessage
+  });
+
+  const restoreColumnOnServer = (columnId, errorMessage) => mutate({
+    request: () => api.columns.restore(columnId),
+    reconcile: boardOps.addColumn,
+    errorMessage
+  });
+
+  const reorderColumns = async (columnId, targetColumnId) => {
+    const ids = board.columns.map(col => col.id);
+    const fromIndex = ids.indexOf(columnId);
+    const toIndex = ids.indexOf(targetColumnId);
+    if (fromIndex === -1 || toIndex === -1 || fromIndex === toIndex) return;
+
+    const before = [...ids];
+    ids.splice(fromIndex, 1);
+    ids.splice(toIndex, 0, columnId);
+
+    await saveColumnOrder(ids, 'Failed to reorder columns').then(() => {
+      undoHistory.record({ type: 'reorderColumns', before, after: ids });
+    }).catch(() => {});
+  };
+
+  const saveColumnOrder = (ids, errorMessage) => mutate({
+    optimistic: (b) => boardOps.reorderColumns(b, ids),
+    request: () => api.columns.reorder(ids),
+    reconcile: (b) => boardOps.reorderColumns(b, ids),
+    errorMessage
+  });
+
+  // --- Export and import ---
+
+  // Exports what the server has, not changes still on their way
+  const exportBoard = async (format) => {
+    await safeApiCall(async () => {
+      const saved = await fetchWholeBoard();
+      const blob = format === 'csv'
+        ? new Blob([boardToCsv(saved)], { type: 'text/csv;charset=utf-8' })
+        : new Blob([boardToJson(saved)], { type: 'application/json' });
+      saveBlob(blob, exportFileName(format));
+    }, 'Failed to export board').catch(() => {});
+  };
+
+  // Imports aren't undoable; the dialog shows what was imported instead. The
+  // returned board has first pages only, like a reload.
+  const importBoard = async (request) => {
+    const result = await safeApiCall(() => api.board.import(request), 'Import failed');
+    applyRemote((current) => boardOps.keepLoadedPages(current, result.board));
+    onAnnounce(summarizeImport(result));
+    return result;
+  };
+
+  // --- Undo/redo ---
+
+  const recordWithUndoToast = (entry) => {
+    undoHistory.record(entry);
+    setUndoToast(entry);
+  };
+
+  // Replays a history entry through the same operations as the original
+  // change. Errors are reported by useBoardHistory, so none are toasted here.
+  const applyHistoryEntry = (entry, direction) => {
+    const undoing = direction === 'undo';
+    switch (entry.type) {
+      case 'createTask':
+        return undoing ? removeTaskOnServer(entry.task.id, null) : restoreTaskOnServer(entry.task.id, null);
+      case 'deleteTask':
+        return undoing ? restoreTaskOnServer(entry.task.id, null) : removeTaskOnServer(entry.task.id, null);
+      case 'updateTask':
+        return saveTaskChanges(entry.taskId, undoing ? entry.before : entry.after, null);
+      case 'moveTask': {
+        const { columnId, position } = undoing ? entry.from : entry.to;
+        return moveTaskOnServer(entry.taskId, columnId, position, null);
+      }
+      case 'batchMove':
+        return undoing
+          ? moveTasksBack(entry.from)
+          : moveTasksOnServer(entry.taskIds, entry.to.columnId, entry.to.position, null);
+      case 'batchUpdate':
+        return undoing ? revertTaskUpdates(entry) : updateTasksOnServer(entry.taskIds, entry.after, null);
+      case 'batchDelete': {
+        const taskIds = entry.tasks.map(t => t.id);
+        return undoing ? restoreTasksOnServer(taskIds, null) : removeTasksOnServer(taskIds, null);
+      }
+      case 'deleteAttachment':
+        return undoing
+          ? restoreAttachmentOnServer(entry.taskId, entry.attachment.id, null)
+          : removeAttachmentOnServer(entry.attachment.id, null);
+      case 'createColumn':
+        return undoing ? removeColumnOnServer(entry.column.id, null) : restoreColumnOnServer(entry.column.id, null);
+      case 'deleteColumn':
+        return undoing ? restoreColumnOnServer(entry.column.id, null) : removeColumnOnServer(entry.column.id, null);
+      case 'renameColumn':
+        return renameColumnOnServer(entry.columnId, undoing ? entry.before : entry.after, null);
+      case 'reorderColumns':
+        return saveColumnOrder(mergeColumnOrder(undoing ? entry.before : entry.after, board.columns.map(col => col.id)), null);
+      default:
+        return Promise.resolve();
+    }
+  };
+
+  const undo = async () => {
+    const entry = undoHistory.lastEntry;
+    if (entry && await undoHistory.undo()) {
+      onAnnounce(`Undone: ${describeHistoryEntry(entry)}.`);
+    }
+    setUndoToast(null);
+  };
+
+  const redo = async () => {
+    const entry = undoHistory.nextEntry;
+    if (entry && await undoHistory.redo()) {
+      onAnnounce(`Redone: ${describeHistoryEntry(entry)}.`);
+    }
+  };
+
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      const shortcut = getHistoryShortcut(e);
+      if (!shortcut) return;
+      e.preventDefault();
+      if (shortcut === 'undo') undo();
+      else redo();
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  });
+
+  return {
+    ...store,
+    history: undoHistory,
+    undo,
+    redo,
+    undoToast,
+    dismissUndoToast: () => setUndoToast(null),
+    createTask,
+    createTaskFromTemplate,
+    updateTask,
+    saveTaskAsTemplate,
+    rescheduleTask,
+    toggleFavorite,
+    renameTask,
+    deleteTask,
+    moveTask,
+    bulkMoveTasks,
+    bulkUpdateTasks,
+    bulkDeleteTasks,
+    deleteAttachment,
+    addChecklistItem,
+    updateChecklistItem,
+    reorderChecklist,
+    deleteChecklistItem,
+    saveLabel,
+    deleteLabel,
+    saveMember,
+    deleteMember,
+    createColumn,
+    renameColumn,
+    deleteColumn,
+    reorderColumns,
+    exportBoard,
+    importBoard
+  };
+}
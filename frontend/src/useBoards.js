@@ -0,0 +1,176 @@
+// The signed-in user's boards and which one is open. The open board is
+// remembered in localStorage, and so is the list, so the last board still
+// opens without a connection.
+
+import { useCallback, useEffect, useLayoutEffect, useState } from 'react';
+import api from './api/client';
+import { isOfflineError } from './offlineQueue';
+
+const BOARDS_KEY = 'task-board-boards';
+
+/**
+ * The stored boards of `userId` and the board open last.
+ *
+ * @returns {{ boards: import('./api/client').BoardSummary[], currentId: ?number }}
+ */
+export const loadBoardList = (userId, storage = window.localStorage) => {
+  try {
+    const stored = JSON.parse(storage.getItem(BOARDS_KEY));
+    if (stored && stored.userId === userId && Array.isArray(stored.boards)) {
+      return { boards: stored.boards, currentId: stored.currentId ?? null };
+    }
+  } catch {
+    // Unreadable; the list is loaded again anyway
+  }
+  return { boards: [], currentId: null };
+};
+
+export const saveBoardList = (userId, { boards, currentId }, storage = window.localStorage) => {
+  storage.setItem(BOARDS_KEY, JSON.stringify({ userId, boards, currentId }));
+};
+
+/**
+ * The board to open: the preferred one while it is still in the list,
+ * otherwise the first.
+ */
+export const pickBoard = (boards, preferredId) =>
+  boards.find(board => board.id === preferredId) || boards[0] || null;
+
+const byName = (a, b) => a.name.localeCompare(b.name);
+
+/**
+ * `onError` receives messages for the app's error toast. Creating, renaming,
+ * deleting and leaving reject when they fail, after reporting it.
+ * `loadError` is the error of the last failed load of the list, until one
+ * succeeds.
+ */
+export function useBoards({ userId, onError }) {
+  const [state, setState] = useState(() => loadBoardList(userId));
+  const [loading, setLoading] = useState(true);
+  const [loadError, setLoadError] = useState(null);
+  const current = pickBoard(state.boards, state.currentId);
+  const currentBoardId = current?.id ?? null;
+
+  // Layout effects run before any child's effects, so the board's first
+  // requests already go to the right board
+  useLayoutEffect(() => {
+    api.setBoardId(currentBoardId);
+  }, [currentBoardId]);
+
+  const update = useCallback((change) => {
+    setState(previous => {
+      const next = change(previous);
+      saveBoardList(userId, next);
+      return next;
+    });
+  }, [userId]);
+
+  const refresh = useCallback(async () => {
+    try {
+      const boards = await api.boards.list();
+      update(previous => ({ ...previous, boards }));
+      setLoadError(null);
+    } catch (err) {
+      // Offline the stored list stands in
+      setLoadError(err);
+      if (!isOfflineError(err) && err.status !== 401) onError(`Could not load your boards: ${err.message}`);
+    } finally {
+      setLoading(false);
+    }
+  }, [update, onError]);
+
+  useEffect(() => {
+    refresh();
+    // And again as soon as the browser is back online
+    window.addEventListener('online', refresh);
+    return () => window.removeEventListener('online', refresh);
+  }, [refresh]);
+
+  const report = (message) => (err) => {
+    onError(`${message}: ${err.message || 'Please try again'}`);
+    throw err;
+  };
+
+  const selectBoard = (id) => update(previous => ({ ...previous, currentId: id }));
+
+  const createBoard = (name) => api.boards.create({ name }).then((board) => {
+    update(previous => ({ boards: [...previous.boards, board].sort(byName), currentId: board.id }));
+    return board;
+  }, report('Could not create the board'));
+
+  const renameBoard = (id, name) => api.boards.rename(id, { name }).then((board) => {
+    update(previous => ({ ...previous, boards: previous.boards.map(b => (b.id === id ? board : b)).sort(byName) }));
+    return board;
+  }, report('Could not rename the board'));
+
+  const dropBoard = (id) => update(previous => ({
+    boards: previous.boards.filter(b => b.id !== id),
+    currentId: previous.currentId === id ? null : previous.currentId
+  }));
+
+  const deleteBoard = (id) =>
+    api.boards.remove(id).then(() => dropBoard(id), report('Could not delete the board'));
+
+  const leaveBoard = (id) =>
+    api.boards.shares.remove(id, userId).then(() => dropBoard(id), report('Could not leave the board'));
+
+  return {
+    boards: state.boards,
+    current,
+    loading,
+    loadError,
+    refresh,
+    selectBoard,
+    createBoard,
+    renameBoard,
+    deleteBoard,
+    leaveBoard
+  };
+}
+
+/**
+ * Who a board is shared with, for its owner. Changes made here update the
+ * list directly.
+ */
+export function useBoardShares(boardId) {
+  const [shares, setShares] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const controller = new AbortController();
+    api.boards.shares.list(boardId, { signal: controller.signal })
+      .then((loaded) => {
+        setShares(loaded);
+        setError(null);
+      })
+      .catch((err) => {
+        if (err.code === 'aborted') return;
+        console.error('Failed to load board shares', err);
+        setError(`Could not load who the board is shared with: ${err.message || 'Please try again'}`);
+      })
+      .finally(() => {
+        if (!controller.signal.aborted) setLoading(false);
+      });
+    return () => controller.abort();
+  }, [boardId]);
+
+  const addShare = useCallback(async ({ email, role }) => {
+    const share = await api.boards.shares.add(boardId, { email, role });
+    setShares(list => [...list.filter(s => s.userId !== share.userId), share]);
+    return share;
+  }, [boardId]);
+
+  const updateShare = useCallback(async (userId, role) => {
+    const share = await api.boards.shares.update(boardId, userId, { role });
+    setShares(list => list.map(s => (s.userId === userId ? share : s)));
+    return share;
+  }, [boardId]);
+
+  const removeShare = useCallback(async (userId) => {
+    await api.boards.shares.remove(boardId, userId);
+    setShares(list => list.filter(s => s.userId !== userId));
+  }, [boardId]);
+
+  return { shares, loading, error, addShare, updateShare, removeShare };
+}
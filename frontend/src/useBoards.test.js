@@ -0,0 +1,28 @@
+import { loadBoardList, saveBoardList, pickBoard } from './useBoards';
+
+const boards = [
+  { id: 1, name: 'Home', role: 'owner', ownerName: 'Ann' },
+  { id: 2, name: 'Team', role: 'editor', ownerName: 'Bob' }
+];
+
+beforeEach(() => window.localStorage.clear());
+
+test('picks the preferred board while it is still there, otherwise the first', () => {
+  expect(pickBoard(boards, 2)).toBe(boards[1]);
+  expect(pickBoard(boards, 3)).toBe(boards[0]);
+  expect(pickBoard(boards, null)).toBe(boards[0]);
+  expect(pickBoard([], 1)).toBeNull();
+});
+
+test('keeps the stored list apart per user', () => {
+  saveBoardList(7, { boards, currentId: 2 });
+
+  expect(loadBoardList(7)).toEqual({ boards, currentId: 2 });
+  expect(loadBoardList(8)).toEqual({ boards: [], currentId: null });
+});
+
+test('ignores an unreadable stored list', () => {
+  window.localStorage.setItem('task-board-boards', '{not json');
+
+  expect(loadBoardList(7)).toEqual({ boards: [], currentId: null });
+});
@@ -0,0 +1,68 @@
+import { useEffect, useRef, useState } from 'react';
+
+const FOCUSABLE = [
+  'a[href]',
+  'button:not([disabled])',
+  'input:not([disabled]):not([type="hidden"])',
+  'select:not([disabled])',
+  'textarea:not([disabled])',
+  '[tabindex]:not([tabindex="-1"])'
+].join(', ');
+
+export const getFocusableElements = (container) =>
+  Array.from(container.querySelectorAll(FOCUSABLE));
+
+/**
+ * Keeps keyboard focus inside `ref` while the component is mounted, calls
+ * `onEscape` when Escape is pressed, and returns focus to whatever had it
+ * before the component opened.
+ */
+export function useFocusTrap(ref, { onEscape } = {}) {
+  // Captured during the first render, before any autoFocus child takes focus
+  const [returnFocusTo] = useState(() => document.activeElement);
+  const onEscapeRef = useRef(onEscape);
+
+  useEffect(() => {
+    onEscapeRef.current = onEscape;
+  });
+
+  useEffect(() => {
+    const container = ref.current;
+    if (!container) return undefined;
+
+    if (!container.contains(document.activeElement)) {
+      (getFocusableElements(container)[0] || container).focus();
+    }
+
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape' && onEscapeRef.current) {
+        e.stopPropagation();
+        onEscapeRef.current();
+        return;
+      }
+      if (e.key !== 'Tab') return;
+
+      const focusable = getFocusableElements(container);
+      if (focusable.length === 0) {
+        e.preventDefault();
+        return;
+      }
+      const first = focusable[0];
+      const last = focusable[focusable.length - 1];
+
+      if (e.shiftKey && (document.activeElement === first || document.activeElement === container)) {
+        e.preventDefault();
+        last.focus();
+      } else if (!e.shiftKey && document.activeElement === last) {
+        e.preventDefault();
+        first.focus();
+      }
+    };
+
+    container.addEventListener('keydown', handleKeyDown);
+    return () => {
+      container.removeEventListener('keydown', handleKeyDown);
+      if (returnFocusTo && returnFocusTo.isConnected) returnFocusTo.focus();
+    };
+  }, [ref, returnFocusTo]);
+}
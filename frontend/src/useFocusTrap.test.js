@@ -0,0 +1,59 @@
+import React, { useRef, useState } from 'react';
+import { render, screen, fireEvent } from '@testing-library/react';
+import { useFocusTrap } from './useFocusTrap';
+
+function TrapDialog({ onClose }) {
+  const ref = useRef(null);
+  useFocusTrap(ref, { onEscape: onClose });
+  return (
+    <div ref={ref} tabIndex={-1}>
+      <button>First</button>
+      <button disabled>Disabled</button>
+      <button>Last</button>
+    </div>
+  );
+}
+
+function Harness() {
+  const [open, setOpen] = useState(false);
+  return (
+    <>
+      <button onClick={() => setOpen(true)}>Open</button>
+      {open && <TrapDialog onClose={() => setOpen(false)} />}
+    </>
+  );
+}
+
+const openDialog = () => {
+  const opener = screen.getByText('Open');
+  opener.focus();
+  fireEvent.click(opener);
+  return opener;
+};
+
+test('focuses the first control when opened', () => {
+  render(<Harness />);
+  openDialog();
+  expect(screen.getByText('First')).toHaveFocus();
+});
+
+test('wraps Tab and Shift+Tab inside the dialog', () => {
+  render(<Harness />);
+  openDialog();
+
+  fireEvent.keyDown(screen.getByText('First'), { key: 'Tab', shiftKey: true });
+  expect(screen.getByText('Last')).toHaveFocus();
+
+  fireEvent.keyDown(screen.getByText('Last'), { key: 'Tab' });
+  expect(screen.getByText('First')).toHaveFocus();
+});
+
+test('closes on Escape and returns focus to the opener', () => {
+  render(<Harness />);
+  const opener = openDialog();
+
+  fireEvent.keyDown(screen.getByText('First'), { key: 'Escape' });
+
+  expect(screen.queryByText('First')).not.toBeInTheDocument();
+  expect(opener).toHaveFocus();
+});
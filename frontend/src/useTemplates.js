@@ -0,0 +1,78 @@
+import { useCallback, useEffect, useState } from 'react';
+import api from './api/client';
+import { addDays, dateKey } from './deadlines';
+
+/**
+ * The create-task form fields a template fills in. The deadline counts from
+ * `today`; a template without a column, or whose column is gone, uses the
+ * first column.
+ */
+export const fieldsFromTemplate = (template, columns, today = new Date()) => ({
+  name: template.name,
+  description: template.description,
+  deadline: template.deadlineInDays == null ? '' : addDays(dateKey(today), template.deadlineInDays),
+  columnId: columns.some(col => col.id === template.columnId)
+    ? template.columnId
+    : (columns[0]?.id ?? null)
+});
+
+// State updater that adds or replaces a template, keeping the list by name
+const withTemplate = (saved) => (list) =>
+  [...list.filter(t => t.id !== saved.id), saved].sort((a, b) => a.name.localeCompare(b.name));
+
+/**
+ * The open board's task templates, loaded when a component using them
+ * mounts. Changes made here update the list directly; they aren't sent to
+ * other clients as board events.
+ */
+export function useTemplates() {
+  const [templates, setTemplates] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const controller = new AbortController();
+    api.templates.list({ signal: controller.signal })
+      .then((loaded) => {
+        setTemplates(loaded);
+        setError(null);
+      })
+      .catch((err) => {
+        if (err.code === 'aborted') return;
+        console.error('Failed to load templates', err);
+        setError(`Could not load templates: ${err.message || 'Please try again'}`);
+      })
+      .finally(() => {
+        if (!controller.signal.aborted) setLoading(false);
+      });
+    return () => controller.abort();
+  }, []);
+
+  /** Creates the template, or updates it when it has an id. */
+  const saveTemplate = useCallback(async ({ id, name, description, deadlineInDays, columnId }) => {
+    const body = { name, description, deadlineInDays, columnId };
+    const saved = id ? await api.templates.update(id, body) : await api.templates.create(body);
+    setTemplates(withTemplate(saved));
+    return saved;
+  }, []);
+
+  const deleteTemplate = useCallback(async (id) => {
+    await api.templates.remove(id);
+    setTemplates(list => list.filter(t => t.id !== id));
+  }, []);
+
+  const addAttachment = useCallback(async (id, file) => {
+    const attachment = await api.templates.attachments.upload(id, file);
+    setTemplates(list => list.map(t => (t.id === id ? { ...t, attachments: [...t.attachments, attachment] } : t)));
+    return attachment;
+  }, []);
+
+  const removeAttachment = useCallback(async (id, attachmentId) => {
+    await api.templates.attachments.remove(id, attachmentId);
+    setTemplates(list => list.map(t => (
+      t.id === id ? { ...t, attachments: t.attachments.filter(a => a.id !== attachmentId) } : t
+    )));
+  }, []);
+
+  return { templates, loading, error, saveTemplate, deleteTemplate, addAttachment, removeAttachment };
+}
@@ -0,0 +1,22 @@
+import { fieldsFromTemplate } from './useTemplates';
+
+describe('fieldsFromTemplate', () => {
+  const columns = [{ id: 1, name: 'To Do' }, { id: 2, name: 'Review' }];
+  const template = { id: 4, name: 'Release', description: 'Ship it', deadlineInDays: 3, columnId: 2, attachments: [] };
+
+  test('counts the deadline from today and keeps the column', () => {
+    expect(fieldsFromTemplate(template, columns, new Date(2026, 11, 30))).toEqual({
+      name: 'Release',
+      description: 'Ship it',
+      deadline: '2027-01-02',
+      columnId: 2
+    });
+  });
+
+  test('falls back to no deadline and the first column', () => {
+    const fields = fieldsFromTemplate({ ...template, deadlineInDays: null, columnId: 99 }, columns);
+
+    expect(fields.deadline).toBe('');
+    expect(fields.columnId).toBe(1);
+  });
+});
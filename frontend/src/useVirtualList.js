@@ -0,0 +1,123 @@
+// Renders only the rows of a long list that are scrolled into view. Rows are
+// measured once they have rendered; the others count at an estimated height.
+// The rows above and below the rendered ones are stood in for by padding on
+// the scrolling element, which is why the gap between rows is needed.
+
+import { useCallback, useEffect, useLayoutEffect, useRef, useState } from 'react';
+
+// Used until the list has a height of its own, e.g. before layout
+const FALLBACK_VIEWPORT_HEIGHT = 800;
+
+const rowTops = (heights, gap) => {
+  const tops = [];
+  let top = 0;
+  for (const height of heights) {
+    tops.push(top);
+    top += height + gap;
+  }
+  return { tops, total: top };
+};
+
+/**
+ * The rows to render for a scroll position: from `start` up to but not
+ * including `end`, plus `overscan` rows either side, with the space the rows
+ * before and after them take up.
+ */
+export const getVisibleRange = ({ heights, scrollTop, viewportHeight, gap = 0, overscan = 0 }) => {
+  const { tops, total } = rowTops(heights, gap);
+  let first = tops.findIndex((top, i) => top + heights[i] > scrollTop);
+  if (first === -1) first = heights.length;
+  let last = first;
+  while (last < heights.length && tops[last] < scrollTop + viewportHeight) last++;
+
+  const start = Math.max(0, first - overscan);
+  const end = Math.min(heights.length, last + overscan);
+  return {
+    start,
+    end,
+    spaceBefore: start < heights.length ? tops[start] : total,
+    spaceAfter: end < heights.length ? total - tops[end] : 0
+  };
+};
+
+/**
+ * Windowing for a list once it has `minRows` rows; shorter lists render in
+ * full. `keys` identify the rows in order, and `rowSelector` picks them out
+ * among the list's children. Attach `listRef` and `onScroll` to the
+ * scrolling element and give it `style`.
+ *
+ * The row at `activeIndex`, e.g. the focused one, is scrolled into the
+ * rendered range whenever it changes.
+ */
+export function useVirtualList({ keys, estimatedHeight, gap = 0, overscan = 5, minRows = 60, rowSelector = '*', activeIndex = -1 }) {
+  const listRef = useRef(null);
+  const heights = useRef(new Map());
+  const [viewport, setViewport] = useState({ scrollTop: 0, height: 0 });
+  const [, setMeasured] = useState(0);
+  const enabled = keys.length >= minRows;
+
+  const rowHeights = keys.map(key => heights.current.get(key) ?? estimatedHeight);
+  const range = enabled
+    ? getVisibleRange({
+      heights: rowHeights,
+      scrollTop: viewport.scrollTop,
+      viewportHeight: viewport.height || FALLBACK_VIEWPORT_HEIGHT,
+      gap,
+      overscan
+    })
+    : { start: 0, end: keys.length, spaceBefore: 0, spaceAfter: 0 };
+
+  const onScroll = useCallback(() => {
+    const list = listRef.current;
+    if (!list) return;
+    setViewport(v => (v.scrollTop === list.scrollTop && v.height === list.clientHeight
+      ? v
+      : { scrollTop: list.scrollTop, height: list.clientHeight }));
+  }, []);
+
+  useEffect(() => {
+    if (!enabled) return;
+    onScroll();
+    window.addEventListener('resize', onScroll);
+    return () => window.removeEventListener('resize', onScroll);
+  }, [enabled, onScroll]);
+
+  // Measure what rendered; another render follows only if a height changed.
+  // `keys` is a new array on every render, so this runs after each one.
+  useLayoutEffect(() => {
+    if (!enabled || !listRef.current) return;
+    const rows = Array.from(listRef.current.children).filter(el => el.matches(rowSelector));
+    let changed = false;
+    rows.forEach((row, i) => {
+      const key = keys[range.start + i];
+      if (key !== undefined && row.offsetHeight > 0 && heights.current.get(key) !== row.offsetHeight) {
+        heights.current.set(key, row.offsetHeight);
+        changed = true;
+      }
+    });
+    if (changed) setMeasured(n => n + 1);
+  }, [enabled, rowSelector, keys, range.start]);
+
+  // Read by the effect below, which only runs when the active row changes so
+  // that scrolling away from it is left alone
+  const layout = useRef(null);
+  layout.current = { range, rowHeights };
+
+  useEffect(() => {
+    const list = listRef.current;
+    const { range: rendered, rowHeights: measured } = layout.current;
+    if (!enabled || !list || activeIndex < 0 || (activeIndex >= rendered.start && activeIndex < rendered.end)) return;
+    const top = rowTops(measured, gap).tops[activeIndex];
+    list.scrollTop = top;
+    setViewport(v => ({ ...v, scrollTop: top }));
+  }, [enabled, activeIndex, gap]);
+
+  return {
+    enabled,
+    start: range.start,
+    end: range.end,
+    listRef,
+    onScroll,
+    style: enabled ? { paddingTop: range.spaceBefore, paddingBottom: range.spaceAfter } : undefined
+  };
+}
@@ -0,0 +1,30 @@
+import { getVisibleRange } from './useVirtualList';
+
+describe('getVisibleRange', () => {
+  const heights = Array(10).fill(100);
+
+  test('renders the rows in view and stands in for the rest', () => {
+    const range = getVisibleRange({ heights, scrollTop: 250, viewportHeight: 300, gap: 10 });
+
+    // Rows start every 110px: rows 2 to 5 overlap 250..550
+    expect(range).toEqual({ start: 2, end: 5, spaceBefore: 220, spaceAfter: 550 });
+  });
+
+  test('adds overscan on both sides without going past the ends', () => {
+    expect(getVisibleRange({ heights, scrollTop: 0, viewportHeight: 250, overscan: 2 }))
+      .toMatchObject({ start: 0, end: 5, spaceBefore: 0, spaceAfter: 500 });
+    expect(getVisibleRange({ heights, scrollTop: 800, viewportHeight: 500, overscan: 2 }))
+      .toMatchObject({ start: 6, end: 10, spaceBefore: 600, spaceAfter: 0 });
+  });
+
+  test('uses each row\'s own height', () => {
+    const range = getVisibleRange({ heights: [50, 300, 50, 50], scrollTop: 340, viewportHeight: 10 });
+
+    expect(range).toEqual({ start: 1, end: 2, spaceBefore: 50, spaceAfter: 100 });
+  });
+
+  test('keeps the last rows when scrolled past the end', () => {
+    expect(getVisibleRange({ heights, scrollTop: 5000, viewportHeight: 300, overscan: 1 }))
+      .toEqual({ start: 9, end: 10, spaceBefore: 900, spaceAfter: 0 });
+  });
+});